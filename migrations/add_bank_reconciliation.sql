@@ -0,0 +1,129 @@
+-- Bank statement reconciliation for capital call payments
+-- Statements (CSV, MT940, camt.053) are uploaded and parsed into lines. Credit lines are
+-- scored against open capital call allocations and pending payments; confident matches are
+-- applied automatically, the rest wait in the reconciliation queue for ops to confirm,
+-- split or reject.
+
+-- ==========================================
+-- Uploaded statements
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS bank_statements (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    structure_id UUID REFERENCES structures(id) ON DELETE SET NULL,
+
+    format VARCHAR(20) NOT NULL CHECK (format IN ('csv', 'mt940', 'camt053')),
+    file_name VARCHAR(255),
+    content_hash VARCHAR(64) NOT NULL,
+
+    account_identifier VARCHAR(100),
+    statement_reference VARCHAR(100),
+    statement_date DATE,
+    currency VARCHAR(3),
+    opening_balance DECIMAL(20, 2),
+    closing_balance DECIMAL(20, 2),
+
+    line_count INTEGER DEFAULT 0,
+    credit_count INTEGER DEFAULT 0,
+    matched_count INTEGER DEFAULT 0,
+    auto_matched_count INTEGER DEFAULT 0,
+
+    uploaded_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CONSTRAINT bank_statements_content_hash_unique UNIQUE (content_hash)
+);
+
+CREATE INDEX IF NOT EXISTS idx_bank_statements_structure ON bank_statements(structure_id);
+
+DROP TRIGGER IF EXISTS update_bank_statements_updated_at ON bank_statements;
+CREATE TRIGGER update_bank_statements_updated_at
+    BEFORE UPDATE ON bank_statements
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON COLUMN bank_statements.content_hash IS 'SHA-256 of the uploaded file; the same statement cannot be reconciled twice';
+
+-- ==========================================
+-- Statement lines
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS bank_statement_lines (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    statement_id UUID NOT NULL REFERENCES bank_statements(id) ON DELETE CASCADE,
+    line_index INTEGER NOT NULL,
+
+    booking_date DATE,
+    value_date DATE,
+    direction VARCHAR(10) NOT NULL CHECK (direction IN ('credit', 'debit')),
+    amount DECIMAL(20, 2) NOT NULL,
+    currency VARCHAR(3),
+
+    reference TEXT,
+    payer_name VARCHAR(255),
+    payer_account VARCHAR(100),
+    bank_reference VARCHAR(100),
+
+    -- unmatched / suggested: in the reconciliation queue
+    -- matched: applied to one or more allocations or payments
+    -- ignored: debits, or credits ops rejected as not related to capital calls
+    status VARCHAR(20) NOT NULL DEFAULT 'unmatched'
+        CHECK (status IN ('unmatched', 'suggested', 'matched', 'ignored')),
+    match_confidence INTEGER,
+    resolved_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    resolved_at TIMESTAMP WITH TIME ZONE,
+    notes TEXT,
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_bank_statement_lines_statement ON bank_statement_lines(statement_id, line_index);
+CREATE INDEX IF NOT EXISTS idx_bank_statement_lines_status ON bank_statement_lines(status);
+
+DROP TRIGGER IF EXISTS update_bank_statement_lines_updated_at ON bank_statement_lines;
+CREATE TRIGGER update_bank_statement_lines_updated_at
+    BEFORE UPDATE ON bank_statement_lines
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- ==========================================
+-- Line matches (suggested and confirmed)
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS bank_statement_matches (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    line_id UUID NOT NULL REFERENCES bank_statement_lines(id) ON DELETE CASCADE,
+
+    target_type VARCHAR(30) NOT NULL CHECK (target_type IN ('capital_call_allocation', 'payment')),
+    target_id UUID NOT NULL,
+    capital_call_id UUID REFERENCES capital_calls(id) ON DELETE SET NULL,
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+
+    amount DECIMAL(20, 2) NOT NULL,
+    confidence INTEGER NOT NULL DEFAULT 0 CHECK (confidence BETWEEN 0 AND 100),
+    reasons JSONB DEFAULT '[]'::jsonb,
+
+    status VARCHAR(20) NOT NULL DEFAULT 'suggested' CHECK (status IN ('suggested', 'confirmed', 'rejected')),
+    method VARCHAR(20) CHECK (method IN ('auto', 'manual', 'split')),
+    confirmed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    confirmed_at TIMESTAMP WITH TIME ZONE,
+    applied_at TIMESTAMP WITH TIME ZONE,
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_bank_statement_matches_line ON bank_statement_matches(line_id);
+CREATE INDEX IF NOT EXISTS idx_bank_statement_matches_target ON bank_statement_matches(target_type, target_id);
+
+DROP TRIGGER IF EXISTS update_bank_statement_matches_updated_at ON bank_statement_matches;
+CREATE TRIGGER update_bank_statement_matches_updated_at
+    BEFORE UPDATE ON bank_statement_matches
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON COLUMN bank_statement_matches.confidence IS 'Match score 0-100 from amount, reference and payer name';
+COMMENT ON COLUMN bank_statement_matches.amount IS 'Portion of the line applied to the target (in the line currency)';
+COMMENT ON COLUMN bank_statement_matches.applied_at IS 'When the credit was booked on the target; set after the match is recorded so retries skip it';
@@ -0,0 +1,100 @@
+-- Capital call cancellation and reversal
+-- Cancelling a call keeps it (and its allocations) for the audit trail instead of deleting it:
+-- allocations are voided, received payments become LP credits or refunds,
+-- and the call amount is reversed out of structures.total_called
+
+-- ==========================================
+-- Cancellation fields
+-- ==========================================
+
+ALTER TABLE capital_calls
+ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS cancelled_by UUID REFERENCES users(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS cancellation_reason TEXT,
+ADD COLUMN IF NOT EXISTS reversed_called_amount DECIMAL(20, 2) DEFAULT 0;
+
+COMMENT ON COLUMN capital_calls.cancelled_at IS 'When the call was cancelled (status = Cancelled)';
+COMMENT ON COLUMN capital_calls.reversed_called_amount IS 'Amount reversed out of structures.total_called on cancellation';
+
+ALTER TABLE capital_call_allocations
+ADD COLUMN IF NOT EXISTS voided_at TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON COLUMN capital_call_allocations.voided_at IS 'When the allocation was voided by a call cancellation (status = Voided)';
+
+ALTER TABLE capital_call_allocations
+ADD COLUMN IF NOT EXISTS credit_applied_amount DECIMAL(20, 2) DEFAULT 0,
+ADD COLUMN IF NOT EXISTS applied_credits JSONB;
+
+COMMENT ON COLUMN capital_call_allocations.credit_applied_amount IS 'Part of the allocation settled from the LP''s credits on cancelled calls';
+COMMENT ON COLUMN capital_call_allocations.applied_credits IS 'Credits applied to the allocation: [{ creditId, amount }]';
+
+CREATE INDEX IF NOT EXISTS idx_capital_calls_cancelled ON capital_calls(structure_id) WHERE status = 'Cancelled';
+
+-- ==========================================
+-- Credits and refunds from cancelled calls
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS capital_call_credits (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+    structure_id UUID NOT NULL,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    source_capital_call_id UUID NOT NULL REFERENCES capital_calls(id) ON DELETE CASCADE,
+    source_allocation_id UUID REFERENCES capital_call_allocations(id) ON DELETE SET NULL,
+
+    -- credit: held for the LP against future calls; refund: returned to the LP
+    credit_type VARCHAR(20) NOT NULL DEFAULT 'credit',
+    amount DECIMAL(20, 2) NOT NULL,
+    -- Part of a credit already applied to later calls
+    applied_amount DECIMAL(20, 2) DEFAULT 0,
+    capital_amount DECIMAL(20, 2) DEFAULT 0,
+    fees_amount DECIMAL(20, 2) DEFAULT 0,
+    vat_amount DECIMAL(20, 2) DEFAULT 0,
+
+    status VARCHAR(20) NOT NULL DEFAULT 'available',
+    refunded_at TIMESTAMP WITH TIME ZONE,
+    refund_reference VARCHAR(255),
+    notes TEXT,
+
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_capital_call_credits_structure ON capital_call_credits(structure_id, status);
+CREATE INDEX IF NOT EXISTS idx_capital_call_credits_user ON capital_call_credits(user_id, structure_id);
+CREATE INDEX IF NOT EXISTS idx_capital_call_credits_source ON capital_call_credits(source_capital_call_id);
+-- One credit per allocation, so a retried cancellation cannot credit a payment twice
+CREATE UNIQUE INDEX IF NOT EXISTS idx_capital_call_credits_source_allocation
+    ON capital_call_credits(source_allocation_id) WHERE source_allocation_id IS NOT NULL;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conname = 'capital_call_credits_type_check'
+    ) THEN
+        ALTER TABLE capital_call_credits
+        ADD CONSTRAINT capital_call_credits_type_check
+        CHECK (credit_type IN ('credit', 'refund'));
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conname = 'capital_call_credits_status_check'
+    ) THEN
+        ALTER TABLE capital_call_credits
+        ADD CONSTRAINT capital_call_credits_status_check
+        CHECK (status IN ('available', 'applied', 'pending_refund', 'refunded'));
+    END IF;
+END $$;
+
+DROP TRIGGER IF EXISTS update_capital_call_credits_updated_at ON capital_call_credits;
+CREATE TRIGGER update_capital_call_credits_updated_at
+    BEFORE UPDATE ON capital_call_credits
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE capital_call_credits IS 'LP credits and refunds created from payments received on cancelled capital calls, and equalization refunds sourced from the equalization call';
+COMMENT ON COLUMN capital_call_credits.status IS 'available/applied for credits, pending_refund/refunded for refunds';
+COMMENT ON COLUMN capital_call_credits.applied_amount IS 'Part of the credit applied to later capital calls; the credit is applied once all of it is';
@@ -0,0 +1,13 @@
+-- Add payment reference codes to capital call allocations
+-- Each allocation gets a unique ISO 11649 (RF) creditor reference with check digits. It is
+-- printed on the LP notice and reminder emails, and incoming bank payments are matched by it.
+-- payment_reference keeps holding the reference reported by the LP / bank for a payment.
+
+ALTER TABLE capital_call_allocations
+ADD COLUMN IF NOT EXISTS payment_reference_code VARCHAR(25);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_capital_call_allocations_payment_reference_code
+ON capital_call_allocations(payment_reference_code)
+WHERE payment_reference_code IS NOT NULL;
+
+COMMENT ON COLUMN capital_call_allocations.payment_reference_code IS 'RF creditor reference (ISO 11649) the LP must quote when paying this allocation';
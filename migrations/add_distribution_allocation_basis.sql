@@ -0,0 +1,14 @@
+-- Pro-rata basis for distribution allocations
+-- Distributions without a waterfall were always split by investments.ownership_percentage,
+-- while capital calls use structure_investors.ownership_percent. Each distribution now chooses
+-- its basis; allocations are split exactly to the cent on it.
+
+ALTER TABLE distributions
+ADD COLUMN IF NOT EXISTS allocation_basis TEXT DEFAULT 'investment_ownership'
+CHECK (allocation_basis IN ('investment_ownership', 'ownership', 'commitment', 'paid_in', 'custom'));
+
+ALTER TABLE distributions
+ADD COLUMN IF NOT EXISTS custom_allocation_shares JSONB;
+
+COMMENT ON COLUMN distributions.allocation_basis IS 'Pro-rata basis: investment_ownership (investments), ownership (structure_investors), commitment, paid_in (capital paid on calls) or custom';
+COMMENT ON COLUMN distributions.custom_allocation_shares IS 'Investor-level shares for the custom basis, e.g. {"<user_id>": 60, "<user_id>": 40}';
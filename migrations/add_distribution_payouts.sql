@@ -0,0 +1,40 @@
+-- Distribution payouts through Stripe Connect
+-- One transfer per distribution allocation to the LP's Connect account, tracked by the
+-- transfer.* and payout.* Connect webhook events until the LP's bank payout settles.
+
+CREATE TABLE IF NOT EXISTS distribution_payouts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  distribution_id UUID NOT NULL REFERENCES distributions(id) ON DELETE CASCADE,
+  allocation_id UUID NOT NULL REFERENCES distribution_allocations(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id),
+  stripe_account_id TEXT,
+  amount DECIMAL(20, 2) NOT NULL DEFAULT 0,
+  currency TEXT NOT NULL,
+  base_amount DECIMAL(20, 2) NOT NULL DEFAULT 0,
+  stripe_transfer_id TEXT,
+  stripe_payout_id TEXT,
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'sending', 'unconfirmed', 'transferred', 'paid', 'failed', 'reversed', 'skipped')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  transferred_at TIMESTAMPTZ,
+  settled_at TIMESTAMPTZ,
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+COMMENT ON TABLE distribution_payouts IS 'Stripe Connect transfers paying distribution allocations to LPs';
+COMMENT ON COLUMN distribution_payouts.amount IS 'Transfer amount in the transfer currency (the LP payment currency when an FX snapshot exists)';
+COMMENT ON COLUMN distribution_payouts.base_amount IS 'Net allocation amount paid, in the distribution base currency';
+COMMENT ON COLUMN distribution_payouts.status IS 'pending, sending (claimed by a run), unconfirmed (transfer outcome unknown), transferred (in the LP Connect account), paid (bank payout settled), failed (rejected by Stripe), reversed or skipped (LP not onboarded)';
+COMMENT ON COLUMN distribution_payouts.attempts IS 'Transfer attempts made; failed transfers are retried up to the configured maximum';
+
+CREATE INDEX IF NOT EXISTS idx_distribution_payouts_distribution ON distribution_payouts(distribution_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_distribution_payouts_transfer ON distribution_payouts(stripe_transfer_id) WHERE stripe_transfer_id IS NOT NULL;
+-- One active payout per allocation: a run claims the allocation by inserting (or updating) this
+-- row before calling Stripe, so concurrent runs cannot both transfer. Only failed and reversed
+-- payouts, which Stripe definitely did not pay, leave room for a new one.
+CREATE UNIQUE INDEX IF NOT EXISTS idx_distribution_payouts_active_allocation ON distribution_payouts(allocation_id)
+  WHERE status IN ('pending', 'sending', 'unconfirmed', 'transferred', 'paid', 'skipped');
+CREATE INDEX IF NOT EXISTS idx_distribution_payouts_account_status ON distribution_payouts(stripe_account_id, status);
@@ -0,0 +1,29 @@
+-- Store the JavaScript waterfall result on each distribution
+-- The engine (src/services/waterfallService.js) replaces the apply_waterfall_distribution /
+-- calculate_waterfall_allocations RPCs. The per-LP, per-tier audit it produces is kept on the
+-- distribution so allocations and notices use exactly what was approved.
+
+ALTER TABLE distributions
+ADD COLUMN IF NOT EXISTS waterfall_mode VARCHAR(20);
+
+ALTER TABLE distributions
+ADD COLUMN IF NOT EXISTS waterfall_audit JSONB;
+
+ALTER TABLE distributions
+ADD COLUMN IF NOT EXISTS waterfall_applied_at TIMESTAMP WITH TIME ZONE;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conname = 'distributions_waterfall_mode_check'
+    ) THEN
+        ALTER TABLE distributions
+        ADD CONSTRAINT distributions_waterfall_mode_check
+        CHECK (waterfall_mode IS NULL OR waterfall_mode IN ('European', 'American'));
+    END IF;
+END $$;
+
+COMMENT ON COLUMN distributions.waterfall_mode IS 'European (whole fund) or American (deal by deal) mode the waterfall was calculated in';
+COMMENT ON COLUMN distributions.waterfall_audit IS 'Waterfall result: tier totals, per-LP tier-by-tier audit and per-investment attribution';
+COMMENT ON COLUMN distributions.waterfall_applied_at IS 'When the waterfall was applied';
@@ -0,0 +1,44 @@
+-- Per-investor withholding tax on distributions
+-- Each distribution allocation stores the LP's gross amount, the tax withheld and the net amount
+-- paid. Withholding is computed per income type (from the distribution's source breakdown) at the
+-- structure's rate for the LP's tax classification, unless a treaty rate overrides it for that LP.
+
+-- ==========================================
+-- Income type of distributions without a source breakdown
+-- ==========================================
+
+ALTER TABLE distributions
+ADD COLUMN IF NOT EXISTS income_type TEXT DEFAULT 'dividend'
+CHECK (income_type IN ('dividend', 'interest', 'capital_gain', 'return_of_capital'));
+
+COMMENT ON COLUMN distributions.income_type IS 'Income type used for withholding when the distribution has no source breakdown';
+
+-- ==========================================
+-- Gross, withheld and net amounts per LP
+-- ==========================================
+
+ALTER TABLE distribution_allocations
+ADD COLUMN IF NOT EXISTS gross_amount DECIMAL(20, 2);
+
+ALTER TABLE distribution_allocations
+ADD COLUMN IF NOT EXISTS withholding_amount DECIMAL(20, 2) DEFAULT 0;
+
+ALTER TABLE distribution_allocations
+ADD COLUMN IF NOT EXISTS net_amount DECIMAL(20, 2);
+
+ALTER TABLE distribution_allocations
+ADD COLUMN IF NOT EXISTS withholding_details JSONB;
+
+COMMENT ON COLUMN distribution_allocations.gross_amount IS 'LP gross distribution before withholding (equals allocated_amount)';
+COMMENT ON COLUMN distribution_allocations.withholding_amount IS 'Tax withheld from the LP gross distribution';
+COMMENT ON COLUMN distribution_allocations.net_amount IS 'Amount paid to the LP after withholding';
+COMMENT ON COLUMN distribution_allocations.withholding_details IS 'Tax person type and per income type gross, rate, rate source (structure/treaty/exempt) and amount withheld';
+
+-- ==========================================
+-- Treaty rate overrides per LP and structure
+-- ==========================================
+
+ALTER TABLE structure_investors
+ADD COLUMN IF NOT EXISTS withholding_treaty_rates JSONB;
+
+COMMENT ON COLUMN structure_investors.withholding_treaty_rates IS 'Treaty withholding rates (%) by income type overriding the structure rates, e.g. {"dividend": 15, "interest": 0}';
@@ -0,0 +1,88 @@
+-- Fund closings
+-- A structure raises commitments over a first close, any number of subsequent closes and a
+-- final close. Each closing records the investors admitted (or increasing their commitment)
+-- at its date and, once completed, every LP's ownership on the enlarged commitment base.
+-- The final close locks the structure's commitment base.
+
+-- ==========================================
+-- Commitment base lock
+-- ==========================================
+
+ALTER TABLE structures
+ADD COLUMN IF NOT EXISTS commitments_locked BOOLEAN DEFAULT FALSE;
+
+ALTER TABLE structures
+ADD COLUMN IF NOT EXISTS final_close_date DATE;
+
+COMMENT ON COLUMN structures.commitments_locked IS 'Set by the final close: no further closes, admissions or commitment changes';
+COMMENT ON COLUMN structures.final_close_date IS 'Date of the completed final close';
+
+-- ==========================================
+-- Closings
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS fund_closings (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+    -- References
+    structure_id UUID NOT NULL REFERENCES structures(id) ON DELETE CASCADE,
+
+    closing_number INTEGER NOT NULL,
+    closing_type VARCHAR(20) NOT NULL,
+    closing_date DATE NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'draft',
+
+    -- Admissions and the ownership snapshot taken at completion
+    investors JSONB DEFAULT '[]'::jsonb,
+    ownership JSONB DEFAULT '[]'::jsonb,
+
+    -- Totals after the close
+    new_commitment DECIMAL(20, 2) DEFAULT 0,
+    total_commitment DECIMAL(20, 2) DEFAULT 0,
+    investor_count INTEGER DEFAULT 0,
+
+    notes TEXT,
+
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    completed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    UNIQUE (structure_id, closing_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_fund_closings_structure ON fund_closings(structure_id, closing_number);
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conname = 'fund_closings_closing_type_check'
+    ) THEN
+        ALTER TABLE fund_closings
+        ADD CONSTRAINT fund_closings_closing_type_check
+        CHECK (closing_type IN ('first', 'subsequent', 'final'));
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conname = 'fund_closings_status_check'
+    ) THEN
+        ALTER TABLE fund_closings
+        ADD CONSTRAINT fund_closings_status_check
+        CHECK (status IN ('draft', 'completed'));
+    END IF;
+END $$;
+
+DROP TRIGGER IF EXISTS update_fund_closings_updated_at ON fund_closings;
+CREATE TRIGGER update_fund_closings_updated_at
+    BEFORE UPDATE ON fund_closings
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE fund_closings IS 'First, subsequent and final closes of a structure';
+COMMENT ON COLUMN fund_closings.investors IS 'Per admitted investor: previous commitment, commitment added at the close and total commitment';
+COMMENT ON COLUMN fund_closings.ownership IS 'Per LP at completion: commitment and ownership percentage before and after the close';
+COMMENT ON COLUMN fund_closings.new_commitment IS 'Commitments added at the close';
+COMMENT ON COLUMN fund_closings.total_commitment IS 'Structure commitments after the close';
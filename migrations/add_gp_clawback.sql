@@ -0,0 +1,85 @@
+-- GP clawback
+-- Under a deal-by-deal (American) waterfall the GP can be paid more carry than a whole-fund
+-- waterfall over the same cash flows would give it. Clawback assessments record, at a date,
+-- the hypothetical whole-fund carry, the carry actually paid and the GP's liability net of the
+-- taxes it paid on that carry. The fund-end true-up returns the liability to LPs as a
+-- clawback distribution.
+
+-- ==========================================
+-- Clawback settings
+-- ==========================================
+
+ALTER TABLE structures
+ADD COLUMN IF NOT EXISTS clawback_tax_rate DECIMAL(7, 4) DEFAULT 0;
+
+COMMENT ON COLUMN structures.clawback_tax_rate IS 'Tax rate (%) on carry paid that reduces the GP clawback obligation (tax offset)';
+
+-- Distribution type distinguishes waterfall proceeds from clawback paid back by the GP
+ALTER TABLE distributions
+ADD COLUMN IF NOT EXISTS distribution_type VARCHAR(30) DEFAULT 'standard';
+
+COMMENT ON COLUMN distributions.distribution_type IS 'standard or clawback (carry returned by the GP to LPs; not run through the waterfall)';
+
+-- ==========================================
+-- Clawback assessments
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS gp_clawback_assessments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+    -- References
+    structure_id UUID NOT NULL,
+    distribution_id UUID REFERENCES distributions(id) ON DELETE SET NULL,
+
+    -- Inputs
+    as_of_date DATE NOT NULL,
+    tax_rate DECIMAL(7, 4) DEFAULT 0,
+
+    -- Carry comparison
+    hypothetical_carry DECIMAL(20, 2) DEFAULT 0,
+    carry_paid DECIMAL(20, 2) DEFAULT 0,
+    clawback_returned DECIMAL(20, 2) DEFAULT 0,
+    gross_liability DECIMAL(20, 2) DEFAULT 0,
+    tax_offset DECIMAL(20, 2) DEFAULT 0,
+    net_liability DECIMAL(20, 2) DEFAULT 0,
+
+    -- Breakdown per LP and calculation details
+    investors JSONB DEFAULT '[]'::jsonb,
+    details JSONB DEFAULT '{}'::jsonb,
+
+    status VARCHAR(20) NOT NULL DEFAULT 'estimate',
+    is_true_up BOOLEAN DEFAULT FALSE,
+    notes TEXT,
+
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_gp_clawback_assessments_structure ON gp_clawback_assessments(structure_id, as_of_date DESC);
+CREATE INDEX IF NOT EXISTS idx_gp_clawback_assessments_distribution ON gp_clawback_assessments(distribution_id);
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conname = 'gp_clawback_assessments_status_check'
+    ) THEN
+        ALTER TABLE gp_clawback_assessments
+        ADD CONSTRAINT gp_clawback_assessments_status_check
+        CHECK (status IN ('estimate', 'final'));
+    END IF;
+END $$;
+
+DROP TRIGGER IF EXISTS update_gp_clawback_assessments_updated_at ON gp_clawback_assessments;
+CREATE TRIGGER update_gp_clawback_assessments_updated_at
+    BEFORE UPDATE ON gp_clawback_assessments
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE gp_clawback_assessments IS 'Point-in-time GP clawback liability under the whole-fund waterfall';
+COMMENT ON COLUMN gp_clawback_assessments.hypothetical_carry IS 'Carry the GP would have earned under a whole-fund waterfall up to as_of_date';
+COMMENT ON COLUMN gp_clawback_assessments.gross_liability IS 'Carry paid less hypothetical carry less clawback already returned';
+COMMENT ON COLUMN gp_clawback_assessments.net_liability IS 'Gross liability capped at the after-tax carry the GP kept';
+COMMENT ON COLUMN gp_clawback_assessments.investors IS 'Per LP: carry paid, hypothetical carry, excess and share of the liability';
+COMMENT ON COLUMN gp_clawback_assessments.distribution_id IS 'Clawback distribution created by the fund-end true-up';
@@ -0,0 +1,44 @@
+-- In-kind distributions
+-- A distribution can be settled in shares or tokens instead of cash. The distribution records
+-- the asset, quantity and valuation per unit; each LP allocation keeps its value and records the
+-- units delivered plus cash in lieu of the fractional unit. Token distributions on tokenized
+-- structures track the on-chain transfer per allocation.
+
+ALTER TABLE distributions
+ADD COLUMN IF NOT EXISTS settlement_type TEXT DEFAULT 'cash'
+CHECK (settlement_type IN ('cash', 'in_kind'));
+
+ALTER TABLE distributions
+ADD COLUMN IF NOT EXISTS in_kind_asset_type TEXT
+CHECK (in_kind_asset_type IS NULL OR in_kind_asset_type IN ('security', 'token'));
+
+ALTER TABLE distributions
+ADD COLUMN IF NOT EXISTS in_kind_asset_name TEXT,
+ADD COLUMN IF NOT EXISTS in_kind_asset_identifier TEXT,
+ADD COLUMN IF NOT EXISTS in_kind_quantity DECIMAL(30, 8),
+ADD COLUMN IF NOT EXISTS in_kind_unit_value DECIMAL(20, 8),
+ADD COLUMN IF NOT EXISTS in_kind_unit_increment DECIMAL(30, 18) DEFAULT 1;
+
+COMMENT ON COLUMN distributions.settlement_type IS 'cash or in_kind (shares or tokens)';
+COMMENT ON COLUMN distributions.in_kind_asset_type IS 'security or token';
+COMMENT ON COLUMN distributions.in_kind_asset_identifier IS 'Ticker/ISIN for securities; token contract address for tokens (defaults to the structure token)';
+COMMENT ON COLUMN distributions.in_kind_quantity IS 'Units distributed; total_amount is quantity times in_kind_unit_value';
+COMMENT ON COLUMN distributions.in_kind_unit_value IS 'Valuation per unit in the structure base currency';
+COMMENT ON COLUMN distributions.in_kind_unit_increment IS 'Smallest deliverable unit (1 for whole shares); smaller fractions are paid as cash in lieu';
+
+ALTER TABLE distribution_allocations
+ADD COLUMN IF NOT EXISTS allocated_units DECIMAL(30, 8),
+ADD COLUMN IF NOT EXISTS cash_in_lieu_amount DECIMAL(20, 2),
+ADD COLUMN IF NOT EXISTS token_transfer_status TEXT
+  CHECK (token_transfer_status IS NULL OR token_transfer_status IN ('pending', 'sending', 'submitted', 'transferred', 'failed', 'skipped')),
+ADD COLUMN IF NOT EXISTS token_transaction_hash TEXT,
+ADD COLUMN IF NOT EXISTS token_transfer_nonce INTEGER,
+ADD COLUMN IF NOT EXISTS token_transfer_claimed_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS token_transfer_error TEXT,
+ADD COLUMN IF NOT EXISTS token_transferred_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN distribution_allocations.allocated_units IS 'In-kind units delivered to the LP (allocated_amount at the value per unit, rounded down to the unit increment)';
+COMMENT ON COLUMN distribution_allocations.cash_in_lieu_amount IS 'Cash paid in lieu of the fractional unit';
+COMMENT ON COLUMN distribution_allocations.token_transfer_status IS 'In-kind token transfer: pending, sending (claimed by a run), submitted (signed and recorded before broadcast, awaiting its receipt), transferred, failed or skipped (LP has no wallet)';
+COMMENT ON COLUMN distribution_allocations.token_transaction_hash IS 'Hash of the transfer transaction, recorded before it is broadcast and checked before any re-send';
+COMMENT ON COLUMN distribution_allocations.token_transfer_nonce IS 'Nonce of the recorded transaction; once the sender has used it, an unmined transaction can no longer be mined';
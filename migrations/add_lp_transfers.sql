@@ -0,0 +1,108 @@
+-- LP interest transfers (secondaries)
+-- An LP selling all or part of its interest goes through a request, GP consent, a KYC check
+-- of the transferee and an effective date. On completion the commitment moves between the two
+-- structure_investors rows and the transferred share of the transferor's capital account
+-- (called, paid-in and returned capital, distributions) is recorded on the transfer and
+-- netted into both LPs' structure_investors rows. For tokenized structures the transferor's
+-- tokens are force-transferred to the transferee's wallet.
+
+-- ==========================================
+-- Transferred balances on structure_investors
+-- ==========================================
+
+ALTER TABLE structure_investors
+ADD COLUMN IF NOT EXISTS transferred_called_capital DECIMAL(20, 2) DEFAULT 0;
+
+ALTER TABLE structure_investors
+ADD COLUMN IF NOT EXISTS transferred_paid_in DECIMAL(20, 2) DEFAULT 0;
+
+ALTER TABLE structure_investors
+ADD COLUMN IF NOT EXISTS transferred_returned_capital DECIMAL(20, 2) DEFAULT 0;
+
+ALTER TABLE structure_investors
+ADD COLUMN IF NOT EXISTS transferred_distributions DECIMAL(20, 2) DEFAULT 0;
+
+COMMENT ON COLUMN structure_investors.transferred_called_capital IS 'Called capital acquired (positive) or sold (negative) through LP transfers';
+COMMENT ON COLUMN structure_investors.transferred_paid_in IS 'Paid-in capital acquired (positive) or sold (negative) through LP transfers';
+COMMENT ON COLUMN structure_investors.transferred_returned_capital IS 'Returned capital acquired (positive) or sold (negative) through LP transfers';
+COMMENT ON COLUMN structure_investors.transferred_distributions IS 'Distribution history acquired (positive) or sold (negative) through LP transfers';
+
+-- ==========================================
+-- Transfers
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS lp_transfers (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+    -- References
+    structure_id UUID NOT NULL REFERENCES structures(id) ON DELETE CASCADE,
+    transferor_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    transferee_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+
+    -- Interest transferred
+    commitment_transferred DECIMAL(20, 2) NOT NULL,
+    transfer_fraction DECIMAL(10, 8),
+    price DECIMAL(20, 2),
+    effective_date DATE NOT NULL,
+
+    status VARCHAR(20) NOT NULL DEFAULT 'pending_consent',
+
+    -- Workflow
+    requested_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    consented_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    consented_at TIMESTAMP WITH TIME ZONE,
+    kyc_checked_at TIMESTAMP WITH TIME ZONE,
+    kyc_session_id UUID,
+
+    -- Balances moved at completion and the on-chain transfer
+    balances JSONB,
+    balance_move JSONB,
+    token_transfer JSONB,
+
+    completed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    rejection_reason TEXT,
+    notes TEXT,
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_lp_transfers_structure ON lp_transfers(structure_id, status);
+CREATE INDEX IF NOT EXISTS idx_lp_transfers_transferor ON lp_transfers(transferor_id);
+CREATE INDEX IF NOT EXISTS idx_lp_transfers_transferee ON lp_transfers(transferee_id);
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conname = 'lp_transfers_status_check'
+    ) THEN
+        ALTER TABLE lp_transfers
+        ADD CONSTRAINT lp_transfers_status_check
+        CHECK (status IN ('pending_consent', 'consented', 'kyc_cleared', 'completing', 'completion_pending', 'completed', 'rejected', 'cancelled'));
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conname = 'lp_transfers_parties_check'
+    ) THEN
+        ALTER TABLE lp_transfers
+        ADD CONSTRAINT lp_transfers_parties_check
+        CHECK (transferor_id <> transferee_id);
+    END IF;
+END $$;
+
+DROP TRIGGER IF EXISTS update_lp_transfers_updated_at ON lp_transfers;
+CREATE TRIGGER update_lp_transfers_updated_at
+    BEFORE UPDATE ON lp_transfers
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE lp_transfers IS 'Secondary transfers of an LP interest between investors of a structure';
+COMMENT ON COLUMN lp_transfers.status IS 'pending_consent, consented, kyc_cleared, completing (claimed by a completion run), completion_pending (token transfer sent, completion to be retried), completed, rejected or cancelled';
+COMMENT ON COLUMN lp_transfers.transfer_fraction IS 'Share of the transferor''s commitment transferred, fixed at completion';
+COMMENT ON COLUMN lp_transfers.price IS 'Consideration agreed between the parties (informational)';
+COMMENT ON COLUMN lp_transfers.balances IS 'Moved at completion: commitment, called, invested, paid-in, unfunded and returned capital, write-downs and distributions';
+COMMENT ON COLUMN lp_transfers.balance_move IS 'Snapshot taken before completion writes any balance: the moved amounts, the resulting transferor and transferee rows, and which of them have been written (a retry skips those)';
+COMMENT ON COLUMN lp_transfers.token_transfer IS 'Forced token transfer on tokenized structures: contract, wallets, amount (and amountWei), nonce and transaction hash, recorded before broadcast';
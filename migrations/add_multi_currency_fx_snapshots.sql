@@ -0,0 +1,90 @@
+-- Multi-currency capital calls and distributions
+-- Amounts stay denominated in the structure's base currency. LPs can settle in their own
+-- payment currency: the FX rate is snapshotted onto each allocation when the notice goes out,
+-- and the realized FX gain/loss is recorded when the LP's payment arrives.
+
+-- ==========================================
+-- Locally maintained FX rate table
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS fx_rates (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+    -- 1 unit of base_currency = rate units of quote_currency (e.g. USD/MXN 17.25)
+    base_currency VARCHAR(3) NOT NULL,
+    quote_currency VARCHAR(3) NOT NULL,
+    rate DECIMAL(20, 8) NOT NULL,
+    rate_date DATE NOT NULL,
+
+    source VARCHAR(100),
+    notes TEXT,
+
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CONSTRAINT fx_rates_pair_date_unique UNIQUE (base_currency, quote_currency, rate_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_fx_rates_pair_date ON fx_rates(base_currency, quote_currency, rate_date DESC);
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conname = 'fx_rates_rate_check'
+    ) THEN
+        ALTER TABLE fx_rates
+        ADD CONSTRAINT fx_rates_rate_check
+        CHECK (rate > 0 AND base_currency <> quote_currency);
+    END IF;
+END $$;
+
+DROP TRIGGER IF EXISTS update_fx_rates_updated_at ON fx_rates;
+CREATE TRIGGER update_fx_rates_updated_at
+    BEFORE UPDATE ON fx_rates
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE fx_rates IS 'Daily FX rates maintained by fund administration; the latest rate on or before a date is used';
+COMMENT ON COLUMN fx_rates.rate IS 'Units of quote_currency per 1 unit of base_currency';
+
+-- ==========================================
+-- Investor payment currency
+-- ==========================================
+
+ALTER TABLE structure_investors
+ADD COLUMN IF NOT EXISTS payment_currency VARCHAR(3);
+
+COMMENT ON COLUMN structure_investors.payment_currency IS 'Currency the LP pays calls and receives distributions in; NULL = structure base currency';
+
+-- ==========================================
+-- Capital call allocation FX snapshot
+-- ==========================================
+
+ALTER TABLE capital_call_allocations
+ADD COLUMN IF NOT EXISTS payment_currency VARCHAR(3),
+ADD COLUMN IF NOT EXISTS fx_rate DECIMAL(20, 8),
+ADD COLUMN IF NOT EXISTS fx_rate_date DATE,
+ADD COLUMN IF NOT EXISTS total_due_payment_currency DECIMAL(20, 2),
+ADD COLUMN IF NOT EXISTS paid_amount_payment_currency DECIMAL(20, 2) DEFAULT 0,
+ADD COLUMN IF NOT EXISTS payment_fx_rate DECIMAL(20, 8),
+ADD COLUMN IF NOT EXISTS fx_gain_loss DECIMAL(20, 2) DEFAULT 0;
+
+COMMENT ON COLUMN capital_call_allocations.fx_rate IS 'Base -> payment currency rate captured when the notice was sent';
+COMMENT ON COLUMN capital_call_allocations.total_due_payment_currency IS 'total_due converted at fx_rate; the amount the LP is asked to pay';
+COMMENT ON COLUMN capital_call_allocations.payment_fx_rate IS 'Base -> payment currency rate on the date of the latest payment';
+COMMENT ON COLUMN capital_call_allocations.fx_gain_loss IS 'Realized FX gain (+) / loss (-) in base currency on payments received';
+
+-- ==========================================
+-- Distribution allocation FX snapshot
+-- ==========================================
+
+ALTER TABLE distribution_allocations
+ADD COLUMN IF NOT EXISTS payment_currency VARCHAR(3),
+ADD COLUMN IF NOT EXISTS fx_rate DECIMAL(20, 8),
+ADD COLUMN IF NOT EXISTS fx_rate_date DATE,
+ADD COLUMN IF NOT EXISTS allocated_amount_payment_currency DECIMAL(20, 2);
+
+COMMENT ON COLUMN distribution_allocations.fx_rate IS 'Base -> payment currency rate captured when the distribution notice was sent';
+COMMENT ON COLUMN distribution_allocations.allocated_amount_payment_currency IS 'allocated_amount converted at fx_rate; the amount the LP receives';
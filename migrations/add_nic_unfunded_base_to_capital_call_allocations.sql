@@ -0,0 +1,19 @@
+-- Add dual-rate fee base tracking to capital call allocations
+-- Stores the NIC and unfunded commitment each allocation's fees were charged on,
+-- and adds write-down tracking to distribution allocations (reduces NIC without cash)
+
+-- Fee bases used by dual-rate (Proximity) fee allocation
+ALTER TABLE capital_call_allocations
+ADD COLUMN IF NOT EXISTS nic_base DECIMAL(20, 2) DEFAULT 0;
+
+ALTER TABLE capital_call_allocations
+ADD COLUMN IF NOT EXISTS unfunded_base DECIMAL(20, 2) DEFAULT 0;
+
+-- Write-downs (realized losses / permanent impairments) allocated per investor
+ALTER TABLE distribution_allocations
+ADD COLUMN IF NOT EXISTS write_down_amount DECIMAL(20, 2) DEFAULT 0;
+
+-- Add comments to document the schema
+COMMENT ON COLUMN capital_call_allocations.nic_base IS 'Net invested capital (invested - returned - write-downs) before this call, used for the NIC fee';
+COMMENT ON COLUMN capital_call_allocations.unfunded_base IS 'Unfunded commitment (commitment - prior drawdowns) before this call, used for the unfunded fee';
+COMMENT ON COLUMN distribution_allocations.write_down_amount IS 'Capital written down for this investor; reduces NIC without a cash distribution';
@@ -0,0 +1,15 @@
+-- Preferred return accrual conventions
+-- The preferred return tier records how its hurdle (threshold_irr) accrues on unreturned
+-- capital: simple interest or compounded annually/quarterly, on an ACT/365 or 30/360 day count.
+-- Existing tiers keep the previous behaviour (compounded annually, ACT/365).
+
+ALTER TABLE waterfall_tiers
+ADD COLUMN IF NOT EXISTS pref_compounding TEXT DEFAULT 'annual'
+CHECK (pref_compounding IS NULL OR pref_compounding IN ('simple', 'annual', 'quarterly'));
+
+ALTER TABLE waterfall_tiers
+ADD COLUMN IF NOT EXISTS pref_day_count TEXT DEFAULT 'ACT/365'
+CHECK (pref_day_count IS NULL OR pref_day_count IN ('ACT/365', '30/360'));
+
+COMMENT ON COLUMN waterfall_tiers.pref_compounding IS 'How the preferred return accrues: simple (no pref on unpaid pref), annual or quarterly compounding';
+COMMENT ON COLUMN waterfall_tiers.pref_day_count IS 'Day count for pref accrual: ACT/365 or 30/360';
@@ -0,0 +1,41 @@
+-- Recallable distributions
+-- LPAs let the GP recall some distributions (e.g. returns of capital within 18 months). The
+-- recallable part of a distribution adds back to each LP's unfunded commitment until a capital
+-- call draws it again or the recall window expires.
+
+-- ==========================================
+-- Recallable portion of a distribution
+-- ==========================================
+
+ALTER TABLE distributions
+ADD COLUMN IF NOT EXISTS recallable_amount DECIMAL(20, 2) DEFAULT 0;
+
+ALTER TABLE distributions
+ADD COLUMN IF NOT EXISTS recallable_until DATE;
+
+COMMENT ON COLUMN distributions.recallable_amount IS 'Part of the distribution the GP may recall (0 when the distribution is final)';
+COMMENT ON COLUMN distributions.recallable_until IS 'Last date the recallable amount can be recalled (NULL when it does not expire)';
+
+-- Each LP's share of the recallable amount
+ALTER TABLE distribution_allocations
+ADD COLUMN IF NOT EXISTS recallable_amount DECIMAL(20, 2) DEFAULT 0;
+
+COMMENT ON COLUMN distribution_allocations.recallable_amount IS 'LP share of the distribution''s recallable amount, pro rata to the amount allocated';
+
+-- ==========================================
+-- Capital calls drawing against recallable balances
+-- ==========================================
+
+ALTER TABLE capital_calls
+ADD COLUMN IF NOT EXISTS draws_recallable BOOLEAN DEFAULT FALSE;
+
+COMMENT ON COLUMN capital_calls.draws_recallable IS 'Draw each LP''s recallable distribution balance before its remaining commitment';
+
+ALTER TABLE capital_call_allocations
+ADD COLUMN IF NOT EXISTS recalled_amount DECIMAL(20, 2) DEFAULT 0;
+
+COMMENT ON COLUMN capital_call_allocations.recalled_amount IS 'Part of the drawdown drawn against the LP''s recallable distribution balance';
+
+CREATE INDEX IF NOT EXISTS idx_distributions_recallable
+ON distributions(structure_id, distribution_date)
+WHERE recallable_amount > 0;
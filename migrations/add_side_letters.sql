@@ -0,0 +1,153 @@
+-- Side letters and MFN elections
+-- Investor-specific terms are recorded as side letters made of structured provisions (fee
+-- discounts, reporting, excusal, co-invest and transfer rights). Each provision carries an
+-- applicability rule that decides which other LPs may elect it under their most-favoured-nation
+-- (MFN) rights, based on commitment size and investor type. The GP runs an MFN election window
+-- per structure: LPs are offered the provisions they are entitled to, elect or decline them,
+-- and offers still open when the window closes lapse. Fee discounts from an LP's own executed
+-- side letter and from its MFN elections drive the management fee on capital call allocations.
+
+-- ==========================================
+-- Side letters
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS side_letters (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+    structure_id UUID NOT NULL REFERENCES structures(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+
+    title VARCHAR(255),
+    status VARCHAR(20) NOT NULL DEFAULT 'draft',
+    effective_date DATE,
+    executed_at TIMESTAMP WITH TIME ZONE,
+    terminated_at TIMESTAMP WITH TIME ZONE,
+    document_url TEXT,
+    notes TEXT,
+
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_side_letters_structure ON side_letters(structure_id, status);
+CREATE INDEX IF NOT EXISTS idx_side_letters_user ON side_letters(user_id);
+
+-- ==========================================
+-- Provisions
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS side_letter_provisions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+    side_letter_id UUID NOT NULL REFERENCES side_letters(id) ON DELETE CASCADE,
+    structure_id UUID NOT NULL REFERENCES structures(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+
+    provision_type VARCHAR(30) NOT NULL,
+    description TEXT NOT NULL,
+    terms JSONB NOT NULL DEFAULT '{}'::jsonb,
+    applicability JSONB NOT NULL DEFAULT '{"mfn": "commitment_tier"}'::jsonb,
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_side_letter_provisions_letter ON side_letter_provisions(side_letter_id);
+CREATE INDEX IF NOT EXISTS idx_side_letter_provisions_structure ON side_letter_provisions(structure_id, provision_type);
+
+-- ==========================================
+-- MFN elections
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS mfn_elections (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+    structure_id UUID NOT NULL REFERENCES structures(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    provision_id UUID NOT NULL REFERENCES side_letter_provisions(id) ON DELETE CASCADE,
+
+    status VARCHAR(20) NOT NULL DEFAULT 'offered',
+    offered_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    window_closes_on DATE NOT NULL,
+    decided_at TIMESTAMP WITH TIME ZONE,
+    decided_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    effective_date DATE,
+    notes TEXT,
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    UNIQUE (user_id, provision_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_mfn_elections_structure ON mfn_elections(structure_id, status);
+CREATE INDEX IF NOT EXISTS idx_mfn_elections_user ON mfn_elections(user_id);
+
+-- ==========================================
+-- Election window on structures
+-- ==========================================
+
+ALTER TABLE structures
+ADD COLUMN IF NOT EXISTS mfn_election_window JSONB;
+
+COMMENT ON COLUMN structures.mfn_election_window IS 'Current MFN election window: opensOn, closesOn, status (open or closed), offers made and who opened and closed it';
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conname = 'side_letters_status_check'
+    ) THEN
+        ALTER TABLE side_letters
+        ADD CONSTRAINT side_letters_status_check
+        CHECK (status IN ('draft', 'executed', 'terminated'));
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conname = 'side_letter_provisions_type_check'
+    ) THEN
+        ALTER TABLE side_letter_provisions
+        ADD CONSTRAINT side_letter_provisions_type_check
+        CHECK (provision_type IN ('fee_discount', 'reporting_rights', 'excusal_rights', 'co_invest_rights', 'transfer_rights'));
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conname = 'mfn_elections_status_check'
+    ) THEN
+        ALTER TABLE mfn_elections
+        ADD CONSTRAINT mfn_elections_status_check
+        CHECK (status IN ('offered', 'elected', 'declined', 'lapsed'));
+    END IF;
+END $$;
+
+DROP TRIGGER IF EXISTS update_side_letters_updated_at ON side_letters;
+CREATE TRIGGER update_side_letters_updated_at
+    BEFORE UPDATE ON side_letters
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_side_letter_provisions_updated_at ON side_letter_provisions;
+CREATE TRIGGER update_side_letter_provisions_updated_at
+    BEFORE UPDATE ON side_letter_provisions
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_mfn_elections_updated_at ON mfn_elections;
+CREATE TRIGGER update_mfn_elections_updated_at
+    BEFORE UPDATE ON mfn_elections
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE side_letters IS 'Side letters agreed with an LP of a structure';
+COMMENT ON COLUMN side_letters.status IS 'draft, executed or terminated; only executed letters grant provisions';
+COMMENT ON TABLE side_letter_provisions IS 'Structured provisions granted by a side letter';
+COMMENT ON COLUMN side_letter_provisions.user_id IS 'LP the side letter was granted to';
+COMMENT ON COLUMN side_letter_provisions.provision_type IS 'fee_discount, reporting_rights, excusal_rights, co_invest_rights or transfer_rights';
+COMMENT ON COLUMN side_letter_provisions.terms IS 'Provision terms, e.g. { discountPercent } for fee discounts or { frequency, reports } for reporting rights';
+COMMENT ON COLUMN side_letter_provisions.applicability IS 'MFN applicability rule: mfn (commitment_tier, all_investors or excluded), optional minCommitment and investorTypes';
+COMMENT ON TABLE mfn_elections IS 'Provisions offered to an LP under its MFN rights and the LP''s election';
+COMMENT ON COLUMN mfn_elections.status IS 'offered, elected, declined or lapsed (not decided when the window closed)';
+COMMENT ON COLUMN mfn_elections.effective_date IS 'Date an elected provision applies from';
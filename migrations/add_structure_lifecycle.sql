@@ -0,0 +1,47 @@
+-- Structure lifecycle
+-- A structure moves through fundraising -> investment_period -> harvesting -> extension ->
+-- liquidation. Stage changes, term extension requests and approvals, and the GP's term
+-- milestone notices are recorded in approval_history (item_type 'structure').
+-- The free-form status column is left as is. After the investment period, capital calls must
+-- be follow-ons in an existing investment or be marked as fees or expenses (call_type).
+
+ALTER TABLE structures
+ADD COLUMN IF NOT EXISTS lifecycle_stage VARCHAR(30) DEFAULT 'fundraising';
+
+ALTER TABLE structures
+ADD COLUMN IF NOT EXISTS lifecycle_stage_changed_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE structures
+ADD COLUMN IF NOT EXISTS investment_period_years DECIMAL(5, 2);
+
+ALTER TABLE structures
+ADD COLUMN IF NOT EXISTS investment_period_end_date DATE;
+
+ALTER TABLE structures
+ADD COLUMN IF NOT EXISTS extension_years_used DECIMAL(5, 2) DEFAULT 0;
+
+ALTER TABLE structures
+ADD COLUMN IF NOT EXISTS extension_request JSONB;
+
+ALTER TABLE capital_calls
+ADD COLUMN IF NOT EXISTS call_type VARCHAR(30) DEFAULT 'standard';
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conname = 'structures_lifecycle_stage_check'
+    ) THEN
+        ALTER TABLE structures
+        ADD CONSTRAINT structures_lifecycle_stage_check
+        CHECK (lifecycle_stage IN ('fundraising', 'investment_period', 'harvesting', 'extension', 'liquidation'));
+    END IF;
+END $$;
+
+COMMENT ON COLUMN structures.lifecycle_stage IS 'fundraising, investment_period, harvesting, extension or liquidation';
+COMMENT ON COLUMN structures.investment_period_years IS 'Length of the investment period from the inception date';
+COMMENT ON COLUMN structures.investment_period_end_date IS 'End of the investment period (overrides investment_period_years; set when the period is ended early)';
+COMMENT ON COLUMN structures.extension_years_used IS 'Term extension years approved so far, out of extension_years';
+COMMENT ON COLUMN structures.extension_request IS 'Pending term extension awaiting Root approval: years, reason, proposed term end date, requester';
+COMMENT ON COLUMN structures.final_date IS 'End of the fund term, including approved extensions';
+COMMENT ON COLUMN capital_calls.call_type IS 'standard, equalization (catch-up call for a late-admitted LP), fees or expenses (callable after the investment period without an investment)';
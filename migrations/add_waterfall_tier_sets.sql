@@ -0,0 +1,27 @@
+-- Versioned waterfall tier sets
+-- Each version is an immutable snapshot of a structure's active tiers with the date it takes
+-- effect (e.g. an LPA amendment). Waterfalls use the version in effect on the distribution date,
+-- and applied distributions are pinned to the version they were calculated with.
+
+CREATE TABLE IF NOT EXISTS waterfall_tier_sets (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  structure_id UUID NOT NULL REFERENCES structures(id) ON DELETE CASCADE,
+  version_number INTEGER NOT NULL,
+  effective_date DATE NOT NULL,
+  tiers JSONB NOT NULL DEFAULT '[]'::jsonb,
+  description TEXT,
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (structure_id, version_number)
+);
+
+COMMENT ON TABLE waterfall_tier_sets IS 'Immutable versions of a structure''s waterfall tiers with their effective dates';
+COMMENT ON COLUMN waterfall_tier_sets.tiers IS 'Snapshot of the active tiers: tierNumber, tierName, lpSharePercent, gpSharePercent, thresholdAmount, thresholdIrr, description';
+COMMENT ON COLUMN waterfall_tier_sets.effective_date IS 'Distributions on or after this date use this version until a later one takes effect';
+
+CREATE INDEX IF NOT EXISTS idx_waterfall_tier_sets_effective ON waterfall_tier_sets(structure_id, effective_date);
+
+ALTER TABLE distributions
+ADD COLUMN IF NOT EXISTS waterfall_tier_set_id UUID REFERENCES waterfall_tier_sets(id);
+
+COMMENT ON COLUMN distributions.waterfall_tier_set_id IS 'Tier set version the waterfall was calculated with (NULL when calculated with the live tiers)';
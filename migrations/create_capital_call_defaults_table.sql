@@ -0,0 +1,129 @@
+-- Capital call default management
+-- Adds a per-structure default policy (grace/cure periods, late interest, penalty, remedies),
+-- a default status on structure investors, and a capital_call_defaults table that tracks
+-- late interest accrual, escalation and GP remedies for each unpaid allocation
+
+-- ==========================================
+-- Default policy on structures
+-- ==========================================
+
+ALTER TABLE structures
+ADD COLUMN IF NOT EXISTS default_grace_period_days INTEGER DEFAULT 0;
+
+ALTER TABLE structures
+ADD COLUMN IF NOT EXISTS default_cure_period_days INTEGER DEFAULT 10;
+
+ALTER TABLE structures
+ADD COLUMN IF NOT EXISTS late_interest_rate DECIMAL(7, 4) DEFAULT 0;
+
+ALTER TABLE structures
+ADD COLUMN IF NOT EXISTS default_penalty_rate DECIMAL(7, 4) DEFAULT 0;
+
+ALTER TABLE structures
+ADD COLUMN IF NOT EXISTS default_remedies JSONB DEFAULT '["forfeiture", "forced_sale", "distribution_offset", "suspension"]'::jsonb;
+
+COMMENT ON COLUMN structures.default_grace_period_days IS 'Days after the payment deadline before an unpaid investor is declared in default';
+COMMENT ON COLUMN structures.default_cure_period_days IS 'Days after the default notice the investor has to cure before remedies may be applied';
+COMMENT ON COLUMN structures.late_interest_rate IS 'Annual simple interest rate (%) accrued daily on overdue capital call amounts';
+COMMENT ON COLUMN structures.default_penalty_rate IS 'One-time penalty (%) of the outstanding amount charged when an investor is declared in default';
+COMMENT ON COLUMN structures.default_remedies IS 'Remedies the LPA allows the GP to apply: forfeiture, forced_sale, distribution_offset, suspension';
+
+-- ==========================================
+-- Investor default status
+-- ==========================================
+
+ALTER TABLE structure_investors
+ADD COLUMN IF NOT EXISTS default_status VARCHAR(20) DEFAULT 'good_standing';
+
+COMMENT ON COLUMN structure_investors.default_status IS 'Investor standing in the structure: good_standing or in_default';
+
+-- ==========================================
+-- Capital call defaults
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS capital_call_defaults (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+    -- References
+    capital_call_id UUID NOT NULL REFERENCES capital_calls(id) ON DELETE CASCADE,
+    allocation_id UUID NOT NULL REFERENCES capital_call_allocations(id) ON DELETE CASCADE,
+    structure_id UUID NOT NULL,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+
+    -- Escalation
+    status VARCHAR(30) NOT NULL DEFAULT 'late',
+    deadline_date DATE NOT NULL,
+    default_date DATE,
+    cure_deadline DATE,
+    days_past_due INTEGER DEFAULT 0,
+    outstanding_amount DECIMAL(20, 2) DEFAULT 0,
+
+    -- Late interest
+    late_interest_rate DECIMAL(7, 4) DEFAULT 0,
+    accrued_interest DECIMAL(20, 2) DEFAULT 0,
+    interest_accrued_through DATE,
+    interest_waived BOOLEAN DEFAULT FALSE,
+
+    -- Penalty
+    penalty_amount DECIMAL(20, 2) DEFAULT 0,
+    penalty_waived BOOLEAN DEFAULT FALSE,
+
+    -- Remedy
+    remedy VARCHAR(30),
+    remedy_amount DECIMAL(20, 2) DEFAULT 0,
+    remedy_date DATE,
+    remedy_notes TEXT,
+
+    resolved_at TIMESTAMP WITH TIME ZONE,
+
+    -- Timestamps
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CONSTRAINT capital_call_defaults_allocation_unique UNIQUE (allocation_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_capital_call_defaults_structure ON capital_call_defaults(structure_id, status);
+CREATE INDEX IF NOT EXISTS idx_capital_call_defaults_user ON capital_call_defaults(user_id, structure_id);
+CREATE INDEX IF NOT EXISTS idx_capital_call_defaults_call ON capital_call_defaults(capital_call_id);
+CREATE INDEX IF NOT EXISTS idx_capital_call_defaults_status ON capital_call_defaults(status);
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conname = 'capital_call_defaults_status_check'
+    ) THEN
+        ALTER TABLE capital_call_defaults
+        ADD CONSTRAINT capital_call_defaults_status_check
+        CHECK (status IN ('late', 'in_default', 'remedy_eligible', 'remedy_applied', 'cured'));
+    END IF;
+END $$;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conname = 'capital_call_defaults_remedy_check'
+    ) THEN
+        ALTER TABLE capital_call_defaults
+        ADD CONSTRAINT capital_call_defaults_remedy_check
+        CHECK (remedy IS NULL OR remedy IN ('forfeiture', 'forced_sale', 'distribution_offset', 'suspension'));
+    END IF;
+END $$;
+
+DROP TRIGGER IF EXISTS update_capital_call_defaults_updated_at ON capital_call_defaults;
+CREATE TRIGGER update_capital_call_defaults_updated_at
+    BEFORE UPDATE ON capital_call_defaults
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE capital_call_defaults IS 'Late payment and default tracking for unpaid capital call allocations';
+COMMENT ON COLUMN capital_call_defaults.status IS 'Escalation step: late, in_default, remedy_eligible, remedy_applied, or cured';
+COMMENT ON COLUMN capital_call_defaults.default_date IS 'Date the investor was declared in default (deadline + grace period)';
+COMMENT ON COLUMN capital_call_defaults.cure_deadline IS 'Last day to cure before the GP may apply remedies';
+COMMENT ON COLUMN capital_call_defaults.accrued_interest IS 'Late interest accrued from the deadline on the outstanding amount';
+COMMENT ON COLUMN capital_call_defaults.interest_accrued_through IS 'Last date late interest was accrued through (keeps daily accrual idempotent)';
+COMMENT ON COLUMN capital_call_defaults.penalty_amount IS 'Default penalty charged when the investor was declared in default';
+COMMENT ON COLUMN capital_call_defaults.remedy IS 'Remedy applied by the GP: forfeiture, forced_sale, distribution_offset, or suspension';
+COMMENT ON COLUMN capital_call_defaults.remedy_amount IS 'Amount forfeited, sold, or offset against distributions by the remedy';
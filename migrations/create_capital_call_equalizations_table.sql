@@ -0,0 +1,88 @@
+-- Subsequent-close equalization
+-- Tracks catch-up contributions owed by LPs admitted after capital calls have gone out,
+-- the equalization interest they pay, and the pro-rata refunds owed to existing LPs
+
+-- ==========================================
+-- Equalization settings
+-- ==========================================
+
+ALTER TABLE structures
+ADD COLUMN IF NOT EXISTS equalization_interest_rate DECIMAL(7, 4) DEFAULT 0;
+
+COMMENT ON COLUMN structures.equalization_interest_rate IS 'Annual simple interest rate (%) charged to late-admitted LPs on catch-up contributions';
+
+-- Capital call type distinguishes regular drawdowns from equalization calls
+ALTER TABLE capital_calls
+ADD COLUMN IF NOT EXISTS call_type VARCHAR(30) DEFAULT 'standard';
+
+COMMENT ON COLUMN capital_calls.call_type IS 'standard or equalization (catch-up call for a late-admitted LP)';
+
+-- Equalization interest is charged on top of the catch-up principal and fees
+ALTER TABLE capital_call_allocations
+ADD COLUMN IF NOT EXISTS equalization_interest DECIMAL(20, 2) DEFAULT 0;
+
+COMMENT ON COLUMN capital_call_allocations.equalization_interest IS 'Equalization interest owed by a late-admitted LP (not counted toward commitment)';
+
+-- ==========================================
+-- Equalizations
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS capital_call_equalizations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+    -- References
+    structure_id UUID NOT NULL,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    capital_call_id UUID REFERENCES capital_calls(id) ON DELETE SET NULL,
+
+    -- Inputs
+    equalization_date DATE NOT NULL,
+    commitment DECIMAL(20, 2) NOT NULL,
+    interest_rate DECIMAL(7, 4) DEFAULT 0,
+
+    -- Catch-up owed by the new LP
+    catch_up_principal DECIMAL(20, 2) DEFAULT 0,
+    catch_up_fees DECIMAL(20, 2) DEFAULT 0,
+    catch_up_vat DECIMAL(20, 2) DEFAULT 0,
+    equalization_interest DECIMAL(20, 2) DEFAULT 0,
+    total_due DECIMAL(20, 2) DEFAULT 0,
+
+    -- Breakdown per prior call and refunds per existing LP
+    prior_calls JSONB DEFAULT '[]'::jsonb,
+    refunds JSONB DEFAULT '[]'::jsonb,
+
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    settled_at TIMESTAMP WITH TIME ZONE,
+
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_capital_call_equalizations_structure ON capital_call_equalizations(structure_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_capital_call_equalizations_user ON capital_call_equalizations(user_id, structure_id);
+CREATE INDEX IF NOT EXISTS idx_capital_call_equalizations_call ON capital_call_equalizations(capital_call_id);
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conname = 'capital_call_equalizations_status_check'
+    ) THEN
+        ALTER TABLE capital_call_equalizations
+        ADD CONSTRAINT capital_call_equalizations_status_check
+        CHECK (status IN ('pending', 'settled'));
+    END IF;
+END $$;
+
+DROP TRIGGER IF EXISTS update_capital_call_equalizations_updated_at ON capital_call_equalizations;
+CREATE TRIGGER update_capital_call_equalizations_updated_at
+    BEFORE UPDATE ON capital_call_equalizations
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE capital_call_equalizations IS 'Subsequent-close equalizations for LPs admitted after prior capital calls';
+COMMENT ON COLUMN capital_call_equalizations.capital_call_id IS 'Equalization capital call issued to the new LP';
+COMMENT ON COLUMN capital_call_equalizations.prior_calls IS 'Per prior call: called percent, catch-up principal/fees, interest days and interest';
+COMMENT ON COLUMN capital_call_equalizations.refunds IS 'Per existing LP: share of catch-up principal and equalization interest refunded (recorded as capital_call_credits refunds on settlement)';
+COMMENT ON COLUMN capital_call_equalizations.status IS 'pending until the new LP has paid and refunds are released, then settled';
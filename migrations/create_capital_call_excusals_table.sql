@@ -0,0 +1,111 @@
+-- Investor excuse and exclusion rights
+-- LPs can be excused (at their request, e.g. ESG or regulatory) or excluded (by the GP)
+-- from a specific capital call or from every call funding a given investment.
+-- Their share of the call is reallocated across the remaining LPs per a configurable rule.
+
+-- ==========================================
+-- Reallocation rule
+-- ==========================================
+
+ALTER TABLE structures
+ADD COLUMN IF NOT EXISTS excusal_reallocation_rule VARCHAR(30) DEFAULT 'pro_rata_ownership';
+
+-- Optional per-call override of the structure rule
+ALTER TABLE capital_calls
+ADD COLUMN IF NOT EXISTS excusal_reallocation_rule VARCHAR(30);
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conname = 'structures_excusal_reallocation_rule_check'
+    ) THEN
+        ALTER TABLE structures
+        ADD CONSTRAINT structures_excusal_reallocation_rule_check
+        CHECK (excusal_reallocation_rule IN ('pro_rata_ownership', 'pro_rata_unfunded', 'none'));
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conname = 'capital_calls_excusal_reallocation_rule_check'
+    ) THEN
+        ALTER TABLE capital_calls
+        ADD CONSTRAINT capital_calls_excusal_reallocation_rule_check
+        CHECK (excusal_reallocation_rule IS NULL OR excusal_reallocation_rule IN ('pro_rata_ownership', 'pro_rata_unfunded', 'none'));
+    END IF;
+END $$;
+
+COMMENT ON COLUMN structures.excusal_reallocation_rule IS 'How an excused LP share is reallocated: pro_rata_ownership, pro_rata_unfunded (remaining unfunded commitment) or none (call is reduced)';
+COMMENT ON COLUMN capital_calls.excusal_reallocation_rule IS 'Overrides structures.excusal_reallocation_rule for this call when set';
+
+-- ==========================================
+-- Allocation excusal breakdown
+-- ==========================================
+
+ALTER TABLE capital_call_allocations
+ADD COLUMN IF NOT EXISTS excusal_type VARCHAR(20),
+ADD COLUMN IF NOT EXISTS excusal_reason TEXT,
+ADD COLUMN IF NOT EXISTS excused_amount DECIMAL(20, 2) DEFAULT 0,
+ADD COLUMN IF NOT EXISTS reallocated_amount DECIMAL(20, 2) DEFAULT 0;
+
+COMMENT ON COLUMN capital_call_allocations.excusal_type IS 'excused or excluded when the LP did not participate in this call';
+COMMENT ON COLUMN capital_call_allocations.excused_amount IS 'Pro-rata principal the excused/excluded LP would otherwise have been called for';
+COMMENT ON COLUMN capital_call_allocations.reallocated_amount IS 'Principal picked up from excused/excluded LPs (included in principal_amount)';
+
+-- ==========================================
+-- Excusals
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS capital_call_excusals (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+    structure_id UUID NOT NULL,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+
+    -- Scope: a single capital call, or every call for an investment
+    capital_call_id UUID REFERENCES capital_calls(id) ON DELETE CASCADE,
+    investment_id UUID,
+
+    excusal_type VARCHAR(20) NOT NULL DEFAULT 'excused',
+    reason TEXT,
+
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_capital_call_excusals_structure ON capital_call_excusals(structure_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_capital_call_excusals_call_user
+    ON capital_call_excusals(capital_call_id, user_id) WHERE capital_call_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_capital_call_excusals_investment_user
+    ON capital_call_excusals(investment_id, user_id) WHERE investment_id IS NOT NULL;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conname = 'capital_call_excusals_type_check'
+    ) THEN
+        ALTER TABLE capital_call_excusals
+        ADD CONSTRAINT capital_call_excusals_type_check
+        CHECK (excusal_type IN ('excused', 'excluded'));
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conname = 'capital_call_excusals_scope_check'
+    ) THEN
+        ALTER TABLE capital_call_excusals
+        ADD CONSTRAINT capital_call_excusals_scope_check
+        CHECK ((capital_call_id IS NULL) <> (investment_id IS NULL));
+    END IF;
+END $$;
+
+DROP TRIGGER IF EXISTS update_capital_call_excusals_updated_at ON capital_call_excusals;
+CREATE TRIGGER update_capital_call_excusals_updated_at
+    BEFORE UPDATE ON capital_call_excusals
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE capital_call_excusals IS 'LPs excused or excluded from a capital call or from all calls for an investment';
+COMMENT ON COLUMN capital_call_excusals.excusal_type IS 'excused (LP right, e.g. ESG/regulatory) or excluded (GP decision)';
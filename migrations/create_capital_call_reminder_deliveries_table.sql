@@ -0,0 +1,60 @@
+-- Capital call reminder delivery ledger
+-- Every notice/reminder email is claimed here before it is sent, so cron retries, a second
+-- instance or a manual trigger on the same day cannot email an LP twice, and catch-up runs
+-- can tell which reminders were missed while the service was down
+
+CREATE TABLE IF NOT EXISTS capital_call_reminder_deliveries (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+    capital_call_id UUID NOT NULL REFERENCES capital_calls(id) ON DELETE CASCADE,
+    -- NULL for per-call summaries sent to advisors / GP ops
+    allocation_id UUID REFERENCES capital_call_allocations(id) ON DELETE CASCADE,
+    structure_id UUID,
+
+    -- 'notice' or the reminder schedule step key (e.g. deadline-3, deadline+5)
+    reminder_type VARCHAR(50) NOT NULL,
+    -- Date the reminder was due (notice date for notices)
+    scheduled_date DATE NOT NULL,
+
+    recipients JSONB DEFAULT '[]'::jsonb,
+    status VARCHAR(20) NOT NULL DEFAULT 'sending',
+    sent_at TIMESTAMP WITH TIME ZONE,
+    error_message TEXT,
+    catch_up BOOLEAN DEFAULT FALSE,
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- One delivery per call / allocation / reminder type / date; summaries use the nil UUID
+CREATE UNIQUE INDEX IF NOT EXISTS idx_capital_call_reminder_deliveries_unique
+    ON capital_call_reminder_deliveries (
+        capital_call_id,
+        COALESCE(allocation_id, '00000000-0000-0000-0000-000000000000'::uuid),
+        reminder_type,
+        scheduled_date
+    );
+
+CREATE INDEX IF NOT EXISTS idx_capital_call_reminder_deliveries_call ON capital_call_reminder_deliveries(capital_call_id, created_at DESC);
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conname = 'capital_call_reminder_deliveries_status_check'
+    ) THEN
+        ALTER TABLE capital_call_reminder_deliveries
+        ADD CONSTRAINT capital_call_reminder_deliveries_status_check
+        CHECK (status IN ('sending', 'sent', 'failed'));
+    END IF;
+END $$;
+
+DROP TRIGGER IF EXISTS update_capital_call_reminder_deliveries_updated_at ON capital_call_reminder_deliveries;
+CREATE TRIGGER update_capital_call_reminder_deliveries_updated_at
+    BEFORE UPDATE ON capital_call_reminder_deliveries
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE capital_call_reminder_deliveries IS 'Ledger of capital call notices and reminders sent by the reminder job';
+COMMENT ON COLUMN capital_call_reminder_deliveries.status IS 'sending (claimed, never re-sent), sent, or failed (retried on the next run)';
+COMMENT ON COLUMN capital_call_reminder_deliveries.catch_up IS 'Sent by a catch-up run after the scheduled date';
@@ -0,0 +1,45 @@
+-- Configurable capital call reminder schedules
+-- Replaces the hardcoded notice / 3-day / 1-day / due-today reminders with a per-structure cadence:
+-- arbitrary offsets before and after the payment deadline, per-step recipients (LP, advisors, GP ops),
+-- an optional post-deadline escalation and a business-day calendar
+
+CREATE TABLE IF NOT EXISTS capital_call_reminder_schedules (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    structure_id UUID NOT NULL UNIQUE REFERENCES structures(id) ON DELETE CASCADE,
+
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+
+    -- Reminder steps, e.g. [{ "key": "deadline-3", "offsetDays": -3, "recipients": ["lp"], "escalation": false }]
+    steps JSONB NOT NULL DEFAULT '[]'::jsonb,
+    notice_recipients JSONB NOT NULL DEFAULT '["lp"]'::jsonb,
+
+    -- Business-day calendar
+    business_days_only BOOLEAN NOT NULL DEFAULT TRUE,
+    holidays JSONB NOT NULL DEFAULT '[]'::jsonb,
+
+    -- Non-LP recipients
+    advisor_emails JSONB NOT NULL DEFAULT '[]'::jsonb,
+    gp_ops_emails JSONB NOT NULL DEFAULT '[]'::jsonb,
+
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+DROP TRIGGER IF EXISTS update_capital_call_reminder_schedules_updated_at ON capital_call_reminder_schedules;
+CREATE TRIGGER update_capital_call_reminder_schedules_updated_at
+    BEFORE UPDATE ON capital_call_reminder_schedules
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Notice and reminder jobs look calls up by date windows rather than exact dates
+CREATE INDEX IF NOT EXISTS idx_capital_calls_notice_date ON capital_calls(notice_date) WHERE status = 'Draft';
+CREATE INDEX IF NOT EXISTS idx_capital_calls_deadline_date ON capital_calls(deadline_date) WHERE status IN ('Sent', 'Partially Paid');
+
+COMMENT ON TABLE capital_call_reminder_schedules IS 'Per-structure capital call reminder cadence used by the reminder cron job';
+COMMENT ON COLUMN capital_call_reminder_schedules.steps IS 'Reminder steps relative to the payment deadline: key, name, offsetDays (negative = before), recipients, escalation, subject, message, enabled';
+COMMENT ON COLUMN capital_call_reminder_schedules.notice_recipients IS 'Recipients of the capital call notice sent on the notice date (lp, advisors, gp_ops)';
+COMMENT ON COLUMN capital_call_reminder_schedules.business_days_only IS 'Count offsets in business days and never send on weekends or holidays';
+COMMENT ON COLUMN capital_call_reminder_schedules.holidays IS 'Non-business dates (YYYY-MM-DD) for the fund calendar';
+COMMENT ON COLUMN capital_call_reminder_schedules.advisor_emails IS 'Advisor addresses that receive a per-call summary of outstanding LPs';
+COMMENT ON COLUMN capital_call_reminder_schedules.gp_ops_emails IS 'GP operations addresses that receive a per-call summary (falls back to structure admins)';
@@ -28,6 +28,8 @@ const { isDevelopment } = require('./utils/helpers');
 
 const { connectDB } = require('./config/database');
 const { initCapitalCallRemindersCron } = require('./jobs/capitalCallReminders');
+const { initCapitalCallDefaultsCron } = require('./jobs/capitalCallDefaults');
+const { initStructureLifecycleCron } = require('./jobs/structureLifecycle');
 
 // Initialize Express app
 const app = express();
@@ -318,6 +320,8 @@ app.listen(PORT, async () => {
 
   // Initialize cron jobs
   initCapitalCallRemindersCron();
+  initCapitalCallDefaultsCron();
+  initStructureLifecycleCron();
   console.log('✅ Cron jobs initialized');
   // Log environment variables status (without exposing values)
   if (isDevelopment()) {
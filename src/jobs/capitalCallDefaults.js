@@ -0,0 +1,354 @@
+/**
+ * Capital Call Defaults Cron Job
+ *
+ * Picks up where the reminder job stops: runs daily after the payment deadline and handles:
+ * 1. Opening a late-payment record for every unpaid allocation past its deadline
+ * 2. Accruing late interest daily on the outstanding amount (structure late interest rate)
+ * 3. Escalating late -> in_default (after grace period) -> remedy_eligible (after cure period)
+ * 4. Charging the default penalty and sending the default notice when an investor defaults
+ * 5. Marking defaults as cured once the allocation is paid in full
+ *
+ * Every escalation is recorded in ApprovalHistory under the 'capital_call_default' entity.
+ */
+
+const cron = require('node-cron');
+const CapitalCall = require('../models/supabase/capitalCall');
+const CapitalCallDefault = require('../models/supabase/capitalCallDefault');
+const ApprovalHistory = require('../models/supabase/approvalHistory');
+const { sendEmail } = require('../utils/emailSender');
+
+// Email template configurations
+const EMAIL_TEMPLATES = {
+  defaultNotice: {
+    subject: (fundName, callNumber) => `Notice of Default: Capital Call #${callNumber} - ${fundName}`,
+    getHtml: (data) => `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #dc2626;">Notice of Default</h2>
+        <p>Dear ${data.investorName},</p>
+        <p>Your payment for Capital Call #${data.callNumber} of <strong>${data.fundName}</strong> was due on ${data.deadlineDate} and remains unpaid. Under the terms of the partnership agreement you are now a <strong>Defaulting Investor</strong>.</p>
+
+        <div style="background-color: #fee2e2; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #dc2626;">
+          <h3 style="margin-top: 0; color: #991b1b;">Amounts Due</h3>
+          <p><strong>Amount Outstanding:</strong> ${data.currency} ${data.outstandingAmount.toLocaleString()}</p>
+          <p><strong>Late Interest Accrued:</strong> ${data.currency} ${data.accruedInterest.toLocaleString()}</p>
+          <p><strong>Default Penalty:</strong> ${data.currency} ${data.penaltyAmount.toLocaleString()}</p>
+          <p><strong>Cure Deadline:</strong> ${data.cureDeadline}</p>
+        </div>
+
+        <p>Late interest continues to accrue until payment is received. If the default is not cured by the cure deadline, the General Partner may exercise the remedies available under the partnership agreement, including forfeiture or forced sale of your interest.</p>
+
+        <p><a href="${data.portalUrl}" style="display: inline-block; background-color: #dc2626; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px;">Make Payment Now</a></p>
+
+        <p>If you have already submitted your payment, please contact your fund administrator.</p>
+
+        <p>Best regards,<br>${data.fundName} Administration</p>
+      </div>
+    `,
+    getText: (data) => `
+Notice of Default
+
+Dear ${data.investorName},
+
+Your payment for Capital Call #${data.callNumber} of ${data.fundName} was due on ${data.deadlineDate} and remains unpaid. Under the terms of the partnership agreement you are now a Defaulting Investor.
+
+Amounts Due:
+- Amount Outstanding: ${data.currency} ${data.outstandingAmount.toLocaleString()}
+- Late Interest Accrued: ${data.currency} ${data.accruedInterest.toLocaleString()}
+- Default Penalty: ${data.currency} ${data.penaltyAmount.toLocaleString()}
+- Cure Deadline: ${data.cureDeadline}
+
+Late interest continues to accrue until payment is received. If the default is not cured by the cure deadline, the General Partner may exercise the remedies available under the partnership agreement, including forfeiture or forced sale of your interest.
+
+Make payment at: ${data.portalUrl}
+
+If you have already submitted your payment, please contact your fund administrator.
+
+Best regards,
+${data.fundName} Administration
+    `
+  }
+};
+
+/**
+ * Format date for display
+ */
+function formatDate(dateStr) {
+  const date = new Date(`${String(dateStr).split('T')[0]}T00:00:00Z`);
+  return date.toLocaleDateString('en-US', {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    timeZone: 'UTC'
+  });
+}
+
+/**
+ * Record a system escalation step in the approval history
+ */
+async function logDefaultAction(record, action, fromStatus, toStatus, notes, metadata = {}) {
+  try {
+    await ApprovalHistory.logAction({
+      entityType: 'capital_call_default',
+      entityId: record.id,
+      action,
+      fromStatus,
+      toStatus,
+      userId: null,
+      userName: 'System',
+      notes,
+      metadata: {
+        capitalCallId: record.capitalCallId,
+        allocationId: record.allocationId,
+        investorId: record.userId,
+        ...metadata
+      }
+    });
+  } catch (err) {
+    console.error(`[CapitalCallDefaults] Error logging ${action} for default ${record.id}:`, err);
+  }
+}
+
+/**
+ * Send the default notice to the investor
+ */
+async function sendDefaultNotice(call, allocation, record) {
+  if (!allocation.user?.email) {
+    console.warn(`[CapitalCallDefaults] No email for user ${allocation.userId}, skipping default notice`);
+    return;
+  }
+
+  const portalUrl = process.env.FRONTEND_URL || 'https://app.polibit.com';
+  const template = EMAIL_TEMPLATES.defaultNotice;
+  const emailData = {
+    investorName: `${allocation.user.firstName || ''} ${allocation.user.lastName || ''}`.trim() || 'Investor',
+    fundName: call.structure?.name || 'Fund',
+    callNumber: call.callNumber,
+    currency: call.structure?.baseCurrency || 'USD',
+    outstandingAmount: record.outstandingAmount,
+    accruedInterest: record.accruedInterest,
+    penaltyAmount: record.penaltyAmount,
+    deadlineDate: formatDate(record.deadlineDate),
+    cureDeadline: formatDate(record.cureDeadline),
+    portalUrl: `${portalUrl}/lp-portal/capital-calls`
+  };
+
+  await sendEmail(null, {
+    to: [allocation.user.email],
+    subject: template.subject(emailData.fundName, emailData.callNumber),
+    bodyHtml: template.getHtml(emailData),
+    bodyText: template.getText(emailData)
+  });
+
+  console.log(`[CapitalCallDefaults] Sent default notice to user ${allocation.user.id}`);
+}
+
+/**
+ * Accrue interest and escalate a single unpaid allocation
+ * @returns {Object} The updated default record
+ */
+async function processUnpaidAllocation(call, allocation, asOfDate) {
+  const policy = call.structure?.defaultPolicy || {};
+  const deadlineDate = call.deadlineDate;
+  const outstandingAmount = Math.max(0, (parseFloat(allocation.totalDue) || 0) - (parseFloat(allocation.paidAmount) || 0));
+
+  let record = await CapitalCallDefault.findByAllocationId(allocation.id);
+
+  // Remedies already applied or default cured - nothing left to accrue
+  if (record && !CapitalCallDefault.OPEN_STATUSES.includes(record.status)) {
+    return record;
+  }
+
+  if (!record) {
+    record = await CapitalCallDefault.create({
+      capitalCallId: call.id,
+      allocationId: allocation.id,
+      structureId: call.structureId,
+      userId: allocation.userId,
+      status: 'late',
+      deadlineDate,
+      outstandingAmount,
+      lateInterestRate: policy.lateInterestRate || 0,
+      accruedInterest: 0,
+      interestAccruedThrough: deadlineDate
+    });
+
+    await logDefaultAction(record, 'payment_late', null, 'late',
+      `Payment for capital call #${call.callNumber} not received by the deadline`,
+      { outstandingAmount, callNumber: call.callNumber });
+  }
+
+  const escalation = CapitalCallDefault.determineEscalation(deadlineDate, asOfDate, policy);
+  const updates = {
+    daysPastDue: escalation.daysPastDue,
+    outstandingAmount,
+    defaultDate: escalation.defaultDate,
+    cureDeadline: escalation.cureDeadline
+  };
+
+  // Daily accrual: only the days since the last run, so re-running the same day is a no-op
+  const accrueFrom = record.interestAccruedThrough || deadlineDate;
+  const accrualDays = CapitalCallDefault.daysBetween(accrueFrom, asOfDate);
+  if (accrualDays > 0) {
+    if (!record.interestWaived) {
+      const interest = CapitalCallDefault.calculateLateInterest(outstandingAmount, record.lateInterestRate, accrualDays);
+      updates.accruedInterest = Math.round((record.accruedInterest + interest) * 100) / 100;
+    }
+    updates.interestAccruedThrough = asOfDate;
+  }
+
+  const fromStatus = record.status;
+  const escalated = CapitalCallDefault.isEscalation(fromStatus, escalation.status);
+
+  if (escalated) {
+    updates.status = escalation.status;
+
+    // Penalty is charged once, when the investor first goes into default
+    if (fromStatus === 'late' && !record.penaltyWaived && policy.defaultPenaltyRate > 0) {
+      updates.penaltyAmount = Math.round(outstandingAmount * (policy.defaultPenaltyRate / 100) * 100) / 100;
+    }
+  }
+
+  record = await CapitalCallDefault.findByIdAndUpdate(record.id, updates);
+
+  if (escalated) {
+    if (fromStatus === 'late') {
+      await logDefaultAction(record, 'default_declared', fromStatus, 'in_default',
+        `Grace period of ${policy.gracePeriodDays || 0} days expired`,
+        { outstandingAmount, penaltyAmount: record.penaltyAmount, accruedInterest: record.accruedInterest });
+
+      await CapitalCallDefault.refreshInvestorStatus(record.userId, record.structureId);
+
+      try {
+        await sendDefaultNotice(call, allocation, record);
+      } catch (err) {
+        console.error(`[CapitalCallDefaults] Error sending default notice for allocation ${allocation.id}:`, err);
+      }
+    }
+
+    if (record.status === 'remedy_eligible') {
+      await logDefaultAction(record, 'cure_period_expired', fromStatus === 'late' ? 'in_default' : fromStatus, 'remedy_eligible',
+        `Cure period of ${policy.curePeriodDays || 0} days expired; remedies may be applied`,
+        { outstandingAmount, accruedInterest: record.accruedInterest });
+    }
+  }
+
+  return record;
+}
+
+/**
+ * Open, accrue and escalate defaults for every overdue capital call
+ */
+async function processOverdueAllocations(asOfDate) {
+  console.log('[CapitalCallDefaults] Checking for overdue capital calls...');
+
+  try {
+    const overdueCalls = await CapitalCall.findOverdueCalls(asOfDate);
+    console.log(`[CapitalCallDefaults] Found ${overdueCalls.length} overdue capital calls`);
+
+    for (const call of overdueCalls) {
+      try {
+        const unpaidAllocations = await CapitalCall.getUnpaidAllocations(call.id);
+        console.log(`[CapitalCallDefaults] Processing call #${call.callNumber}: ${unpaidAllocations.length} unpaid investors`);
+
+        for (const allocation of unpaidAllocations) {
+          try {
+            await processUnpaidAllocation(call, allocation, asOfDate);
+          } catch (err) {
+            console.error(`[CapitalCallDefaults] Error processing allocation ${allocation.id}:`, err);
+          }
+        }
+      } catch (err) {
+        console.error(`[CapitalCallDefaults] Error processing call ${call.id}:`, err);
+      }
+    }
+  } catch (err) {
+    console.error('[CapitalCallDefaults] Error in processOverdueAllocations:', err);
+  }
+}
+
+/**
+ * Close open defaults whose allocation has since been paid in full
+ */
+async function processCuredDefaults() {
+  console.log('[CapitalCallDefaults] Checking for cured defaults...');
+
+  try {
+    const openDefaults = await CapitalCallDefault.findOpen();
+
+    for (const record of openDefaults) {
+      const allocation = record.allocation;
+      if (!allocation) continue;
+
+      const isPaid = allocation.status === 'Paid' || allocation.totalDue - allocation.paidAmount <= 0.01;
+      if (!isPaid) continue;
+
+      try {
+        const cured = await CapitalCallDefault.findByIdAndUpdate(record.id, {
+          status: 'cured',
+          outstandingAmount: 0,
+          resolvedAt: new Date().toISOString()
+        });
+
+        await logDefaultAction(cured, 'default_cured', record.status, 'cured',
+          'Outstanding capital call amount paid in full',
+          { accruedInterest: record.accruedInterest, penaltyAmount: record.penaltyAmount });
+
+        await CapitalCallDefault.refreshInvestorStatus(record.userId, record.structureId);
+        console.log(`[CapitalCallDefaults] Default ${record.id} cured`);
+      } catch (err) {
+        console.error(`[CapitalCallDefaults] Error curing default ${record.id}:`, err);
+      }
+    }
+  } catch (err) {
+    console.error('[CapitalCallDefaults] Error in processCuredDefaults:', err);
+  }
+}
+
+/**
+ * Main job function - runs all default checks
+ * @param {string} asOfDate - Optional evaluation date (YYYY-MM-DD), defaults to today
+ */
+async function runCapitalCallDefaultJob(asOfDate) {
+  const evaluationDate = asOfDate || new Date().toISOString().split('T')[0];
+
+  console.log('\n========================================');
+  console.log('[CapitalCallDefaults] Starting daily job...');
+  console.log(`[CapitalCallDefaults] Evaluation date: ${evaluationDate}`);
+  console.log('========================================\n');
+
+  // 1. Cure defaults that have been paid since the last run
+  await processCuredDefaults();
+
+  // 2. Accrue late interest and escalate unpaid allocations past the deadline
+  await processOverdueAllocations(evaluationDate);
+
+  console.log('\n========================================');
+  console.log('[CapitalCallDefaults] Daily job completed');
+  console.log('========================================\n');
+}
+
+/**
+ * Initialize the cron job
+ * Runs daily at 8:30 AM server time, after the reminder job
+ */
+function initCapitalCallDefaultsCron() {
+  // Schedule: At 8:30 AM every day
+  // Cron format: minute hour day-of-month month day-of-week
+  const schedule = '30 8 * * *';
+
+  cron.schedule(schedule, async () => {
+    await runCapitalCallDefaultJob();
+  });
+
+  console.log('[CapitalCallDefaults] Cron job initialized - runs daily at 8:30 AM');
+
+  return {
+    runNow: runCapitalCallDefaultJob
+  };
+}
+
+module.exports = {
+  initCapitalCallDefaultsCron,
+  runCapitalCallDefaultJob
+};
@@ -3,16 +3,34 @@
  *
  * This job runs daily and handles:
  * 1. Sending capital call notices on the notice date
- * 2. Sending payment reminders 3 days before deadline
- * 3. Sending payment reminders 1 day before deadline
- * 4. Sending final reminders on the deadline date
+ * 2. Sending the payment reminders of each structure's reminder schedule
+ *    (offsets before/after the deadline, per-step recipients, optional escalation)
  *
+ * Structures without a schedule use the default 3-day / 1-day / deadline-day cadence.
+ * Nothing is sent on weekends or fund holidays when the schedule is business-days-only.
  * Only sends reminders to investors who haven't fully paid.
+ *
+ * Every email is claimed in the capital_call_reminder_deliveries ledger before it is sent, so
+ * retries, concurrent instances and manual triggers never send the same reminder twice.
+ * A catch-up run (catchUpDays) sends the reminders missed while the service was down.
  */
 
 const cron = require('node-cron');
 const CapitalCall = require('../models/supabase/capitalCall');
+const CapitalCallReminderSchedule = require('../models/supabase/capitalCallReminderSchedule');
+const CapitalCallReminderDelivery = require('../models/supabase/capitalCallReminderDelivery');
+const StructureAdmin = require('../models/supabase/structureAdmin');
 const { sendEmail } = require('../utils/emailSender');
+const { snapshotCapitalCallFx, convertAmount } = require('../services/fxService');
+const { formatPaymentReference } = require('../utils/paymentReference');
+const {
+  toDateString,
+  addCalendarDays,
+  addBusinessDays,
+  isBusinessDay,
+  previousBusinessDay,
+  countBusinessDays
+} = require('../utils/businessDays');
 
 // Email template configurations
 const EMAIL_TEMPLATES = {
@@ -35,15 +53,27 @@ const EMAIL_TEMPLATES = {
               <td style="padding: 8px 0; border-bottom: 1px solid #ddd;"><strong>Your Amount Due:</strong></td>
               <td style="padding: 8px 0; border-bottom: 1px solid #ddd; color: #2563eb; font-weight: bold;">${data.currency} ${data.amountDue.toLocaleString()}</td>
             </tr>
+            ${data.paymentAmountText ? `
+            <tr>
+              <td style="padding: 8px 0; border-bottom: 1px solid #ddd;"><strong>Payable in ${data.paymentCurrency}:</strong></td>
+              <td style="padding: 8px 0; border-bottom: 1px solid #ddd; color: #2563eb; font-weight: bold;">${data.paymentAmountText}</td>
+            </tr>` : ''}
             <tr>
               <td style="padding: 8px 0; border-bottom: 1px solid #ddd;"><strong>Payment Deadline:</strong></td>
               <td style="padding: 8px 0; border-bottom: 1px solid #ddd; color: #dc2626; font-weight: bold;">${data.deadlineDate}</td>
             </tr>
+            ${data.paymentReference ? `
+            <tr>
+              <td style="padding: 8px 0; border-bottom: 1px solid #ddd;"><strong>Payment Reference:</strong></td>
+              <td style="padding: 8px 0; border-bottom: 1px solid #ddd; font-family: monospace; font-weight: bold;">${data.paymentReference}</td>
+            </tr>` : ''}
           </table>
         </div>
 
         ${data.purpose ? `<p><strong>Purpose:</strong> ${data.purpose}</p>` : ''}
 
+        ${data.paymentReference ? '<p>Please quote the payment reference exactly as shown on your transfer so it can be matched to your account.</p>' : ''}
+
         <p>Please ensure your payment is received by the deadline to avoid any late fees or penalties.</p>
 
         <p>You can view your capital call details and make payment through your <a href="${data.portalUrl}" style="color: #2563eb;">LP Portal</a>.</p>
@@ -62,12 +92,12 @@ A capital call has been issued for ${data.fundName}.
 
 Capital Call Details:
 - Call Number: #${data.callNumber}
-- Your Amount Due: ${data.currency} ${data.amountDue.toLocaleString()}
-- Payment Deadline: ${data.deadlineDate}
+- Your Amount Due: ${data.currency} ${data.amountDue.toLocaleString()}${data.paymentAmountText ? `\n- Payable in ${data.paymentCurrency}: ${data.paymentAmountText}` : ''}
+- Payment Deadline: ${data.deadlineDate}${data.paymentReference ? `\n- Payment Reference: ${data.paymentReference}` : ''}
 
 ${data.purpose ? `Purpose: ${data.purpose}` : ''}
 
-Please ensure your payment is received by the deadline to avoid any late fees or penalties.
+${data.paymentReference ? `Please quote payment reference ${data.paymentReference} on your transfer.\n\n` : ''}Please ensure your payment is received by the deadline to avoid any late fees or penalties.
 
 You can view your capital call details and make payment through your LP Portal: ${data.portalUrl}
 
@@ -78,39 +108,43 @@ ${data.fundName} Administration
     `
   },
 
-  reminder3Days: {
-    subject: (fundName) => `Payment Reminder: Capital Call Due in 3 Days - ${fundName}`,
+  reminderUpcoming: {
+    subject: (fundName, data) => data.urgent
+      ? `Urgent: Capital Call Payment Due ${data.dueInText} - ${fundName}`
+      : `Payment Reminder: Capital Call Due ${data.dueInText} - ${fundName}`,
     getHtml: (data) => `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2 style="color: #f59e0b;">Payment Reminder</h2>
+        <h2 style="color: ${data.urgent ? '#dc2626' : '#f59e0b'};">${data.urgent ? 'Urgent Payment Reminder' : 'Payment Reminder'}</h2>
         <p>Dear ${data.investorName},</p>
-        <p>This is a friendly reminder that your capital call payment for <strong>${data.fundName}</strong> is due in <strong>3 days</strong>.</p>
+        <p>${data.message || `This is a reminder that your capital call payment for <strong>${data.fundName}</strong> is due <strong>${data.dueInText}</strong>.`}</p>
 
-        <div style="background-color: #fef3c7; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #f59e0b;">
-          <h3 style="margin-top: 0; color: #92400e;">Payment Details</h3>
+        <div style="background-color: ${data.urgent ? '#fee2e2' : '#fef3c7'}; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid ${data.urgent ? '#dc2626' : '#f59e0b'};">
+          <h3 style="margin-top: 0; color: ${data.urgent ? '#991b1b' : '#92400e'};">${data.urgent ? 'Immediate Action Required' : 'Payment Details'}</h3>
           <p><strong>Amount Outstanding:</strong> ${data.currency} ${data.remainingAmount.toLocaleString()}</p>
+          ${data.paymentAmountText ? `<p><strong>Payable in ${data.paymentCurrency}:</strong> ${data.paymentAmountText}</p>` : ''}
           <p><strong>Payment Deadline:</strong> ${data.deadlineDate}</p>
+          ${data.paymentReference ? `<p><strong>Payment Reference:</strong> ${data.paymentReference}</p>` : ''}
         </div>
 
-        <p>Please ensure your payment is submitted before the deadline.</p>
+        <p>Please ensure your payment is submitted before the deadline to avoid any late fees or penalties.</p>
 
-        <p><a href="${data.portalUrl}" style="display: inline-block; background-color: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px;">Make Payment</a></p>
+        <p><a href="${data.portalUrl}" style="display: inline-block; background-color: ${data.urgent ? '#dc2626' : '#2563eb'}; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px;">Make Payment</a></p>
 
         <p>Best regards,<br>${data.fundName} Administration</p>
       </div>
     `,
     getText: (data) => `
-Payment Reminder
+${data.urgent ? 'Urgent Payment Reminder' : 'Payment Reminder'}
 
 Dear ${data.investorName},
 
-This is a friendly reminder that your capital call payment for ${data.fundName} is due in 3 days.
+${data.message || `This is a reminder that your capital call payment for ${data.fundName} is due ${data.dueInText}.`}
 
 Payment Details:
-- Amount Outstanding: ${data.currency} ${data.remainingAmount.toLocaleString()}
-- Payment Deadline: ${data.deadlineDate}
+- Amount Outstanding: ${data.currency} ${data.remainingAmount.toLocaleString()}${data.paymentAmountText ? `\n- Payable in ${data.paymentCurrency}: ${data.paymentAmountText}` : ''}
+- Payment Deadline: ${data.deadlineDate}${data.paymentReference ? `\n- Payment Reference: ${data.paymentReference}` : ''}
 
-Please ensure your payment is submitted before the deadline.
+Please ensure your payment is submitted before the deadline to avoid any late fees or penalties.
 
 Make payment at: ${data.portalUrl}
 
@@ -119,62 +153,71 @@ ${data.fundName} Administration
     `
   },
 
-  reminder1Day: {
-    subject: (fundName) => `Urgent: Capital Call Payment Due Tomorrow - ${fundName}`,
+  reminderDueToday: {
+    subject: (fundName) => `Final Notice: Capital Call Payment Due Today - ${fundName}`,
     getHtml: (data) => `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2 style="color: #dc2626;">Urgent Payment Reminder</h2>
+        <h2 style="color: #dc2626;">Final Payment Notice</h2>
         <p>Dear ${data.investorName},</p>
-        <p>Your capital call payment for <strong>${data.fundName}</strong> is due <strong>tomorrow</strong>.</p>
+        <p>${data.message || `Your capital call payment for <strong>${data.fundName}</strong> is due <strong>TODAY</strong>.`}</p>
 
         <div style="background-color: #fee2e2; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #dc2626;">
-          <h3 style="margin-top: 0; color: #991b1b;">Immediate Action Required</h3>
+          <h3 style="margin-top: 0; color: #991b1b;">Payment Due Today</h3>
           <p><strong>Amount Outstanding:</strong> ${data.currency} ${data.remainingAmount.toLocaleString()}</p>
-          <p><strong>Payment Deadline:</strong> ${data.deadlineDate}</p>
+          ${data.paymentAmountText ? `<p><strong>Payable in ${data.paymentCurrency}:</strong> ${data.paymentAmountText}</p>` : ''}
+          <p><strong>Payment Deadline:</strong> TODAY (${data.deadlineDate})</p>
+          ${data.paymentReference ? `<p><strong>Payment Reference:</strong> ${data.paymentReference}</p>` : ''}
         </div>
 
-        <p>Please submit your payment immediately to avoid any late fees or penalties.</p>
+        <p>Failure to submit payment today may result in late fees or other penalties as outlined in your subscription agreement.</p>
 
         <p><a href="${data.portalUrl}" style="display: inline-block; background-color: #dc2626; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px;">Make Payment Now</a></p>
 
+        <p>If you have already submitted your payment, please disregard this notice.</p>
+
         <p>Best regards,<br>${data.fundName} Administration</p>
       </div>
     `,
     getText: (data) => `
-Urgent Payment Reminder
+Final Payment Notice
 
 Dear ${data.investorName},
 
-Your capital call payment for ${data.fundName} is due TOMORROW.
+${data.message || `Your capital call payment for ${data.fundName} is due TODAY.`}
 
-Immediate Action Required:
-- Amount Outstanding: ${data.currency} ${data.remainingAmount.toLocaleString()}
-- Payment Deadline: ${data.deadlineDate}
+Payment Due Today:
+- Amount Outstanding: ${data.currency} ${data.remainingAmount.toLocaleString()}${data.paymentAmountText ? `\n- Payable in ${data.paymentCurrency}: ${data.paymentAmountText}` : ''}
+- Payment Deadline: TODAY (${data.deadlineDate})${data.paymentReference ? `\n- Payment Reference: ${data.paymentReference}` : ''}
 
-Please submit your payment immediately to avoid any late fees or penalties.
+Failure to submit payment today may result in late fees or other penalties as outlined in your subscription agreement.
 
 Make payment at: ${data.portalUrl}
 
+If you have already submitted your payment, please disregard this notice.
+
 Best regards,
 ${data.fundName} Administration
     `
   },
 
-  reminderDueToday: {
-    subject: (fundName) => `Final Notice: Capital Call Payment Due Today - ${fundName}`,
+  reminderOverdue: {
+    subject: (fundName, data) => `${data.escalation ? 'Escalation' : 'Overdue'}: Capital Call Payment Past Due - ${fundName}`,
     getHtml: (data) => `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2 style="color: #dc2626;">Final Payment Notice</h2>
+        <h2 style="color: #dc2626;">${data.escalation ? 'Payment Escalation Notice' : 'Overdue Payment Notice'}</h2>
         <p>Dear ${data.investorName},</p>
-        <p>Your capital call payment for <strong>${data.fundName}</strong> is due <strong>TODAY</strong>.</p>
+        <p>${data.message || `Your capital call payment for <strong>${data.fundName}</strong> was due on ${data.deadlineDate} and is now <strong>${data.overdueText} overdue</strong>.`}</p>
 
         <div style="background-color: #fee2e2; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #dc2626;">
-          <h3 style="margin-top: 0; color: #991b1b;">Payment Due Today</h3>
           <p><strong>Amount Outstanding:</strong> ${data.currency} ${data.remainingAmount.toLocaleString()}</p>
-          <p><strong>Payment Deadline:</strong> TODAY (${data.deadlineDate})</p>
+          ${data.paymentAmountText ? `<p><strong>Payable in ${data.paymentCurrency}:</strong> ${data.paymentAmountText}</p>` : ''}
+          <p><strong>Payment Deadline:</strong> ${data.deadlineDate}</p>
+          ${data.paymentReference ? `<p><strong>Payment Reference:</strong> ${data.paymentReference}</p>` : ''}
         </div>
 
-        <p>Failure to submit payment today may result in late fees or other penalties as outlined in your subscription agreement.</p>
+        ${data.escalation
+          ? '<p>This matter has been escalated to the General Partner. Late interest and the default provisions of the partnership agreement may apply.</p>'
+          : '<p>Please submit your payment as soon as possible. Late interest may apply under the partnership agreement.</p>'}
 
         <p><a href="${data.portalUrl}" style="display: inline-block; background-color: #dc2626; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px;">Make Payment Now</a></p>
 
@@ -184,17 +227,18 @@ ${data.fundName} Administration
       </div>
     `,
     getText: (data) => `
-Final Payment Notice
+${data.escalation ? 'Payment Escalation Notice' : 'Overdue Payment Notice'}
 
 Dear ${data.investorName},
 
-Your capital call payment for ${data.fundName} is due TODAY.
+${data.message || `Your capital call payment for ${data.fundName} was due on ${data.deadlineDate} and is now ${data.overdueText} overdue.`}
 
-Payment Due Today:
-- Amount Outstanding: ${data.currency} ${data.remainingAmount.toLocaleString()}
-- Payment Deadline: TODAY (${data.deadlineDate})
+- Amount Outstanding: ${data.currency} ${data.remainingAmount.toLocaleString()}${data.paymentAmountText ? `\n- Payable in ${data.paymentCurrency}: ${data.paymentAmountText}` : ''}
+- Payment Deadline: ${data.deadlineDate}${data.paymentReference ? `\n- Payment Reference: ${data.paymentReference}` : ''}
 
-Failure to submit payment today may result in late fees or other penalties as outlined in your subscription agreement.
+${data.escalation
+    ? 'This matter has been escalated to the General Partner. Late interest and the default provisions of the partnership agreement may apply.'
+    : 'Please submit your payment as soon as possible. Late interest may apply under the partnership agreement.'}
 
 Make payment at: ${data.portalUrl}
 
@@ -203,34 +247,279 @@ If you have already submitted your payment, please disregard this notice.
 Best regards,
 ${data.fundName} Administration
     `
+  },
+
+  // Per-call summary for advisors and GP operations
+  outstandingSummary: {
+    subject: (fundName, data) => `${data.escalation ? 'Escalation' : 'Status'}: Capital Call #${data.callNumber} ${data.stepName} - ${fundName}`,
+    getHtml: (data) => `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: ${data.escalation ? '#dc2626' : '#1a1a2e'};">Capital Call #${data.callNumber}: ${data.stepName}</h2>
+        <p><strong>${data.fundName}</strong> - payment deadline ${data.deadlineDate}.</p>
+        <p>${data.lines.length} investor(s) have an outstanding balance totalling <strong>${data.currency} ${data.totalOutstanding.toLocaleString()}</strong>.</p>
+
+        <table style="width: 100%; border-collapse: collapse;">
+          ${data.lines.map(line => `
+          <tr>
+            <td style="padding: 6px 0; border-bottom: 1px solid #ddd;">${line.investorName}</td>
+            <td style="padding: 6px 0; border-bottom: 1px solid #ddd; text-align: right;">${data.currency} ${line.remainingAmount.toLocaleString()}</td>
+          </tr>`).join('')}
+        </table>
+
+        <p><a href="${data.portalUrl}" style="color: #2563eb;">Open capital call</a></p>
+      </div>
+    `,
+    getText: (data) => `
+Capital Call #${data.callNumber}: ${data.stepName}
+
+${data.fundName} - payment deadline ${data.deadlineDate}.
+${data.lines.length} investor(s) have an outstanding balance totalling ${data.currency} ${data.totalOutstanding.toLocaleString()}.
+
+${data.lines.map(line => `- ${line.investorName}: ${data.currency} ${line.remainingAmount.toLocaleString()}`).join('\n')}
+
+Open capital call: ${data.portalUrl}
+    `
   }
 };
 
+// Step offsets are capped at MAX_OFFSET_DAYS business days, so this calendar window covers every step
+const REMINDER_WINDOW_DAYS = 120;
+// Notices dated on a weekend or holiday are picked up on the next business day
+const NOTICE_LOOKBACK_DAYS = 14;
+// Longest outage a catch-up run can recover
+const MAX_CATCH_UP_DAYS = 30;
+
 /**
  * Format date for display
  */
 function formatDate(dateStr) {
-  const date = new Date(dateStr);
+  const date = new Date(`${String(dateStr).split('T')[0]}T00:00:00Z`);
   return date.toLocaleDateString('en-US', {
     weekday: 'long',
     year: 'numeric',
     month: 'long',
-    day: 'numeric'
+    day: 'numeric',
+    timeZone: 'UTC'
+  });
+}
+
+/**
+ * Replace {{placeholder}} tokens in a custom step subject/message
+ */
+function renderCustomText(text, data) {
+  if (!text) return null;
+  return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => {
+    const value = data[key];
+    if (value === undefined || value === null) return match;
+    return typeof value === 'number' ? value.toLocaleString() : String(value);
+  });
+}
+
+/**
+ * Amount converted at the allocation's notice-time FX snapshot, e.g. "MXN 1,725,000 (USD/MXN 17.25)"
+ */
+function getPaymentAmountText(allocation, amount, currency) {
+  if (!allocation.paymentCurrency || allocation.fxRate == null) return null;
+  const converted = convertAmount(amount, allocation.fxRate);
+  return `${allocation.paymentCurrency} ${converted.toLocaleString()} (${currency}/${allocation.paymentCurrency} ${allocation.fxRate})`;
+}
+
+function getInvestorName(allocation) {
+  return `${allocation.user?.firstName || ''} ${allocation.user?.lastName || ''}`.trim() || 'Investor';
+}
+
+/**
+ * Days from one date to another in the schedule's unit (business or calendar days)
+ */
+function daysBetween(fromDate, toDate, schedule) {
+  if (schedule.businessDaysOnly) {
+    return countBusinessDays(fromDate, toDate, schedule.holidays);
+  }
+  return Math.round((new Date(`${toDate}T00:00:00Z`) - new Date(`${fromDate}T00:00:00Z`)) / 86400000);
+}
+
+/**
+ * Date a schedule step should be sent for a given deadline
+ * Offsets count business days when the schedule is business-days-only
+ */
+function getStepSendDate(deadlineDate, step, schedule) {
+  if (schedule.businessDaysOnly) {
+    return addBusinessDays(deadlineDate, step.offsetDays, schedule.holidays);
+  }
+  return addCalendarDays(deadlineDate, step.offsetDays);
+}
+
+/**
+ * The schedule step to send for a call in this run, if any
+ * A catch-up run can find several missed steps; only the most recent one is sent, and
+ * pre-deadline steps are dropped once the deadline has passed
+ * @returns {Object|null} { step, scheduledDate }
+ */
+function getDueStep(call, schedule, run) {
+  if (!schedule.enabled || !call.deadlineDate) return null;
+  if (schedule.businessDaysOnly && !isBusinessDay(run.runDate, schedule.holidays)) return null;
+
+  const deadlineDate = toDateString(call.deadlineDate);
+
+  return schedule.steps
+    .filter(step => step.enabled !== false)
+    .filter(step => step.offsetDays > 0 || deadlineDate >= run.runDate)
+    .map(step => ({ step, scheduledDate: getStepSendDate(deadlineDate, step, schedule) }))
+    .filter(({ scheduledDate }) => scheduledDate >= run.fromDate && scheduledDate <= run.runDate)
+    .sort((a, b) => b.scheduledDate.localeCompare(a.scheduledDate) || b.step.offsetDays - a.step.offsetDays)[0] || null;
+}
+
+/**
+ * Whether a Draft call's notice should go out in this run
+ * Notices dated on a non-business day are sent on the next business day
+ */
+function isNoticeDue(call, schedule, run) {
+  const noticeDate = toDateString(call.noticeDate);
+  if (!schedule.businessDaysOnly) {
+    return noticeDate >= run.fromDate && noticeDate <= run.runDate;
+  }
+  if (!isBusinessDay(run.runDate, schedule.holidays)) {
+    return false;
+  }
+  return noticeDate > previousBusinessDay(run.fromDate, schedule.holidays) && noticeDate <= run.runDate;
+}
+
+/**
+ * Send an email at most once, using the delivery ledger as the idempotency key
+ * A delivery that fails is marked failed and retried by the next run; one that was
+ * claimed but never confirmed is not re-sent
+ * @returns {boolean} Whether the email was sent by this call
+ */
+async function deliverOnce(delivery, run, send) {
+  const claimed = await CapitalCallReminderDelivery.claim({
+    ...delivery,
+    catchUp: delivery.scheduledDate < run.runDate
   });
+
+  if (!claimed) {
+    run.duplicatesSkipped++;
+    return false;
+  }
+
+  try {
+    await send();
+  } catch (err) {
+    run.failed++;
+    console.error(`[CapitalCallReminders] Error sending '${delivery.reminderType}' for call ${delivery.capitalCallId}:`, err);
+    try {
+      await CapitalCallReminderDelivery.markFailed(claimed.id, err.message);
+    } catch (ledgerErr) {
+      console.error(`[CapitalCallReminders] Error recording failed delivery ${claimed.id}:`, ledgerErr);
+    }
+    return false;
+  }
+
+  try {
+    await CapitalCallReminderDelivery.markSent(claimed.id);
+  } catch (ledgerErr) {
+    console.error(`[CapitalCallReminders] Error recording delivery ${claimed.id}:`, ledgerErr);
+  }
+  return true;
+}
+
+/**
+ * Resolve the non-LP addresses for a recipient list
+ * GP ops falls back to the structure's admins when no addresses are configured
+ */
+async function resolveSummaryRecipients(recipients, schedule, structureId) {
+  const emails = new Set();
+
+  if (recipients.includes('advisors')) {
+    schedule.advisorEmails.forEach(email => emails.add(email));
+  }
+
+  if (recipients.includes('gp_ops')) {
+    if (schedule.gpOpsEmails.length > 0) {
+      schedule.gpOpsEmails.forEach(email => emails.add(email));
+    } else {
+      const admins = await StructureAdmin.findByStructureId(structureId);
+      admins.forEach(admin => admin.user?.email && emails.add(admin.user.email));
+    }
+  }
+
+  return [...emails];
+}
+
+/**
+ * Send the per-call outstanding summary to advisors / GP ops
+ * @returns {number} Emails sent
+ */
+async function sendOutstandingSummary(call, allocations, recipients, schedule, details, run) {
+  const to = await resolveSummaryRecipients(recipients, schedule, call.structureId);
+  if (to.length === 0) return 0;
+
+  const portalUrl = process.env.FRONTEND_URL || 'https://app.polibit.com';
+  const lines = allocations.map(allocation => ({
+    investorName: getInvestorName(allocation),
+    remainingAmount: parseFloat(allocation.remainingAmount ?? allocation.totalDue ?? allocation.allocatedAmount) || 0
+  }));
+
+  const template = EMAIL_TEMPLATES.outstandingSummary;
+  const emailData = {
+    fundName: call.structure?.name || 'Fund',
+    callNumber: call.callNumber,
+    currency: call.structure?.baseCurrency || 'USD',
+    deadlineDate: formatDate(call.deadlineDate),
+    stepName: details.stepName,
+    escalation: details.escalation,
+    lines,
+    totalOutstanding: Math.round(lines.reduce((sum, line) => sum + line.remainingAmount, 0) * 100) / 100,
+    portalUrl: `${portalUrl}/capital-calls/${call.id}`
+  };
+
+  const sent = await deliverOnce({
+    capitalCallId: call.id,
+    allocationId: null,
+    structureId: call.structureId,
+    reminderType: details.reminderType,
+    scheduledDate: details.scheduledDate,
+    recipients: to
+  }, run, () => sendEmail(null, {
+    to,
+    subject: template.subject(emailData.fundName, emailData),
+    bodyHtml: template.getHtml(emailData),
+    bodyText: template.getText(emailData)
+  }));
+
+  return sent ? 1 : 0;
 }
 
 /**
  * Send capital call notice emails
+ * @returns {number} Notices sent
  */
-async function sendCapitalCallNotices() {
+async function sendCapitalCallNotices(run) {
   console.log('[CapitalCallReminders] Checking for capital calls to notify...');
+  let sent = 0;
 
   try {
-    const callsToNotify = await CapitalCall.findCallsToNotifyToday();
+    const candidates = await CapitalCall.findCallsToNotify(addCalendarDays(run.fromDate, -NOTICE_LOOKBACK_DAYS), run.runDate);
+    const schedules = await CapitalCallReminderSchedule.findForStructures(candidates.map(c => c.structureId));
+    const callsToNotify = candidates.filter(call => isNoticeDue(call, schedules.get(call.structureId), run));
     console.log(`[CapitalCallReminders] Found ${callsToNotify.length} capital calls to notify`);
 
     for (const call of callsToNotify) {
       try {
+        const schedule = schedules.get(call.structureId);
+        const recipients = schedule.noticeRecipients;
+        const scheduledDate = toDateString(call.noticeDate);
+        const failedBefore = run.failed;
+
+        // Lock in payment-currency amounts at the notice-date rate; without a rate the call
+        // stays in Draft and is retried by the next run
+        const fx = await snapshotCapitalCallFx(call, call.structure || { id: call.structureId }, scheduledDate);
+        if (fx.missingRates.length > 0) {
+          console.warn(`[CapitalCallReminders] No FX rate for ${fx.missingRates.join(', ')}; leaving call #${call.callNumber} in Draft`);
+          run.failed++;
+          continue;
+        }
+        await CapitalCall.assignPaymentReferences(call.id);
+
         // Get all allocations for this call
         const allocations = await CapitalCall.getAllocationsWithUsers(call.id);
         console.log(`[CapitalCallReminders] Sending notices for call #${call.callNumber} to ${allocations.length} investors`);
@@ -238,7 +527,7 @@ async function sendCapitalCallNotices() {
         const portalUrl = process.env.FRONTEND_URL || 'https://app.polibit.com';
         const currency = call.structure?.baseCurrency || 'USD';
 
-        for (const allocation of allocations) {
+        for (const allocation of recipients.includes('lp') ? allocations : []) {
           if (!allocation.user?.email) {
             console.warn(`[CapitalCallReminders] No email for user ${allocation.userId}, skipping`);
             continue;
@@ -246,24 +535,50 @@ async function sendCapitalCallNotices() {
 
           const template = EMAIL_TEMPLATES.capitalCallNotice;
           const emailData = {
-            investorName: `${allocation.user.firstName || ''} ${allocation.user.lastName || ''}`.trim() || 'Investor',
+            investorName: getInvestorName(allocation),
             fundName: call.structure?.name || 'Fund',
             callNumber: call.callNumber,
             amountDue: allocation.totalDue || allocation.allocatedAmount,
             currency,
+            paymentCurrency: allocation.paymentCurrency,
+            paymentAmountText: getPaymentAmountText(allocation, allocation.totalDue || allocation.allocatedAmount, currency),
+            paymentReference: allocation.paymentReferenceCode ? formatPaymentReference(allocation.paymentReferenceCode) : null,
             deadlineDate: formatDate(call.deadlineDate),
             purpose: call.purpose,
             portalUrl: `${portalUrl}/lp-portal/capital-calls`
           };
 
-          await sendEmail(null, {
+          const delivered = await deliverOnce({
+            capitalCallId: call.id,
+            allocationId: allocation.id,
+            structureId: call.structureId,
+            reminderType: 'notice',
+            scheduledDate,
+            recipients: [allocation.user.email]
+          }, run, () => sendEmail(null, {
             to: [allocation.user.email],
             subject: template.subject(emailData.fundName, emailData.callNumber),
             bodyHtml: template.getHtml(emailData),
             bodyText: template.getText(emailData)
-          });
+          }));
 
-          console.log(`[CapitalCallReminders] Sent notice to user ${allocation.user.id}`);
+          if (delivered) {
+            sent++;
+            console.log(`[CapitalCallReminders] Sent notice to user ${allocation.user.id}`);
+          }
+        }
+
+        sent += await sendOutstandingSummary(call, allocations, recipients, schedule, {
+          reminderType: 'notice',
+          scheduledDate,
+          stepName: 'Notice issued',
+          escalation: false
+        }, run);
+
+        // Keep the call in Draft if any notice failed so a catch-up run can retry it
+        if (run.failed > failedBefore) {
+          console.warn(`[CapitalCallReminders] Some notices for call #${call.callNumber} failed; leaving it in Draft`);
+          continue;
         }
 
         // Update capital call status to 'Sent'
@@ -277,86 +592,162 @@ async function sendCapitalCallNotices() {
   } catch (err) {
     console.error('[CapitalCallReminders] Error in sendCapitalCallNotices:', err);
   }
+
+  return sent;
 }
 
 /**
- * Send reminder emails for a specific days-before-deadline
+ * Send one schedule step for a call to its recipients
+ * Only investors who haven't fully paid are reminded. Wording uses the actual days to/after
+ * the deadline so reminders sent by a catch-up run stay accurate
+ * @returns {number} Emails sent
  */
-async function sendDeadlineReminders(daysBeforeDeadline, templateKey) {
-  console.log(`[CapitalCallReminders] Checking for ${daysBeforeDeadline}-day reminders...`);
-
-  try {
-    const calls = await CapitalCall.findCallsForDeadlineReminder(daysBeforeDeadline);
-    console.log(`[CapitalCallReminders] Found ${calls.length} capital calls for ${daysBeforeDeadline}-day reminder`);
+async function sendReminderStep(call, step, schedule, scheduledDate, run) {
+  const unpaidAllocations = await CapitalCall.getUnpaidAllocations(call.id);
+  if (unpaidAllocations.length === 0) return 0;
+
+  console.log(`[CapitalCallReminders] Sending '${step.name || step.key}' for call #${call.callNumber} to ${unpaidAllocations.length} unpaid investors`);
+
+  const portalUrl = process.env.FRONTEND_URL || 'https://app.polibit.com';
+  const currency = call.structure?.baseCurrency || 'USD';
+  const dayUnit = schedule.businessDaysOnly ? 'business day' : 'day';
+  const daysToDeadline = daysBetween(run.runDate, toDateString(call.deadlineDate), schedule);
+  const absDays = Math.abs(daysToDeadline);
+  const plural = absDays === 1 ? '' : 's';
+
+  let templateKey = 'reminderDueToday';
+  if (step.offsetDays < 0) templateKey = 'reminderUpcoming';
+  if (step.offsetDays > 0) templateKey = 'reminderOverdue';
+  const template = EMAIL_TEMPLATES[templateKey];
+
+  let sent = 0;
+
+  for (const allocation of step.recipients.includes('lp') ? unpaidAllocations : []) {
+    if (!allocation.user?.email) {
+      console.warn(`[CapitalCallReminders] No email for user ${allocation.userId}, skipping`);
+      continue;
+    }
 
-    for (const call of calls) {
-      try {
-        // Get UNPAID allocations only
-        const unpaidAllocations = await CapitalCall.getUnpaidAllocations(call.id);
-        console.log(`[CapitalCallReminders] Sending ${daysBeforeDeadline}-day reminders for call #${call.callNumber} to ${unpaidAllocations.length} unpaid investors`);
+    const emailData = {
+      investorName: getInvestorName(allocation),
+      fundName: call.structure?.name || 'Fund',
+      callNumber: call.callNumber,
+      remainingAmount: parseFloat(allocation.remainingAmount || allocation.allocatedAmount) || 0,
+      currency,
+      paymentCurrency: allocation.paymentCurrency,
+      paymentReference: allocation.paymentReferenceCode ? formatPaymentReference(allocation.paymentReferenceCode) : null,
+      deadlineDate: formatDate(call.deadlineDate),
+      dueInText: absDays === 1 && !schedule.businessDaysOnly ? 'tomorrow' : `in ${absDays} ${dayUnit}${plural}`,
+      overdueText: `${absDays} ${dayUnit}${plural}`,
+      urgent: step.offsetDays < 0 && daysToDeadline <= 1,
+      escalation: !!step.escalation,
+      portalUrl: `${portalUrl}/lp-portal/capital-calls`
+    };
+    emailData.paymentAmountText = getPaymentAmountText(allocation, emailData.remainingAmount, currency);
+    emailData.message = renderCustomText(step.message, emailData);
+
+    const delivered = await deliverOnce({
+      capitalCallId: call.id,
+      allocationId: allocation.id,
+      structureId: call.structureId,
+      reminderType: step.key,
+      scheduledDate,
+      recipients: [allocation.user.email]
+    }, run, () => sendEmail(null, {
+      to: [allocation.user.email],
+      subject: renderCustomText(step.subject, emailData) || template.subject(emailData.fundName, emailData),
+      bodyHtml: template.getHtml(emailData),
+      bodyText: template.getText(emailData)
+    }));
+
+    if (delivered) {
+      sent++;
+      console.log(`[CapitalCallReminders] Sent '${step.key}' reminder to user ${allocation.user.id}`);
+    }
+  }
 
-        const portalUrl = process.env.FRONTEND_URL || 'https://app.polibit.com';
-        const currency = call.structure?.baseCurrency || 'USD';
+  sent += await sendOutstandingSummary(call, unpaidAllocations, step.recipients, schedule, {
+    reminderType: step.key,
+    scheduledDate,
+    stepName: step.name || step.key,
+    escalation: !!step.escalation
+  }, run);
 
-        for (const allocation of unpaidAllocations) {
-          if (!allocation.user?.email) {
-            console.warn(`[CapitalCallReminders] No email for user ${allocation.userId}, skipping`);
-            continue;
-          }
+  return sent;
+}
 
-          const template = EMAIL_TEMPLATES[templateKey];
-          const emailData = {
-            investorName: `${allocation.user.firstName || ''} ${allocation.user.lastName || ''}`.trim() || 'Investor',
-            fundName: call.structure?.name || 'Fund',
-            remainingAmount: allocation.remainingAmount || allocation.allocatedAmount,
-            currency,
-            deadlineDate: formatDate(call.deadlineDate),
-            portalUrl: `${portalUrl}/lp-portal/capital-calls`
-          };
+/**
+ * Send reminder emails for the schedule steps that fall due in this run
+ * @returns {number} Emails sent
+ */
+async function sendScheduledReminders(run) {
+  console.log('[CapitalCallReminders] Checking for scheduled reminders...');
+  let sent = 0;
 
-          await sendEmail(null, {
-            to: [allocation.user.email],
-            subject: template.subject(emailData.fundName),
-            bodyHtml: template.getHtml(emailData),
-            bodyText: template.getText(emailData)
-          });
+  try {
+    const calls = await CapitalCall.findCallsForReminders(
+      addCalendarDays(run.fromDate, -REMINDER_WINDOW_DAYS),
+      addCalendarDays(run.runDate, REMINDER_WINDOW_DAYS)
+    );
+    const schedules = await CapitalCallReminderSchedule.findForStructures(calls.map(c => c.structureId));
 
-          console.log(`[CapitalCallReminders] Sent ${daysBeforeDeadline}-day reminder to user ${allocation.user.id}`);
-        }
+    for (const call of calls) {
+      const due = getDueStep(call, schedules.get(call.structureId), run);
+      if (!due) continue;
 
+      try {
+        sent += await sendReminderStep(call, due.step, schedules.get(call.structureId), due.scheduledDate, run);
       } catch (err) {
-        console.error(`[CapitalCallReminders] Error processing call ${call.id}:`, err);
+        console.error(`[CapitalCallReminders] Error sending '${due.step.key}' for call ${call.id}:`, err);
       }
     }
   } catch (err) {
-    console.error(`[CapitalCallReminders] Error in sendDeadlineReminders (${daysBeforeDeadline} days):`, err);
+    console.error('[CapitalCallReminders] Error in sendScheduledReminders:', err);
   }
+
+  return sent;
 }
 
 /**
  * Main job function - runs all reminder checks
+ * Safe to run more than once a day: every email is recorded in the delivery ledger
+ * @param {string} asOfDate - Optional run date (YYYY-MM-DD), defaults to today
+ * @param {Object} options - { catchUpDays } also send reminders missed in the previous N days
+ * @returns {Object} { asOfDate, catchUpFrom, noticesSent, remindersSent, duplicatesSkipped, failed }
  */
-async function runCapitalCallReminderJob() {
+async function runCapitalCallReminderJob(asOfDate, options = {}) {
+  const runDate = asOfDate || toDateString(new Date());
+  const catchUpDays = Math.min(Math.max(parseInt(options.catchUpDays, 10) || 0, 0), MAX_CATCH_UP_DAYS);
+  const run = {
+    runDate,
+    fromDate: addCalendarDays(runDate, -catchUpDays),
+    duplicatesSkipped: 0,
+    failed: 0
+  };
+
   console.log('\n========================================');
   console.log('[CapitalCallReminders] Starting daily job...');
-  console.log(`[CapitalCallReminders] Current time: ${new Date().toISOString()}`);
+  console.log(`[CapitalCallReminders] Run date: ${runDate}${catchUpDays > 0 ? ` (catching up from ${run.fromDate})` : ''}`);
   console.log('========================================\n');
 
-  // 1. Send capital call notices (noticeDate = today)
-  await sendCapitalCallNotices();
-
-  // 2. Send 3-day reminders (deadlineDate = today + 3 days)
-  await sendDeadlineReminders(3, 'reminder3Days');
+  // 1. Send capital call notices (noticeDate = today, or since the previous business day)
+  const noticesSent = await sendCapitalCallNotices(run);
 
-  // 3. Send 1-day reminders (deadlineDate = today + 1 day)
-  await sendDeadlineReminders(1, 'reminder1Day');
-
-  // 4. Send due-today reminders (deadlineDate = today)
-  await sendDeadlineReminders(0, 'reminderDueToday');
+  // 2. Send reminders for each structure's schedule steps due today
+  const remindersSent = await sendScheduledReminders(run);
 
   console.log('\n========================================');
-  console.log('[CapitalCallReminders] Daily job completed');
+  console.log(`[CapitalCallReminders] Daily job completed (${run.duplicatesSkipped} already sent, ${run.failed} failed)`);
   console.log('========================================\n');
+
+  return {
+    asOfDate: runDate,
+    catchUpFrom: catchUpDays > 0 ? run.fromDate : null,
+    noticesSent,
+    remindersSent,
+    duplicatesSkipped: run.duplicatesSkipped,
+    failed: run.failed
+  };
 }
 
 /**
@@ -382,5 +773,7 @@ function initCapitalCallRemindersCron() {
 
 module.exports = {
   initCapitalCallRemindersCron,
-  runCapitalCallReminderJob
+  runCapitalCallReminderJob,
+  getStepSendDate,
+  MAX_CATCH_UP_DAYS
 };
@@ -0,0 +1,219 @@
+/**
+ * Structure Lifecycle Cron Job
+ *
+ * Runs daily and notifies each structure's GP (the structure creator) ahead of its term
+ * milestones: the end of the investment period and the end of the term (including any
+ * approved extension). Notices go out 180, 90 and 30 days before a milestone and once more
+ * when it has passed without the structure moving on (harvesting, extension or liquidation).
+ *
+ * Every notice is recorded in ApprovalHistory under the 'structure' entity, which is also how
+ * the job knows a notice was already sent - re-running the same day sends nothing new, and a
+ * run after downtime sends the most recent notice that was missed.
+ */
+
+const cron = require('node-cron');
+const Structure = require('../models/supabase/structure');
+const User = require('../models/supabase/user');
+const Notification = require('../models/supabase/notification');
+const ApprovalHistory = require('../models/supabase/approvalHistory');
+const { sendEmail } = require('../utils/emailSender');
+const { getUpcomingMilestones } = require('../services/structureLifecycleService');
+
+// Days before a milestone at which the GP is notified; 0 = milestone passed
+const NOTICE_DAYS = [180, 90, 30, 0];
+
+const MILESTONE_LABELS = {
+  investment_period_end: 'End of the investment period',
+  term_end: 'End of the fund term'
+};
+
+const MILESTONE_ACTIONS = {
+  investment_period_end: 'Move the structure to harvesting once the investment period ends; capital calls for new investments are blocked afterwards.',
+  term_end: 'Request a term extension for approval or move the structure to liquidation.'
+};
+
+/**
+ * Format date for display
+ */
+function formatDate(dateStr) {
+  const date = new Date(`${String(dateStr).split('T')[0]}T00:00:00Z`);
+  return date.toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    timeZone: 'UTC'
+  });
+}
+
+/**
+ * Notice threshold reached for a milestone, or null when none is due yet
+ */
+function getDueNoticeDays(daysUntil) {
+  if (daysUntil < 0) return 0;
+  const reached = NOTICE_DAYS.filter(days => days > 0 && daysUntil <= days);
+  return reached.length > 0 ? Math.min(...reached) : null;
+}
+
+/**
+ * Send the milestone notice to the structure's GP by email and in the portal
+ */
+async function sendMilestoneNotice(structure, gp, milestone, noticeDays) {
+  const label = MILESTONE_LABELS[milestone.milestone];
+  const when = noticeDays === 0
+    ? `passed on ${formatDate(milestone.date)}`
+    : `is on ${formatDate(milestone.date)} (${milestone.daysUntil} days)`;
+  const title = `${label} - ${structure.name}`;
+  const message = `${label} for ${structure.name} ${when}. ${MILESTONE_ACTIONS[milestone.milestone]}`;
+
+  await Notification.create({
+    userId: gp.id,
+    notificationType: 'system_update',
+    channel: 'portal',
+    title,
+    message,
+    priority: noticeDays <= 30 ? 'high' : 'normal',
+    relatedEntityType: 'Structure',
+    relatedEntityId: structure.id,
+    metadata: {
+      structureId: structure.id,
+      milestone: milestone.milestone,
+      milestoneDate: milestone.date,
+      noticeDays
+    }
+  });
+
+  if (gp.email) {
+    await sendEmail(null, {
+      to: [gp.email],
+      subject: title,
+      bodyText: `Dear ${gp.name || 'General Partner'},\n\n${message}\n\nBest regards,\n${structure.name} Administration`,
+      bodyHtml: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px;">
+          <h2 style="color: #2D1B69;">${label}</h2>
+          <p>Dear ${gp.name || 'General Partner'},</p>
+          <p>${label} for <strong>${structure.name}</strong> ${when}.</p>
+          <p>${MILESTONE_ACTIONS[milestone.milestone]}</p>
+          <p>Best regards,<br>${structure.name} Administration</p>
+        </div>
+      `
+    });
+  }
+}
+
+/**
+ * Send the milestone notices due for one structure
+ * @returns {number} Notices sent
+ */
+async function processStructure(structure, asOfDate) {
+  const milestones = getUpcomingMilestones(structure, asOfDate);
+  if (milestones.length === 0) return 0;
+
+  const history = await ApprovalHistory.findByEntity('structure', structure.id);
+  const sentNotices = history.filter(h => h.action === 'milestone_notice');
+
+  let sent = 0;
+  for (const milestone of milestones) {
+    const noticeDays = getDueNoticeDays(milestone.daysUntil);
+    if (noticeDays === null) continue;
+
+    const alreadySent = sentNotices.some(h =>
+      h.metadata?.milestone === milestone.milestone &&
+      h.metadata?.milestoneDate === milestone.date &&
+      h.metadata?.noticeDays === noticeDays
+    );
+    if (alreadySent) continue;
+
+    const gp = await User.findById(structure.createdBy);
+    if (!gp) {
+      console.warn(`[StructureLifecycle] No GP user for structure ${structure.id}, skipping notice`);
+      continue;
+    }
+
+    await sendMilestoneNotice(structure, gp, milestone, noticeDays);
+
+    await ApprovalHistory.logAction({
+      entityType: 'structure',
+      entityId: structure.id,
+      action: 'milestone_notice',
+      fromStatus: structure.lifecycleStage,
+      toStatus: structure.lifecycleStage,
+      userId: null,
+      userName: 'System',
+      notes: `${MILESTONE_LABELS[milestone.milestone]} notice (${noticeDays === 0 ? 'passed' : `${noticeDays} days`})`,
+      metadata: {
+        milestone: milestone.milestone,
+        milestoneDate: milestone.date,
+        noticeDays,
+        notifiedUserId: gp.id
+      }
+    });
+
+    console.log(`[StructureLifecycle] Sent ${milestone.milestone} notice (${noticeDays}) for structure ${structure.id}`);
+    sent++;
+  }
+
+  return sent;
+}
+
+/**
+ * Main job function - sends the term milestone notices due
+ * @param {string} asOfDate - Optional evaluation date (YYYY-MM-DD), defaults to today
+ * @returns {Object} { structuresChecked, noticesSent }
+ */
+async function runStructureLifecycleJob(asOfDate) {
+  const evaluationDate = asOfDate || new Date().toISOString().split('T')[0];
+
+  console.log('\n========================================');
+  console.log('[StructureLifecycle] Starting daily job...');
+  console.log(`[StructureLifecycle] Evaluation date: ${evaluationDate}`);
+  console.log('========================================\n');
+
+  let structures = [];
+  try {
+    structures = (await Structure.find()).filter(s => s.lifecycleStage !== 'liquidation');
+  } catch (err) {
+    console.error('[StructureLifecycle] Error loading structures:', err);
+  }
+
+  let noticesSent = 0;
+  for (const structure of structures) {
+    try {
+      noticesSent += await processStructure(structure, evaluationDate);
+    } catch (err) {
+      console.error(`[StructureLifecycle] Error processing structure ${structure.id}:`, err);
+    }
+  }
+
+  console.log('\n========================================');
+  console.log(`[StructureLifecycle] Daily job completed - ${noticesSent} notices sent`);
+  console.log('========================================\n');
+
+  return { structuresChecked: structures.length, noticesSent };
+}
+
+/**
+ * Initialize the cron job
+ * Runs daily at 9:00 AM server time, after the capital call jobs
+ */
+function initStructureLifecycleCron() {
+  // Schedule: At 9:00 AM every day
+  // Cron format: minute hour day-of-month month day-of-week
+  const schedule = '0 9 * * *';
+
+  cron.schedule(schedule, async () => {
+    await runStructureLifecycleJob();
+  });
+
+  console.log('[StructureLifecycle] Cron job initialized - runs daily at 9:00 AM');
+
+  return {
+    runNow: runStructureLifecycleJob
+  };
+}
+
+module.exports = {
+  NOTICE_DAYS,
+  getDueNoticeDays,
+  initStructureLifecycleCron,
+  runStructureLifecycleJob
+};
@@ -356,6 +356,55 @@ const handleFirmLogoUpload = (req, res, next) => {
   });
 };
 
+// Configure storage for bank statements (parsed in memory, never written to disk)
+const bankStatementStorage = multer.memoryStorage();
+
+// Bank statement filter - mimetypes vary by bank, so check the extension
+const bankStatementFilter = (req, file, cb) => {
+  const allowedExtensions = ['.csv', '.txt', '.sta', '.mt940', '.940', '.xml', '.053'];
+
+  if (allowedExtensions.includes(path.extname(file.originalname).toLowerCase())) {
+    cb(null, true);
+  } else {
+    cb(new Error(`Invalid file type. Allowed bank statement files: ${allowedExtensions.join(', ')}`), false);
+  }
+};
+
+// Configure multer for bank statement upload
+const uploadBankStatement = multer({
+  storage: bankStatementStorage,
+  fileFilter: bankStatementFilter,
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB max file size
+  }
+});
+
+// Middleware to handle bank statement upload with error handling
+const handleBankStatementUpload = (req, res, next) => {
+  const upload = uploadBankStatement.single('file');
+
+  upload(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(400).json({
+          success: false,
+          message: 'File too large. Maximum file size is 5MB'
+        });
+      }
+      return res.status(400).json({
+        success: false,
+        message: `Upload error: ${err.message}`
+      });
+    } else if (err) {
+      return res.status(400).json({
+        success: false,
+        message: err.message
+      });
+    }
+    next();
+  });
+};
+
 module.exports = {
   uploadProfileImage,
   deleteOldProfileImage,
@@ -370,5 +419,7 @@ module.exports = {
   uploadStructureBanner,
   handleStructureBannerUpload,
   uploadFirmLogo,
-  handleFirmLogoUpload
+  handleFirmLogoUpload,
+  uploadBankStatement,
+  handleBankStatementUpload
 };
@@ -119,6 +119,29 @@ class ApprovalHistory {
     return data.map(item => this._toModel(item));
   }
 
+  /**
+   * Find approval history for several entities of the same type
+   * Used to show default actions on capital account statements
+   */
+  static async findByEntityIds(entityType, entityIds = []) {
+    if (entityIds.length === 0) return [];
+
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('approval_history')
+      .select('*')
+      .eq('item_type', entityType)
+      .in('item_id', entityIds)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Error finding approval history: ${error.message}`);
+    }
+
+    return data.map(item => this._toModel(item));
+  }
+
   /**
    * Find by ID
    */
@@ -0,0 +1,361 @@
+/**
+ * Bank Statement Supabase Model
+ * Uploaded bank statements and their parsed lines, used to reconcile capital call payments
+ */
+
+const { getSupabase } = require('../../config/database');
+
+class BankStatement {
+  /**
+   * Convert camelCase fields to snake_case for database
+   */
+  static _toDbFields(data) {
+    const dbData = {};
+    const fieldMap = {
+      id: 'id',
+      structureId: 'structure_id',
+      format: 'format',
+      fileName: 'file_name',
+      contentHash: 'content_hash',
+      accountIdentifier: 'account_identifier',
+      statementReference: 'statement_reference',
+      statementDate: 'statement_date',
+      currency: 'currency',
+      openingBalance: 'opening_balance',
+      closingBalance: 'closing_balance',
+      lineCount: 'line_count',
+      creditCount: 'credit_count',
+      matchedCount: 'matched_count',
+      autoMatchedCount: 'auto_matched_count',
+      uploadedBy: 'uploaded_by',
+      createdAt: 'created_at',
+      updatedAt: 'updated_at'
+    };
+
+    for (const [camelKey, snakeKey] of Object.entries(fieldMap)) {
+      if (data[camelKey] !== undefined) {
+        dbData[snakeKey] = data[camelKey];
+      }
+    }
+
+    return dbData;
+  }
+
+  /**
+   * Convert snake_case database fields to camelCase for model
+   */
+  static _toModel(dbData) {
+    if (!dbData) return null;
+
+    return {
+      id: dbData.id,
+      structureId: dbData.structure_id,
+      format: dbData.format,
+      fileName: dbData.file_name,
+      contentHash: dbData.content_hash,
+      accountIdentifier: dbData.account_identifier,
+      statementReference: dbData.statement_reference,
+      statementDate: dbData.statement_date,
+      currency: dbData.currency,
+      openingBalance: dbData.opening_balance != null ? parseFloat(dbData.opening_balance) : null,
+      closingBalance: dbData.closing_balance != null ? parseFloat(dbData.closing_balance) : null,
+      lineCount: dbData.line_count || 0,
+      creditCount: dbData.credit_count || 0,
+      matchedCount: dbData.matched_count || 0,
+      autoMatchedCount: dbData.auto_matched_count || 0,
+      uploadedBy: dbData.uploaded_by,
+      createdAt: dbData.created_at,
+      updatedAt: dbData.updated_at
+    };
+  }
+
+  /**
+   * Convert a statement line to snake_case for database
+   */
+  static _toLineDbFields(data) {
+    const dbData = {};
+    const fieldMap = {
+      statementId: 'statement_id',
+      lineIndex: 'line_index',
+      bookingDate: 'booking_date',
+      valueDate: 'value_date',
+      direction: 'direction',
+      amount: 'amount',
+      currency: 'currency',
+      reference: 'reference',
+      payerName: 'payer_name',
+      payerAccount: 'payer_account',
+      bankReference: 'bank_reference',
+      status: 'status',
+      matchConfidence: 'match_confidence',
+      resolvedBy: 'resolved_by',
+      resolvedAt: 'resolved_at',
+      notes: 'notes'
+    };
+
+    for (const [camelKey, snakeKey] of Object.entries(fieldMap)) {
+      if (data[camelKey] !== undefined) {
+        dbData[snakeKey] = data[camelKey];
+      }
+    }
+
+    return dbData;
+  }
+
+  /**
+   * Convert a statement line from the database to camelCase
+   */
+  static _toLineModel(dbData) {
+    if (!dbData) return null;
+
+    return {
+      id: dbData.id,
+      statementId: dbData.statement_id,
+      lineIndex: dbData.line_index,
+      bookingDate: dbData.booking_date,
+      valueDate: dbData.value_date,
+      direction: dbData.direction,
+      amount: parseFloat(dbData.amount) || 0,
+      currency: dbData.currency,
+      reference: dbData.reference,
+      payerName: dbData.payer_name,
+      payerAccount: dbData.payer_account,
+      bankReference: dbData.bank_reference,
+      status: dbData.status,
+      matchConfidence: dbData.match_confidence,
+      resolvedBy: dbData.resolved_by,
+      resolvedAt: dbData.resolved_at,
+      notes: dbData.notes,
+      structureId: dbData.bank_statements?.structure_id,
+      uploadedBy: dbData.bank_statements?.uploaded_by,
+      createdAt: dbData.created_at,
+      updatedAt: dbData.updated_at
+    };
+  }
+
+  /**
+   * Create a statement record
+   */
+  static async create(statementData) {
+    const supabase = getSupabase();
+    const dbData = this._toDbFields(statementData);
+
+    const { data, error } = await supabase
+      .from('bank_statements')
+      .insert([dbData])
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error creating bank statement: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+
+  /**
+   * Find statement by ID
+   */
+  static async findById(id) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('bank_statements')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return null; // Not found
+      throw new Error(`Error finding bank statement: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+
+  /**
+   * Find a statement by the hash of its file content
+   */
+  static async findByContentHash(contentHash) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('bank_statements')
+      .select('*')
+      .eq('content_hash', contentHash)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return null; // Not found
+      throw new Error(`Error finding bank statement: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+
+  /**
+   * Find statements, newest first
+   * @param {Object} filter - { structureId, uploadedBy }
+   */
+  static async find(filter = {}) {
+    const supabase = getSupabase();
+
+    let query = supabase.from('bank_statements').select('*');
+
+    if (filter.structureId) query = query.eq('structure_id', filter.structureId);
+    if (filter.uploadedBy) query = query.eq('uploaded_by', filter.uploadedBy);
+
+    const { data, error } = await query.order('created_at', { ascending: false });
+
+    if (error) {
+      throw new Error(`Error finding bank statements: ${error.message}`);
+    }
+
+    return data.map(item => this._toModel(item));
+  }
+
+  /**
+   * Update statement by ID
+   */
+  static async findByIdAndUpdate(id, updateData) {
+    const supabase = getSupabase();
+    const dbData = this._toDbFields(updateData);
+
+    const { data, error } = await supabase
+      .from('bank_statements')
+      .update(dbData)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error updating bank statement: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+
+  /**
+   * Insert the parsed lines of a statement
+   */
+  static async createLines(statementId, lines) {
+    if (lines.length === 0) return [];
+
+    const supabase = getSupabase();
+    const dbLines = lines.map(line => this._toLineDbFields({ ...line, statementId }));
+
+    const { data, error } = await supabase
+      .from('bank_statement_lines')
+      .insert(dbLines)
+      .select();
+
+    if (error) {
+      throw new Error(`Error creating bank statement lines: ${error.message}`);
+    }
+
+    return data.map(item => this._toLineModel(item));
+  }
+
+  /**
+   * Get all lines of a statement in file order
+   */
+  static async getLines(statementId) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('bank_statement_lines')
+      .select('*')
+      .eq('statement_id', statementId)
+      .order('line_index', { ascending: true });
+
+    if (error) {
+      throw new Error(`Error getting bank statement lines: ${error.message}`);
+    }
+
+    return data.map(item => this._toLineModel(item));
+  }
+
+  /**
+   * Find a statement line by ID (includes the statement's structure)
+   */
+  static async findLineById(lineId) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('bank_statement_lines')
+      .select('*, bank_statements(structure_id, uploaded_by)')
+      .eq('id', lineId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return null; // Not found
+      throw new Error(`Error finding bank statement line: ${error.message}`);
+    }
+
+    return this._toLineModel(data);
+  }
+
+  /**
+   * Lines waiting in the reconciliation queue, oldest first
+   * @param {Object} filter - { statementId, structureId, uploadedBy }
+   */
+  static async findQueue(filter = {}) {
+    const supabase = getSupabase();
+
+    let query = supabase
+      .from('bank_statement_lines')
+      .select('*, bank_statements!inner(structure_id, uploaded_by)')
+      .in('status', BankStatement.QUEUE_STATUSES);
+
+    if (filter.statementId) query = query.eq('statement_id', filter.statementId);
+    if (filter.structureId) query = query.eq('bank_statements.structure_id', filter.structureId);
+    if (filter.uploadedBy) query = query.eq('bank_statements.uploaded_by', filter.uploadedBy);
+
+    const { data, error } = await query.order('booking_date', { ascending: true });
+
+    if (error) {
+      throw new Error(`Error getting reconciliation queue: ${error.message}`);
+    }
+
+    return data.map(item => this._toLineModel(item));
+  }
+
+  /**
+   * Update a statement line
+   */
+  static async updateLine(lineId, updateData) {
+    const supabase = getSupabase();
+    const dbData = this._toLineDbFields(updateData);
+
+    const { data, error } = await supabase
+      .from('bank_statement_lines')
+      .update(dbData)
+      .eq('id', lineId)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error updating bank statement line: ${error.message}`);
+    }
+
+    return this._toLineModel(data);
+  }
+
+  /**
+   * Recount matched lines on a statement
+   */
+  static async refreshCounts(statementId) {
+    const lines = await this.getLines(statementId);
+
+    return this.findByIdAndUpdate(statementId, {
+      lineCount: lines.length,
+      creditCount: lines.filter(l => l.direction === 'credit').length,
+      matchedCount: lines.filter(l => l.status === 'matched').length
+    });
+  }
+}
+
+BankStatement.LINE_STATUSES = ['unmatched', 'suggested', 'matched', 'ignored'];
+BankStatement.QUEUE_STATUSES = ['unmatched', 'suggested'];
+
+module.exports = BankStatement;
@@ -0,0 +1,181 @@
+/**
+ * Bank Statement Match Supabase Model
+ * Suggested and confirmed links between a bank statement line and a capital call
+ * allocation or a pending payment
+ */
+
+const { getSupabase } = require('../../config/database');
+
+class BankStatementMatch {
+  /**
+   * Convert camelCase fields to snake_case for database
+   */
+  static _toDbFields(data) {
+    const dbData = {};
+    const fieldMap = {
+      id: 'id',
+      lineId: 'line_id',
+      targetType: 'target_type',
+      targetId: 'target_id',
+      capitalCallId: 'capital_call_id',
+      userId: 'user_id',
+      amount: 'amount',
+      confidence: 'confidence',
+      reasons: 'reasons',
+      status: 'status',
+      method: 'method',
+      confirmedBy: 'confirmed_by',
+      confirmedAt: 'confirmed_at',
+      appliedAt: 'applied_at',
+      createdAt: 'created_at',
+      updatedAt: 'updated_at'
+    };
+
+    for (const [camelKey, snakeKey] of Object.entries(fieldMap)) {
+      if (data[camelKey] !== undefined) {
+        dbData[snakeKey] = data[camelKey];
+      }
+    }
+
+    return dbData;
+  }
+
+  /**
+   * Convert snake_case database fields to camelCase for model
+   */
+  static _toModel(dbData) {
+    if (!dbData) return null;
+
+    return {
+      id: dbData.id,
+      lineId: dbData.line_id,
+      targetType: dbData.target_type,
+      targetId: dbData.target_id,
+      capitalCallId: dbData.capital_call_id,
+      userId: dbData.user_id,
+      amount: parseFloat(dbData.amount) || 0,
+      confidence: dbData.confidence || 0,
+      reasons: dbData.reasons || [],
+      status: dbData.status,
+      method: dbData.method,
+      confirmedBy: dbData.confirmed_by,
+      confirmedAt: dbData.confirmed_at,
+      appliedAt: dbData.applied_at,
+      createdAt: dbData.created_at,
+      updatedAt: dbData.updated_at
+    };
+  }
+
+  /**
+   * Create match records
+   */
+  static async createMany(matches) {
+    if (matches.length === 0) return [];
+
+    const supabase = getSupabase();
+    const dbData = matches.map(match => this._toDbFields(match));
+
+    const { data, error } = await supabase
+      .from('bank_statement_matches')
+      .insert(dbData)
+      .select();
+
+    if (error) {
+      throw new Error(`Error creating bank statement matches: ${error.message}`);
+    }
+
+    return data.map(item => this._toModel(item));
+  }
+
+  /**
+   * Find match by ID
+   */
+  static async findById(id) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('bank_statement_matches')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return null; // Not found
+      throw new Error(`Error finding bank statement match: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+
+  /**
+   * Matches for a set of statement lines, best first
+   */
+  static async findByLineIds(lineIds) {
+    if (lineIds.length === 0) return [];
+
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('bank_statement_matches')
+      .select('*')
+      .in('line_id', lineIds)
+      .order('confidence', { ascending: false });
+
+    if (error) {
+      throw new Error(`Error finding bank statement matches: ${error.message}`);
+    }
+
+    return data.map(item => this._toModel(item));
+  }
+
+  /**
+   * Matches for one statement line, best first
+   */
+  static async findByLineId(lineId) {
+    return this.findByLineIds([lineId]);
+  }
+
+  /**
+   * Update match by ID
+   */
+  static async findByIdAndUpdate(id, updateData) {
+    const supabase = getSupabase();
+    const dbData = this._toDbFields(updateData);
+
+    const { data, error } = await supabase
+      .from('bank_statement_matches')
+      .update(dbData)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error updating bank statement match: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+
+  /**
+   * Reject every open suggestion on a line
+   */
+  static async rejectSuggestionsForLine(lineId) {
+    const supabase = getSupabase();
+
+    const { error } = await supabase
+      .from('bank_statement_matches')
+      .update({ status: 'rejected' })
+      .eq('line_id', lineId)
+      .eq('status', 'suggested');
+
+    if (error) {
+      throw new Error(`Error rejecting bank statement matches: ${error.message}`);
+    }
+
+    return true;
+  }
+}
+
+BankStatementMatch.TARGET_TYPES = ['capital_call_allocation', 'payment'];
+
+module.exports = BankStatementMatch;
@@ -4,6 +4,11 @@
  */
 
 const { getSupabase } = require('../../config/database');
+const { generatePaymentReference, normalizePaymentReference } = require('../../utils/paymentReference');
+const { calculateRecallableBalances } = require('../../utils/recallable');
+const CapitalCallCredit = require('./capitalCallCredit');
+const LpTransfer = require('./lpTransfer');
+const SideLetter = require('./sideLetter');
 
 class CapitalCall {
   /**
@@ -42,6 +47,15 @@ class CapitalCall {
       totalFundExpenses: 'total_fund_expenses',
       totalReserves: 'total_reserves',
       totalDrawdown: 'total_drawdown',
+      // Call type: 'standard', 'equalization', 'fees' or 'expenses'
+      callType: 'call_type',
+      excusalReallocationRule: 'excusal_reallocation_rule',
+      // Draw each LP's recallable distribution balance first
+      drawsRecallable: 'draws_recallable',
+      cancelledAt: 'cancelled_at',
+      cancelledBy: 'cancelled_by',
+      cancellationReason: 'cancellation_reason',
+      reversedCalledAmount: 'reversed_called_amount',
       createdBy: 'created_by',
       createdAt: 'created_at',
       updatedAt: 'updated_at'
@@ -94,6 +108,15 @@ class CapitalCall {
       totalFundExpenses: dbData.total_fund_expenses,
       totalReserves: dbData.total_reserves,
       totalDrawdown: dbData.total_drawdown,
+      // Call type: 'standard', 'equalization', 'fees' or 'expenses'
+      callType: dbData.call_type || 'standard',
+      excusalReallocationRule: dbData.excusal_reallocation_rule,
+      // Draw each LP's recallable distribution balance first
+      drawsRecallable: dbData.draws_recallable || false,
+      cancelledAt: dbData.cancelled_at,
+      cancelledBy: dbData.cancelled_by,
+      cancellationReason: dbData.cancellation_reason,
+      reversedCalledAmount: parseFloat(dbData.reversed_called_amount) || 0,
       createdBy: dbData.created_by,
       createdAt: dbData.created_at,
       updatedAt: dbData.updated_at
@@ -437,6 +460,17 @@ class CapitalCall {
           ownership_percent,
           status,
           notice_sent,
+          excusal_type,
+          excusal_reason,
+          excused_amount,
+          reallocated_amount,
+          payment_currency,
+          fx_rate,
+          fx_rate_date,
+          total_due_payment_currency,
+          paid_amount_payment_currency,
+          fx_gain_loss,
+          payment_reference_code,
           users:user_id (
             id,
             email,
@@ -504,6 +538,27 @@ class CapitalCall {
       status: a.status || 'Pending',
       notice_sent: a.notice_sent || false,
       noticeSent: a.notice_sent || false,
+      // Excuse/exclusion
+      excusal_type: a.excusal_type || null,
+      excusalType: a.excusal_type || null,
+      excusal_reason: a.excusal_reason || null,
+      excused_amount: parseFloat(a.excused_amount) || 0,
+      excusedAmount: parseFloat(a.excused_amount) || 0,
+      reallocated_amount: parseFloat(a.reallocated_amount) || 0,
+      reallocatedAmount: parseFloat(a.reallocated_amount) || 0,
+      // Payment currency (FX snapshot taken when the notice was sent)
+      payment_currency: a.payment_currency || null,
+      paymentCurrency: a.payment_currency || null,
+      fx_rate: a.fx_rate != null ? parseFloat(a.fx_rate) : null,
+      fxRate: a.fx_rate != null ? parseFloat(a.fx_rate) : null,
+      fxRateDate: a.fx_rate_date || null,
+      total_due_payment_currency: a.total_due_payment_currency != null ? parseFloat(a.total_due_payment_currency) : null,
+      totalDuePaymentCurrency: a.total_due_payment_currency != null ? parseFloat(a.total_due_payment_currency) : null,
+      paidAmountPaymentCurrency: parseFloat(a.paid_amount_payment_currency) || 0,
+      fxGainLoss: parseFloat(a.fx_gain_loss) || 0,
+      // Payment reference the LP quotes on their transfer
+      payment_reference_code: a.payment_reference_code || null,
+      paymentReferenceCode: a.payment_reference_code || null,
       // User data for reference
       user: a.users ? {
         id: a.users.id,
@@ -535,6 +590,59 @@ class CapitalCall {
     });
   }
 
+  /**
+   * Void all allocations of a capital call (cancellation)
+   * Allocations are kept for the audit trail; paid amounts are left as received
+   * @returns {Array} Voided allocation rows in database (snake_case) format
+   */
+  static async voidAllocations(capitalCallId) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('capital_call_allocations')
+      .update({
+        status: 'Voided',
+        remaining_amount: 0,
+        voided_at: new Date().toISOString()
+      })
+      .eq('capital_call_id', capitalCallId)
+      .neq('status', 'Voided')
+      .select();
+
+    if (error) {
+      throw new Error(`Error voiding allocations: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Store the payment-currency FX snapshot on an allocation (taken at notice time)
+   * @param {string} allocationId - Capital call allocation ID
+   * @param {Object} snapshot - { paymentCurrency, fxRate, fxRateDate, convertedAmount }
+   */
+  static async updateAllocationFxSnapshot(allocationId, snapshot) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('capital_call_allocations')
+      .update({
+        payment_currency: snapshot.paymentCurrency,
+        fx_rate: snapshot.fxRate,
+        fx_rate_date: snapshot.fxRateDate,
+        total_due_payment_currency: snapshot.convertedAmount
+      })
+      .eq('id', allocationId)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error saving allocation FX snapshot: ${error.message}`);
+    }
+
+    return data;
+  }
+
   /**
    * Update payment amounts
    */
@@ -563,6 +671,53 @@ class CapitalCall {
     return this.findByIdAndUpdate(capitalCallId, updateData);
   }
 
+  /**
+   * Recalculate paid/unpaid totals and status from approved allocation payments
+   * @param {string} capitalCallId - Capital call ID
+   * @param {string} currentStatus - Status kept while nothing has been paid
+   * @returns {Object} { totalPaid, totalUnpaid, status }
+   */
+  static async refreshPaymentTotals(capitalCallId, currentStatus = 'Sent') {
+    const supabase = getSupabase();
+
+    const { data: allocations, error } = await supabase
+      .from('capital_call_allocations')
+      .select('paid_amount, total_due, payment_approval_status')
+      .eq('capital_call_id', capitalCallId);
+
+    if (error) {
+      throw new Error(`Error getting allocations: ${error.message}`);
+    }
+
+    // Only count approved payments toward totals
+    const approvedAllocations = (allocations || []).filter(a => a.payment_approval_status === 'approved');
+    const totalPaid = approvedAllocations.reduce((sum, a) => sum + (parseFloat(a.paid_amount) || 0), 0);
+    const totalAmount = (allocations || []).reduce((sum, a) => sum + (parseFloat(a.total_due) || 0), 0);
+
+    let status = currentStatus;
+    if (totalPaid >= totalAmount) {
+      status = 'Paid';
+    } else if (totalPaid > 0) {
+      status = 'Partially Paid';
+    }
+
+    const { error: updateError } = await supabase
+      .from('capital_calls')
+      .update({
+        total_paid_amount: totalPaid,
+        total_unpaid_amount: totalAmount - totalPaid,
+        status,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', capitalCallId);
+
+    if (updateError) {
+      throw new Error(`Error updating capital call totals: ${updateError.message}`);
+    }
+
+    return { totalPaid, totalUnpaid: totalAmount - totalPaid, status };
+  }
+
   /**
    * Get capital call summary for structure
    */
@@ -586,6 +741,33 @@ class CapitalCall {
    */
   static async createAllocationsForStructure(capitalCallId, structureId) {
     const supabase = getSupabase();
+    const { allocations } = await this.buildAllocationsForStructure(capitalCallId, structureId);
+
+    // Insert all allocations, each with its own payment reference
+    const { data, error } = await supabase
+      .from('capital_call_allocations')
+      .insert(allocations.map(allocation => ({
+        ...allocation,
+        payment_reference_code: allocation.payment_reference_code || generatePaymentReference()
+      })))
+      .select();
+
+    if (error) {
+      throw new Error(`Error creating allocations: ${error.message}`);
+    }
+
+    await CapitalCallCredit.applyToAllocations(data);
+
+    return data;
+  }
+
+  /**
+   * Calculate allocations for all investors in structure without persisting them
+   * Shared by createAllocationsForStructure and the allocation preview
+   * @returns {Object} { capitalCall, investors, allocations } - allocations in database (snake_case) format
+   */
+  static async buildAllocationsForStructure(capitalCallId, structureId) {
+    const supabase = getSupabase();
 
     // Get all investors for this structure from structure_investors table (LP commitments + fee settings)
     const { data: investors, error: invError } = await supabase
@@ -636,12 +818,52 @@ class CapitalCall {
       throw new Error('Capital call not found');
     }
 
+    // Fee discounts from side letters (own provisions and MFN elections) apply when higher than the LP's base discount
+    const sideLetterDiscounts = await SideLetter.getFeeDiscountsByStructure(structureId, { asOfDate: capitalCall.callDate });
+    structureInvestors.forEach(si => {
+      const sideLetterDiscount = sideLetterDiscounts[si.user_id];
+      if (sideLetterDiscount && sideLetterDiscount.discountPercent > (parseFloat(si.fee_discount) || 0)) {
+        si.fee_discount = sideLetterDiscount.discountPercent;
+        si.fee_discount_provision_id = sideLetterDiscount.provisionId;
+      }
+    });
+
+    // Excused/excluded LPs give up their share of this call; it is reallocated per the configured rule
+    const excusals = await this.getExcusalsForCall(capitalCall);
+    let reallocationRule = null;
+    let priorCalledMap = {};
+    if (excusals.length > 0) {
+      reallocationRule = capitalCall.excusalReallocationRule;
+      if (!reallocationRule) {
+        const { data: ruleData } = await supabase
+          .from('structures')
+          .select('excusal_reallocation_rule')
+          .eq('id', structureId)
+          .single();
+        reallocationRule = ruleData?.excusal_reallocation_rule || 'pro_rata_ownership';
+      }
+      if (reallocationRule === 'pro_rata_unfunded') {
+        priorCalledMap = await this.getCumulativeCalledByStructure(structureId, capitalCallId);
+      }
+    }
+    const callInvestors = this.applyExcusals(structureInvestors, excusals, reallocationRule, priorCalledMap);
+
     // Determine if we should use dual-rate mode (Proximity Parks)
     const isDualRateMode = capitalCall.managementFeeBase === 'nic_plus_unfunded' &&
       (capitalCall.feeRateOnNic != null || capitalCall.feeRateOnUnfunded != null);
 
+    // Recallable distribution balances add back to unfunded commitment and are drawn first
+    // when the call recalls distributions
+    const recallable = isDualRateMode || capitalCall.drawsRecallable
+      ? await this.getRecallableBalancesByStructure(structureId, {
+        asOfDate: capitalCall.callDate,
+        excludeCallId: capitalCallId
+      })
+      : {};
+
     // Get structure for GP percentage (needed for fee offset in dual-rate mode)
     let structure = null;
+    let capitalBalances = {};
     if (isDualRateMode) {
       const { data: structureData } = await supabase
         .from('structures')
@@ -649,6 +871,12 @@ class CapitalCall {
         .eq('id', structureId)
         .single();
       structure = structureData;
+
+      // Prior called, returned and written-down capital per investor (as of this call)
+      capitalBalances = await this.getCapitalBalancesByStructure(structureId, {
+        asOfDate: capitalCall.callDate,
+        excludeCallId: capitalCallId
+      });
     }
 
     // Calculate period fraction based on fee period
@@ -668,16 +896,19 @@ class CapitalCall {
       const gpPercentage = structure?.gp_percentage || 0;
 
       // Pass 1: Calculate each investor's NIC fee and Unfunded fee
-      const investorFees = structureInvestors.map((si) => {
-        const principalAmount = capitalCall.totalCallAmount * (si.ownership_percent / 100);
+      const investorFees = callInvestors.map((si) => {
+        const principalAmount = capitalCall.totalCallAmount * (si.call_share_percent / 100);
         const feeDiscount = si.fee_discount || 0;
         const vatExempt = si.vat_exempt || false;
         const commitment = si.commitment || 0;
 
-        // NIC = calledCapital (commitment - unfunded). For unfunded, use commitment minus what's been called.
-        // unfundedCommitment is the investor's remaining unfunded capital before this call
-        const unfundedCommitment = commitment; // pre-call unfunded (simplified: full commitment for first call)
-        const nicBase = commitment - unfundedCommitment; // prior NIC (0 for first call)
+        // NIC = invested capital - returned capital - write-downs (prior calls/distributions)
+        // unfundedCommitment = commitment - cumulative drawdown before this call + recallable
+        const { nicBase, unfundedCommitment } = this.calculateFeeBases(commitment, {
+          ...capitalBalances[si.user_id],
+          recalledCapital: recallable[si.user_id]?.recalled || 0,
+          recallableBalance: recallable[si.user_id]?.available || 0
+        });
 
         // Calculate individual fees at full rates (before discount)
         const nicFeeGross = nicBase * periodFraction * (nicRate / 100);
@@ -695,6 +926,8 @@ class CapitalCall {
           feeDiscount,
           investorDiscountAmount,
           vatExempt,
+          nicBase,
+          unfundedCommitment,
           nicFee,
           unfundedFee,
           managementFeeGross
@@ -730,13 +963,13 @@ class CapitalCall {
         // ProximityParks breakdown: investments = principal (when not explicitly set)
         // Fund expenses and reserves come from the capital call header if set
         const investmentsAmount = capitalCall.totalInvestments
-          ? (capitalCall.totalInvestments * (f.si.ownership_percent / 100))
+          ? (capitalCall.totalInvestments * (f.si.call_share_percent / 100))
           : f.principalAmount;
         const fundExpensesAmount = capitalCall.totalFundExpenses
-          ? (capitalCall.totalFundExpenses * (f.si.ownership_percent / 100))
+          ? (capitalCall.totalFundExpenses * (f.si.call_share_percent / 100))
           : 0;
         const reservesAmount = capitalCall.totalReserves
-          ? (capitalCall.totalReserves * (f.si.ownership_percent / 100))
+          ? (capitalCall.totalReserves * (f.si.call_share_percent / 100))
           : 0;
         // Total drawdown = investments + expenses + reserves + fees + VAT (counts toward commitment)
         const totalDrawdown = investmentsAmount + fundExpensesAmount + reservesAmount + managementFeeNet + vatAmount;
@@ -747,7 +980,8 @@ class CapitalCall {
           allocated_amount: totalDue,
           paid_amount: 0,
           remaining_amount: totalDue,
-          status: 'Pending',
+          // Excused LPs with nothing left to pay (no fees) are settled on creation
+          status: f.si.excusal_type && totalDue <= 0 ? 'Paid' : 'Pending',
           due_date: capitalCall.dueDate,
           // ILPA Fee Breakdown
           principal_amount: f.principalAmount,
@@ -761,6 +995,8 @@ class CapitalCall {
           fees_paid: 0,
           vat_paid: 0,
           // Dual-rate breakdown columns
+          nic_base: f.nicBase,
+          unfunded_base: f.unfundedCommitment,
           nic_fee_amount: f.nicFee,
           unfunded_fee_amount: f.unfundedFee,
           fee_offset_amount: feeOffset,
@@ -769,13 +1005,18 @@ class CapitalCall {
           investments_amount: investmentsAmount,
           fund_expenses_amount: fundExpensesAmount,
           reserves_amount: reservesAmount,
-          total_drawdown: totalDrawdown
+          total_drawdown: totalDrawdown,
+          // Excuse/exclusion breakdown
+          excusal_type: f.si.excusal_type,
+          excusal_reason: f.si.excusal_reason,
+          excused_amount: capitalCall.totalCallAmount * (f.si.excused_percent / 100),
+          reallocated_amount: capitalCall.totalCallAmount * (f.si.reallocated_percent / 100)
         };
       });
     } else {
       // ===== LEGACY SINGLE-RATE MODE (unchanged) =====
-      allocations = structureInvestors.map((si) => {
-        const principalAmount = capitalCall.totalCallAmount * (si.ownership_percent / 100);
+      allocations = callInvestors.map((si) => {
+        const principalAmount = capitalCall.totalCallAmount * (si.call_share_percent / 100);
 
         // Fee settings from the investor-structure record (per-structure)
         const feeDiscount = si.fee_discount || 0;
@@ -812,13 +1053,13 @@ class CapitalCall {
         // ProximityParks breakdown: investments = principal (when not explicitly set)
         // Fund expenses and reserves come from the capital call header if set
         const investmentsAmount = capitalCall.totalInvestments
-          ? (capitalCall.totalInvestments * (si.ownership_percent / 100))
+          ? (capitalCall.totalInvestments * (si.call_share_percent / 100))
           : principalAmount;
         const fundExpensesAmount = capitalCall.totalFundExpenses
-          ? (capitalCall.totalFundExpenses * (si.ownership_percent / 100))
+          ? (capitalCall.totalFundExpenses * (si.call_share_percent / 100))
           : 0;
         const reservesAmount = capitalCall.totalReserves
-          ? (capitalCall.totalReserves * (si.ownership_percent / 100))
+          ? (capitalCall.totalReserves * (si.call_share_percent / 100))
           : 0;
         // Total drawdown = investments + expenses + reserves + fees + VAT (counts toward commitment)
         const totalDrawdown = investmentsAmount + fundExpensesAmount + reservesAmount + managementFeeNet + vatAmount;
@@ -829,7 +1070,7 @@ class CapitalCall {
           allocated_amount: totalDue,
           paid_amount: 0,
           remaining_amount: totalDue,
-          status: 'Pending',
+          status: si.excusal_type && totalDue <= 0 ? 'Paid' : 'Pending',
           due_date: capitalCall.dueDate,
           // ILPA Fee Breakdown
           principal_amount: principalAmount,
@@ -846,31 +1087,458 @@ class CapitalCall {
           investments_amount: investmentsAmount,
           fund_expenses_amount: fundExpensesAmount,
           reserves_amount: reservesAmount,
-          total_drawdown: totalDrawdown
+          total_drawdown: totalDrawdown,
+          // Excuse/exclusion breakdown
+          excusal_type: si.excusal_type,
+          excusal_reason: si.excusal_reason,
+          excused_amount: capitalCall.totalCallAmount * (si.excused_percent / 100),
+          reallocated_amount: capitalCall.totalCallAmount * (si.reallocated_percent / 100)
         };
       });
     }
 
-    // Insert all allocations
+    // Calls drawing against recallable distributions use each LP's recallable balance first
+    if (capitalCall.drawsRecallable) {
+      allocations.forEach(alloc => {
+        const available = recallable[alloc.user_id]?.available || 0;
+        alloc.recalled_amount = Math.round(Math.min(Math.max(alloc.total_drawdown, 0), available) * 100) / 100;
+      });
+    }
+
+    // LPs' credits from payments on cancelled calls settle their new allocations first
+    const credits = await CapitalCallCredit.findAvailableByStructureId(structureId);
+    this.applyCredits(allocations, credits);
+
+    return { capitalCall, investors: callInvestors, allocations, reallocationRule };
+  }
+
+  /**
+   * Settle allocations from the LPs' available credits, oldest credit first. The applied amount
+   * is recorded as an approved payment split pro rata over capital, fees and VAT, with the
+   * credits used in applied_credits
+   * @param {Array} allocations - Allocations in database (snake_case) format, updated in place
+   * @param {Array} credits - Available CapitalCallCredit models
+   * @returns {Array} The allocations
+   */
+  static applyCredits(allocations, credits) {
+    const round = (value) => Math.round((value || 0) * 100) / 100;
+    const remaining = new Map(credits.map(c => [c.id, round(c.amount - c.appliedAmount)]));
+
+    allocations.forEach(alloc => {
+      const totalDue = round(alloc.total_due);
+      const appliedCredits = [];
+      let applied = 0;
+
+      credits
+        .filter(c => c.userId === alloc.user_id && remaining.get(c.id) > 0)
+        .forEach(credit => {
+          const amount = round(Math.min(remaining.get(credit.id), totalDue - applied));
+          if (amount <= 0) return;
+          remaining.set(credit.id, round(remaining.get(credit.id) - amount));
+          appliedCredits.push({ creditId: credit.id, amount });
+          applied = round(applied + amount);
+        });
+
+      if (applied <= 0) return;
+
+      const ratio = applied / totalDue;
+      const feesPaid = round((alloc.management_fee_net || 0) * ratio);
+      const vatPaid = round((alloc.vat_amount || 0) * ratio);
+      Object.assign(alloc, {
+        credit_applied_amount: applied,
+        applied_credits: appliedCredits,
+        paid_amount: applied,
+        remaining_amount: round(totalDue - applied),
+        capital_paid: round(applied - feesPaid - vatPaid),
+        fees_paid: feesPaid,
+        vat_paid: vatPaid,
+        payment_approval_status: 'approved',
+        payment_method: 'credit',
+        status: applied >= totalDue ? 'Paid' : alloc.status
+      });
+    });
+
+    return allocations;
+  }
+
+  /**
+   * Get the excusals that apply to a capital call
+   * Includes excusals scoped to the call itself and to the investment it funds
+   * @param {Object} capitalCall - Capital call model ({ id, structureId, investmentId })
+   * @returns {Array} Excusal rows in database (snake_case) format
+   */
+  static async getExcusalsForCall(capitalCall) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('capital_call_excusals')
+      .select('user_id, capital_call_id, investment_id, excusal_type, reason')
+      .eq('structure_id', capitalCall.structureId);
+
+    if (error) {
+      throw new Error(`Error fetching excusals: ${error.message}`);
+    }
+
+    return (data || []).filter(e =>
+      e.capital_call_id === capitalCall.id ||
+      (capitalCall.investmentId && e.investment_id === capitalCall.investmentId)
+    );
+  }
+
+  /**
+   * Apply excusals to the investors of a call
+   * Excused/excluded investors get a 0% share of the call; their share is spread across
+   * the remaining investors by ownership, by remaining unfunded commitment, or not at all ('none')
+   * @param {Array} investors - Structure investors ({ user_id, ownership_percent, commitment })
+   * @param {Array} excusals - Excusals that apply to the call
+   * @param {string} rule - pro_rata_ownership | pro_rata_unfunded | none
+   * @param {Object} priorCalledMap - userId -> cumulative called (for pro_rata_unfunded)
+   * @returns {Array} Investors with call_share_percent, excused_percent, reallocated_percent and excusal fields
+   */
+  static applyExcusals(investors, excusals = [], rule = 'pro_rata_ownership', priorCalledMap = {}) {
+    const excusalMap = new Map(excusals.map(e => [e.user_id, e]));
+
+    const withExcusals = investors.map(si => {
+      const excusal = excusalMap.get(si.user_id);
+      return {
+        ...si,
+        call_share_percent: excusal ? 0 : si.ownership_percent,
+        excused_percent: excusal ? si.ownership_percent : 0,
+        reallocated_percent: 0,
+        excusal_type: excusal ? excusal.excusal_type : null,
+        excusal_reason: excusal ? excusal.reason || null : null
+      };
+    });
+
+    const excusedPercent = withExcusals.reduce((sum, si) => sum + si.excused_percent, 0);
+    if (excusedPercent <= 0 || rule === 'none') {
+      return withExcusals;
+    }
+
+    const participants = withExcusals.filter(si => !si.excusal_type);
+    const basisFor = (si) => (rule === 'pro_rata_unfunded'
+      ? Math.max(0, (si.commitment || 0) - (priorCalledMap[si.user_id] || 0))
+      : si.ownership_percent || 0);
+    const totalBasis = participants.reduce((sum, si) => sum + basisFor(si), 0);
+
+    // Nobody left to pick up the excused share: the call is simply reduced
+    if (totalBasis <= 0) {
+      return withExcusals;
+    }
+
+    participants.forEach(si => {
+      si.reallocated_percent = excusedPercent * (basisFor(si) / totalBasis);
+      si.call_share_percent += si.reallocated_percent;
+    });
+
+    return withExcusals;
+  }
+
+  /**
+   * Simulate allocations for a capital call (dry run)
+   * Runs the same allocation logic as createAllocationsForStructure without writing anything
+   * and flags issues the GP should review before allocations are created
+   * @returns {Object} { capitalCall, investors, totals, warnings }
+   */
+  static async previewAllocationsForStructure(capitalCallId, structureId) {
+    const supabase = getSupabase();
+    const round = (value) => Math.round((value || 0) * 100) / 100;
+
+    const { capitalCall, investors, allocations, reallocationRule } = await this.buildAllocationsForStructure(capitalCallId, structureId);
+
+    // Drawdowns on prior sent/paid calls count against each investor's commitment
+    // (net of recallable distributions, which add back to unfunded commitment)
+    const priorCalledMap = await this.getCumulativeCalledByStructure(structureId, capitalCallId);
+
+    const { data: existingAllocations, error: existingError } = await supabase
+      .from('capital_call_allocations')
+      .select('id')
+      .eq('capital_call_id', capitalCallId);
+
+    if (existingError) {
+      throw new Error(`Error fetching existing allocations: ${existingError.message}`);
+    }
+
+    const userIds = investors.map(inv => inv.user_id);
+    let userMap = {};
+    if (userIds.length > 0) {
+      const { data: users, error: usersError } = await supabase
+        .from('users')
+        .select('id, email, first_name, last_name')
+        .in('id', userIds);
+
+      if (usersError) {
+        throw new Error(`Error fetching investors: ${usersError.message}`);
+      }
+
+      userMap = Object.fromEntries((users || []).map(u => [u.id, u]));
+    }
+
+    const warnings = [];
+
+    const previewInvestors = allocations.map((alloc, index) => {
+      const investor = investors[index];
+      const user = userMap[alloc.user_id];
+      const commitment = investor.commitment || 0;
+      const priorCalled = priorCalledMap[alloc.user_id] || 0;
+      const remainingBefore = commitment - priorCalled;
+      const remainingUnfunded = remainingBefore - alloc.total_drawdown;
+      const investorName = user
+        ? `${user.first_name || ''} ${user.last_name || ''}`.trim() || user.email
+        : alloc.user_id;
+
+      const overCalled = remainingUnfunded < -0.005;
+      if (overCalled) {
+        warnings.push({
+          code: 'over_commitment',
+          userId: alloc.user_id,
+          message: `${investorName} would be called ${round(-remainingUnfunded)} beyond their commitment`
+        });
+      }
+      if (commitment <= 0) {
+        warnings.push({
+          code: 'no_commitment',
+          userId: alloc.user_id,
+          message: `${investorName} has no commitment recorded for this structure`
+        });
+      }
+
+      return {
+        userId: alloc.user_id,
+        investorName,
+        email: user?.email || null,
+        ownershipPercent: investor.ownership_percent || 0,
+        commitment: round(commitment),
+        priorCalled: round(priorCalled),
+        unfundedBefore: round(remainingBefore),
+        principalAmount: round(alloc.principal_amount),
+        managementFeeGross: round(alloc.management_fee_gross),
+        feeDiscountPercent: investor.fee_discount || 0,
+        sideLetterProvisionId: investor.fee_discount_provision_id || null,
+        managementFeeDiscount: round(alloc.management_fee_discount),
+        feeOffset: round(alloc.fee_offset_amount),
+        managementFeeNet: round(alloc.management_fee_net),
+        vatExempt: investor.vat_exempt || false,
+        vatAmount: round(alloc.vat_amount),
+        totalDue: round(alloc.total_due),
+        totalDrawdown: round(alloc.total_drawdown),
+        recalledAmount: round(alloc.recalled_amount),
+        creditApplied: round(alloc.credit_applied_amount),
+        nicBase: alloc.nic_base != null ? round(alloc.nic_base) : null,
+        unfundedBase: alloc.unfunded_base != null ? round(alloc.unfunded_base) : null,
+        remainingUnfunded: round(remainingUnfunded),
+        overCalled,
+        excusalType: alloc.excusal_type,
+        excusalReason: alloc.excusal_reason,
+        excusedAmount: round(alloc.excused_amount),
+        reallocatedAmount: round(alloc.reallocated_amount)
+      };
+    });
+
+    const sum = (key) => round(previewInvestors.reduce((total, inv) => total + inv[key], 0));
+    const totals = {
+      investorCount: previewInvestors.length,
+      commitment: sum('commitment'),
+      priorCalled: sum('priorCalled'),
+      principalAmount: sum('principalAmount'),
+      managementFeeGross: sum('managementFeeGross'),
+      managementFeeDiscount: sum('managementFeeDiscount'),
+      feeOffset: sum('feeOffset'),
+      managementFeeNet: sum('managementFeeNet'),
+      vatAmount: sum('vatAmount'),
+      totalDue: sum('totalDue'),
+      totalDrawdown: sum('totalDrawdown'),
+      recalledAmount: sum('recalledAmount'),
+      creditApplied: sum('creditApplied'),
+      remainingUnfunded: sum('remainingUnfunded'),
+      excusedAmount: sum('excusedAmount'),
+      reallocatedAmount: sum('reallocatedAmount'),
+      ownershipPercent: round(previewInvestors.reduce((total, inv) => total + inv.ownershipPercent, 0))
+    };
+
+    if (previewInvestors.length === 0) {
+      warnings.push({ code: 'no_investors', userId: null, message: 'No investors are assigned to this structure' });
+    }
+    if (previewInvestors.length > 0 && Math.abs(totals.ownershipPercent - 100) > 0.01) {
+      warnings.push({
+        code: 'ownership_mismatch',
+        userId: null,
+        message: `Investor ownership sums to ${totals.ownershipPercent}% instead of 100%`
+      });
+    }
+    // Excused shares that were not reallocated reduce the amount actually called
+    const unreallocated = round(totals.excusedAmount - totals.reallocatedAmount);
+    if (unreallocated > 0.01) {
+      warnings.push({
+        code: 'excused_not_reallocated',
+        userId: null,
+        message: `${unreallocated} excused from this call is not reallocated (rule: ${reallocationRule})`
+      });
+    }
+    if (previewInvestors.length > 0 &&
+      Math.abs(totals.principalAmount + unreallocated - round(capitalCall.totalCallAmount)) > 0.01) {
+      warnings.push({
+        code: 'principal_mismatch',
+        userId: null,
+        message: `Allocated principal ${totals.principalAmount} differs from the call amount ${round(capitalCall.totalCallAmount)}`
+      });
+    }
+    if (existingAllocations && existingAllocations.length > 0) {
+      warnings.push({
+        code: 'allocations_exist',
+        userId: null,
+        message: `This capital call already has ${existingAllocations.length} allocation(s); creating allocations again would duplicate them`
+      });
+    }
+
+    return {
+      capitalCall: {
+        id: capitalCall.id,
+        structureId: capitalCall.structureId,
+        callNumber: capitalCall.callNumber,
+        callDate: capitalCall.callDate,
+        dueDate: capitalCall.dueDate,
+        totalCallAmount: capitalCall.totalCallAmount,
+        managementFeeBase: capitalCall.managementFeeBase,
+        feePeriod: capitalCall.feePeriod,
+        vatApplicable: capitalCall.vatApplicable,
+        vatRate: capitalCall.vatRate,
+        status: capitalCall.status,
+        excusalReallocationRule: reallocationRule,
+        drawsRecallable: capitalCall.drawsRecallable
+      },
+      investors: previewInvestors,
+      totals,
+      warnings
+    };
+  }
+
+  /**
+   * Create a single allocation for a capital call
+   * Used for calls that target one investor (e.g. equalization calls)
+   * @param {Object} allocation - Allocation row in database (snake_case) format
+   */
+  static async createAllocation(allocation) {
+    const supabase = getSupabase();
+
     const { data, error } = await supabase
       .from('capital_call_allocations')
-      .insert(allocations)
-      .select();
+      .insert([{
+        ...allocation,
+        payment_reference_code: allocation.payment_reference_code || generatePaymentReference()
+      }])
+      .select()
+      .single();
 
     if (error) {
-      throw new Error(`Error creating allocations: ${error.message}`);
+      throw new Error(`Error creating allocation: ${error.message}`);
     }
 
     return data;
   }
 
   /**
-   * Find capital calls where notice should be sent today
-   * Returns calls where noticeDate = today and status is 'Draft'
+   * Give every allocation of a capital call a payment reference if it does not have one yet
+   * Backfills calls created before payment references existed; run before notices go out
+   * @returns {number} Number of references assigned
+   */
+  static async assignPaymentReferences(capitalCallId) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('capital_call_allocations')
+      .select('id')
+      .eq('capital_call_id', capitalCallId)
+      .is('payment_reference_code', null);
+
+    if (error) {
+      throw new Error(`Error finding allocations without payment reference: ${error.message}`);
+    }
+
+    for (const allocation of data || []) {
+      const { error: updateError } = await supabase
+        .from('capital_call_allocations')
+        .update({ payment_reference_code: generatePaymentReference() })
+        .eq('id', allocation.id)
+        .is('payment_reference_code', null);
+
+      if (updateError) {
+        throw new Error(`Error assigning payment reference: ${updateError.message}`);
+      }
+    }
+
+    return (data || []).length;
+  }
+
+  /**
+   * Find the allocation an incoming payment belongs to by its payment reference
+   * @param {string} reference - Payment reference (spaces and case are ignored)
+   * @returns {Object|null} Allocation (snake_case) with its capital call and investor, or null
    */
-  static async findCallsToNotifyToday() {
+  static async findAllocationByPaymentReference(reference) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('capital_call_allocations')
+      .select(`
+        *,
+        capital_calls:capital_call_id (
+          id,
+          structure_id,
+          call_number,
+          status,
+          due_date,
+          created_by
+        ),
+        users:user_id (
+          id,
+          email,
+          first_name,
+          last_name
+        )
+      `)
+      .eq('payment_reference_code', normalizePaymentReference(reference))
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return null; // Not found
+      throw new Error(`Error finding allocation by payment reference: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Get the next call number for a structure
+   */
+  static async getNextCallNumber(structureId) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('capital_calls')
+      .select('call_number')
+      .eq('structure_id', structureId);
+
+    if (error) {
+      throw new Error(`Error getting call numbers: ${error.message}`);
+    }
+
+    const maxNumber = (data || []).reduce((max, c) => {
+      const num = parseInt(c.call_number, 10);
+      return isNaN(num) ? max : Math.max(max, num);
+    }, 0);
+
+    return maxNumber + 1;
+  }
+
+  /**
+   * Find Draft capital calls whose notice date falls in a window
+   * The window lets notices dated on a weekend or holiday go out on the next business day
+   * @param {string} afterDate - Exclusive lower bound (YYYY-MM-DD)
+   * @param {string} throughDate - Inclusive upper bound (YYYY-MM-DD)
+   */
+  static async findCallsToNotify(afterDate, throughDate) {
     const supabase = getSupabase();
-    const today = new Date().toISOString().split('T')[0];
 
     const { data, error } = await supabase
       .from('capital_calls')
@@ -883,7 +1551,8 @@ class CapitalCall {
           base_currency
         )
       `)
-      .eq('notice_date', today)
+      .gt('notice_date', afterDate)
+      .lte('notice_date', throughDate)
       .eq('status', 'Draft');
 
     if (error) {
@@ -902,14 +1571,13 @@ class CapitalCall {
   }
 
   /**
-   * Find capital calls where deadline reminders should be sent
-   * @param {number} daysBeforeDeadline - Number of days before deadline (e.g., 3, 1, 0)
+   * Find sent, unpaid capital calls with a payment deadline in a date range
+   * The reminder job resolves each structure's schedule against these deadlines
+   * @param {string} fromDate - Inclusive lower bound (YYYY-MM-DD)
+   * @param {string} toDate - Inclusive upper bound (YYYY-MM-DD)
    */
-  static async findCallsForDeadlineReminder(daysBeforeDeadline) {
+  static async findCallsForReminders(fromDate, toDate) {
     const supabase = getSupabase();
-    const targetDate = new Date();
-    targetDate.setDate(targetDate.getDate() + daysBeforeDeadline);
-    const targetDateStr = targetDate.toISOString().split('T')[0];
 
     const { data, error } = await supabase
       .from('capital_calls')
@@ -922,7 +1590,8 @@ class CapitalCall {
           base_currency
         )
       `)
-      .eq('deadline_date', targetDateStr)
+      .gte('deadline_date', fromDate)
+      .lte('deadline_date', toDate)
       .in('status', ['Sent', 'Partially Paid']);
 
     if (error) {
@@ -940,6 +1609,56 @@ class CapitalCall {
     }));
   }
 
+  /**
+   * Find capital calls whose payment deadline has passed and are not fully paid
+   * Includes the structure's default policy for late interest and escalation
+   * @param {string} asOfDate - Evaluation date (YYYY-MM-DD), defaults to today
+   */
+  static async findOverdueCalls(asOfDate) {
+    const supabase = getSupabase();
+    const targetDateStr = asOfDate || new Date().toISOString().split('T')[0];
+
+    const { data, error } = await supabase
+      .from('capital_calls')
+      .select(`
+        *,
+        structures:structure_id (
+          id,
+          name,
+          type,
+          base_currency,
+          created_by,
+          default_grace_period_days,
+          default_cure_period_days,
+          late_interest_rate,
+          default_penalty_rate
+        )
+      `)
+      .lt('deadline_date', targetDateStr)
+      .in('status', ['Sent', 'Partially Paid']);
+
+    if (error) {
+      throw new Error(`Error finding overdue calls: ${error.message}`);
+    }
+
+    return data.map(item => ({
+      ...this._toModel(item),
+      structure: item.structures ? {
+        id: item.structures.id,
+        name: item.structures.name,
+        type: item.structures.type,
+        baseCurrency: item.structures.base_currency,
+        createdBy: item.structures.created_by,
+        defaultPolicy: {
+          gracePeriodDays: parseInt(item.structures.default_grace_period_days, 10) || 0,
+          curePeriodDays: parseInt(item.structures.default_cure_period_days, 10) || 0,
+          lateInterestRate: parseFloat(item.structures.late_interest_rate) || 0,
+          defaultPenaltyRate: parseFloat(item.structures.default_penalty_rate) || 0
+        }
+      } : null
+    }));
+  }
+
   /**
    * Get unpaid allocations for a capital call
    * Returns allocations where paid_amount < allocated_amount
@@ -978,6 +1697,12 @@ class CapitalCall {
       managementFeeNet: item.management_fee_net,
       vatAmount: item.vat_amount,
       totalDue: item.total_due,
+      paymentCurrency: item.payment_currency || null,
+      fxRate: item.fx_rate != null ? parseFloat(item.fx_rate) : null,
+      fxRateDate: item.fx_rate_date || null,
+      totalDuePaymentCurrency: item.total_due_payment_currency != null ? parseFloat(item.total_due_payment_currency) : null,
+      paidAmountPaymentCurrency: parseFloat(item.paid_amount_payment_currency) || 0,
+      paymentReferenceCode: item.payment_reference_code || null,
       user: item.users ? {
         id: item.users.id,
         email: item.users.email,
@@ -1017,12 +1742,22 @@ class CapitalCall {
       allocatedAmount: item.allocated_amount,
       paidAmount: item.paid_amount,
       remainingAmount: item.remaining_amount,
+      capitalPaid: item.capital_paid,
+      feesPaid: item.fees_paid,
+      vatPaid: item.vat_paid,
+      paymentApprovalStatus: item.payment_approval_status || null,
       status: item.status,
       dueDate: item.due_date,
       principalAmount: item.principal_amount,
       managementFeeNet: item.management_fee_net,
       vatAmount: item.vat_amount,
       totalDue: item.total_due,
+      paymentCurrency: item.payment_currency || null,
+      fxRate: item.fx_rate != null ? parseFloat(item.fx_rate) : null,
+      fxRateDate: item.fx_rate_date || null,
+      totalDuePaymentCurrency: item.total_due_payment_currency != null ? parseFloat(item.total_due_payment_currency) : null,
+      paidAmountPaymentCurrency: parseFloat(item.paid_amount_payment_currency) || 0,
+      paymentReferenceCode: item.payment_reference_code || null,
       user: item.users ? {
         id: item.users.id,
         email: item.users.email,
@@ -1033,14 +1768,20 @@ class CapitalCall {
   }
 
   /**
-   * Get cumulative called amount for an investor in a structure
+   * Get allocations across the non-draft capital calls of a structure
+   * Shared by the called-capital aggregations so they all count the same calls.
    * @param {string} structureId - The structure ID
-   * @param {string} userId - The investor's user ID
-   * @param {string} excludeCallId - Optional capital call ID to exclude (for editing)
-   * @returns {number} Total amount previously called from this investor
+   * @param {Object} options - { userId, excludeCallId, asOfDate, fields }
+   * @returns {Array} Allocation rows with the requested fields
    */
-  static async getCumulativeCalledByInvestor(structureId, userId, excludeCallId = null) {
+  static async _getCalledAllocations(structureId, options = {}) {
     const supabase = getSupabase();
+    const {
+      userId = null,
+      excludeCallId = null,
+      asOfDate = null,
+      fields = 'user_id, total_drawdown, total_due, principal_amount'
+    } = options;
 
     // Get all capital calls for this structure that are not drafts
     let query = supabase
@@ -1052,6 +1793,9 @@ class CapitalCall {
     if (excludeCallId) {
       query = query.neq('id', excludeCallId);
     }
+    if (asOfDate) {
+      query = query.lte('call_date', asOfDate);
+    }
 
     const { data: calls, error: callsError } = await query;
 
@@ -1060,30 +1804,49 @@ class CapitalCall {
     }
 
     if (!calls || calls.length === 0) {
-      return 0;
+      return [];
     }
 
     const callIds = calls.map(c => c.id);
 
-    // Get all allocations for this investor across these calls
-    // Use total_drawdown for ProximityParks methodology (counts toward commitment)
-    const { data: allocations, error: allocError } = await supabase
+    let allocQuery = supabase
       .from('capital_call_allocations')
-      .select('total_drawdown, total_due, principal_amount')
-      .eq('user_id', userId)
-      .in('capital_call_id', callIds);
+      .select(fields);
+
+    if (userId) {
+      allocQuery = allocQuery.eq('user_id', userId);
+    }
+
+    const { data: allocations, error: allocError } = await allocQuery.in('capital_call_id', callIds);
 
     if (allocError) {
       throw new Error(`Error fetching allocations: ${allocError.message}`);
     }
 
-    // Sum using total_drawdown (ProximityParks methodology)
-    // Fallback chain: total_drawdown > total_due > principal_amount
-    const cumulativeCalled = allocations?.reduce((sum, a) => {
-      return sum + (a.total_drawdown || a.total_due || a.principal_amount || 0);
-    }, 0) || 0;
+    return allocations || [];
+  }
+
+  /**
+   * Amount an allocation calls against commitment
+   * ProximityParks methodology: total_drawdown > total_due > principal_amount
+   * @param {Object} allocation - Raw allocation row
+   * @returns {number} Called amount
+   */
+  static _calledAmount(allocation) {
+    return parseFloat(allocation.total_drawdown || allocation.total_due || allocation.principal_amount) || 0;
+  }
+
+  /**
+   * Get cumulative called amount for an investor in a structure
+   * @param {string} structureId - The structure ID
+   * @param {string} userId - The investor's user ID
+   * @param {string} excludeCallId - Optional capital call ID to exclude (for editing)
+   * @returns {number} Total amount previously called from this investor
+   */
+  static async getCumulativeCalledByInvestor(structureId, userId, excludeCallId = null) {
+    const allocations = await this._getCalledAllocations(structureId, { userId, excludeCallId });
 
-    return cumulativeCalled;
+    return allocations.reduce((sum, a) => sum + this._calledAmount(a), 0);
   }
 
   /**
@@ -1111,6 +1874,8 @@ class CapitalCall {
           paid_amount,
           remaining_amount,
           status,
+          nic_base,
+          unfunded_base,
           nic_fee_amount,
           unfunded_fee_amount,
           fee_offset_amount,
@@ -1159,6 +1924,8 @@ class CapitalCall {
         paidAmount: a.paid_amount,
         remainingAmount: a.remaining_amount,
         status: a.status,
+        nicBase: a.nic_base,
+        unfundedBase: a.unfunded_base,
         nicFeeAmount: a.nic_fee_amount,
         unfundedFeeAmount: a.unfunded_fee_amount,
         feeOffsetAmount: a.fee_offset_amount,
@@ -1173,61 +1940,259 @@ class CapitalCall {
 
   /**
    * Get cumulative called amounts for all investors in a structure
+   * Called amounts are what counts against commitment: drawdowns less the part drawn against
+   * recallable distributions, less the recallable balance still available to recall. Called
+   * capital moved by completed LP transfers counts for the transferee instead of the transferor.
    * @param {string} structureId - The structure ID
    * @param {string} excludeCallId - Optional capital call ID to exclude
    * @returns {Object} Map of userId -> cumulativeCalled
    */
   static async getCumulativeCalledByStructure(structureId, excludeCallId = null) {
+    const allocations = await this._getCalledAllocations(structureId, {
+      excludeCallId,
+      fields: 'user_id, total_drawdown, total_due, principal_amount, recalled_amount'
+    });
+
+    if (allocations.length === 0) {
+      return {};
+    }
+
+    // Aggregate by user using total_drawdown (ProximityParks methodology)
+    const cumulativeMap = {};
+    allocations.forEach(a => {
+      const userId = a.user_id;
+      if (!cumulativeMap[userId]) {
+        cumulativeMap[userId] = 0;
+      }
+      // ProximityParks: use total_drawdown which includes investments + expenses + reserves + fees + VAT
+      cumulativeMap[userId] += this._calledAmount(a);
+      // Drawn against recallable distributions: restores commitment the distribution freed up
+      cumulativeMap[userId] -= parseFloat(a.recalled_amount) || 0;
+    });
+
+    // Called capital moved by completed LP transfers follows the interest to the transferee
+    const transfers = await LpTransfer.getBalanceAdjustmentsByStructure(structureId);
+    Object.entries(transfers).forEach(([userId, adjustment]) => {
+      cumulativeMap[userId] = (cumulativeMap[userId] || 0) + adjustment.calledCapital;
+    });
+
+    // Recallable balances still available add back to unfunded commitment
+    const recallable = await this.getRecallableBalancesByStructure(structureId, { excludeCallId });
+    Object.entries(recallable).forEach(([userId, balance]) => {
+      if (cumulativeMap[userId] !== undefined) {
+        cumulativeMap[userId] -= balance.available;
+      }
+    });
+
+    return cumulativeMap;
+  }
+
+  /**
+   * Get prior capital balances for all investors in a structure
+   * Used by dual-rate fee allocation to derive NIC and unfunded commitment. Balances moved by
+   * completed LP transfers effective by asOfDate follow the interest to the transferee.
+   * @param {string} structureId - The structure ID
+   * @param {Object} options - { asOfDate, excludeCallId }
+   * @returns {Object} Map of userId -> { calledCapital, investedCapital, returnedCapital, writeDowns }
+   */
+  static async getCapitalBalancesByStructure(structureId, options = {}) {
     const supabase = getSupabase();
+    const { asOfDate = null, excludeCallId = null } = options;
 
-    // Get all capital calls for this structure that are not drafts
-    let query = supabase
-      .from('capital_calls')
+    const balances = {};
+    const getBalance = (userId) => {
+      if (!balances[userId]) {
+        balances[userId] = { calledCapital: 0, investedCapital: 0, returnedCapital: 0, writeDowns: 0 };
+      }
+      return balances[userId];
+    };
+
+    // Same called-capital aggregation as getCumulativeCalledByInvestor, bounded by asOfDate
+    const allocations = await this._getCalledAllocations(structureId, {
+      excludeCallId,
+      asOfDate,
+      fields: 'user_id, total_drawdown, total_due, principal_amount, investments_amount'
+    });
+
+    allocations.forEach(a => {
+      const balance = getBalance(a.user_id);
+      balance.calledCapital += this._calledAmount(a);
+      // Invested capital is the portion deployed into investments (NIC base)
+      balance.investedCapital += parseFloat(a.investments_amount || a.principal_amount) || 0;
+    });
+
+    // Get distributions that returned capital or wrote it down
+    let distQuery = supabase
+      .from('distributions')
       .select('id')
       .eq('structure_id', structureId)
-      .in('status', ['Sent', 'Paid', 'Fully Paid', 'Partially Paid']);
+      .neq('status', 'Draft');
 
-    if (excludeCallId) {
-      query = query.neq('id', excludeCallId);
+    if (asOfDate) {
+      distQuery = distQuery.lte('distribution_date', asOfDate);
     }
 
-    const { data: calls, error: callsError } = await query;
+    const { data: distributions, error: distError } = await distQuery;
 
-    if (callsError) {
-      throw new Error(`Error fetching capital calls: ${callsError.message}`);
+    if (distError) {
+      throw new Error(`Error fetching distributions: ${distError.message}`);
     }
 
-    if (!calls || calls.length === 0) {
+    const distributionIds = (distributions || []).map(d => d.id);
+
+    if (distributionIds.length > 0) {
+      const { data: distAllocations, error: distAllocError } = await supabase
+        .from('distribution_allocations')
+        .select('user_id, return_of_capital, write_down_amount')
+        .in('distribution_id', distributionIds);
+
+      if (distAllocError) {
+        throw new Error(`Error fetching distribution allocations: ${distAllocError.message}`);
+      }
+
+      distAllocations?.forEach(a => {
+        const balance = getBalance(a.user_id);
+        balance.returnedCapital += parseFloat(a.return_of_capital) || 0;
+        balance.writeDowns += parseFloat(a.write_down_amount) || 0;
+      });
+    }
+
+    const transfers = await LpTransfer.getBalanceAdjustmentsByStructure(structureId, { asOfDate });
+    Object.entries(transfers).forEach(([userId, adjustment]) => {
+      const balance = getBalance(userId);
+      balance.calledCapital += adjustment.calledCapital;
+      balance.investedCapital += adjustment.investedCapital;
+      balance.returnedCapital += adjustment.returnedCapital;
+      balance.writeDowns += adjustment.writeDowns;
+    });
+
+    return balances;
+  }
+
+  /**
+   * Get recallable distribution balances for all investors in a structure
+   * Recallable amounts on non-draft distributions less amounts drawn against them by
+   * sent/paid capital calls, with unused amounts lapsing at the distribution's recall expiry
+   * @param {string} structureId - The structure ID
+   * @param {Object} options - { asOfDate, excludeCallId }
+   * @returns {Object} Map of userId -> { recallable, recalled, expired, available, grants }
+   */
+  static async getRecallableBalancesByStructure(structureId, options = {}) {
+    const supabase = getSupabase();
+    const { asOfDate = null, excludeCallId = null } = options;
+
+    let distQuery = supabase
+      .from('distributions')
+      .select('id, distribution_date, recallable_until')
+      .eq('structure_id', structureId)
+      .neq('status', 'Draft')
+      .gt('recallable_amount', 0);
+
+    if (asOfDate) {
+      distQuery = distQuery.lte('distribution_date', asOfDate);
+    }
+
+    const { data: distributions, error: distError } = await distQuery;
+
+    if (distError) {
+      throw new Error(`Error fetching recallable distributions: ${distError.message}`);
+    }
+
+    if (!distributions || distributions.length === 0) {
       return {};
     }
 
-    const callIds = calls.map(c => c.id);
+    const { data: distAllocations, error: distAllocError } = await supabase
+      .from('distribution_allocations')
+      .select('distribution_id, user_id, recallable_amount')
+      .in('distribution_id', distributions.map(d => d.id));
 
-    // Get all allocations across these calls
-    // Use total_drawdown for ProximityParks methodology (counts toward commitment)
-    const { data: allocations, error: allocError } = await supabase
-      .from('capital_call_allocations')
-      .select('user_id, total_drawdown, total_due, principal_amount')
-      .in('capital_call_id', callIds);
+    if (distAllocError) {
+      throw new Error(`Error fetching distribution allocations: ${distAllocError.message}`);
+    }
 
-    if (allocError) {
-      throw new Error(`Error fetching allocations: ${allocError.message}`);
+    let callsQuery = supabase
+      .from('capital_calls')
+      .select('id, call_date')
+      .eq('structure_id', structureId)
+      .in('status', ['Sent', 'Paid', 'Fully Paid', 'Partially Paid']);
+
+    if (excludeCallId) {
+      callsQuery = callsQuery.neq('id', excludeCallId);
+    }
+    if (asOfDate) {
+      callsQuery = callsQuery.lte('call_date', asOfDate);
     }
 
-    // Aggregate by user using total_drawdown (ProximityParks methodology)
-    // Fallback chain: total_drawdown > total_due > principal_amount
-    const cumulativeMap = {};
-    allocations?.forEach(a => {
-      const userId = a.user_id;
-      if (!cumulativeMap[userId]) {
-        cumulativeMap[userId] = 0;
+    const { data: calls, error: callsError } = await callsQuery;
+
+    if (callsError) {
+      throw new Error(`Error fetching capital calls: ${callsError.message}`);
+    }
+
+    let callAllocations = [];
+    if (calls && calls.length > 0) {
+      const { data, error } = await supabase
+        .from('capital_call_allocations')
+        .select('capital_call_id, user_id, recalled_amount, status')
+        .in('capital_call_id', calls.map(c => c.id))
+        .gt('recalled_amount', 0);
+
+      if (error) {
+        throw new Error(`Error fetching allocations: ${error.message}`);
       }
-      // ProximityParks: use total_drawdown which includes investments + expenses + reserves + fees + VAT
-      cumulativeMap[userId] += a.total_drawdown || a.total_due || a.principal_amount || 0;
-    });
+      callAllocations = data || [];
+    }
 
-    return cumulativeMap;
+    const distMap = Object.fromEntries(distributions.map(d => [d.id, d]));
+    const callMap = Object.fromEntries((calls || []).map(c => [c.id, c]));
+
+    const grants = (distAllocations || [])
+      .filter(a => distMap[a.distribution_id])
+      .map(a => ({
+        userId: a.user_id,
+        distributionId: a.distribution_id,
+        date: distMap[a.distribution_id].distribution_date,
+        expiresOn: distMap[a.distribution_id].recallable_until,
+        amount: parseFloat(a.recallable_amount) || 0
+      }));
+    const recalls = callAllocations
+      .filter(a => callMap[a.capital_call_id] && a.status !== 'Voided')
+      .map(a => ({
+        userId: a.user_id,
+        capitalCallId: a.capital_call_id,
+        date: callMap[a.capital_call_id].call_date,
+        amount: parseFloat(a.recalled_amount) || 0
+      }));
+
+    return calculateRecallableBalances(grants, recalls, asOfDate || new Date());
+  }
+
+  /**
+   * Calculate the dual-rate fee bases for an investor
+   * @param {number} commitment - Investor commitment
+   * @param {Object} balances - Prior balances from getCapitalBalancesByStructure, plus
+   *   recalledCapital / recallableBalance from getRecallableBalancesByStructure
+   * @returns {Object} { nicBase, unfundedCommitment }
+   */
+  static calculateFeeBases(commitment, balances = {}) {
+    const calledCapital = balances.calledCapital || 0;
+    const investedCapital = balances.investedCapital || 0;
+    const returnedCapital = balances.returnedCapital || 0;
+    const writeDowns = balances.writeDowns || 0;
+    const recalledCapital = balances.recalledCapital || 0;
+    const recallableBalance = balances.recallableBalance || 0;
+
+    // NIC = invested capital not yet returned or written down
+    const nicBase = Math.max(0, investedCapital - returnedCapital - writeDowns);
+    // Unfunded = commitment not yet drawn down, plus recallable distributions (drawn or still open)
+    const unfundedCommitment = Math.max(0, (commitment || 0) - calledCapital + recalledCapital + recallableBalance);
+
+    return { nicBase, unfundedCommitment };
   }
 }
 
+// Call types; equalization calls are only created by the equalization service
+CapitalCall.CALL_TYPES = ['standard', 'equalization', 'fees', 'expenses'];
+
 module.exports = CapitalCall;
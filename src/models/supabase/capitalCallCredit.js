@@ -0,0 +1,285 @@
+/**
+ * CapitalCallCredit Supabase Model
+ * Credits and refunds owed to LPs for payments received on cancelled capital calls, and
+ * equalization refunds owed to existing LPs once a late-admitted LP has paid its catch-up
+ */
+
+const { getSupabase } = require('../../config/database');
+
+const CREDIT_TYPES = ['credit', 'refund'];
+
+// Credits start available, refunds start pending_refund
+const CREDIT_STATUSES = ['available', 'applied', 'pending_refund', 'refunded'];
+
+class CapitalCallCredit {
+  /**
+   * Convert camelCase fields to snake_case for database
+   */
+  static _toDbFields(data) {
+    const dbData = {};
+    const fieldMap = {
+      id: 'id',
+      structureId: 'structure_id',
+      userId: 'user_id',
+      sourceCapitalCallId: 'source_capital_call_id',
+      sourceAllocationId: 'source_allocation_id',
+      creditType: 'credit_type',
+      amount: 'amount',
+      appliedAmount: 'applied_amount',
+      capitalAmount: 'capital_amount',
+      feesAmount: 'fees_amount',
+      vatAmount: 'vat_amount',
+      status: 'status',
+      refundedAt: 'refunded_at',
+      refundReference: 'refund_reference',
+      notes: 'notes',
+      createdBy: 'created_by',
+      createdAt: 'created_at',
+      updatedAt: 'updated_at'
+    };
+
+    for (const [camelKey, snakeKey] of Object.entries(fieldMap)) {
+      if (data[camelKey] !== undefined) {
+        dbData[snakeKey] = data[camelKey];
+      }
+    }
+
+    return dbData;
+  }
+
+  /**
+   * Convert snake_case database fields to camelCase for model
+   */
+  static _toModel(dbData) {
+    if (!dbData) return null;
+
+    const model = {
+      id: dbData.id,
+      structureId: dbData.structure_id,
+      userId: dbData.user_id,
+      sourceCapitalCallId: dbData.source_capital_call_id,
+      sourceAllocationId: dbData.source_allocation_id,
+      creditType: dbData.credit_type,
+      amount: parseFloat(dbData.amount) || 0,
+      appliedAmount: parseFloat(dbData.applied_amount) || 0,
+      capitalAmount: parseFloat(dbData.capital_amount) || 0,
+      feesAmount: parseFloat(dbData.fees_amount) || 0,
+      vatAmount: parseFloat(dbData.vat_amount) || 0,
+      status: dbData.status,
+      refundedAt: dbData.refunded_at,
+      refundReference: dbData.refund_reference,
+      notes: dbData.notes,
+      createdBy: dbData.created_by,
+      createdAt: dbData.created_at,
+      updatedAt: dbData.updated_at
+    };
+
+    if (dbData.users) {
+      model.user = {
+        id: dbData.users.id,
+        email: dbData.users.email,
+        firstName: dbData.users.first_name,
+        lastName: dbData.users.last_name
+      };
+    }
+
+    return model;
+  }
+
+  /**
+   * Create multiple credits at once
+   */
+  static async createMany(credits) {
+    if (!credits || credits.length === 0) return [];
+
+    const supabase = getSupabase();
+    const dbData = credits.map(credit => this._toDbFields(credit));
+
+    const { data, error } = await supabase
+      .from('capital_call_credits')
+      .insert(dbData)
+      .select();
+
+    if (error) {
+      throw new Error(`Error creating capital call credits: ${error.message}`);
+    }
+
+    return data.map(item => this._toModel(item));
+  }
+
+  /**
+   * Find credit by ID
+   */
+  static async findById(id) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('capital_call_credits')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return null; // Not found
+      throw new Error(`Error finding capital call credit: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+
+  /**
+   * Find credits created from a capital call's allocations
+   */
+  static async findBySourceCapitalCallId(capitalCallId) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('capital_call_credits')
+      .select('*')
+      .eq('source_capital_call_id', capitalCallId);
+
+    if (error) {
+      throw new Error(`Error finding capital call credits: ${error.message}`);
+    }
+
+    return (data || []).map(item => this._toModel(item));
+  }
+
+  /**
+   * Find credits for a structure, optionally filtered by investor or status
+   */
+  static async findByStructureId(structureId, filter = {}) {
+    const supabase = getSupabase();
+
+    let query = supabase
+      .from('capital_call_credits')
+      .select(`
+        *,
+        users:user_id (
+          id,
+          email,
+          first_name,
+          last_name
+        )
+      `)
+      .eq('structure_id', structureId);
+
+    if (filter.userId) {
+      query = query.eq('user_id', filter.userId);
+    }
+    if (filter.status) {
+      query = query.eq('status', filter.status);
+    }
+
+    const { data, error } = await query.order('created_at', { ascending: false });
+
+    if (error) {
+      throw new Error(`Error finding capital call credits: ${error.message}`);
+    }
+
+    return data.map(item => this._toModel(item));
+  }
+
+  /**
+   * Find the credits still available to apply to a structure's capital calls, oldest first
+   */
+  static async findAvailableByStructureId(structureId) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('capital_call_credits')
+      .select('*')
+      .eq('structure_id', structureId)
+      .eq('credit_type', 'credit')
+      .eq('status', 'available')
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Error finding available capital call credits: ${error.message}`);
+    }
+
+    return (data || []).map(item => this._toModel(item));
+  }
+
+  /**
+   * Record credits applied to new allocations (applied_credits: [{ creditId, amount }]);
+   * a credit is applied once all of it has been used
+   * @param {Array} allocations - Inserted capital_call_allocations rows
+   * @returns {Array} Updated credits
+   */
+  static async applyToAllocations(allocations) {
+    return this._adjustApplied(allocations, 1);
+  }
+
+  /**
+   * Return the credits applied to a capital call's allocations (e.g. when a draft call is deleted)
+   * @param {string} capitalCallId - Capital call ID
+   * @returns {Array} Updated credits
+   */
+  static async releaseForCapitalCall(capitalCallId) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('capital_call_allocations')
+      .select('id, applied_credits')
+      .eq('capital_call_id', capitalCallId);
+
+    if (error) {
+      throw new Error(`Error finding applied capital call credits: ${error.message}`);
+    }
+
+    return this._adjustApplied(data || [], -1);
+  }
+
+  /**
+   * Add (direction 1) or remove (direction -1) the amounts in allocations' applied_credits
+   */
+  static async _adjustApplied(allocations, direction) {
+    const amounts = new Map();
+    (allocations || []).forEach(allocation => {
+      (allocation.applied_credits || []).forEach(({ creditId, amount }) => {
+        amounts.set(creditId, (amounts.get(creditId) || 0) + (parseFloat(amount) || 0));
+      });
+    });
+
+    const updated = [];
+    for (const [creditId, amount] of amounts) {
+      const credit = await this.findById(creditId);
+      if (!credit) continue;
+
+      const appliedAmount = Math.max(0, Math.round((credit.appliedAmount + direction * amount) * 100) / 100);
+      updated.push(await this.findByIdAndUpdate(creditId, {
+        appliedAmount,
+        status: appliedAmount >= credit.amount ? 'applied' : 'available'
+      }));
+    }
+
+    return updated;
+  }
+
+  /**
+   * Update credit by ID
+   */
+  static async findByIdAndUpdate(id, updateData) {
+    const supabase = getSupabase();
+    const dbData = this._toDbFields(updateData);
+
+    const { data, error } = await supabase
+      .from('capital_call_credits')
+      .update(dbData)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error updating capital call credit: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+}
+
+CapitalCallCredit.CREDIT_TYPES = CREDIT_TYPES;
+CapitalCallCredit.CREDIT_STATUSES = CREDIT_STATUSES;
+
+module.exports = CapitalCallCredit;
@@ -0,0 +1,393 @@
+/**
+ * CapitalCallDefault Supabase Model
+ * Tracks late payment interest, default escalation and GP remedies for unpaid capital call allocations
+ */
+
+const { getSupabase } = require('../../config/database');
+
+// Escalation steps, in order
+const DEFAULT_STATUSES = ['late', 'in_default', 'remedy_eligible', 'remedy_applied', 'cured'];
+
+// Statuses where interest still accrues and the GP can still act
+const OPEN_STATUSES = ['late', 'in_default', 'remedy_eligible'];
+
+// Statuses that put the investor "in default" for the structure
+const DEFAULTING_STATUSES = ['in_default', 'remedy_eligible', 'remedy_applied'];
+
+const DEFAULT_REMEDIES = ['forfeiture', 'forced_sale', 'distribution_offset', 'suspension'];
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Normalize a date or timestamp to a YYYY-MM-DD string
+ */
+function toDateString(value) {
+  if (!value) return null;
+  if (value instanceof Date) return value.toISOString().split('T')[0];
+  return String(value).split('T')[0];
+}
+
+/**
+ * Add calendar days to a YYYY-MM-DD date
+ */
+function addDays(dateStr, days) {
+  const date = new Date(`${toDateString(dateStr)}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Calendar days from one YYYY-MM-DD date to another
+ */
+function daysBetween(fromDate, toDate) {
+  const from = new Date(`${toDateString(fromDate)}T00:00:00Z`);
+  const to = new Date(`${toDateString(toDate)}T00:00:00Z`);
+  return Math.round((to - from) / MS_PER_DAY);
+}
+
+class CapitalCallDefault {
+  /**
+   * Convert camelCase fields to snake_case for database
+   */
+  static _toDbFields(data) {
+    const dbData = {};
+    const fieldMap = {
+      id: 'id',
+      capitalCallId: 'capital_call_id',
+      allocationId: 'allocation_id',
+      structureId: 'structure_id',
+      userId: 'user_id',
+      status: 'status',
+      deadlineDate: 'deadline_date',
+      defaultDate: 'default_date',
+      cureDeadline: 'cure_deadline',
+      daysPastDue: 'days_past_due',
+      outstandingAmount: 'outstanding_amount',
+      lateInterestRate: 'late_interest_rate',
+      accruedInterest: 'accrued_interest',
+      interestAccruedThrough: 'interest_accrued_through',
+      interestWaived: 'interest_waived',
+      penaltyAmount: 'penalty_amount',
+      penaltyWaived: 'penalty_waived',
+      remedy: 'remedy',
+      remedyAmount: 'remedy_amount',
+      remedyDate: 'remedy_date',
+      remedyNotes: 'remedy_notes',
+      resolvedAt: 'resolved_at',
+      createdAt: 'created_at',
+      updatedAt: 'updated_at'
+    };
+
+    for (const [camelKey, snakeKey] of Object.entries(fieldMap)) {
+      if (data[camelKey] !== undefined) {
+        dbData[snakeKey] = data[camelKey];
+      }
+    }
+
+    return dbData;
+  }
+
+  /**
+   * Convert snake_case database fields to camelCase for model
+   */
+  static _toModel(dbData) {
+    if (!dbData) return null;
+
+    const model = {
+      id: dbData.id,
+      capitalCallId: dbData.capital_call_id,
+      allocationId: dbData.allocation_id,
+      structureId: dbData.structure_id,
+      userId: dbData.user_id,
+      status: dbData.status,
+      deadlineDate: dbData.deadline_date,
+      defaultDate: dbData.default_date,
+      cureDeadline: dbData.cure_deadline,
+      daysPastDue: dbData.days_past_due || 0,
+      outstandingAmount: parseFloat(dbData.outstanding_amount) || 0,
+      lateInterestRate: parseFloat(dbData.late_interest_rate) || 0,
+      accruedInterest: parseFloat(dbData.accrued_interest) || 0,
+      interestAccruedThrough: dbData.interest_accrued_through,
+      interestWaived: dbData.interest_waived || false,
+      penaltyAmount: parseFloat(dbData.penalty_amount) || 0,
+      penaltyWaived: dbData.penalty_waived || false,
+      remedy: dbData.remedy,
+      remedyAmount: parseFloat(dbData.remedy_amount) || 0,
+      remedyDate: dbData.remedy_date,
+      remedyNotes: dbData.remedy_notes,
+      resolvedAt: dbData.resolved_at,
+      createdAt: dbData.created_at,
+      updatedAt: dbData.updated_at
+    };
+
+    // Include joined data if present
+    if (dbData.capital_calls) {
+      model.capitalCall = {
+        id: dbData.capital_calls.id,
+        callNumber: dbData.capital_calls.call_number,
+        callDate: dbData.capital_calls.call_date,
+        deadlineDate: dbData.capital_calls.deadline_date
+      };
+    }
+
+    if (dbData.capital_call_allocations) {
+      model.allocation = {
+        id: dbData.capital_call_allocations.id,
+        status: dbData.capital_call_allocations.status,
+        totalDue: parseFloat(dbData.capital_call_allocations.total_due) || 0,
+        paidAmount: parseFloat(dbData.capital_call_allocations.paid_amount) || 0
+      };
+    }
+
+    if (dbData.users) {
+      model.user = {
+        id: dbData.users.id,
+        email: dbData.users.email,
+        firstName: dbData.users.first_name,
+        lastName: dbData.users.last_name
+      };
+    }
+
+    return model;
+  }
+
+  /**
+   * Create a new default record
+   */
+  static async create(defaultData) {
+    const supabase = getSupabase();
+    const dbData = this._toDbFields(defaultData);
+
+    const { data, error } = await supabase
+      .from('capital_call_defaults')
+      .insert([dbData])
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error creating capital call default: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+
+  /**
+   * Find default record by ID
+   */
+  static async findById(id) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('capital_call_defaults')
+      .select(`
+        *,
+        capital_calls:capital_call_id (id, call_number, call_date, deadline_date),
+        capital_call_allocations:allocation_id (id, status, total_due, paid_amount),
+        users:user_id (id, email, first_name, last_name)
+      `)
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return null; // Not found
+      throw new Error(`Error finding capital call default: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+
+  /**
+   * Find default record for a capital call allocation
+   */
+  static async findByAllocationId(allocationId) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('capital_call_defaults')
+      .select('*')
+      .eq('allocation_id', allocationId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return null; // Not found
+      throw new Error(`Error finding capital call default: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+
+  /**
+   * Find default records for a structure
+   * @param {string} structureId - The structure ID
+   * @param {Object} filter - Optional { status, userId }
+   */
+  static async findByStructureId(structureId, filter = {}) {
+    const supabase = getSupabase();
+
+    let query = supabase
+      .from('capital_call_defaults')
+      .select(`
+        *,
+        capital_calls:capital_call_id (id, call_number, call_date, deadline_date),
+        users:user_id (id, email, first_name, last_name)
+      `)
+      .eq('structure_id', structureId);
+
+    if (filter.status) {
+      query = query.eq('status', filter.status);
+    }
+
+    if (filter.userId) {
+      query = query.eq('user_id', filter.userId);
+    }
+
+    const { data, error } = await query.order('deadline_date', { ascending: true });
+
+    if (error) {
+      throw new Error(`Error finding capital call defaults: ${error.message}`);
+    }
+
+    return data.map(item => this._toModel(item));
+  }
+
+  /**
+   * Find default records for an investor in a structure (capital account statements)
+   */
+  static async findByUserAndStructure(userId, structureId) {
+    return this.findByStructureId(structureId, { userId });
+  }
+
+  /**
+   * Find all open default records with their allocation payment state
+   */
+  static async findOpen() {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('capital_call_defaults')
+      .select(`
+        *,
+        capital_call_allocations:allocation_id (id, status, total_due, paid_amount)
+      `)
+      .in('status', OPEN_STATUSES);
+
+    if (error) {
+      throw new Error(`Error finding open capital call defaults: ${error.message}`);
+    }
+
+    return data.map(item => this._toModel(item));
+  }
+
+  /**
+   * Update default record by ID
+   */
+  static async findByIdAndUpdate(id, updateData) {
+    const supabase = getSupabase();
+    const dbData = this._toDbFields(updateData);
+
+    const { data, error } = await supabase
+      .from('capital_call_defaults')
+      .update(dbData)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error updating capital call default: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+
+  /**
+   * Recalculate an investor's default status for a structure
+   * The investor is "in_default" while any of their defaults is past the grace period
+   * @returns {string} 'in_default' or 'good_standing'
+   */
+  static async refreshInvestorStatus(userId, structureId) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('capital_call_defaults')
+      .select('id')
+      .eq('user_id', userId)
+      .eq('structure_id', structureId)
+      .in('status', DEFAULTING_STATUSES);
+
+    if (error) {
+      throw new Error(`Error checking investor defaults: ${error.message}`);
+    }
+
+    const defaultStatus = (data || []).length > 0 ? 'in_default' : 'good_standing';
+
+    const { error: updateError } = await supabase
+      .from('structure_investors')
+      .update({ default_status: defaultStatus, updated_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .eq('structure_id', structureId);
+
+    if (updateError) {
+      throw new Error(`Error updating investor default status: ${updateError.message}`);
+    }
+
+    return defaultStatus;
+  }
+
+  /**
+   * Simple late interest on an outstanding amount (actual/365)
+   * @param {number} outstanding - Unpaid amount
+   * @param {number} annualRate - Annual rate in percent (e.g. 8 for 8%)
+   * @param {number} days - Days to accrue
+   * @returns {number} Interest rounded to cents
+   */
+  static calculateLateInterest(outstanding, annualRate, days) {
+    if (!outstanding || !annualRate || days <= 0) return 0;
+    return Math.round(outstanding * (annualRate / 100) * (days / 365) * 100) / 100;
+  }
+
+  /**
+   * Determine the escalation step for an unpaid allocation
+   * @param {string} deadlineDate - Capital call payment deadline
+   * @param {string} asOfDate - Evaluation date (YYYY-MM-DD)
+   * @param {Object} policy - { gracePeriodDays, curePeriodDays }
+   * @returns {Object} { status, daysPastDue, defaultDate, cureDeadline }
+   */
+  static determineEscalation(deadlineDate, asOfDate, policy = {}) {
+    const gracePeriodDays = parseInt(policy.gracePeriodDays, 10) || 0;
+    const curePeriodDays = parseInt(policy.curePeriodDays, 10) || 0;
+
+    const daysPastDue = Math.max(0, daysBetween(deadlineDate, asOfDate));
+    const defaultDate = addDays(deadlineDate, gracePeriodDays);
+    const cureDeadline = addDays(defaultDate, curePeriodDays);
+
+    let status = 'late';
+    if (daysPastDue > gracePeriodDays + curePeriodDays) {
+      status = 'remedy_eligible';
+    } else if (daysPastDue > gracePeriodDays) {
+      status = 'in_default';
+    }
+
+    return { status, daysPastDue, defaultDate, cureDeadline };
+  }
+
+  /**
+   * Whether moving from one status to another is forward in the escalation
+   */
+  static isEscalation(fromStatus, toStatus) {
+    return DEFAULT_STATUSES.indexOf(toStatus) > DEFAULT_STATUSES.indexOf(fromStatus);
+  }
+
+  /**
+   * Days between two dates (exposed for the default job)
+   */
+  static daysBetween(fromDate, toDate) {
+    return daysBetween(fromDate, toDate);
+  }
+}
+
+CapitalCallDefault.DEFAULT_STATUSES = DEFAULT_STATUSES;
+CapitalCallDefault.OPEN_STATUSES = OPEN_STATUSES;
+CapitalCallDefault.DEFAULTING_STATUSES = DEFAULTING_STATUSES;
+CapitalCallDefault.DEFAULT_REMEDIES = DEFAULT_REMEDIES;
+
+module.exports = CapitalCallDefault;
@@ -0,0 +1,163 @@
+/**
+ * CapitalCallExcusal Supabase Model
+ * LPs excused or excluded from a specific capital call or from every call for an investment
+ */
+
+const { getSupabase } = require('../../config/database');
+
+const EXCUSAL_TYPES = ['excused', 'excluded'];
+
+// How an excused LP's share of a call is picked up by the remaining LPs
+const REALLOCATION_RULES = ['pro_rata_ownership', 'pro_rata_unfunded', 'none'];
+
+class CapitalCallExcusal {
+  /**
+   * Convert camelCase fields to snake_case for database
+   */
+  static _toDbFields(data) {
+    const dbData = {};
+    const fieldMap = {
+      id: 'id',
+      structureId: 'structure_id',
+      userId: 'user_id',
+      capitalCallId: 'capital_call_id',
+      investmentId: 'investment_id',
+      excusalType: 'excusal_type',
+      reason: 'reason',
+      createdBy: 'created_by',
+      createdAt: 'created_at',
+      updatedAt: 'updated_at'
+    };
+
+    for (const [camelKey, snakeKey] of Object.entries(fieldMap)) {
+      if (data[camelKey] !== undefined) {
+        dbData[snakeKey] = data[camelKey];
+      }
+    }
+
+    return dbData;
+  }
+
+  /**
+   * Convert snake_case database fields to camelCase for model
+   */
+  static _toModel(dbData) {
+    if (!dbData) return null;
+
+    const model = {
+      id: dbData.id,
+      structureId: dbData.structure_id,
+      userId: dbData.user_id,
+      capitalCallId: dbData.capital_call_id,
+      investmentId: dbData.investment_id,
+      excusalType: dbData.excusal_type,
+      reason: dbData.reason,
+      createdBy: dbData.created_by,
+      createdAt: dbData.created_at,
+      updatedAt: dbData.updated_at
+    };
+
+    if (dbData.users) {
+      model.user = {
+        id: dbData.users.id,
+        email: dbData.users.email,
+        firstName: dbData.users.first_name,
+        lastName: dbData.users.last_name
+      };
+    }
+
+    return model;
+  }
+
+  /**
+   * Create a new excusal
+   */
+  static async create(excusalData) {
+    const supabase = getSupabase();
+    const dbData = this._toDbFields(excusalData);
+
+    const { data, error } = await supabase
+      .from('capital_call_excusals')
+      .insert([dbData])
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error creating excusal: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+
+  /**
+   * Find excusal by ID
+   */
+  static async findById(id) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('capital_call_excusals')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return null; // Not found
+      throw new Error(`Error finding excusal: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+
+  /**
+   * Find all excusals for a structure, with investor details
+   */
+  static async findByStructureId(structureId) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('capital_call_excusals')
+      .select(`
+        *,
+        users:user_id (
+          id,
+          email,
+          first_name,
+          last_name
+        )
+      `)
+      .eq('structure_id', structureId)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw new Error(`Error finding excusals: ${error.message}`);
+    }
+
+    return data.map(item => this._toModel(item));
+  }
+
+  /**
+   * Delete excusal by ID
+   */
+  static async findByIdAndDelete(id) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('capital_call_excusals')
+      .delete()
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error deleting excusal: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+}
+
+CapitalCallExcusal.EXCUSAL_TYPES = EXCUSAL_TYPES;
+CapitalCallExcusal.REALLOCATION_RULES = REALLOCATION_RULES;
+
+module.exports = CapitalCallExcusal;
@@ -0,0 +1,161 @@
+/**
+ * Capital Call Reminder Delivery Supabase Model
+ * Ledger of notices/reminders sent by the reminder job, used to make delivery idempotent
+ */
+
+const { getSupabase } = require('../../config/database');
+
+class CapitalCallReminderDelivery {
+  /**
+   * Convert camelCase fields to snake_case for database
+   */
+  static _toDbFields(data) {
+    const dbData = {};
+    const fieldMap = {
+      id: 'id',
+      capitalCallId: 'capital_call_id',
+      allocationId: 'allocation_id',
+      structureId: 'structure_id',
+      reminderType: 'reminder_type',
+      scheduledDate: 'scheduled_date',
+      recipients: 'recipients',
+      status: 'status',
+      sentAt: 'sent_at',
+      errorMessage: 'error_message',
+      catchUp: 'catch_up',
+      createdAt: 'created_at',
+      updatedAt: 'updated_at'
+    };
+
+    for (const [camelKey, snakeKey] of Object.entries(fieldMap)) {
+      if (data[camelKey] !== undefined) {
+        dbData[snakeKey] = data[camelKey];
+      }
+    }
+
+    return dbData;
+  }
+
+  /**
+   * Convert snake_case database fields to camelCase for model
+   */
+  static _toModel(dbData) {
+    if (!dbData) return null;
+
+    return {
+      id: dbData.id,
+      capitalCallId: dbData.capital_call_id,
+      allocationId: dbData.allocation_id,
+      structureId: dbData.structure_id,
+      reminderType: dbData.reminder_type,
+      scheduledDate: dbData.scheduled_date,
+      recipients: dbData.recipients || [],
+      status: dbData.status,
+      sentAt: dbData.sent_at,
+      errorMessage: dbData.error_message,
+      catchUp: dbData.catch_up || false,
+      createdAt: dbData.created_at,
+      updatedAt: dbData.updated_at
+    };
+  }
+
+  /**
+   * Claim a delivery before sending it
+   * The unique ledger key (call, allocation, reminder type, scheduled date) means only one
+   * caller can claim a delivery; a previously failed delivery can be claimed again
+   * @returns {Object|null} Claimed delivery, or null if it was already sent or is being sent
+   */
+  static async claim(deliveryData) {
+    const supabase = getSupabase();
+    const dbData = this._toDbFields({ ...deliveryData, status: 'sending' });
+
+    const { data, error } = await supabase
+      .from('capital_call_reminder_deliveries')
+      .insert([dbData])
+      .select()
+      .single();
+
+    if (!error) {
+      return this._toModel(data);
+    }
+
+    // 23505 = unique_violation: the delivery already exists
+    if (error.code !== '23505') {
+      throw new Error(`Error claiming reminder delivery: ${error.message}`);
+    }
+
+    let retryQuery = supabase
+      .from('capital_call_reminder_deliveries')
+      .update({ status: 'sending', error_message: null, catch_up: dbData.catch_up })
+      .eq('capital_call_id', dbData.capital_call_id)
+      .eq('reminder_type', dbData.reminder_type)
+      .eq('scheduled_date', dbData.scheduled_date)
+      .eq('status', 'failed');
+
+    retryQuery = dbData.allocation_id
+      ? retryQuery.eq('allocation_id', dbData.allocation_id)
+      : retryQuery.is('allocation_id', null);
+
+    const { data: retried, error: retryError } = await retryQuery.select();
+
+    if (retryError) {
+      throw new Error(`Error claiming reminder delivery: ${retryError.message}`);
+    }
+
+    return retried && retried.length > 0 ? this._toModel(retried[0]) : null;
+  }
+
+  /**
+   * Mark a claimed delivery as sent
+   */
+  static async markSent(id) {
+    return this._updateStatus(id, { status: 'sent', sent_at: new Date().toISOString() });
+  }
+
+  /**
+   * Mark a claimed delivery as failed so the next run retries it
+   */
+  static async markFailed(id, errorMessage) {
+    return this._updateStatus(id, { status: 'failed', error_message: errorMessage || null });
+  }
+
+  static async _updateStatus(id, dbData) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('capital_call_reminder_deliveries')
+      .update(dbData)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error updating reminder delivery: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+
+  /**
+   * Find the delivery ledger for a capital call, newest first
+   */
+  static async findByCapitalCallId(capitalCallId) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('capital_call_reminder_deliveries')
+      .select('*')
+      .eq('capital_call_id', capitalCallId)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw new Error(`Error finding reminder deliveries: ${error.message}`);
+    }
+
+    return data.map(item => this._toModel(item));
+  }
+}
+
+CapitalCallReminderDelivery.STATUSES = ['sending', 'sent', 'failed'];
+
+module.exports = CapitalCallReminderDelivery;
@@ -0,0 +1,181 @@
+/**
+ * Capital Call Reminder Schedule Supabase Model
+ * Per-structure reminder cadence: steps relative to the payment deadline, recipients and business-day calendar
+ */
+
+const { getSupabase } = require('../../config/database');
+
+class CapitalCallReminderSchedule {
+  /**
+   * Convert camelCase fields to snake_case for database
+   */
+  static _toDbFields(data) {
+    const dbData = {};
+    const fieldMap = {
+      id: 'id',
+      structureId: 'structure_id',
+      enabled: 'enabled',
+      steps: 'steps',
+      noticeRecipients: 'notice_recipients',
+      businessDaysOnly: 'business_days_only',
+      holidays: 'holidays',
+      advisorEmails: 'advisor_emails',
+      gpOpsEmails: 'gp_ops_emails',
+      createdBy: 'created_by',
+      createdAt: 'created_at',
+      updatedAt: 'updated_at'
+    };
+
+    for (const [camelKey, snakeKey] of Object.entries(fieldMap)) {
+      if (data[camelKey] !== undefined) {
+        dbData[snakeKey] = data[camelKey];
+      }
+    }
+
+    return dbData;
+  }
+
+  /**
+   * Convert snake_case database fields to camelCase for model
+   */
+  static _toModel(dbData) {
+    if (!dbData) return null;
+
+    return {
+      id: dbData.id,
+      structureId: dbData.structure_id,
+      enabled: dbData.enabled !== false,
+      steps: dbData.steps || [],
+      noticeRecipients: dbData.notice_recipients || ['lp'],
+      businessDaysOnly: dbData.business_days_only !== false,
+      holidays: dbData.holidays || [],
+      advisorEmails: dbData.advisor_emails || [],
+      gpOpsEmails: dbData.gp_ops_emails || [],
+      isDefault: false,
+      createdBy: dbData.created_by,
+      createdAt: dbData.created_at,
+      updatedAt: dbData.updated_at
+    };
+  }
+
+  /**
+   * Schedule used for structures that have not configured one
+   * Matches the original notice / 3-day / 1-day / due-today cadence
+   */
+  static getDefaultSchedule(structureId) {
+    return {
+      id: null,
+      structureId,
+      enabled: true,
+      steps: CapitalCallReminderSchedule.DEFAULT_STEPS.map(step => ({ ...step })),
+      noticeRecipients: ['lp'],
+      businessDaysOnly: true,
+      holidays: [],
+      advisorEmails: [],
+      gpOpsEmails: [],
+      isDefault: true
+    };
+  }
+
+  /**
+   * Find the schedule for a structure
+   * @returns {Object|null} Schedule or null if the structure uses the default
+   */
+  static async findByStructureId(structureId) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('capital_call_reminder_schedules')
+      .select('*')
+      .eq('structure_id', structureId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return null; // Not found
+      throw new Error(`Error finding reminder schedule: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+
+  /**
+   * Find schedules for several structures, falling back to the default schedule
+   * @returns {Map<string, Object>} structureId -> schedule
+   */
+  static async findForStructures(structureIds) {
+    const schedules = new Map();
+    const uniqueIds = [...new Set(structureIds.filter(Boolean))];
+    if (uniqueIds.length === 0) return schedules;
+
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('capital_call_reminder_schedules')
+      .select('*')
+      .in('structure_id', uniqueIds);
+
+    if (error) {
+      throw new Error(`Error finding reminder schedules: ${error.message}`);
+    }
+
+    (data || []).forEach(item => schedules.set(item.structure_id, this._toModel(item)));
+    uniqueIds
+      .filter(id => !schedules.has(id))
+      .forEach(id => schedules.set(id, this.getDefaultSchedule(id)));
+
+    return schedules;
+  }
+
+  /**
+   * Create or replace the schedule for a structure
+   */
+  static async upsert(scheduleData) {
+    const supabase = getSupabase();
+    const dbData = this._toDbFields(scheduleData);
+
+    const { data, error } = await supabase
+      .from('capital_call_reminder_schedules')
+      .upsert(dbData, {
+        onConflict: 'structure_id',
+        ignoreDuplicates: false
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error saving reminder schedule: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+
+  /**
+   * Delete the schedule for a structure (reverts to the default schedule)
+   */
+  static async deleteByStructureId(structureId) {
+    const supabase = getSupabase();
+
+    const { error } = await supabase
+      .from('capital_call_reminder_schedules')
+      .delete()
+      .eq('structure_id', structureId);
+
+    if (error) {
+      throw new Error(`Error deleting reminder schedule: ${error.message}`);
+    }
+
+    return true;
+  }
+}
+
+CapitalCallReminderSchedule.RECIPIENT_TYPES = ['lp', 'advisors', 'gp_ops'];
+CapitalCallReminderSchedule.MAX_OFFSET_DAYS = 60;
+CapitalCallReminderSchedule.MAX_STEPS = 20;
+
+CapitalCallReminderSchedule.DEFAULT_STEPS = [
+  { key: 'deadline-3', name: '3 days before deadline', offsetDays: -3, recipients: ['lp'], escalation: false, enabled: true },
+  { key: 'deadline-1', name: '1 day before deadline', offsetDays: -1, recipients: ['lp'], escalation: false, enabled: true },
+  { key: 'deadline', name: 'Deadline day', offsetDays: 0, recipients: ['lp'], escalation: false, enabled: true }
+];
+
+module.exports = CapitalCallReminderSchedule;
@@ -4,6 +4,10 @@
  */
 
 const { getSupabase } = require('../../config/database');
+const { classifyTaxPerson, calculateWithholding } = require('../../utils/withholding');
+const { allocateProRata } = require('../../utils/proRata');
+const { allocateInKindUnits } = require('../../utils/inKind');
+const LpTransfer = require('./lpTransfer');
 
 class Distribution {
   /**
@@ -21,6 +25,22 @@ class Distribution {
       source: 'source',
       notes: 'notes',
       investmentId: 'investment_id',
+      distributionType: 'distribution_type',
+      incomeType: 'income_type',
+      // Pro-rata basis for allocations without a waterfall
+      allocationBasis: 'allocation_basis',
+      customAllocationShares: 'custom_allocation_shares',
+      // In-kind settlement: asset, quantity and valuation per unit
+      settlementType: 'settlement_type',
+      inKindAssetType: 'in_kind_asset_type',
+      inKindAssetName: 'in_kind_asset_name',
+      inKindAssetIdentifier: 'in_kind_asset_identifier',
+      inKindQuantity: 'in_kind_quantity',
+      inKindUnitValue: 'in_kind_unit_value',
+      inKindUnitIncrement: 'in_kind_unit_increment',
+      // Recallable portion and recall expiry
+      recallableAmount: 'recallable_amount',
+      recallableUntil: 'recallable_until',
       // Period fields
       startOfPeriod: 'start_of_period',
       endOfPeriod: 'end_of_period',
@@ -46,6 +66,10 @@ class Distribution {
       tier2Amount: 'tier2_amount',
       tier3Amount: 'tier3_amount',
       tier4Amount: 'tier4_amount',
+      waterfallMode: 'waterfall_mode',
+      waterfallAudit: 'waterfall_audit',
+      waterfallAppliedAt: 'waterfall_applied_at',
+      waterfallTierSetId: 'waterfall_tier_set_id',
       // LP/GP splits
       lpTotalAmount: 'lp_total_amount',
       gpTotalAmount: 'gp_total_amount',
@@ -82,6 +106,22 @@ class Distribution {
       source: dbData.source,
       notes: dbData.notes,
       investmentId: dbData.investment_id,
+      distributionType: dbData.distribution_type || 'standard',
+      incomeType: dbData.income_type || 'dividend',
+      // Pro-rata basis for allocations without a waterfall
+      allocationBasis: dbData.allocation_basis || 'investment_ownership',
+      customAllocationShares: dbData.custom_allocation_shares || null,
+      // In-kind settlement: asset, quantity and valuation per unit
+      settlementType: dbData.settlement_type || 'cash',
+      inKindAssetType: dbData.in_kind_asset_type,
+      inKindAssetName: dbData.in_kind_asset_name,
+      inKindAssetIdentifier: dbData.in_kind_asset_identifier,
+      inKindQuantity: dbData.in_kind_quantity,
+      inKindUnitValue: dbData.in_kind_unit_value,
+      inKindUnitIncrement: dbData.in_kind_unit_increment,
+      // Recallable portion and recall expiry
+      recallableAmount: dbData.recallable_amount,
+      recallableUntil: dbData.recallable_until,
       // Period fields
       startOfPeriod: dbData.start_of_period,
       endOfPeriod: dbData.end_of_period,
@@ -107,6 +147,10 @@ class Distribution {
       tier2Amount: dbData.tier2_amount,
       tier3Amount: dbData.tier3_amount,
       tier4Amount: dbData.tier4_amount,
+      waterfallMode: dbData.waterfall_mode,
+      waterfallAudit: dbData.waterfall_audit,
+      waterfallAppliedAt: dbData.waterfall_applied_at,
+      waterfallTierSetId: dbData.waterfall_tier_set_id || null,
       // LP/GP splits
       lpTotalAmount: dbData.lp_total_amount,
       gpTotalAmount: dbData.gp_total_amount,
@@ -329,26 +373,207 @@ class Distribution {
       throw new Error(`Error finding distribution with allocations: ${error.message}`);
     }
 
-    return this._toModel(data);
+    const distribution = this._toModel(data);
+    distribution.distribution_allocations = data.distribution_allocations || [];
+
+    return distribution;
   }
 
   /**
-   * Apply waterfall calculation
+   * Store the payment-currency FX snapshot on a distribution allocation
+   * @param {string} allocationId - Distribution allocation ID
+   * @param {Object} snapshot - { paymentCurrency, fxRate, fxRateDate, convertedAmount }
    */
-  static async applyWaterfall(distributionId) {
+  static async updateAllocationFxSnapshot(allocationId, snapshot) {
     const supabase = getSupabase();
 
-    const { data, error } = await supabase.rpc('apply_waterfall_distribution', {
-      distribution_id: distributionId
-    });
+    const { data, error } = await supabase
+      .from('distribution_allocations')
+      .update({
+        payment_currency: snapshot.paymentCurrency,
+        fx_rate: snapshot.fxRate,
+        fx_rate_date: snapshot.fxRateDate,
+        allocated_amount_payment_currency: snapshot.convertedAmount
+      })
+      .eq('id', allocationId)
+      .select()
+      .single();
 
     if (error) {
-      throw new Error(`Error applying waterfall: ${error.message}`);
+      throw new Error(`Error saving distribution FX snapshot: ${error.message}`);
     }
 
     return data;
   }
 
+  /**
+   * Store re-split recallable shares on existing distribution allocations
+   * @param {Array} allocations - distribution_allocations rows with the new recallable_amount
+   * @returns {Array} Updated allocation rows
+   */
+  static async updateAllocationRecallableShares(allocations) {
+    const supabase = getSupabase();
+    const updated = [];
+
+    for (const allocation of allocations) {
+      const { data, error } = await supabase
+        .from('distribution_allocations')
+        .update({ recallable_amount: allocation.recallable_amount })
+        .eq('id', allocation.id)
+        .select()
+        .single();
+
+      if (error) {
+        throw new Error(`Error updating distribution allocation recallable amount: ${error.message}`);
+      }
+      updated.push(data);
+    }
+
+    return updated;
+  }
+
+  /**
+   * Update a distribution allocation's payment status (and paid amount once settled)
+   * @param {string} allocationId - Distribution allocation ID
+   * @param {string} status - Allocation status (Pending, Processing, Paid, Failed)
+   * @param {number} paymentAmount - Amount of a settled payment, added to what is already paid
+   */
+  static async updateAllocationPaymentStatus(allocationId, status, paymentAmount) {
+    const supabase = getSupabase();
+    const updates = { status };
+    if (paymentAmount !== undefined) {
+      const { data: allocation, error: findError } = await supabase
+        .from('distribution_allocations')
+        .select('paid_amount')
+        .eq('id', allocationId)
+        .single();
+
+      if (findError) {
+        throw new Error(`Error finding distribution allocation: ${findError.message}`);
+      }
+
+      updates.paid_amount = Math.round(((parseFloat(allocation.paid_amount) || 0) + paymentAmount) * 100) / 100;
+      updates.payment_date = new Date().toISOString();
+    }
+
+    const { data, error } = await supabase
+      .from('distribution_allocations')
+      .update(updates)
+      .eq('id', allocationId)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error updating distribution allocation status: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Record the outcome of an in-kind token transfer on a distribution allocation
+   * @param {string} allocationId - Distribution allocation ID
+   * @param {Object} transfer - { status, transactionHash, nonce, error }
+   */
+  static async updateAllocationTokenTransfer(allocationId, transfer) {
+    const supabase = getSupabase();
+    const updates = {
+      token_transfer_status: transfer.status,
+      token_transfer_error: transfer.error || null
+    };
+    if (transfer.transactionHash) {
+      updates.token_transaction_hash = transfer.transactionHash;
+    }
+    if (transfer.nonce !== undefined) {
+      updates.token_transfer_nonce = transfer.nonce;
+    }
+    if (transfer.status === 'transferred') {
+      updates.token_transferred_at = new Date().toISOString();
+    }
+
+    const { data, error } = await supabase
+      .from('distribution_allocations')
+      .update(updates)
+      .eq('id', allocationId)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error updating distribution token transfer: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Claim an allocation's in-kind token transfer: move it to 'sending' only if it is still in
+   * one of fromStatuses, so two runs cannot both send its tokens
+   * @param {string} allocationId - Distribution allocation ID
+   * @param {Array} fromStatuses - Statuses the transfer may be claimed from
+   * @param {Object} options - { claimedBefore } only claims transfers last claimed before this
+   *   ISO timestamp (used to take over an abandoned 'sending' claim)
+   * @returns {Object|null} Claimed allocation row, or null when another run holds it
+   */
+  static async claimAllocationTokenTransfer(allocationId, fromStatuses, options = {}) {
+    const supabase = getSupabase();
+
+    let query = supabase
+      .from('distribution_allocations')
+      .update({ token_transfer_status: 'sending', token_transfer_claimed_at: new Date().toISOString() })
+      .eq('id', allocationId)
+      .in('token_transfer_status', fromStatuses);
+
+    if (options.claimedBefore) {
+      query = query.lt('token_transfer_claimed_at', options.claimedBefore);
+    }
+
+    const { data, error } = await query.select();
+
+    if (error) {
+      throw new Error(`Error claiming distribution token transfer: ${error.message}`);
+    }
+
+    return data && data.length > 0 ? data[0] : null;
+  }
+
+  /**
+   * Store a waterfall calculation (see waterfallService.calculateWaterfall) on a distribution
+   * Tier amounts are summed by tier number into tier1..tier4; the full result is kept as the audit
+   * and the distribution is pinned to the tier set version it was calculated with
+   */
+  static async applyWaterfall(distributionId, waterfall) {
+    const supabase = getSupabase();
+
+    const tierAmount = (tierNumber) => (waterfall.tiers || [])
+      .filter(tier => tier.tierNumber === tierNumber)
+      .reduce((sum, tier) => sum + tier.amount, 0);
+
+    const { data, error } = await supabase
+      .from('distributions')
+      .update({
+        waterfall_applied: true,
+        waterfall_mode: waterfall.mode,
+        waterfall_audit: waterfall,
+        waterfall_applied_at: new Date().toISOString(),
+        waterfall_tier_set_id: waterfall.tierSet?.id || null,
+        tier1_amount: tierAmount(1),
+        tier2_amount: tierAmount(2),
+        tier3_amount: tierAmount(3),
+        tier4_amount: tierAmount(4),
+        lp_total_amount: waterfall.lpTotal,
+        gp_total_amount: waterfall.gpTotal
+      })
+      .eq('id', distributionId)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error applying waterfall: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+
   /**
    * Mark distribution as paid
    */
@@ -422,8 +647,32 @@ class Distribution {
     // Otherwise, distribute based on ownership percentage
     let allocations;
 
-    if (distribution.waterfallApplied) {
-      // Get waterfall calculation results
+    if (distribution.waterfallApplied && distribution.waterfallAudit?.investors) {
+      // LP amounts from the stored waterfall audit
+      allocations = distribution.waterfallAudit.investors
+        .filter(result => result.lpAmount > 0)
+        .map(result => ({
+          distribution_id: distributionId,
+          user_id: result.userId,
+          allocated_amount: result.lpAmount,
+          paid_amount: 0,
+          status: 'Pending',
+          payment_date: distribution.distributionDate
+        }));
+
+      const rows = await this.buildAllocationRows(allocations, distribution, structureId);
+      const { data, error } = await supabase
+        .from('distribution_allocations')
+        .insert(rows)
+        .select();
+
+      if (error) {
+        throw new Error(`Error creating waterfall allocations: ${error.message}`);
+      }
+
+      return data;
+    } else if (distribution.waterfallApplied) {
+      // Distributions applied before the JavaScript engine: use the RPC results
       const { data: waterfallData, error: wfError } = await supabase.rpc(
         'calculate_waterfall_allocations',
         {
@@ -439,9 +688,10 @@ class Distribution {
       allocations = waterfallData;
 
       // Insert waterfall-calculated allocations
+      const rows = await this.buildAllocationRows(allocations, distribution, structureId);
       const { data, error } = await supabase
         .from('distribution_allocations')
-        .insert(allocations)
+        .insert(rows)
         .select();
 
       if (error) {
@@ -450,24 +700,28 @@ class Distribution {
 
       return data;
     } else {
-      // Simple pro-rata distribution based on ownership
-      allocations = structureInvestors.map(si => {
-        const allocationAmount = distribution.lpTotalAmount * (si.ownership_percent / 100);
-
-        return {
+      // Pro-rata on the distribution's basis, exact to the cent
+      const basis = distribution.allocationBasis || 'investment_ownership';
+      const weights = basis === 'investment_ownership'
+        ? structureInvestors.map(si => ({ userId: si.user_id, weight: si.ownership_percent }))
+        : (await this.getAllocationBases(structureId, distribution, [basis]))[basis];
+
+      allocations = allocateProRata(this.getDistributableAmount(distribution), weights)
+        .filter(share => share.weight > 0)
+        .map(share => ({
           distribution_id: distributionId,
-          user_id: si.user_id,
-          allocated_amount: allocationAmount,
+          user_id: share.userId,
+          allocated_amount: share.amount,
           paid_amount: 0,
           status: 'Pending',
           payment_date: distribution.distributionDate
-        };
-      });
+        }));
 
       // Insert allocations
+      const rows = await this.buildAllocationRows(allocations, distribution, structureId);
       const { data, error } = await supabase
         .from('distribution_allocations')
-        .insert(allocations)
+        .insert(rows)
         .select();
 
       if (error) {
@@ -478,6 +732,264 @@ class Distribution {
     }
   }
 
+  /**
+   * Amount allocated to LPs pro rata: the LP total when set, otherwise the whole distribution
+   */
+  static getDistributableAmount(distribution) {
+    return parseFloat(distribution.lpTotalAmount) || parseFloat(distribution.totalAmount) || 0;
+  }
+
+  /**
+   * Load each LP's weight under the pro-rata allocation bases
+   * - investment_ownership: investments.ownership_percentage (summed per LP)
+   * - ownership: structure_investors.ownership_percent (the capital call basis)
+   * - commitment: structure_investors.commitment
+   * - paid_in: capital paid on capital calls up to the distribution date, including paid-in
+   *   capital moved by LP transfers effective by then
+   * - custom: the distribution's customAllocationShares ({ userId: share })
+   * @param {string} structureId - Structure ID
+   * @param {Object} distribution - Distribution model
+   * @param {Array} bases - Bases to load (defaults to all)
+   * @returns {Object} { [basis]: [{ userId, weight }] }
+   */
+  static async getAllocationBases(structureId, distribution, bases = Distribution.ALLOCATION_BASES) {
+    const supabase = getSupabase();
+    const result = {};
+
+    if (bases.includes('investment_ownership')) {
+      const { data: investments, error } = await supabase
+        .from('investments')
+        .select('user_id, ownership_percentage, equity_ownership_percent')
+        .eq('structure_id', structureId);
+
+      if (error) {
+        throw new Error(`Error fetching structure investors: ${error.message}`);
+      }
+
+      const weights = new Map();
+      (investments || []).forEach(inv => {
+        const ownership = parseFloat(inv.ownership_percentage || inv.equity_ownership_percent) || 0;
+        weights.set(inv.user_id, (weights.get(inv.user_id) || 0) + ownership);
+      });
+      result.investment_ownership = Array.from(weights.entries()).map(([userId, weight]) => ({ userId, weight }));
+    }
+
+    if (bases.includes('ownership') || bases.includes('commitment')) {
+      const { data: investors, error } = await supabase
+        .from('structure_investors')
+        .select('user_id, ownership_percent, commitment')
+        .eq('structure_id', structureId);
+
+      if (error) {
+        throw new Error(`Error fetching structure investors: ${error.message}`);
+      }
+
+      const ownership = new Map();
+      const commitment = new Map();
+      (investors || []).forEach(inv => {
+        ownership.set(inv.user_id, (ownership.get(inv.user_id) || 0) + (parseFloat(inv.ownership_percent) || 0));
+        commitment.set(inv.user_id, (commitment.get(inv.user_id) || 0) + (parseFloat(inv.commitment) || 0));
+      });
+      if (bases.includes('ownership')) {
+        result.ownership = Array.from(ownership.entries()).map(([userId, weight]) => ({ userId, weight }));
+      }
+      if (bases.includes('commitment')) {
+        result.commitment = Array.from(commitment.entries()).map(([userId, weight]) => ({ userId, weight }));
+      }
+    }
+
+    if (bases.includes('paid_in')) {
+      const { data: calls, error } = await supabase
+        .from('capital_calls')
+        .select(`
+          id,
+          status,
+          capital_call_allocations (
+            user_id,
+            capital_paid,
+            status
+          )
+        `)
+        .eq('structure_id', structureId)
+        .lte('call_date', distribution.distributionDate || new Date().toISOString())
+        .neq('status', 'Draft');
+
+      if (error) {
+        throw new Error(`Error fetching paid-in capital: ${error.message}`);
+      }
+
+      const paidIn = new Map();
+      (calls || [])
+        .filter(call => !['Draft', 'Cancelled'].includes(call.status))
+        .flatMap(call => call.capital_call_allocations || [])
+        .filter(a => a.status !== 'Voided')
+        .forEach(a => {
+          paidIn.set(a.user_id, (paidIn.get(a.user_id) || 0) + (parseFloat(a.capital_paid) || 0));
+        });
+
+      const transfers = await LpTransfer.getBalanceAdjustmentsByStructure(structureId, {
+        asOfDate: distribution.distributionDate || null
+      });
+      Object.entries(transfers).forEach(([userId, adjustment]) => {
+        paidIn.set(userId, (paidIn.get(userId) || 0) + adjustment.paidIn);
+      });
+      result.paid_in = Array.from(paidIn.entries()).map(([userId, weight]) => ({ userId, weight }));
+    }
+
+    if (bases.includes('custom')) {
+      result.custom = Object.entries(distribution.customAllocationShares || {})
+        .map(([userId, weight]) => ({ userId, weight: parseFloat(weight) || 0 }));
+    }
+
+    return result;
+  }
+
+  /**
+   * Complete allocation rows before insert: recallable shares, withholding tax and, for in-kind
+   * distributions, the units and cash in lieu each LP receives
+   */
+  static async buildAllocationRows(allocations, distribution, structureId) {
+    const rows = await this.withWithholding(this.withRecallableShares(allocations, distribution), distribution, structureId);
+    return distribution.settlementType === 'in_kind' ? allocateInKindUnits(rows, distribution) : rows;
+  }
+
+  /**
+   * Split the distribution's recallable amount over LP allocations pro rata to the amount
+   * each LP receives
+   * @param {Array} allocations - distribution_allocations rows to insert
+   * @param {Object} distribution - Distribution model
+   * @returns {Array} Allocations with recallable_amount set
+   */
+  static withRecallableShares(allocations, distribution) {
+    const recallableAmount = parseFloat(distribution.recallableAmount) || 0;
+    const allocatedTotal = (allocations || []).reduce((sum, a) => sum + (parseFloat(a.allocated_amount) || 0), 0);
+    if (recallableAmount <= 0 || allocatedTotal <= 0) {
+      return allocations;
+    }
+
+    const recallable = Math.min(recallableAmount, allocatedTotal);
+    return allocations.map(a => ({
+      ...a,
+      recallable_amount: Math.round(recallable * ((parseFloat(a.allocated_amount) || 0) / allocatedTotal) * 100) / 100
+    }));
+  }
+
+  /**
+   * Compute each LP's withholding tax on its gross allocation from the LP's tax classification
+   * (users), treaty rate overrides (structure_investors) and the structure's rates
+   * @param {Array} allocations - distribution_allocations rows to insert
+   * @param {Object} distribution - Distribution model
+   * @param {string} structureId - Structure ID
+   * @returns {Array} Allocations with gross, withheld and net amounts set
+   */
+  static async withWithholding(allocations, distribution, structureId) {
+    if (!allocations || allocations.length === 0) {
+      return allocations;
+    }
+
+    const supabase = getSupabase();
+    const userIds = [...new Set(allocations.map(a => a.user_id))];
+
+    const { data: structure, error: structureError } = await supabase
+      .from('structures')
+      .select(`
+        witholding_dividend_tax_rate_natural_persons,
+        witholding_dividend_tax_rate_legal_entities,
+        income_debt_tax_rate_natural_persons,
+        income_debt_tax_rate_legal_entities,
+        income_equity_tax_rate_natural_persons,
+        income_equity_tax_rate_legal_entities
+      `)
+      .eq('id', structureId)
+      .single();
+
+    if (structureError) {
+      throw new Error(`Error fetching structure tax rates: ${structureError.message}`);
+    }
+
+    const { data: users, error: usersError } = await supabase
+      .from('users')
+      .select('id, tax_classification, entity_type, investor_type')
+      .in('id', userIds);
+
+    if (usersError) {
+      throw new Error(`Error fetching investor tax classifications: ${usersError.message}`);
+    }
+
+    const { data: treaties, error: treatyError } = await supabase
+      .from('structure_investors')
+      .select('user_id, withholding_treaty_rates')
+      .eq('structure_id', structureId)
+      .in('user_id', userIds);
+
+    if (treatyError) {
+      throw new Error(`Error fetching withholding treaty rates: ${treatyError.message}`);
+    }
+
+    const rates = {
+      witholdingDividendTaxRateNaturalPersons: structure?.witholding_dividend_tax_rate_natural_persons,
+      witholdingDividendTaxRateLegalEntities: structure?.witholding_dividend_tax_rate_legal_entities,
+      incomeDebtTaxRateNaturalPersons: structure?.income_debt_tax_rate_natural_persons,
+      incomeDebtTaxRateLegalEntities: structure?.income_debt_tax_rate_legal_entities,
+      incomeEquityTaxRateNaturalPersons: structure?.income_equity_tax_rate_natural_persons,
+      incomeEquityTaxRateLegalEntities: structure?.income_equity_tax_rate_legal_entities
+    };
+    const usersById = new Map((users || []).map(u => [u.id, u]));
+    const treatiesByUser = new Map((treaties || []).map(t => [t.user_id, t.withholding_treaty_rates || {}]));
+
+    return allocations.map(a => {
+      const withholding = calculateWithholding({
+        grossAmount: a.allocated_amount,
+        distribution,
+        structure: rates,
+        personType: classifyTaxPerson(usersById.get(a.user_id)),
+        treatyRates: treatiesByUser.get(a.user_id)
+      });
+
+      return {
+        ...a,
+        gross_amount: withholding.grossAmount,
+        withholding_amount: withholding.withholdingAmount,
+        net_amount: withholding.netAmount,
+        withholding_details: { personType: withholding.personType, lines: withholding.lines }
+      };
+    });
+  }
+
+  /**
+   * Get an investor's distribution allocations in a structure with their distribution,
+   * for withholding certificates
+   */
+  static async findWithholdingByInvestor(userId, structureId) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('distribution_allocations')
+      .select(`
+        distribution_id,
+        allocated_amount,
+        gross_amount,
+        withholding_amount,
+        net_amount,
+        withholding_details,
+        distribution:distributions!inner (
+          id,
+          structure_id,
+          distribution_number,
+          distribution_date,
+          status
+        )
+      `)
+      .eq('user_id', userId)
+      .eq('distribution.structure_id', structureId);
+
+    if (error) {
+      throw new Error(`Error finding investor withholding: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
   /**
    * Calculate total distributions for investors
    */
@@ -497,4 +1009,7 @@ class Distribution {
   }
 }
 
+Distribution.ALLOCATION_BASES = ['investment_ownership', 'ownership', 'commitment', 'paid_in', 'custom'];
+Distribution.SETTLEMENT_TYPES = ['cash', 'in_kind'];
+
 module.exports = Distribution;
@@ -0,0 +1,287 @@
+/**
+ * Distribution Payout Supabase Model
+ * One Stripe Connect transfer per distribution allocation, tracked until the LP's payout settles
+ */
+
+const { getSupabase } = require('../../config/database');
+
+class DistributionPayout {
+  /**
+   * Convert camelCase fields to snake_case for database
+   */
+  static _toDbFields(data) {
+    const dbData = {};
+    const fieldMap = {
+      id: 'id',
+      distributionId: 'distribution_id',
+      allocationId: 'allocation_id',
+      userId: 'user_id',
+      stripeAccountId: 'stripe_account_id',
+      amount: 'amount',
+      currency: 'currency',
+      baseAmount: 'base_amount',
+      stripeTransferId: 'stripe_transfer_id',
+      stripePayoutId: 'stripe_payout_id',
+      status: 'status',
+      attempts: 'attempts',
+      lastError: 'last_error',
+      transferredAt: 'transferred_at',
+      settledAt: 'settled_at',
+      createdBy: 'created_by',
+      createdAt: 'created_at',
+      updatedAt: 'updated_at'
+    };
+
+    for (const [camelKey, snakeKey] of Object.entries(fieldMap)) {
+      if (data[camelKey] !== undefined) {
+        dbData[snakeKey] = data[camelKey];
+      }
+    }
+
+    return dbData;
+  }
+
+  /**
+   * Convert snake_case database fields to camelCase for model
+   */
+  static _toModel(dbData) {
+    if (!dbData) return null;
+
+    return {
+      id: dbData.id,
+      distributionId: dbData.distribution_id,
+      allocationId: dbData.allocation_id,
+      userId: dbData.user_id,
+      stripeAccountId: dbData.stripe_account_id,
+      amount: parseFloat(dbData.amount) || 0,
+      currency: dbData.currency,
+      baseAmount: parseFloat(dbData.base_amount) || 0,
+      stripeTransferId: dbData.stripe_transfer_id,
+      stripePayoutId: dbData.stripe_payout_id,
+      status: dbData.status,
+      attempts: dbData.attempts || 0,
+      lastError: dbData.last_error,
+      transferredAt: dbData.transferred_at,
+      settledAt: dbData.settled_at,
+      createdBy: dbData.created_by,
+      createdAt: dbData.created_at,
+      updatedAt: dbData.updated_at
+    };
+  }
+
+  /**
+   * Create a new payout
+   */
+  static async create(payoutData) {
+    const supabase = getSupabase();
+    const dbData = this._toDbFields(payoutData);
+
+    const { data, error } = await supabase
+      .from('distribution_payouts')
+      .insert([dbData])
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error creating distribution payout: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+
+  /**
+   * Create a payout unless the allocation already has an active one
+   * The partial unique index on allocation_id for active statuses makes the insert the claim:
+   * of two concurrent runs only one gets the row
+   * @returns {Object|null} The created payout, or null when another run holds the allocation
+   */
+  static async createIfNoneActive(payoutData) {
+    const supabase = getSupabase();
+    const dbData = this._toDbFields(payoutData);
+
+    const { data, error } = await supabase
+      .from('distribution_payouts')
+      .insert([dbData])
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') return null; // Unique violation: allocation already has an active payout
+      throw new Error(`Error creating distribution payout: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+
+  /**
+   * Claim a payout for a transfer attempt by moving it to `sending`, only if it is still in
+   * one of the expected statuses (and, for a stale `sending` claim, not updated since)
+   * @param {string} id - Payout ID
+   * @param {Array<string>} fromStatuses - Statuses the payout may be claimed from
+   * @param {Object} options - { updatedBefore } only claim rows last updated before this time
+   * @returns {Object|null} The claimed payout, or null when another run claimed it first
+   */
+  static async claim(id, fromStatuses, options = {}) {
+    const supabase = getSupabase();
+
+    let query = supabase
+      .from('distribution_payouts')
+      .update({ status: 'sending', updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .in('status', fromStatuses);
+
+    if (options.updatedBefore) {
+      query = query.lt('updated_at', options.updatedBefore);
+    }
+
+    const { data, error } = await query.select();
+
+    if (error) {
+      throw new Error(`Error claiming distribution payout: ${error.message}`);
+    }
+
+    return data && data.length > 0 ? this._toModel(data[0]) : null;
+  }
+
+  /**
+   * Find payout by ID
+   */
+  static async findById(id) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('distribution_payouts')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return null; // Not found
+      throw new Error(`Error finding distribution payout: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+
+  /**
+   * Find payouts for a distribution, oldest first
+   */
+  static async findByDistributionId(distributionId) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('distribution_payouts')
+      .select('*')
+      .eq('distribution_id', distributionId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Error finding distribution payouts: ${error.message}`);
+    }
+
+    return data.map(item => this._toModel(item));
+  }
+
+  /**
+   * Find the payout for a Stripe transfer
+   */
+  static async findByTransferId(stripeTransferId) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('distribution_payouts')
+      .select('*')
+      .eq('stripe_transfer_id', stripeTransferId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return null; // Not found
+      throw new Error(`Error finding distribution payout: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+
+  /**
+   * Find payouts to a Connect account in a status, oldest first
+   */
+  static async findByAccountAndStatus(stripeAccountId, status) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('distribution_payouts')
+      .select('*')
+      .eq('stripe_account_id', stripeAccountId)
+      .eq('status', status)
+      .order('transferred_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Error finding distribution payouts: ${error.message}`);
+    }
+
+    return data.map(item => this._toModel(item));
+  }
+
+  /**
+   * Mark a transferred payout paid, only if it is still `transferred`
+   * @param {string} id - Payout ID
+   * @param {Object} updateData - Fields to set with the paid status (e.g. stripePayoutId)
+   * @returns {Object|null} The settled payout, or null when it was already settled
+   */
+  static async settle(id, updateData = {}) {
+    const supabase = getSupabase();
+    const dbData = this._toDbFields({ ...updateData, status: 'paid' });
+    dbData.updated_at = new Date().toISOString();
+
+    const { data, error } = await supabase
+      .from('distribution_payouts')
+      .update(dbData)
+      .eq('id', id)
+      .eq('status', 'transferred')
+      .select();
+
+    if (error) {
+      throw new Error(`Error settling distribution payout: ${error.message}`);
+    }
+
+    return data && data.length > 0 ? this._toModel(data[0]) : null;
+  }
+
+  /**
+   * Update payout by ID
+   */
+  static async findByIdAndUpdate(id, updateData) {
+    const supabase = getSupabase();
+    const dbData = this._toDbFields(updateData);
+    dbData.updated_at = new Date().toISOString();
+
+    const { data, error } = await supabase
+      .from('distribution_payouts')
+      .update(dbData)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error updating distribution payout: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+}
+
+// pending: created, transfer not yet made; sending: claimed by a run, transfer in flight;
+// unconfirmed: the transfer request errored without a definite answer from Stripe (it may exist,
+// so it is looked up and retried under the same idempotency key); transferred: funds in the LP's
+// Connect account (a failed bank payout leaves it here with lastError set, as Stripe pays the
+// funds out again once the LP fixes their bank details); paid: the LP's payout to their bank
+// settled; failed: Stripe rejected the transfer (retried on a new payout up to MAX_ATTEMPTS);
+// reversed: transfer reversed; skipped: LP not onboarded to Connect
+DistributionPayout.STATUSES = ['pending', 'sending', 'unconfirmed', 'transferred', 'paid', 'failed', 'reversed', 'skipped'];
+// At most one payout per allocation in these statuses (partial unique index)
+DistributionPayout.ACTIVE_STATUSES = ['pending', 'sending', 'unconfirmed', 'transferred', 'paid', 'skipped'];
+DistributionPayout.MAX_ATTEMPTS = 3;
+// A `sending` claim older than this is treated as an interrupted run and may be reclaimed
+DistributionPayout.SENDING_TIMEOUT_MINUTES = 15;
+
+module.exports = DistributionPayout;
@@ -0,0 +1,175 @@
+/**
+ * Equalization Supabase Model
+ * Subsequent-close equalizations: catch-up owed by late-admitted LPs and refunds owed to existing LPs
+ */
+
+const { getSupabase } = require('../../config/database');
+
+class Equalization {
+  /**
+   * Convert camelCase fields to snake_case for database
+   */
+  static _toDbFields(data) {
+    const dbData = {};
+    const fieldMap = {
+      id: 'id',
+      structureId: 'structure_id',
+      userId: 'user_id',
+      capitalCallId: 'capital_call_id',
+      equalizationDate: 'equalization_date',
+      commitment: 'commitment',
+      interestRate: 'interest_rate',
+      catchUpPrincipal: 'catch_up_principal',
+      catchUpFees: 'catch_up_fees',
+      catchUpVat: 'catch_up_vat',
+      equalizationInterest: 'equalization_interest',
+      totalDue: 'total_due',
+      priorCalls: 'prior_calls',
+      refunds: 'refunds',
+      status: 'status',
+      settledAt: 'settled_at',
+      createdBy: 'created_by',
+      createdAt: 'created_at',
+      updatedAt: 'updated_at'
+    };
+
+    for (const [camelKey, snakeKey] of Object.entries(fieldMap)) {
+      if (data[camelKey] !== undefined) {
+        dbData[snakeKey] = data[camelKey];
+      }
+    }
+
+    return dbData;
+  }
+
+  /**
+   * Convert snake_case database fields to camelCase for model
+   */
+  static _toModel(dbData) {
+    if (!dbData) return null;
+
+    return {
+      id: dbData.id,
+      structureId: dbData.structure_id,
+      userId: dbData.user_id,
+      capitalCallId: dbData.capital_call_id,
+      equalizationDate: dbData.equalization_date,
+      commitment: parseFloat(dbData.commitment) || 0,
+      interestRate: parseFloat(dbData.interest_rate) || 0,
+      catchUpPrincipal: parseFloat(dbData.catch_up_principal) || 0,
+      catchUpFees: parseFloat(dbData.catch_up_fees) || 0,
+      catchUpVat: parseFloat(dbData.catch_up_vat) || 0,
+      equalizationInterest: parseFloat(dbData.equalization_interest) || 0,
+      totalDue: parseFloat(dbData.total_due) || 0,
+      priorCalls: dbData.prior_calls || [],
+      refunds: dbData.refunds || [],
+      status: dbData.status,
+      settledAt: dbData.settled_at,
+      createdBy: dbData.created_by,
+      createdAt: dbData.created_at,
+      updatedAt: dbData.updated_at
+    };
+  }
+
+  /**
+   * Create a new equalization
+   */
+  static async create(equalizationData) {
+    const supabase = getSupabase();
+    const dbData = this._toDbFields(equalizationData);
+
+    const { data, error } = await supabase
+      .from('capital_call_equalizations')
+      .insert([dbData])
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error creating equalization: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+
+  /**
+   * Find equalization by ID
+   */
+  static async findById(id) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('capital_call_equalizations')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return null; // Not found
+      throw new Error(`Error finding equalization: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+
+  /**
+   * Find equalizations for a structure, newest first
+   */
+  static async findByStructureId(structureId) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('capital_call_equalizations')
+      .select('*')
+      .eq('structure_id', structureId)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw new Error(`Error finding equalizations: ${error.message}`);
+    }
+
+    return data.map(item => this._toModel(item));
+  }
+
+  /**
+   * Update equalization by ID
+   */
+  static async findByIdAndUpdate(id, updateData) {
+    const supabase = getSupabase();
+    const dbData = this._toDbFields(updateData);
+
+    const { data, error } = await supabase
+      .from('capital_call_equalizations')
+      .update(dbData)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error updating equalization: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+
+  /**
+   * Delete equalization by ID
+   */
+  static async findByIdAndDelete(id) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('capital_call_equalizations')
+      .delete()
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error deleting equalization: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+}
+
+module.exports = Equalization;
@@ -0,0 +1,184 @@
+/**
+ * FundClosing Supabase Model
+ * First, subsequent and final closes of a structure: the investors admitted (or increasing
+ * their commitment) at each close, and the ownership of every LP once the close completed
+ */
+
+const { getSupabase } = require('../../config/database');
+
+class FundClosing {
+  /**
+   * Convert camelCase fields to snake_case for database
+   */
+  static _toDbFields(data) {
+    const dbData = {};
+    const fieldMap = {
+      id: 'id',
+      structureId: 'structure_id',
+      closingNumber: 'closing_number',
+      closingType: 'closing_type',
+      closingDate: 'closing_date',
+      status: 'status',
+      investors: 'investors',
+      ownership: 'ownership',
+      newCommitment: 'new_commitment',
+      totalCommitment: 'total_commitment',
+      investorCount: 'investor_count',
+      notes: 'notes',
+      createdBy: 'created_by',
+      completedBy: 'completed_by',
+      completedAt: 'completed_at',
+      createdAt: 'created_at',
+      updatedAt: 'updated_at'
+    };
+
+    for (const [camelKey, snakeKey] of Object.entries(fieldMap)) {
+      if (data[camelKey] !== undefined) {
+        dbData[snakeKey] = data[camelKey];
+      }
+    }
+
+    return dbData;
+  }
+
+  /**
+   * Convert snake_case database fields to camelCase for model
+   */
+  static _toModel(dbData) {
+    if (!dbData) return null;
+
+    return {
+      id: dbData.id,
+      structureId: dbData.structure_id,
+      closingNumber: dbData.closing_number,
+      closingType: dbData.closing_type,
+      closingDate: dbData.closing_date,
+      status: dbData.status,
+      investors: dbData.investors || [],
+      ownership: dbData.ownership || [],
+      newCommitment: parseFloat(dbData.new_commitment) || 0,
+      totalCommitment: parseFloat(dbData.total_commitment) || 0,
+      investorCount: dbData.investor_count || 0,
+      notes: dbData.notes,
+      createdBy: dbData.created_by,
+      completedBy: dbData.completed_by,
+      completedAt: dbData.completed_at,
+      createdAt: dbData.created_at,
+      updatedAt: dbData.updated_at
+    };
+  }
+
+  /**
+   * Create a new closing
+   */
+  static async create(closingData) {
+    const supabase = getSupabase();
+    const dbData = this._toDbFields(closingData);
+
+    const { data, error } = await supabase
+      .from('fund_closings')
+      .insert([dbData])
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error creating fund closing: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+
+  /**
+   * Find closing by ID
+   */
+  static async findById(id) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('fund_closings')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return null; // Not found
+      throw new Error(`Error finding fund closing: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+
+  /**
+   * Find a structure's closings in closing order
+   */
+  static async findByStructureId(structureId) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('fund_closings')
+      .select('*')
+      .eq('structure_id', structureId)
+      .order('closing_number', { ascending: true });
+
+    if (error) {
+      throw new Error(`Error finding fund closings: ${error.message}`);
+    }
+
+    return (data || []).map(item => this._toModel(item));
+  }
+
+  /**
+   * Next closing number for a structure
+   */
+  static async getNextClosingNumber(structureId) {
+    const closings = await this.findByStructureId(structureId);
+    return closings.reduce((max, c) => Math.max(max, c.closingNumber || 0), 0) + 1;
+  }
+
+  /**
+   * Update closing by ID
+   */
+  static async findByIdAndUpdate(id, updateData) {
+    const supabase = getSupabase();
+    const dbData = this._toDbFields(updateData);
+    dbData.updated_at = new Date().toISOString();
+
+    const { data, error } = await supabase
+      .from('fund_closings')
+      .update(dbData)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error updating fund closing: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+
+  /**
+   * Delete closing by ID
+   */
+  static async findByIdAndDelete(id) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('fund_closings')
+      .delete()
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error deleting fund closing: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+}
+
+FundClosing.CLOSING_TYPES = ['first', 'subsequent', 'final'];
+FundClosing.STATUSES = ['draft', 'completed'];
+
+module.exports = FundClosing;
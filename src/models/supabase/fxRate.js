@@ -0,0 +1,208 @@
+/**
+ * FX Rate Supabase Model
+ * Locally maintained FX rate table used to snapshot LP payment-currency amounts
+ */
+
+const { getSupabase } = require('../../config/database');
+
+class FxRate {
+  /**
+   * Convert camelCase fields to snake_case for database
+   */
+  static _toDbFields(data) {
+    const dbData = {};
+    const fieldMap = {
+      id: 'id',
+      baseCurrency: 'base_currency',
+      quoteCurrency: 'quote_currency',
+      rate: 'rate',
+      rateDate: 'rate_date',
+      source: 'source',
+      notes: 'notes',
+      createdBy: 'created_by',
+      createdAt: 'created_at',
+      updatedAt: 'updated_at'
+    };
+
+    for (const [camelKey, snakeKey] of Object.entries(fieldMap)) {
+      if (data[camelKey] !== undefined) {
+        dbData[snakeKey] = data[camelKey];
+      }
+    }
+
+    return dbData;
+  }
+
+  /**
+   * Convert snake_case database fields to camelCase for model
+   */
+  static _toModel(dbData) {
+    if (!dbData) return null;
+
+    return {
+      id: dbData.id,
+      baseCurrency: dbData.base_currency,
+      quoteCurrency: dbData.quote_currency,
+      rate: parseFloat(dbData.rate) || 0,
+      rateDate: dbData.rate_date,
+      source: dbData.source,
+      notes: dbData.notes,
+      createdBy: dbData.created_by,
+      createdAt: dbData.created_at,
+      updatedAt: dbData.updated_at
+    };
+  }
+
+  /**
+   * Create or replace the rate for a currency pair on a date
+   */
+  static async upsert(rateData) {
+    const supabase = getSupabase();
+    const dbData = this._toDbFields(rateData);
+
+    const { data, error } = await supabase
+      .from('fx_rates')
+      .upsert(dbData, {
+        onConflict: 'base_currency,quote_currency,rate_date',
+        ignoreDuplicates: false
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error saving FX rate: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+
+  /**
+   * Find FX rate by ID
+   */
+  static async findById(id) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('fx_rates')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return null; // Not found
+      throw new Error(`Error finding FX rate: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+
+  /**
+   * Find FX rates, newest first
+   * @param {Object} filter - { baseCurrency, quoteCurrency, fromDate, toDate }
+   */
+  static async find(filter = {}) {
+    const supabase = getSupabase();
+    const { baseCurrency, quoteCurrency, fromDate, toDate } = filter;
+
+    let query = supabase.from('fx_rates').select('*');
+
+    if (baseCurrency) query = query.eq('base_currency', baseCurrency);
+    if (quoteCurrency) query = query.eq('quote_currency', quoteCurrency);
+    if (fromDate) query = query.gte('rate_date', fromDate);
+    if (toDate) query = query.lte('rate_date', toDate);
+
+    const { data, error } = await query.order('rate_date', { ascending: false });
+
+    if (error) {
+      throw new Error(`Error finding FX rates: ${error.message}`);
+    }
+
+    return data.map(item => this._toModel(item));
+  }
+
+  /**
+   * Find the latest rate for a currency pair on or before a date
+   * @returns {Object|null} FX rate or null if none is maintained
+   */
+  static async findLatest(baseCurrency, quoteCurrency, asOfDate) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('fx_rates')
+      .select('*')
+      .eq('base_currency', baseCurrency)
+      .eq('quote_currency', quoteCurrency)
+      .lte('rate_date', asOfDate)
+      .order('rate_date', { ascending: false })
+      .limit(1);
+
+    if (error) {
+      throw new Error(`Error finding FX rate: ${error.message}`);
+    }
+
+    return this._toModel((data || [])[0]);
+  }
+
+  /**
+   * Resolve the base -> quote rate as of a date
+   * Uses the direct pair when maintained, otherwise inverts the reverse pair;
+   * when both exist the more recent one wins
+   * @returns {Object|null} { baseCurrency, quoteCurrency, rate, rateDate, source, inverted } or null
+   */
+  static async getRate(baseCurrency, quoteCurrency, asOfDate) {
+    if (baseCurrency === quoteCurrency) {
+      return { baseCurrency, quoteCurrency, rate: 1, rateDate: asOfDate, source: null, inverted: false };
+    }
+
+    const direct = await this.findLatest(baseCurrency, quoteCurrency, asOfDate);
+    const reverse = await this.findLatest(quoteCurrency, baseCurrency, asOfDate);
+
+    if (direct && (!reverse || direct.rateDate >= reverse.rateDate)) {
+      return {
+        baseCurrency,
+        quoteCurrency,
+        rate: direct.rate,
+        rateDate: direct.rateDate,
+        source: direct.source,
+        inverted: false
+      };
+    }
+
+    if (reverse && reverse.rate > 0) {
+      return {
+        baseCurrency,
+        quoteCurrency,
+        rate: Math.round((1 / reverse.rate) * 1e8) / 1e8,
+        rateDate: reverse.rateDate,
+        source: reverse.source,
+        inverted: true
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Delete FX rate by ID
+   */
+  static async findByIdAndDelete(id) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('fx_rates')
+      .delete()
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error deleting FX rate: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+}
+
+FxRate.CURRENCY_CODE_PATTERN = /^[A-Z]{3}$/;
+
+module.exports = FxRate;
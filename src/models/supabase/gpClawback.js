@@ -0,0 +1,158 @@
+/**
+ * GP Clawback Supabase Model
+ * Point-in-time assessments of the GP's clawback liability under the whole-fund waterfall
+ */
+
+const { getSupabase } = require('../../config/database');
+
+class GpClawback {
+  /**
+   * Convert camelCase fields to snake_case for database
+   */
+  static _toDbFields(data) {
+    const dbData = {};
+    const fieldMap = {
+      id: 'id',
+      structureId: 'structure_id',
+      distributionId: 'distribution_id',
+      asOfDate: 'as_of_date',
+      taxRate: 'tax_rate',
+      hypotheticalCarry: 'hypothetical_carry',
+      carryPaid: 'carry_paid',
+      clawbackReturned: 'clawback_returned',
+      grossLiability: 'gross_liability',
+      taxOffset: 'tax_offset',
+      netLiability: 'net_liability',
+      investors: 'investors',
+      details: 'details',
+      status: 'status',
+      isTrueUp: 'is_true_up',
+      notes: 'notes',
+      createdBy: 'created_by',
+      createdAt: 'created_at',
+      updatedAt: 'updated_at'
+    };
+
+    for (const [camelKey, snakeKey] of Object.entries(fieldMap)) {
+      if (data[camelKey] !== undefined) {
+        dbData[snakeKey] = data[camelKey];
+      }
+    }
+
+    return dbData;
+  }
+
+  /**
+   * Convert snake_case database fields to camelCase for model
+   */
+  static _toModel(dbData) {
+    if (!dbData) return null;
+
+    return {
+      id: dbData.id,
+      structureId: dbData.structure_id,
+      distributionId: dbData.distribution_id,
+      asOfDate: dbData.as_of_date,
+      taxRate: parseFloat(dbData.tax_rate) || 0,
+      hypotheticalCarry: parseFloat(dbData.hypothetical_carry) || 0,
+      carryPaid: parseFloat(dbData.carry_paid) || 0,
+      clawbackReturned: parseFloat(dbData.clawback_returned) || 0,
+      grossLiability: parseFloat(dbData.gross_liability) || 0,
+      taxOffset: parseFloat(dbData.tax_offset) || 0,
+      netLiability: parseFloat(dbData.net_liability) || 0,
+      investors: dbData.investors || [],
+      details: dbData.details || {},
+      status: dbData.status,
+      isTrueUp: dbData.is_true_up || false,
+      notes: dbData.notes,
+      createdBy: dbData.created_by,
+      createdAt: dbData.created_at,
+      updatedAt: dbData.updated_at
+    };
+  }
+
+  /**
+   * Create a new clawback assessment
+   */
+  static async create(assessmentData) {
+    const supabase = getSupabase();
+    const dbData = this._toDbFields(assessmentData);
+
+    const { data, error } = await supabase
+      .from('gp_clawback_assessments')
+      .insert([dbData])
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error creating clawback assessment: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+
+  /**
+   * Find clawback assessment by ID
+   */
+  static async findById(id) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('gp_clawback_assessments')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return null; // Not found
+      throw new Error(`Error finding clawback assessment: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+
+  /**
+   * Find clawback assessments for a structure, latest as-of date first
+   */
+  static async findByStructureId(structureId) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('gp_clawback_assessments')
+      .select('*')
+      .eq('structure_id', structureId)
+      .order('as_of_date', { ascending: false })
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw new Error(`Error finding clawback assessments: ${error.message}`);
+    }
+
+    return data.map(item => this._toModel(item));
+  }
+
+  /**
+   * Update clawback assessment by ID
+   */
+  static async findByIdAndUpdate(id, updateData) {
+    const supabase = getSupabase();
+    const dbData = this._toDbFields(updateData);
+
+    const { data, error } = await supabase
+      .from('gp_clawback_assessments')
+      .update(dbData)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error updating clawback assessment: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+}
+
+GpClawback.STATUSES = ['estimate', 'final'];
+
+module.exports = GpClawback;
@@ -15,8 +15,24 @@ const StructureAdmin = require('./structureAdmin');
 const Investor = require('./investor');
 const Investment = require('./investment');
 const CapitalCall = require('./capitalCall');
+const CapitalCallDefault = require('./capitalCallDefault');
+const Equalization = require('./equalization');
+const CapitalCallExcusal = require('./capitalCallExcusal');
+const CapitalCallCredit = require('./capitalCallCredit');
+const CapitalCallReminderSchedule = require('./capitalCallReminderSchedule');
+const CapitalCallReminderDelivery = require('./capitalCallReminderDelivery');
+const FxRate = require('./fxRate');
+const BankStatement = require('./bankStatement');
+const BankStatementMatch = require('./bankStatementMatch');
 const Distribution = require('./distribution');
 const WaterfallTier = require('./waterfallTier');
+const WaterfallTierSet = require('./waterfallTierSet');
+const GpClawback = require('./gpClawback');
+const FundClosing = require('./fundClosing');
+const LpTransfer = require('./lpTransfer');
+const SideLetter = require('./sideLetter');
+const MfnElection = require('./mfnElection');
+const DistributionPayout = require('./distributionPayout');
 const Document = require('./document');
 
 // Chat System models
@@ -71,8 +87,24 @@ module.exports = {
   Investor,
   Investment,
   CapitalCall,
+  CapitalCallDefault,
+  Equalization,
+  CapitalCallExcusal,
+  CapitalCallCredit,
+  CapitalCallReminderSchedule,
+  CapitalCallReminderDelivery,
+  FxRate,
+  BankStatement,
+  BankStatementMatch,
   Distribution,
   WaterfallTier,
+  WaterfallTierSet,
+  GpClawback,
+  FundClosing,
+  LpTransfer,
+  SideLetter,
+  MfnElection,
+  DistributionPayout,
   Document,
 
   // Chat System models
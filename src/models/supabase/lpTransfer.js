@@ -0,0 +1,251 @@
+/**
+ * LpTransfer Supabase Model
+ * Secondary transfers of an LP's interest in a structure: the request, GP consent, the
+ * transferee's KYC check and, once completed, the commitment and capital account balances
+ * moved from the transferor to the transferee
+ */
+
+const { getSupabase } = require('../../config/database');
+
+class LpTransfer {
+  /**
+   * Convert camelCase fields to snake_case for database
+   */
+  static _toDbFields(data) {
+    const dbData = {};
+    const fieldMap = {
+      id: 'id',
+      structureId: 'structure_id',
+      transferorId: 'transferor_id',
+      transfereeId: 'transferee_id',
+      commitmentTransferred: 'commitment_transferred',
+      transferFraction: 'transfer_fraction',
+      price: 'price',
+      effectiveDate: 'effective_date',
+      status: 'status',
+      requestedBy: 'requested_by',
+      consentedBy: 'consented_by',
+      consentedAt: 'consented_at',
+      kycCheckedAt: 'kyc_checked_at',
+      kycSessionId: 'kyc_session_id',
+      balances: 'balances',
+      balanceMove: 'balance_move',
+      tokenTransfer: 'token_transfer',
+      completedBy: 'completed_by',
+      completedAt: 'completed_at',
+      rejectionReason: 'rejection_reason',
+      notes: 'notes',
+      createdAt: 'created_at',
+      updatedAt: 'updated_at'
+    };
+
+    for (const [camelKey, snakeKey] of Object.entries(fieldMap)) {
+      if (data[camelKey] !== undefined) {
+        dbData[snakeKey] = data[camelKey];
+      }
+    }
+
+    return dbData;
+  }
+
+  /**
+   * Convert snake_case database fields to camelCase for model
+   */
+  static _toModel(dbData) {
+    if (!dbData) return null;
+
+    return {
+      id: dbData.id,
+      structureId: dbData.structure_id,
+      transferorId: dbData.transferor_id,
+      transfereeId: dbData.transferee_id,
+      commitmentTransferred: parseFloat(dbData.commitment_transferred) || 0,
+      transferFraction: dbData.transfer_fraction != null ? parseFloat(dbData.transfer_fraction) : null,
+      price: dbData.price != null ? parseFloat(dbData.price) : null,
+      effectiveDate: dbData.effective_date,
+      status: dbData.status,
+      requestedBy: dbData.requested_by,
+      consentedBy: dbData.consented_by,
+      consentedAt: dbData.consented_at,
+      kycCheckedAt: dbData.kyc_checked_at,
+      kycSessionId: dbData.kyc_session_id,
+      balances: dbData.balances || null,
+      balanceMove: dbData.balance_move || null,
+      tokenTransfer: dbData.token_transfer || null,
+      completedBy: dbData.completed_by,
+      completedAt: dbData.completed_at,
+      rejectionReason: dbData.rejection_reason,
+      notes: dbData.notes,
+      createdAt: dbData.created_at,
+      updatedAt: dbData.updated_at
+    };
+  }
+
+  /**
+   * Create a new transfer
+   */
+  static async create(transferData) {
+    const supabase = getSupabase();
+    const dbData = this._toDbFields(transferData);
+
+    const { data, error } = await supabase
+      .from('lp_transfers')
+      .insert([dbData])
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error creating LP transfer: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+
+  /**
+   * Find transfer by ID
+   */
+  static async findById(id) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('lp_transfers')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return null; // Not found
+      throw new Error(`Error finding LP transfer: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+
+  /**
+   * Find a structure's transfers, most recent first
+   */
+  static async findByStructureId(structureId) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('lp_transfers')
+      .select('*')
+      .eq('structure_id', structureId)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw new Error(`Error finding LP transfers: ${error.message}`);
+    }
+
+    return (data || []).map(item => this._toModel(item));
+  }
+
+  /**
+   * Update transfer by ID
+   */
+  static async findByIdAndUpdate(id, updateData) {
+    const supabase = getSupabase();
+    const dbData = this._toDbFields(updateData);
+    dbData.updated_at = new Date().toISOString();
+
+    const { data, error } = await supabase
+      .from('lp_transfers')
+      .update(dbData)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error updating LP transfer: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+
+  /**
+   * Claim a transfer for completion: move it to 'completing' only if it is still in one of
+   * fromStatuses, so two completion requests cannot both move tokens and balances
+   * @param {string} id - Transfer ID
+   * @param {Array} fromStatuses - Statuses the transfer may be claimed from
+   * @param {Object} options - { updatedBefore } only claims rows last updated before this ISO
+   *   timestamp (used to take over a stale 'completing' claim)
+   * @returns {Object|null} Claimed transfer, or null when another request holds it
+   */
+  static async claimForCompletion(id, fromStatuses, options = {}) {
+    const supabase = getSupabase();
+
+    let query = supabase
+      .from('lp_transfers')
+      .update({ status: 'completing', updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .in('status', fromStatuses);
+
+    if (options.updatedBefore) {
+      query = query.lt('updated_at', options.updatedBefore);
+    }
+
+    const { data, error } = await query.select();
+
+    if (error) {
+      throw new Error(`Error claiming LP transfer: ${error.message}`);
+    }
+
+    return data && data.length > 0 ? this._toModel(data[0]) : null;
+  }
+
+  /**
+   * Capital account balances moved by completed transfers, per LP
+   * Amounts are positive for the transferee and negative for the transferor, so they can be
+   * added to balances built from the LPs' own capital call and distribution allocations
+   * @param {string} structureId - The structure ID
+   * @param {Object} options - { asOfDate } only counts transfers effective on or before it
+   * @returns {Object} Map of userId -> { calledCapital, investedCapital, paidIn, returnedCapital, writeDowns, distributions }
+   */
+  static async getBalanceAdjustmentsByStructure(structureId, options = {}) {
+    const supabase = getSupabase();
+    const { asOfDate = null } = options;
+
+    let query = supabase
+      .from('lp_transfers')
+      .select('transferor_id, transferee_id, balances')
+      .eq('structure_id', structureId)
+      .eq('status', 'completed');
+
+    if (asOfDate) {
+      query = query.lte('effective_date', asOfDate);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw new Error(`Error fetching LP transfers: ${error.message}`);
+    }
+
+    const adjustments = {};
+    const apply = (userId, balances, sign) => {
+      if (!adjustments[userId]) {
+        adjustments[userId] = Object.fromEntries(LpTransfer.BALANCE_FIELDS.map(field => [field, 0]));
+      }
+      LpTransfer.BALANCE_FIELDS.forEach(field => {
+        adjustments[userId][field] += sign * (parseFloat(balances?.[field]) || 0);
+      });
+    };
+
+    (data || []).forEach(t => {
+      apply(t.transferor_id, t.balances, -1);
+      apply(t.transferee_id, t.balances, 1);
+    });
+
+    return adjustments;
+  }
+}
+
+LpTransfer.STATUSES = ['pending_consent', 'consented', 'kyc_cleared', 'completing', 'completion_pending', 'completed', 'rejected', 'cancelled'];
+LpTransfer.OPEN_STATUSES = ['pending_consent', 'consented', 'kyc_cleared'];
+// Being completed: tokens may already have moved, so these can no longer be rejected or cancelled
+LpTransfer.COMPLETING_STATUSES = ['completing', 'completion_pending'];
+// Minutes after which a 'completing' claim is taken to be abandoned and can be taken over
+LpTransfer.COMPLETING_TIMEOUT_MINUTES = 15;
+LpTransfer.BALANCE_FIELDS = ['calledCapital', 'investedCapital', 'paidIn', 'returnedCapital', 'writeDowns', 'distributions'];
+
+module.exports = LpTransfer;
@@ -0,0 +1,180 @@
+/**
+ * MfnElection Supabase Model
+ * Side letter provisions offered to an LP under its MFN rights during an election window,
+ * and whether the LP elected or declined them
+ */
+
+const { getSupabase } = require('../../config/database');
+
+class MfnElection {
+  /**
+   * Convert camelCase fields to snake_case for database
+   */
+  static _toDbFields(data) {
+    const dbData = {};
+    const fieldMap = {
+      id: 'id',
+      structureId: 'structure_id',
+      userId: 'user_id',
+      provisionId: 'provision_id',
+      status: 'status',
+      offeredAt: 'offered_at',
+      windowClosesOn: 'window_closes_on',
+      decidedAt: 'decided_at',
+      decidedBy: 'decided_by',
+      effectiveDate: 'effective_date',
+      notes: 'notes',
+      createdAt: 'created_at',
+      updatedAt: 'updated_at'
+    };
+
+    for (const [camelKey, snakeKey] of Object.entries(fieldMap)) {
+      if (data[camelKey] !== undefined) {
+        dbData[snakeKey] = data[camelKey];
+      }
+    }
+
+    return dbData;
+  }
+
+  /**
+   * Convert snake_case database fields to camelCase for model
+   */
+  static _toModel(dbData) {
+    if (!dbData) return null;
+
+    return {
+      id: dbData.id,
+      structureId: dbData.structure_id,
+      userId: dbData.user_id,
+      provisionId: dbData.provision_id,
+      status: dbData.status,
+      offeredAt: dbData.offered_at,
+      windowClosesOn: dbData.window_closes_on,
+      decidedAt: dbData.decided_at,
+      decidedBy: dbData.decided_by,
+      effectiveDate: dbData.effective_date,
+      notes: dbData.notes,
+      createdAt: dbData.created_at,
+      updatedAt: dbData.updated_at
+    };
+  }
+
+  /**
+   * Create several elections (offers) at once
+   */
+  static async createMany(elections) {
+    if (!elections || elections.length === 0) return [];
+
+    const supabase = getSupabase();
+    const dbData = elections.map(election => this._toDbFields(election));
+
+    const { data, error } = await supabase
+      .from('mfn_elections')
+      .insert(dbData)
+      .select();
+
+    if (error) {
+      throw new Error(`Error creating MFN elections: ${error.message}`);
+    }
+
+    return (data || []).map(item => this._toModel(item));
+  }
+
+  /**
+   * Find election by ID
+   */
+  static async findById(id) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('mfn_elections')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return null; // Not found
+      throw new Error(`Error finding MFN election: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+
+  /**
+   * Find a structure's elections
+   * @param {string} structureId - The structure ID
+   * @param {Object} filter - Optional { status, userId }
+   */
+  static async findByStructureId(structureId, filter = {}) {
+    const supabase = getSupabase();
+
+    let query = supabase
+      .from('mfn_elections')
+      .select('*')
+      .eq('structure_id', structureId);
+
+    if (filter.status) {
+      query = query.eq('status', filter.status);
+    }
+    if (filter.userId) {
+      query = query.eq('user_id', filter.userId);
+    }
+
+    const { data, error } = await query.order('offered_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Error finding MFN elections: ${error.message}`);
+    }
+
+    return (data || []).map(item => this._toModel(item));
+  }
+
+  /**
+   * Update election by ID
+   */
+  static async findByIdAndUpdate(id, updateData) {
+    const supabase = getSupabase();
+    const dbData = this._toDbFields(updateData);
+    dbData.updated_at = new Date().toISOString();
+
+    const { data, error } = await supabase
+      .from('mfn_elections')
+      .update(dbData)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error updating MFN election: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+
+  /**
+   * Lapse every offer of a structure still undecided
+   * @returns {Array} The lapsed elections
+   */
+  static async lapseOpenOffers(structureId) {
+    const supabase = getSupabase();
+    const now = new Date().toISOString();
+
+    const { data, error } = await supabase
+      .from('mfn_elections')
+      .update({ status: 'lapsed', decided_at: now, updated_at: now })
+      .eq('structure_id', structureId)
+      .eq('status', 'offered')
+      .select();
+
+    if (error) {
+      throw new Error(`Error lapsing MFN elections: ${error.message}`);
+    }
+
+    return (data || []).map(item => this._toModel(item));
+  }
+}
+
+MfnElection.STATUSES = ['offered', 'elected', 'declined', 'lapsed'];
+
+module.exports = MfnElection;
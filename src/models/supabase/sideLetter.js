@@ -0,0 +1,381 @@
+/**
+ * SideLetter Supabase Model
+ * Side letters agreed with an LP of a structure and their structured provisions (fee discounts,
+ * reporting, excusal, co-invest and transfer rights), each with the applicability rule used by
+ * the MFN election engine
+ */
+
+const { getSupabase } = require('../../config/database');
+const MfnElection = require('./mfnElection');
+
+class SideLetter {
+  /**
+   * Convert camelCase fields to snake_case for database
+   */
+  static _toDbFields(data) {
+    const dbData = {};
+    const fieldMap = {
+      id: 'id',
+      structureId: 'structure_id',
+      userId: 'user_id',
+      title: 'title',
+      status: 'status',
+      effectiveDate: 'effective_date',
+      executedAt: 'executed_at',
+      terminatedAt: 'terminated_at',
+      documentUrl: 'document_url',
+      notes: 'notes',
+      createdBy: 'created_by',
+      createdAt: 'created_at',
+      updatedAt: 'updated_at'
+    };
+
+    for (const [camelKey, snakeKey] of Object.entries(fieldMap)) {
+      if (data[camelKey] !== undefined) {
+        dbData[snakeKey] = data[camelKey];
+      }
+    }
+
+    return dbData;
+  }
+
+  /**
+   * Convert snake_case database fields to camelCase for model
+   */
+  static _toModel(dbData) {
+    if (!dbData) return null;
+
+    return {
+      id: dbData.id,
+      structureId: dbData.structure_id,
+      userId: dbData.user_id,
+      title: dbData.title,
+      status: dbData.status,
+      effectiveDate: dbData.effective_date,
+      executedAt: dbData.executed_at,
+      terminatedAt: dbData.terminated_at,
+      documentUrl: dbData.document_url,
+      notes: dbData.notes,
+      createdBy: dbData.created_by,
+      createdAt: dbData.created_at,
+      updatedAt: dbData.updated_at
+    };
+  }
+
+  /**
+   * Convert camelCase provision fields to snake_case for database
+   */
+  static _provisionToDbFields(data) {
+    const dbData = {};
+    const fieldMap = {
+      id: 'id',
+      sideLetterId: 'side_letter_id',
+      structureId: 'structure_id',
+      userId: 'user_id',
+      provisionType: 'provision_type',
+      description: 'description',
+      terms: 'terms',
+      applicability: 'applicability'
+    };
+
+    for (const [camelKey, snakeKey] of Object.entries(fieldMap)) {
+      if (data[camelKey] !== undefined) {
+        dbData[snakeKey] = data[camelKey];
+      }
+    }
+
+    return dbData;
+  }
+
+  /**
+   * Convert snake_case provision fields to camelCase for model
+   */
+  static _provisionToModel(dbData) {
+    if (!dbData) return null;
+
+    return {
+      id: dbData.id,
+      sideLetterId: dbData.side_letter_id,
+      structureId: dbData.structure_id,
+      userId: dbData.user_id,
+      provisionType: dbData.provision_type,
+      description: dbData.description,
+      terms: dbData.terms || {},
+      applicability: dbData.applicability || { mfn: 'commitment_tier' },
+      createdAt: dbData.created_at,
+      updatedAt: dbData.updated_at
+    };
+  }
+
+  /**
+   * Create a side letter with its provisions
+   * @param {Object} letterData - Side letter fields plus a provisions array
+   */
+  static async create(letterData) {
+    const supabase = getSupabase();
+    const { provisions = [], ...letter } = letterData;
+    const dbData = this._toDbFields(letter);
+
+    const { data, error } = await supabase
+      .from('side_letters')
+      .insert([dbData])
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error creating side letter: ${error.message}`);
+    }
+
+    const sideLetter = this._toModel(data);
+    sideLetter.provisions = await this.addProvisions(sideLetter, provisions);
+
+    return sideLetter;
+  }
+
+  /**
+   * Find side letter by ID, with its provisions
+   */
+  static async findById(id) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('side_letters')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return null; // Not found
+      throw new Error(`Error finding side letter: ${error.message}`);
+    }
+
+    const sideLetter = this._toModel(data);
+    const { data: provisions, error: provisionError } = await supabase
+      .from('side_letter_provisions')
+      .select('*')
+      .eq('side_letter_id', id)
+      .order('created_at', { ascending: true });
+
+    if (provisionError) {
+      throw new Error(`Error finding side letter provisions: ${provisionError.message}`);
+    }
+
+    sideLetter.provisions = (provisions || []).map(item => this._provisionToModel(item));
+    return sideLetter;
+  }
+
+  /**
+   * Find a structure's side letters, each with its provisions
+   */
+  static async findByStructureId(structureId) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('side_letters')
+      .select('*')
+      .eq('structure_id', structureId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Error finding side letters: ${error.message}`);
+    }
+
+    const provisions = await this.findProvisionsByStructureId(structureId);
+
+    return (data || []).map(item => {
+      const sideLetter = this._toModel(item);
+      sideLetter.provisions = provisions.filter(p => p.sideLetterId === sideLetter.id);
+      return sideLetter;
+    });
+  }
+
+  /**
+   * Update side letter by ID
+   */
+  static async findByIdAndUpdate(id, updateData) {
+    const supabase = getSupabase();
+    const dbData = this._toDbFields(updateData);
+    dbData.updated_at = new Date().toISOString();
+
+    const { data, error } = await supabase
+      .from('side_letters')
+      .update(dbData)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error updating side letter: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+
+  /**
+   * Add provisions to a side letter
+   * @param {Object} sideLetter - The side letter the provisions belong to
+   * @param {Array} provisions - [{ provisionType, description, terms, applicability }]
+   */
+  static async addProvisions(sideLetter, provisions) {
+    if (!provisions || provisions.length === 0) return [];
+
+    const supabase = getSupabase();
+    const rows = provisions.map(provision => this._provisionToDbFields({
+      ...provision,
+      sideLetterId: sideLetter.id,
+      structureId: sideLetter.structureId,
+      userId: sideLetter.userId
+    }));
+
+    const { data, error } = await supabase
+      .from('side_letter_provisions')
+      .insert(rows)
+      .select();
+
+    if (error) {
+      throw new Error(`Error creating side letter provisions: ${error.message}`);
+    }
+
+    return (data || []).map(item => this._provisionToModel(item));
+  }
+
+  /**
+   * Find provision by ID
+   */
+  static async findProvisionById(id) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('side_letter_provisions')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return null; // Not found
+      throw new Error(`Error finding side letter provision: ${error.message}`);
+    }
+
+    return this._provisionToModel(data);
+  }
+
+  /**
+   * Find every provision granted in a structure
+   */
+  static async findProvisionsByStructureId(structureId) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('side_letter_provisions')
+      .select('*')
+      .eq('structure_id', structureId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Error finding side letter provisions: ${error.message}`);
+    }
+
+    return (data || []).map(item => this._provisionToModel(item));
+  }
+
+  /**
+   * Update provision by ID
+   */
+  static async updateProvision(id, updateData) {
+    const supabase = getSupabase();
+    const dbData = this._provisionToDbFields(updateData);
+    dbData.updated_at = new Date().toISOString();
+
+    const { data, error } = await supabase
+      .from('side_letter_provisions')
+      .update(dbData)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error updating side letter provision: ${error.message}`);
+    }
+
+    return this._provisionToModel(data);
+  }
+
+  /**
+   * Delete provision by ID
+   */
+  static async deleteProvision(id) {
+    const supabase = getSupabase();
+
+    const { error } = await supabase
+      .from('side_letter_provisions')
+      .delete()
+      .eq('id', id);
+
+    if (error) {
+      throw new Error(`Error deleting side letter provision: ${error.message}`);
+    }
+  }
+
+  /**
+   * Best fee discount each LP holds through side letters, for fee calculations
+   * Counts fee discount provisions of the LP's own executed side letters and the ones it elected
+   * under its MFN rights; discounts do not stack, the highest one applies
+   * @param {string} structureId - The structure ID
+   * @param {Object} options - { asOfDate } only counts letters and elections effective on or before it
+   * @returns {Object} Map of userId -> { discountPercent, provisionId, source: 'side_letter' | 'mfn_election' }
+   */
+  static async getFeeDiscountsByStructure(structureId, options = {}) {
+    const supabase = getSupabase();
+    const { asOfDate = null } = options;
+
+    const { data: letters, error } = await supabase
+      .from('side_letters')
+      .select('id, effective_date')
+      .eq('structure_id', structureId)
+      .eq('status', 'executed');
+
+    if (error) {
+      throw new Error(`Error fetching side letters: ${error.message}`);
+    }
+
+    const executed = new Map((letters || []).map(letter => [letter.id, letter.effective_date]));
+    if (executed.size === 0) return {};
+
+    const provisions = (await this.findProvisionsByStructureId(structureId))
+      .filter(p => p.provisionType === 'fee_discount' && executed.has(p.sideLetterId));
+    if (provisions.length === 0) return {};
+
+    const elections = await MfnElection.findByStructureId(structureId, { status: 'elected' });
+    const isEffective = (date) => !asOfDate || !date || date <= asOfDate;
+
+    const discounts = {};
+    const apply = (userId, provision, source) => {
+      const discountPercent = parseFloat(provision.terms.discountPercent) || 0;
+      if (!discounts[userId] || discountPercent > discounts[userId].discountPercent) {
+        discounts[userId] = { discountPercent, provisionId: provision.id, source };
+      }
+    };
+
+    provisions.forEach(provision => {
+      if (isEffective(executed.get(provision.sideLetterId))) {
+        apply(provision.userId, provision, 'side_letter');
+      }
+    });
+
+    const byId = new Map(provisions.map(p => [p.id, p]));
+    elections.forEach(election => {
+      const provision = byId.get(election.provisionId);
+      if (provision && isEffective(election.effectiveDate)) {
+        apply(election.userId, provision, 'mfn_election');
+      }
+    });
+
+    return discounts;
+  }
+}
+
+SideLetter.STATUSES = ['draft', 'executed', 'terminated'];
+SideLetter.PROVISION_TYPES = ['fee_discount', 'reporting_rights', 'excusal_rights', 'co_invest_rights', 'transfer_rights'];
+SideLetter.MFN_RULES = ['commitment_tier', 'all_investors', 'excluded'];
+
+module.exports = SideLetter;
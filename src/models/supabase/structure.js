@@ -127,6 +127,29 @@ class Structure {
       feeRateOnUnfunded: 'fee_rate_on_unfunded',
       gpPercentage: 'gp_percentage',
       maxInvestorRestriction: 'max_investor_restriction',
+      // Capital Call Default Policy
+      defaultGracePeriodDays: 'default_grace_period_days',
+      defaultCurePeriodDays: 'default_cure_period_days',
+      lateInterestRate: 'late_interest_rate',
+      defaultPenaltyRate: 'default_penalty_rate',
+      defaultRemedies: 'default_remedies',
+      // Subsequent-Close Equalization
+      equalizationInterestRate: 'equalization_interest_rate',
+      excusalReallocationRule: 'excusal_reallocation_rule',
+      // GP Clawback
+      clawbackTaxRate: 'clawback_tax_rate',
+      // Fund Closings
+      commitmentsLocked: 'commitments_locked',
+      finalCloseDate: 'final_close_date',
+      // Lifecycle
+      lifecycleStage: 'lifecycle_stage',
+      lifecycleStageChangedAt: 'lifecycle_stage_changed_at',
+      investmentPeriodYears: 'investment_period_years',
+      investmentPeriodEndDate: 'investment_period_end_date',
+      extensionYearsUsed: 'extension_years_used',
+      extensionRequest: 'extension_request',
+      // Side letters
+      mfnElectionWindow: 'mfn_election_window',
       createdBy: 'created_by',
       createdAt: 'created_at',
       updatedAt: 'updated_at'
@@ -263,6 +286,29 @@ class Structure {
       feeRateOnUnfunded: dbData.fee_rate_on_unfunded,
       gpPercentage: dbData.gp_percentage,
       maxInvestorRestriction: dbData.max_investor_restriction,
+      // Capital Call Default Policy
+      defaultGracePeriodDays: dbData.default_grace_period_days,
+      defaultCurePeriodDays: dbData.default_cure_period_days,
+      lateInterestRate: dbData.late_interest_rate,
+      defaultPenaltyRate: dbData.default_penalty_rate,
+      defaultRemedies: dbData.default_remedies,
+      // Subsequent-Close Equalization
+      equalizationInterestRate: dbData.equalization_interest_rate,
+      excusalReallocationRule: dbData.excusal_reallocation_rule,
+      // GP Clawback
+      clawbackTaxRate: dbData.clawback_tax_rate,
+      // Fund Closings
+      commitmentsLocked: dbData.commitments_locked || false,
+      finalCloseDate: dbData.final_close_date || null,
+      // Lifecycle
+      lifecycleStage: dbData.lifecycle_stage || 'fundraising',
+      lifecycleStageChangedAt: dbData.lifecycle_stage_changed_at || null,
+      investmentPeriodYears: dbData.investment_period_years,
+      investmentPeriodEndDate: dbData.investment_period_end_date || null,
+      extensionYearsUsed: parseFloat(dbData.extension_years_used) || 0,
+      extensionRequest: dbData.extension_request || null,
+      // Side letters
+      mfnElectionWindow: dbData.mfn_election_window || null,
       createdBy: dbData.created_by,
       createdAt: dbData.created_at,
       updatedAt: dbData.updated_at
@@ -601,4 +647,7 @@ class Structure {
   }
 }
 
+// Lifecycle stages in order; extension is only entered through an approved term extension
+Structure.LIFECYCLE_STAGES = ['fundraising', 'investment_period', 'harvesting', 'extension', 'liquidation'];
+
 module.exports = Structure;
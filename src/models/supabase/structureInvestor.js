@@ -21,8 +21,15 @@ class StructureInvestor {
       ownershipPercent: 'ownership_percent',
       feeDiscount: 'fee_discount',
       vatExempt: 'vat_exempt',
+      paymentCurrency: 'payment_currency',
+      withholdingTreatyRates: 'withholding_treaty_rates',
       customTerms: 'custom_terms',
       status: 'status',
+      defaultStatus: 'default_status',
+      transferredCalledCapital: 'transferred_called_capital',
+      transferredPaidIn: 'transferred_paid_in',
+      transferredReturnedCapital: 'transferred_returned_capital',
+      transferredDistributions: 'transferred_distributions',
       createdAt: 'created_at',
       updatedAt: 'updated_at'
     };
@@ -50,8 +57,16 @@ class StructureInvestor {
       ownershipPercent: dbData.ownership_percent,
       feeDiscount: dbData.fee_discount,
       vatExempt: dbData.vat_exempt,
+      paymentCurrency: dbData.payment_currency || null,
+      withholdingTreatyRates: dbData.withholding_treaty_rates || null,
       customTerms: dbData.custom_terms,
       status: dbData.status,
+      defaultStatus: dbData.default_status,
+      // Net balances acquired (+) or sold (-) through LP transfers
+      transferredCalledCapital: parseFloat(dbData.transferred_called_capital) || 0,
+      transferredPaidIn: parseFloat(dbData.transferred_paid_in) || 0,
+      transferredReturnedCapital: parseFloat(dbData.transferred_returned_capital) || 0,
+      transferredDistributions: parseFloat(dbData.transferred_distributions) || 0,
       createdAt: dbData.created_at,
       updatedAt: dbData.updated_at,
       // Include joined data if present
@@ -182,7 +197,7 @@ class StructureInvestor {
       .select(`
         *,
         users:user_id (
-          id, email, first_name, last_name, role
+          id, email, first_name, last_name, role, investor_type
         )
       `)
       .eq('structure_id', structureId);
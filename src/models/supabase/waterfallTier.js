@@ -4,6 +4,7 @@
  */
 
 const { getSupabase } = require('../../config/database');
+const { DEFAULT_PREF_CONVENTION, validatePrefConvention } = require('../../utils/prefAccrual');
 
 class WaterfallTier {
   /**
@@ -20,6 +21,8 @@ class WaterfallTier {
       gpSharePercent: 'gp_share_percent',
       thresholdAmount: 'threshold_amount',
       thresholdIrr: 'threshold_irr',
+      prefCompounding: 'pref_compounding',
+      prefDayCount: 'pref_day_count',
       description: 'description',
       isActive: 'is_active',
       userId: 'user_id',
@@ -51,6 +54,8 @@ class WaterfallTier {
       gpSharePercent: dbData.gp_share_percent,
       thresholdAmount: dbData.threshold_amount,
       thresholdIrr: dbData.threshold_irr,
+      prefCompounding: dbData.pref_compounding,
+      prefDayCount: dbData.pref_day_count,
       description: dbData.description,
       isActive: dbData.is_active,
       userId: dbData.user_id,
@@ -203,8 +208,13 @@ class WaterfallTier {
    * Tier 2: Preferred Return/Hurdle (100% LP until hurdle met)
    * Tier 3: Catch-up (typically 100% GP)
    * Tier 4: Carried Interest split (e.g., 80% LP, 20% GP)
+   * @param {Object} prefConvention - { compounding, dayCount } how the hurdle accrues
+   *   (defaults to compounded annually on ACT/365)
    */
-  static async createDefaultTiers(structureId, hurdleRate = 8, carriedInterest = 20, userId) {
+  static async createDefaultTiers(structureId, hurdleRate = 8, carriedInterest = 20, userId, prefConvention = {}) {
+    const compounding = prefConvention.compounding || DEFAULT_PREF_CONVENTION.compounding;
+    const dayCount = prefConvention.dayCount || DEFAULT_PREF_CONVENTION.dayCount;
+
     // Check if tiers already exist for this structure
     const existingTiers = await this.findByStructureId(structureId);
 
@@ -233,7 +243,9 @@ class WaterfallTier {
         gpSharePercent: 0,
         thresholdAmount: null,
         thresholdIrr: hurdleRate,
-        description: `100% of remaining distributions go to LPs until they achieve ${hurdleRate}% IRR`,
+        prefCompounding: compounding,
+        prefDayCount: dayCount,
+        description: `100% of remaining distributions go to LPs until they receive a ${hurdleRate}% preferred return (${compounding === 'simple' ? 'simple' : `compounded ${compounding}`}, ${dayCount})`,
         isActive: true,
         userId
       },
@@ -306,6 +318,8 @@ class WaterfallTier {
       errors.push('Threshold amount must be positive');
     }
 
+    errors.push(...validatePrefConvention(tier));
+
     return {
       isValid: errors.length === 0,
       errors
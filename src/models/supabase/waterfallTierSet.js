@@ -0,0 +1,316 @@
+/**
+ * WaterfallTierSet Supabase Model
+ * Versioned, immutable snapshots of a structure's waterfall tiers with the date each version
+ * takes effect (e.g. an LPA amendment). Distributions are pinned to the version they were
+ * calculated with, so later amendments never change how they would be recomputed.
+ */
+
+const { getSupabase } = require('../../config/database');
+const { validatePrefConvention } = require('../../utils/prefAccrual');
+
+const SNAPSHOT_FIELDS = [
+  'tierNumber', 'tierName', 'lpSharePercent', 'gpSharePercent', 'thresholdAmount', 'thresholdIrr',
+  'prefCompounding', 'prefDayCount', 'description'
+];
+const NUMERIC_FIELDS = ['lpSharePercent', 'gpSharePercent', 'thresholdAmount', 'thresholdIrr'];
+
+function numberOrNull(value) {
+  return value === null || value === undefined || value === '' ? null : parseFloat(value);
+}
+
+class WaterfallTierSet {
+  /**
+   * Convert camelCase fields to snake_case for database
+   */
+  static _toDbFields(data) {
+    const dbData = {};
+    const fieldMap = {
+      id: 'id',
+      structureId: 'structure_id',
+      versionNumber: 'version_number',
+      effectiveDate: 'effective_date',
+      tiers: 'tiers',
+      description: 'description',
+      createdBy: 'created_by',
+      createdAt: 'created_at'
+    };
+
+    for (const [camelKey, snakeKey] of Object.entries(fieldMap)) {
+      if (data[camelKey] !== undefined) {
+        dbData[snakeKey] = data[camelKey];
+      }
+    }
+
+    return dbData;
+  }
+
+  /**
+   * Convert snake_case database fields to camelCase for model
+   */
+  static _toModel(dbData) {
+    if (!dbData) return null;
+
+    return {
+      id: dbData.id,
+      structureId: dbData.structure_id,
+      versionNumber: dbData.version_number,
+      effectiveDate: dbData.effective_date,
+      tiers: dbData.tiers || [],
+      description: dbData.description,
+      createdBy: dbData.created_by,
+      createdAt: dbData.created_at
+    };
+  }
+
+  /**
+   * Snapshot tiers for a version: active tiers only, in tier order, without row identity
+   */
+  static snapshotTiers(tiers = []) {
+    return tiers
+      .filter(tier => tier.isActive !== false)
+      .map(tier => {
+        const snapshot = {};
+        SNAPSHOT_FIELDS.forEach(field => {
+          snapshot[field] = NUMERIC_FIELDS.includes(field) ? numberOrNull(tier[field]) : (tier[field] ?? null);
+        });
+        snapshot.tierNumber = parseInt(tier.tierNumber, 10);
+        snapshot.isActive = true;
+        return snapshot;
+      })
+      .sort((a, b) => a.tierNumber - b.tierNumber);
+  }
+
+  /**
+   * Validate that a tier set is a consistent sequence: tiers numbered 1..n with no gaps or
+   * duplicates, and each tier's LP and GP shares summing to 100%
+   */
+  static validateTierSequence(tiers = []) {
+    const errors = [];
+    const active = tiers.filter(tier => tier.isActive !== false);
+
+    if (active.length === 0) {
+      errors.push('At least one active tier is required');
+    }
+
+    const numbers = active.map(tier => parseInt(tier.tierNumber, 10)).sort((a, b) => a - b);
+    if (numbers.some(n => isNaN(n))) {
+      errors.push('Every tier needs a tier number');
+    } else {
+      const duplicates = numbers.filter((n, i) => numbers.indexOf(n) !== i);
+      if (duplicates.length > 0) {
+        errors.push(`Duplicate tier numbers: ${[...new Set(duplicates)].join(', ')}`);
+      }
+      const missing = [];
+      for (let n = 1; n <= (numbers[numbers.length - 1] || 0); n++) {
+        if (!numbers.includes(n)) missing.push(n);
+      }
+      if (missing.length > 0) {
+        errors.push(`Tier sequence has gaps: missing tier ${missing.join(', ')}`);
+      }
+    }
+
+    active.forEach(tier => {
+      const lp = parseFloat(tier.lpSharePercent);
+      const gp = parseFloat(tier.gpSharePercent);
+      if (isNaN(lp) || isNaN(gp) || lp < 0 || gp < 0 || lp > 100 || gp > 100) {
+        errors.push(`Tier ${tier.tierNumber}: LP and GP shares must be between 0 and 100`);
+      } else if (Math.abs(lp + gp - 100) > 0.0001) {
+        errors.push(`Tier ${tier.tierNumber}: LP share and GP share must sum to 100%`);
+      }
+
+      const irr = numberOrNull(tier.thresholdIrr);
+      if (irr !== null && (isNaN(irr) || irr < 0 || irr > 100)) {
+        errors.push(`Tier ${tier.tierNumber}: threshold IRR must be between 0 and 100`);
+      }
+
+      validatePrefConvention(tier).forEach(error => errors.push(`Tier ${tier.tierNumber}: ${error}`));
+    });
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Compare two versions tier by tier
+   * @returns {Object} { from, to, effectiveDateChanged, changes[{ tierNumber, change, tierName, fields[{ field, from, to }] }], unchanged[] }
+   */
+  static diff(fromSet, toSet) {
+    const fromTiers = new Map((fromSet?.tiers || []).map(tier => [tier.tierNumber, tier]));
+    const toTiers = new Map((toSet?.tiers || []).map(tier => [tier.tierNumber, tier]));
+    const tierNumbers = [...new Set([...fromTiers.keys(), ...toTiers.keys()])].sort((a, b) => a - b);
+
+    const changes = [];
+    const unchanged = [];
+    tierNumbers.forEach(tierNumber => {
+      const before = fromTiers.get(tierNumber);
+      const after = toTiers.get(tierNumber);
+
+      if (!before) {
+        changes.push({ tierNumber, change: 'added', tierName: after.tierName, fields: [] });
+        return;
+      }
+      if (!after) {
+        changes.push({ tierNumber, change: 'removed', tierName: before.tierName, fields: [] });
+        return;
+      }
+
+      const fields = SNAPSHOT_FIELDS
+        .filter(field => field !== 'tierNumber')
+        .filter(field => (NUMERIC_FIELDS.includes(field)
+          ? numberOrNull(before[field]) !== numberOrNull(after[field])
+          : (before[field] ?? null) !== (after[field] ?? null)))
+        .map(field => ({ field, from: before[field] ?? null, to: after[field] ?? null }));
+
+      if (fields.length > 0) {
+        changes.push({ tierNumber, change: 'changed', tierName: after.tierName, fields });
+      } else {
+        unchanged.push(tierNumber);
+      }
+    });
+
+    return {
+      from: { id: fromSet.id, versionNumber: fromSet.versionNumber, effectiveDate: fromSet.effectiveDate },
+      to: { id: toSet.id, versionNumber: toSet.versionNumber, effectiveDate: toSet.effectiveDate },
+      effectiveDateChanged: fromSet.effectiveDate !== toSet.effectiveDate,
+      changes,
+      unchanged
+    };
+  }
+
+  /**
+   * Create a new tier set
+   */
+  static async create(tierSetData) {
+    const supabase = getSupabase();
+    const dbData = this._toDbFields(tierSetData);
+
+    const { data, error } = await supabase
+      .from('waterfall_tier_sets')
+      .insert([dbData])
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error creating waterfall tier set: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+
+  /**
+   * Publish the next version of a structure's tiers
+   * @param {string} structureId - Structure ID
+   * @param {Array} tiers - Tiers for the version (WaterfallTier models or tier objects)
+   * @param {Object} options - { effectiveDate, description, createdBy, allowEmpty }
+   */
+  static async publish(structureId, tiers, options = {}) {
+    const snapshot = this.snapshotTiers(tiers);
+
+    if (!(options.allowEmpty && snapshot.length === 0)) {
+      const { isValid, errors } = this.validateTierSequence(snapshot);
+      if (!isValid) {
+        throw new Error(`Invalid waterfall tier set: ${errors.join('; ')}`);
+      }
+    }
+
+    const versions = await this.findByStructureId(structureId);
+
+    return this.create({
+      structureId,
+      versionNumber: versions.reduce((max, v) => Math.max(max, v.versionNumber), 0) + 1,
+      effectiveDate: options.effectiveDate,
+      tiers: snapshot,
+      description: options.description || null,
+      createdBy: options.createdBy
+    });
+  }
+
+  /**
+   * Find tier set by ID
+   */
+  static async findById(id) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('waterfall_tier_sets')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return null; // Not found
+      throw new Error(`Error finding waterfall tier set: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+
+  /**
+   * Find a structure's tier sets, oldest version first
+   */
+  static async findByStructureId(structureId) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('waterfall_tier_sets')
+      .select('*')
+      .eq('structure_id', structureId)
+      .order('version_number', { ascending: true });
+
+    if (error) {
+      throw new Error(`Error finding waterfall tier sets: ${error.message}`);
+    }
+
+    return (data || []).map(item => this._toModel(item));
+  }
+
+  /**
+   * Find a structure's tier set by version number
+   */
+  static async findByVersion(structureId, versionNumber) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('waterfall_tier_sets')
+      .select('*')
+      .eq('structure_id', structureId)
+      .eq('version_number', versionNumber)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return null; // Not found
+      throw new Error(`Error finding waterfall tier set: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+
+  /**
+   * Find the tier set in effect on a date: the latest effective date on or before it
+   * (the latest version when two share a date)
+   * @returns {Object|null} Tier set, or null when no version was in effect
+   */
+  static async findEffective(structureId, date) {
+    const supabase = getSupabase();
+    const day = (date instanceof Date ? date.toISOString() : String(date)).split('T')[0];
+
+    const { data, error } = await supabase
+      .from('waterfall_tier_sets')
+      .select('*')
+      .eq('structure_id', structureId)
+      .lte('effective_date', day)
+      .order('effective_date', { ascending: false })
+      .order('version_number', { ascending: false })
+      .limit(1);
+
+    if (error) {
+      throw new Error(`Error finding effective waterfall tier set: ${error.message}`);
+    }
+
+    return this._toModel(data?.[0]);
+  }
+}
+
+module.exports = WaterfallTierSet;
@@ -0,0 +1,373 @@
+/**
+ * Bank Reconciliation API Routes
+ * Upload bank statements (CSV, MT940, camt.053), auto-match credits to capital call
+ * allocations and pending payments, and work the reconciliation queue
+ */
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const { catchAsync, validate } = require('../middleware/errorHandler');
+const { handleBankStatementUpload } = require('../middleware/upload');
+const { BankStatement, BankStatementMatch, Structure } = require('../models/supabase');
+const { requireInvestmentManagerAccess, getUserContext, ROLES } = require('../middleware/rbac');
+const { parseBankStatement, SUPPORTED_FORMATS } = require('../services/bankStatementParser');
+const {
+  hashContent,
+  loadCandidates,
+  loadTarget,
+  findRecordedMatches,
+  scoreMatch,
+  checkLineMatches,
+  applyLineMatches,
+  importStatement
+} = require('../services/bankReconciliationService');
+
+const router = express.Router();
+
+/**
+ * Root and Support see every statement; Admin only the statements they uploaded
+ */
+function canAccessStatement(statement, userRole, userId) {
+  if (userRole === ROLES.ROOT || userRole === ROLES.SUPPORT) return true;
+  return statement.uploadedBy === userId;
+}
+
+function requireReconciler(userRole) {
+  validate([ROLES.ROOT, ROLES.ADMIN].includes(userRole), 'Only Root and Admin users can reconcile bank statements');
+}
+
+/**
+ * Load a statement line the user may work on
+ */
+async function getWorkableLine(lineId, userRole, userId) {
+  const line = await BankStatement.findLineById(lineId);
+  validate(line, 'Statement line not found');
+  validate(canAccessStatement(line, userRole, userId), 'Unauthorized access to bank statement');
+  validate(line.direction === 'credit', 'Only credits can be matched to payments');
+  validate(BankStatement.QUEUE_STATUSES.includes(line.status), `Statement line is already ${line.status}`);
+  return line;
+}
+
+/**
+ * Attach suggested/confirmed matches to each line
+ */
+async function withMatches(lines) {
+  const matches = await BankStatementMatch.findByLineIds(lines.map(l => l.id));
+
+  return lines.map(line => ({
+    ...line,
+    matches: matches.filter(m => m.lineId === line.id && m.status !== 'rejected')
+  }));
+}
+
+/**
+ * @route   POST /api/bank-reconciliation/statements
+ * @desc    Upload and parse a bank statement, then auto-match its credits
+ * @access  Private (requires authentication, Root/Admin only)
+ * @body    multipart `file` or JSON { content, fileName }; optional format (csv|mt940|camt053), structureId
+ */
+router.post('/statements', authenticate, requireInvestmentManagerAccess, handleBankStatementUpload, catchAsync(async (req, res) => {
+  const { userId, userRole } = getUserContext(req);
+  const body = req.body || {};
+  const { format, structureId } = body;
+
+  requireReconciler(userRole);
+
+  const content = req.file ? req.file.buffer : body.content;
+  const fileName = req.file ? req.file.originalname : (body.fileName || null);
+  validate(content && content.length > 0, 'A bank statement file is required');
+  validate(!format || SUPPORTED_FORMATS.includes(format), `format must be one of: ${SUPPORTED_FORMATS.join(', ')}`);
+
+  if (structureId) {
+    const structure = await Structure.findById(structureId);
+    validate(structure, 'Structure not found');
+
+    // Root can access any structure, Admin can only access their own
+    if (userRole === ROLES.ADMIN) {
+      validate(structure.createdBy === userId, 'Unauthorized access to structure');
+    }
+  } else {
+    // Without a structure the statement is matched against every fund
+    validate(userRole === ROLES.ROOT, 'structureId is required');
+  }
+
+  const contentHash = hashContent(content);
+  const existing = await BankStatement.findByContentHash(contentHash);
+  if (existing) {
+    return res.status(409).json({
+      success: false,
+      message: 'This bank statement has already been uploaded',
+      data: { statementId: existing.id }
+    });
+  }
+
+  let parsed;
+  try {
+    parsed = parseBankStatement(content, { format, fileName });
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      message: `Could not read bank statement: ${error.message}`
+    });
+  }
+
+  const { statement, summary } = await importStatement(parsed, {
+    structureId: structureId || null,
+    fileName,
+    contentHash,
+    userId
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `Bank statement imported: ${summary.autoMatched} of ${summary.credits} credits matched automatically`,
+    data: { statement, summary }
+  });
+}));
+
+/**
+ * @route   GET /api/bank-reconciliation/statements
+ * @desc    List uploaded bank statements, newest first
+ * @access  Private (requires authentication, Root/Admin/Support only)
+ * @query   structureId
+ */
+router.get('/statements', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId, userRole } = getUserContext(req);
+  const { structureId } = req.query;
+
+  const statements = await BankStatement.find({
+    structureId,
+    uploadedBy: userRole === ROLES.ADMIN ? userId : undefined
+  });
+
+  res.status(200).json({
+    success: true,
+    count: statements.length,
+    data: statements
+  });
+}));
+
+/**
+ * @route   GET /api/bank-reconciliation/statements/:id
+ * @desc    Get a bank statement with its lines and matches
+ * @access  Private (requires authentication, Root/Admin/Support only)
+ */
+router.get('/statements/:id', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId, userRole } = getUserContext(req);
+  const { id } = req.params;
+
+  const statement = await BankStatement.findById(id);
+  validate(statement, 'Bank statement not found');
+  validate(canAccessStatement(statement, userRole, userId), 'Unauthorized access to bank statement');
+
+  const lines = await BankStatement.getLines(id);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...statement,
+      lines: await withMatches(lines)
+    }
+  });
+}));
+
+/**
+ * @route   GET /api/bank-reconciliation/queue
+ * @desc    Credits waiting for a decision (unmatched or with suggestions), with their suggestions
+ * @access  Private (requires authentication, Root/Admin/Support only)
+ * @query   structureId, statementId
+ */
+router.get('/queue', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId, userRole } = getUserContext(req);
+  const { structureId, statementId } = req.query;
+
+  const lines = await BankStatement.findQueue({
+    structureId,
+    statementId,
+    uploadedBy: userRole === ROLES.ADMIN ? userId : undefined
+  });
+
+  res.status(200).json({
+    success: true,
+    count: lines.length,
+    data: await withMatches(lines)
+  });
+}));
+
+/**
+ * @route   GET /api/bank-reconciliation/lines/:lineId/candidates
+ * @desc    All open allocations and pending payments a queued credit could settle, scored
+ * @access  Private (requires authentication, Root/Admin/Support only)
+ */
+router.get('/lines/:lineId/candidates', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId, userRole } = getUserContext(req);
+  const line = await getWorkableLine(req.params.lineId, userRole, userId);
+
+  const candidates = (await loadCandidates({ structureId: line.structureId }))
+    .map(candidate => ({ ...candidate, ...scoreMatch(line, candidate) }))
+    .sort((a, b) => b.confidence - a.confidence);
+
+  res.status(200).json({
+    success: true,
+    count: candidates.length,
+    data: candidates
+  });
+}));
+
+/**
+ * @route   POST /api/bank-reconciliation/lines/:lineId/confirm
+ * @desc    Apply a credit to one allocation or payment
+ * @access  Private (requires authentication, Root/Admin only)
+ * @body    { matchId } to accept a suggestion, or { targetType, targetId } to match manually
+ */
+router.post('/lines/:lineId/confirm', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId, userRole } = getUserContext(req);
+  const { matchId, targetType, targetId } = req.body || {};
+
+  requireReconciler(userRole);
+  const line = await getWorkableLine(req.params.lineId, userRole, userId);
+
+  // Matches recorded by an attempt that failed part-way through may be confirmed again
+  const recorded = await findRecordedMatches(line.id);
+
+  let target;
+  if (matchId) {
+    const match = await BankStatementMatch.findById(matchId);
+    validate(match && match.lineId === line.id, 'Match not found for this statement line');
+    validate(['suggested', 'confirmed'].includes(match.status), `Match is already ${match.status}`);
+    target = await loadTarget(match.targetType, match.targetId);
+  } else {
+    validate(BankStatementMatch.TARGET_TYPES.includes(targetType), `targetType must be one of: ${BankStatementMatch.TARGET_TYPES.join(', ')}`);
+    validate(targetId, 'targetId is required');
+    target = await loadTarget(targetType, targetId);
+  }
+
+  validate(target, 'Match target not found');
+  validate(target.isOpen || recorded.get(`${target.targetType}:${target.targetId}`)?.appliedAt, 'Match target is already settled');
+  validate(!line.structureId || !target.structureId || target.structureId === line.structureId, 'Match target belongs to a different structure');
+
+  const matches = [{ candidate: target, amount: line.amount }];
+  const errors = await checkLineMatches(line, matches);
+  validate(errors.length === 0, errors.join('; '));
+
+  const result = await applyLineMatches(line, matches, {
+    method: 'manual',
+    userId,
+    matchId: matchId || null
+  });
+  await BankStatement.refreshCounts(line.statementId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Statement line matched successfully',
+    data: result
+  });
+}));
+
+/**
+ * @route   POST /api/bank-reconciliation/lines/:lineId/split
+ * @desc    Apply one credit across several allocations or payments (e.g. one wire for two calls)
+ * @access  Private (requires authentication, Root/Admin only)
+ * @body    { splits: [{ targetType, targetId, amount }] } - amounts must add up to the credit
+ */
+router.post('/lines/:lineId/split', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId, userRole } = getUserContext(req);
+  const { splits } = req.body || {};
+
+  requireReconciler(userRole);
+  const line = await getWorkableLine(req.params.lineId, userRole, userId);
+
+  validate(Array.isArray(splits) && splits.length >= 2, 'At least two splits are required');
+
+  const targetKeys = splits.map(split => `${split.targetType}:${split.targetId}`);
+  validate(new Set(targetKeys).size === targetKeys.length, 'Each target can only appear once in a split');
+
+  const recorded = await findRecordedMatches(line.id);
+  const resolved = [];
+  for (const [index, split] of splits.entries()) {
+    const amount = parseFloat(split.amount);
+    validate(BankStatementMatch.TARGET_TYPES.includes(split.targetType), `Split ${index + 1}: targetType must be one of: ${BankStatementMatch.TARGET_TYPES.join(', ')}`);
+    validate(amount > 0, `Split ${index + 1}: amount must be greater than 0`);
+
+    const target = await loadTarget(split.targetType, split.targetId);
+    validate(target, `Split ${index + 1}: match target not found`);
+    validate(target.isOpen || recorded.get(`${target.targetType}:${target.targetId}`)?.appliedAt, `Split ${index + 1}: match target is already settled`);
+    validate(!line.structureId || !target.structureId || target.structureId === line.structureId, `Split ${index + 1}: match target belongs to a different structure`);
+
+    resolved.push({ candidate: target, amount: Math.round(amount * 100) / 100 });
+  }
+
+  const total = resolved.reduce((sum, split) => sum + split.amount, 0);
+  validate(Math.abs(total - line.amount) <= 0.01, `Split amounts (${total.toFixed(2)}) must add up to the credit (${line.amount.toFixed(2)})`);
+
+  const errors = await checkLineMatches(line, resolved);
+  validate(errors.length === 0, errors.join('; '));
+
+  const result = await applyLineMatches(line, resolved, { method: 'split', userId });
+  await BankStatement.refreshCounts(line.statementId);
+
+  res.status(200).json({
+    success: true,
+    message: `Statement line split across ${resolved.length} targets`,
+    data: result
+  });
+}));
+
+/**
+ * @route   POST /api/bank-reconciliation/lines/:lineId/reject
+ * @desc    Reject one suggestion, or reject the whole line as unrelated to capital calls
+ * @access  Private (requires authentication, Root/Admin only)
+ * @body    { matchId? , notes? } - without matchId all suggestions are rejected and the line is ignored
+ */
+router.post('/lines/:lineId/reject', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId, userRole } = getUserContext(req);
+  const { matchId, notes } = req.body || {};
+
+  requireReconciler(userRole);
+  const line = await getWorkableLine(req.params.lineId, userRole, userId);
+
+  let updatedLine;
+  if (matchId) {
+    const match = await BankStatementMatch.findById(matchId);
+    validate(match && match.lineId === line.id, 'Match not found for this statement line');
+    validate(match.status === 'suggested', `Match is already ${match.status}`);
+
+    await BankStatementMatch.findByIdAndUpdate(matchId, { status: 'rejected' });
+
+    // The line stays in the queue; it drops back to unmatched once no suggestion is left
+    const remaining = (await BankStatementMatch.findByLineId(line.id)).filter(m => m.status === 'suggested');
+    updatedLine = await BankStatement.updateLine(line.id, {
+      status: remaining.length > 0 ? 'suggested' : 'unmatched',
+      matchConfidence: remaining.length > 0 ? remaining[0].confidence : null
+    });
+  } else {
+    await BankStatementMatch.rejectSuggestionsForLine(line.id);
+    updatedLine = await BankStatement.updateLine(line.id, {
+      status: 'ignored',
+      matchConfidence: null,
+      resolvedBy: userId,
+      resolvedAt: new Date().toISOString(),
+      notes: notes?.trim() || null
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: matchId ? 'Suggestion rejected' : 'Statement line removed from the reconciliation queue',
+    data: updatedLine
+  });
+}));
+
+/**
+ * @route   GET /api/bank-reconciliation/health
+ * @desc    Health check for Bank Reconciliation API routes
+ * @access  Public
+ */
+router.get('/health', (_req, res) => {
+  res.json({
+    service: 'Bank Reconciliation API',
+    status: 'operational',
+    timestamp: new Date().toISOString()
+  });
+});
+
+module.exports = router;
@@ -5,10 +5,12 @@
 const express = require('express');
 const { authenticate } = require('../middleware/auth');
 const { catchAsync, validate } = require('../middleware/errorHandler');
-const { Structure, User, FirmSettings } = require('../models/supabase');
+const { Structure, User, FirmSettings, CapitalCallDefault, LpTransfer } = require('../models/supabase');
+const ApprovalHistory = require('../models/supabase/approvalHistory');
 const { requireInvestmentManagerAccess, getUserContext, ROLES } = require('../middleware/rbac');
 const { generateCapitalAccountStatementPDF } = require('../services/capitalAccountGenerator');
 const { getSupabase } = require('../config/database');
+const { calculateRecallableBalances, grantsFromAllocations, recallsFromAllocations } = require('../utils/recallable');
 
 async function getFirmNameForUser(userId) {
   try {
@@ -20,6 +22,15 @@ async function getFirmNameForUser(userId) {
   }
 }
 
+/**
+ * Get an investor's capital call defaults for a structure with their action history
+ */
+async function getDefaultActivity(investorId, structureId) {
+  const defaults = await CapitalCallDefault.findByUserAndStructure(investorId, structureId);
+  const events = await ApprovalHistory.findByEntityIds('capital_call_default', defaults.map(d => d.id));
+  return { defaults, events };
+}
+
 const router = express.Router();
 
 /**
@@ -81,6 +92,9 @@ router.get('/:investorId/statement', authenticate, catchAsync(async (req, res) =
     .eq('distribution.structure_id', structureId)
     .order('created_at', { ascending: true });
 
+  // Get late payment / default activity
+  const { defaults, events: defaultEvents } = await getDefaultActivity(investorId, structureId);
+
   const firmName = await getFirmNameForUser(userId);
 
   // Generate PDF
@@ -90,7 +104,7 @@ router.get('/:investorId/statement', authenticate, catchAsync(async (req, res) =
     callAllocations || [],
     distAllocations || [],
     { startDate, endDate },
-    { firmName, currency: structure.currency }
+    { firmName, currency: structure.baseCurrency || structure.currency, defaults, defaultEvents }
   );
 
   const investorNameClean = (investor.name || 'Investor').replace(/\s+/g, '_');
@@ -152,6 +166,9 @@ router.get('/:investorId/data', authenticate, catchAsync(async (req, res) => {
     .eq('distribution.structure_id', structureId)
     .order('created_at', { ascending: true });
 
+  // Get late payment / default activity
+  const { defaults, events: defaultEvents } = await getDefaultActivity(investorId, structureId);
+
   const allCalls = callAllocations || [];
   const allDists = distAllocations || [];
 
@@ -176,13 +193,48 @@ router.get('/:investorId/data', authenticate, catchAsync(async (req, res) => {
     return d < startDate;
   }) : [];
 
-  const totalCalled = allCalls.reduce((sum, a) => sum + (a.total_due || 0), 0);
-  const totalDistributed = allDists.reduce((sum, a) => sum + (a.allocated_amount || 0), 0);
+  // Capital account balances bought from (+) or sold to (-) other LPs
+  const transfers = (await LpTransfer.findByStructureId(structureId))
+    .filter(t => t.status === 'completed' && [t.transferorId, t.transfereeId].includes(investorId))
+    .map(t => {
+      const sign = t.transfereeId === investorId ? 1 : -1;
+      return {
+        id: t.id,
+        date: t.effectiveDate,
+        direction: sign > 0 ? 'in' : 'out',
+        counterpartyId: sign > 0 ? t.transferorId : t.transfereeId,
+        commitment: sign * (t.balances?.commitment || 0),
+        calledCapital: sign * (t.balances?.calledCapital || 0),
+        distributions: sign * (t.balances?.distributions || 0),
+      };
+    });
+  const priorTransfers = startDate ? transfers.filter(t => t.date < startDate) : [];
+  const periodTransfers = filterByPeriod(transfers, 'date');
+
+  const totalCalled = allCalls.reduce((sum, a) => sum + (a.total_due || 0), 0) +
+    transfers.reduce((sum, t) => sum + t.calledCapital, 0);
+  const totalDistributed = allDists.reduce((sum, a) => sum + (a.allocated_amount || 0), 0) +
+    transfers.reduce((sum, t) => sum + t.distributions, 0);
   const totalFees = allCalls.reduce((sum, a) => sum + (a.management_fee_net || 0), 0);
   const totalVAT = allCalls.reduce((sum, a) => sum + (a.vat_amount || 0), 0);
 
-  const priorCalledTotal = priorCalls.reduce((sum, a) => sum + (a.total_due || 0), 0);
-  const priorDistTotal = priorDists.reduce((sum, a) => sum + (a.allocated_amount || 0), 0);
+  const priorCalledTotal = priorCalls.reduce((sum, a) => sum + (a.total_due || 0), 0) +
+    priorTransfers.reduce((sum, t) => sum + t.calledCapital, 0);
+  const priorDistTotal = priorDists.reduce((sum, a) => sum + (a.allocated_amount || 0), 0) +
+    priorTransfers.reduce((sum, t) => sum + t.distributions, 0);
+
+  // Recallable distributions add back to unfunded commitment until recalled or expired
+  const recallable = calculateRecallableBalances(
+    grantsFromAllocations(allDists),
+    recallsFromAllocations(allCalls),
+    endDate || new Date()
+  )[investorId] || { recallable: 0, recalled: 0, expired: 0, available: 0 };
+
+  const periodDefaultEvents = defaultEvents.filter(e => {
+    if (!startDate || !endDate) return true;
+    const date = (e.createdAt || '').split('T')[0];
+    return date >= startDate && date <= endDate;
+  });
 
   res.status(200).json({
     success: true,
@@ -196,7 +248,7 @@ router.get('/:investorId/data', authenticate, catchAsync(async (req, res) => {
       structure: {
         id: structure.id,
         name: structure.name,
-        currency: structure.currency,
+        currency: structure.baseCurrency || structure.currency,
       },
       summary: {
         commitment,
@@ -204,10 +256,18 @@ router.get('/:investorId/data', authenticate, catchAsync(async (req, res) => {
         totalDistributed,
         totalFees,
         totalVAT,
-        uncalled: commitment - totalCalled,
+        uncalled: commitment - totalCalled + recallable.recalled + recallable.available,
+        recallableDistributed: recallable.recallable,
+        recallableRecalled: recallable.recalled,
+        recallableExpired: recallable.expired,
+        recallableBalance: recallable.available,
         netAccountValue: totalCalled - totalDistributed,
         openingBalance: priorCalledTotal - priorDistTotal,
         closingBalance: totalCalled - totalDistributed,
+        lateInterest: defaults.reduce((sum, d) => sum + d.accruedInterest, 0),
+        defaultPenalties: defaults.reduce((sum, d) => sum + d.penaltyAmount, 0),
+        defaultStatus: defaults.some(d => CapitalCallDefault.DEFAULTING_STATUSES.includes(d.status)) ? 'in_default' : 'good_standing',
+        realizedFxGainLoss: Math.round(allCalls.reduce((sum, a) => sum + (parseFloat(a.fx_gain_loss) || 0), 0) * 100) / 100,
       },
       capitalCalls: periodCalls.map(a => ({
         date: a.capital_call?.callDate || a.callDate,
@@ -216,6 +276,11 @@ router.get('/:investorId/data', authenticate, catchAsync(async (req, res) => {
         managementFee: a.management_fee_net || 0,
         vat: a.vat_amount || 0,
         total: a.total_due || 0,
+        recalledAmount: parseFloat(a.recalled_amount) || 0,
+        paymentCurrency: a.payment_currency || null,
+        fxRate: a.fx_rate != null ? parseFloat(a.fx_rate) : null,
+        totalPaymentCurrency: a.total_due_payment_currency != null ? parseFloat(a.total_due_payment_currency) : null,
+        fxGainLoss: parseFloat(a.fx_gain_loss) || 0,
       })),
       distributions: periodDists.map(a => ({
         date: a.distribution?.distributionDate || a.distributionDate,
@@ -224,6 +289,34 @@ router.get('/:investorId/data', authenticate, catchAsync(async (req, res) => {
         income: a.income_amount || 0,
         capitalGain: a.capital_gain || 0,
         total: a.allocated_amount || 0,
+        recallableAmount: parseFloat(a.recallable_amount) || 0,
+        recallableUntil: a.distribution?.recallable_until || null,
+        paymentCurrency: a.payment_currency || null,
+        fxRate: a.fx_rate != null ? parseFloat(a.fx_rate) : null,
+        totalPaymentCurrency: a.allocated_amount_payment_currency != null ? parseFloat(a.allocated_amount_payment_currency) : null,
+      })),
+      defaults: defaults.map(d => ({
+        id: d.id,
+        callNumber: d.capitalCall?.callNumber || null,
+        deadlineDate: d.deadlineDate,
+        status: d.status,
+        daysPastDue: d.daysPastDue,
+        outstandingAmount: d.outstandingAmount,
+        accruedInterest: d.accruedInterest,
+        penaltyAmount: d.penaltyAmount,
+        remedy: d.remedy,
+        remedyAmount: d.remedyAmount,
+        remedyDate: d.remedyDate,
+      })),
+      transfers: periodTransfers,
+      defaultActivity: periodDefaultEvents.map(e => ({
+        date: e.createdAt,
+        defaultId: e.entityId,
+        action: e.action,
+        fromStatus: e.fromStatus,
+        toStatus: e.toStatus,
+        userName: e.userName,
+        notes: e.notes,
       })),
     }
   });
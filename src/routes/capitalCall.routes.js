@@ -5,12 +5,86 @@
 const express = require('express');
 const { authenticate } = require('../middleware/auth');
 const { catchAsync, validate } = require('../middleware/errorHandler');
-const { CapitalCall, Structure, User, FirmSettings } = require('../models/supabase');
+const { CapitalCall, CapitalCallCredit, CapitalCallDefault, CapitalCallExcusal, CapitalCallReminderDelivery, CapitalCallReminderSchedule, Equalization, Investment, Structure, User, FirmSettings } = require('../models/supabase');
+const StructureInvestor = require('../models/supabase/structureInvestor');
 const ApprovalHistory = require('../models/supabase/approvalHistory');
 const { requireInvestmentManagerAccess, getUserContext, ROLES } = require('../middleware/rbac');
 const { generateCapitalCallNoticePDF, generateIndividualLPNoticePDF } = require('../services/documentGenerator');
-const { sendEmail } = require('../utils/emailSender');
+const { sendEmail, isValidEmail } = require('../utils/emailSender');
 const { sendCapitalCallNotice } = require('../utils/notificationHelper');
+const { buildEqualization, createEqualization, recordRefunds } = require('../services/equalizationService');
+const { generateAllocationPreviewExcel } = require('../services/capitalCallPreviewGenerator');
+const { cancelCapitalCall, PAYMENT_DISPOSITIONS } = require('../services/capitalCallCancellationService');
+const { getStepSendDate, MAX_CATCH_UP_DAYS } = require('../jobs/capitalCallReminders');
+const { snapshotCapitalCallFx } = require('../services/fxService');
+const { FEE_EXPENSE_CALL_TYPES, validateCapitalCallForLifecycle } = require('../services/structureLifecycleService');
+const { isValidPaymentReference, normalizePaymentReference, formatPaymentReference } = require('../utils/paymentReference');
+
+/**
+ * Validate and normalize a reminder schedule request body
+ * Step keys are derived from the offset so reminder history stays stable across edits
+ */
+function parseReminderSchedule(body) {
+  const {
+    enabled = true,
+    steps,
+    noticeRecipients = ['lp'],
+    businessDaysOnly = true,
+    holidays = [],
+    advisorEmails = [],
+    gpOpsEmails = []
+  } = body;
+  const { RECIPIENT_TYPES, MAX_OFFSET_DAYS, MAX_STEPS } = CapitalCallReminderSchedule;
+  const isRecipientList = (list) =>
+    Array.isArray(list) && list.length > 0 && list.every(r => RECIPIENT_TYPES.includes(r));
+
+  validate(Array.isArray(steps), 'steps must be an array');
+  validate(steps.length <= MAX_STEPS, `A schedule can have at most ${MAX_STEPS} steps`);
+  validate(isRecipientList(noticeRecipients), `noticeRecipients must be a non-empty list of: ${RECIPIENT_TYPES.join(', ')}`);
+  validate(
+    Array.isArray(holidays) && holidays.every(d => /^\d{4}-\d{2}-\d{2}$/.test(d) && !isNaN(new Date(d).getTime())),
+    'holidays must be a list of dates (YYYY-MM-DD)'
+  );
+  validate(Array.isArray(advisorEmails) && advisorEmails.every(isValidEmail), 'advisorEmails must be a list of valid email addresses');
+  validate(Array.isArray(gpOpsEmails) && gpOpsEmails.every(isValidEmail), 'gpOpsEmails must be a list of valid email addresses');
+
+  const normalizedSteps = steps.map((step, index) => {
+    const offsetDays = Number(step.offsetDays);
+    validate(
+      Number.isInteger(offsetDays) && Math.abs(offsetDays) <= MAX_OFFSET_DAYS,
+      `Step ${index + 1}: offsetDays must be a whole number between -${MAX_OFFSET_DAYS} and ${MAX_OFFSET_DAYS}`
+    );
+    validate(
+      isRecipientList(step.recipients),
+      `Step ${index + 1}: recipients must be a non-empty list of: ${RECIPIENT_TYPES.join(', ')}`
+    );
+    validate(!step.escalation || offsetDays > 0, `Step ${index + 1}: escalation steps must be after the deadline`);
+
+    return {
+      key: offsetDays === 0 ? 'deadline' : `deadline${offsetDays > 0 ? '+' : ''}${offsetDays}`,
+      name: step.name?.trim() || (offsetDays === 0 ? 'Deadline day' : `${Math.abs(offsetDays)} days ${offsetDays < 0 ? 'before' : 'after'} deadline`),
+      offsetDays,
+      recipients: [...new Set(step.recipients)],
+      escalation: !!step.escalation,
+      subject: step.subject?.trim() || null,
+      message: step.message?.trim() || null,
+      enabled: step.enabled !== false
+    };
+  });
+
+  const keys = normalizedSteps.map(step => step.key);
+  validate(new Set(keys).size === keys.length, 'Each step must have a different offsetDays');
+
+  return {
+    enabled: enabled !== false,
+    steps: normalizedSteps.sort((a, b) => a.offsetDays - b.offsetDays),
+    noticeRecipients: [...new Set(noticeRecipients)],
+    businessDaysOnly: businessDaysOnly !== false,
+    holidays: [...new Set(holidays)].sort(),
+    advisorEmails: [...new Set(advisorEmails.map(e => e.trim().toLowerCase()))],
+    gpOpsEmails: [...new Set(gpOpsEmails.map(e => e.trim().toLowerCase()))]
+  };
+}
 
 /**
  * Helper to get firm name for whitelabeling
@@ -26,6 +100,36 @@ async function getFirmNameForUser(userId) {
   }
 }
 
+/**
+ * Helper to record excusals applied to a call's allocations in its approval history
+ */
+async function logAppliedExcusals(capitalCallId, allocations, userId) {
+  const excused = (allocations || []).filter(a => a.excusal_type);
+  if (excused.length === 0) return;
+
+  const user = await User.findById(userId);
+  const reallocatedTotal = allocations.reduce((sum, a) => sum + (parseFloat(a.reallocated_amount) || 0), 0);
+
+  for (const allocation of excused) {
+    await ApprovalHistory.logAction({
+      entityType: 'capital_call',
+      entityId: capitalCallId,
+      action: 'excusal_applied',
+      fromStatus: null,
+      toStatus: null,
+      userId,
+      userName: user?.name || 'Unknown',
+      notes: allocation.excusal_reason,
+      metadata: {
+        investorId: allocation.user_id,
+        excusalType: allocation.excusal_type,
+        excusedAmount: parseFloat(allocation.excused_amount) || 0,
+        reallocatedTotal
+      }
+    });
+  }
+}
+
 const router = express.Router();
 
 /**
@@ -47,6 +151,8 @@ router.post('/', authenticate, requireInvestmentManagerAccess, catchAsync(async
     purpose,
     notes,
     investmentId,
+    // 'standard', or 'fees' / 'expenses' for calls not tied to an investment
+    callType,
     createAllocations,
     // ILPA Fee Configuration
     managementFeeBase,
@@ -57,13 +163,25 @@ router.post('/', authenticate, requireInvestmentManagerAccess, catchAsync(async
     approvalStatus,
     // Proximity Dual-Rate Fee Fields
     feeRateOnNic,
-    feeRateOnUnfunded
+    feeRateOnUnfunded,
+    // Excuse/exclusion reallocation (overrides the structure rule)
+    excusalReallocationRule,
+    // Draw against LPs' recallable distribution balances first
+    drawsRecallable
   } = req.body;
 
   // Validate required fields
   validate(structureId, 'Structure ID is required');
   validate(callNumber, 'Call number is required');
   validate(totalCallAmount !== undefined && totalCallAmount > 0, 'Total call amount must be positive');
+  validate(
+    !excusalReallocationRule || CapitalCallExcusal.REALLOCATION_RULES.includes(excusalReallocationRule),
+    `Excusal reallocation rule must be one of: ${CapitalCallExcusal.REALLOCATION_RULES.join(', ')}`
+  );
+  validate(
+    !callType || ['standard', ...FEE_EXPENSE_CALL_TYPES].includes(callType),
+    `Call type must be one of: ${['standard', ...FEE_EXPENSE_CALL_TYPES].join(', ')}`
+  );
 
   // Validate structure exists
   const structure = await Structure.findById(structureId);
@@ -74,6 +192,20 @@ router.post('/', authenticate, requireInvestmentManagerAccess, catchAsync(async
     validate(structure.createdBy === userId, 'Structure does not belong to user');
   }
 
+  // After the investment period only follow-ons in existing investments, fees and expenses
+  // may be called
+  let investment = null;
+  if (investmentId) {
+    investment = await Investment.findById(investmentId);
+    validate(investment, 'Investment not found');
+  }
+  const lifecycleError = validateCapitalCallForLifecycle(structure, {
+    investment,
+    callType: callType || 'standard',
+    asOfDate: callDate || new Date()
+  });
+  validate(!lifecycleError, lifecycleError);
+
   // Create capital call
   const capitalCallData = {
     structureId,
@@ -89,6 +221,7 @@ router.post('/', authenticate, requireInvestmentManagerAccess, catchAsync(async
     purpose: purpose?.trim() || '',
     notes: notes?.trim() || '',
     investmentId: investmentId || null,
+    callType: callType || 'standard',
     // ILPA Fee Configuration
     managementFeeBase: managementFeeBase || structure.managementFeeBase || 'committed',
     managementFeeRate: managementFeeRate !== undefined ? managementFeeRate : structure.managementFee || 2.0,
@@ -99,6 +232,8 @@ router.post('/', authenticate, requireInvestmentManagerAccess, catchAsync(async
     // Proximity Dual-Rate Fee Fields (default from structure if not provided)
     feeRateOnNic: feeRateOnNic !== undefined ? feeRateOnNic : structure.feeRateOnNic || null,
     feeRateOnUnfunded: feeRateOnUnfunded !== undefined ? feeRateOnUnfunded : structure.feeRateOnUnfunded || null,
+    excusalReallocationRule: excusalReallocationRule || null,
+    drawsRecallable: drawsRecallable === true,
     createdBy: userId
   };
 
@@ -108,6 +243,7 @@ router.post('/', authenticate, requireInvestmentManagerAccess, catchAsync(async
   let allocations = null;
   if (createAllocations === true) {
     allocations = await CapitalCall.createAllocationsForStructure(capitalCall.id, structureId);
+    await logAppliedExcusals(capitalCall.id, allocations, userId);
   }
 
   res.status(201).json({
@@ -268,6 +404,56 @@ router.get('/payments', authenticate, requireInvestmentManagerAccess, catchAsync
   });
 }));
 
+/**
+ * @route   GET /api/capital-calls/payments/by-reference/:reference
+ * @desc    Look up the capital call allocation an incoming payment belongs to by its payment reference
+ * @access  Private (requires authentication, Root/Admin only)
+ */
+router.get('/payments/by-reference/:reference', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId, userRole } = getUserContext(req);
+  const reference = normalizePaymentReference(req.params.reference);
+
+  validate(isValidPaymentReference(reference), 'Invalid payment reference (check digits do not match)');
+
+  const allocation = await CapitalCall.findAllocationByPaymentReference(reference);
+  if (!allocation) {
+    return res.status(404).json({ success: false, message: 'No capital call allocation found for this payment reference' });
+  }
+
+  // Root can look up any payment, Admin only payments on their own capital calls
+  if (userRole === ROLES.ADMIN) {
+    validate(allocation.capital_calls?.created_by === userId, 'Unauthorized access to capital call');
+  }
+
+  const totalDue = parseFloat(allocation.total_due) || 0;
+  const paidAmount = parseFloat(allocation.paid_amount) || 0;
+  const user = allocation.users;
+
+  res.status(200).json({
+    success: true,
+    data: {
+      allocationId: allocation.id,
+      paymentReference: allocation.payment_reference_code,
+      paymentReferenceFormatted: formatPaymentReference(allocation.payment_reference_code),
+      capitalCallId: allocation.capital_call_id,
+      callNumber: allocation.capital_calls?.call_number,
+      structureId: allocation.capital_calls?.structure_id,
+      capitalCallStatus: allocation.capital_calls?.status,
+      dueDate: allocation.capital_calls?.due_date,
+      investorId: allocation.user_id,
+      investorName: user ? `${user.first_name || ''} ${user.last_name || ''}`.trim() || user.email : 'Unknown',
+      investorEmail: user?.email || null,
+      status: allocation.status,
+      totalDue,
+      paidAmount,
+      outstanding: totalDue - paidAmount,
+      paymentCurrency: allocation.payment_currency || null,
+      totalDuePaymentCurrency: allocation.total_due_payment_currency != null ? parseFloat(allocation.total_due_payment_currency) : null,
+      paymentApprovalStatus: allocation.payment_approval_status || null
+    }
+  });
+}));
+
 /**
  * @route   PATCH /api/capital-calls/payments/:allocationId/approve
  * @desc    Approve an investor's capital call payment (confirm payment was received)
@@ -321,33 +507,7 @@ router.patch('/payments/:allocationId/approve', authenticate, requireInvestmentM
   }
 
   // Now update capital call totals since payment is confirmed
-  const capitalCallId = allocation.capital_call_id;
-  const { data: allAllocations } = await supabase
-    .from('capital_call_allocations')
-    .select('paid_amount, total_due, payment_approval_status')
-    .eq('capital_call_id', capitalCallId);
-
-  // Only count approved payments toward totals
-  const approvedAllocations = (allAllocations || []).filter(a => a.payment_approval_status === 'approved');
-  const totalPaid = approvedAllocations.reduce((sum, a) => sum + (parseFloat(a.paid_amount) || 0), 0);
-  const totalAmount = (allAllocations || []).reduce((sum, a) => sum + (parseFloat(a.total_due) || 0), 0);
-
-  let ccStatus = allocation.capital_calls?.status || 'Sent';
-  if (totalPaid >= totalAmount) {
-    ccStatus = 'Paid';
-  } else if (totalPaid > 0) {
-    ccStatus = 'Partially Paid';
-  }
-
-  await supabase
-    .from('capital_calls')
-    .update({
-      total_paid_amount: totalPaid,
-      total_unpaid_amount: totalAmount - totalPaid,
-      status: ccStatus,
-      updated_at: new Date().toISOString()
-    })
-    .eq('id', capitalCallId);
+  await CapitalCall.refreshPaymentTotals(allocation.capital_call_id, allocation.capital_calls?.status || 'Sent');
 
   console.log(`[Payment Approval] Allocation ${allocationId} approved. Status: ${newStatus}`);
 
@@ -393,6 +553,8 @@ router.patch('/payments/:allocationId/reject', authenticate, requireInvestmentMa
       capital_paid: 0,
       fees_paid: 0,
       vat_paid: 0,
+      paid_amount_payment_currency: 0,
+      fx_gain_loss: 0,
       // Keep payment_method/reference/date for audit trail
       updated_at: new Date().toISOString()
     })
@@ -589,7 +751,11 @@ router.put('/:id', authenticate, requireInvestmentManagerAccess, catchAsync(asyn
     // ILPA Fee Configuration
     'managementFeeBase', 'managementFeeRate', 'vatRate', 'vatApplicable', 'feePeriod', 'approvalStatus',
     // Proximity Dual-Rate Fee Fields
-    'feeRateOnNic', 'feeRateOnUnfunded'
+    'feeRateOnNic', 'feeRateOnUnfunded',
+    // Excuse/exclusion reallocation
+    'excusalReallocationRule',
+    // Recallable distributions
+    'drawsRecallable'
   ];
 
   for (const field of allowedFields) {
@@ -599,6 +765,10 @@ router.put('/:id', authenticate, requireInvestmentManagerAccess, catchAsync(asyn
   }
 
   validate(Object.keys(updateData).length > 0, 'No valid fields provided for update');
+  validate(
+    !updateData.excusalReallocationRule || CapitalCallExcusal.REALLOCATION_RULES.includes(updateData.excusalReallocationRule),
+    `Excusal reallocation rule must be one of: ${CapitalCallExcusal.REALLOCATION_RULES.join(', ')}`
+  );
 
   const updatedCapitalCall = await CapitalCall.findByIdAndUpdate(id, updateData);
 
@@ -628,10 +798,15 @@ router.patch('/:id/send', authenticate, requireInvestmentManagerAccess, catchAsy
   }
   validate(capitalCall.status === 'Draft', 'Capital call must be in Draft status to send');
 
-  const updatedCapitalCall = await CapitalCall.markAsSent(id);
-
-  // Get structure for notification
   const structure = await Structure.findById(capitalCall.structureId);
+  validate(structure, 'Structure not found');
+
+  // Lock in payment-currency amounts before LPs are notified
+  const fx = await snapshotCapitalCallFx(capitalCall, structure);
+  validate(fx.missingRates.length === 0, `No FX rate maintained for ${fx.missingRates.join(', ')}`);
+  await CapitalCall.assignPaymentReferences(id);
+
+  const updatedCapitalCall = await CapitalCall.markAsSent(id);
 
   // Send notifications to all investors in the structure
   sendCapitalCallNotice(updatedCapitalCall, structure, userId, urgent === true)
@@ -665,6 +840,7 @@ router.patch('/:id/mark-paid', authenticate, requireInvestmentManagerAccess, cat
   if (userRole === ROLES.ADMIN) {
     validate(capitalCall.createdBy === userId, 'Unauthorized access to capital call');
   }
+  validate(capitalCall.status !== 'Cancelled', 'Capital call has been cancelled');
 
   const updatedCapitalCall = await CapitalCall.markAsPaid(id);
 
@@ -694,6 +870,7 @@ router.patch('/:id/update-payment', authenticate, requireInvestmentManagerAccess
   if (userRole === ROLES.ADMIN) {
     validate(capitalCall.createdBy === userId, 'Unauthorized access to capital call');
   }
+  validate(capitalCall.status !== 'Cancelled', 'Capital call has been cancelled');
 
   const updatedCapitalCall = await CapitalCall.updatePaymentAmounts(id, paidAmount);
 
@@ -704,14 +881,56 @@ router.patch('/:id/update-payment', authenticate, requireInvestmentManagerAccess
   });
 }));
 
+/**
+ * @route   GET /api/capital-calls/:id/allocation-preview
+ * @desc    Dry run of create-allocations: per-LP amounts, totals and warnings without persisting (JSON or Excel)
+ * @access  Private (requires authentication, Root/Admin only)
+ * @query   format - 'json' (default) or 'excel'
+ */
+router.get('/:id/allocation-preview', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId, userRole } = getUserContext(req);
+  const { id } = req.params;
+  const { format = 'json' } = req.query;
+
+  const capitalCall = await CapitalCall.findById(id);
+  validate(capitalCall, 'Capital call not found');
+
+  // Root can preview any capital call, Admin can only preview their own
+  if (userRole === ROLES.ADMIN) {
+    validate(capitalCall.createdBy === userId, 'Unauthorized access to capital call');
+  }
+
+  const structure = await Structure.findById(capitalCall.structureId);
+  validate(structure, 'Structure not found');
+
+  const preview = await CapitalCall.previewAllocationsForStructure(id, capitalCall.structureId);
+
+  if (format === 'excel') {
+    const firmName = await getFirmNameForUser(userId);
+    const buffer = await generateAllocationPreviewExcel(structure, preview, { firmName });
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="Capital_Call_${capitalCall.callNumber}_Allocation_Preview.xlsx"`);
+    res.setHeader('Content-Length', buffer.length);
+    return res.send(buffer);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Allocation preview generated (no changes saved)',
+    data: preview
+  });
+}));
+
 /**
  * @route   POST /api/capital-calls/:id/create-allocations
  * @desc    Create allocations for all investors in structure
  * @access  Private (requires authentication, Root/Admin only)
+ * @body    dryRun - When true, returns the allocation preview without persisting
  */
 router.post('/:id/create-allocations', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
   const { userId, userRole } = getUserContext(req);
   const { id } = req.params;
+  const { dryRun = false } = req.body || {};
 
   const capitalCall = await CapitalCall.findById(id);
   validate(capitalCall, 'Capital call not found');
@@ -724,7 +943,18 @@ router.post('/:id/create-allocations', authenticate, requireInvestmentManagerAcc
   const structure = await Structure.findById(capitalCall.structureId);
   validate(structure, 'Structure not found');
 
+  if (dryRun === true || dryRun === 'true') {
+    const preview = await CapitalCall.previewAllocationsForStructure(id, capitalCall.structureId);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Allocation preview generated (no changes saved)',
+      data: preview
+    });
+  }
+
   const allocations = await CapitalCall.createAllocationsForStructure(id, capitalCall.structureId);
+  await logAppliedExcusals(id, allocations, userId);
 
   res.status(201).json({
     success: true,
@@ -750,6 +980,15 @@ router.delete('/:id', authenticate, requireInvestmentManagerAccess, catchAsync(a
     validate(capitalCall.createdBy === userId, 'Unauthorized access to capital call');
   }
 
+  // Once LPs have been notified or have paid, the call must be cancelled so history is kept
+  const issuedStatuses = ['Sent', 'Partially Paid', 'Paid', 'Fully Paid', 'Cancelled'];
+  validate(
+    !issuedStatuses.includes(capitalCall.status) && !(capitalCall.totalPaidAmount > 0),
+    'Capital call has been issued to investors; cancel it instead of deleting it'
+  );
+
+  // Credits applied to the draft call's allocations become available again
+  await CapitalCallCredit.releaseForCapitalCall(id);
   await CapitalCall.findByIdAndDelete(id);
 
   res.status(200).json({
@@ -872,6 +1111,11 @@ router.post('/:id/send-notices', authenticate, requireInvestmentManagerAccess, c
   const structure = await Structure.findById(capitalCall.structureId);
   validate(structure, 'Structure not found');
 
+  // Lock in payment-currency amounts before the notices are generated
+  const fx = await snapshotCapitalCallFx(capitalCall, structure);
+  validate(fx.missingRates.length === 0, `No FX rate maintained for ${fx.missingRates.join(', ')}`);
+  await CapitalCall.assignPaymentReferences(id);
+
   // Get allocations with investor details
   const capitalCallWithAllocations = await CapitalCall.findWithAllocations(id);
   const allocations = capitalCallWithAllocations?.capital_call_allocations || [];
@@ -883,6 +1127,7 @@ router.post('/:id/send-notices', authenticate, requireInvestmentManagerAccess, c
 
   // Generate and send individual notices
   for (const allocation of allocations) {
+
     try {
       const investorId = allocation.user_id;
       const investor = allocation.user || await User.findById(investorId);
@@ -906,12 +1151,18 @@ router.post('/:id/send-notices', authenticate, requireInvestmentManagerAccess, c
       );
 
       // Prepare email content
+      const amountDue = allocation.paymentCurrency
+        ? `${allocation.paymentCurrency} ${allocation.totalDuePaymentCurrency.toLocaleString()} (${fx.baseCurrency} ${allocation.totalDue.toLocaleString()} at ${allocation.fxRate})`
+        : `${fx.baseCurrency} ${allocation.totalDue.toLocaleString()}`;
+      const paymentReference = formatPaymentReference(allocation.paymentReferenceCode);
       const defaultSubject = `Capital Call Notice #${capitalCall.callNumber} - ${structure.name}`;
-      const defaultBodyText = `Dear ${investor.name},\n\nPlease find attached your Capital Call Notice #${capitalCall.callNumber} for ${structure.name}.\n\nPayment Due Date: ${new Date(capitalCall.dueDate).toLocaleDateString()}\n\nPlease review the attached notice for payment instructions.\n\nBest regards,\n${firmName}`;
+      const defaultBodyText = `Dear ${investor.name},\n\nPlease find attached your Capital Call Notice #${capitalCall.callNumber} for ${structure.name}.\n\nAmount Due: ${amountDue}\nPayment Due Date: ${new Date(capitalCall.dueDate).toLocaleDateString()}\nPayment Reference: ${paymentReference}\n\nPlease review the attached notice for payment instructions.\n\nBest regards,\n${firmName}`;
       const defaultBodyHtml = `
         <p>Dear ${investor.name},</p>
         <p>Please find attached your Capital Call Notice #${capitalCall.callNumber} for <strong>${structure.name}</strong>.</p>
+        <p><strong>Amount Due:</strong> ${amountDue}</p>
         <p><strong>Payment Due Date:</strong> ${new Date(capitalCall.dueDate).toLocaleDateString()}</p>
+        <p><strong>Payment Reference:</strong> ${paymentReference}</p>
         <p>Please review the attached notice for payment instructions.</p>
         <p>Best regards,<br/>${firmName}</p>
       `;
@@ -1448,24 +1699,975 @@ router.patch('/:id/request-changes', authenticate, requireInvestmentManagerAcces
   });
 }));
 
+// ==========================================
+// CANCELLATION / REVERSAL ENDPOINTS
+// ==========================================
+
 /**
- * @route   POST /api/capital-calls/trigger-reminders
- * @desc    Manually trigger capital call reminder job (for testing)
- * @access  Private (requires authentication, Root only)
+ * @route   POST /api/capital-calls/:id/cancel
+ * @desc    Cancel a capital call: void allocations, convert received payments into credits or refunds,
+ *          reverse structure called capital and notify LPs (history is kept)
+ * @access  Private (requires authentication, Root/Admin only)
+ * @body    reason, paymentDisposition ('credit' | 'refund', default 'credit'), sendNotices (default true)
  */
-router.post('/trigger-reminders', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
-  const { userRole } = getUserContext(req);
+router.post('/:id/cancel', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId, userRole } = getUserContext(req);
+  const { id } = req.params;
+  const { reason, paymentDisposition = 'credit', sendNotices = true } = req.body || {};
 
-  // Only Root users can trigger this
-  validate(userRole === ROLES.ROOT, 'Only administrators can trigger reminder jobs');
+  validate(
+    PAYMENT_DISPOSITIONS.includes(paymentDisposition),
+    `Payment disposition must be one of: ${PAYMENT_DISPOSITIONS.join(', ')}`
+  );
+
+  const capitalCall = await CapitalCall.findById(id);
+  validate(capitalCall, 'Capital call not found');
+
+  // Root can cancel any capital call, Admin can only cancel their own
+  if (userRole === ROLES.ADMIN) {
+    validate(capitalCall.createdBy === userId, 'Unauthorized access to capital call');
+  }
+  validate(capitalCall.status !== 'Cancelled', 'Capital call is already cancelled');
+
+  const structure = await Structure.findById(capitalCall.structureId);
+  validate(structure, 'Structure not found');
+
+  const user = await User.findById(userId);
+
+  const result = await cancelCapitalCall(capitalCall, structure, {
+    reason: reason?.trim() || null,
+    paymentDisposition,
+    sendNotices: sendNotices !== false,
+    userId,
+    userName: user?.name || 'Unknown'
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Capital call cancelled successfully',
+    data: result
+  });
+}));
+
+/**
+ * @route   GET /api/capital-calls/structure/:structureId/credits
+ * @desc    Get LP credits and refunds created from cancelled capital calls
+ * @access  Private (requires authentication, Root/Admin only)
+ * @query   investorId, status
+ */
+router.get('/structure/:structureId/credits', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId, userRole } = getUserContext(req);
+  const { structureId } = req.params;
+  const { investorId, status } = req.query;
+
+  const structure = await Structure.findById(structureId);
+  validate(structure, 'Structure not found');
+
+  // Root can access any structure, Admin can only access their own
+  if (userRole === ROLES.ADMIN) {
+    validate(structure.createdBy === userId, 'Unauthorized access to structure');
+  }
+
+  const credits = await CapitalCallCredit.findByStructureId(structureId, { userId: investorId, status });
+
+  res.status(200).json({
+    success: true,
+    count: credits.length,
+    data: credits
+  });
+}));
+
+/**
+ * @route   GET /api/capital-calls/structure/:structureId/recallable
+ * @desc    Get each LP's recallable distribution balance (added back to unfunded commitment)
+ * @access  Private (requires authentication, Root/Admin only)
+ * @query   asOfDate (default today)
+ */
+router.get('/structure/:structureId/recallable', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId, userRole } = getUserContext(req);
+  const { structureId } = req.params;
+  const { asOfDate } = req.query;
+
+  validate(!asOfDate || !isNaN(new Date(asOfDate).getTime()), 'asOfDate must be a valid date');
+
+  const structure = await Structure.findById(structureId);
+  validate(structure, 'Structure not found');
+
+  // Root can access any structure, Admin can only access their own
+  if (userRole === ROLES.ADMIN) {
+    validate(structure.createdBy === userId, 'Unauthorized access to structure');
+  }
+
+  const balances = await CapitalCall.getRecallableBalancesByStructure(structureId, { asOfDate: asOfDate || null });
+  const investors = Object.entries(balances).map(([investorId, balance]) => ({ userId: investorId, ...balance }));
+  const total = (key) => Math.round(investors.reduce((sum, inv) => sum + inv[key], 0) * 100) / 100;
+
+  res.status(200).json({
+    success: true,
+    data: {
+      asOfDate: asOfDate || new Date().toISOString().split('T')[0],
+      investors,
+      totals: {
+        recallable: total('recallable'),
+        recalled: total('recalled'),
+        expired: total('expired'),
+        available: total('available')
+      }
+    }
+  });
+}));
+
+/**
+ * @route   PATCH /api/capital-calls/credits/:creditId/refunded
+ * @desc    Mark a pending refund as paid back to the LP
+ * @access  Private (requires authentication, Root/Admin only)
+ * @body    refundReference, notes
+ */
+router.patch('/credits/:creditId/refunded', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId, userRole } = getUserContext(req);
+  const { creditId } = req.params;
+  const { refundReference, notes } = req.body || {};
+
+  const credit = await CapitalCallCredit.findById(creditId);
+  validate(credit, 'Credit not found');
+
+  const structure = await Structure.findById(credit.structureId);
+  validate(structure, 'Structure not found');
+
+  // Root can access any structure, Admin can only access their own
+  if (userRole === ROLES.ADMIN) {
+    validate(structure.createdBy === userId, 'Unauthorized access to structure');
+  }
+  validate(credit.status === 'pending_refund', 'Only pending refunds can be marked as refunded');
+
+  const updatedCredit = await CapitalCallCredit.findByIdAndUpdate(creditId, {
+    status: 'refunded',
+    refundedAt: new Date().toISOString(),
+    refundReference: refundReference || null,
+    notes: notes || credit.notes
+  });
+
+  const user = await User.findById(userId);
+
+  await ApprovalHistory.logAction({
+    entityType: 'capital_call',
+    entityId: credit.sourceCapitalCallId,
+    action: 'payment_refunded',
+    fromStatus: 'pending_refund',
+    toStatus: 'refunded',
+    userId,
+    userName: user?.name || 'Unknown',
+    notes: notes || null,
+    metadata: {
+      creditId,
+      investorId: credit.userId,
+      amount: credit.amount,
+      refundReference: refundReference || null
+    }
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Refund recorded successfully',
+    data: updatedCredit
+  });
+}));
+
+// ==========================================
+// INVESTOR EXCUSE / EXCLUSION ENDPOINTS
+// ==========================================
+
+/**
+ * @route   POST /api/capital-calls/structure/:structureId/excusals
+ * @desc    Excuse or exclude an investor from a capital call or from all calls for an investment
+ * @access  Private (requires authentication, Root/Admin only)
+ * @body    investorId, excusalType ('excused' | 'excluded'), reason, and capitalCallId or investmentId
+ */
+router.post('/structure/:structureId/excusals', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId, userRole } = getUserContext(req);
+  const { structureId } = req.params;
+  const { investorId, excusalType = 'excused', reason, capitalCallId, investmentId } = req.body || {};
+
+  validate(investorId, 'Investor ID is required');
+  validate(
+    CapitalCallExcusal.EXCUSAL_TYPES.includes(excusalType),
+    `Excusal type must be one of: ${CapitalCallExcusal.EXCUSAL_TYPES.join(', ')}`
+  );
+  validate(!capitalCallId !== !investmentId, 'Provide either a capital call ID or an investment ID');
+
+  const structure = await Structure.findById(structureId);
+  validate(structure, 'Structure not found');
+
+  // Root can access any structure, Admin can only access their own
+  if (userRole === ROLES.ADMIN) {
+    validate(structure.createdBy === userId, 'Structure does not belong to user');
+  }
+
+  const structureInvestor = await StructureInvestor.findByUserAndStructure(investorId, structureId);
+  validate(structureInvestor, 'Investor is not part of this structure');
+
+  // Excusals only take effect on Draft calls whose allocations have not been created yet
+  let pendingCalls;
+  if (capitalCallId) {
+    const capitalCall = await CapitalCall.findById(capitalCallId);
+    validate(capitalCall && capitalCall.structureId === structureId, 'Capital call not found in this structure');
+
+    const withAllocations = await CapitalCall.findWithAllocations(capitalCallId);
+    validate(
+      capitalCall.status === 'Draft' && (withAllocations?.capital_call_allocations || []).length === 0,
+      'Investors can only be excused from a Draft capital call before allocations are created'
+    );
+    pendingCalls = [capitalCall];
+  } else {
+    const investmentCalls = await CapitalCall.find({ structureId, investmentId });
+    pendingCalls = investmentCalls.filter(c =>
+      c.status === 'Draft' && (c.investorAllocations || []).length === 0
+    );
+  }
+
+  const excusal = await CapitalCallExcusal.create({
+    structureId,
+    userId: investorId,
+    capitalCallId: capitalCallId || null,
+    investmentId: investmentId || null,
+    excusalType,
+    reason: reason?.trim() || null,
+    createdBy: userId
+  });
+
+  const user = await User.findById(userId);
+
+  for (const call of pendingCalls) {
+    await ApprovalHistory.logAction({
+      entityType: 'capital_call',
+      entityId: call.id,
+      action: `investor_${excusalType}`,
+      fromStatus: null,
+      toStatus: null,
+      userId,
+      userName: user?.name || 'Unknown',
+      notes: excusal.reason,
+      metadata: {
+        excusalId: excusal.id,
+        investorId,
+        scope: capitalCallId ? 'capital_call' : 'investment',
+        investmentId: investmentId || null
+      }
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    message: `Investor ${excusalType} successfully`,
+    data: excusal
+  });
+}));
+
+/**
+ * @route   GET /api/capital-calls/structure/:structureId/excusals
+ * @desc    Get investor excusals and exclusions for a structure
+ * @access  Private (requires authentication, Root/Admin only)
+ */
+router.get('/structure/:structureId/excusals', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId, userRole } = getUserContext(req);
+  const { structureId } = req.params;
+
+  const structure = await Structure.findById(structureId);
+  validate(structure, 'Structure not found');
+
+  // Root can access any structure, Admin can only access their own
+  if (userRole === ROLES.ADMIN) {
+    validate(structure.createdBy === userId, 'Unauthorized access to structure');
+  }
+
+  const excusals = await CapitalCallExcusal.findByStructureId(structureId);
+
+  res.status(200).json({
+    success: true,
+    count: excusals.length,
+    data: {
+      reallocationRule: structure.excusalReallocationRule || 'pro_rata_ownership',
+      excusals
+    }
+  });
+}));
+
+/**
+ * @route   DELETE /api/capital-calls/excusals/:excusalId
+ * @desc    Remove an excusal (allocations already created are not changed)
+ * @access  Private (requires authentication, Root/Admin only)
+ */
+router.delete('/excusals/:excusalId', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId, userRole } = getUserContext(req);
+  const { excusalId } = req.params;
+
+  const excusal = await CapitalCallExcusal.findById(excusalId);
+  validate(excusal, 'Excusal not found');
+
+  const structure = await Structure.findById(excusal.structureId);
+  validate(structure, 'Structure not found');
+
+  // Root can access any structure, Admin can only access their own
+  if (userRole === ROLES.ADMIN) {
+    validate(structure.createdBy === userId, 'Unauthorized access to structure');
+  }
+
+  await CapitalCallExcusal.findByIdAndDelete(excusalId);
+
+  if (excusal.capitalCallId) {
+    const user = await User.findById(userId);
+
+    await ApprovalHistory.logAction({
+      entityType: 'capital_call',
+      entityId: excusal.capitalCallId,
+      action: 'excusal_removed',
+      fromStatus: null,
+      toStatus: null,
+      userId,
+      userName: user?.name || 'Unknown',
+      notes: null,
+      metadata: { excusalId, investorId: excusal.userId, excusalType: excusal.excusalType }
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Excusal removed successfully'
+  });
+}));
+
+// ==========================================
+// SUBSEQUENT-CLOSE EQUALIZATION ENDPOINTS
+// ==========================================
+
+/**
+ * @route   POST /api/capital-calls/structure/:structureId/equalization/preview
+ * @desc    Preview the equalization for an LP admitted after prior capital calls (nothing is saved)
+ * @access  Private (requires authentication, Root/Admin only)
+ */
+router.post('/structure/:structureId/equalization/preview', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId, userRole } = getUserContext(req);
+  const { structureId } = req.params;
+  const { investorId, commitment, equalizationDate, interestRate } = req.body || {};
+
+  validate(investorId, 'Investor ID is required');
+
+  const structure = await Structure.findById(structureId);
+  validate(structure, 'Structure not found');
+
+  // Root can access any structure, Admin can only access their own
+  if (userRole === ROLES.ADMIN) {
+    validate(structure.createdBy === userId, 'Unauthorized access to structure');
+  }
+
+  const equalization = await buildEqualization(structure, {
+    userId: investorId,
+    commitment,
+    equalizationDate,
+    interestRate
+  });
+
+  validate(equalization.commitment > 0, 'Investor commitment must be positive');
+
+  res.status(200).json({
+    success: true,
+    data: equalization
+  });
+}));
+
+/**
+ * @route   POST /api/capital-calls/structure/:structureId/equalization
+ * @desc    Create an equalization call for a late-admitted LP, record refunds to existing LPs and rebase ownership
+ * @access  Private (requires authentication, Root/Admin only)
+ */
+router.post('/structure/:structureId/equalization', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId, userRole } = getUserContext(req);
+  const { structureId } = req.params;
+  const { investorId, commitment, equalizationDate, interestRate, callNumber, deadlineDate, notes } = req.body || {};
+
+  validate(investorId, 'Investor ID is required');
+
+  const structure = await Structure.findById(structureId);
+  validate(structure, 'Structure not found');
+
+  // Root can access any structure, Admin can only access their own
+  if (userRole === ROLES.ADMIN) {
+    validate(structure.createdBy === userId, 'Structure does not belong to user');
+  }
+
+  const equalization = await buildEqualization(structure, {
+    userId: investorId,
+    commitment,
+    equalizationDate,
+    interestRate
+  });
+
+  validate(equalization.commitment > 0, 'Investor commitment must be positive');
+  validate(equalization.priorCalls.length > 0, 'No prior capital calls to equalize for this investor');
+  // LPs admitted at the final close can still be equalized; new admissions cannot
+  validate(equalization.isAdmitted || !structure.commitmentsLocked, 'The commitment base of this structure is locked by its final close');
+
+  const result = await createEqualization(structure, equalization, {
+    callNumber,
+    deadlineDate,
+    createdBy: userId
+  });
+
+  const user = await User.findById(userId);
+
+  await ApprovalHistory.logAction({
+    entityType: 'capital_call',
+    entityId: result.capitalCall.id,
+    action: 'equalization_created',
+    fromStatus: null,
+    toStatus: 'draft',
+    userId,
+    userName: user?.name || 'Unknown',
+    notes,
+    metadata: {
+      equalizationId: result.equalization.id,
+      investorId,
+      catchUpPrincipal: equalization.catchUpPrincipal,
+      equalizationInterest: equalization.equalizationInterest,
+      totalDue: equalization.totalDue,
+      refunds: equalization.refunds.length
+    }
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Equalization call created successfully',
+    data: result
+  });
+}));
+
+/**
+ * @route   GET /api/capital-calls/structure/:structureId/equalizations
+ * @desc    Get equalizations for a structure
+ * @access  Private (requires authentication, Root/Admin only)
+ */
+router.get('/structure/:structureId/equalizations', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId, userRole } = getUserContext(req);
+  const { structureId } = req.params;
+
+  const structure = await Structure.findById(structureId);
+  validate(structure, 'Structure not found');
+
+  // Root can access any structure, Admin can only access their own
+  if (userRole === ROLES.ADMIN) {
+    validate(structure.createdBy === userId, 'Unauthorized access to structure');
+  }
+
+  const equalizations = await Equalization.findByStructureId(structureId);
+
+  res.status(200).json({
+    success: true,
+    count: equalizations.length,
+    data: equalizations
+  });
+}));
+
+/**
+ * @route   PATCH /api/capital-calls/equalizations/:equalizationId/settle
+ * @desc    Mark an equalization as settled once the new LP has paid and refunds are released
+ * @access  Private (requires authentication, Root/Admin only)
+ */
+router.patch('/equalizations/:equalizationId/settle', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId, userRole } = getUserContext(req);
+  const { notes } = req.body || {};
+
+  const equalization = await Equalization.findById(req.params.equalizationId);
+  validate(equalization, 'Equalization not found');
+  validate(equalization.status === 'pending', 'Equalization is already settled');
+
+  const structure = await Structure.findById(equalization.structureId);
+  validate(structure, 'Structure not found');
+
+  // Root can access any structure, Admin can only access their own
+  if (userRole === ROLES.ADMIN) {
+    validate(structure.createdBy === userId, 'Unauthorized access to structure');
+  }
+
+  const capitalCall = equalization.capitalCallId ? await CapitalCall.findById(equalization.capitalCallId) : null;
+  validate(capitalCall?.status === 'Paid', 'Equalization call must be fully paid before refunds are released');
+
+  // The refunds become credits owed to the existing LPs, paid out through the credit workflow
+  const refunds = await recordRefunds(equalization, { createdBy: userId });
+
+  const updatedEqualization = await Equalization.findByIdAndUpdate(equalization.id, {
+    status: 'settled',
+    settledAt: new Date().toISOString()
+  });
+
+  const user = await User.findById(userId);
+
+  await ApprovalHistory.logAction({
+    entityType: 'capital_call',
+    entityId: equalization.capitalCallId,
+    action: 'equalization_settled',
+    fromStatus: 'pending',
+    toStatus: 'settled',
+    userId,
+    userName: user?.name || 'Unknown',
+    notes,
+    metadata: {
+      equalizationId: equalization.id,
+      refunds: equalization.refunds,
+      refundCreditIds: refunds.map(credit => credit.id)
+    }
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Equalization settled',
+    data: { ...updatedEqualization, refundCredits: refunds }
+  });
+}));
+
+// ==========================================
+// REMINDER SCHEDULE ENDPOINTS
+// ==========================================
+
+/**
+ * @route   GET /api/capital-calls/structure/:structureId/reminder-schedule
+ * @desc    Get the reminder schedule for a structure (the default schedule if none is configured)
+ * @access  Private (requires authentication, Root/Admin only)
+ * @query   deadlineDate - Optional YYYY-MM-DD to preview the send date of each step
+ */
+router.get('/structure/:structureId/reminder-schedule', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId, userRole } = getUserContext(req);
+  const { structureId } = req.params;
+  const { deadlineDate } = req.query;
+
+  const structure = await Structure.findById(structureId);
+  validate(structure, 'Structure not found');
+
+  // Root can access any structure, Admin can only access their own
+  if (userRole === ROLES.ADMIN) {
+    validate(structure.createdBy === userId, 'Unauthorized access to structure');
+  }
+  validate(!deadlineDate || /^\d{4}-\d{2}-\d{2}$/.test(deadlineDate), 'deadlineDate must be YYYY-MM-DD');
+
+  const schedule = await CapitalCallReminderSchedule.findByStructureId(structureId)
+    || CapitalCallReminderSchedule.getDefaultSchedule(structureId);
+
+  if (deadlineDate) {
+    schedule.steps = schedule.steps.map(step => ({
+      ...step,
+      sendDate: getStepSendDate(deadlineDate, step, schedule)
+    }));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: schedule
+  });
+}));
+
+/**
+ * @route   PUT /api/capital-calls/structure/:structureId/reminder-schedule
+ * @desc    Create or replace the reminder schedule for a structure
+ * @access  Private (requires authentication, Root/Admin only)
+ * @body    enabled, steps[{ offsetDays, recipients, escalation, name, subject, message, enabled }],
+ *          noticeRecipients, businessDaysOnly, holidays, advisorEmails, gpOpsEmails
+ */
+router.put('/structure/:structureId/reminder-schedule', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId, userRole } = getUserContext(req);
+  const { structureId } = req.params;
+
+  const structure = await Structure.findById(structureId);
+  validate(structure, 'Structure not found');
+
+  // Root can access any structure, Admin can only access their own
+  if (userRole === ROLES.ADMIN) {
+    validate(structure.createdBy === userId, 'Unauthorized access to structure');
+  }
+
+  const scheduleData = parseReminderSchedule(req.body || {});
+
+  const schedule = await CapitalCallReminderSchedule.upsert({
+    ...scheduleData,
+    structureId,
+    createdBy: userId
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Reminder schedule saved successfully',
+    data: schedule
+  });
+}));
+
+/**
+ * @route   DELETE /api/capital-calls/structure/:structureId/reminder-schedule
+ * @desc    Remove a structure's reminder schedule so it reverts to the default schedule
+ * @access  Private (requires authentication, Root/Admin only)
+ */
+router.delete('/structure/:structureId/reminder-schedule', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId, userRole } = getUserContext(req);
+  const { structureId } = req.params;
+
+  const structure = await Structure.findById(structureId);
+  validate(structure, 'Structure not found');
+
+  // Root can access any structure, Admin can only access their own
+  if (userRole === ROLES.ADMIN) {
+    validate(structure.createdBy === userId, 'Unauthorized access to structure');
+  }
+
+  await CapitalCallReminderSchedule.deleteByStructureId(structureId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Reminder schedule reset to default',
+    data: CapitalCallReminderSchedule.getDefaultSchedule(structureId)
+  });
+}));
+
+/**
+ * @route   GET /api/capital-calls/:id/reminder-deliveries
+ * @desc    Get the notice/reminder delivery ledger for a capital call
+ * @access  Private (requires authentication, Root/Admin only)
+ */
+router.get('/:id/reminder-deliveries', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId, userRole } = getUserContext(req);
+  const { id } = req.params;
+
+  const capitalCall = await CapitalCall.findById(id);
+  validate(capitalCall, 'Capital call not found');
+
+  // Root can access any capital call, Admin can only access their own
+  if (userRole === ROLES.ADMIN) {
+    validate(capitalCall.createdBy === userId, 'Unauthorized access to capital call');
+  }
+
+  const deliveries = await CapitalCallReminderDelivery.findByCapitalCallId(id);
+
+  res.status(200).json({
+    success: true,
+    count: deliveries.length,
+    data: deliveries
+  });
+}));
+
+// ==========================================
+// DEFAULT MANAGEMENT ENDPOINTS
+// ==========================================
+
+/**
+ * Helper to load a capital call default and check the caller can manage its structure
+ */
+async function getDefaultForUser(defaultId, userId, userRole) {
+  const defaultRecord = await CapitalCallDefault.findById(defaultId);
+  validate(defaultRecord, 'Capital call default not found');
+
+  const structure = await Structure.findById(defaultRecord.structureId);
+  validate(structure, 'Structure not found');
+
+  // Root can access any structure, Admin can only access their own
+  if (userRole === ROLES.ADMIN) {
+    validate(structure.createdBy === userId, 'Unauthorized access to structure');
+  }
+
+  return { defaultRecord, structure };
+}
+
+/**
+ * @route   GET /api/capital-calls/structure/:structureId/defaults
+ * @desc    Get late payments and defaults for a structure (optional ?status filter)
+ * @access  Private (requires authentication, Root/Admin only)
+ */
+router.get('/structure/:structureId/defaults', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId, userRole } = getUserContext(req);
+  const { structureId } = req.params;
+  const { status } = req.query;
+
+  const structure = await Structure.findById(structureId);
+  validate(structure, 'Structure not found');
+
+  // Root can access any structure, Admin can only access their own
+  if (userRole === ROLES.ADMIN) {
+    validate(structure.createdBy === userId, 'Unauthorized access to structure');
+  }
+
+  if (status) {
+    validate(CapitalCallDefault.DEFAULT_STATUSES.includes(status), `Invalid status. Must be one of: ${CapitalCallDefault.DEFAULT_STATUSES.join(', ')}`);
+  }
+
+  const defaults = await CapitalCallDefault.findByStructureId(structureId, { status });
+
+  const open = defaults.filter(d => CapitalCallDefault.OPEN_STATUSES.includes(d.status));
+
+  res.status(200).json({
+    success: true,
+    count: defaults.length,
+    data: {
+      policy: {
+        gracePeriodDays: structure.defaultGracePeriodDays || 0,
+        curePeriodDays: structure.defaultCurePeriodDays || 0,
+        lateInterestRate: structure.lateInterestRate || 0,
+        defaultPenaltyRate: structure.defaultPenaltyRate || 0,
+        remedies: structure.defaultRemedies || CapitalCallDefault.DEFAULT_REMEDIES
+      },
+      defaults,
+      summary: {
+        openDefaults: open.length,
+        investorsInDefault: new Set(defaults
+          .filter(d => CapitalCallDefault.DEFAULTING_STATUSES.includes(d.status))
+          .map(d => d.userId)).size,
+        totalOutstanding: open.reduce((sum, d) => sum + d.outstandingAmount, 0),
+        totalAccruedInterest: defaults.reduce((sum, d) => sum + d.accruedInterest, 0),
+        totalPenalties: defaults.reduce((sum, d) => sum + d.penaltyAmount, 0)
+      }
+    }
+  });
+}));
+
+/**
+ * @route   GET /api/capital-calls/defaults/:defaultId
+ * @desc    Get a capital call default with its action history
+ * @access  Private (requires authentication, Root/Admin only)
+ */
+router.get('/defaults/:defaultId', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId, userRole } = getUserContext(req);
+
+  const { defaultRecord } = await getDefaultForUser(req.params.defaultId, userId, userRole);
+  const history = await ApprovalHistory.findByEntity('capital_call_default', defaultRecord.id);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...defaultRecord,
+      history
+    }
+  });
+}));
+
+/**
+ * @route   POST /api/capital-calls/defaults/:defaultId/remedy
+ * @desc    Apply a default remedy (forfeiture, forced_sale, distribution_offset, suspension)
+ * @access  Private (requires authentication, Root/Admin only)
+ */
+router.post('/defaults/:defaultId/remedy', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId, userRole } = getUserContext(req);
+  const { remedy, amount, notes } = req.body || {};
+
+  const { defaultRecord, structure } = await getDefaultForUser(req.params.defaultId, userId, userRole);
+
+  const allowedRemedies = structure.defaultRemedies || CapitalCallDefault.DEFAULT_REMEDIES;
+  validate(remedy, 'Remedy is required');
+  validate(CapitalCallDefault.DEFAULT_REMEDIES.includes(remedy), `Invalid remedy. Must be one of: ${CapitalCallDefault.DEFAULT_REMEDIES.join(', ')}`);
+  validate(allowedRemedies.includes(remedy), `Remedy '${remedy}' is not permitted by this structure's default policy`);
+  validate(defaultRecord.status === 'remedy_eligible', 'Remedies can only be applied after the cure period has expired');
+
+  const remedyAmount = amount !== undefined && amount !== null && amount !== '' ? Number(amount) : 0;
+  validate(!isNaN(remedyAmount) && remedyAmount >= 0, 'Remedy amount must be a non-negative number');
+
+  const user = await User.findById(userId);
+
+  const updatedDefault = await CapitalCallDefault.findByIdAndUpdate(defaultRecord.id, {
+    status: 'remedy_applied',
+    remedy,
+    remedyAmount,
+    remedyDate: new Date().toISOString().split('T')[0],
+    remedyNotes: notes || null,
+    resolvedAt: new Date().toISOString()
+  });
+
+  await ApprovalHistory.logAction({
+    entityType: 'capital_call_default',
+    entityId: defaultRecord.id,
+    action: 'remedy_applied',
+    fromStatus: defaultRecord.status,
+    toStatus: 'remedy_applied',
+    userId,
+    userName: user?.name || 'Unknown',
+    notes,
+    metadata: {
+      capitalCallId: defaultRecord.capitalCallId,
+      allocationId: defaultRecord.allocationId,
+      investorId: defaultRecord.userId,
+      remedy,
+      remedyAmount,
+      outstandingAmount: defaultRecord.outstandingAmount,
+      accruedInterest: defaultRecord.accruedInterest,
+      penaltyAmount: defaultRecord.penaltyAmount
+    }
+  });
+
+  await CapitalCallDefault.refreshInvestorStatus(defaultRecord.userId, defaultRecord.structureId);
+
+  res.status(200).json({
+    success: true,
+    message: `Remedy '${remedy}' applied`,
+    data: updatedDefault
+  });
+}));
+
+/**
+ * @route   POST /api/capital-calls/defaults/:defaultId/waive
+ * @desc    Waive accrued late interest and/or the default penalty
+ * @access  Private (requires authentication, Root/Admin only)
+ */
+router.post('/defaults/:defaultId/waive', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId, userRole } = getUserContext(req);
+  const { waiveInterest, waivePenalty, notes } = req.body || {};
+
+  const { defaultRecord } = await getDefaultForUser(req.params.defaultId, userId, userRole);
+
+  validate(waiveInterest || waivePenalty, 'Specify waiveInterest and/or waivePenalty');
+  validate(defaultRecord.status !== 'remedy_applied', 'Cannot waive charges after a remedy has been applied');
+
+  const user = await User.findById(userId);
+  const updates = {};
+  const waived = {};
+
+  if (waiveInterest) {
+    updates.interestWaived = true;
+    updates.accruedInterest = 0;
+    waived.interest = defaultRecord.accruedInterest;
+  }
+
+  if (waivePenalty) {
+    updates.penaltyWaived = true;
+    updates.penaltyAmount = 0;
+    waived.penalty = defaultRecord.penaltyAmount;
+  }
+
+  const updatedDefault = await CapitalCallDefault.findByIdAndUpdate(defaultRecord.id, updates);
+
+  await ApprovalHistory.logAction({
+    entityType: 'capital_call_default',
+    entityId: defaultRecord.id,
+    action: 'charges_waived',
+    fromStatus: defaultRecord.status,
+    toStatus: defaultRecord.status,
+    userId,
+    userName: user?.name || 'Unknown',
+    notes,
+    metadata: {
+      capitalCallId: defaultRecord.capitalCallId,
+      allocationId: defaultRecord.allocationId,
+      investorId: defaultRecord.userId,
+      waivedInterest: waived.interest || 0,
+      waivedPenalty: waived.penalty || 0
+    }
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Default charges waived',
+    data: updatedDefault
+  });
+}));
+
+/**
+ * @route   POST /api/capital-calls/defaults/:defaultId/cure
+ * @desc    Manually mark a default as cured (e.g. settled outside the platform)
+ * @access  Private (requires authentication, Root/Admin only)
+ */
+router.post('/defaults/:defaultId/cure', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId, userRole } = getUserContext(req);
+  const { notes } = req.body || {};
+
+  const { defaultRecord } = await getDefaultForUser(req.params.defaultId, userId, userRole);
+
+  validate(CapitalCallDefault.OPEN_STATUSES.includes(defaultRecord.status), `Default is already ${defaultRecord.status}`);
+
+  const user = await User.findById(userId);
+
+  const updatedDefault = await CapitalCallDefault.findByIdAndUpdate(defaultRecord.id, {
+    status: 'cured',
+    resolvedAt: new Date().toISOString()
+  });
+
+  await ApprovalHistory.logAction({
+    entityType: 'capital_call_default',
+    entityId: defaultRecord.id,
+    action: 'default_cured',
+    fromStatus: defaultRecord.status,
+    toStatus: 'cured',
+    userId,
+    userName: user?.name || 'Unknown',
+    notes,
+    metadata: {
+      capitalCallId: defaultRecord.capitalCallId,
+      allocationId: defaultRecord.allocationId,
+      investorId: defaultRecord.userId,
+      outstandingAmount: defaultRecord.outstandingAmount,
+      accruedInterest: defaultRecord.accruedInterest,
+      penaltyAmount: defaultRecord.penaltyAmount
+    }
+  });
+
+  await CapitalCallDefault.refreshInvestorStatus(defaultRecord.userId, defaultRecord.structureId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Default marked as cured',
+    data: updatedDefault
+  });
+}));
+
+/**
+ * @route   POST /api/capital-calls/trigger-defaults
+ * @desc    Manually trigger the default processing job (optional asOfDate in body)
+ * @access  Private (requires authentication, Root only)
+ * @body    asOfDate (optional, defaults to today)
+ */
+router.post('/trigger-defaults', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userRole } = getUserContext(req);
+  const { asOfDate } = req.body || {};
+
+  // Only Root users can trigger this
+  validate(userRole === ROLES.ROOT, 'Only administrators can trigger default jobs');
+  validate(!asOfDate || !isNaN(new Date(asOfDate).getTime()), 'asOfDate must be a valid date');
+
+  try {
+    const { runCapitalCallDefaultJob } = require('../jobs/capitalCallDefaults');
+    await runCapitalCallDefaultJob(asOfDate);
+
+    res.status(200).json({
+      success: true,
+      message: 'Capital call default job triggered successfully',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run default job',
+      error: error.message
+    });
+  }
+}));
+
+/**
+ * @route   POST /api/capital-calls/trigger-reminders
+ * @desc    Manually trigger capital call reminder job. Reminders already in the delivery ledger are not re-sent;
+ *          catchUpDays also sends reminders missed in the previous N days (e.g. after downtime)
+ * @access  Private (requires authentication, Root only)
+ * @body    asOfDate (YYYY-MM-DD, optional), catchUpDays (optional)
+ */
+router.post('/trigger-reminders', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userRole } = getUserContext(req);
+  const { asOfDate, catchUpDays = 0 } = req.body || {};
+
+  // Only Root users can trigger this
+  validate(userRole === ROLES.ROOT, 'Only administrators can trigger reminder jobs');
+  validate(!asOfDate || /^\d{4}-\d{2}-\d{2}$/.test(asOfDate), 'asOfDate must be YYYY-MM-DD');
+  validate(
+    Number.isInteger(Number(catchUpDays)) && catchUpDays >= 0 && catchUpDays <= MAX_CATCH_UP_DAYS,
+    `catchUpDays must be a whole number between 0 and ${MAX_CATCH_UP_DAYS}`
+  );
 
   try {
     const { runCapitalCallReminderJob } = require('../jobs/capitalCallReminders');
-    await runCapitalCallReminderJob();
+    const result = await runCapitalCallReminderJob(asOfDate, { catchUpDays: Number(catchUpDays) });
 
     res.status(200).json({
       success: true,
       message: 'Capital call reminder job triggered successfully',
+      data: result,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
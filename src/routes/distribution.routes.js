@@ -5,12 +5,24 @@
 const express = require('express');
 const { authenticate } = require('../middleware/auth');
 const { catchAsync, validate } = require('../middleware/errorHandler');
-const { Distribution, Structure, User, FirmSettings } = require('../models/supabase');
+const { Distribution, Structure, User, FirmSettings, GpClawback, DistributionPayout, SmartContract, CapitalCall } = require('../models/supabase');
 const ApprovalHistory = require('../models/supabase/approvalHistory');
 const { requireInvestmentManagerAccess, getUserContext, ROLES } = require('../middleware/rbac');
-const { generateDistributionNoticePDF, generateIndividualDistributionNoticePDF } = require('../services/documentGenerator');
+const {
+  generateDistributionNoticePDF,
+  generateIndividualDistributionNoticePDF,
+  generateWithholdingCertificatePDF
+} = require('../services/documentGenerator');
 const { sendEmail } = require('../utils/emailSender');
 const { sendDistributionNotice } = require('../utils/notificationHelper');
+const { snapshotDistributionFx } = require('../services/fxService');
+const { buildWaterfall, buildPrefStatement, loadTierSet } = require('../services/waterfallService');
+const { buildClawback, recordAssessment, trueUpClawback } = require('../services/clawbackService');
+const { INCOME_TYPES, summarizeWithholding } = require('../utils/withholding');
+const { compareBases } = require('../utils/proRata');
+const { runPayouts, summarizePayouts } = require('../services/distributionPayoutService');
+const { IN_KIND_ASSET_TYPES, MAX_UNIT_DECIMALS, incrementDecimals, summarizeInKind } = require('../utils/inKind');
+const { transferInKindTokens } = require('../services/inKindDistributionService');
 
 /**
  * Helper to get firm name for whitelabeling
@@ -25,6 +37,80 @@ async function getFirmNameForUser(userId) {
   }
 }
 
+/**
+ * Validate a distribution's recallable amount and recall expiry
+ */
+function validateRecallable({ recallableAmount, recallableUntil }, { totalAmount, distributionDate }) {
+  if (recallableAmount !== undefined && recallableAmount !== null) {
+    const amount = parseFloat(recallableAmount);
+    validate(!isNaN(amount) && amount >= 0, 'Recallable amount must be zero or positive');
+    validate(amount <= (parseFloat(totalAmount) || 0), 'Recallable amount cannot exceed the distribution amount');
+  }
+  if (recallableUntil) {
+    validate(!isNaN(new Date(recallableUntil).getTime()), 'Recallable until must be a valid date');
+    validate(
+      !distributionDate || String(recallableUntil).split('T')[0] >= String(distributionDate).split('T')[0],
+      'Recallable until cannot be before the distribution date'
+    );
+  }
+}
+
+/**
+ * Validate a distribution's pro-rata allocation basis and custom investor shares
+ */
+function validateAllocationBasis({ allocationBasis, customAllocationShares }) {
+  if (allocationBasis !== undefined && allocationBasis !== null) {
+    validate(
+      Distribution.ALLOCATION_BASES.includes(allocationBasis),
+      `Allocation basis must be one of: ${Distribution.ALLOCATION_BASES.join(', ')}`
+    );
+  }
+  if (allocationBasis === 'custom' || (customAllocationShares !== undefined && customAllocationShares !== null)) {
+    validate(
+      customAllocationShares && typeof customAllocationShares === 'object' && !Array.isArray(customAllocationShares),
+      'Custom allocation shares must be an object of investor ID to share'
+    );
+    const shares = Object.values(customAllocationShares).map(share => parseFloat(share));
+    validate(shares.every(share => !isNaN(share) && share >= 0), 'Custom allocation shares must be zero or positive');
+    validate(shares.some(share => share > 0), 'Custom allocation shares must include at least one positive share');
+  }
+}
+
+/**
+ * Validate an in-kind distribution's asset, quantity and valuation per unit
+ */
+function validateInKind({ settlementType, inKindAssetType, inKindAssetName, inKindQuantity, inKindUnitValue, inKindUnitIncrement, totalAmount }) {
+  if (settlementType === undefined || settlementType === null) return;
+
+  validate(
+    Distribution.SETTLEMENT_TYPES.includes(settlementType),
+    `Settlement type must be one of: ${Distribution.SETTLEMENT_TYPES.join(', ')}`
+  );
+  if (settlementType !== 'in_kind') return;
+
+  validate(
+    IN_KIND_ASSET_TYPES.includes(inKindAssetType),
+    `In-kind asset type must be one of: ${IN_KIND_ASSET_TYPES.join(', ')}`
+  );
+  validate(inKindAssetName, 'In-kind asset name is required');
+  const quantity = parseFloat(inKindQuantity);
+  const unitValue = parseFloat(inKindUnitValue);
+  validate(!isNaN(quantity) && quantity > 0, 'In-kind quantity must be positive');
+  validate(!isNaN(unitValue) && unitValue > 0, 'In-kind value per unit must be positive');
+  if (inKindUnitIncrement !== undefined && inKindUnitIncrement !== null) {
+    const increment = parseFloat(inKindUnitIncrement);
+    validate(!isNaN(increment) && increment > 0, 'In-kind unit increment must be positive');
+    validate(
+      incrementDecimals(increment) <= MAX_UNIT_DECIMALS,
+      `In-kind unit increment cannot have more than ${MAX_UNIT_DECIMALS} decimals`
+    );
+  }
+  validate(
+    Math.abs((parseFloat(totalAmount) || 0) - quantity * unitValue) < 0.01,
+    'Total amount must equal the in-kind quantity times the value per unit'
+  );
+}
+
 const router = express.Router();
 
 /**
@@ -39,7 +125,6 @@ router.post('/', authenticate, requireInvestmentManagerAccess, catchAsync(async
     structureId,
     distributionNumber,
     distributionDate,
-    totalAmount,
     source,
     notes,
     investmentId,
@@ -49,13 +134,38 @@ router.post('/', authenticate, requireInvestmentManagerAccess, catchAsync(async
     sourceOther,
     waterfallApplied,
     createAllocations,
-    approvalStatus
+    approvalStatus,
+    // Recallable portion (e.g. returns of capital the GP may recall) and recall expiry
+    recallableAmount,
+    recallableUntil,
+    // Income type for withholding when there is no source breakdown
+    incomeType,
+    // Pro-rata basis for allocations without a waterfall (custom uses customAllocationShares)
+    allocationBasis,
+    customAllocationShares,
+    // In-kind settlement (shares or tokens instead of cash)
+    settlementType,
+    inKindAssetType,
+    inKindAssetName,
+    inKindAssetIdentifier,
+    inKindQuantity,
+    inKindUnitValue,
+    inKindUnitIncrement
   } = req.body;
 
+  // An in-kind distribution is worth its quantity at the value per unit
+  const totalAmount = req.body.totalAmount === undefined && settlementType === 'in_kind'
+    ? Math.round(parseFloat(inKindQuantity) * parseFloat(inKindUnitValue) * 100) / 100
+    : req.body.totalAmount;
+
   // Validate required fields
   validate(structureId, 'Structure ID is required');
   validate(distributionNumber, 'Distribution number is required');
+  validateInKind({ settlementType, inKindAssetType, inKindAssetName, inKindQuantity, inKindUnitValue, inKindUnitIncrement, totalAmount });
   validate(totalAmount !== undefined && totalAmount > 0, 'Total amount must be positive');
+  validateRecallable({ recallableAmount, recallableUntil }, { totalAmount, distributionDate });
+  validate(!incomeType || INCOME_TYPES.includes(incomeType), `Income type must be one of: ${INCOME_TYPES.join(', ')}`);
+  validateAllocationBasis({ allocationBasis, customAllocationShares });
 
   // Validate structure exists and belongs to user
   const structure = await Structure.findById(structureId);
@@ -77,6 +187,19 @@ router.post('/', authenticate, requireInvestmentManagerAccess, catchAsync(async
     sourceDebtInterest: sourceDebtInterest || 0,
     sourceDebtPrincipal: sourceDebtPrincipal || 0,
     sourceOther: sourceOther || 0,
+    incomeType: incomeType || 'dividend',
+    allocationBasis: allocationBasis || 'investment_ownership',
+    customAllocationShares: customAllocationShares || null,
+    // In-kind settlement
+    settlementType: settlementType || 'cash',
+    ...(settlementType === 'in_kind' ? {
+      inKindAssetType,
+      inKindAssetName: inKindAssetName.trim(),
+      inKindAssetIdentifier: inKindAssetIdentifier?.trim() || null,
+      inKindQuantity: parseFloat(inKindQuantity),
+      inKindUnitValue: parseFloat(inKindUnitValue),
+      inKindUnitIncrement: parseFloat(inKindUnitIncrement) || 1
+    } : {}),
     // Waterfall
     waterfallApplied: waterfallApplied || false,
     tier1Amount: 0,
@@ -87,6 +210,9 @@ router.post('/', authenticate, requireInvestmentManagerAccess, catchAsync(async
     lpTotalAmount: 0,
     gpTotalAmount: 0,
     managementFeeAmount: 0,
+    // Recallable portion
+    recallableAmount: parseFloat(recallableAmount) || 0,
+    recallableUntil: recallableUntil || null,
     // Approval workflow
     approvalStatus: approvalStatus || 'draft',
     createdBy: userId
@@ -213,9 +339,221 @@ router.get('/structure/:structureId/summary', authenticate, requireInvestmentMan
   });
 }));
 
+/**
+ * Load the :structureId structure and check the caller may access it
+ */
+async function findStructureForRequest(req) {
+  const { userId, userRole } = getUserContext(req);
+  const { structureId } = req.params;
+
+  const structure = await Structure.findById(structureId);
+  validate(structure, 'Structure not found');
+
+  // Root can access any structure, Admin can only access their own
+  if (userRole === ROLES.ADMIN) {
+    validate(structure.createdBy === userId, 'Unauthorized access to structure');
+  }
+
+  return structure;
+}
+
+/**
+ * Validate optional asOfDate / taxRate clawback parameters
+ */
+function parseClawbackOptions({ asOfDate, taxRate }) {
+  validate(!asOfDate || !isNaN(new Date(asOfDate).getTime()), 'asOfDate must be a valid date');
+  const rate = taxRate !== undefined && taxRate !== '' ? parseFloat(taxRate) : undefined;
+  validate(rate === undefined || (!isNaN(rate) && rate >= 0 && rate <= 100), 'taxRate must be between 0 and 100');
+
+  return { asOfDate: asOfDate || undefined, taxRate: rate };
+}
+
+/**
+ * @route   GET /api/distributions/structure/:structureId/clawback
+ * @desc    Calculate the GP clawback liability at a date (whole-fund carry vs carry paid)
+ * @query   asOfDate (default today), taxRate (default the structure's clawbackTaxRate)
+ * @access  Private (requires authentication, Root/Admin only)
+ */
+router.get('/structure/:structureId/clawback', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const structure = await findStructureForRequest(req);
+  const options = parseClawbackOptions(req.query);
+
+  // Tier set version in effect at the assessment date
+  const { tiers } = await loadTierSet(structure, { date: options.asOfDate || new Date() });
+  validate(tiers.length > 0, 'No active waterfall tiers configured for this structure');
+
+  const clawback = await buildClawback(structure, { ...options, tiers });
+
+  res.status(200).json({
+    success: true,
+    data: clawback
+  });
+}));
+
+/**
+ * @route   POST /api/distributions/structure/:structureId/clawback/assessments
+ * @desc    Calculate and record a GP clawback assessment
+ * @access  Private (requires authentication, Root/Admin only)
+ */
+router.post('/structure/:structureId/clawback/assessments', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId } = getUserContext(req);
+  const structure = await findStructureForRequest(req);
+  const options = parseClawbackOptions(req.body);
+
+  // Tier set version in effect at the assessment date
+  const { tiers } = await loadTierSet(structure, { date: options.asOfDate || new Date() });
+  validate(tiers.length > 0, 'No active waterfall tiers configured for this structure');
+
+  const clawback = await buildClawback(structure, { ...options, tiers });
+  const assessment = await recordAssessment(structure, clawback, {
+    createdBy: userId,
+    notes: req.body.notes?.trim() || null
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Clawback assessment recorded successfully',
+    data: assessment
+  });
+}));
+
+/**
+ * @route   GET /api/distributions/structure/:structureId/clawback/assessments
+ * @desc    Get the structure's clawback assessments, latest first
+ * @access  Private (requires authentication, Root/Admin only)
+ */
+router.get('/structure/:structureId/clawback/assessments', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const structure = await findStructureForRequest(req);
+
+  const assessments = await GpClawback.findByStructureId(structure.id);
+
+  res.status(200).json({
+    success: true,
+    count: assessments.length,
+    data: assessments
+  });
+}));
+
+/**
+ * @route   POST /api/distributions/structure/:structureId/clawback/true-up
+ * @desc    Fund-end clawback true-up: record a final assessment and create a draft clawback
+ *          distribution to LPs for the net liability
+ * @access  Private (requires authentication, Root/Admin only)
+ */
+router.post('/structure/:structureId/clawback/true-up', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId } = getUserContext(req);
+  const structure = await findStructureForRequest(req);
+  const options = parseClawbackOptions(req.body);
+  const { distributionNumber, distributionDate, notes } = req.body;
+
+  validate(distributionNumber, 'Distribution number is required');
+
+  // Tier set version in effect at the assessment date
+  const { tiers } = await loadTierSet(structure, { date: options.asOfDate || new Date() });
+  validate(tiers.length > 0, 'No active waterfall tiers configured for this structure');
+
+  const { assessment, distribution } = await trueUpClawback(structure, {
+    ...options,
+    tiers,
+    distributionNumber: typeof distributionNumber === 'string' ? distributionNumber.trim() : distributionNumber,
+    distributionDate,
+    notes: notes?.trim() || undefined,
+    createdBy: userId
+  });
+
+  res.status(201).json({
+    success: true,
+    message: distribution
+      ? 'Clawback true-up recorded and clawback distribution created'
+      : 'Clawback true-up recorded; no clawback owed',
+    data: {
+      assessment,
+      distribution
+    }
+  });
+}));
+
+/**
+ * @route   GET /api/distributions/structure/:structureId/pref-statement
+ * @desc    Preferred return balance per LP at a date: pref accrued from each contribution date
+ *          to each distribution date under the pref tier's accrual convention, pref paid, and
+ *          the running unreturned capital and unpaid pref
+ * @query   asOfDate (default today), investorId (one LP only)
+ * @access  Private (requires authentication, Root/Admin only)
+ */
+router.get('/structure/:structureId/pref-statement', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const structure = await findStructureForRequest(req);
+  const { asOfDate, investorId } = req.query;
+
+  validate(!asOfDate || !isNaN(new Date(asOfDate).getTime()), 'asOfDate must be a valid date');
+
+  const statement = await buildPrefStatement(structure, { asOfDate: asOfDate || undefined, investorId });
+  validate(statement.prefRatePercent > 0, 'No preferred return tier configured for this structure');
+
+  res.status(200).json({
+    success: true,
+    count: statement.investors.length,
+    data: statement
+  });
+}));
+
+/**
+ * Load an investor's withholding summary for a calendar year (defaults to the current year)
+ */
+async function loadWithholdingSummary(req) {
+  const structure = await findStructureForRequest(req);
+  const { investorId } = req.params;
+  const year = req.query.year !== undefined ? parseInt(req.query.year, 10) : new Date().getFullYear();
+  validate(!isNaN(year) && year >= 1900 && year <= 9999, 'year must be a valid calendar year');
+
+  const investor = await User.findById(investorId);
+  validate(investor, 'Investor not found');
+
+  const allocations = await Distribution.findWithholdingByInvestor(investorId, structure.id);
+  return { structure, investor, summary: summarizeWithholding(allocations, year) };
+}
+
+/**
+ * @route   GET /api/distributions/structure/:structureId/withholding/:investorId
+ * @desc    Tax withheld from an investor's distributions in a calendar year, by income type
+ * @access  Private (requires authentication, Root/Admin only)
+ * @query   year - Calendar year (defaults to the current year)
+ */
+router.get('/structure/:structureId/withholding/:investorId', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { summary } = await loadWithholdingSummary(req);
+
+  res.status(200).json({
+    success: true,
+    data: summary
+  });
+}));
+
+/**
+ * @route   GET /api/distributions/structure/:structureId/withholding/:investorId/certificate
+ * @desc    Generate an investor's annual withholding tax certificate PDF
+ * @access  Private (requires authentication, Root/Admin only)
+ * @query   year - Calendar year (defaults to the current year), firmName
+ */
+router.get('/structure/:structureId/withholding/:investorId/certificate', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId } = getUserContext(req);
+  const { structure, investor, summary } = await loadWithholdingSummary(req);
+  const defaultFirmName = await getFirmNameForUser(userId);
+  const { firmName = defaultFirmName } = req.query;
+
+  const pdfBuffer = await generateWithholdingCertificatePDF(summary, structure, investor, { firmName });
+
+  const investorNameClean = ([investor.firstName, investor.lastName].filter(Boolean).join(' ') || 'Investor').replace(/\s+/g, '_');
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="Withholding_Certificate_${summary.year}_${investorNameClean}.pdf"`);
+  res.setHeader('Content-Length', pdfBuffer.length);
+
+  res.send(pdfBuffer);
+}));
+
 /**
  * @route   PUT /api/distributions/:id
- * @desc    Update a distribution
+ * @desc    Update a distribution. A changed recallableAmount is re-split over the LPs'
+ *          existing allocations
  * @access  Private (requires authentication, Root/Admin only)
  */
 router.put('/:id', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
@@ -235,7 +573,11 @@ router.put('/:id', authenticate, requireInvestmentManagerAccess, catchAsync(asyn
     'distributionDate', 'totalAmount', 'source', 'notes', 'status',
     'sourceEquityGain', 'sourceDebtInterest', 'sourceDebtPrincipal', 'sourceOther',
     'waterfallApplied', 'tier1Amount', 'tier2Amount', 'tier3Amount', 'tier4Amount',
-    'lpTotalAmount', 'gpTotalAmount', 'managementFeeAmount', 'approvalStatus'
+    'lpTotalAmount', 'gpTotalAmount', 'managementFeeAmount', 'approvalStatus',
+    'recallableAmount', 'recallableUntil', 'incomeType',
+    'allocationBasis', 'customAllocationShares',
+    'settlementType', 'inKindAssetType', 'inKindAssetName', 'inKindAssetIdentifier',
+    'inKindQuantity', 'inKindUnitValue', 'inKindUnitIncrement'
   ];
 
   for (const field of allowedFields) {
@@ -245,8 +587,52 @@ router.put('/:id', authenticate, requireInvestmentManagerAccess, catchAsync(asyn
   }
 
   validate(Object.keys(updateData).length > 0, 'No valid fields provided for update');
+  validate(!updateData.incomeType || INCOME_TYPES.includes(updateData.incomeType), `Income type must be one of: ${INCOME_TYPES.join(', ')}`);
+  if (updateData.allocationBasis !== undefined || updateData.customAllocationShares !== undefined) {
+    validateAllocationBasis({
+      allocationBasis: updateData.allocationBasis !== undefined ? updateData.allocationBasis : distribution.allocationBasis,
+      customAllocationShares: updateData.customAllocationShares !== undefined
+        ? updateData.customAllocationShares
+        : distribution.customAllocationShares
+    });
+  }
+  validateInKind({ ...distribution, ...updateData });
+  validateRecallable(updateData, {
+    totalAmount: updateData.totalAmount !== undefined ? updateData.totalAmount : distribution.totalAmount,
+    distributionDate: updateData.distributionDate || distribution.distributionDate
+  });
+
+  // Allocations already carry each LP's recallable share; re-split a changed amount over them,
+  // keeping every share at least what capital calls have already recalled against it
+  let recallableShares = null;
+  if (updateData.recallableAmount !== undefined) {
+    const { distribution_allocations: allocations } = await Distribution.findWithAllocations(id);
+    if (allocations.length > 0) {
+      recallableShares = Distribution.withRecallableShares(
+        allocations.map(a => ({ ...a, recallable_amount: 0 })),
+        { recallableAmount: updateData.recallableAmount }
+      );
+
+      const balances = await CapitalCall.getRecallableBalancesByStructure(distribution.structureId);
+      const shortfalls = recallableShares
+        .map(a => {
+          const grant = (balances[a.user_id]?.grants || []).find(g => g.distributionId === id);
+          return { allocation: a, recalled: grant?.recalled || 0 };
+        })
+        .filter(({ allocation, recalled }) => allocation.recallable_amount < recalled);
+      validate(
+        shortfalls.length === 0,
+        `Recallable amount cannot be reduced below what capital calls have already recalled: ${shortfalls
+          .map(({ allocation, recalled }) => `${allocation.user?.name || allocation.user_id} has ${recalled} recalled`)
+          .join('; ')}`
+      );
+    }
+  }
 
   const updatedDistribution = await Distribution.findByIdAndUpdate(id, updateData);
+  if (recallableShares) {
+    await Distribution.updateAllocationRecallableShares(recallableShares);
+  }
 
   res.status(200).json({
     success: true,
@@ -257,7 +643,8 @@ router.put('/:id', authenticate, requireInvestmentManagerAccess, catchAsync(asyn
 
 /**
  * @route   POST /api/distributions/:id/apply-waterfall
- * @desc    Apply waterfall calculation to distribution
+ * @desc    Run the structure's waterfall tiers over the distribution (European or American mode
+ *          from the structure's waterfallType) and store the LP/GP split with its per-LP audit
  * @access  Private (requires authentication, Root/Admin only)
  */
 router.post('/:id/apply-waterfall', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
@@ -276,12 +663,20 @@ router.post('/:id/apply-waterfall', authenticate, requireInvestmentManagerAccess
   const structure = await Structure.findById(distribution.structureId);
   validate(structure, 'Structure not found');
 
-  const waterfallResult = await Distribution.applyWaterfall(id);
+  // Tier set version in effect on the distribution date (or the structure's live tiers)
+  const { tiers, tierSet } = await loadTierSet(structure, {
+    date: distribution.distributionDate || new Date(),
+    tierSetId: distribution.waterfallTierSetId
+  });
+  validate(tiers.length > 0, 'No active waterfall tiers configured for this structure');
+
+  const waterfall = await buildWaterfall(distribution, structure, { tiers, tierSet });
+  const updatedDistribution = await Distribution.applyWaterfall(id, waterfall);
 
   res.status(200).json({
     success: true,
     message: 'Waterfall calculation applied successfully',
-    data: waterfallResult
+    data: updatedDistribution
   });
 }));
 
@@ -323,6 +718,204 @@ router.patch('/:id/mark-paid', authenticate, requireInvestmentManagerAccess, cat
   });
 }));
 
+/**
+ * @route   POST /api/distributions/:id/payouts
+ * @desc    Run the Stripe Connect payouts for an approved distribution: one transfer per unpaid
+ *          allocation to onboarded LPs. Re-running retries failed transfers and pays LPs who
+ *          have since onboarded; completed transfers are never repeated
+ * @access  Private (requires authentication, Root/Admin only)
+ */
+router.post('/:id/payouts', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId, userRole } = getUserContext(req);
+  const { id } = req.params;
+
+  const distribution = await Distribution.findById(id);
+  validate(distribution, 'Distribution not found');
+
+  // Root can pay any distribution, Admin can only pay their own
+  if (userRole === ROLES.ADMIN) {
+    validate(distribution.createdBy === userId, 'Unauthorized access to distribution');
+  }
+
+  validate(distribution.approvalStatus === 'approved', 'Distribution must be approved before running payouts');
+  validate(distribution.status !== 'Paid', 'Distribution is already paid');
+
+  const structure = await Structure.findById(distribution.structureId);
+  validate(structure, 'Structure not found');
+
+  const run = await runPayouts(distribution, structure, { createdBy: userId });
+
+  res.status(200).json({
+    success: true,
+    message: `Payout run: ${run.transferred} transferred, ${run.failed} failed, ${run.unconfirmed} unconfirmed, ${run.inProgress} in progress, ${run.skipped} skipped`,
+    data: run
+  });
+}));
+
+/**
+ * @route   GET /api/distributions/:id/payouts
+ * @desc    Get a distribution's Stripe Connect payouts with a summary by status
+ * @access  Private (requires authentication, Root/Admin only)
+ */
+router.get('/:id/payouts', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId, userRole } = getUserContext(req);
+  const { id } = req.params;
+
+  const distribution = await Distribution.findById(id);
+  validate(distribution, 'Distribution not found');
+
+  // Root can access any distribution, Admin can only access their own
+  if (userRole === ROLES.ADMIN) {
+    validate(distribution.createdBy === userId, 'Unauthorized access to distribution');
+  }
+
+  const payouts = await DistributionPayout.findByDistributionId(id);
+
+  res.status(200).json({
+    success: true,
+    count: payouts.length,
+    data: {
+      payouts,
+      summary: summarizePayouts(payouts)
+    }
+  });
+}));
+
+/**
+ * @route   GET /api/distributions/:id/in-kind
+ * @desc    Get an in-kind distribution's units per LP, cash in lieu of fractional units and
+ *          the units retained by the fund
+ * @access  Private (requires authentication, Root/Admin only)
+ */
+router.get('/:id/in-kind', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId, userRole } = getUserContext(req);
+  const { id } = req.params;
+
+  const distribution = await Distribution.findWithAllocations(id);
+  validate(distribution, 'Distribution not found');
+
+  // Root can access any distribution, Admin can only access their own
+  if (userRole === ROLES.ADMIN) {
+    validate(distribution.createdBy === userId, 'Unauthorized access to distribution');
+  }
+
+  validate(distribution.settlementType === 'in_kind', 'Distribution is not an in-kind distribution');
+
+  res.status(200).json({
+    success: true,
+    data: summarizeInKind(distribution, distribution.distribution_allocations)
+  });
+}));
+
+/**
+ * @route   POST /api/distributions/:id/in-kind/token-transfers
+ * @desc    Transfer an approved in-kind token distribution's units from the structure's wallet
+ *          to each LP's wallet; re-running retries failed transfers and LPs without a wallet,
+ *          completed transfers are never repeated
+ * @access  Private (requires authentication, Root/Admin only)
+ */
+router.post('/:id/in-kind/token-transfers', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId, userRole } = getUserContext(req);
+  const { id } = req.params;
+
+  const distribution = await Distribution.findById(id);
+  validate(distribution, 'Distribution not found');
+
+  // Root can transfer any distribution, Admin can only transfer their own
+  if (userRole === ROLES.ADMIN) {
+    validate(distribution.createdBy === userId, 'Unauthorized access to distribution');
+  }
+
+  validate(
+    distribution.settlementType === 'in_kind' && distribution.inKindAssetType === 'token',
+    'Distribution is not an in-kind token distribution'
+  );
+  validate(distribution.approvalStatus === 'approved', 'Distribution must be approved before transferring tokens');
+
+  const structure = await Structure.findById(distribution.structureId);
+  validate(structure, 'Structure not found');
+  validate(structure.walletAddress, 'Structure has no wallet address to transfer tokens from');
+
+  // Only tokenized structures (with a deployed token contract) distribute tokens on-chain
+  const contracts = await SmartContract.find({ structureId: structure.id });
+  const tokenContract = contracts.find(c => c.deploymentStatus === 'deployed' && c.contractAddress);
+  validate(tokenContract, 'Structure is not tokenized');
+
+  const rpcUrl = process.env.RPC_URL;
+  const privateKey = process.env.PORTAL_HQ_PRIVATE_KEY;
+
+  if (!rpcUrl) {
+    return res.status(500).json({
+      success: false,
+      error: 'Configuration error',
+      message: 'RPC_URL not configured in environment variables'
+    });
+  }
+
+  if (!privateKey) {
+    return res.status(500).json({
+      success: false,
+      error: 'Configuration error',
+      message: 'PORTAL_HQ_PRIVATE_KEY not configured in environment variables'
+    });
+  }
+
+  const run = await transferInKindTokens(distribution, {
+    // The distributed token defaults to the structure's own token
+    contractAddress: distribution.inKindAssetIdentifier || tokenContract.contractAddress,
+    fromAddress: structure.walletAddress,
+    rpcUrl,
+    privateKey
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Token transfers: ${run.transferred} transferred, ${run.failed} failed, ${run.skipped} skipped, ${run.unconfirmed} unconfirmed, ${run.inProgress} in progress`,
+    data: run
+  });
+}));
+
+/**
+ * @route   GET /api/distributions/:id/allocation-bases
+ * @desc    Preview the distributable amount split under every pro-rata basis, with each LP's
+ *          difference from the distribution's chosen basis, before allocations are posted
+ * @access  Private (requires authentication, Root/Admin only)
+ * @query   basis - Basis to compare against (defaults to the distribution's allocationBasis)
+ */
+router.get('/:id/allocation-bases', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId, userRole } = getUserContext(req);
+  const { id } = req.params;
+
+  const distribution = await Distribution.findById(id);
+  validate(distribution, 'Distribution not found');
+
+  // Root can access any distribution, Admin can only access their own
+  if (userRole === ROLES.ADMIN) {
+    validate(distribution.createdBy === userId, 'Unauthorized access to distribution');
+  }
+
+  const basis = req.query.basis || distribution.allocationBasis;
+  validate(Distribution.ALLOCATION_BASES.includes(basis), `Allocation basis must be one of: ${Distribution.ALLOCATION_BASES.join(', ')}`);
+
+  // Custom shares only apply when the distribution has them
+  const bases = Distribution.ALLOCATION_BASES
+    .filter(b => b !== 'custom' || distribution.customAllocationShares);
+  validate(bases.includes(basis), 'Distribution has no custom allocation shares');
+
+  const weights = await Distribution.getAllocationBases(distribution.structureId, distribution, bases);
+  const report = compareBases(Distribution.getDistributableAmount(distribution), weights, basis);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...report,
+      // Waterfall distributions allocate from the waterfall audit, not a pro-rata basis
+      waterfallApplied: distribution.waterfallApplied || false,
+      basesAgree: report.maxDifference === 0
+    }
+  });
+}));
+
 /**
  * @route   POST /api/distributions/:id/create-allocations
  * @desc    Create allocations for all investors in structure
@@ -1004,6 +1597,10 @@ router.post('/:id/send-notices', authenticate, requireInvestmentManagerAccess, c
   const structure = await Structure.findById(distribution.structureId);
   validate(structure, 'Structure not found');
 
+  // Lock in payment-currency amounts before the notices are generated
+  const fx = await snapshotDistributionFx(distribution, structure);
+  validate(fx.missingRates.length === 0, `No FX rate maintained for ${fx.missingRates.join(', ')}`);
+
   // Get allocations with investor details
   const distributionWithAllocations = await Distribution.findWithAllocations(id);
   const allocations = distributionWithAllocations?.distribution_allocations || [];
@@ -1038,12 +1635,15 @@ router.post('/:id/send-notices', authenticate, requireInvestmentManagerAccess, c
       );
 
       // Prepare email content
+      const distributionAmount = allocation.payment_currency && allocation.allocated_amount_payment_currency != null
+        ? `${allocation.payment_currency} ${parseFloat(allocation.allocated_amount_payment_currency).toLocaleString()} (${fx.baseCurrency} ${allocation.allocated_amount?.toLocaleString()} at ${allocation.fx_rate})`
+        : allocation.allocated_amount?.toLocaleString() || 'See attached';
       const defaultSubject = `Distribution Notice #${distribution.distributionNumber} - ${structure.name}`;
-      const defaultBodyText = `Dear ${investor.name},\n\nPlease find attached your Distribution Notice #${distribution.distributionNumber} for ${structure.name}.\n\nDistribution Amount: ${allocation.allocated_amount?.toLocaleString() || 'See attached'}\n\nPayment will be processed according to the details in the attached notice.\n\nBest regards,\n${firmName}`;
+      const defaultBodyText = `Dear ${investor.name},\n\nPlease find attached your Distribution Notice #${distribution.distributionNumber} for ${structure.name}.\n\nDistribution Amount: ${distributionAmount}\n\nPayment will be processed according to the details in the attached notice.\n\nBest regards,\n${firmName}`;
       const defaultBodyHtml = `
         <p>Dear ${investor.name},</p>
         <p>Please find attached your Distribution Notice #${distribution.distributionNumber} for <strong>${structure.name}</strong>.</p>
-        <p><strong>Distribution Amount:</strong> ${allocation.allocated_amount?.toLocaleString() || 'See attached'}</p>
+        <p><strong>Distribution Amount:</strong> ${distributionAmount}</p>
         <p>Payment will be processed according to the details in the attached notice.</p>
         <p>Best regards,<br/>${firmName}</p>
       `;
@@ -49,7 +49,8 @@ async function aggregateFeeData(structureId, startDate, endDate) {
   const { data: allocations } = await getSupabase()
     .from('capital_call_allocations')
     .select('*, user:users(id, name, email)')
-    .in('capital_call_id', callIds);
+    .in('capital_call_id', callIds)
+    .order('created_at', { ascending: true });
 
   if (!allocations || allocations.length === 0) {
     return {
@@ -77,6 +78,8 @@ async function aggregateFeeData(structureId, startDate, endDate) {
         nicFeeAmount: 0,
         unfundedFeeAmount: 0,
         feeOffsetAmount: 0,
+        nicBase: 0,
+        unfundedBase: 0,
         callCount: 0,
       };
     }
@@ -90,6 +93,9 @@ async function aggregateFeeData(structureId, startDate, endDate) {
     inv.nicFeeAmount += alloc.nic_fee_amount || 0;
     inv.unfundedFeeAmount += alloc.unfunded_fee_amount || 0;
     inv.feeOffsetAmount += alloc.fee_offset_amount || 0;
+    // Fee bases are point-in-time balances: keep the latest call's values
+    if (alloc.nic_base != null) inv.nicBase = alloc.nic_base;
+    if (alloc.unfunded_base != null) inv.unfundedBase = alloc.unfunded_base;
     inv.callCount += 1;
     // Take the max commitment (latest value)
     if ((alloc.commitment || 0) > inv.commitment) {
@@ -244,6 +250,8 @@ router.get('/:structureId/investor/:investorId', authenticate, catchAsync(async
     managementFeeGross: a.management_fee_gross || 0,
     managementFeeDiscount: a.management_fee_discount || 0,
     managementFeeNet: a.management_fee_net || 0,
+    nicBase: a.nic_base || 0,
+    unfundedBase: a.unfunded_base || 0,
     nicFeeAmount: a.nic_fee_amount || 0,
     unfundedFeeAmount: a.unfunded_fee_amount || 0,
     feeOffsetAmount: a.fee_offset_amount || 0,
@@ -0,0 +1,312 @@
+/**
+ * Fund Closing API Routes
+ * First, subsequent and final closes: admit investors at a closing date, validate against the
+ * structure's ticket and investor limits, complete the close (rebasing every LP's ownership)
+ * and generate the closing summary report and investor closing documents
+ */
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const { catchAsync, validate } = require('../middleware/errorHandler');
+const { FundClosing, Structure, User, FirmSettings } = require('../models/supabase');
+const { requireInvestmentManagerAccess, getUserContext, ROLES } = require('../middleware/rbac');
+const { previewClosing, completeClosing } = require('../services/fundClosingService');
+const { generateClosingSummaryPDF, generateClosingConfirmationPDF } = require('../services/closingDocumentGenerator');
+
+const router = express.Router();
+
+/**
+ * Helper to get firm name for whitelabeling
+ */
+async function getFirmNameForUser(userId) {
+  try {
+    const firmSettings = await FirmSettings.findByUserId(userId);
+    return firmSettings?.firmName || 'Investment Manager';
+  } catch (error) {
+    console.warn('Could not fetch firm settings:', error.message);
+    return 'Investment Manager';
+  }
+}
+
+/**
+ * Load a structure the user may manage closings for
+ */
+async function findStructureForUser(structureId, req) {
+  const { userId, userRole } = getUserContext(req);
+
+  const structure = await Structure.findById(structureId);
+  validate(structure, 'Structure not found');
+
+  // Root can access any structure, Admin can only access their own
+  if (userRole === ROLES.ADMIN) {
+    validate(structure.createdBy === userId, 'Unauthorized access to structure');
+  }
+
+  return structure;
+}
+
+/**
+ * Load a closing and its structure
+ */
+async function findClosingForRequest(req) {
+  const closing = await FundClosing.findById(req.params.id);
+  validate(closing, 'Fund closing not found');
+
+  const structure = await findStructureForUser(closing.structureId, req);
+  return { closing, structure };
+}
+
+/**
+ * Validate and normalize the closing fields of a request body
+ * @returns {Object} Closing fields to save
+ */
+function parseClosingBody(body, { partial = false } = {}) {
+  const { closingType, closingDate, investors, notes } = body;
+  const data = {};
+
+  if (!partial || closingType !== undefined) {
+    validate(FundClosing.CLOSING_TYPES.includes(closingType), `closingType must be one of: ${FundClosing.CLOSING_TYPES.join(', ')}`);
+    data.closingType = closingType;
+  }
+
+  if (!partial || closingDate !== undefined) {
+    validate(closingDate && !isNaN(new Date(closingDate).getTime()), 'closingDate must be a valid date');
+    data.closingDate = closingDate;
+  }
+
+  if (!partial || investors !== undefined) {
+    const admissions = investors || [];
+    validate(Array.isArray(admissions), 'investors must be an array');
+    admissions.forEach((admission, index) => {
+      validate(admission?.userId, `investors[${index}].userId is required`);
+      const commitment = parseFloat(admission.commitment);
+      validate(!isNaN(commitment) && commitment > 0, `investors[${index}].commitment must be a positive number`);
+    });
+    data.investors = admissions.map(admission => ({
+      userId: admission.userId,
+      commitment: parseFloat(admission.commitment)
+    }));
+  }
+
+  if (notes !== undefined) {
+    data.notes = notes?.trim() || null;
+  }
+
+  return data;
+}
+
+/**
+ * Draft closings show the calculated close; completed closings their recorded snapshot
+ */
+async function withPreview(closing, structure) {
+  if (closing.status === 'completed') return closing;
+
+  const { calculation, validation } = await previewClosing(closing, structure);
+  return { ...closing, preview: calculation, validation };
+}
+
+/**
+ * @route   POST /api/fund-closings/structure/:structureId
+ * @desc    Create a draft closing
+ * @access  Private (requires authentication, Root/Admin only)
+ * @body    {
+ *   closingType: 'first' | 'subsequent' | 'final',
+ *   closingDate: string,
+ *   investors: [{ userId, commitment }] - Commitment each investor adds at the close,
+ *   notes?: string
+ * }
+ */
+router.post('/structure/:structureId', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId } = getUserContext(req);
+  const structure = await findStructureForUser(req.params.structureId, req);
+  validate(!structure.commitmentsLocked, 'The commitment base is locked by the final close');
+
+  const data = parseClosingBody(req.body);
+  const closingNumber = await FundClosing.getNextClosingNumber(structure.id);
+
+  const closing = await FundClosing.create({
+    ...data,
+    structureId: structure.id,
+    closingNumber,
+    status: 'draft',
+    createdBy: userId
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Fund closing created successfully',
+    data: await withPreview(closing, structure)
+  });
+}));
+
+/**
+ * @route   GET /api/fund-closings/structure/:structureId
+ * @desc    Get a structure's closings in closing order
+ * @access  Private (requires authentication, Root/Admin only)
+ */
+router.get('/structure/:structureId', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const structure = await findStructureForUser(req.params.structureId, req);
+  const closings = await FundClosing.findByStructureId(structure.id);
+
+  res.status(200).json({
+    success: true,
+    count: closings.length,
+    data: closings
+  });
+}));
+
+/**
+ * @route   GET /api/fund-closings/:id
+ * @desc    Get a closing; drafts include the calculated close and its validation
+ * @access  Private (requires authentication, Root/Admin only)
+ */
+router.get('/:id', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { closing, structure } = await findClosingForRequest(req);
+
+  res.status(200).json({
+    success: true,
+    data: await withPreview(closing, structure)
+  });
+}));
+
+/**
+ * @route   PUT /api/fund-closings/:id
+ * @desc    Update a draft closing
+ * @access  Private (requires authentication, Root/Admin only)
+ * @body    { closingType?, closingDate?, investors?, notes? }
+ */
+router.put('/:id', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { closing, structure } = await findClosingForRequest(req);
+  validate(closing.status === 'draft', 'Only draft closings can be updated');
+
+  const data = parseClosingBody(req.body, { partial: true });
+  validate(Object.keys(data).length > 0, 'No valid fields provided for update');
+
+  const updated = await FundClosing.findByIdAndUpdate(closing.id, data);
+
+  res.status(200).json({
+    success: true,
+    message: 'Fund closing updated successfully',
+    data: await withPreview(updated, structure)
+  });
+}));
+
+/**
+ * @route   POST /api/fund-closings/:id/complete
+ * @desc    Complete a closing: admit the investors, recompute ownership for all LPs and,
+ *          at the final close, lock the commitment base
+ * @access  Private (requires authentication, Root/Admin only)
+ */
+router.post('/:id/complete', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId } = getUserContext(req);
+  const { closing, structure } = await findClosingForRequest(req);
+  validate(closing.status === 'draft', 'Closing has already been completed');
+
+  const { validation } = await previewClosing(closing, structure);
+  validate(validation.isValid, `Closing cannot be completed: ${validation.errors.join('; ')}`);
+
+  const completed = await completeClosing(closing, structure, { completedBy: userId });
+
+  res.status(200).json({
+    success: true,
+    message: closing.closingType === 'final'
+      ? 'Final close completed; the commitment base is now locked'
+      : 'Fund closing completed successfully',
+    data: completed
+  });
+}));
+
+/**
+ * @route   GET /api/fund-closings/:id/summary-report
+ * @desc    Generate the closing summary report PDF (drafts are marked as such)
+ * @access  Private (requires authentication, Root/Admin only)
+ * @query   firmName
+ */
+router.get('/:id/summary-report', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId } = getUserContext(req);
+  const { closing, structure } = await findClosingForRequest(req);
+  const defaultFirmName = await getFirmNameForUser(userId);
+  const { firmName = defaultFirmName } = req.query;
+
+  // Drafts report the close as it would complete today
+  let report = closing;
+  if (closing.status !== 'completed') {
+    const { calculation } = await previewClosing(closing, structure);
+    report = { ...closing, ...calculation };
+  }
+
+  const users = await Promise.all(report.ownership.map(o => User.findById(o.userId).catch(() => null)));
+  const investorNames = new Map();
+  users.forEach(user => {
+    if (!user) return;
+    const name = [user.firstName, user.lastName].filter(Boolean).join(' ') || user.email;
+    if (name) investorNames.set(user.id, name);
+  });
+
+  const pdfBuffer = await generateClosingSummaryPDF(report, structure, { firmName, investorNames });
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="Closing_Summary_${closing.closingNumber}.pdf"`);
+  res.setHeader('Content-Length', pdfBuffer.length);
+
+  res.send(pdfBuffer);
+}));
+
+/**
+ * @route   GET /api/fund-closings/:id/documents/:investorId
+ * @desc    Generate an admitted investor's closing confirmation PDF
+ * @access  Private (requires authentication, Root/Admin only)
+ * @query   firmName
+ */
+router.get('/:id/documents/:investorId', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId } = getUserContext(req);
+  const { closing, structure } = await findClosingForRequest(req);
+  validate(closing.status === 'completed', 'Closing documents are available once the closing is completed');
+
+  const admission = closing.investors.find(inv => inv.userId === req.params.investorId);
+  validate(admission, 'Investor was not admitted at this closing');
+
+  const investor = await User.findById(req.params.investorId);
+  const defaultFirmName = await getFirmNameForUser(userId);
+  const { firmName = defaultFirmName } = req.query;
+
+  const pdfBuffer = await generateClosingConfirmationPDF(closing, admission, structure, investor, { firmName });
+
+  const investorNameClean = ([investor?.firstName, investor?.lastName].filter(Boolean).join(' ') || 'Investor').replace(/\s+/g, '_');
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="Closing_Confirmation_${closing.closingNumber}_${investorNameClean}.pdf"`);
+  res.setHeader('Content-Length', pdfBuffer.length);
+
+  res.send(pdfBuffer);
+}));
+
+/**
+ * @route   DELETE /api/fund-closings/:id
+ * @desc    Delete a draft closing
+ * @access  Private (requires authentication, Root/Admin only)
+ */
+router.delete('/:id', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { closing } = await findClosingForRequest(req);
+  validate(closing.status === 'draft', 'Completed closings cannot be deleted');
+
+  await FundClosing.findByIdAndDelete(closing.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Fund closing deleted successfully'
+  });
+}));
+
+/**
+ * @route   GET /api/fund-closings/health
+ * @desc    Health check for Fund Closing API routes
+ * @access  Public
+ */
+router.get('/health', (_req, res) => {
+  res.json({
+    service: 'Fund Closing API',
+    status: 'operational',
+    timestamp: new Date().toISOString()
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,164 @@
+/**
+ * FX Rate API Routes
+ * Endpoints for maintaining the local FX rate table used for LP payment-currency snapshots
+ */
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const { catchAsync, validate } = require('../middleware/errorHandler');
+const { FxRate } = require('../models/supabase');
+const { requireInvestmentManagerAccess, getUserContext, ROLES } = require('../middleware/rbac');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const router = express.Router();
+
+function isValidDate(value) {
+  return DATE_PATTERN.test(value) && !isNaN(new Date(value).getTime());
+}
+
+/**
+ * Validate and normalize one rate from a request body
+ */
+function parseFxRate(item, label) {
+  const baseCurrency = String(item.baseCurrency || '').toUpperCase();
+  const quoteCurrency = String(item.quoteCurrency || '').toUpperCase();
+  const rate = Number(item.rate);
+
+  validate(FxRate.CURRENCY_CODE_PATTERN.test(baseCurrency), `${label}baseCurrency must be a 3-letter ISO currency code`);
+  validate(FxRate.CURRENCY_CODE_PATTERN.test(quoteCurrency), `${label}quoteCurrency must be a 3-letter ISO currency code`);
+  validate(baseCurrency !== quoteCurrency, `${label}baseCurrency and quoteCurrency must differ`);
+  validate(Number.isFinite(rate) && rate > 0, `${label}rate must be a positive number`);
+  validate(isValidDate(item.rateDate), `${label}rateDate must be a date (YYYY-MM-DD)`);
+
+  return {
+    baseCurrency,
+    quoteCurrency,
+    rate,
+    rateDate: item.rateDate,
+    source: item.source?.trim() || null,
+    notes: item.notes?.trim() || null
+  };
+}
+
+/**
+ * @route   GET /api/fx-rates
+ * @desc    List FX rates, newest first
+ * @access  Private (requires authentication, Root/Admin/Support only)
+ * @query   baseCurrency, quoteCurrency, fromDate, toDate
+ */
+router.get('/', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { baseCurrency, quoteCurrency, fromDate, toDate } = req.query;
+
+  validate(!fromDate || isValidDate(fromDate), 'fromDate must be a date (YYYY-MM-DD)');
+  validate(!toDate || isValidDate(toDate), 'toDate must be a date (YYYY-MM-DD)');
+
+  const rates = await FxRate.find({
+    baseCurrency: baseCurrency?.toUpperCase(),
+    quoteCurrency: quoteCurrency?.toUpperCase(),
+    fromDate,
+    toDate
+  });
+
+  res.status(200).json({
+    success: true,
+    count: rates.length,
+    data: rates
+  });
+}));
+
+/**
+ * @route   GET /api/fx-rates/lookup
+ * @desc    Resolve the rate that would be snapshotted for a currency pair on a date
+ * @access  Private (requires authentication, Root/Admin/Support only)
+ * @query   baseCurrency, quoteCurrency, date (defaults to today)
+ */
+router.get('/lookup', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const baseCurrency = String(req.query.baseCurrency || '').toUpperCase();
+  const quoteCurrency = String(req.query.quoteCurrency || '').toUpperCase();
+  const date = req.query.date || new Date().toISOString().split('T')[0];
+
+  validate(FxRate.CURRENCY_CODE_PATTERN.test(baseCurrency), 'baseCurrency must be a 3-letter ISO currency code');
+  validate(FxRate.CURRENCY_CODE_PATTERN.test(quoteCurrency), 'quoteCurrency must be a 3-letter ISO currency code');
+  validate(isValidDate(date), 'date must be a date (YYYY-MM-DD)');
+
+  const rate = await FxRate.getRate(baseCurrency, quoteCurrency, date);
+
+  if (!rate) {
+    return res.status(404).json({
+      success: false,
+      message: `No FX rate maintained for ${baseCurrency}/${quoteCurrency} on or before ${date}`
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: rate
+  });
+}));
+
+/**
+ * @route   POST /api/fx-rates
+ * @desc    Create or replace FX rates (one per pair and date)
+ * @access  Private (requires authentication, Root/Admin only)
+ * @body    { baseCurrency, quoteCurrency, rate, rateDate, source?, notes? } or { rates: [...] }
+ */
+router.post('/', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId, userRole } = getUserContext(req);
+  const body = req.body || {};
+
+  validate([ROLES.ROOT, ROLES.ADMIN].includes(userRole), 'Only Root and Admin users can maintain FX rates');
+
+  const isBulk = Array.isArray(body.rates);
+  const items = isBulk ? body.rates : [body];
+  validate(items.length > 0, 'At least one rate is required');
+
+  const parsed = items.map((item, index) => parseFxRate(item || {}, isBulk ? `Rate ${index + 1}: ` : ''));
+
+  const saved = [];
+  for (const rate of parsed) {
+    saved.push(await FxRate.upsert({ ...rate, createdBy: userId }));
+  }
+
+  res.status(201).json({
+    success: true,
+    message: `${saved.length} FX rate(s) saved`,
+    data: isBulk ? saved : saved[0]
+  });
+}));
+
+/**
+ * @route   DELETE /api/fx-rates/:id
+ * @desc    Delete an FX rate (allocations already snapshotted keep their rate)
+ * @access  Private (requires authentication, Root/Admin only)
+ */
+router.delete('/:id', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userRole } = getUserContext(req);
+  const { id } = req.params;
+
+  validate([ROLES.ROOT, ROLES.ADMIN].includes(userRole), 'Only Root and Admin users can maintain FX rates');
+
+  const rate = await FxRate.findById(id);
+  validate(rate, 'FX rate not found');
+
+  await FxRate.findByIdAndDelete(id);
+
+  res.status(200).json({
+    success: true,
+    message: 'FX rate deleted successfully'
+  });
+}));
+
+/**
+ * @route   GET /api/fx-rates/health
+ * @desc    Health check for FX Rate API routes
+ * @access  Public
+ */
+router.get('/health', (_req, res) => {
+  res.json({
+    service: 'FX Rate API',
+    status: 'operational',
+    timestamp: new Date().toISOString()
+  });
+});
+
+module.exports = router;
@@ -17,6 +17,11 @@ const investmentRoutes = require('./investment.routes');
 const capitalCallRoutes = require('./capitalCall.routes');
 const distributionRoutes = require('./distribution.routes');
 const waterfallTierRoutes = require('./waterfallTier.routes');
+const fxRateRoutes = require('./fxRate.routes');
+const bankReconciliationRoutes = require('./bankReconciliation.routes');
+const fundClosingRoutes = require('./fundClosing.routes');
+const lpTransferRoutes = require('./lpTransfer.routes');
+const sideLetterRoutes = require('./sideLetter.routes');
 const documentRoutes = require('./document.routes');
 
 // Chat System routes
@@ -84,6 +89,11 @@ router.use('/investments', investmentRoutes);
 router.use('/capital-calls', capitalCallRoutes);
 router.use('/distributions', distributionRoutes);
 router.use('/waterfall-tiers', waterfallTierRoutes);
+router.use('/fx-rates', fxRateRoutes);
+router.use('/bank-reconciliation', bankReconciliationRoutes);
+router.use('/fund-closings', fundClosingRoutes);
+router.use('/lp-transfers', lpTransferRoutes);
+router.use('/side-letters', sideLetterRoutes);
 router.use('/documents', documentRoutes);
 
 // Mount Chat System routes
@@ -154,6 +164,8 @@ router.get('/', (_req, res) => {
       capitalCalls: '/api/capital-calls',
       distributions: '/api/distributions',
       waterfallTiers: '/api/waterfall-tiers',
+      fxRates: '/api/fx-rates',
+      bankReconciliation: '/api/bank-reconciliation',
       documents: '/api/documents',
       // Chat System endpoints
       conversations: '/api/conversations',
@@ -9,11 +9,15 @@ const User = require('../models/supabase/user');
 const Investor = require('../models/supabase/investor');
 const Structure = require('../models/supabase/structure');
 const StructureInvestor = require('../models/supabase/structureInvestor');
+const FxRate = require('../models/supabase/fxRate');
 const DocusealSubmission = require('../models/supabase/docusealSubmission');
 const Payment = require('../models/supabase/payment');
 const { requireInvestmentManagerAccess, ROLES, getUserContext } = require('../middleware/rbac');
 const { getSupabase } = require('../config/database');
 const { sendEmail } = require('../utils/emailSender');
+const { getBaseCurrency, convertAmount, settlePaymentCurrencyAmount } = require('../services/fxService');
+const { toDateString } = require('../utils/businessDays');
+const { formatPaymentReference } = require('../utils/paymentReference');
 const { FirmSettings } = require('../models/supabase');
 
 const router = express.Router();
@@ -91,6 +95,8 @@ router.post('/', authenticate, requireInvestmentManagerAccess, catchAsync(async
     // ILPA Fee Settings
     feeDiscount,
     vatExempt,
+    // Currency the LP pays calls / receives distributions in (defaults to the structure base currency)
+    paymentCurrency,
     // Custom terms (per-investor overrides)
     customTerms
   } = req.body;
@@ -106,9 +112,11 @@ router.post('/', authenticate, requireInvestmentManagerAccess, catchAsync(async
   // Validate UUID format for structureId
   const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
   validate(uuidRegex.test(structureId), 'Invalid structure ID format');
+  validate(!paymentCurrency || FxRate.CURRENCY_CODE_PATTERN.test(String(paymentCurrency).toUpperCase()), 'paymentCurrency must be a 3-letter ISO currency code');
 
   // Check max investor restriction before allowing new investors
   const structureForCheck = await Structure.findById(structureId);
+  validate(!structureForCheck?.commitmentsLocked, 'The commitment base of this structure is locked by its final close');
   if (structureForCheck && structureForCheck.maxInvestorRestriction) {
     const currentInvestorCount = await Structure.getInvestorCount(structureId);
     if (currentInvestorCount >= structureForCheck.maxInvestorRestriction) {
@@ -308,6 +316,7 @@ router.post('/', authenticate, requireInvestmentManagerAccess, catchAsync(async
       ownershipPercent: ownershipPercent || 0,
       feeDiscount: feeDiscount !== undefined ? feeDiscount : 0,
       vatExempt: vatExempt !== undefined ? vatExempt : false,
+      paymentCurrency: paymentCurrency ? String(paymentCurrency).toUpperCase() : undefined,
       customTerms: customTerms || null,
       status: 'active'
     });
@@ -1069,7 +1078,20 @@ router.get('/me/capital-calls/:capitalCallId', authenticate, catchAsync(async (r
       status: allocation.status,
       ownershipPercent: parseFloat(allocation.ownership_percent) || 0,
       feeDiscount: parseFloat(allocation.fee_discount) || 0,
-      vatExempt: allocation.vat_exempt || false
+      vatExempt: allocation.vat_exempt || false,
+      // Payment currency (converted at the FX rate snapshotted when the notice was sent)
+      paymentCurrency: allocation.payment_currency || null,
+      fxRate: allocation.fx_rate != null ? parseFloat(allocation.fx_rate) : null,
+      fxRateDate: allocation.fx_rate_date || null,
+      totalDuePaymentCurrency: allocation.total_due_payment_currency != null ? parseFloat(allocation.total_due_payment_currency) : null,
+      outstandingPaymentCurrency: allocation.fx_rate != null
+        ? convertAmount((parseFloat(allocation.total_due) || 0) - (parseFloat(allocation.paid_amount) || 0), parseFloat(allocation.fx_rate))
+        : null,
+      paidAmountPaymentCurrency: parseFloat(allocation.paid_amount_payment_currency) || 0,
+      fxGainLoss: parseFloat(allocation.fx_gain_loss) || 0,
+      // Reference the LP must quote on their transfer
+      paymentReference: allocation.payment_reference_code || null,
+      paymentReferenceFormatted: allocation.payment_reference_code ? formatPaymentReference(allocation.payment_reference_code) : null
     },
     // Investor info
     investor: {
@@ -1096,7 +1118,7 @@ router.post('/me/capital-calls/:capitalCallId/pay', authenticate, catchAsync(asy
   const userId = req.auth?.userId || req.user?.id;
   const { userRole } = getUserContext(req);
   const { capitalCallId } = req.params;
-  const { amount, paymentMethod, paymentReference, paymentDate } = req.body;
+  const { amount, paymentCurrencyAmount, paymentMethod, paymentReference, paymentDate } = req.body;
   const supabase = getSupabase();
 
   // Allow only INVESTOR role to access this endpoint
@@ -1107,7 +1129,7 @@ router.post('/me/capital-calls/:capitalCallId/pay', authenticate, catchAsync(asy
   validate(uuidRegex.test(capitalCallId), 'Invalid capital call ID format');
 
   // Validate required fields
-  validate(amount && amount > 0, 'Valid payment amount is required');
+  validate((amount && amount > 0) || (paymentCurrencyAmount && paymentCurrencyAmount > 0), 'Valid payment amount is required');
   validate(paymentMethod, 'Payment method is required');
 
   const user = await User.findById(userId);
@@ -1160,8 +1182,33 @@ router.post('/me/capital-calls/:capitalCallId/pay', authenticate, catchAsync(asy
   const vatRemaining = vatAmount - currentVatPaid;
   const totalRemaining = capitalRemaining + feesRemaining + vatRemaining;
 
+  // Payments in the LP's payment currency settle at the FX rate snapshotted at notice time;
+  // valuing them at the maintained rate for the payment date gives the realized FX gain/loss
+  let paymentAmount = parseFloat(amount);
+  let fxSettlement = null;
+  if (paymentCurrencyAmount !== undefined) {
+    const snapshotRate = parseFloat(allocation.fx_rate);
+    validate(allocation.payment_currency && snapshotRate > 0, 'This capital call is payable in the fund base currency');
+
+    const structure = await Structure.findById(capitalCall.structure_id);
+    const baseCurrency = getBaseCurrency(structure);
+    const rateDate = toDateString(paymentDate || new Date());
+    const rate = await FxRate.getRate(baseCurrency, allocation.payment_currency, rateDate);
+    validate(
+      rate,
+      `No ${baseCurrency}/${allocation.payment_currency} FX rate is maintained as of ${rateDate}; the payment cannot be recorded until one is`
+    );
+    const paymentFxRate = rate.rate;
+
+    fxSettlement = {
+      paymentCurrencyAmount: parseFloat(paymentCurrencyAmount),
+      paymentFxRate,
+      ...settlePaymentCurrencyAmount(parseFloat(paymentCurrencyAmount), snapshotRate, paymentFxRate)
+    };
+    paymentAmount = fxSettlement.baseAmount;
+  }
+
   // Distribute payment proportionally across capital/fees/vat
-  const paymentAmount = parseFloat(amount);
   let newCapitalPaid = currentCapitalPaid;
   let newFeesPaid = currentFeesPaid;
   let newVatPaid = currentVatPaid;
@@ -1199,6 +1246,11 @@ router.post('/me/capital-calls/:capitalCallId/pay', authenticate, catchAsync(asy
       payment_method: paymentMethod || null,
       payment_reference: paymentReference || null,
       payment_date: paymentDate || new Date().toISOString(),
+      ...(fxSettlement && {
+        paid_amount_payment_currency: Math.round(((parseFloat(allocation.paid_amount_payment_currency) || 0) + fxSettlement.paymentCurrencyAmount) * 100) / 100,
+        payment_fx_rate: fxSettlement.paymentFxRate,
+        fx_gain_loss: Math.round(((parseFloat(allocation.fx_gain_loss) || 0) + fxSettlement.fxGainLoss) * 100) / 100
+      }),
       updated_at: new Date().toISOString()
     })
     .eq('id', allocation.id)
@@ -1233,7 +1285,16 @@ router.post('/me/capital-calls/:capitalCallId/pay', authenticate, catchAsync(asy
       vatAmount: vatAmount,
       // Payment info
       paymentMethod,
-      paymentReference: paymentReference || null
+      paymentReference: paymentReference || null,
+      // Payment-currency settlement (null when paid in the fund base currency)
+      fx: fxSettlement ? {
+        paymentCurrency: allocation.payment_currency,
+        paymentCurrencyAmount: fxSettlement.paymentCurrencyAmount,
+        snapshotRate: parseFloat(allocation.fx_rate),
+        paymentFxRate: fxSettlement.paymentFxRate,
+        creditedAmount: fxSettlement.baseAmount,
+        fxGainLoss: fxSettlement.fxGainLoss
+      } : null
     }
   });
 }));
@@ -0,0 +1,520 @@
+/**
+ * LP Transfer API Routes
+ * Secondary transfers of an LP's interest: record the request, give GP consent, check the
+ * transferee's KYC, complete the transfer on its effective date (moving the commitment and
+ * capital account balances, and force-transferring tokens on tokenized structures) and
+ * generate the instrument of transfer and each party's transfer confirmation
+ */
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const { catchAsync, validate } = require('../middleware/errorHandler');
+const { LpTransfer, Structure, User, KycSession, SmartContract, FirmSettings } = require('../models/supabase');
+const StructureInvestor = require('../models/supabase/structureInvestor');
+const { requireInvestmentManagerAccess, getUserContext, ROLES } = require('../middleware/rbac');
+const {
+  getLockUpEndDate,
+  validateTransferRequest,
+  isKycCleared,
+  previewTransfer,
+  forceTransferTokens,
+  logTransferAction,
+  updateTransferStatus,
+  completeTransfer
+} = require('../services/lpTransferService');
+const { generateTransferInstrumentPDF, generateTransferConfirmationPDF } = require('../services/transferDocumentGenerator');
+const { toDateString } = require('../utils/businessDays');
+
+const router = express.Router();
+
+/**
+ * Helper to get firm name for whitelabeling
+ */
+async function getFirmNameForUser(userId) {
+  try {
+    const firmSettings = await FirmSettings.findByUserId(userId);
+    return firmSettings?.firmName || 'Investment Manager';
+  } catch (error) {
+    console.warn('Could not fetch firm settings:', error.message);
+    return 'Investment Manager';
+  }
+}
+
+/**
+ * Load a structure the user may manage transfers for
+ */
+async function findStructureForUser(structureId, req) {
+  const { userId, userRole } = getUserContext(req);
+
+  const structure = await Structure.findById(structureId);
+  validate(structure, 'Structure not found');
+
+  // Root can access any structure, Admin can only access their own
+  if (userRole === ROLES.ADMIN) {
+    validate(structure.createdBy === userId, 'Unauthorized access to structure');
+  }
+
+  return structure;
+}
+
+/**
+ * Load a transfer and its structure
+ */
+async function findTransferForRequest(req) {
+  const transfer = await LpTransfer.findById(req.params.id);
+  validate(transfer, 'LP transfer not found');
+
+  const structure = await findStructureForUser(transfer.structureId, req);
+  return { transfer, structure };
+}
+
+/**
+ * Acting user for the approval history
+ */
+async function getActor(req) {
+  const { userId } = getUserContext(req);
+  const user = await User.findById(userId);
+  return { userId, userName: user?.name || 'Unknown' };
+}
+
+/**
+ * Re-check a transfer against the transferor's current interest and the structure's other transfers
+ */
+async function validateTransfer(transfer, structure) {
+  const transferorInvestor = await StructureInvestor.findByUserAndStructure(transfer.transferorId, structure.id);
+  const transfers = await LpTransfer.findByStructureId(structure.id);
+
+  return validateTransferRequest({ structure, transfer, transferorInvestor, transfers });
+}
+
+/**
+ * Open transfers show the balances they would move; completed transfers their recorded snapshot
+ */
+async function withPreview(transfer, structure) {
+  if (!LpTransfer.OPEN_STATUSES.includes(transfer.status)) return transfer;
+
+  const transferorInvestor = await StructureInvestor.findByUserAndStructure(transfer.transferorId, structure.id);
+  const { moved } = await previewTransfer(transfer);
+  return {
+    ...transfer,
+    preview: moved,
+    lockUpEndDate: getLockUpEndDate(structure, transferorInvestor)
+  };
+}
+
+/**
+ * @route   POST /api/lp-transfers/structure/:structureId
+ * @desc    Record an LP's request to transfer all or part of its interest
+ * @access  Private (requires authentication, Root/Admin only)
+ * @body    {
+ *   transferorId: string,
+ *   transfereeId: string,
+ *   commitmentTransferred: number,
+ *   effectiveDate: string,
+ *   price?: number - Consideration agreed between the parties,
+ *   notes?: string
+ * }
+ */
+router.post('/structure/:structureId', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId } = getUserContext(req);
+  const structure = await findStructureForUser(req.params.structureId, req);
+  const { transferorId, transfereeId, commitmentTransferred, effectiveDate, price, notes } = req.body || {};
+
+  validate(transferorId, 'transferorId is required');
+  validate(transfereeId, 'transfereeId is required');
+  validate(effectiveDate && !isNaN(new Date(effectiveDate).getTime()), 'effectiveDate must be a valid date');
+  const priceValue = price !== undefined && price !== null && price !== '' ? Number(price) : null;
+  validate(priceValue === null || (!isNaN(priceValue) && priceValue >= 0), 'price must be a non-negative number');
+
+  const transferee = await User.findById(transfereeId);
+  validate(transferee, 'Transferee not found');
+
+  const transfer = {
+    structureId: structure.id,
+    transferorId,
+    transfereeId,
+    commitmentTransferred: parseFloat(commitmentTransferred),
+    effectiveDate: toDateString(effectiveDate)
+  };
+
+  const errors = await validateTransfer(transfer, structure);
+  validate(errors.length === 0, `Transfer cannot be requested: ${errors.join('; ')}`);
+
+  const created = await LpTransfer.create({
+    ...transfer,
+    price: priceValue,
+    notes: notes?.trim() || null,
+    status: 'pending_consent',
+    requestedBy: userId
+  });
+
+  const actor = await getActor(req);
+  await logTransferAction(created, 'transfer_requested', null, 'pending_consent', { ...actor, notes });
+
+  res.status(201).json({
+    success: true,
+    message: 'LP transfer requested successfully',
+    data: await withPreview(created, structure)
+  });
+}));
+
+/**
+ * @route   GET /api/lp-transfers/structure/:structureId
+ * @desc    Get a structure's LP transfers, most recent first
+ * @access  Private (requires authentication, Root/Admin only)
+ * @query   status
+ */
+router.get('/structure/:structureId', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const structure = await findStructureForUser(req.params.structureId, req);
+  const { status } = req.query;
+
+  let transfers = await LpTransfer.findByStructureId(structure.id);
+  if (status) {
+    transfers = transfers.filter(t => t.status === status);
+  }
+
+  res.status(200).json({
+    success: true,
+    count: transfers.length,
+    data: transfers
+  });
+}));
+
+/**
+ * @route   GET /api/lp-transfers/:id
+ * @desc    Get a transfer; open transfers include the balances they would move
+ * @access  Private (requires authentication, Root/Admin only)
+ */
+router.get('/:id', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { transfer, structure } = await findTransferForRequest(req);
+
+  res.status(200).json({
+    success: true,
+    data: await withPreview(transfer, structure)
+  });
+}));
+
+/**
+ * @route   POST /api/lp-transfers/:id/consent
+ * @desc    Give the GP's consent to a requested transfer
+ * @access  Private (requires authentication, Root/Admin only)
+ * @body    { notes?: string }
+ */
+router.post('/:id/consent', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { transfer, structure } = await findTransferForRequest(req);
+  validate(transfer.status === 'pending_consent', `Transfer is ${transfer.status}, not awaiting consent`);
+
+  const errors = await validateTransfer(transfer, structure);
+  validate(errors.length === 0, `Transfer cannot be consented to: ${errors.join('; ')}`);
+
+  const actor = await getActor(req);
+  const updated = await updateTransferStatus(transfer, 'transfer_consented', {
+    status: 'consented',
+    consentedBy: actor.userId,
+    consentedAt: new Date().toISOString()
+  }, { ...actor, notes: req.body?.notes });
+
+  res.status(200).json({
+    success: true,
+    message: 'GP consent recorded',
+    data: updated
+  });
+}));
+
+/**
+ * @route   POST /api/lp-transfers/:id/kyc-check
+ * @desc    Check the transferee's KYC; a cleared transferee makes the transfer ready to complete
+ * @access  Private (requires authentication, Root/Admin only)
+ */
+router.post('/:id/kyc-check', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { transfer } = await findTransferForRequest(req);
+  validate(transfer.status === 'consented', 'The KYC check follows the GP consent');
+
+  const transferee = await User.findById(transfer.transfereeId);
+  validate(transferee, 'Transferee not found');
+  const session = await KycSession.getLatestForUser(transfer.transfereeId);
+
+  if (!isKycCleared(transferee, session)) {
+    return res.status(200).json({
+      success: true,
+      message: 'Transferee has not cleared KYC',
+      data: {
+        ...transfer,
+        kycStatus: session?.status || transferee.kycStatus || 'Not Started'
+      }
+    });
+  }
+
+  const actor = await getActor(req);
+  const updated = await updateTransferStatus(transfer, 'transferee_kyc_cleared', {
+    status: 'kyc_cleared',
+    kycCheckedAt: new Date().toISOString(),
+    kycSessionId: session?.id || null
+  }, { ...actor, metadata: { kycSessionId: session?.id || null, kycStatus: session?.status || transferee.kycStatus } });
+
+  res.status(200).json({
+    success: true,
+    message: 'Transferee KYC cleared',
+    data: updated
+  });
+}));
+
+/**
+ * @route   POST /api/lp-transfers/:id/complete
+ * @desc    Complete a transfer on or after its effective date: force-transfer the tokens on
+ *          tokenized structures, then move the commitment and capital account balances to the
+ *          transferee and rebase every LP's ownership. The transfer is claimed ('completing')
+ *          first and the token transaction recorded before it is sent, so a retry resumes it
+ *          instead of sending the tokens again.
+ * @access  Private (requires authentication, Root/Admin only)
+ * @body    { tokenAmount?: number - Tokens to transfer (defaults to the transferred share of the transferor's balance), notes?: string }
+ */
+router.post('/:id/complete', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { transfer, structure } = await findTransferForRequest(req);
+  const { tokenAmount, notes } = req.body || {};
+
+  const staleBefore = new Date(Date.now() - LpTransfer.COMPLETING_TIMEOUT_MINUTES * 60 * 1000).toISOString();
+  const isStaleClaim = transfer.status === 'completing' && new Date(transfer.updatedAt) < new Date(staleBefore);
+
+  validate(transfer.status !== 'completing' || isStaleClaim, 'Transfer is already being completed');
+  validate(
+    ['kyc_cleared', 'completion_pending'].includes(transfer.status) || isStaleClaim,
+    'Transfer needs GP consent and a cleared transferee KYC before completion'
+  );
+  validate(
+    toDateString(new Date()) >= toDateString(transfer.effectiveDate),
+    `Transfer cannot be completed before its effective date of ${toDateString(transfer.effectiveDate)}`
+  );
+
+  const errors = await validateTransfer(transfer, structure);
+  validate(errors.length === 0, `Transfer cannot be completed: ${errors.join('; ')}`);
+
+  // Tokenized structures (with a deployed token contract) move the tokens first
+  const contracts = await SmartContract.find({ structureId: structure.id });
+  const tokenContract = contracts.find(c => c.deploymentStatus === 'deployed' && c.contractAddress);
+  const rpcUrl = process.env.RPC_URL;
+  const privateKey = process.env.PORTAL_HQ_PRIVATE_KEY;
+  let transferor = null;
+  let transferee = null;
+
+  if (tokenContract) {
+    [transferor, transferee] = await Promise.all([
+      User.findById(transfer.transferorId),
+      User.findById(transfer.transfereeId)
+    ]);
+    validate(transferor?.walletAddress, 'Transferor has no wallet address to transfer tokens from');
+    validate(transferee?.walletAddress, 'Transferee has no wallet address to transfer tokens to');
+
+    if (!rpcUrl) {
+      return res.status(500).json({
+        success: false,
+        error: 'Configuration error',
+        message: 'RPC_URL not configured in environment variables'
+      });
+    }
+
+    if (!privateKey) {
+      return res.status(500).json({
+        success: false,
+        error: 'Configuration error',
+        message: 'PORTAL_HQ_PRIVATE_KEY not configured in environment variables'
+      });
+    }
+  }
+
+  // Claim the transfer so a concurrent request cannot move the tokens or balances a second time
+  const claimed = isStaleClaim
+    ? await LpTransfer.claimForCompletion(transfer.id, ['completing'], { updatedBefore: staleBefore })
+    : await LpTransfer.claimForCompletion(transfer.id, ['kyc_cleared', 'completion_pending']);
+  validate(claimed, 'Transfer is already being completed');
+
+  let tokenTransfer = claimed.tokenTransfer;
+
+  // A token transfer that already succeeded on an earlier attempt is not sent again
+  if (tokenContract && tokenTransfer?.status !== 'transferred') {
+    const { balances } = await previewTransfer(claimed);
+
+    try {
+      tokenTransfer = await forceTransferTokens({
+        contractAddress: tokenContract.contractAddress,
+        fromAddress: transferor.walletAddress,
+        toAddress: transferee.walletAddress,
+        commitmentTransferred: claimed.commitmentTransferred,
+        commitment: balances.commitment,
+        amount: tokenAmount,
+        rpcUrl,
+        privateKey,
+        previous: tokenTransfer?.transactionHash ? tokenTransfer : null,
+        onSubmitted: submitted => LpTransfer.findByIdAndUpdate(transfer.id, { tokenTransfer: submitted })
+      });
+    } catch (error) {
+      // A sent transaction that is not confirmed keeps its record and the transfer waits for a
+      // retry; otherwise nothing moved and the transfer is released
+      const update = error.tokenTransfer
+        ? { status: 'completion_pending', tokenTransfer: error.tokenTransfer }
+        : {
+          status: 'kyc_cleared',
+          tokenTransfer: {
+            contractAddress: tokenContract.contractAddress,
+            fromAddress: transferor.walletAddress,
+            toAddress: transferee.walletAddress,
+            status: 'failed',
+            error: error.message
+          }
+        };
+      await LpTransfer.findByIdAndUpdate(transfer.id, update);
+      validate(false, `Token transfer failed: ${error.message}`);
+    }
+
+    // Record the confirmed token transfer before any balance moves
+    await LpTransfer.findByIdAndUpdate(transfer.id, { tokenTransfer });
+  }
+
+  const actor = await getActor(req);
+  let completed;
+  try {
+    completed = await completeTransfer(transfer, { ...actor, notes, tokenTransfer });
+  } catch (error) {
+    await LpTransfer.findByIdAndUpdate(transfer.id, {
+      status: tokenTransfer?.status === 'transferred' ? 'completion_pending' : 'kyc_cleared'
+    });
+    throw error;
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'LP transfer completed successfully',
+    data: completed
+  });
+}));
+
+/**
+ * @route   POST /api/lp-transfers/:id/reject
+ * @desc    Reject an open transfer
+ * @access  Private (requires authentication, Root/Admin only)
+ * @body    { reason: string }
+ */
+router.post('/:id/reject', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { transfer } = await findTransferForRequest(req);
+  const { reason } = req.body || {};
+
+  validate(LpTransfer.OPEN_STATUSES.includes(transfer.status), `Transfer is already ${transfer.status}`);
+  validate(reason?.trim(), 'A rejection reason is required');
+
+  const actor = await getActor(req);
+  const updated = await updateTransferStatus(transfer, 'transfer_rejected', {
+    status: 'rejected',
+    rejectionReason: reason.trim()
+  }, { ...actor, notes: reason.trim() });
+
+  res.status(200).json({
+    success: true,
+    message: 'LP transfer rejected',
+    data: updated
+  });
+}));
+
+/**
+ * @route   POST /api/lp-transfers/:id/cancel
+ * @desc    Cancel an open transfer (withdrawn by the parties)
+ * @access  Private (requires authentication, Root/Admin only)
+ * @body    { notes?: string }
+ */
+router.post('/:id/cancel', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { transfer } = await findTransferForRequest(req);
+  validate(LpTransfer.OPEN_STATUSES.includes(transfer.status), `Transfer is already ${transfer.status}`);
+
+  const actor = await getActor(req);
+  const updated = await updateTransferStatus(transfer, 'transfer_cancelled', {
+    status: 'cancelled'
+  }, { ...actor, notes: req.body?.notes });
+
+  res.status(200).json({
+    success: true,
+    message: 'LP transfer cancelled',
+    data: updated
+  });
+}));
+
+/**
+ * @route   GET /api/lp-transfers/:id/instrument
+ * @desc    Generate the instrument of transfer PDF (open transfers are marked as drafts)
+ * @access  Private (requires authentication, Root/Admin only)
+ * @query   firmName
+ */
+router.get('/:id/instrument', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId } = getUserContext(req);
+  const { transfer, structure } = await findTransferForRequest(req);
+  validate(!['rejected', 'cancelled'].includes(transfer.status), `Transfer is ${transfer.status}`);
+
+  const defaultFirmName = await getFirmNameForUser(userId);
+  const { firmName = defaultFirmName } = req.query;
+
+  const [transferor, transferee] = await Promise.all([
+    User.findById(transfer.transferorId).catch(() => null),
+    User.findById(transfer.transfereeId).catch(() => null)
+  ]);
+
+  // Open transfers show the balances as they would move today
+  const balances = transfer.status === 'completed' ? transfer.balances : (await previewTransfer(transfer)).moved;
+
+  const pdfBuffer = await generateTransferInstrumentPDF(transfer, structure, { transferor, transferee }, { firmName, balances });
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="Instrument_of_Transfer_${toDateString(transfer.effectiveDate)}.pdf"`);
+  res.setHeader('Content-Length', pdfBuffer.length);
+
+  res.send(pdfBuffer);
+}));
+
+/**
+ * @route   GET /api/lp-transfers/:id/documents/:investorId
+ * @desc    Generate the transferor's or transferee's transfer confirmation PDF
+ * @access  Private (requires authentication, Root/Admin only)
+ * @query   firmName
+ */
+router.get('/:id/documents/:investorId', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId } = getUserContext(req);
+  const { transfer, structure } = await findTransferForRequest(req);
+  validate(transfer.status === 'completed', 'Transfer confirmations are available once the transfer is completed');
+
+  const { investorId } = req.params;
+  validate([transfer.transferorId, transfer.transfereeId].includes(investorId), 'Investor is not a party to this transfer');
+  const role = investorId === transfer.transferorId ? 'transferor' : 'transferee';
+
+  const [investor, counterparty, structureInvestor] = await Promise.all([
+    User.findById(investorId),
+    User.findById(role === 'transferor' ? transfer.transfereeId : transfer.transferorId).catch(() => null),
+    StructureInvestor.findByUserAndStructure(investorId, structure.id)
+  ]);
+  const defaultFirmName = await getFirmNameForUser(userId);
+  const { firmName = defaultFirmName } = req.query;
+
+  const pdfBuffer = await generateTransferConfirmationPDF(transfer, structure, investor, {
+    firmName,
+    role,
+    counterparty,
+    commitment: structureInvestor?.commitment || 0
+  });
+
+  const investorNameClean = ([investor?.firstName, investor?.lastName].filter(Boolean).join(' ') || 'Investor').replace(/\s+/g, '_');
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="Transfer_Confirmation_${investorNameClean}.pdf"`);
+  res.setHeader('Content-Length', pdfBuffer.length);
+
+  res.send(pdfBuffer);
+}));
+
+/**
+ * @route   GET /api/lp-transfers/health
+ * @desc    Health check for LP Transfer API routes
+ * @access  Public
+ */
+router.get('/health', (_req, res) => {
+  res.json({
+    service: 'LP Transfer API',
+    status: 'operational',
+    timestamp: new Date().toISOString()
+  });
+});
+
+module.exports = router;
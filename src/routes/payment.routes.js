@@ -20,6 +20,13 @@ const router = express.Router();
  */
 async function getOrCreateStructureInvestor(userId, structureId, commitment) {
   try {
+    // No admissions or commitment changes once the final close has locked the commitment base
+    const structure = await Structure.findById(structureId);
+    if (structure?.commitmentsLocked) {
+      console.warn(`[Payment] Structure ${structureId} commitment base is locked; commitment of user ${userId} not updated`);
+      return null;
+    }
+
     // Check if structure investor record already exists for this user+structure
     const existingRecord = await StructureInvestor.findByUserAndStructure(userId, structureId);
 
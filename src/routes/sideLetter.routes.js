@@ -0,0 +1,500 @@
+/**
+ * Side Letter API Routes
+ * Side letters as structured provisions (fee discounts, reporting, excusal, co-invest and
+ * transfer rights) with MFN applicability rules, the MFN entitlements they give other LPs and
+ * the election window in which LPs elect or decline them
+ */
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const { catchAsync, validate } = require('../middleware/errorHandler');
+const { SideLetter, MfnElection, Structure, User } = require('../models/supabase');
+const StructureInvestor = require('../models/supabase/structureInvestor');
+const { requireInvestmentManagerAccess, getUserContext, ROLES } = require('../middleware/rbac');
+const {
+  validateProvision,
+  validateSideLetter,
+  getEffectiveProvisions,
+  getStructureEntitlements,
+  openElectionWindow,
+  closeElectionWindow,
+  decideElection
+} = require('../services/sideLetterService');
+const { toDateString } = require('../utils/businessDays');
+
+const router = express.Router();
+
+/**
+ * Load a structure the user may manage side letters for
+ */
+async function findStructureForUser(structureId, req) {
+  const { userId, userRole } = getUserContext(req);
+
+  const structure = await Structure.findById(structureId);
+  validate(structure, 'Structure not found');
+
+  // Root can access any structure, Admin can only access their own
+  if (userRole === ROLES.ADMIN) {
+    validate(structure.createdBy === userId, 'Unauthorized access to structure');
+  }
+
+  return structure;
+}
+
+/**
+ * Load a side letter and its structure
+ */
+async function findSideLetterForRequest(req) {
+  const sideLetter = await SideLetter.findById(req.params.id);
+  validate(sideLetter, 'Side letter not found');
+
+  const structure = await findStructureForUser(sideLetter.structureId, req);
+  return { sideLetter, structure };
+}
+
+/**
+ * Acting user for the approval history
+ */
+async function getActor(req) {
+  const { userId } = getUserContext(req);
+  const user = await User.findById(userId);
+  return { userId, userName: user?.name || 'Unknown' };
+}
+
+/**
+ * Pick the provision fields accepted from a request body
+ */
+function provisionFromBody(body = {}) {
+  return {
+    provisionType: body.provisionType,
+    description: body.description?.trim(),
+    terms: body.terms || {},
+    applicability: body.applicability || { mfn: 'commitment_tier' }
+  };
+}
+
+/**
+ * @route   POST /api/side-letters/structure/:structureId
+ * @desc    Record a side letter with an LP and its provisions
+ * @access  Private (requires authentication, Root/Admin only)
+ * @body    {
+ *   userId: string - LP the side letter is agreed with,
+ *   title?: string,
+ *   status?: 'draft' | 'executed',
+ *   effectiveDate?: string - Required when executed,
+ *   documentUrl?: string,
+ *   notes?: string,
+ *   provisions: [{
+ *     provisionType: 'fee_discount' | 'reporting_rights' | 'excusal_rights' | 'co_invest_rights' | 'transfer_rights',
+ *     description: string,
+ *     terms: Object - e.g. { discountPercent } for fee discounts,
+ *     applicability?: { mfn: 'commitment_tier' | 'all_investors' | 'excluded', minCommitment?: number, investorTypes?: string[] }
+ *   }]
+ * }
+ */
+router.post('/structure/:structureId', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId } = getUserContext(req);
+  const structure = await findStructureForUser(req.params.structureId, req);
+  const { userId: investorId, title, status = 'draft', effectiveDate, documentUrl, notes, provisions = [] } = req.body || {};
+
+  validate(Array.isArray(provisions), 'provisions must be a list');
+  validate(status !== 'terminated', 'A side letter cannot be created terminated');
+  validate(!effectiveDate || !isNaN(new Date(effectiveDate).getTime()), 'effectiveDate must be a valid date');
+
+  const investor = investorId ? await StructureInvestor.findByUserAndStructure(investorId, structure.id) : undefined;
+  const sideLetter = {
+    userId: investorId,
+    status,
+    effectiveDate: effectiveDate ? toDateString(effectiveDate) : null,
+    provisions: provisions.map(provisionFromBody)
+  };
+
+  const errors = validateSideLetter(sideLetter, { investor: investor || null });
+  validate(errors.length === 0, `Side letter cannot be recorded: ${errors.join('; ')}`);
+
+  const created = await SideLetter.create({
+    ...sideLetter,
+    structureId: structure.id,
+    title: title?.trim() || null,
+    executedAt: status === 'executed' ? new Date().toISOString() : null,
+    documentUrl: documentUrl || null,
+    notes: notes?.trim() || null,
+    createdBy: userId
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Side letter recorded successfully',
+    data: created
+  });
+}));
+
+/**
+ * @route   GET /api/side-letters/structure/:structureId
+ * @desc    Get a structure's side letters with their provisions
+ * @access  Private (requires authentication, Root/Admin only)
+ * @query   status, userId
+ */
+router.get('/structure/:structureId', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const structure = await findStructureForUser(req.params.structureId, req);
+  const { status, userId } = req.query;
+
+  let sideLetters = await SideLetter.findByStructureId(structure.id);
+  if (status) {
+    sideLetters = sideLetters.filter(letter => letter.status === status);
+  }
+  if (userId) {
+    sideLetters = sideLetters.filter(letter => letter.userId === userId);
+  }
+
+  res.status(200).json({
+    success: true,
+    count: sideLetters.length,
+    data: sideLetters
+  });
+}));
+
+/**
+ * @route   GET /api/side-letters/structure/:structureId/mfn/entitlements
+ * @desc    Provisions each LP may elect under its MFN rights, and why the others do not apply
+ * @access  Private (requires authentication, Root/Admin only)
+ */
+router.get('/structure/:structureId/mfn/entitlements', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const structure = await findStructureForUser(req.params.structureId, req);
+  const { entitlements } = await getStructureEntitlements(structure.id);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      structureId: structure.id,
+      window: structure.mfnElectionWindow,
+      investors: entitlements
+    }
+  });
+}));
+
+/**
+ * @route   POST /api/side-letters/structure/:structureId/mfn/window/open
+ * @desc    Open the MFN election window, offering each LP the provisions it is entitled to
+ * @access  Private (requires authentication, Root/Admin only)
+ * @body    { closesOn: string - Last day LPs can elect }
+ */
+router.post('/structure/:structureId/mfn/window/open', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const structure = await findStructureForUser(req.params.structureId, req);
+  const { closesOn } = req.body || {};
+
+  validate(closesOn && !isNaN(new Date(closesOn).getTime()), 'closesOn must be a valid date');
+  validate(structure.mfnElectionWindow?.status !== 'open', 'An MFN election window is already open');
+  validate(toDateString(closesOn) > toDateString(new Date()), 'The election window must close after today');
+
+  const actor = await getActor(req);
+  const { window, offers } = await openElectionWindow(structure, { closesOn: toDateString(closesOn), ...actor });
+
+  res.status(200).json({
+    success: true,
+    message: `MFN election window opened with ${offers.length} offer(s)`,
+    data: { window, offers }
+  });
+}));
+
+/**
+ * @route   POST /api/side-letters/structure/:structureId/mfn/window/close
+ * @desc    Close the MFN election window; undecided offers lapse
+ * @access  Private (requires authentication, Root/Admin only)
+ */
+router.post('/structure/:structureId/mfn/window/close', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const structure = await findStructureForUser(req.params.structureId, req);
+
+  validate(structure.mfnElectionWindow?.status === 'open', 'No MFN election window is open');
+
+  const actor = await getActor(req);
+  const { window, lapsed } = await closeElectionWindow(structure, actor);
+
+  res.status(200).json({
+    success: true,
+    message: `MFN election window closed, ${lapsed.length} offer(s) lapsed`,
+    data: { window, lapsed }
+  });
+}));
+
+/**
+ * @route   GET /api/side-letters/structure/:structureId/mfn/elections
+ * @desc    Get a structure's MFN offers and elections
+ * @access  Private (requires authentication, Root/Admin only)
+ * @query   status, userId
+ */
+router.get('/structure/:structureId/mfn/elections', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const structure = await findStructureForUser(req.params.structureId, req);
+  const { status, userId } = req.query;
+
+  const elections = await MfnElection.findByStructureId(structure.id, { status, userId });
+
+  res.status(200).json({
+    success: true,
+    count: elections.length,
+    data: elections
+  });
+}));
+
+/**
+ * @route   GET /api/side-letters/structure/:structureId/investors/:userId/terms
+ * @desc    Provisions that apply to an LP: its own side letters and its MFN elections
+ * @access  Private (requires authentication, Root/Admin only)
+ */
+router.get('/structure/:structureId/investors/:userId/terms', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const structure = await findStructureForUser(req.params.structureId, req);
+  const { userId } = req.params;
+
+  const [sideLetters, elections] = await Promise.all([
+    SideLetter.findByStructureId(structure.id),
+    MfnElection.findByStructureId(structure.id, { userId })
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      structureId: structure.id,
+      userId,
+      ...getEffectiveProvisions({ sideLetters, elections, userId })
+    }
+  });
+}));
+
+/**
+ * @route   GET /api/side-letters/me/mfn-elections
+ * @desc    Get the authenticated LP's MFN offers and elections with the provisions offered
+ * @access  Private (requires authentication, Investor role only)
+ * @query   structureId (required)
+ */
+router.get('/me/mfn-elections', authenticate, catchAsync(async (req, res) => {
+  const { userId, userRole } = getUserContext(req);
+  const { structureId } = req.query;
+
+  validate(userRole === ROLES.INVESTOR, 'Access denied. This endpoint is only accessible to investors (role 3)');
+  validate(structureId, 'structureId is required');
+
+  const structure = await Structure.findById(structureId);
+  validate(structure, 'Structure not found');
+
+  const [elections, provisions] = await Promise.all([
+    MfnElection.findByStructureId(structureId, { userId }),
+    SideLetter.findProvisionsByStructureId(structureId)
+  ]);
+  const byId = new Map(provisions.map(p => [p.id, p]));
+
+  // Grantees stay anonymous to other LPs
+  const data = elections.map(election => {
+    const provision = byId.get(election.provisionId);
+    return {
+      ...election,
+      provision: provision ? {
+        provisionType: provision.provisionType,
+        description: provision.description,
+        terms: provision.terms
+      } : null
+    };
+  });
+
+  res.status(200).json({
+    success: true,
+    count: data.length,
+    data: {
+      window: structure.mfnElectionWindow,
+      elections: data
+    }
+  });
+}));
+
+/**
+ * @route   POST /api/side-letters/mfn-elections/:electionId/decision
+ * @desc    Elect or decline an offered provision while the election window is open
+ * @access  Private (requires authentication, the LP itself or Root/Admin on its behalf)
+ * @body    {
+ *   decision: 'elected' | 'declined',
+ *   effectiveDate?: string - Root/Admin only, defaults to the election date,
+ *   notes?: string
+ * }
+ */
+router.post('/mfn-elections/:electionId/decision', authenticate, catchAsync(async (req, res) => {
+  const { userId, userRole } = getUserContext(req);
+  const { decision, effectiveDate, notes } = req.body || {};
+
+  const election = await MfnElection.findById(req.params.electionId);
+  validate(election, 'MFN election not found');
+
+  let structure;
+  if (userRole === ROLES.INVESTOR) {
+    validate(election.userId === userId, 'Unauthorized access to MFN election');
+    validate(!effectiveDate, 'Investors cannot set the effective date of an election');
+    structure = await Structure.findById(election.structureId);
+    validate(structure, 'Structure not found');
+  } else {
+    validate([ROLES.ROOT, ROLES.ADMIN].includes(userRole), 'Access denied. Only the investor or its fund manager can record an election');
+    structure = await findStructureForUser(election.structureId, req);
+  }
+
+  validate(['elected', 'declined'].includes(decision), 'decision must be elected or declined');
+  validate(!effectiveDate || !isNaN(new Date(effectiveDate).getTime()), 'effectiveDate must be a valid date');
+
+  const actor = await getActor(req);
+  const updated = await decideElection(election, structure, {
+    decision,
+    effectiveDate: effectiveDate ? toDateString(effectiveDate) : undefined,
+    notes: notes?.trim() || null,
+    ...actor
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Provision ${decision}`,
+    data: updated
+  });
+}));
+
+/**
+ * @route   GET /api/side-letters/:id
+ * @desc    Get a side letter with its provisions and the MFN elections made on them
+ * @access  Private (requires authentication, Root/Admin only)
+ */
+router.get('/:id', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { sideLetter } = await findSideLetterForRequest(req);
+
+  const provisionIds = new Set(sideLetter.provisions.map(p => p.id));
+  const elections = (await MfnElection.findByStructureId(sideLetter.structureId))
+    .filter(e => provisionIds.has(e.provisionId));
+
+  res.status(200).json({
+    success: true,
+    data: { ...sideLetter, elections }
+  });
+}));
+
+/**
+ * @route   PUT /api/side-letters/:id
+ * @desc    Update a side letter; status moves draft -> executed -> terminated
+ * @access  Private (requires authentication, Root/Admin only)
+ * @body    { title?, status?, effectiveDate?, documentUrl?, notes? }
+ */
+router.put('/:id', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { sideLetter } = await findSideLetterForRequest(req);
+  const { title, status, effectiveDate, documentUrl, notes } = req.body || {};
+
+  const transitions = { draft: ['draft', 'executed'], executed: ['executed', 'terminated'], terminated: ['terminated'] };
+  validate(!status || SideLetter.STATUSES.includes(status), `Status must be one of: ${SideLetter.STATUSES.join(', ')}`);
+  validate(!status || transitions[sideLetter.status].includes(status), `Side letter cannot move from ${sideLetter.status} to ${status}`);
+  validate(!effectiveDate || !isNaN(new Date(effectiveDate).getTime()), 'effectiveDate must be a valid date');
+  validate(!effectiveDate || sideLetter.status === 'draft', 'The effective date of an executed side letter cannot change');
+
+  const updates = {};
+  if (title !== undefined) updates.title = title?.trim() || null;
+  if (documentUrl !== undefined) updates.documentUrl = documentUrl || null;
+  if (notes !== undefined) updates.notes = notes?.trim() || null;
+  if (effectiveDate) updates.effectiveDate = toDateString(effectiveDate);
+
+  if (status && status !== sideLetter.status) {
+    updates.status = status;
+    if (status === 'executed') {
+      const errors = validateSideLetter({ ...sideLetter, ...updates });
+      validate(errors.length === 0, `Side letter cannot be executed: ${errors.join('; ')}`);
+      updates.executedAt = new Date().toISOString();
+    }
+    if (status === 'terminated') {
+      updates.terminatedAt = new Date().toISOString();
+    }
+  }
+
+  const updated = await SideLetter.findByIdAndUpdate(sideLetter.id, updates);
+
+  res.status(200).json({
+    success: true,
+    message: 'Side letter updated successfully',
+    data: { ...updated, provisions: sideLetter.provisions }
+  });
+}));
+
+/**
+ * @route   POST /api/side-letters/:id/provisions
+ * @desc    Add a provision to a draft side letter
+ * @access  Private (requires authentication, Root/Admin only)
+ * @body    { provisionType, description, terms, applicability? }
+ */
+router.post('/:id/provisions', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { sideLetter } = await findSideLetterForRequest(req);
+  validate(sideLetter.status === 'draft', 'Provisions can only be added to a draft side letter');
+
+  const provision = provisionFromBody(req.body);
+  const errors = validateProvision(provision);
+  validate(errors.length === 0, `Provision cannot be added: ${errors.join('; ')}`);
+
+  const [created] = await SideLetter.addProvisions(sideLetter, [provision]);
+
+  res.status(201).json({
+    success: true,
+    message: 'Provision added successfully',
+    data: created
+  });
+}));
+
+/**
+ * @route   PUT /api/side-letters/:id/provisions/:provisionId
+ * @desc    Update a provision of a draft side letter
+ * @access  Private (requires authentication, Root/Admin only)
+ * @body    { provisionType?, description?, terms?, applicability? }
+ */
+router.put('/:id/provisions/:provisionId', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { sideLetter } = await findSideLetterForRequest(req);
+  validate(sideLetter.status === 'draft', 'Provisions can only be changed on a draft side letter');
+
+  const existing = sideLetter.provisions.find(p => p.id === req.params.provisionId);
+  validate(existing, 'Provision not found');
+
+  const { provisionType, description, terms, applicability } = req.body || {};
+  const provision = {
+    provisionType: provisionType ?? existing.provisionType,
+    description: description !== undefined ? description?.trim() : existing.description,
+    terms: terms ?? existing.terms,
+    applicability: applicability ?? existing.applicability
+  };
+  const errors = validateProvision(provision);
+  validate(errors.length === 0, `Provision cannot be updated: ${errors.join('; ')}`);
+
+  const updated = await SideLetter.updateProvision(existing.id, provision);
+
+  res.status(200).json({
+    success: true,
+    message: 'Provision updated successfully',
+    data: updated
+  });
+}));
+
+/**
+ * @route   DELETE /api/side-letters/:id/provisions/:provisionId
+ * @desc    Remove a provision from a draft side letter
+ * @access  Private (requires authentication, Root/Admin only)
+ */
+router.delete('/:id/provisions/:provisionId', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { sideLetter } = await findSideLetterForRequest(req);
+  validate(sideLetter.status === 'draft', 'Provisions can only be removed from a draft side letter');
+  validate(sideLetter.provisions.some(p => p.id === req.params.provisionId), 'Provision not found');
+
+  await SideLetter.deleteProvision(req.params.provisionId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Provision removed successfully'
+  });
+}));
+
+/**
+ * @route   GET /api/side-letters/health
+ * @desc    Health check for Side Letter API routes
+ * @access  Public
+ */
+router.get('/health', (_req, res) => {
+  res.json({
+    service: 'Side Letter API',
+    status: 'operational',
+    timestamp: new Date().toISOString()
+  });
+});
+
+module.exports = router;
@@ -10,6 +10,7 @@ const { catchAsync } = require('../middleware/errorHandler');
 const stripeService = require('../services/stripe.service');
 const { User } = require('../models/supabase');
 const { upsertPlatformSubscription, getPlatformSubscription } = require('../services/subscriptionLimits.service');
+const { handleTransferEvent, handlePayoutEvent } = require('../services/distributionPayoutService');
 
 // Minimum subscription period in months
 const MINIMUM_SUBSCRIPTION_MONTHS = 12;
@@ -1247,19 +1248,22 @@ router.post('/webhook-connect', catchAsync(async (req, res) => {
       case 'transfer.created': {
         const transfer = event.data.object;
         console.log(`[Stripe Connect Webhook] Transfer created: ${transfer.id} to ${transfer.destination} for ${transfer.amount} ${transfer.currency}`);
+        await handleTransferEvent(event);
         break;
       }
 
       case 'transfer.failed': {
         const transfer = event.data.object;
         console.error(`[Stripe Connect Webhook] Transfer failed: ${transfer.id}`);
-        // TODO: Handle failed transfer - notify admin, retry, etc.
+        // Distribution payouts are marked failed and retried by the next payout run
+        await handleTransferEvent(event);
         break;
       }
 
       case 'transfer.reversed': {
         const transfer = event.data.object;
         console.warn(`[Stripe Connect Webhook] Transfer reversed: ${transfer.id}`);
+        await handleTransferEvent(event);
         break;
       }
 
@@ -1284,6 +1288,12 @@ router.post('/webhook-connect', catchAsync(async (req, res) => {
           console.log(`[Stripe Connect Webhook] Payout completed for user ${user.id}: ${payout.amount / 100} ${payout.currency.toUpperCase()}`);
           // TODO: Send notification to investor about payout
         }
+
+        // Settle distribution payouts transferred to this account
+        const settled = await handlePayoutEvent(event);
+        if (settled.length > 0) {
+          console.log(`[Stripe Connect Webhook] Settled ${settled.length} distribution payout(s) for ${accountId}`);
+        }
         break;
       }
 
@@ -1297,6 +1307,9 @@ router.post('/webhook-connect', catchAsync(async (req, res) => {
           console.error(`[Stripe Connect Webhook] Payout failed for user ${user.id}: ${payout.failure_message}`);
           // TODO: Notify investor about failed payout
         }
+
+        // Report distribution payouts transferred to this account as failed
+        await handlePayoutEvent(event);
         break;
       }
 
@@ -5,8 +5,10 @@
 const express = require('express');
 const { authenticate } = require('../middleware/auth');
 const { catchAsync, validate } = require('../middleware/errorHandler');
-const { Structure, StructureAdmin, User, CapitalCall, StructureInvestor, Notification, NotificationSettings } = require('../models/supabase');
+const { Structure, StructureAdmin, User, CapitalCall, FxRate, Notification, NotificationSettings } = require('../models/supabase');
+const StructureInvestor = require('../models/supabase/structureInvestor');
 const SmartContract = require('../models/supabase/smartContract');
+const ApprovalHistory = require('../models/supabase/approvalHistory');
 const {
   requireInvestmentManagerAccess,
   getUserContext,
@@ -17,6 +19,17 @@ const {
 } = require('../middleware/rbac');
 const { handleStructureBannerUpload } = require('../middleware/upload');
 const { uploadToSupabase } = require('../utils/fileUpload');
+const { validateTreatyRates } = require('../utils/withholding');
+const {
+  getLifecycle,
+  validateTransition,
+  validateExtensionRequest,
+  hasCompletedFirstClose,
+  transitionStage,
+  requestExtension,
+  approveExtension,
+  rejectExtension
+} = require('../services/structureLifecycleService');
 
 const router = express.Router();
 
@@ -147,6 +160,7 @@ router.post('/', authenticate, requireInvestmentManagerAccess, handleStructureBa
     inceptionDate,
     termYears,
     extensionYears,
+    investmentPeriodYears,
     gp,
     fundAdmin,
     legalCounsel,
@@ -240,7 +254,19 @@ router.post('/', authenticate, requireInvestmentManagerAccess, handleStructureBa
     feeRateOnNic,
     feeRateOnUnfunded,
     gpPercentage,
-    maxInvestorRestriction
+    maxInvestorRestriction,
+    // Capital Call Default Policy
+    defaultGracePeriodDays,
+    defaultCurePeriodDays,
+    lateInterestRate,
+    defaultPenaltyRate,
+    defaultRemedies,
+    // Subsequent-Close Equalization
+    equalizationInterestRate,
+    // Investor Excuse/Exclusion
+    excusalReallocationRule,
+    // GP Clawback
+    clawbackTaxRate
   } = req.body;
 
   // Validate required fields
@@ -303,6 +329,7 @@ router.post('/', authenticate, requireInvestmentManagerAccess, handleStructureBa
     inceptionDate: inceptionDate || new Date().toISOString(),
     termYears: sanitizeNumber(termYears, 10),
     extensionYears: sanitizeNumber(extensionYears, 2),
+    investmentPeriodYears: sanitizeNumber(investmentPeriodYears, null),
     gp: gp?.trim() || '',
     fundAdmin: fundAdmin?.trim() || '',
     legalCounsel: legalCounsel?.trim() || '',
@@ -398,6 +425,18 @@ router.post('/', authenticate, requireInvestmentManagerAccess, handleStructureBa
     feeRateOnUnfunded: sanitizeNumber(feeRateOnUnfunded, null),
     gpPercentage: sanitizeNumber(gpPercentage, null),
     maxInvestorRestriction: sanitizeNumber(maxInvestorRestriction, null),
+    // Capital Call Default Policy
+    defaultGracePeriodDays: sanitizeNumber(defaultGracePeriodDays, 0),
+    defaultCurePeriodDays: sanitizeNumber(defaultCurePeriodDays, 10),
+    lateInterestRate: sanitizeNumber(lateInterestRate, 0),
+    defaultPenaltyRate: sanitizeNumber(defaultPenaltyRate, 0),
+    defaultRemedies: Array.isArray(defaultRemedies) ? defaultRemedies : undefined,
+    // Subsequent-Close Equalization
+    equalizationInterestRate: sanitizeNumber(equalizationInterestRate, 0),
+    // Investor Excuse/Exclusion
+    excusalReallocationRule: excusalReallocationRule || 'pro_rata_ownership',
+    // GP Clawback
+    clawbackTaxRate: sanitizeNumber(clawbackTaxRate, 0),
     createdBy: userId
   };
 
@@ -683,6 +722,7 @@ router.get('/:id/investors', authenticate, catchAsync(async (req, res) => {
       uncalledCapital: (si.commitment || 0) - calledCapital,
       feeDiscount: si.feeDiscount || 0,
       vatExempt: si.vatExempt || false,
+      paymentCurrency: si.paymentCurrency || structure.baseCurrency || null,
       customTerms: si.customTerms,
       status: si.status || 'active',
       // Include fundOwnerships array for compatibility with capital call wizard
@@ -710,6 +750,87 @@ router.get('/:id/investors', authenticate, catchAsync(async (req, res) => {
   });
 }));
 
+/**
+ * @route   PATCH /api/structures/:id/investors/:investorId/payment-currency
+ * @desc    Set the currency an investor pays calls and receives distributions in
+ * @access  Private (requires authentication, Root/Admin only)
+ * @body    { paymentCurrency } - ISO code, or null to use the structure base currency
+ */
+router.patch('/:id/investors/:investorId/payment-currency', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId, userRole } = getUserContext(req);
+  const { id, investorId } = req.params;
+  const { paymentCurrency = null } = req.body || {};
+
+  const structure = await Structure.findById(id);
+  validate(structure, 'Structure not found');
+
+  // Root can edit any structure, Admin can only edit assigned structures
+  if (userRole === ROLES.ADMIN) {
+    const canEdit = await canEditStructure(structure, userRole, userId, StructureAdmin);
+    validate(canEdit, 'Unauthorized access to structure');
+  }
+
+  const currency = paymentCurrency ? String(paymentCurrency).toUpperCase() : null;
+  validate(!currency || FxRate.CURRENCY_CODE_PATTERN.test(currency), 'paymentCurrency must be a 3-letter ISO currency code');
+
+  const structureInvestor = await StructureInvestor.findByUserAndStructure(investorId, id);
+  validate(structureInvestor, 'Investor not found in this structure');
+
+  // Paying in the base currency needs no FX snapshot
+  const updated = await StructureInvestor.findByIdAndUpdate(structureInvestor.id, {
+    paymentCurrency: currency === structure.baseCurrency ? null : currency
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Investor payment currency updated successfully',
+    data: {
+      ...updated,
+      paymentCurrency: updated.paymentCurrency || structure.baseCurrency || null
+    }
+  });
+}));
+
+/**
+ * @route   PATCH /api/structures/:id/investors/:investorId/withholding-treaty-rates
+ * @desc    Set an investor's treaty withholding rates, overriding the structure rates per income type
+ * @access  Private (requires authentication, Root/Admin only)
+ * @body    { withholdingTreatyRates } - { dividend, interest, capital_gain } in percent, or null to clear
+ */
+router.patch('/:id/investors/:investorId/withholding-treaty-rates', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId, userRole } = getUserContext(req);
+  const { id, investorId } = req.params;
+  const { withholdingTreatyRates = null } = req.body || {};
+
+  const structure = await Structure.findById(id);
+  validate(structure, 'Structure not found');
+
+  // Root can edit any structure, Admin can only edit assigned structures
+  if (userRole === ROLES.ADMIN) {
+    const canEdit = await canEditStructure(structure, userRole, userId, StructureAdmin);
+    validate(canEdit, 'Unauthorized access to structure');
+  }
+
+  const treatyError = validateTreatyRates(withholdingTreatyRates);
+  validate(!treatyError, treatyError);
+
+  const structureInvestor = await StructureInvestor.findByUserAndStructure(investorId, id);
+  validate(structureInvestor, 'Investor not found in this structure');
+
+  const rates = withholdingTreatyRates && Object.keys(withholdingTreatyRates).length > 0
+    ? Object.fromEntries(Object.entries(withholdingTreatyRates).map(([type, rate]) => [type, parseFloat(rate)]))
+    : null;
+  const updated = await StructureInvestor.findByIdAndUpdate(structureInvestor.id, {
+    withholdingTreatyRates: rates
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Investor withholding treaty rates updated successfully',
+    data: updated
+  });
+}));
+
 /**
  * @route   PUT /api/structures/:id
  * @desc    Update a structure (with optional banner image)
@@ -744,7 +865,7 @@ router.put('/:id', authenticate, requireInvestmentManagerAccess, handleStructure
   const allowedFields = [
     'name', 'description', 'status', 'subtype', 'totalCommitment', 'managementFee',
     'carriedInterest', 'hurdleRate', 'waterfallType', 'termYears',
-    'extensionYears', 'finalDate', 'gp', 'fundAdmin', 'legalCounsel',
+    'extensionYears', 'gp', 'fundAdmin', 'legalCounsel',
     'auditor', 'taxAdvisor', 'bankAccounts', 'baseCurrency',
     'taxJurisdiction', 'regulatoryStatus', 'investmentStrategy',
     'targetReturns', 'riskProfile', 'stage', 'performanceFee', 'performanceMethodology',
@@ -775,7 +896,18 @@ router.put('/:id', authenticate, requireInvestmentManagerAccess, handleStructure
     'managementFeeBase', 'gpCatchUpRate',
     // Proximity Dual-Rate Fee Fields
     'feeRateOnNic', 'feeRateOnUnfunded', 'gpPercentage',
-    'maxInvestorRestriction'
+    'maxInvestorRestriction',
+    // Capital Call Default Policy
+    'defaultGracePeriodDays', 'defaultCurePeriodDays', 'lateInterestRate',
+    'defaultPenaltyRate', 'defaultRemedies',
+    // Subsequent-Close Equalization
+    'equalizationInterestRate',
+    // Investor Excuse/Exclusion
+    'excusalReallocationRule',
+    // GP Clawback
+    'clawbackTaxRate',
+    // Lifecycle (the stage and the term end date only change through the lifecycle endpoints)
+    'investmentPeriodYears', 'investmentPeriodEndDate'
   ];
 
   // Fields that are numeric in the database and must not receive empty strings
@@ -793,7 +925,10 @@ router.put('/:id', authenticate, requireInvestmentManagerAccess, handleStructure
     'incomeDebtTaxRateLegalEntities', 'incomeEquityTaxRateLegalEntities',
     'gpCatchUpRate',
     'feeRateOnNic', 'feeRateOnUnfunded', 'gpPercentage',
-    'maxInvestorRestriction'
+    'maxInvestorRestriction',
+    'defaultGracePeriodDays', 'defaultCurePeriodDays', 'lateInterestRate',
+    'defaultPenaltyRate', 'equalizationInterestRate', 'clawbackTaxRate',
+    'investmentPeriodYears'
   ]);
 
   const sanitizeUpdateNumber = (value) => {
@@ -874,6 +1009,156 @@ router.patch('/:id/financials', authenticate, requireInvestmentManagerAccess, ca
   });
 }));
 
+/**
+ * Load a structure the user may manage the lifecycle of
+ */
+async function findEditableStructure(req) {
+  const { userId, userRole } = getUserContext(req);
+
+  const structure = await Structure.findById(req.params.id);
+  validate(structure, 'Structure not found');
+
+  // Root can edit any structure, Admin can only edit assigned structures
+  if (userRole === ROLES.ADMIN) {
+    const canEdit = await canEditStructure(structure, userRole, userId, StructureAdmin);
+    validate(canEdit, 'Unauthorized access to structure');
+  }
+
+  return structure;
+}
+
+/**
+ * @route   GET /api/structures/:id/lifecycle
+ * @desc    Lifecycle stage, term dates, upcoming milestones, pending extension and lifecycle history
+ * @access  Private (requires authentication, Root/Admin only)
+ */
+router.get('/:id/lifecycle', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const structure = await findEditableStructure(req);
+  const history = await ApprovalHistory.findByEntity('structure', structure.id);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...getLifecycle(structure),
+      history
+    }
+  });
+}));
+
+/**
+ * @route   POST /api/structures/:id/lifecycle/transition
+ * @desc    Move a structure to its next lifecycle stage
+ * @access  Private (requires authentication, Root/Admin only)
+ * @body    { toStage: 'investment_period' | 'harvesting' | 'liquidation', notes?: string }
+ */
+router.post('/:id/lifecycle/transition', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId } = getUserContext(req);
+  const structure = await findEditableStructure(req);
+  const { toStage, notes } = req.body || {};
+
+  const errors = validateTransition(structure, toStage, {
+    hasFirstClose: await hasCompletedFirstClose(structure.id)
+  });
+  validate(errors.length === 0, errors.join('; '));
+
+  const user = await User.findById(userId);
+  const updatedStructure = await transitionStage(structure, toStage, {
+    userId,
+    userName: user?.name || 'Unknown',
+    notes
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Structure moved to ${toStage}`,
+    data: getLifecycle(updatedStructure)
+  });
+}));
+
+/**
+ * @route   POST /api/structures/:id/lifecycle/extension-request
+ * @desc    Request a term extension (requires Root approval)
+ * @access  Private (requires authentication, Root/Admin only)
+ * @body    { years: number, reason?: string }
+ */
+router.post('/:id/lifecycle/extension-request', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId } = getUserContext(req);
+  const structure = await findEditableStructure(req);
+  const years = parseFloat(req.body?.years);
+  const reason = req.body?.reason?.trim() || null;
+
+  const errors = validateExtensionRequest(structure, years);
+  validate(errors.length === 0, errors.join('; '));
+
+  const user = await User.findById(userId);
+  const updatedStructure = await requestExtension(structure, {
+    years,
+    reason,
+    userId,
+    userName: user?.name || 'Unknown'
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Term extension submitted for approval',
+    data: getLifecycle(updatedStructure)
+  });
+}));
+
+/**
+ * @route   POST /api/structures/:id/lifecycle/extension-request/approve
+ * @desc    Approve the pending term extension: extend the term and enter the extension stage
+ * @access  Private (requires authentication, Root only)
+ * @body    { notes?: string }
+ */
+router.post('/:id/lifecycle/extension-request/approve', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId, userRole } = getUserContext(req);
+  validate(userRole === ROLES.ROOT, 'Only Root users can approve term extensions');
+
+  const structure = await findEditableStructure(req);
+  validate(structure.extensionRequest, 'No extension request is pending');
+
+  const user = await User.findById(userId);
+  const updatedStructure = await approveExtension(structure, {
+    userId,
+    userName: user?.name || 'Unknown',
+    notes: req.body?.notes
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Term extension approved',
+    data: getLifecycle(updatedStructure)
+  });
+}));
+
+/**
+ * @route   POST /api/structures/:id/lifecycle/extension-request/reject
+ * @desc    Reject the pending term extension
+ * @access  Private (requires authentication, Root only)
+ * @body    { notes?: string }
+ */
+router.post('/:id/lifecycle/extension-request/reject', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId, userRole } = getUserContext(req);
+  validate(userRole === ROLES.ROOT, 'Only Root users can reject term extensions');
+
+  const structure = await findEditableStructure(req);
+  validate(structure.extensionRequest, 'No extension request is pending');
+
+  const user = await User.findById(userId);
+  const updatedStructure = await rejectExtension(structure, {
+    userId,
+    userName: user?.name || 'Unknown',
+    notes: req.body?.notes
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Term extension rejected',
+    data: getLifecycle(updatedStructure)
+  });
+}));
+
 /**
  * @route   POST /api/structures/:id/admins
  * @desc    Add admin or support user to structure
@@ -1013,6 +1298,38 @@ router.delete('/:id', authenticate, requireInvestmentManagerAccess, catchAsync(a
   });
 }));
 
+/**
+ * @route   POST /api/structures/trigger-lifecycle-notices
+ * @desc    Manually trigger the term milestone notice job (optional asOfDate in body)
+ * @access  Private (requires authentication, Root only)
+ */
+router.post('/trigger-lifecycle-notices', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userRole } = getUserContext(req);
+  const { asOfDate } = req.body || {};
+
+  // Only Root users can trigger this
+  validate(userRole === ROLES.ROOT, 'Only administrators can trigger lifecycle jobs');
+  validate(!asOfDate || /^\d{4}-\d{2}-\d{2}$/.test(asOfDate), 'asOfDate must be YYYY-MM-DD');
+
+  try {
+    const { runStructureLifecycleJob } = require('../jobs/structureLifecycle');
+    const result = await runStructureLifecycleJob(asOfDate);
+
+    res.status(200).json({
+      success: true,
+      message: 'Structure lifecycle job triggered successfully',
+      data: result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run lifecycle job',
+      error: error.message
+    });
+  }
+}));
+
 /**
  * @route   GET /api/structures/health
  * @desc    Health check for Structure API routes
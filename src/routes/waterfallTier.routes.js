@@ -5,13 +5,138 @@
 const express = require('express');
 const { authenticate } = require('../middleware/auth');
 const { catchAsync, validate } = require('../middleware/errorHandler');
-const { WaterfallTier, Structure } = require('../models/supabase');
+const { WaterfallTier, WaterfallTierSet, Structure, Distribution } = require('../models/supabase');
+const { WATERFALL_MODES } = require('../services/waterfallService');
+const { MAX_SCENARIOS, modelScenarios } = require('../services/waterfallScenarioService');
+const { generateWaterfallScenarioExcel } = require('../services/waterfallScenarioExcelGenerator');
+const { validatePrefConvention } = require('../utils/prefAccrual');
+const { toDateString } = require('../utils/businessDays');
 
 const router = express.Router();
 
+/**
+ * Validate a waterfall scenario: hypothetical distributions and/or an exit multiple, with
+ * optional mode, catch-up rate and tier overrides
+ */
+function validateScenario(scenario, index) {
+  const label = scenario?.name || `Scenario ${index + 1}`;
+  validate(scenario && typeof scenario === 'object', `${label}: scenario must be an object`);
+  validate(
+    (Array.isArray(scenario.distributions) && scenario.distributions.length > 0) || scenario.exit,
+    `${label}: distributions or an exit is required`
+  );
+  validate(!scenario.mode || WATERFALL_MODES.includes(scenario.mode), `${label}: mode must be one of: ${WATERFALL_MODES.join(', ')}`);
+
+  (scenario.distributions || []).forEach(d => {
+    validate(!isNaN(parseFloat(d?.amount)) && parseFloat(d.amount) > 0, `${label}: distribution amount must be positive`);
+    validate(d.date && !isNaN(new Date(d.date).getTime()), `${label}: distribution date must be a valid date`);
+  });
+
+  if (scenario.exit) {
+    const multiple = parseFloat(scenario.exit.multiple);
+    validate(!isNaN(multiple) && multiple >= 0, `${label}: exit multiple must be zero or positive`);
+    validate(scenario.exit.date && !isNaN(new Date(scenario.exit.date).getTime()), `${label}: exit date must be a valid date`);
+  }
+
+  if (scenario.gpCatchUpRate !== undefined && scenario.gpCatchUpRate !== null) {
+    const rate = parseFloat(scenario.gpCatchUpRate);
+    validate(!isNaN(rate) && rate >= 0 && rate <= 100, `${label}: GP catch-up rate must be between 0 and 100`);
+  }
+
+  validate(!scenario.tierOverrides || Array.isArray(scenario.tierOverrides), `${label}: tier overrides must be an array`);
+  (scenario.tierOverrides || []).forEach(override => {
+    validate(parseInt(override?.tierNumber, 10) > 0, `${label}: tier overrides need a tier number`);
+    ['lpSharePercent', 'gpSharePercent', 'thresholdIrr'].forEach(field => {
+      if (override[field] !== undefined && override[field] !== null) {
+        const value = parseFloat(override[field]);
+        validate(!isNaN(value) && value >= 0 && value <= 100, `${label}: ${field} must be between 0 and 100`);
+      }
+    });
+  });
+}
+
+/**
+ * Validate an effective date for a tier set version
+ */
+function validateEffectiveDate(effectiveDate) {
+  validate(effectiveDate && !isNaN(new Date(effectiveDate).getTime()), 'Effective date must be a valid date');
+}
+
+/**
+ * Effective date of a tier set version: the given date, or by default today (the structure's
+ * inception for its first version). A version cannot take effect on or before a distribution
+ * whose waterfall was applied without a pinned version, as that distribution would then be
+ * recalculated with the new tiers.
+ * @returns {string} YYYY-MM-DD
+ */
+async function resolveVersionEffectiveDate(structure, effectiveDate) {
+  const distributions = await Distribution.findByStructureId(structure.id);
+  const latestUnpinned = distributions
+    .filter(d => d.waterfallApplied && !d.waterfallTierSetId && d.distributionDate)
+    .map(d => toDateString(d.distributionDate))
+    .sort()
+    .pop() || null;
+
+  let date = effectiveDate !== undefined ? toDateString(effectiveDate) : null;
+  if (!date) {
+    const versions = await WaterfallTierSet.findByStructureId(structure.id);
+    date = versions.length === 0 && structure.inceptionDate && !latestUnpinned
+      ? toDateString(structure.inceptionDate)
+      : toDateString(new Date());
+  }
+
+  validate(
+    !latestUnpinned || date > latestUnpinned,
+    `Effective date must be after ${latestUnpinned}, the date of the latest distribution whose waterfall was applied without a tier set version`
+  );
+  return date;
+}
+
+/**
+ * Change a structure's live tiers and publish the result as a new tier set version, so
+ * distributions already calculated keep the tiers they were calculated with. The tiers as they
+ * will be after the change are validated as a sequence, and the version's date checked, before
+ * anything is written.
+ * @param {Object} structure - Structure model
+ * @param {Array|null} proposed - The structure's tiers after the change (null when the change
+ *   builds them itself; they are then validated when published)
+ * @param {Function} write - Makes the change
+ * @param {Object} options - { effectiveDate, description, userId, allowEmpty }
+ * @returns {Object} { result, tierSet }
+ */
+async function publishTierChange(structure, proposed, write, options = {}) {
+  const { effectiveDate, description, userId, allowEmpty = false } = options;
+
+  if (effectiveDate !== undefined) {
+    validateEffectiveDate(effectiveDate);
+  }
+
+  if (proposed) {
+    const snapshot = WaterfallTierSet.snapshotTiers(proposed);
+    if (!(allowEmpty && snapshot.length === 0)) {
+      const { isValid, errors } = WaterfallTierSet.validateTierSequence(snapshot);
+      validate(isValid, errors.join('; '));
+    }
+  }
+  const versionDate = await resolveVersionEffectiveDate(structure, effectiveDate);
+
+  const result = await write();
+
+  const tierSet = await WaterfallTierSet.publish(structure.id, await WaterfallTier.findActiveByStructureId(structure.id), {
+    effectiveDate: versionDate,
+    description,
+    createdBy: userId,
+    allowEmpty
+  });
+
+  return { result, tierSet };
+}
+
 /**
  * @route   POST /api/waterfall-tiers
- * @desc    Create a new waterfall tier
+ * @desc    Create a new waterfall tier. The structure's tiers are validated as a sequence and
+ *          published as a new tier set version, effective on effectiveDate (default today, or
+ *          the structure's inception for its first version).
  * @access  Private (requires authentication)
  */
 router.post('/', authenticate, catchAsync(async (req, res) => {
@@ -25,8 +150,11 @@ router.post('/', authenticate, catchAsync(async (req, res) => {
     gpSharePercent,
     thresholdAmount,
     thresholdIrr,
+    prefCompounding,
+    prefDayCount,
     description,
-    isActive
+    isActive,
+    effectiveDate
   } = req.body;
 
   // Validate required fields
@@ -55,6 +183,8 @@ router.post('/', authenticate, catchAsync(async (req, res) => {
     gpSharePercent,
     thresholdAmount: thresholdAmount || null,
     thresholdIrr: thresholdIrr || null,
+    prefCompounding: prefCompounding || null,
+    prefDayCount: prefDayCount || null,
     description: description?.trim() || '',
     isActive: isActive !== undefined ? isActive : true,
     userId
@@ -64,12 +194,18 @@ router.post('/', authenticate, catchAsync(async (req, res) => {
   const validation = WaterfallTier.validateTier(tierData);
   validate(validation.isValid, validation.errors.join(', '));
 
-  const tier = await WaterfallTier.create(tierData);
+  const current = await WaterfallTier.findByStructureId(structureId);
+  const { result: tier, tierSet } = await publishTierChange(structure, [...current, tierData], () => WaterfallTier.create(tierData), {
+    effectiveDate,
+    description: `Tier ${tierNumber} created`,
+    userId
+  });
 
   res.status(201).json({
     success: true,
     message: 'Waterfall tier created successfully',
-    data: tier
+    data: tier,
+    tierSet
   });
 }));
 
@@ -77,7 +213,7 @@ router.post('/', authenticate, catchAsync(async (req, res) => {
  * @route   POST /api/waterfall-tiers/bulk-create
  * @desc    Create multiple waterfall tiers from an array
  * @access  Private (requires authentication)
- * @body    { structureId: string, tiers: Array<{ name, managementFee, gpSplit, irrHurdle, preferredReturn }> }
+ * @body    { structureId: string, tiers: Array<{ name, managementFee, gpSplit, irrHurdle, prefCompounding, prefDayCount, preferredReturn }> }
  */
 router.post('/bulk-create', authenticate, catchAsync(async (req, res) => {
   const userId = req.auth.userId || req.user.id;
@@ -130,6 +266,8 @@ router.post('/bulk-create', authenticate, catchAsync(async (req, res) => {
         gpSharePercent,
         thresholdAmount: tier.thresholdAmount || null,
         thresholdIrr: tier.irrHurdle || null,
+        prefCompounding: tier.prefCompounding || null,
+        prefDayCount: tier.prefDayCount || null,
         description: descriptionParts.join(' | '),
         isActive: tier.isActive !== undefined ? tier.isActive : true,
         userId
@@ -172,38 +310,52 @@ router.post('/bulk-create', authenticate, catchAsync(async (req, res) => {
 
 /**
  * @route   POST /api/waterfall-tiers/structure/:structureId/create-default
- * @desc    Create default waterfall tiers for a structure
+ * @desc    Create default waterfall tiers for a structure and publish them as a new tier set
+ *          version, effective on effectiveDate (default today, or the structure's inception for
+ *          its first version)
  * @access  Private (requires authentication)
+ * @body    { hurdleRate, carriedInterest, prefCompounding (simple|annual|quarterly), prefDayCount (ACT/365|30/360), replace, effectiveDate }
  */
 router.post('/structure/:structureId/create-default', authenticate, catchAsync(async (req, res) => {
   const userId = req.auth.userId || req.user.id;
   const { structureId } = req.params;
-  const { hurdleRate, carriedInterest, replace } = req.body;
+  const { hurdleRate, carriedInterest, prefCompounding, prefDayCount, replace, effectiveDate } = req.body;
+
+  const conventionErrors = validatePrefConvention({ prefCompounding, prefDayCount });
+  validate(conventionErrors.length === 0, conventionErrors.join(', '));
 
   // Validate structure exists and belongs to user
   const structure = await Structure.findById(structureId);
   validate(structure, 'Structure not found');
   validate(structure.userId === userId, 'Structure does not belong to user');
 
-  // If replace is true, delete existing tiers first
-  if (replace === true) {
-    const existingTiers = await WaterfallTier.findByStructureId(structureId);
-    for (const tier of existingTiers) {
-      await WaterfallTier.findByIdAndDelete(tier.id);
+  const { result: tiers, tierSet } = await publishTierChange(structure, null, async () => {
+    // If replace is true, delete existing tiers first
+    if (replace === true) {
+      const existingTiers = await WaterfallTier.findByStructureId(structureId);
+      for (const tier of existingTiers) {
+        await WaterfallTier.findByIdAndDelete(tier.id);
+      }
     }
-  }
 
-  const tiers = await WaterfallTier.createDefaultTiers(
-    structureId,
-    hurdleRate || structure.hurdleRate || 8,
-    carriedInterest || structure.carriedInterest || 20,
+    return WaterfallTier.createDefaultTiers(
+      structureId,
+      hurdleRate || structure.hurdleRate || 8,
+      carriedInterest || structure.carriedInterest || 20,
+      userId,
+      { compounding: prefCompounding, dayCount: prefDayCount }
+    );
+  }, {
+    effectiveDate,
+    description: replace ? 'Default tiers replaced the existing tiers' : 'Default tiers created',
     userId
-  );
+  });
 
   res.status(201).json({
     success: true,
     message: replace ? 'Default waterfall tiers replaced successfully' : 'Default waterfall tiers created successfully',
-    data: tiers
+    data: tiers,
+    tierSet
   });
 }));
 
@@ -295,6 +447,159 @@ router.get('/structure/:structureId/summary', authenticate, catchAsync(async (re
   });
 }));
 
+/**
+ * @route   POST /api/waterfall-tiers/structure/:structureId/scenarios
+ * @desc    Model hypothetical distributions or an exit multiple on the structure's waterfall,
+ *          with optional tier overrides, and compare the scenarios side by side. Returns the
+ *          LP/GP split, per-investor allocations and the multiple and IRR each LP would reach.
+ *          Nothing is saved.
+ * @access  Private (requires authentication)
+ * @query   format - json (default) or excel
+ */
+router.post('/structure/:structureId/scenarios', authenticate, catchAsync(async (req, res) => {
+  const userId = req.auth.userId || req.user.id;
+  const { structureId } = req.params;
+  const { format = 'json' } = req.query;
+  const { scenarios } = req.body;
+
+  validate(Array.isArray(scenarios) && scenarios.length > 0, 'At least one scenario is required');
+  validate(scenarios.length <= MAX_SCENARIOS, `At most ${MAX_SCENARIOS} scenarios can be compared`);
+  scenarios.forEach(validateScenario);
+
+  const structure = await Structure.findById(structureId);
+  validate(structure, 'Structure not found');
+  validate(structure.userId === userId, 'Unauthorized access to structure');
+
+  const model = await modelScenarios(structure, scenarios);
+
+  if (format === 'excel') {
+    const excelBuffer = await generateWaterfallScenarioExcel(model, structure);
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="Waterfall_Scenarios_${structure.name?.replace(/\s+/g, '_')}.xlsx"`);
+    res.setHeader('Content-Length', excelBuffer.length);
+    return res.send(excelBuffer);
+  }
+
+  res.status(200).json({
+    success: true,
+    count: model.scenarios.length,
+    data: model
+  });
+}));
+
+/**
+ * @route   GET /api/waterfall-tiers/structure/:structureId/versions
+ * @desc    Get the published tier set versions of a structure, oldest first
+ * @access  Private (requires authentication)
+ */
+router.get('/structure/:structureId/versions', authenticate, catchAsync(async (req, res) => {
+  const userId = req.auth.userId || req.user.id;
+  const { structureId } = req.params;
+
+  const structure = await Structure.findById(structureId);
+  validate(structure, 'Structure not found');
+  validate(structure.userId === userId, 'Unauthorized access to structure');
+
+  const versions = await WaterfallTierSet.findByStructureId(structureId);
+
+  res.status(200).json({
+    success: true,
+    count: versions.length,
+    data: versions
+  });
+}));
+
+/**
+ * @route   POST /api/waterfall-tiers/structure/:structureId/versions
+ * @desc    Publish a new tier set version that takes effect on a date (e.g. an LPA amendment).
+ *          Snapshots the given tiers, or the structure's active tiers when none are given.
+ *          Waterfalls are calculated with the version in effect on the distribution date. A
+ *          version cannot take effect on or before a distribution whose waterfall was applied
+ *          without a pinned version.
+ * @access  Private (requires authentication)
+ */
+router.post('/structure/:structureId/versions', authenticate, catchAsync(async (req, res) => {
+  const userId = req.auth.userId || req.user.id;
+  const { structureId } = req.params;
+  const { effectiveDate, description, tiers } = req.body;
+
+  validateEffectiveDate(effectiveDate);
+  validate(tiers === undefined || Array.isArray(tiers), 'Tiers must be an array');
+
+  const structure = await Structure.findById(structureId);
+  validate(structure, 'Structure not found');
+  validate(structure.userId === userId, 'Unauthorized access to structure');
+
+  const snapshot = WaterfallTierSet.snapshotTiers(tiers || await WaterfallTier.findActiveByStructureId(structureId));
+  const { isValid, errors } = WaterfallTierSet.validateTierSequence(snapshot);
+  validate(isValid, errors.join('; '));
+
+  const tierSet = await WaterfallTierSet.publish(structureId, snapshot, {
+    effectiveDate: await resolveVersionEffectiveDate(structure, effectiveDate),
+    description,
+    createdBy: userId
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `Waterfall tier set version ${tierSet.versionNumber} published successfully`,
+    data: tierSet
+  });
+}));
+
+/**
+ * @route   GET /api/waterfall-tiers/structure/:structureId/versions/diff
+ * @desc    Compare two tier set versions tier by tier
+ * @access  Private (requires authentication)
+ * @query   from, to - Version numbers
+ */
+router.get('/structure/:structureId/versions/diff', authenticate, catchAsync(async (req, res) => {
+  const userId = req.auth.userId || req.user.id;
+  const { structureId } = req.params;
+  const from = parseInt(req.query.from, 10);
+  const to = parseInt(req.query.to, 10);
+
+  validate(from > 0 && to > 0, 'from and to version numbers are required');
+
+  const structure = await Structure.findById(structureId);
+  validate(structure, 'Structure not found');
+  validate(structure.userId === userId, 'Unauthorized access to structure');
+
+  const [fromSet, toSet] = await Promise.all([
+    WaterfallTierSet.findByVersion(structureId, from),
+    WaterfallTierSet.findByVersion(structureId, to)
+  ]);
+  validate(fromSet, `Waterfall tier set version ${from} not found`);
+  validate(toSet, `Waterfall tier set version ${to} not found`);
+
+  res.status(200).json({
+    success: true,
+    data: WaterfallTierSet.diff(fromSet, toSet)
+  });
+}));
+
+/**
+ * @route   GET /api/waterfall-tiers/structure/:structureId/versions/:versionNumber
+ * @desc    Get a tier set version
+ * @access  Private (requires authentication)
+ */
+router.get('/structure/:structureId/versions/:versionNumber', authenticate, catchAsync(async (req, res) => {
+  const userId = req.auth.userId || req.user.id;
+  const { structureId, versionNumber } = req.params;
+
+  const structure = await Structure.findById(structureId);
+  validate(structure, 'Structure not found');
+  validate(structure.userId === userId, 'Unauthorized access to structure');
+
+  const tierSet = await WaterfallTierSet.findByVersion(structureId, parseInt(versionNumber, 10));
+  validate(tierSet, 'Waterfall tier set not found');
+
+  res.status(200).json({
+    success: true,
+    data: tierSet
+  });
+}));
+
 /**
  * @route   GET /api/waterfall-tiers/:id
  * @desc    Get a single waterfall tier by ID
@@ -317,7 +622,8 @@ router.get('/:id', authenticate, catchAsync(async (req, res) => {
 
 /**
  * @route   PUT /api/waterfall-tiers/:id
- * @desc    Update a waterfall tier
+ * @desc    Update a waterfall tier. The structure's tiers are validated as a sequence and
+ *          published as a new tier set version, effective on effectiveDate (default today).
  * @access  Private (requires authentication)
  */
 router.put('/:id', authenticate, catchAsync(async (req, res) => {
@@ -331,7 +637,7 @@ router.put('/:id', authenticate, catchAsync(async (req, res) => {
   const updateData = {};
   const allowedFields = [
     'tierName', 'lpSharePercent', 'gpSharePercent', 'thresholdAmount',
-    'thresholdIrr', 'description', 'isActive'
+    'thresholdIrr', 'prefCompounding', 'prefDayCount', 'description', 'isActive'
   ];
 
   for (const field of allowedFields) {
@@ -349,24 +655,40 @@ router.put('/:id', authenticate, catchAsync(async (req, res) => {
     validate(lpShare + gpShare === 100, 'LP and GP shares must sum to 100%');
   }
 
-  const updatedTier = await WaterfallTier.findByIdAndUpdate(id, updateData);
+  const conventionErrors = validatePrefConvention(updateData);
+  validate(conventionErrors.length === 0, conventionErrors.join(', '));
+
+  const structure = await Structure.findById(tier.structureId);
+  validate(structure, 'Structure not found');
+
+  const current = await WaterfallTier.findByStructureId(tier.structureId);
+  const proposed = current.map(t => (t.id === id ? { ...t, ...updateData } : t));
+  const { result: updatedTier, tierSet } = await publishTierChange(structure, proposed, () => WaterfallTier.findByIdAndUpdate(id, updateData), {
+    effectiveDate: req.body.effectiveDate,
+    description: `Tier ${tier.tierNumber} updated`,
+    userId
+  });
 
   res.status(200).json({
     success: true,
     message: 'Waterfall tier updated successfully',
-    data: updatedTier
+    data: updatedTier,
+    tierSet
   });
 }));
 
 /**
  * @route   PUT /api/waterfall-tiers/structure/:structureId/bulk-update
- * @desc    Bulk update tiers for a structure
+ * @desc    Bulk update tiers for a structure. The resulting active tiers are validated as a
+ *          sequence and published as a new tier set version, effective on effectiveDate
+ *          (default today, or the structure's inception for its first version), so
+ *          distributions already calculated keep the tiers they were calculated with.
  * @access  Private (requires authentication)
  */
 router.put('/structure/:structureId/bulk-update', authenticate, catchAsync(async (req, res) => {
   const userId = req.auth.userId || req.user.id;
   const { structureId } = req.params;
-  const { tiers } = req.body;
+  const { tiers, effectiveDate, description } = req.body;
 
   validate(Array.isArray(tiers), 'Tiers must be an array');
   validate(tiers.length > 0, 'At least one tier must be provided');
@@ -375,40 +697,61 @@ router.put('/structure/:structureId/bulk-update', authenticate, catchAsync(async
   validate(structure, 'Structure not found');
   validate(structure.userId === userId, 'Unauthorized access to structure');
 
-  const updatedTiers = await WaterfallTier.bulkUpdateTiers(structureId, tiers, userId);
+  const current = await WaterfallTier.findByStructureId(structureId);
+  const proposed = [
+    ...current.map(tier => ({ ...tier, ...(tiers.find(t => t.id === tier.id) || {}) })),
+    ...tiers.filter(t => !t.id)
+  ];
+  const { result: updatedTiers, tierSet } = await publishTierChange(structure, proposed, () => WaterfallTier.bulkUpdateTiers(structureId, tiers, userId), {
+    effectiveDate,
+    description,
+    userId
+  });
 
   res.status(200).json({
     success: true,
     message: 'Waterfall tiers updated successfully',
-    data: updatedTiers
+    data: updatedTiers,
+    tierSet
   });
 }));
 
 /**
  * @route   PATCH /api/waterfall-tiers/structure/:structureId/deactivate-all
- * @desc    Deactivate all tiers for a structure
+ * @desc    Deactivate all tiers for a structure. An empty tier set version is published,
+ *          effective on effectiveDate (default today, or the structure's inception for its
+ *          first version), so waterfalls from that date on have no tiers while earlier
+ *          distributions keep the version they were calculated with.
  * @access  Private (requires authentication)
  */
 router.patch('/structure/:structureId/deactivate-all', authenticate, catchAsync(async (req, res) => {
   const userId = req.auth.userId || req.user.id;
   const { structureId } = req.params;
+  const { effectiveDate, description } = req.body || {};
 
   const structure = await Structure.findById(structureId);
   validate(structure, 'Structure not found');
   validate(structure.userId === userId, 'Unauthorized access to structure');
 
-  const deactivatedTiers = await WaterfallTier.deactivateAllTiers(structureId);
+  const { result: deactivatedTiers, tierSet } = await publishTierChange(structure, [], () => WaterfallTier.deactivateAllTiers(structureId), {
+    effectiveDate,
+    description,
+    userId,
+    allowEmpty: true
+  });
 
   res.status(200).json({
     success: true,
     message: 'All waterfall tiers deactivated successfully',
-    data: deactivatedTiers
+    data: deactivatedTiers,
+    tierSet
   });
 }));
 
 /**
  * @route   DELETE /api/waterfall-tiers/:id
- * @desc    Delete a waterfall tier
+ * @desc    Delete a waterfall tier. The remaining tiers are validated as a sequence and
+ *          published as a new tier set version, effective on effectiveDate (default today).
  * @access  Private (requires authentication)
  */
 router.delete('/:id', authenticate, catchAsync(async (req, res) => {
@@ -419,11 +762,21 @@ router.delete('/:id', authenticate, catchAsync(async (req, res) => {
   validate(tier, 'Waterfall tier not found');
   validate(tier.userId === userId, 'Unauthorized access to waterfall tier');
 
-  await WaterfallTier.findByIdAndDelete(id);
+  const structure = await Structure.findById(tier.structureId);
+  validate(structure, 'Structure not found');
+
+  const current = await WaterfallTier.findByStructureId(tier.structureId);
+  const { tierSet } = await publishTierChange(structure, current.filter(t => t.id !== id), () => WaterfallTier.findByIdAndDelete(id), {
+    effectiveDate: (req.body || {}).effectiveDate,
+    description: `Tier ${tier.tierNumber} deleted`,
+    userId,
+    allowEmpty: true
+  });
 
   res.status(200).json({
     success: true,
-    message: 'Waterfall tier deleted successfully'
+    message: 'Waterfall tier deleted successfully',
+    tierSet
   });
 }));
 
@@ -0,0 +1,633 @@
+/**
+ * Bank Reconciliation Service
+ *
+ * Matches credits from uploaded bank statements to open capital call allocations and to
+ * pending structure investment payments (`payments`). Each candidate is scored 0-100:
+ * - amount (up to 50): the credit equals what is outstanding, allowing for small bank charges
+ * - reference (up to 45): the remittance text carries the allocation's check-digit payment
+ *   reference (45), another known reference or payment ID (35), or names the call number (20)
+ * - payer name (up to 15): the ordering party is the investor
+ * A single clear winner at or above AUTO_MATCH_CONFIDENCE is applied straight away; lines
+ * with weaker candidates get suggestions and wait in the reconciliation queue, where ops
+ * confirm, split or reject them.
+ */
+
+const crypto = require('crypto');
+const { getSupabase } = require('../config/database');
+const BankStatement = require('../models/supabase/bankStatement');
+const BankStatementMatch = require('../models/supabase/bankStatementMatch');
+const CapitalCall = require('../models/supabase/capitalCall');
+const FxRate = require('../models/supabase/fxRate');
+const Payment = require('../models/supabase/payment');
+const Structure = require('../models/supabase/structure');
+const { getBaseCurrency, settlePaymentCurrencyAmount } = require('./fxService');
+const { findPaymentReferences } = require('../utils/paymentReference');
+
+const AUTO_MATCH_CONFIDENCE = 85;
+const AUTO_MATCH_MARGIN = 15;
+const SUGGESTION_CONFIDENCE = 40;
+const MAX_SUGGESTIONS = 3;
+const AMOUNT_TOLERANCE = 0.005; // 0.5% for intermediary bank charges
+
+const CLOSED_CALL_STATUSES = ['Draft', 'Paid', 'Cancelled'];
+const CLOSED_ALLOCATION_STATUSES = ['Paid', 'Voided'];
+
+function roundCents(value) {
+  return Math.round((value || 0) * 100) / 100;
+}
+
+function normalizeText(value) {
+  return (value || '').toUpperCase().replace(/[^A-Z0-9]+/g, ' ').trim();
+}
+
+function nameTokens(value) {
+  return normalizeText(value).split(' ').filter(token => token.length > 1);
+}
+
+/**
+ * SHA-256 of an uploaded statement, used to refuse the same file twice
+ */
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+// ==========================================
+// Candidates
+// ==========================================
+
+function toAllocationCandidate(allocation) {
+  const capitalCall = allocation.capital_calls;
+  const user = allocation.users;
+  const totalDue = parseFloat(allocation.total_due) || 0;
+  const paidAmount = parseFloat(allocation.paid_amount) || 0;
+  const totalDuePaymentCurrency = allocation.total_due_payment_currency != null
+    ? parseFloat(allocation.total_due_payment_currency)
+    : null;
+
+  return {
+    targetType: 'capital_call_allocation',
+    targetId: allocation.id,
+    capitalCallId: allocation.capital_call_id,
+    callNumber: capitalCall?.call_number,
+    structureId: capitalCall?.structure_id,
+    userId: allocation.user_id,
+    investorName: user ? [user.first_name, user.last_name].filter(Boolean).join(' ') || user.email : null,
+    investorEmail: user?.email || null,
+    totalDue,
+    outstanding: roundCents(totalDue - paidAmount),
+    paymentCurrency: allocation.payment_currency || null,
+    totalDuePaymentCurrency,
+    outstandingPaymentCurrency: totalDuePaymentCurrency != null
+      ? roundCents(totalDuePaymentCurrency - (parseFloat(allocation.paid_amount_payment_currency) || 0))
+      : null,
+    paymentApprovalStatus: allocation.payment_approval_status || null,
+    paymentReferenceCode: allocation.payment_reference_code || null,
+    references: [allocation.payment_reference_code, allocation.payment_reference].filter(Boolean)
+  };
+}
+
+function toPaymentCandidate(payment) {
+  return {
+    targetType: 'payment',
+    targetId: payment.id,
+    capitalCallId: null,
+    callNumber: null,
+    structureId: payment.structureId,
+    userId: payment.userId,
+    investorName: payment.investorName || null,
+    investorEmail: payment.email || null,
+    totalDue: payment.amount,
+    outstanding: payment.amount,
+    paymentCurrency: null,
+    totalDuePaymentCurrency: null,
+    outstandingPaymentCurrency: null,
+    paymentApprovalStatus: payment.status,
+    paymentReferenceCode: null,
+    references: [payment.id, payment.submissionId, payment.paymentTransactionHash].filter(Boolean)
+  };
+}
+
+/**
+ * Open allocations on sent capital calls and pending payments that a credit could settle
+ * @param {Object} scope - { structureId } (all structures when omitted)
+ * @returns {Array} Candidates
+ */
+async function loadCandidates(scope = {}) {
+  const supabase = getSupabase();
+
+  let query = supabase
+    .from('capital_call_allocations')
+    .select(`
+      *,
+      capital_calls!inner (id, call_number, structure_id, status),
+      users:user_id (id, email, first_name, last_name)
+    `);
+
+  if (scope.structureId) query = query.eq('capital_calls.structure_id', scope.structureId);
+
+  const { data: allocations, error } = await query;
+
+  if (error) {
+    throw new Error(`Error loading open allocations: ${error.message}`);
+  }
+
+  const allocationCandidates = (allocations || [])
+    .filter(a => a.capital_calls && !CLOSED_CALL_STATUSES.includes(a.capital_calls.status))
+    .filter(a => !CLOSED_ALLOCATION_STATUSES.includes(a.status))
+    .map(toAllocationCandidate)
+    .filter(c => c.outstanding > 0.01 || c.paymentApprovalStatus === 'pending');
+
+  const payments = await Payment.findByStatus('pending');
+  const paymentCandidates = payments
+    .filter(p => !scope.structureId || p.structureId === scope.structureId)
+    .map(toPaymentCandidate);
+
+  return [...allocationCandidates, ...paymentCandidates];
+}
+
+/**
+ * Load a single allocation or payment as a match candidate
+ * @returns {Object|null} Candidate with `isOpen`, or null if it does not exist
+ */
+async function loadTarget(targetType, targetId) {
+  if (targetType === 'payment') {
+    const payment = await Payment.findById(targetId);
+    if (!payment) return null;
+    return { ...toPaymentCandidate(payment), isOpen: payment.status === 'pending' };
+  }
+
+  const supabase = getSupabase();
+  const { data: allocation, error } = await supabase
+    .from('capital_call_allocations')
+    .select(`
+      *,
+      capital_calls (id, call_number, structure_id, status),
+      users:user_id (id, email, first_name, last_name)
+    `)
+    .eq('id', targetId)
+    .single();
+
+  if (error || !allocation) return null;
+
+  const candidate = toAllocationCandidate(allocation);
+  const isOpen = !CLOSED_CALL_STATUSES.includes(allocation.capital_calls?.status)
+    && !CLOSED_ALLOCATION_STATUSES.includes(allocation.status);
+
+  return { ...candidate, isOpen };
+}
+
+// ==========================================
+// Scoring
+// ==========================================
+
+function scoreAmount(line, candidate) {
+  const paysInForeignCurrency = candidate.paymentCurrency && line.currency === candidate.paymentCurrency;
+  const expectedAmounts = paysInForeignCurrency
+    ? [candidate.outstandingPaymentCurrency, candidate.totalDuePaymentCurrency]
+    : [candidate.outstanding, candidate.totalDue];
+
+  let best = { score: 0, reason: null };
+  for (const expected of expectedAmounts) {
+    if (!(expected > 0)) continue;
+    const difference = Math.abs(line.amount - expected);
+
+    if (difference <= 0.01) {
+      return { score: 50, reason: 'Amount matches exactly' };
+    }
+    if (difference / expected <= AMOUNT_TOLERANCE && best.score < 40) {
+      best = { score: 40, reason: 'Amount matches within bank charges' };
+    } else if (line.amount < expected && best.score < 15) {
+      best = { score: 15, reason: 'Partial payment of the amount due' };
+    }
+  }
+  return best;
+}
+
+function scoreReference(line, candidate) {
+  const text = normalizeText([line.reference, line.bankReference].filter(Boolean).join(' '));
+  if (!text) return { score: 0, reason: null };
+
+  // A payment reference with valid check digits identifies the allocation on its own
+  if (candidate.paymentReferenceCode) {
+    const quoted = findPaymentReferences([line.reference, line.bankReference].filter(Boolean).join(' '));
+    if (quoted.includes(candidate.paymentReferenceCode)) {
+      return { score: 45, reason: `Payment reference ${candidate.paymentReferenceCode} matches` };
+    }
+  }
+
+  const compactText = text.replace(/ /g, '');
+  const reference = candidate.references.find(ref => {
+    const compactRef = normalizeText(ref).replace(/ /g, '');
+    return compactRef.length >= 6 && compactText.includes(compactRef);
+  });
+  if (reference) {
+    return { score: 35, reason: `Reference contains ${reference}` };
+  }
+
+  if (candidate.callNumber != null) {
+    const rawText = (line.reference || '').toUpperCase();
+    const callPattern = /(?:CAPITAL\s*CALL|CALL|CC)\s*(?:NO\.?|NUMBER|#)?\s*#?\s*0*(\d+)\b/g;
+    let match;
+    while ((match = callPattern.exec(rawText)) !== null) {
+      if (parseInt(match[1], 10) === parseInt(candidate.callNumber, 10)) {
+        return { score: 20, reason: `Reference mentions Capital Call #${candidate.callNumber}` };
+      }
+    }
+  }
+
+  return { score: 0, reason: null };
+}
+
+function scorePayerName(line, candidate) {
+  const expected = nameTokens(candidate.investorName);
+  if (expected.length === 0) return { score: 0, reason: null };
+
+  // Some banks only pass the ordering party inside the remittance text
+  const payer = new Set(nameTokens(line.payerName || line.reference));
+  const found = expected.filter(token => payer.has(token)).length;
+
+  if (found === expected.length) {
+    return { score: 15, reason: 'Payer name matches investor' };
+  }
+  if (found / expected.length >= 0.5) {
+    return { score: 8, reason: 'Payer name partially matches investor' };
+  }
+  return { score: 0, reason: null };
+}
+
+/**
+ * Score how likely a bank credit pays a candidate allocation or payment
+ * @returns {Object} { confidence, reasons }
+ */
+function scoreMatch(line, candidate) {
+  const parts = [scoreAmount(line, candidate), scoreReference(line, candidate), scorePayerName(line, candidate)];
+
+  return {
+    confidence: Math.min(100, parts.reduce((sum, part) => sum + part.score, 0)),
+    reasons: parts.map(part => part.reason).filter(Boolean)
+  };
+}
+
+/**
+ * Best candidates for a credit line, highest confidence first
+ */
+function rankCandidates(line, candidates) {
+  return candidates
+    .map(candidate => ({ candidate, ...scoreMatch(line, candidate) }))
+    .filter(result => result.confidence >= SUGGESTION_CONFIDENCE)
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, MAX_SUGGESTIONS);
+}
+
+// ==========================================
+// Applying matches
+// ==========================================
+
+/**
+ * Work out how a bank credit settles a capital call allocation, without writing anything
+ * A payment the LP already reported (pending approval) is approved as reported; otherwise
+ * the credit is recorded as a new, approved payment split pro rata over capital/fees/VAT.
+ * Credits in the LP's payment currency are valued at the maintained FX rate for the booking
+ * date; without one the credit cannot be booked.
+ * @returns {Object} { allocation, update, error } - error when the credit cannot be booked
+ */
+async function prepareAllocationPayment(allocationId, amount, line) {
+  const supabase = getSupabase();
+
+  const { data: allocation, error } = await supabase
+    .from('capital_call_allocations')
+    .select('*, capital_calls(*)')
+    .eq('id', allocationId)
+    .single();
+
+  if (error || !allocation) {
+    throw new Error(`Allocation ${allocationId} not found`);
+  }
+
+  const totalDue = parseFloat(allocation.total_due) || 0;
+  const update = {
+    payment_approval_status: 'approved',
+    updated_at: new Date().toISOString()
+  };
+  let newPaidAmount = parseFloat(allocation.paid_amount) || 0;
+
+  if (allocation.payment_approval_status === 'pending') {
+    // Approving the LP's reported payment books what they reported, so the credit must agree with it
+    const inPaymentCurrency = allocation.payment_currency && line.currency === allocation.payment_currency
+      && (parseFloat(allocation.paid_amount_payment_currency) || 0) > 0;
+    const reported = inPaymentCurrency
+      ? parseFloat(allocation.paid_amount_payment_currency) || 0
+      : newPaidAmount;
+    if (Math.abs(reported - amount) > 0.01) {
+      return {
+        allocation,
+        error: `The LP reported a payment of ${reported} but the bank credit is ${amount}; reject the reported payment before matching this credit`
+      };
+    }
+  } else {
+    let baseAmount = amount;
+
+    // Credits in the LP's payment currency settle at the notice-time FX snapshot
+    const snapshotRate = parseFloat(allocation.fx_rate);
+    if (allocation.payment_currency && snapshotRate > 0 && line.currency === allocation.payment_currency) {
+      const structure = await Structure.findById(allocation.capital_calls?.structure_id);
+      const baseCurrency = getBaseCurrency(structure);
+      const rate = await FxRate.getRate(baseCurrency, allocation.payment_currency, line.bookingDate);
+      if (!rate) {
+        return {
+          allocation,
+          error: `No ${baseCurrency}/${allocation.payment_currency} FX rate is maintained as of ${line.bookingDate}; the credit cannot be booked until one is`
+        };
+      }
+      const settlement = settlePaymentCurrencyAmount(amount, snapshotRate, rate.rate);
+
+      baseAmount = settlement.baseAmount;
+      update.paid_amount_payment_currency = roundCents((parseFloat(allocation.paid_amount_payment_currency) || 0) + amount);
+      update.payment_fx_rate = rate.rate;
+      update.fx_gain_loss = roundCents((parseFloat(allocation.fx_gain_loss) || 0) + settlement.fxGainLoss);
+    }
+
+    const capitalPaid = parseFloat(allocation.capital_paid) || 0;
+    const feesPaid = parseFloat(allocation.fees_paid) || 0;
+    const vatPaid = parseFloat(allocation.vat_paid) || 0;
+    const capitalRemaining = (parseFloat(allocation.principal_amount) || 0) - capitalPaid;
+    const feesRemaining = (parseFloat(allocation.management_fee_net) || 0) - feesPaid;
+    const vatRemaining = (parseFloat(allocation.vat_amount) || 0) - vatPaid;
+    const totalRemaining = capitalRemaining + feesRemaining + vatRemaining;
+
+    const ratio = totalRemaining > 0 ? Math.min(baseAmount / totalRemaining, 1) : 0;
+    update.capital_paid = roundCents(capitalPaid + capitalRemaining * ratio);
+    update.fees_paid = roundCents(feesPaid + feesRemaining * ratio);
+    update.vat_paid = roundCents(vatPaid + vatRemaining * ratio);
+    newPaidAmount = roundCents(update.capital_paid + update.fees_paid + update.vat_paid);
+
+    update.paid_amount = newPaidAmount;
+    update.payment_method = 'bank_transfer';
+    update.payment_reference = line.bankReference || line.reference || null;
+    update.payment_date = line.bookingDate;
+  }
+
+  const outstanding = totalDue - newPaidAmount;
+  if (outstanding <= 0.01) {
+    update.status = 'Paid';
+  } else if (newPaidAmount > 0) {
+    update.status = 'Partially Paid';
+  }
+
+  return { allocation, update, error: null };
+}
+
+/**
+ * Book a prepared bank credit against its capital call allocation
+ */
+async function bookAllocationPayment({ allocation, update }, amount, line) {
+  const supabase = getSupabase();
+
+  const { error: updateError } = await supabase
+    .from('capital_call_allocations')
+    .update(update)
+    .eq('id', allocation.id);
+
+  if (updateError) {
+    throw new Error(`Error recording reconciled payment: ${updateError.message}`);
+  }
+
+  await CapitalCall.refreshPaymentTotals(allocation.capital_call_id, allocation.capital_calls?.status || 'Sent');
+
+  console.log(`[Bank Reconciliation] Allocation ${allocation.id} settled from statement line ${line.id}: ${amount} ${line.currency || ''}`.trim());
+}
+
+function matchKey(targetType, targetId) {
+  return `${targetType}:${targetId}`;
+}
+
+/**
+ * Confirmed matches already recorded on a statement line, keyed by target
+ * A match with appliedAt set has been booked; a retry must not book it again
+ * @param {string} lineId - Statement line ID
+ * @returns {Map} targetType:targetId -> match
+ */
+async function findRecordedMatches(lineId) {
+  const matches = await BankStatementMatch.findByLineId(lineId);
+  return new Map(matches
+    .filter(match => match.status === 'confirmed')
+    .map(match => [matchKey(match.targetType, match.targetId), match]));
+}
+
+/**
+ * Prepare every allocation split of a statement line that has not been booked yet
+ * @returns {Object} { bookings: Map of targetId -> prepared payment, recorded: Map, errors: string[] }
+ */
+async function prepareLineMatches(line, splits) {
+  const recorded = await findRecordedMatches(line.id);
+  const bookings = new Map();
+  const errors = [];
+
+  for (const [index, split] of splits.entries()) {
+    if (split.candidate.targetType === 'payment') continue;
+    if (recorded.get(matchKey(split.candidate.targetType, split.candidate.targetId))?.appliedAt) continue;
+
+    const booking = await prepareAllocationPayment(split.candidate.targetId, split.amount, line);
+    if (booking.error) {
+      errors.push(splits.length > 1 ? `Split ${index + 1}: ${booking.error}` : booking.error);
+    }
+    bookings.set(split.candidate.targetId, booking);
+  }
+
+  return { bookings, recorded, errors };
+}
+
+/**
+ * Check that every split of a statement line can be booked, without writing anything
+ * @param {Object} line - Statement line
+ * @param {Array} splits - [{ candidate, amount }]
+ * @returns {Array} Error messages; lines that fail the check stay in the reconciliation queue
+ */
+async function checkLineMatches(line, splits) {
+  const { errors } = await prepareLineMatches(line, splits);
+  return errors;
+}
+
+/**
+ * Apply a statement line to one or more targets and record the confirmed matches
+ * Matches are recorded before anything is booked and stamped once booked, so a retry
+ * after a failure part-way through only books the targets that were not reached
+ * Any other open suggestions on the line are rejected
+ * @param {Object} line - Statement line
+ * @param {Array} splits - [{ candidate, amount, confidence?, reasons? }]
+ * @param {Object} options - { method: 'auto'|'manual'|'split', userId, matchId }
+ * @returns {Object} Updated line and its confirmed matches
+ */
+async function applyLineMatches(line, splits, options = {}) {
+  const { method = 'manual', userId = null, matchId = null } = options;
+  const confirmedAt = new Date().toISOString();
+
+  // Nothing is written unless every split can be booked
+  const { bookings, recorded, errors } = await prepareLineMatches(line, splits);
+  if (errors.length > 0) {
+    throw new Error(`Statement line ${line.id} cannot be matched: ${errors.join('; ')}`);
+  }
+
+  // A retry with different targets drops the unbooked matches of the earlier attempt
+  const splitKeys = new Set(splits.map(split => matchKey(split.candidate.targetType, split.candidate.targetId)));
+  for (const [key, match] of recorded) {
+    if (!splitKeys.has(key) && !match.appliedAt) {
+      await BankStatementMatch.findByIdAndUpdate(match.id, { status: 'rejected' });
+    }
+  }
+
+  const unrecorded = splits.filter(split => !recorded.has(matchKey(split.candidate.targetType, split.candidate.targetId)));
+  let created = [];
+  if (matchId && unrecorded.length > 0) {
+    // Confirming an existing suggestion keeps its score and reasons
+    created.push(await BankStatementMatch.findByIdAndUpdate(matchId, {
+      status: 'confirmed',
+      method,
+      amount: unrecorded[0].amount,
+      confirmedBy: userId,
+      confirmedAt
+    }));
+  } else {
+    created = await BankStatementMatch.createMany(unrecorded.map(split => ({
+      lineId: line.id,
+      targetType: split.candidate.targetType,
+      targetId: split.candidate.targetId,
+      capitalCallId: split.candidate.capitalCallId,
+      userId: split.candidate.userId,
+      amount: split.amount,
+      confidence: split.confidence != null ? split.confidence : scoreMatch(line, split.candidate).confidence,
+      reasons: split.reasons || scoreMatch(line, split.candidate).reasons,
+      status: 'confirmed',
+      method,
+      confirmedBy: userId,
+      confirmedAt
+    })));
+  }
+  const confirmed = splits.map(split =>
+    recorded.get(matchKey(split.candidate.targetType, split.candidate.targetId)) || created[unrecorded.indexOf(split)]);
+
+  for (const [index, split] of splits.entries()) {
+    const match = confirmed[index];
+    if (match.appliedAt) continue;
+
+    if (split.candidate.targetType === 'payment') {
+      await Payment.approve(split.candidate.targetId, userId, `Reconciled with bank statement line ${line.bankReference || line.id}`);
+    } else {
+      await bookAllocationPayment(bookings.get(split.candidate.targetId), split.amount, line);
+    }
+    confirmed[index] = await BankStatementMatch.findByIdAndUpdate(match.id, { appliedAt: new Date().toISOString() });
+  }
+
+  await BankStatementMatch.rejectSuggestionsForLine(line.id);
+
+  const updatedLine = await BankStatement.updateLine(line.id, {
+    status: 'matched',
+    matchConfidence: Math.max(...confirmed.map(m => m.confidence)),
+    resolvedBy: userId,
+    resolvedAt: confirmedAt
+  });
+
+  return { line: updatedLine, matches: confirmed };
+}
+
+// ==========================================
+// Statement import
+// ==========================================
+
+/**
+ * Store a parsed statement and reconcile its credits
+ * @param {Object} parsed - Output of bankStatementParser.parseBankStatement
+ * @param {Object} options - { structureId, fileName, contentHash, userId }
+ * @returns {Object} { statement, summary: { credits, autoMatched, suggested, unmatched } }
+ */
+async function importStatement(parsed, options = {}) {
+  const { structureId = null, fileName = null, contentHash, userId = null } = options;
+
+  const statement = await BankStatement.create({
+    structureId,
+    format: parsed.format,
+    fileName,
+    contentHash,
+    accountIdentifier: parsed.accountIdentifier,
+    statementReference: parsed.statementReference,
+    statementDate: parsed.statementDate,
+    currency: parsed.currency,
+    openingBalance: parsed.openingBalance,
+    closingBalance: parsed.closingBalance,
+    lineCount: parsed.lines.length,
+    creditCount: parsed.lines.filter(l => l.direction === 'credit').length,
+    uploadedBy: userId
+  });
+
+  // Debits never settle capital calls; keep them for the full statement view only
+  const lines = await BankStatement.createLines(statement.id, parsed.lines.map(line => ({
+    ...line,
+    status: line.direction === 'credit' ? 'unmatched' : 'ignored'
+  })));
+
+  let candidates = await loadCandidates({ structureId });
+  const summary = { credits: 0, autoMatched: 0, suggested: 0, unmatched: 0 };
+
+  for (const line of lines.filter(l => l.direction === 'credit')) {
+    summary.credits++;
+    const ranked = rankCandidates(line, candidates);
+    const [best, runnerUp] = ranked;
+
+    const isClearWinner = best
+      && best.confidence >= AUTO_MATCH_CONFIDENCE
+      && (!runnerUp || best.confidence - runnerUp.confidence >= AUTO_MATCH_MARGIN);
+    const autoMatch = isClearWinner && [{
+      candidate: best.candidate,
+      amount: line.amount,
+      confidence: best.confidence,
+      reasons: best.reasons
+    }];
+
+    // A clear winner that cannot be booked (e.g. no FX rate yet) waits in the queue
+    if (autoMatch && (await checkLineMatches(line, autoMatch)).length === 0) {
+      await applyLineMatches(line, autoMatch, { method: 'auto', userId });
+      // A target settled by one line is not offered to the next
+      candidates = candidates.filter(c => c.targetId !== best.candidate.targetId);
+      summary.autoMatched++;
+    } else if (ranked.length > 0) {
+      await BankStatementMatch.createMany(ranked.map(result => ({
+        lineId: line.id,
+        targetType: result.candidate.targetType,
+        targetId: result.candidate.targetId,
+        capitalCallId: result.candidate.capitalCallId,
+        userId: result.candidate.userId,
+        amount: line.amount,
+        confidence: result.confidence,
+        reasons: result.reasons,
+        status: 'suggested'
+      })));
+      await BankStatement.updateLine(line.id, { status: 'suggested', matchConfidence: best.confidence });
+      summary.suggested++;
+    } else {
+      summary.unmatched++;
+    }
+  }
+
+  const updatedStatement = await BankStatement.findByIdAndUpdate(statement.id, {
+    matchedCount: summary.autoMatched,
+    autoMatchedCount: summary.autoMatched
+  });
+
+  console.log(`[Bank Reconciliation] Statement ${statement.id} imported: ${summary.credits} credits, ${summary.autoMatched} auto-matched, ${summary.suggested} suggested, ${summary.unmatched} unmatched`);
+
+  return { statement: updatedStatement, summary };
+}
+
+module.exports = {
+  AUTO_MATCH_CONFIDENCE,
+  SUGGESTION_CONFIDENCE,
+  hashContent,
+  loadCandidates,
+  loadTarget,
+  findRecordedMatches,
+  scoreMatch,
+  rankCandidates,
+  checkLineMatches,
+  applyLineMatches,
+  importStatement
+};
@@ -0,0 +1,564 @@
+/**
+ * Bank Statement Parser
+ *
+ * Parses bank statements into a common shape so the reconciliation service does not need
+ * to know where they came from. Supported formats:
+ * - CSV exports (header row required; column names are matched loosely, ',' ';' or tab separated)
+ * - SWIFT MT940
+ * - ISO 20022 camt.053 (BankToCustomerStatement)
+ *
+ * Every parser returns:
+ * { format, accountIdentifier, statementReference, statementDate, currency,
+ *   openingBalance, closingBalance, lines: [{ lineIndex, bookingDate, valueDate, direction,
+ *   amount, currency, reference, payerName, payerAccount, bankReference }] }
+ * Amounts are always positive; direction is 'credit' or 'debit'.
+ */
+
+const SUPPORTED_FORMATS = ['csv', 'mt940', 'camt053'];
+
+function roundCents(value) {
+  return Math.round((value || 0) * 100) / 100;
+}
+
+function cleanText(value) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).replace(/\s+/g, ' ').trim();
+  return text || null;
+}
+
+/**
+ * Parse an amount written with either '.' or ',' as the decimal separator
+ * A lone comma followed by exactly three digits, or a separator used more than once, groups
+ * thousands. Parentheses and a trailing '-' are read as negative
+ */
+function parseAmount(value) {
+  if (value === undefined || value === null) return NaN;
+  let text = String(value).trim().replace(/[\s'"]/g, '').replace(/[^\d.,()+-]/g, '');
+  if (!text) return NaN;
+
+  let negative = false;
+  if (/^\(.*\)$/.test(text)) {
+    negative = true;
+    text = text.slice(1, -1);
+  }
+  if (text.endsWith('-')) {
+    negative = true;
+    text = text.slice(0, -1);
+  }
+  if (text.startsWith('-')) {
+    negative = !negative;
+    text = text.slice(1);
+  } else if (text.startsWith('+')) {
+    text = text.slice(1);
+  }
+
+  const commas = (text.match(/,/g) || []).length;
+  const dots = (text.match(/\./g) || []).length;
+  if (commas > 0 && dots > 0) {
+    // Both used: the last one is the decimal separator (1.234,56 or 1,234.56)
+    text = text.lastIndexOf(',') > text.lastIndexOf('.')
+      ? text.replace(/\./g, '').replace(',', '.')
+      : text.replace(/,/g, '');
+  } else if (commas > 1 || /^\d+,\d{3}$/.test(text)) {
+    // Comma grouping only: 1,000,000 or 25,000
+    text = text.replace(/,/g, '');
+  } else if (commas === 1) {
+    // Decimal comma: 1234,56 (or 1000, in MT940)
+    text = text.replace(',', '.');
+  } else if (dots > 1) {
+    // Dot grouping only: 1.000.000
+    text = text.replace(/\./g, '');
+  }
+
+  const amount = parseFloat(text);
+  if (isNaN(amount)) return NaN;
+  return negative ? -amount : amount;
+}
+
+/**
+ * Normalize a statement date to YYYY-MM-DD
+ * Accepts ISO dates, DD/MM/YYYY, DD.MM.YYYY, DD-MM-YYYY and YYYYMMDD
+ */
+function parseDate(value) {
+  const text = cleanText(value);
+  if (!text) return null;
+
+  let match = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (match) return `${match[1]}-${match[2]}-${match[3]}`;
+
+  match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  if (match) return `${match[3]}-${match[2].padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+
+  match = text.match(/^(\d{4})(\d{2})(\d{2})$/);
+  if (match) return `${match[1]}-${match[2]}-${match[3]}`;
+
+  return null;
+}
+
+/**
+ * MT940 dates are YYMMDD
+ */
+function parseSwiftDate(value) {
+  if (!/^\d{6}$/.test(value || '')) return null;
+  const year = parseInt(value.slice(0, 2), 10);
+  const century = year >= 70 ? '19' : '20';
+  return `${century}${value.slice(0, 2)}-${value.slice(2, 4)}-${value.slice(4, 6)}`;
+}
+
+// ==========================================
+// CSV
+// ==========================================
+
+const CSV_COLUMNS = {
+  bookingDate: ['booking date', 'bookingdate', 'date', 'transaction date', 'posting date', 'fecha', 'fecha operacion'],
+  valueDate: ['value date', 'valuedate', 'fecha valor'],
+  amount: ['amount', 'importe', 'monto', 'transaction amount'],
+  credit: ['credit', 'credit amount', 'deposit', 'deposits', 'abono', 'abonos', 'money in'],
+  debit: ['debit', 'debit amount', 'withdrawal', 'withdrawals', 'cargo', 'cargos', 'money out'],
+  direction: ['type', 'credit/debit', 'cr/dr', 'dc', 'direction'],
+  currency: ['currency', 'ccy', 'moneda', 'divisa'],
+  reference: ['reference', 'description', 'details', 'remittance', 'remittance information', 'memo', 'narrative', 'concepto', 'referencia'],
+  payerName: ['payer', 'payer name', 'name', 'counterparty', 'counterparty name', 'remitter', 'sender', 'ordenante', 'beneficiary'],
+  payerAccount: ['payer account', 'counterparty account', 'iban', 'account', 'cuenta ordenante'],
+  bankReference: ['bank reference', 'transaction id', 'transaction reference', 'id', 'folio']
+};
+
+function splitCsvRow(row, delimiter) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < row.length; i++) {
+    const char = row[i];
+    if (quoted) {
+      if (char === '"' && row[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+
+  return fields.map(f => f.trim());
+}
+
+function detectDelimiter(headerRow) {
+  const counts = [',', ';', '\t'].map(d => ({ d, n: splitCsvRow(headerRow, d).length }));
+  return counts.sort((a, b) => b.n - a.n)[0].d;
+}
+
+function parseCsv(content) {
+  const rows = content.split(/\r?\n/).filter(row => row.trim() !== '');
+  if (rows.length < 2) {
+    throw new Error('CSV statement needs a header row and at least one transaction');
+  }
+
+  const delimiter = detectDelimiter(rows[0]);
+  const header = splitCsvRow(rows[0], delimiter).map(h => h.toLowerCase().replace(/[_"]+/g, ' ').trim());
+
+  const columns = {};
+  for (const [key, names] of Object.entries(CSV_COLUMNS)) {
+    const index = header.findIndex(h => names.includes(h));
+    if (index !== -1) columns[key] = index;
+  }
+
+  if (columns.amount === undefined && columns.credit === undefined) {
+    throw new Error('CSV statement needs an amount column (or separate credit/debit columns)');
+  }
+  if (columns.bookingDate === undefined && columns.valueDate === undefined) {
+    throw new Error('CSV statement needs a date column');
+  }
+
+  const lines = [];
+  rows.slice(1).forEach((row, rowIndex) => {
+    const fields = splitCsvRow(row, delimiter);
+    const get = key => (columns[key] !== undefined ? fields[columns[key]] : undefined);
+
+    let signedAmount;
+    if (columns.amount !== undefined) {
+      signedAmount = parseAmount(get('amount'));
+      const direction = (get('direction') || '').toLowerCase();
+      if (['d', 'dr', 'dbit', 'debit', 'cargo'].includes(direction)) signedAmount = -Math.abs(signedAmount);
+      if (['c', 'cr', 'crdt', 'credit', 'abono'].includes(direction)) signedAmount = Math.abs(signedAmount);
+    } else {
+      const credit = parseAmount(get('credit'));
+      const debit = parseAmount(get('debit'));
+      signedAmount = !isNaN(credit) && credit !== 0 ? Math.abs(credit) : -Math.abs(debit);
+    }
+
+    if (isNaN(signedAmount) || signedAmount === 0) {
+      throw new Error(`CSV row ${rowIndex + 2}: amount is missing or not a number`);
+    }
+
+    const bookingDate = parseDate(get('bookingDate')) || parseDate(get('valueDate'));
+    if (!bookingDate) {
+      throw new Error(`CSV row ${rowIndex + 2}: date is missing or not recognized`);
+    }
+
+    lines.push({
+      lineIndex: lines.length,
+      bookingDate,
+      valueDate: parseDate(get('valueDate')) || bookingDate,
+      direction: signedAmount > 0 ? 'credit' : 'debit',
+      amount: roundCents(Math.abs(signedAmount)),
+      currency: cleanText(get('currency'))?.toUpperCase() || null,
+      reference: cleanText(get('reference')),
+      payerName: cleanText(get('payerName')),
+      payerAccount: cleanText(get('payerAccount')),
+      bankReference: cleanText(get('bankReference'))
+    });
+  });
+
+  const currencies = [...new Set(lines.map(l => l.currency).filter(Boolean))];
+
+  return {
+    format: 'csv',
+    accountIdentifier: null,
+    statementReference: null,
+    statementDate: lines.reduce((latest, l) => (l.bookingDate > latest ? l.bookingDate : latest), lines[0].bookingDate),
+    currency: currencies.length === 1 ? currencies[0] : null,
+    openingBalance: null,
+    closingBalance: null,
+    lines
+  };
+}
+
+// ==========================================
+// MT940
+// ==========================================
+
+/**
+ * Split an MT940 message into [tag, value] pairs; continuation lines belong to the previous tag
+ */
+function splitMt940Fields(content) {
+  const fields = [];
+  content.split(/\r?\n/).forEach(row => {
+    const match = row.match(/^:(\d{2}[A-Z]?):(.*)$/);
+    if (match) {
+      fields.push([match[1], match[2]]);
+    } else if (fields.length > 0 && row.trim() !== '' && !/^-\}?$/.test(row.trim())) {
+      fields[fields.length - 1][1] += `\n${row}`;
+    }
+  });
+  return fields;
+}
+
+function parseMt940Balance(value) {
+  const match = (value || '').match(/^([CD])(\d{6})([A-Z]{3})([\d,]+)/);
+  if (!match) return null;
+  const amount = parseAmount(match[4]);
+  return {
+    date: parseSwiftDate(match[2]),
+    currency: match[3],
+    amount: roundCents(match[1] === 'D' ? -amount : amount)
+  };
+}
+
+/**
+ * Read payer name and remittance text from field 86
+ * Handles the common structured layouts (/NAME/.../REMI/... and ?20-?33 subfields);
+ * anything else is kept whole as the reference
+ */
+function parseMt940Information(text) {
+  const info = (text || '').replace(/\r?\n/g, '');
+
+  if (/\?\d{2}/.test(info)) {
+    const subfields = {};
+    info.split(/\?(\d{2})/).slice(1).forEach((part, index, parts) => {
+      if (index % 2 === 0) subfields[part] = (subfields[part] || '') + (parts[index + 1] || '');
+    });
+    const remittance = ['20', '21', '22', '23', '24', '25', '26', '27', '28', '29']
+      .map(code => subfields[code]).filter(Boolean).join(' ');
+    return {
+      reference: cleanText(remittance),
+      payerName: cleanText(`${subfields['32'] || ''}${subfields['33'] || ''}`),
+      payerAccount: cleanText(subfields['31'])
+    };
+  }
+
+  if (/\/(NAME|REMI|ORDP|IBAN)\//.test(info)) {
+    const codes = {};
+    const parts = info.split(/\/([A-Z]{4})\//);
+    for (let i = 1; i < parts.length; i += 2) {
+      codes[parts[i]] = (parts[i + 1] || '').replace(/\/+$/, '');
+    }
+    return {
+      reference: cleanText(codes.REMI || codes.EREF || info),
+      payerName: cleanText(codes.NAME || codes.ORDP),
+      payerAccount: cleanText(codes.IBAN || codes.ACCT)
+    };
+  }
+
+  return { reference: cleanText(info), payerName: null, payerAccount: null };
+}
+
+function parseMt940(content) {
+  const fields = splitMt940Fields(content);
+  if (!fields.some(([tag]) => tag === '61')) {
+    throw new Error('MT940 statement has no :61: transaction lines');
+  }
+
+  const statement = {
+    format: 'mt940',
+    accountIdentifier: null,
+    statementReference: null,
+    statementDate: null,
+    currency: null,
+    openingBalance: null,
+    closingBalance: null,
+    lines: []
+  };
+
+  let current = null;
+  for (const [tag, value] of fields) {
+    if (tag === '20' && !statement.statementReference) {
+      statement.statementReference = cleanText(value);
+    } else if (tag === '25' && !statement.accountIdentifier) {
+      statement.accountIdentifier = cleanText(value);
+    } else if ((tag === '60F' || tag === '60M') && statement.openingBalance === null) {
+      const balance = parseMt940Balance(value);
+      if (balance) {
+        statement.openingBalance = balance.amount;
+        statement.currency = balance.currency;
+      }
+    } else if (tag === '62F' || tag === '62M') {
+      const balance = parseMt940Balance(value);
+      if (balance) {
+        statement.closingBalance = balance.amount;
+        statement.statementDate = balance.date;
+        statement.currency = statement.currency || balance.currency;
+      }
+    } else if (tag === '61') {
+      // YYMMDD[MMDD](C|D|RC|RD)[funds code]amount type(4) customer-ref[//bank-ref][\nsupplementary]
+      const [firstLine, ...rest] = value.split('\n');
+      const match = firstLine.match(/^(\d{6})(\d{4})?(RC|RD|C|D)([A-Z])?([\d,]+)([A-Z][A-Z0-9]{3})([^/]*)(?:\/\/(.*))?$/);
+      if (!match) {
+        throw new Error(`MT940 statement line could not be read: ${firstLine}`);
+      }
+
+      const valueDate = parseSwiftDate(match[1]);
+      let bookingDate = valueDate;
+      if (match[2]) {
+        bookingDate = `${valueDate.slice(0, 4)}-${match[2].slice(0, 2)}-${match[2].slice(2, 4)}`;
+      }
+      // C and RD (reversal of debit) increase the balance
+      const isCredit = match[3] === 'C' || match[3] === 'RD';
+      const customerReference = cleanText(match[7]);
+
+      current = {
+        lineIndex: statement.lines.length,
+        bookingDate,
+        valueDate,
+        direction: isCredit ? 'credit' : 'debit',
+        amount: roundCents(parseAmount(match[5])),
+        currency: null,
+        reference: customerReference && customerReference !== 'NONREF' ? customerReference : null,
+        payerName: null,
+        payerAccount: null,
+        bankReference: cleanText(match[8]) || cleanText(rest.join(' '))
+      };
+      statement.lines.push(current);
+    } else if (tag === '86' && current) {
+      const info = parseMt940Information(value);
+      current.reference = [current.reference, info.reference].filter(Boolean).join(' ') || null;
+      current.payerName = info.payerName;
+      current.payerAccount = info.payerAccount;
+      current = null;
+    }
+  }
+
+  statement.lines.forEach(line => { line.currency = statement.currency; });
+  if (!statement.statementDate) {
+    statement.statementDate = statement.lines[statement.lines.length - 1].bookingDate;
+  }
+
+  return statement;
+}
+
+// ==========================================
+// camt.053
+// ==========================================
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeXml(text) {
+  return text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&(amp|lt|gt|quot|apos);/g, (_m, entity) => XML_ENTITIES[entity])
+    .replace(/&#(\d+);/g, (_m, code) => String.fromCharCode(parseInt(code, 10)));
+}
+
+/**
+ * All elements with a tag name (namespace prefixes are ignored)
+ * @returns {Array<{attrs: string, body: string}>}
+ */
+function xmlElements(xml, tag) {
+  const regex = new RegExp(`<(?:[\\w-]+:)?${tag}(\\s[^>]*)?>([\\s\\S]*?)</(?:[\\w-]+:)?${tag}>`, 'g');
+  const elements = [];
+  let match;
+  while ((match = regex.exec(xml)) !== null) {
+    elements.push({ attrs: match[1] || '', body: match[2] });
+  }
+  return elements;
+}
+
+/**
+ * Text of the first element found by following a path of tag names
+ */
+function xmlText(xml, ...path) {
+  let scope = xml;
+  for (const tag of path) {
+    const element = xmlElements(scope, tag)[0];
+    if (!element) return null;
+    scope = element.body;
+  }
+  return cleanText(decodeXml(scope.replace(/<[^>]+>/g, ' ')));
+}
+
+function xmlAttr(attrs, name) {
+  const match = attrs.match(new RegExp(`${name}="([^"]*)"`));
+  return match ? match[1] : null;
+}
+
+function parseCamtBalance(statementXml, code) {
+  const balance = xmlElements(statementXml, 'Bal').find(b => xmlText(b.body, 'Tp', 'CdOrPrtry', 'Cd') === code);
+  if (!balance) return null;
+  const amount = parseAmount(xmlText(balance.body, 'Amt'));
+  const sign = xmlText(balance.body, 'CdtDbtInd') === 'DBIT' ? -1 : 1;
+  return {
+    amount: roundCents(sign * amount),
+    currency: xmlAttr(xmlElements(balance.body, 'Amt')[0]?.attrs || '', 'Ccy'),
+    date: parseDate(xmlText(balance.body, 'Dt'))
+  };
+}
+
+function parseCamt053(content) {
+  const statementXml = xmlElements(content, 'Stmt')[0];
+  if (!statementXml) {
+    throw new Error('camt.053 document has no <Stmt> element');
+  }
+
+  const entries = xmlElements(statementXml.body, 'Ntry');
+  if (entries.length === 0) {
+    throw new Error('camt.053 statement has no <Ntry> entries');
+  }
+
+  const opening = parseCamtBalance(statementXml.body, 'OPBD') || parseCamtBalance(statementXml.body, 'PRCD');
+  const closing = parseCamtBalance(statementXml.body, 'CLBD');
+  const account = xmlElements(statementXml.body, 'Acct')[0]?.body || '';
+
+  const statement = {
+    format: 'camt053',
+    accountIdentifier: xmlText(account, 'Id', 'IBAN') || xmlText(account, 'Othr', 'Id'),
+    statementReference: xmlText(statementXml.body, 'Id'),
+    statementDate: closing?.date || parseDate(xmlText(statementXml.body, 'CreDtTm')),
+    currency: xmlText(account, 'Ccy') || closing?.currency || opening?.currency || null,
+    openingBalance: opening ? opening.amount : null,
+    closingBalance: closing ? closing.amount : null,
+    lines: []
+  };
+
+  entries.forEach(({ body: entry }) => {
+    const amountElement = xmlElements(entry, 'Amt')[0];
+    const amount = parseAmount(amountElement ? decodeXml(amountElement.body) : null);
+    if (isNaN(amount)) {
+      throw new Error(`camt.053 entry ${statement.lines.length + 1} has no amount`);
+    }
+
+    const direction = xmlText(entry, 'CdtDbtInd') === 'DBIT' ? 'debit' : 'credit';
+    const details = xmlElements(entry, 'TxDtls')[0]?.body || entry;
+    const parties = xmlElements(details, 'RltdPties')[0]?.body || '';
+    // The counterparty is the debtor on credits and the creditor on debits
+    const party = direction === 'credit' ? 'Dbtr' : 'Cdtr';
+    const partyName = xmlText(parties, party, 'Nm') || xmlText(parties, party, 'Pty', 'Nm');
+    const partyAccount = xmlText(parties, `${party}Acct`, 'Id', 'IBAN') || xmlText(parties, `${party}Acct`, 'Othr', 'Id');
+
+    const remittance = xmlElements(details, 'RmtInf')[0]?.body || '';
+    const unstructured = xmlElements(remittance, 'Ustrd').map(u => cleanText(decodeXml(u.body))).filter(Boolean);
+    const structured = xmlText(remittance, 'Strd', 'CdtrRefInf', 'Ref');
+    const endToEndId = xmlText(details, 'Refs', 'EndToEndId');
+    const references = [...unstructured, structured, endToEndId !== 'NOTPROVIDED' ? endToEndId : null].filter(Boolean);
+
+    statement.lines.push({
+      lineIndex: statement.lines.length,
+      bookingDate: parseDate(xmlText(entry, 'BookgDt', 'Dt') || xmlText(entry, 'BookgDt', 'DtTm')),
+      valueDate: parseDate(xmlText(entry, 'ValDt', 'Dt') || xmlText(entry, 'ValDt', 'DtTm')),
+      direction,
+      amount: roundCents(Math.abs(amount)),
+      currency: xmlAttr(amountElement.attrs, 'Ccy') || statement.currency,
+      reference: references.length > 0 ? [...new Set(references)].join(' ') : null,
+      payerName: partyName,
+      payerAccount: partyAccount,
+      bankReference: xmlText(entry, 'AcctSvcrRef') || xmlText(details, 'Refs', 'AcctSvcrRef')
+    });
+  });
+
+  statement.lines.forEach(line => {
+    line.bookingDate = line.bookingDate || line.valueDate || statement.statementDate;
+    line.valueDate = line.valueDate || line.bookingDate;
+  });
+
+  return statement;
+}
+
+// ==========================================
+// Entry point
+// ==========================================
+
+/**
+ * Guess the format from the file name and content
+ * @returns {string|null} 'csv' | 'mt940' | 'camt053' or null
+ */
+function detectFormat(content, fileName = '') {
+  const text = content.trimStart();
+  if (text.startsWith('<') && /camt\.053|BkToCstmrStmt/.test(text)) return 'camt053';
+  if (/(^|\n):20:/.test(text) && /(^|\n):61:/.test(text)) return 'mt940';
+  if (/\.(sta|mt940|940)$/i.test(fileName)) return 'mt940';
+  if (/\.xml$/i.test(fileName)) return 'camt053';
+  if (/\.(csv|txt)$/i.test(fileName) || text.split(/\r?\n/)[0].match(/[,;\t]/)) return 'csv';
+  return null;
+}
+
+/**
+ * Parse a bank statement
+ * @param {string|Buffer} content - File content
+ * @param {Object} options - { format, fileName }; the format is detected when omitted
+ * @returns {Object} Parsed statement (see module comment)
+ */
+function parseBankStatement(content, options = {}) {
+  const text = Buffer.isBuffer(content) ? content.toString('utf8') : String(content || '');
+  // Strip a UTF-8 byte order mark, common in bank CSV exports
+  const normalized = text.replace(/^\uFEFF/, '');
+
+  const format = options.format || detectFormat(normalized, options.fileName);
+  if (!SUPPORTED_FORMATS.includes(format)) {
+    throw new Error(`Unsupported bank statement format${format ? `: ${format}` : ''}. Supported formats: ${SUPPORTED_FORMATS.join(', ')}`);
+  }
+
+  const parsers = { csv: parseCsv, mt940: parseMt940, camt053: parseCamt053 };
+  const statement = parsers[format](normalized);
+
+  if (statement.lines.length === 0) {
+    throw new Error('Bank statement contains no transactions');
+  }
+
+  return statement;
+}
+
+module.exports = {
+  SUPPORTED_FORMATS,
+  parseBankStatement,
+  detectFormat,
+  parseAmount
+};
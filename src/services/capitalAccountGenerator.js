@@ -3,10 +3,12 @@
  *
  * Generates ILPA-compliant Capital Account Statement PDFs.
  * Shows opening/closing balances, capital call activity,
- * distribution activity, fee summary, and balance continuity.
+ * distribution activity, fee summary, balance continuity
+ * (including recallable distributions), and late payment / default activity.
  */
 
 const PDFDocument = require('pdfkit');
+const { calculateRecallableBalances, grantsFromAllocations, recallsFromAllocations } = require('../utils/recallable');
 
 const COLORS = {
   primary: '#2D1B69',
@@ -26,12 +28,12 @@ const COLORS = {
  * @param {Array} callAllocations - Capital call allocations for this investor
  * @param {Array} distAllocations - Distribution allocations for this investor
  * @param {Object} period - { startDate, endDate }
- * @param {Object} options - { firmName, currency }
+ * @param {Object} options - { firmName, currency, defaults, defaultEvents }
  * @returns {Promise<Buffer>} PDF buffer
  */
 async function generateCapitalAccountStatementPDF(investor, structure, callAllocations, distAllocations, period, options = {}) {
-  const { firmName = 'Investment Manager' } = options;
-  const currency = structure?.currency || options.currency || 'USD';
+  const { firmName = 'Investment Manager', defaults = [], defaultEvents = [] } = options;
+  const currency = structure?.baseCurrency || structure?.currency || options.currency || 'USD';
 
   return new Promise((resolve, reject) => {
     try {
@@ -93,6 +95,13 @@ async function generateCapitalAccountStatementPDF(investor, structure, callAlloc
       const totalCalledToDate = priorCalledTotal + periodCallTotal;
       const totalDistToDate = priorDistTotal + periodDistTotal;
 
+      // Recallable distributions add back to uncalled capital until recalled or expired
+      const recallable = calculateRecallableBalances(
+        grantsFromAllocations(distAllocations),
+        recallsFromAllocations(callAllocations),
+        period.endDate
+      )[investor?.id] || { recallable: 0, recalled: 0, expired: 0, available: 0 };
+
       // Section A: Account Summary
       addAccountSummary(doc, {
         openingBalance,
@@ -120,12 +129,29 @@ async function generateCapitalAccountStatementPDF(investor, structure, callAlloc
       addBalanceContinuity(doc, {
         commitment,
         totalCalledToDate,
-        uncalled: commitment - totalCalledToDate,
+        uncalled: commitment - totalCalledToDate + recallable.recalled + recallable.available,
+        recallable,
         totalDistToDate,
         netAccountValue: totalCalledToDate - totalDistToDate,
         currency
       });
 
+      // Section F: Default Activity
+      if (defaults.length > 0) {
+        const periodEvents = defaultEvents.filter(e => {
+          const eventDate = (e.createdAt || '').split('T')[0];
+          return eventDate >= period.startDate && eventDate <= period.endDate;
+        });
+        addDefaultActivity(doc, defaults, periodEvents, currency);
+      }
+
+      // Section G: Payment Currency Activity (LPs paying/receiving in a currency other than the base)
+      const fxCalls = periodCalls.filter(a => a.payment_currency && a.fx_rate != null);
+      const fxDists = periodDists.filter(a => a.payment_currency && a.fx_rate != null);
+      if (fxCalls.length > 0 || fxDists.length > 0) {
+        addPaymentCurrencyActivity(doc, fxCalls, fxDists, currency);
+      }
+
       // Footer
       addStatementFooter(doc, firmName);
 
@@ -480,9 +506,16 @@ function addBalanceContinuity(doc, data) {
   doc.y = startY + 35;
   doc.font('Helvetica');
 
+  const recallable = data.recallable || {};
   const balanceData = [
     ['Total Commitment', formatCurrency(data.commitment, data.currency)],
     ['Called Capital to Date', formatCurrency(data.totalCalledToDate, data.currency)],
+    ...(recallable.recallable > 0 ? [
+      ['Recallable Distributions', formatCurrency(recallable.recallable, data.currency)],
+      ['  Recalled by Capital Calls', formatCurrency(recallable.recalled, data.currency)],
+      ['  Expired', formatCurrency(recallable.expired, data.currency)],
+      ['  Available to Recall', formatCurrency(recallable.available, data.currency)],
+    ] : []),
     ['Uncalled Capital', formatCurrency(data.uncalled, data.currency)],
     ['', ''],
     ['Total Distributions to Date', formatCurrency(data.totalDistToDate, data.currency)],
@@ -516,6 +549,242 @@ function addBalanceContinuity(doc, data) {
   doc.y = currentY + 20;
 }
 
+const DEFAULT_STATUS_LABELS = {
+  late: 'Late',
+  in_default: 'In Default',
+  remedy_eligible: 'Cure Expired',
+  remedy_applied: 'Remedy Applied',
+  cured: 'Cured',
+};
+
+const DEFAULT_ACTION_LABELS = {
+  payment_late: 'Payment late',
+  default_declared: 'Declared in default',
+  cure_period_expired: 'Cure period expired',
+  remedy_applied: 'Remedy applied',
+  charges_waived: 'Charges waived',
+  default_cured: 'Default cured',
+};
+
+function addDefaultActivity(doc, defaults, events, currency) {
+  if (doc.y > 500) doc.addPage();
+
+  const startY = doc.y + 10;
+
+  doc.rect(50, startY, 512, 25)
+     .fill(COLORS.accent);
+
+  doc.fontSize(12)
+     .fillColor(COLORS.primary)
+     .font('Helvetica-Bold')
+     .text('SECTION F: DEFAULT ACTIVITY', 60, startY + 7);
+
+  doc.y = startY + 40;
+  doc.font('Helvetica');
+
+  const headers = ['Call #', 'Deadline', 'Status', 'Outstanding', 'Late Interest', 'Penalty', 'Remedy'];
+  const colWidths = [45, 70, 75, 80, 75, 70, 92];
+  let colX = 55;
+
+  doc.fontSize(8)
+     .font('Helvetica-Bold')
+     .fillColor(COLORS.primary);
+
+  headers.forEach((header, i) => {
+    doc.text(header, colX, doc.y, { width: colWidths[i] });
+    colX += colWidths[i];
+  });
+
+  doc.moveTo(50, doc.y + 12)
+     .lineTo(562, doc.y + 12)
+     .stroke(COLORS.border);
+
+  let currentY = doc.y + 18;
+  doc.font('Helvetica')
+     .fillColor(COLORS.text);
+
+  let totalInterest = 0, totalPenalty = 0;
+
+  defaults.forEach((d) => {
+    if (currentY > 700) {
+      doc.addPage();
+      currentY = 50;
+    }
+
+    totalInterest += d.accruedInterest || 0;
+    totalPenalty += d.penaltyAmount || 0;
+
+    const remedy = d.remedy
+      ? `${d.remedy.replace(/_/g, ' ')}${d.remedyAmount ? ` (${formatCurrency(d.remedyAmount, currency)})` : ''}`
+      : '-';
+
+    colX = 55;
+    const rowData = [
+      d.capitalCall?.callNumber ? `#${d.capitalCall.callNumber}` : '-',
+      formatDateShort(d.deadlineDate),
+      DEFAULT_STATUS_LABELS[d.status] || d.status,
+      formatCurrency(d.outstandingAmount, currency),
+      formatCurrency(d.accruedInterest, currency),
+      formatCurrency(d.penaltyAmount, currency),
+      remedy
+    ];
+
+    doc.fontSize(8);
+    rowData.forEach((value, i) => {
+      doc.fillColor(i === 2 && d.status !== 'cured' ? COLORS.warning : COLORS.text)
+         .text(value, colX, currentY, { width: colWidths[i] });
+      colX += colWidths[i];
+    });
+
+    currentY += 14;
+  });
+
+  // Totals row
+  doc.moveTo(55, currentY + 2)
+     .lineTo(562, currentY + 2)
+     .stroke(COLORS.border);
+  currentY += 8;
+
+  colX = 55;
+  doc.fontSize(8).font('Helvetica-Bold').fillColor(COLORS.primary);
+  const totals = ['TOTAL', '', '', '', formatCurrency(totalInterest, currency), formatCurrency(totalPenalty, currency), ''];
+  totals.forEach((value, i) => {
+    doc.text(value, colX, currentY, { width: colWidths[i] });
+    colX += colWidths[i];
+  });
+  doc.font('Helvetica');
+
+  currentY += 20;
+
+  // Actions taken during the statement period
+  if (events.length > 0) {
+    doc.fontSize(9)
+       .font('Helvetica-Bold')
+       .fillColor(COLORS.primary)
+       .text('Actions This Period', 55, currentY);
+    currentY += 14;
+
+    doc.font('Helvetica').fontSize(8);
+    events.forEach((e) => {
+      if (currentY > 700) {
+        doc.addPage();
+        currentY = 50;
+      }
+
+      const label = DEFAULT_ACTION_LABELS[e.action] || e.action;
+      doc.fillColor(COLORS.muted)
+         .text(formatDateShort(e.createdAt), 55, currentY, { width: 80 });
+      doc.fillColor(COLORS.text)
+         .text(`${label}${e.notes ? ` - ${e.notes}` : ''}`, 135, currentY, { width: 420 });
+
+      currentY = Math.max(currentY + 12, doc.y + 2);
+    });
+  }
+
+  doc.y = currentY + 20;
+}
+
+function addPaymentCurrencyActivity(doc, callAllocations, distAllocations, currency) {
+  if (doc.y > 500) doc.addPage();
+
+  const startY = doc.y + 10;
+
+  doc.rect(50, startY, 512, 25)
+     .fill(COLORS.accent);
+
+  doc.fontSize(12)
+     .fillColor(COLORS.primary)
+     .font('Helvetica-Bold')
+     .text('SECTION G: PAYMENT CURRENCY ACTIVITY', 60, startY + 7);
+
+  doc.y = startY + 40;
+  doc.font('Helvetica');
+
+  const headers = ['Date', 'Item', `Amount (${currency})`, 'FX Rate', 'Converted', 'FX Gain/Loss'];
+  const colWidths = [70, 70, 95, 75, 100, 95];
+  let colX = 55;
+
+  doc.fontSize(8)
+     .font('Helvetica-Bold')
+     .fillColor(COLORS.primary);
+
+  headers.forEach((header, i) => {
+    doc.text(header, colX, doc.y, { width: colWidths[i] });
+    colX += colWidths[i];
+  });
+
+  doc.moveTo(50, doc.y + 12)
+     .lineTo(562, doc.y + 12)
+     .stroke(COLORS.border);
+
+  let currentY = doc.y + 18;
+  doc.font('Helvetica')
+     .fillColor(COLORS.text);
+
+  const rows = [
+    ...callAllocations.map(alloc => ({
+      date: alloc.capital_call?.callDate || alloc.capital_call?.call_date || alloc.callDate || '',
+      item: `Call #${alloc.capital_call?.callNumber || alloc.capital_call?.call_number || alloc.callNumber || ''}`,
+      amount: alloc.total_due || alloc.allocatedAmount || 0,
+      paymentCurrency: alloc.payment_currency,
+      fxRate: parseFloat(alloc.fx_rate),
+      converted: parseFloat(alloc.total_due_payment_currency) || 0,
+      fxGainLoss: parseFloat(alloc.fx_gain_loss) || 0
+    })),
+    ...distAllocations.map(alloc => ({
+      date: alloc.distribution?.distributionDate || alloc.distribution?.distribution_date || alloc.distributionDate || '',
+      item: `Dist #${alloc.distribution?.distributionNumber || alloc.distribution?.distribution_number || alloc.distributionNumber || ''}`,
+      amount: alloc.allocated_amount || alloc.distributionAmount || 0,
+      paymentCurrency: alloc.payment_currency,
+      fxRate: parseFloat(alloc.fx_rate),
+      converted: parseFloat(alloc.allocated_amount_payment_currency) || 0,
+      fxGainLoss: null
+    }))
+  ];
+
+  let totalGainLoss = 0;
+
+  rows.forEach((row) => {
+    if (currentY > 700) {
+      doc.addPage();
+      currentY = 50;
+    }
+
+    totalGainLoss += row.fxGainLoss || 0;
+
+    colX = 55;
+    const rowData = [
+      formatDateShort(row.date),
+      row.item,
+      formatCurrency(row.amount, currency),
+      `${currency}/${row.paymentCurrency} ${row.fxRate.toFixed(4)}`,
+      formatCurrency(row.converted, row.paymentCurrency),
+      row.fxGainLoss === null ? '-' : formatCurrency(row.fxGainLoss, currency)
+    ];
+
+    doc.fontSize(8);
+    rowData.forEach((value, i) => {
+      doc.text(value, colX, currentY, { width: colWidths[i] });
+      colX += colWidths[i];
+    });
+
+    currentY += 14;
+  });
+
+  // Totals row
+  doc.moveTo(55, currentY + 2)
+     .lineTo(562, currentY + 2)
+     .stroke(COLORS.border);
+  currentY += 8;
+
+  doc.fontSize(8).font('Helvetica-Bold').fillColor(COLORS.primary);
+  doc.text('REALIZED FX GAIN/LOSS', 55, currentY, { width: 310 });
+  doc.text(formatCurrency(totalGainLoss, currency), 465, currentY, { width: 95 });
+  doc.font('Helvetica');
+
+  doc.y = currentY + 20;
+}
+
 function addStatementFooter(doc, firmName) {
   const pages = doc.bufferedPageRange();
 
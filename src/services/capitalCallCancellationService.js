@@ -0,0 +1,301 @@
+/**
+ * Capital Call Cancellation Service
+ *
+ * Cancels a capital call without deleting it. Allocations are voided and kept for the
+ * audit trail, payments already received become LP credits (held against future calls)
+ * or refunds, open default records on the call are closed, the call amount is reversed
+ * out of structures.total_called, and LPs are sent a cancellation notice.
+ */
+
+const CapitalCall = require('../models/supabase/capitalCall');
+const CapitalCallCredit = require('../models/supabase/capitalCallCredit');
+const CapitalCallDefault = require('../models/supabase/capitalCallDefault');
+const ApprovalHistory = require('../models/supabase/approvalHistory');
+const Notification = require('../models/supabase/notification');
+const Structure = require('../models/supabase/structure');
+const { sendEmail } = require('../utils/emailSender');
+
+const PAYMENT_DISPOSITIONS = ['credit', 'refund'];
+
+const EMAIL_TEMPLATES = {
+  cancellationNotice: {
+    subject: (fundName, callNumber) => `Capital Call #${callNumber} Cancelled - ${fundName}`,
+    getHtml: (data) => `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #2D1B69;">Capital Call Cancelled</h2>
+        <p>Dear ${data.investorName},</p>
+        <p>Capital Call #${data.callNumber} of <strong>${data.fundName}</strong> has been cancelled. No further payment is due for this call.</p>
+        ${data.reason ? `<p><strong>Reason:</strong> ${data.reason}</p>` : ''}
+        ${data.paidAmount > 0 ? `
+        <div style="background-color: #EDE9FE; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <p style="margin: 0;">We received <strong>${data.currency} ${data.paidAmount.toLocaleString()}</strong> from you for this call. ${data.dispositionText}</p>
+        </div>` : ''}
+        <p><a href="${data.portalUrl}" style="display: inline-block; background-color: #2D1B69; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px;">View in Portal</a></p>
+        <p>Best regards,<br>${data.fundName} Administration</p>
+      </div>
+    `,
+    getText: (data) => `
+Capital Call Cancelled
+
+Dear ${data.investorName},
+
+Capital Call #${data.callNumber} of ${data.fundName} has been cancelled. No further payment is due for this call.
+${data.reason ? `\nReason: ${data.reason}\n` : ''}${data.paidAmount > 0 ? `\nWe received ${data.currency} ${data.paidAmount.toLocaleString()} from you for this call. ${data.dispositionText}\n` : ''}
+View in portal: ${data.portalUrl}
+
+Best regards,
+${data.fundName} Administration
+    `
+  }
+};
+
+function roundCents(value) {
+  return Math.round((value || 0) * 100) / 100;
+}
+
+/**
+ * Build the credit/refund for an allocation that has received payments
+ * Rejected payments were never received and are ignored
+ * @returns {Object|null} Credit data for CapitalCallCredit.createMany
+ */
+function buildCreditForAllocation(allocation, capitalCall, paymentDisposition, createdBy) {
+  const paidAmount = roundCents(parseFloat(allocation.paidAmount));
+  if (paidAmount <= 0 || allocation.paymentApprovalStatus === 'rejected') {
+    return null;
+  }
+
+  return {
+    structureId: capitalCall.structureId,
+    userId: allocation.userId,
+    sourceCapitalCallId: capitalCall.id,
+    sourceAllocationId: allocation.id,
+    creditType: paymentDisposition,
+    amount: paidAmount,
+    capitalAmount: roundCents(parseFloat(allocation.capitalPaid)),
+    feesAmount: roundCents(parseFloat(allocation.feesPaid)),
+    vatAmount: roundCents(parseFloat(allocation.vatPaid)),
+    status: paymentDisposition === 'refund' ? 'pending_refund' : 'available',
+    notes: `Payment received on cancelled Capital Call #${capitalCall.callNumber}`,
+    createdBy
+  };
+}
+
+/**
+ * Close open default records for a cancelled call and refresh investor standing
+ * @returns {number} Number of default records closed
+ */
+async function closeOpenDefaults(capitalCall) {
+  const defaults = await CapitalCallDefault.findByStructureId(capitalCall.structureId);
+  const openDefaults = defaults.filter(d =>
+    d.capitalCallId === capitalCall.id && CapitalCallDefault.OPEN_STATUSES.includes(d.status)
+  );
+
+  for (const record of openDefaults) {
+    await CapitalCallDefault.findByIdAndUpdate(record.id, {
+      status: 'cured',
+      interestWaived: true,
+      penaltyWaived: true,
+      resolvedAt: new Date().toISOString(),
+      remedyNotes: 'Capital call cancelled'
+    });
+  }
+
+  const userIds = [...new Set(openDefaults.map(d => d.userId))];
+  for (const userId of userIds) {
+    await CapitalCallDefault.refreshInvestorStatus(userId, capitalCall.structureId);
+  }
+
+  return openDefaults.length;
+}
+
+/**
+ * Send the cancellation notice to every LP allocated on the call (portal + email)
+ */
+async function sendCancellationNotices(capitalCall, structure, allocations, creditsByAllocation, options) {
+  const { reason, senderId } = options;
+  const currency = structure.baseCurrency || structure.currency || 'USD';
+  const portalUrl = `${process.env.FRONTEND_URL || 'https://app.polibit.com'}/lp-portal/capital-calls`;
+  const template = EMAIL_TEMPLATES.cancellationNotice;
+
+  const notifications = allocations.map(allocation => {
+    const credit = creditsByAllocation.get(allocation.id);
+    return {
+      userId: allocation.userId,
+      notificationType: 'capital_call_notice',
+      title: `Capital Call #${capitalCall.callNumber} Cancelled - ${structure.name}`,
+      message: credit
+        ? `Capital Call #${capitalCall.callNumber} has been cancelled. Your payment of ${currency} ${credit.amount.toLocaleString()} will be ${credit.creditType === 'refund' ? 'refunded' : 'held as a credit toward future calls'}.`
+        : `Capital Call #${capitalCall.callNumber} has been cancelled. No payment is due.`,
+      priority: 'high',
+      relatedEntityType: 'CapitalCall',
+      relatedEntityId: capitalCall.id,
+      actionUrl: '/lp-portal/capital-calls',
+      senderId,
+      channel: 'portal',
+      status: 'pending',
+      metadata: {
+        structureId: structure.id,
+        callNumber: capitalCall.callNumber,
+        cancelled: true,
+        creditId: credit?.id || null
+      }
+    };
+  });
+
+  if (notifications.length > 0) {
+    try {
+      await Notification.createMany(notifications);
+    } catch (error) {
+      console.error('[CapitalCallCancellation] Error creating cancellation notifications:', error.message);
+    }
+  }
+
+  let emailsSent = 0;
+  for (const allocation of allocations) {
+    if (!allocation.user?.email) continue;
+
+    const credit = creditsByAllocation.get(allocation.id);
+    const emailData = {
+      investorName: `${allocation.user.firstName || ''} ${allocation.user.lastName || ''}`.trim() || 'Investor',
+      fundName: structure.name || 'Fund',
+      callNumber: capitalCall.callNumber,
+      currency,
+      reason,
+      paidAmount: credit?.amount || 0,
+      dispositionText: credit?.creditType === 'refund'
+        ? 'This amount will be refunded to you.'
+        : 'This amount will be held as a credit toward future capital calls.',
+      portalUrl
+    };
+
+    try {
+      await sendEmail(null, {
+        to: [allocation.user.email],
+        subject: template.subject(emailData.fundName, emailData.callNumber),
+        bodyHtml: template.getHtml(emailData),
+        bodyText: template.getText(emailData)
+      });
+      emailsSent++;
+    } catch (error) {
+      console.error(`[CapitalCallCancellation] Error emailing user ${allocation.userId}:`, error.message);
+    }
+  }
+
+  return emailsSent;
+}
+
+/**
+ * Cancel and reverse a capital call
+ * @param {Object} capitalCall - Capital call model
+ * @param {Object} structure - Structure model
+ * @param {Object} options - { reason, paymentDisposition, sendNotices, userId, userName }
+ * @returns {Object} { capitalCall, voidedAllocations, credits, closedDefaults, reversedCalledAmount, noticesSent }
+ */
+async function cancelCapitalCall(capitalCall, structure, options = {}) {
+  const { reason = null, paymentDisposition = 'credit', sendNotices = true, userId, userName } = options;
+  const previousStatus = capitalCall.status;
+  const wasIssued = previousStatus !== 'Draft';
+
+  // Credit received payments before voiding, from every allocation on the call (including any
+  // voided by an earlier attempt that failed partway) that has no credit yet, so a retry
+  // neither loses nor duplicates an LP's payment
+  const allocationsWithUsers = await CapitalCall.getAllocationsWithUsers(capitalCall.id);
+  const existingCredits = await CapitalCallCredit.findBySourceCapitalCallId(capitalCall.id);
+  const creditedAllocationIds = new Set(existingCredits.map(c => c.sourceAllocationId));
+
+  const creditData = allocationsWithUsers
+    .filter(allocation => !creditedAllocationIds.has(allocation.id))
+    .map(allocation => buildCreditForAllocation(allocation, capitalCall, paymentDisposition, userId))
+    .filter(Boolean);
+  const createdCredits = await CapitalCallCredit.createMany(creditData);
+  const credits = [...existingCredits, ...createdCredits];
+
+  const voidedAllocations = await CapitalCall.voidAllocations(capitalCall.id);
+  const creditsByAllocation = new Map(credits.map(c => [c.sourceAllocationId, c]));
+
+  const closedDefaults = await closeOpenDefaults(capitalCall);
+
+  // Only issued calls were counted in the structure's called capital
+  let reversedCalledAmount = 0;
+  if (wasIssued) {
+    const totalCalled = parseFloat(structure.totalCalled) || 0;
+    reversedCalledAmount = roundCents(Math.min(totalCalled, capitalCall.totalCallAmount || 0));
+    if (reversedCalledAmount > 0) {
+      await Structure.updateFinancials(structure.id, {
+        totalCalled: roundCents(totalCalled - reversedCalledAmount)
+      });
+    }
+  }
+
+  const cancelledCall = await CapitalCall.findByIdAndUpdate(capitalCall.id, {
+    status: 'Cancelled',
+    totalUnpaidAmount: 0,
+    cancelledAt: new Date().toISOString(),
+    cancelledBy: userId,
+    cancellationReason: reason,
+    reversedCalledAmount
+  });
+
+  const totalCredited = roundCents(credits.reduce((sum, c) => sum + c.amount, 0));
+
+  await ApprovalHistory.logAction({
+    entityType: 'capital_call',
+    entityId: capitalCall.id,
+    action: 'cancelled',
+    fromStatus: previousStatus,
+    toStatus: 'Cancelled',
+    userId,
+    userName,
+    notes: reason,
+    metadata: {
+      voidedAllocations: voidedAllocations.length,
+      paymentDisposition,
+      creditsCreated: credits.length,
+      totalCredited,
+      closedDefaults,
+      reversedCalledAmount
+    }
+  });
+
+  for (const credit of createdCredits) {
+    await ApprovalHistory.logAction({
+      entityType: 'capital_call',
+      entityId: capitalCall.id,
+      action: credit.creditType === 'refund' ? 'payment_refund_pending' : 'payment_credited',
+      fromStatus: null,
+      toStatus: credit.status,
+      userId,
+      userName,
+      notes: null,
+      metadata: {
+        creditId: credit.id,
+        allocationId: credit.sourceAllocationId,
+        investorId: credit.userId,
+        amount: credit.amount
+      }
+    });
+  }
+
+  // LPs only need a cancellation notice for calls they were actually sent
+  let noticesSent = 0;
+  if (sendNotices && wasIssued) {
+    noticesSent = await sendCancellationNotices(capitalCall, structure, allocationsWithUsers, creditsByAllocation, {
+      reason,
+      senderId: userId
+    });
+  }
+
+  return {
+    capitalCall: cancelledCall,
+    voidedAllocations: voidedAllocations.length,
+    credits,
+    closedDefaults,
+    reversedCalledAmount,
+    noticesSent
+  };
+}
+
+module.exports = {
+  PAYMENT_DISPOSITIONS,
+  cancelCapitalCall
+};
@@ -0,0 +1,131 @@
+/**
+ * Capital Call Allocation Preview Generator
+ *
+ * Generates the dry-run allocation preview as an Excel workbook so the GP/CFO
+ * can review per-LP amounts before allocations are created.
+ */
+
+const ExcelJS = require('exceljs');
+
+const PREVIEW_COLUMNS = [
+  { header: 'Investor', key: 'investorName', width: 28 },
+  { header: 'Email', key: 'email', width: 28 },
+  { header: 'Ownership %', key: 'ownershipPercent', width: 13 },
+  { header: 'Excusal', key: 'excusalType', width: 12 },
+  { header: 'Commitment', key: 'commitment', width: 18 },
+  { header: 'Prior Called', key: 'priorCalled', width: 18 },
+  { header: 'Principal', key: 'principalAmount', width: 18 },
+  { header: 'Reallocated', key: 'reallocatedAmount', width: 16 },
+  { header: 'Gross Fee', key: 'managementFeeGross', width: 15 },
+  { header: 'Discount', key: 'managementFeeDiscount', width: 15 },
+  { header: 'GP Offset', key: 'feeOffset', width: 15 },
+  { header: 'Net Fee', key: 'managementFeeNet', width: 15 },
+  { header: 'VAT', key: 'vatAmount', width: 12 },
+  { header: 'Total Due', key: 'totalDue', width: 18 },
+  { header: 'Total Drawdown', key: 'totalDrawdown', width: 18 },
+  { header: 'Remaining Unfunded', key: 'remainingUnfunded', width: 20 },
+];
+
+const DUAL_RATE_COLUMNS = [
+  { header: 'NIC Base', key: 'nicBase', width: 18 },
+  { header: 'Unfunded Base', key: 'unfundedBase', width: 18 },
+];
+
+const MONEY_FORMAT = '#,##0.00';
+
+/**
+ * Generate Capital Call Allocation Preview Excel
+ * @param {Object} structure - Fund/structure data
+ * @param {Object} preview - Result of CapitalCall.previewAllocationsForStructure
+ * @param {Object} options - { firmName }
+ * @returns {Promise<Buffer>} Excel buffer
+ */
+async function generateAllocationPreviewExcel(structure, preview, options = {}) {
+  const { firmName = 'Investment Manager' } = options;
+  const { capitalCall, investors, totals, warnings } = preview;
+  const isDualRate = investors.some(inv => inv.nicBase != null);
+
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = firmName;
+  workbook.created = new Date();
+
+  // Summary worksheet
+  const summarySheet = workbook.addWorksheet('Summary');
+  summarySheet.columns = [
+    { header: 'Metric', key: 'metric', width: 30 },
+    { header: 'Value', key: 'value', width: 24 },
+  ];
+  summarySheet.getRow(1).font = { bold: true };
+
+  summarySheet.addRow({ metric: 'Fund', value: structure?.name || 'N/A' });
+  summarySheet.addRow({ metric: 'Capital Call', value: `#${capitalCall.callNumber}` });
+  summarySheet.addRow({ metric: 'Call Date', value: capitalCall.callDate || 'N/A' });
+  summarySheet.addRow({ metric: 'Due Date', value: capitalCall.dueDate || 'N/A' });
+  summarySheet.addRow({ metric: 'Currency', value: structure?.currency || 'USD' });
+  summarySheet.addRow({ metric: 'Status', value: 'DRY RUN - not persisted' });
+  summarySheet.addRow({ metric: '', value: '' });
+  summarySheet.addRow({ metric: 'Investors', value: totals.investorCount });
+  summarySheet.addRow({ metric: 'Call Amount', value: capitalCall.totalCallAmount });
+  summarySheet.addRow({ metric: 'Total Principal', value: totals.principalAmount });
+  summarySheet.addRow({ metric: 'Total Management Fees (Gross)', value: totals.managementFeeGross });
+  summarySheet.addRow({ metric: 'Total Discounts', value: totals.managementFeeDiscount });
+  summarySheet.addRow({ metric: 'Total GP Offset', value: totals.feeOffset });
+  summarySheet.addRow({ metric: 'Total Management Fees (Net)', value: totals.managementFeeNet });
+  summarySheet.addRow({ metric: 'Total VAT', value: totals.vatAmount });
+  summarySheet.addRow({ metric: 'Total Due', value: totals.totalDue });
+  summarySheet.addRow({ metric: 'Remaining Unfunded', value: totals.remainingUnfunded });
+  summarySheet.getColumn('value').numFmt = MONEY_FORMAT;
+
+  // Per-Investor worksheet
+  const detailSheet = workbook.addWorksheet('Per-Investor Allocation');
+  const detailColumns = [...PREVIEW_COLUMNS];
+  if (isDualRate) {
+    detailColumns.splice(6, 0, ...DUAL_RATE_COLUMNS);
+  }
+  detailSheet.columns = detailColumns;
+
+  detailSheet.getRow(1).font = { bold: true };
+  detailSheet.getRow(1).fill = {
+    type: 'pattern',
+    pattern: 'solid',
+    fgColor: { argb: 'FFEDE9FE' }
+  };
+
+  investors.forEach(inv => {
+    const row = detailSheet.addRow(inv);
+    if (inv.overCalled) {
+      row.fill = {
+        type: 'pattern',
+        pattern: 'solid',
+        fgColor: { argb: 'FFFEE2E2' }
+      };
+    }
+  });
+
+  const totalRow = detailSheet.addRow({ ...totals, investorName: 'TOTAL', email: '' });
+  totalRow.font = { bold: true };
+
+  detailColumns
+    .filter(col => !['investorName', 'email', 'ownershipPercent', 'excusalType'].includes(col.key))
+    .forEach(col => { detailSheet.getColumn(col.key).numFmt = MONEY_FORMAT; });
+
+  // Warnings worksheet
+  const warningSheet = workbook.addWorksheet('Warnings');
+  warningSheet.columns = [
+    { header: 'Code', key: 'code', width: 22 },
+    { header: 'Investor', key: 'userId', width: 40 },
+    { header: 'Message', key: 'message', width: 80 },
+  ];
+  warningSheet.getRow(1).font = { bold: true };
+  if (warnings.length === 0) {
+    warningSheet.addRow({ code: '', userId: '', message: 'No warnings' });
+  }
+  warnings.forEach(w => warningSheet.addRow({ ...w, userId: w.userId || 'Fund' }));
+
+  const buffer = await workbook.xlsx.writeBuffer();
+  return Buffer.from(buffer);
+}
+
+module.exports = {
+  generateAllocationPreviewExcel
+};
@@ -0,0 +1,228 @@
+/**
+ * Clawback Service
+ *
+ * GP clawback under a deal-by-deal (American) waterfall. Carry paid deal by deal can exceed
+ * the carry a whole-fund waterfall would pay once later investments return less, so at any
+ * date the whole-fund waterfall is replayed over every contribution and distribution up to
+ * that date and its hypothetical carry compared with the carry actually paid:
+ * - gross liability: carry paid, less hypothetical carry, less clawback already returned
+ * - tax offset: carry paid x tax rate, the taxes the GP paid on carry it may have to return
+ * - net liability: gross liability capped at the after-tax carry the GP kept
+ *
+ * The liability is shared between LPs in proportion to the excess carry taken from each
+ * (actual carry from the stored waterfall audits less the whole-fund carry), falling back to
+ * ownership. Assessments are stored to track the liability over time; the fund-end true-up
+ * records a final assessment and creates a clawback distribution paying it back to LPs.
+ */
+
+const Distribution = require('../models/supabase/distribution');
+const GpClawback = require('../models/supabase/gpClawback');
+const { toDateString } = require('../utils/businessDays');
+const { calculateWholeFundCarry, loadWaterfallInputs } = require('./waterfallService');
+
+function roundCents(value) {
+  return Math.round((value || 0) * 100) / 100;
+}
+
+/**
+ * Push rounding differences onto the largest entry so the parts add up to the total
+ */
+function allocateRemainder(entries, key, total) {
+  if (entries.length === 0) return;
+  const sum = entries.reduce((s, e) => s + e[key], 0);
+  const diff = roundCents(total - sum);
+  if (diff !== 0) {
+    const largest = entries.reduce((max, e) => (e[key] > max[key] ? e : max), entries[0]);
+    largest[key] = roundCents(largest[key] + diff);
+  }
+}
+
+/**
+ * Calculate the GP clawback liability at a date
+ * @param {Object} params
+ * @param {Object} params.wholeFund - calculateWholeFundCarry result at the same date
+ * @param {Array} params.distributions - [{ id, date, gpAmount, amount, distributionType, audit }]
+ *   distributions with the waterfall applied (standard and clawback)
+ * @param {string|Date} params.asOfDate - Last date included (defaults to today)
+ * @param {number} params.taxRate - Tax offset rate in percent
+ * @returns {Object} Carry comparison, liability and per-LP share
+ */
+function calculateClawback({ wholeFund, distributions = [], asOfDate = new Date(), taxRate = 0 }) {
+  const date = toDateString(asOfDate);
+  const rate = Math.min(Math.max(parseFloat(taxRate) || 0, 0), 100) / 100;
+  const included = distributions.filter(d => toDateString(d.date) <= date);
+  const standard = included.filter(d => d.distributionType !== 'clawback');
+  const clawbacks = included.filter(d => d.distributionType === 'clawback');
+
+  const carryPaid = roundCents(standard.reduce((sum, d) => sum + (parseFloat(d.gpAmount) || 0), 0));
+  const clawbackReturned = roundCents(clawbacks.reduce((sum, d) => sum + (parseFloat(d.amount) || 0), 0));
+  const hypotheticalCarry = roundCents(wholeFund.gpCarry);
+
+  const excessCarry = roundCents(Math.max(carryPaid - hypotheticalCarry, 0));
+  const grossLiability = roundCents(Math.max(excessCarry - clawbackReturned, 0));
+  const taxOffset = roundCents(carryPaid * rate);
+  const afterTaxCarry = roundCents(Math.max(carryPaid - taxOffset - clawbackReturned, 0));
+  const netLiability = roundCents(Math.min(grossLiability, afterTaxCarry));
+
+  // Carry actually taken from each LP, from the per-LP audit stored with each distribution
+  const paidByLp = {};
+  standard.forEach(d => {
+    (d.audit?.investors || []).forEach(inv => {
+      paidByLp[inv.userId] = (paidByLp[inv.userId] || 0) + (parseFloat(inv.gpAmount) || 0);
+    });
+  });
+
+  const investors = wholeFund.investors.map(inv => {
+    const lpCarryPaid = roundCents(paidByLp[inv.userId] || 0);
+    return {
+      userId: inv.userId,
+      ownershipPercent: inv.ownershipPercent,
+      carryPaid: lpCarryPaid,
+      hypotheticalCarry: inv.gpAmount,
+      excessCarry: roundCents(Math.max(lpCarryPaid - inv.gpAmount, 0)),
+      clawbackAmount: 0
+    };
+  });
+
+  const totalExcess = investors.reduce((sum, inv) => sum + inv.excessCarry, 0);
+  const basis = totalExcess > 0 ? 'excess_carry' : 'ownership';
+  if (netLiability > 0) {
+    const totalOwnership = investors.reduce((sum, inv) => sum + inv.ownershipPercent, 0);
+    investors.forEach(inv => {
+      const share = basis === 'excess_carry'
+        ? inv.excessCarry / totalExcess
+        : (totalOwnership > 0 ? inv.ownershipPercent / totalOwnership : 0);
+      inv.clawbackAmount = roundCents(netLiability * share);
+    });
+    allocateRemainder(investors.filter(inv => inv.clawbackAmount > 0), 'clawbackAmount', netLiability);
+  }
+
+  return {
+    asOfDate: date,
+    taxRate: rate * 100,
+    totalDistributed: wholeFund.totalDistributed,
+    hypotheticalCarry,
+    carryPaid,
+    excessCarry,
+    clawbackReturned,
+    grossLiability,
+    taxOffset,
+    netLiability,
+    allocationBasis: basis,
+    distributionCount: standard.length,
+    investors
+  };
+}
+
+/**
+ * Load the structure's waterfall inputs and calculate the clawback liability at a date
+ * @param {Object} structure - Structure model
+ * @param {Object} options - { asOfDate, taxRate, tiers } (taxRate defaults to the structure's clawbackTaxRate)
+ * @returns {Object} Clawback result (see calculateClawback)
+ */
+async function buildClawback(structure, options = {}) {
+  const asOfDate = toDateString(options.asOfDate || new Date());
+  const taxRate = options.taxRate != null ? options.taxRate : (structure.clawbackTaxRate || 0);
+  const inputs = await loadWaterfallInputs(structure, { tiers: options.tiers });
+
+  const wholeFund = calculateWholeFundCarry({
+    tiers: inputs.tiers,
+    gpCatchUpRate: structure.gpCatchUpRate,
+    investors: inputs.investors,
+    contributions: inputs.contributions,
+    distributions: inputs.distributions.filter(d => d.distributionType !== 'clawback'),
+    asOfDate
+  });
+
+  return calculateClawback({ wholeFund, distributions: inputs.distributions, asOfDate, taxRate });
+}
+
+/**
+ * Store a clawback calculation as an assessment
+ * @param {Object} structure - Structure model
+ * @param {Object} clawback - calculateClawback result
+ * @param {Object} options - { createdBy, status, isTrueUp, distributionId, notes }
+ * @returns {Object} GpClawback model
+ */
+async function recordAssessment(structure, clawback, options = {}) {
+  return GpClawback.create({
+    structureId: structure.id,
+    distributionId: options.distributionId || null,
+    asOfDate: clawback.asOfDate,
+    taxRate: clawback.taxRate,
+    hypotheticalCarry: clawback.hypotheticalCarry,
+    carryPaid: clawback.carryPaid,
+    clawbackReturned: clawback.clawbackReturned,
+    grossLiability: clawback.grossLiability,
+    taxOffset: clawback.taxOffset,
+    netLiability: clawback.netLiability,
+    investors: clawback.investors,
+    details: {
+      totalDistributed: clawback.totalDistributed,
+      excessCarry: clawback.excessCarry,
+      allocationBasis: clawback.allocationBasis,
+      distributionCount: clawback.distributionCount
+    },
+    status: options.status || 'estimate',
+    isTrueUp: options.isTrueUp || false,
+    notes: options.notes || null,
+    createdBy: options.createdBy
+  });
+}
+
+/**
+ * Fund-end true-up: record a final assessment and, when the GP owes a clawback, create a
+ * draft clawback distribution allocating the net liability to LPs
+ * @param {Object} structure - Structure model
+ * @param {Object} options - { asOfDate, taxRate, tiers, distributionNumber, distributionDate, notes, createdBy }
+ * @returns {Object} { assessment, distribution } (distribution is null when nothing is owed)
+ */
+async function trueUpClawback(structure, options = {}) {
+  const clawback = await buildClawback(structure, options);
+
+  let distribution = null;
+  if (clawback.netLiability > 0) {
+    distribution = await Distribution.create({
+      structureId: structure.id,
+      distributionNumber: options.distributionNumber,
+      distributionDate: options.distributionDate || new Date().toISOString(),
+      distributionType: 'clawback',
+      totalAmount: clawback.netLiability,
+      status: 'Draft',
+      source: 'GP Clawback',
+      notes: options.notes || `GP clawback true-up as of ${clawback.asOfDate}`,
+      // Paid by the GP to LPs outside the waterfall; the audit drives the LP allocations
+      waterfallApplied: true,
+      waterfallAudit: {
+        type: 'clawback',
+        asOfDate: clawback.asOfDate,
+        investors: clawback.investors
+          .filter(inv => inv.clawbackAmount > 0)
+          .map(inv => ({ userId: inv.userId, lpAmount: inv.clawbackAmount, gpAmount: 0 }))
+      },
+      waterfallAppliedAt: new Date().toISOString(),
+      lpTotalAmount: clawback.netLiability,
+      gpTotalAmount: 0,
+      managementFeeAmount: 0,
+      approvalStatus: 'draft',
+      createdBy: options.createdBy
+    });
+  }
+
+  const assessment = await recordAssessment(structure, clawback, {
+    createdBy: options.createdBy,
+    status: 'final',
+    isTrueUp: true,
+    distributionId: distribution?.id || null,
+    notes: options.notes
+  });
+
+  return { assessment, distribution };
+}
+
+module.exports = {
+  calculateClawback,
+  buildClawback,
+  recordAssessment,
+  trueUpClawback
+};
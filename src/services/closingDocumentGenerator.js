@@ -0,0 +1,366 @@
+/**
+ * Closing Document Generator
+ *
+ * Generates fund closing PDFs: the closing summary report for a close (commitments admitted
+ * and ownership of every LP afterwards) and the closing confirmation sent to each investor
+ * admitted at the close.
+ */
+
+const PDFDocument = require('pdfkit');
+
+const COLORS = {
+  primary: '#2D1B69',
+  secondary: '#6B21A8',
+  accent: '#EDE9FE',
+  text: '#1F2937',
+  muted: '#6B7280',
+  border: '#E5E7EB',
+  success: '#059669',
+  warning: '#D97706',
+};
+
+const CLOSING_TYPE_LABELS = {
+  first: 'First Close',
+  subsequent: 'Subsequent Close',
+  final: 'Final Close',
+};
+
+/**
+ * Generate the Closing Summary Report PDF
+ * @param {Object} closing - FundClosing model (investors and ownership from the completed close,
+ *   or from previewClosing for a draft)
+ * @param {Object} structure - Fund/structure data
+ * @param {Object} options - { firmName, investorNames: Map of userId to name }
+ * @returns {Promise<Buffer>} PDF buffer
+ */
+async function generateClosingSummaryPDF(closing, structure, options = {}) {
+  const { firmName = 'Investment Manager', investorNames = new Map() } = options;
+  const currency = structure?.baseCurrency || structure?.currency || 'USD';
+  const isDraft = closing.status !== 'completed';
+
+  return new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({
+        size: 'LETTER',
+        margins: { top: 50, bottom: 50, left: 50, right: 50 },
+        bufferPages: true,
+        autoFirstPage: true
+      });
+
+      const chunks = [];
+      doc.on('data', (chunk) => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      addClosingHeader(doc, {
+        firmName,
+        title: `CLOSING SUMMARY - ${(CLOSING_TYPE_LABELS[closing.closingType] || 'Close').toUpperCase()} #${closing.closingNumber}${isDraft ? ' (DRAFT)' : ''}`,
+        fundName: structure?.name || 'Fund',
+        date: closing.closingDate
+      });
+
+      addSectionHeader(doc, 'SECTION A: CLOSING DETAILS');
+      addKeyValueRows(doc, [
+        ['Closing', `${CLOSING_TYPE_LABELS[closing.closingType] || closing.closingType} #${closing.closingNumber}`],
+        ['Closing Date', formatDate(closing.closingDate)],
+        ['Status', isDraft ? 'Draft (not yet completed)' : 'Completed'],
+        ['Commitments Admitted', formatCurrency(closing.newCommitment, currency)],
+        ['Total Fund Commitments', formatCurrency(closing.totalCommitment, currency)],
+        ['Investors After Close', String(closing.investorCount)],
+        ['Commitment Base', closing.closingType === 'final' ? 'Locked by the final close' : 'Open'],
+      ]);
+
+      addSectionHeader(doc, 'SECTION B: INVESTORS ADMITTED');
+      addTable(
+        doc,
+        ['Investor', 'New / Existing', 'Prior Commitment', 'Committed at Close', 'Total Commitment'],
+        [150, 90, 90, 90, 92],
+        closing.investors.map(inv => [
+          investorNames.get(inv.userId) || inv.userId,
+          inv.isNewInvestor ? 'New' : 'Existing',
+          formatCurrency(inv.previousCommitment, currency),
+          formatCurrency(inv.commitment, currency),
+          formatCurrency(inv.totalCommitment, currency),
+        ]),
+        'No investors were admitted at this close.'
+      );
+
+      if (doc.y > 550) doc.addPage();
+      addSectionHeader(doc, 'SECTION C: OWNERSHIP AFTER CLOSE');
+      addTable(
+        doc,
+        ['Investor', 'Commitment', 'Ownership Before', 'Ownership After'],
+        [190, 110, 105, 107],
+        closing.ownership.map(o => [
+          investorNames.get(o.userId) || o.userId,
+          formatCurrency(o.commitment, currency),
+          formatPercent(o.ownershipPercentBefore),
+          formatPercent(o.ownershipPercent),
+        ]),
+        'No investors in the structure.'
+      );
+
+      addClosingFooter(doc, firmName, `Closing summary for ${structure?.name || 'the fund'}.`);
+
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+/**
+ * Generate an investor's Closing Confirmation PDF
+ * Confirms the investor's admission (or commitment increase) at a completed close, with the
+ * investor's total commitment and ownership afterwards.
+ * @param {Object} closing - Completed FundClosing model
+ * @param {Object} admission - The investor's entry in closing.investors
+ * @param {Object} structure - Fund/structure data
+ * @param {Object} investor - Investor profile data
+ * @param {Object} options - { firmName }
+ * @returns {Promise<Buffer>} PDF buffer
+ */
+async function generateClosingConfirmationPDF(closing, admission, structure, investor, options = {}) {
+  const { firmName = 'Investment Manager' } = options;
+  const currency = structure?.baseCurrency || structure?.currency || 'USD';
+  const ownership = closing.ownership.find(o => o.userId === admission.userId);
+  const investorName = getInvestorName(investor) || admission.userId;
+
+  return new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({
+        size: 'LETTER',
+        margins: { top: 50, bottom: 50, left: 50, right: 50 },
+        bufferPages: true,
+        autoFirstPage: true
+      });
+
+      const chunks = [];
+      doc.on('data', (chunk) => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      addClosingHeader(doc, {
+        firmName,
+        title: 'CLOSING CONFIRMATION',
+        fundName: structure?.name || 'Fund',
+        date: closing.closingDate,
+        recipientName: investorName
+      });
+
+      const closingLabel = CLOSING_TYPE_LABELS[closing.closingType] || 'close';
+      doc.fontSize(10)
+         .fillColor(COLORS.text)
+         .text(
+           admission.isNewInvestor
+             ? `We confirm that ${investorName} has been admitted as a limited partner of ${structure?.name || 'the fund'} at its ${closingLabel.toLowerCase()} on ${formatDate(closing.closingDate)}.`
+             : `We confirm that the capital commitment of ${investorName} to ${structure?.name || 'the fund'} has been increased at its ${closingLabel.toLowerCase()} on ${formatDate(closing.closingDate)}.`,
+           50, doc.y + 10, { width: 512 }
+         );
+      doc.moveDown(1);
+
+      addSectionHeader(doc, 'SECTION A: YOUR COMMITMENT');
+      addKeyValueRows(doc, [
+        ['Closing', `${closingLabel} #${closing.closingNumber}`],
+        ['Closing Date', formatDate(closing.closingDate)],
+        ['Commitment at This Close', formatCurrency(admission.commitment, currency)],
+        ['Prior Commitment', formatCurrency(admission.previousCommitment, currency)],
+        ['Total Commitment', formatCurrency(admission.totalCommitment, currency)],
+        ['Ownership Percentage', formatPercent(ownership?.ownershipPercent)],
+      ]);
+
+      addSectionHeader(doc, 'SECTION B: FUND AFTER CLOSE');
+      addKeyValueRows(doc, [
+        ['Total Fund Commitments', formatCurrency(closing.totalCommitment, currency)],
+        ['Investors', String(closing.investorCount)],
+        ['Commitment Base', closing.closingType === 'final' ? 'Final - no further closes' : 'Further closes may follow'],
+      ]);
+
+      doc.fontSize(9)
+         .fillColor(COLORS.muted)
+         .text(
+           'Ownership percentages are recomputed on total fund commitments at each close. Capital called before your admission may be equalized through a separate capital call.',
+           50, doc.y + 10, { width: 512 }
+         );
+
+      addClosingFooter(doc, firmName, `Closing confirmation for ${investorName}.`);
+
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+function addClosingHeader(doc, options) {
+  const { firmName, title, fundName, date, recipientName } = options;
+
+  doc.fontSize(20)
+     .fillColor(COLORS.primary)
+     .text(firmName, 50, 50);
+
+  doc.fontSize(16)
+     .fillColor(COLORS.text)
+     .text(title, 50, 85);
+
+  doc.fontSize(12)
+     .fillColor(COLORS.muted)
+     .text(fundName, 50, 110);
+
+  if (recipientName) {
+    doc.moveDown(0.5);
+    doc.fontSize(11)
+       .fillColor(COLORS.text)
+       .text(`Attention: ${recipientName}`);
+  }
+
+  doc.fontSize(10)
+     .fillColor(COLORS.muted)
+     .text(`Closing Date: ${formatDate(date)}`, 400, 50, { align: 'right' });
+
+  const dividerY = recipientName ? 155 : 140;
+  doc.moveTo(50, dividerY)
+     .lineTo(562, dividerY)
+     .stroke(COLORS.border);
+
+  doc.y = dividerY + 10;
+}
+
+function addSectionHeader(doc, title) {
+  const startY = doc.y + 10;
+
+  doc.rect(50, startY, 512, 25)
+     .fill(COLORS.accent);
+
+  doc.fontSize(12)
+     .fillColor(COLORS.primary)
+     .font('Helvetica-Bold')
+     .text(title, 60, startY + 7);
+
+  doc.y = startY + 35;
+  doc.font('Helvetica');
+}
+
+function addKeyValueRows(doc, rows) {
+  let currentY = doc.y;
+  rows.forEach(([label, value]) => {
+    doc.fontSize(10)
+       .fillColor(COLORS.muted)
+       .text(label, 60, currentY);
+
+    doc.fillColor(COLORS.text)
+       .text(String(value), 250, currentY, { width: 300 });
+
+    currentY += 18;
+  });
+
+  doc.y = currentY + 10;
+}
+
+function addTable(doc, headers, colWidths, rows, emptyMessage) {
+  doc.fontSize(9)
+     .font('Helvetica-Bold')
+     .fillColor(COLORS.primary);
+
+  let colX = 60;
+  const headerY = doc.y;
+  headers.forEach((header, i) => {
+    doc.text(header, colX, headerY, { width: colWidths[i] });
+    colX += colWidths[i];
+  });
+
+  let currentY = headerY + 18;
+  doc.font('Helvetica')
+     .fillColor(COLORS.text);
+
+  if (rows.length === 0) {
+    doc.fontSize(10)
+       .fillColor(COLORS.muted)
+       .text(emptyMessage, 60, currentY);
+    currentY += 18;
+  }
+
+  rows.forEach((rowData) => {
+    if (currentY > 700) {
+      doc.addPage();
+      currentY = 50;
+    }
+
+    colX = 60;
+    doc.fontSize(9)
+       .fillColor(COLORS.text);
+    rowData.forEach((value, i) => {
+      doc.text(String(value), colX, currentY, { width: colWidths[i] });
+      colX += colWidths[i];
+    });
+
+    currentY += 16;
+  });
+
+  doc.y = currentY + 10;
+}
+
+function addClosingFooter(doc, firmName, note) {
+  const pages = doc.bufferedPageRange();
+
+  for (let i = 0; i < pages.count; i++) {
+    doc.switchToPage(i);
+
+    doc.moveTo(50, 730)
+       .lineTo(562, 730)
+       .stroke(COLORS.border);
+
+    doc.fontSize(8)
+       .fillColor(COLORS.muted)
+       .text(note, 50, 740);
+
+    doc.text(`Generated by ${firmName}`, 50, 752);
+
+    doc.text(
+      `Page ${i + 1} of ${pages.count}`,
+      0, 752, { align: 'center', width: 612 }
+    );
+
+    doc.text(
+      new Date().toLocaleDateString('en-US'),
+      0, 752, { align: 'right', width: 562 }
+    );
+  }
+}
+
+// Utility functions
+function getInvestorName(investor) {
+  if (!investor) return null;
+  return investor.name ||
+    `${investor.firstName || ''} ${investor.lastName || ''}`.trim() ||
+    investor.institutionName ||
+    investor.email ||
+    null;
+}
+
+function formatCurrency(value, currency = 'USD') {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: currency,
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0,
+  }).format(value || 0);
+}
+
+function formatPercent(value) {
+  return `${(parseFloat(value) || 0).toFixed(4)}%`;
+}
+
+function formatDate(dateString) {
+  if (!dateString) return 'N/A';
+  return new Date(dateString).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+  });
+}
+
+module.exports = {
+  generateClosingSummaryPDF,
+  generateClosingConfirmationPDF
+};
@@ -0,0 +1,405 @@
+/**
+ * Distribution Payout Service
+ *
+ * Pays an approved distribution through Stripe Connect: one transfer per LP allocation to the
+ * LP's onboarded Connect account, for the net amount after withholding (in the LP's payment
+ * currency when an FX snapshot was taken; for in-kind distributions, the cash in lieu of
+ * fractional units). Each transfer is tracked as a distribution payout:
+ * - the run transfers pending allocations, skips LPs without a completed Connect onboarding and
+ *   retries transfers Stripe rejected (or that failed or were reversed) up to
+ *   DistributionPayout.MAX_ATTEMPTS, each retry on a new payout
+ * - a payout keeps one idempotency key for its whole life. A run claims the payout (a
+ *   conditional insert or update, backed by a unique index on active payouts per allocation)
+ *   before calling Stripe, so concurrent runs never both transfer. When a transfer request errors
+ *   without a definite answer from Stripe (e.g. a timeout) the payout is left `unconfirmed`:
+ *   the next run first looks the transfer up by its payoutId metadata, then retries under the
+ *   same key
+ * - transfer.* webhook events update the transfer status
+ * - payout.* webhook events settle the transfers into the LP's Connect account once the LP's
+ *   payout to their bank is paid; a failed payout only records the error, as the funds stay in
+ *   the account and settle with the LP's next paid payout. The allocation is marked Paid, and
+ *   the distribution once every allocation is paid
+ */
+
+const Distribution = require('../models/supabase/distribution');
+const DistributionPayout = require('../models/supabase/distributionPayout');
+
+// Payouts that hold money in (or already paid out of) the LP's Connect account: never transfer again
+const TRANSFERRED_STATUSES = ['transferred', 'paid'];
+// Payouts a run may claim as they are; `sending` ones only once their claim is stale
+const CLAIMABLE_STATUSES = ['pending', 'skipped', 'unconfirmed'];
+// Stripe errors that mean the transfer was not created; any other error leaves the outcome unknown
+const REJECTED_STRIPE_ERRORS = ['StripeCardError', 'StripeInvalidRequestError', 'StripePermissionError', 'StripeAuthenticationError', 'StripeRateLimitError'];
+
+function roundCents(value) {
+  return Math.round((value || 0) * 100) / 100;
+}
+
+/**
+ * Plan the transfer for each unpaid allocation
+ * @param {Array} allocations - distribution_allocations rows joined with `user`
+ * @param {string} baseCurrency - Distribution base currency
+ * @returns {Array} [{ allocationId, userId, stripeAccountId, baseAmount, amount, currency, eligible, reason }]
+ */
+function planPayouts(allocations = [], baseCurrency = 'USD') {
+  return allocations
+    .filter(a => a.status !== 'Paid')
+    .map(a => {
+      const gross = parseFloat(a.allocated_amount) || 0;
+      let net = a.net_amount != null ? parseFloat(a.net_amount) || 0 : gross;
+      // In-kind allocations only pay cash in lieu of fractional units, less the tax withheld
+      if (a.allocated_units != null) {
+        net = (parseFloat(a.cash_in_lieu_amount) || 0) - (parseFloat(a.withholding_amount) || 0);
+      }
+      const baseAmount = roundCents(Math.max(net - (parseFloat(a.paid_amount) || 0), 0));
+
+      // Pay in the LP's payment currency at the rate snapshotted for the notice
+      const converted = a.allocated_amount_payment_currency != null ? parseFloat(a.allocated_amount_payment_currency) : null;
+      const inPaymentCurrency = a.payment_currency && converted != null && gross > 0;
+      const amount = inPaymentCurrency ? roundCents(converted * (baseAmount / gross)) : baseAmount;
+
+      const stripeAccountId = a.user?.stripe_account_id || null;
+      let reason = null;
+      if (!stripeAccountId) {
+        reason = 'Investor has no Stripe Connect account';
+      } else if (!a.user?.stripe_onboarding_complete) {
+        reason = 'Investor has not completed Stripe Connect onboarding';
+      } else if (amount <= 0) {
+        reason = 'Nothing to pay';
+      }
+
+      return {
+        allocationId: a.id,
+        userId: a.user_id,
+        stripeAccountId,
+        baseAmount,
+        amount,
+        currency: (inPaymentCurrency ? a.payment_currency : baseCurrency).toUpperCase(),
+        eligible: !reason,
+        reason
+      };
+    });
+}
+
+/**
+ * Whether a transfer error is a definite rejection by Stripe (no transfer was created)
+ */
+function isRejectedByStripe(error) {
+  return REJECTED_STRIPE_ERRORS.includes(error?.type);
+}
+
+/**
+ * Make one transfer attempt for a claimed payout and record the outcome
+ * @param {Object} payout - Payout claimed by this run (status `sending`)
+ * @param {Object} plan - Planned transfer
+ * @param {Object} distribution - Distribution model
+ * @param {Object} options - { recover } the payout may already have a transfer at Stripe
+ */
+async function attemptTransfer(payout, plan, distribution, options = {}) {
+  // Loaded on use: the Stripe client is created at require time and needs the secret key
+  const stripeService = require('./stripe.service');
+
+  const recordTransferred = async (transfer, attempts) => {
+    const updated = await DistributionPayout.findByIdAndUpdate(payout.id, {
+      stripeAccountId: plan.stripeAccountId,
+      amount: plan.amount,
+      currency: plan.currency,
+      baseAmount: plan.baseAmount,
+      stripeTransferId: transfer.id,
+      status: 'transferred',
+      attempts,
+      lastError: null,
+      transferredAt: new Date().toISOString()
+    });
+    await Distribution.updateAllocationPaymentStatus(plan.allocationId, 'Processing');
+    return updated;
+  };
+
+  // An earlier attempt may have created the transfer before its response was lost
+  if (options.recover) {
+    try {
+      const existing = await stripeService.findTransferByMetadata(plan.stripeAccountId, 'payoutId', payout.id, payout.createdAt);
+      if (existing) {
+        return recordTransferred(existing, payout.attempts);
+      }
+    } catch (error) {
+      return DistributionPayout.findByIdAndUpdate(payout.id, {
+        status: 'unconfirmed',
+        lastError: `Could not look up earlier transfer: ${error.message}`
+      });
+    }
+  }
+
+  const attempts = payout.attempts + 1;
+  try {
+    const transfer = await stripeService.createTransferToConnectAccount(
+      plan.stripeAccountId,
+      Math.round(plan.amount * 100),
+      plan.currency.toLowerCase(),
+      `Distribution #${distribution.distributionNumber}`,
+      {
+        distributionId: distribution.id,
+        allocationId: plan.allocationId,
+        userId: plan.userId,
+        payoutId: payout.id
+      },
+      { idempotencyKey: `distribution-payout-${payout.id}` }
+    );
+
+    return recordTransferred(transfer, attempts);
+  } catch (error) {
+    if (!isRejectedByStripe(error)) {
+      // The transfer may exist: keep the payout (and its key) for the next run to confirm
+      const updated = await DistributionPayout.findByIdAndUpdate(payout.id, {
+        status: 'unconfirmed',
+        attempts,
+        lastError: error.message
+      });
+      await Distribution.updateAllocationPaymentStatus(plan.allocationId, 'Processing');
+      return updated;
+    }
+
+    const updated = await DistributionPayout.findByIdAndUpdate(payout.id, {
+      status: 'failed',
+      attempts,
+      lastError: error.message
+    });
+    await Distribution.updateAllocationPaymentStatus(plan.allocationId, 'Failed');
+    return updated;
+  }
+}
+
+/**
+ * Claim the allocation's payout for this run
+ * Reuses the active payout (pending, skipped, unconfirmed or a stale sending claim), or creates
+ * a new one when there is none or the last one was rejected, failed or reversed
+ * @returns {Object|null} { payout, recover }, or null when another run holds the allocation
+ */
+async function claimPayout(latest, plan, distribution, options = {}) {
+  if (latest && CLAIMABLE_STATUSES.includes(latest.status)) {
+    const payout = await DistributionPayout.claim(latest.id, [latest.status]);
+    return payout && { payout, recover: latest.status === 'unconfirmed' };
+  }
+
+  if (latest && latest.status === 'sending') {
+    const staleBefore = new Date(Date.now() - DistributionPayout.SENDING_TIMEOUT_MINUTES * 60 * 1000).toISOString();
+    const payout = await DistributionPayout.claim(latest.id, ['sending'], { updatedBefore: staleBefore });
+    return payout && { payout, recover: true };
+  }
+
+  const payout = await DistributionPayout.createIfNoneActive({
+    distributionId: distribution.id,
+    allocationId: plan.allocationId,
+    userId: plan.userId,
+    stripeAccountId: plan.stripeAccountId,
+    amount: plan.amount,
+    currency: plan.currency,
+    baseAmount: plan.baseAmount,
+    status: 'sending',
+    // Attempts carry over from the rejected payout so retries stop at MAX_ATTEMPTS
+    attempts: latest?.attempts || 0,
+    createdBy: options.createdBy
+  });
+  return payout && { payout, recover: false };
+}
+
+/**
+ * Run (or re-run) the payouts for a distribution
+ * @param {Object} distribution - Distribution model (approved)
+ * @param {Object} structure - Structure model (base currency)
+ * @param {Object} options - { createdBy }
+ * @returns {Object} Run summary with each payout's outcome
+ */
+async function runPayouts(distribution, structure, options = {}) {
+  const withAllocations = await Distribution.findWithAllocations(distribution.id);
+  const plans = planPayouts(withAllocations?.distribution_allocations || [], structure?.baseCurrency || 'USD');
+
+  // Latest payout per allocation
+  const existing = new Map();
+  (await DistributionPayout.findByDistributionId(distribution.id)).forEach(p => existing.set(p.allocationId, p));
+
+  const results = [];
+  for (const plan of plans) {
+    let payout = existing.get(plan.allocationId);
+
+    if (payout && TRANSFERRED_STATUSES.includes(payout.status)) {
+      results.push({ ...plan, outcome: 'unchanged', payout });
+      continue;
+    }
+    if (payout && ['failed', 'reversed'].includes(payout.status) && payout.attempts >= DistributionPayout.MAX_ATTEMPTS) {
+      results.push({ ...plan, outcome: 'exhausted', payout });
+      continue;
+    }
+
+    // An unconfirmed transfer is settled first, even if the LP's Connect account changed since
+    if (!plan.eligible && !(payout && ['unconfirmed', 'sending'].includes(payout.status))) {
+      if (payout && ['pending', 'skipped'].includes(payout.status)) {
+        payout = await DistributionPayout.findByIdAndUpdate(payout.id, { status: 'skipped', lastError: plan.reason });
+      } else {
+        payout = await DistributionPayout.createIfNoneActive({
+          distributionId: distribution.id,
+          allocationId: plan.allocationId,
+          userId: plan.userId,
+          stripeAccountId: plan.stripeAccountId,
+          amount: plan.amount,
+          currency: plan.currency,
+          baseAmount: plan.baseAmount,
+          status: 'skipped',
+          attempts: payout?.attempts || 0,
+          lastError: plan.reason,
+          createdBy: options.createdBy
+        }) || payout;
+      }
+      results.push({ ...plan, outcome: 'skipped', payout });
+      continue;
+    }
+
+    const claimed = await claimPayout(payout, plan, distribution, options);
+    if (!claimed) {
+      results.push({ ...plan, outcome: 'in_progress', payout });
+      continue;
+    }
+
+    const updated = await attemptTransfer(claimed.payout, plan, distribution, { recover: claimed.recover });
+    const outcome = { transferred: 'transferred', unconfirmed: 'unconfirmed' }[updated.status] || 'failed';
+    results.push({ ...plan, outcome, payout: updated });
+  }
+
+  const count = (outcome) => results.filter(r => r.outcome === outcome).length;
+  return {
+    distributionId: distribution.id,
+    transferred: count('transferred'),
+    failed: count('failed'),
+    unconfirmed: count('unconfirmed'),
+    inProgress: count('in_progress'),
+    exhausted: count('exhausted'),
+    skipped: count('skipped'),
+    unchanged: count('unchanged'),
+    transferredAmount: roundCents(results.filter(r => r.outcome === 'transferred').reduce((sum, r) => sum + r.baseAmount, 0)),
+    payouts: results
+  };
+}
+
+/**
+ * Summarize a distribution's payouts by status
+ * @param {Array} payouts - DistributionPayout models
+ * @returns {Object} { byStatus: { [status]: { count, baseAmount } }, complete }
+ */
+function summarizePayouts(payouts = []) {
+  const byStatus = {};
+  payouts.forEach(p => {
+    const entry = byStatus[p.status] || (byStatus[p.status] = { count: 0, baseAmount: 0 });
+    entry.count += 1;
+    entry.baseAmount = roundCents(entry.baseAmount + p.baseAmount);
+  });
+
+  return {
+    byStatus,
+    complete: payouts.length > 0 && payouts.every(p => p.status === 'paid')
+  };
+}
+
+/**
+ * Mark the distribution Paid once every allocation is paid
+ */
+async function settleDistributionIfComplete(distributionId) {
+  const withAllocations = await Distribution.findWithAllocations(distributionId);
+  const allocations = withAllocations?.distribution_allocations || [];
+  if (withAllocations.status !== 'Paid' && allocations.length > 0 && allocations.every(a => a.status === 'Paid')) {
+    await Distribution.markAsPaid(distributionId);
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Apply a transfer.* webhook event to the matching payout
+ * @param {Object} event - Stripe event
+ * @returns {Object|null} Updated payout, or null when the transfer is not a distribution payout
+ */
+async function handleTransferEvent(event) {
+  const transfer = event.data.object;
+  // A payout whose transfer response was lost has no transfer ID yet: match it by metadata
+  const payout = await DistributionPayout.findByTransferId(transfer.id)
+    || (transfer.metadata?.payoutId ? await DistributionPayout.findById(transfer.metadata.payoutId) : null);
+  if (!payout) return null;
+
+  switch (event.type) {
+    case 'transfer.created':
+      return ['pending', 'sending', 'unconfirmed'].includes(payout.status)
+        ? DistributionPayout.findByIdAndUpdate(payout.id, {
+          status: 'transferred',
+          stripeTransferId: transfer.id,
+          lastError: null,
+          transferredAt: new Date().toISOString()
+        })
+        : payout;
+
+    case 'transfer.failed':
+    case 'transfer.reversed': {
+      const updated = await DistributionPayout.findByIdAndUpdate(payout.id, {
+        status: event.type === 'transfer.failed' ? 'failed' : 'reversed',
+        lastError: event.type === 'transfer.failed' ? 'Transfer failed' : 'Transfer reversed'
+      });
+      await Distribution.updateAllocationPaymentStatus(payout.allocationId, 'Failed');
+      return updated;
+    }
+
+    default:
+      return payout;
+  }
+}
+
+/**
+ * Apply a payout.paid / payout.failed webhook event from an LP's Connect account to the
+ * transfers into that account made before the payout
+ * @param {Object} event - Stripe event (event.account is the Connect account)
+ * @returns {Array} Updated payouts
+ */
+async function handlePayoutEvent(event) {
+  const stripePayout = event.data.object;
+  const accountId = event.account;
+  if (!accountId || !['payout.paid', 'payout.failed'].includes(event.type)) return [];
+
+  const payoutCreatedAt = stripePayout.created ? stripePayout.created * 1000 : Date.now();
+  const transferred = (await DistributionPayout.findByAccountAndStatus(accountId, 'transferred'))
+    .filter(p => !p.transferredAt || new Date(p.transferredAt).getTime() <= payoutCreatedAt);
+
+  const updated = [];
+  for (const payout of transferred) {
+    if (event.type === 'payout.paid') {
+      // Only the event that settles the payout pays the allocation, so redelivery adds nothing
+      const settled = await DistributionPayout.settle(payout.id, {
+        stripePayoutId: stripePayout.id,
+        settledAt: new Date().toISOString()
+      });
+      if (!settled) continue;
+      updated.push(settled);
+      await Distribution.updateAllocationPaymentStatus(payout.allocationId, 'Paid', payout.baseAmount);
+    } else {
+      // The funds stay in the Connect account; keep the transfer settleable by a later payout
+      updated.push(await DistributionPayout.findByIdAndUpdate(payout.id, {
+        stripePayoutId: stripePayout.id,
+        lastError: stripePayout.failure_message || 'Payout failed'
+      }));
+      await Distribution.updateAllocationPaymentStatus(payout.allocationId, 'Failed');
+    }
+  }
+
+  if (event.type === 'payout.paid') {
+    const distributionIds = [...new Set(transferred.map(p => p.distributionId))];
+    for (const distributionId of distributionIds) {
+      await settleDistributionIfComplete(distributionId);
+    }
+  }
+
+  return updated;
+}
+
+module.exports = {
+  planPayouts,
+  runPayouts,
+  summarizePayouts,
+  handleTransferEvent,
+  handlePayoutEvent
+};
@@ -6,6 +6,7 @@
  */
 
 const PDFDocument = require('pdfkit');
+const { formatPaymentReference } = require('../utils/paymentReference');
 
 // ============================================================================
 // PDF STYLING CONSTANTS
@@ -22,6 +23,11 @@ const COLORS = {
   warning: '#D97706',      // Orange
 };
 
+const EXCUSAL_LABELS = {
+  excused: 'Excused',
+  excluded: 'Excluded',
+};
+
 // ============================================================================
 // CAPITAL CALL NOTICE GENERATOR
 // ============================================================================
@@ -75,6 +81,12 @@ async function generateCapitalCallNoticePDF(capitalCall, structure, options = {}
         addSectionD(doc, capitalCall, currency);
       }
 
+      // Section E: Excused / Excluded Investors
+      const excusedAllocations = (capitalCall.allocations || []).filter(a => a.excusal_type);
+      if (excusedAllocations.length > 0) {
+        addSectionE(doc, capitalCall, excusedAllocations, structure, currency);
+      }
+
       // Footer
       addNoticeFooter(doc, firmName);
 
@@ -96,7 +108,7 @@ async function generateCapitalCallNoticePDF(capitalCall, structure, options = {}
  */
 async function generateIndividualLPNoticePDF(capitalCall, allocation, structure, investor, options = {}) {
   const { firmName = 'Investment Manager', bankDetails = {} } = options;
-  const currency = capitalCall.currency || structure?.currency || 'USD';
+  const currency = capitalCall.currency || structure?.baseCurrency || structure?.currency || 'USD';
 
   return new Promise((resolve, reject) => {
     try {
@@ -124,14 +136,22 @@ async function generateIndividualLPNoticePDF(capitalCall, allocation, structure,
       // Section A: Transaction Summary (LP-specific)
       addLPSectionA(doc, capitalCall, allocation, structure, currency);
 
+      // Excuse/exclusion notice (LP excused, or LP picking up an excused share)
+      if (allocation.excusal_type || allocation.reallocated_amount > 0) {
+        addLPExcusalNotice(doc, capitalCall, allocation, structure, currency);
+      }
+
       // Section B: Fee Breakdown (LP-specific)
       addLPSectionB(doc, capitalCall, allocation, structure, investor, currency);
 
+      // Payment reference the LP must quote so the transfer can be matched to this allocation
+      const paymentReference = allocation.paymentReferenceCode || allocation.payment_reference_code || null;
+
       // Section C: Payment Instructions
-      addSectionC(doc, capitalCall, bankDetails || structure?.bankDetails, currency);
+      addSectionC(doc, capitalCall, bankDetails || structure?.bankDetails, currency, paymentReference);
 
       // Section D: Balance Summary (LP-specific)
-      addLPSectionD(doc, allocation, currency);
+      addLPSectionD(doc, allocation, currency, paymentReference);
 
       // Footer
       addNoticeFooter(doc, firmName);
@@ -424,6 +444,7 @@ function addLPSectionB(doc, capitalCall, allocation, structure, investor, curren
 
   feeData.push(['', '']); // Separator
   feeData.push(['TOTAL AMOUNT DUE', formatCurrency(totalDue, currency)]);
+  feeData.push(...getPaymentCurrencyRows(allocation, currency, 'TOTAL AMOUNT DUE', allocation.total_due_payment_currency));
 
   let currentY = doc.y;
   feeData.forEach(([label, value]) => {
@@ -453,7 +474,7 @@ function addLPSectionB(doc, capitalCall, allocation, structure, investor, curren
   doc.y = currentY + 10;
 }
 
-function addSectionC(doc, capitalCall, bankDetails, currency) {
+function addSectionC(doc, capitalCall, bankDetails, currency, paymentReference = null) {
   if (doc.y > 550) doc.addPage();
 
   const startY = doc.y + 10;
@@ -479,18 +500,21 @@ function addSectionC(doc, capitalCall, bankDetails, currency) {
 
   doc.y += 20;
 
-  // Bank details
+  // Bank details (an LP's own payment reference replaces the generic call reference)
+  const reference = paymentReference
+    ? formatPaymentReference(paymentReference)
+    : (bankDetails?.reference || `Capital Call #${capitalCall.callNumber}`);
   const wireInstructions = bankDetails ? [
     ['Bank Name', bankDetails.bankName || '[To be configured]'],
     ['Account Name', bankDetails.accountName || '[To be configured]'],
     ['Account Number', bankDetails.accountNumber || '[To be configured]'],
     ['Routing Number', bankDetails.routingNumber || 'N/A'],
     ['SWIFT Code', bankDetails.swiftCode || 'N/A'],
-    ['Reference', bankDetails.reference || `Capital Call #${capitalCall.callNumber}`],
+    ['Reference', reference],
   ] : [
     ['Bank Name', '[To be configured in Fund Settings]'],
     ['Account Number', '[To be configured in Fund Settings]'],
-    ['Reference', `Capital Call #${capitalCall.callNumber}`],
+    ['Reference', reference],
   ];
 
   let currentY = doc.y;
@@ -509,6 +533,15 @@ function addSectionC(doc, capitalCall, bankDetails, currency) {
     currentY += 18;
   });
 
+  if (paymentReference) {
+    doc.fontSize(9)
+       .fillColor(COLORS.muted)
+       .font('Helvetica-Oblique')
+       .text('Please quote the reference exactly as shown so your payment can be matched to this notice.', 60, currentY + 4, { width: 490 })
+       .font('Helvetica');
+    currentY += 18;
+  }
+
   doc.y = currentY + 20;
 }
 
@@ -563,7 +596,7 @@ function addSectionD(doc, capitalCall, currency) {
     const investorName = allocation.investorName || allocation.investor_name || 'Unknown';
     const commitment = allocation.commitment || allocation.allocatedAmount || 0;
     const callAmount = allocation.total_due || allocation.allocatedAmount || 0;
-    const status = allocation.status || 'Pending';
+    const status = EXCUSAL_LABELS[allocation.excusal_type] || allocation.status || 'Pending';
 
     const rowData = [
       investorName.substring(0, 30),
@@ -584,7 +617,109 @@ function addSectionD(doc, capitalCall, currency) {
   doc.y = currentY + 10;
 }
 
-function addLPSectionD(doc, allocation, currency) {
+function addSectionE(doc, capitalCall, excusedAllocations, structure, currency) {
+  if (doc.y > 550) doc.addPage();
+
+  const startY = doc.y + 10;
+
+  // Section header
+  doc.rect(50, startY, 512, 25)
+     .fill(COLORS.accent);
+
+  doc.fontSize(12)
+     .fillColor(COLORS.primary)
+     .font('Helvetica-Bold')
+     .text('SECTION E: EXCUSED / EXCLUDED INVESTORS', 60, startY + 7);
+
+  doc.y = startY + 35;
+  doc.font('Helvetica');
+
+  const rule = capitalCall.excusalReallocationRule || structure?.excusalReallocationRule || 'pro_rata_ownership';
+  doc.fontSize(9)
+     .fillColor(COLORS.muted)
+     .text(`Reallocation of excused amounts: ${formatReallocationRule(rule)}`, 60, doc.y, { width: 490 });
+
+  doc.y += 18;
+
+  // Table header
+  const headers = ['LP Name', 'Status', 'Excused Amount', 'Reason'];
+  const colWidths = [160, 80, 110, 160];
+  let colX = 50;
+
+  doc.fontSize(9)
+     .font('Helvetica-Bold')
+     .fillColor(COLORS.primary);
+
+  headers.forEach((header, i) => {
+    doc.text(header, colX, doc.y, { width: colWidths[i] });
+    colX += colWidths[i];
+  });
+
+  doc.moveTo(50, doc.y + 15)
+     .lineTo(562, doc.y + 15)
+     .stroke(COLORS.border);
+
+  let currentY = doc.y + 22;
+  doc.font('Helvetica')
+     .fillColor(COLORS.text);
+
+  excusedAllocations.forEach((allocation) => {
+    if (currentY > 700) {
+      doc.addPage();
+      currentY = 50;
+    }
+
+    colX = 50;
+    const investorName = allocation.investorName || allocation.investor_name || 'Unknown';
+    const rowData = [
+      investorName.substring(0, 28),
+      EXCUSAL_LABELS[allocation.excusal_type] || allocation.excusal_type,
+      formatCurrency(allocation.excused_amount, currency),
+      (allocation.excusal_reason || '-').substring(0, 40)
+    ];
+
+    doc.fontSize(9);
+    rowData.forEach((value, i) => {
+      doc.text(value, colX, currentY, { width: colWidths[i] });
+      colX += colWidths[i];
+    });
+
+    currentY += 16;
+  });
+
+  doc.y = currentY + 10;
+}
+
+function addLPExcusalNotice(doc, capitalCall, allocation, structure, currency) {
+  if (doc.y > 600) doc.addPage();
+
+  const startY = doc.y + 5;
+  const isExcused = Boolean(allocation.excusal_type);
+  const rule = capitalCall.excusalReallocationRule || structure?.excusalReallocationRule || 'pro_rata_ownership';
+
+  let message;
+  if (isExcused) {
+    const label = EXCUSAL_LABELS[allocation.excusal_type] || allocation.excusal_type;
+    message = `You have been ${label.toLowerCase()} from this capital call. ` +
+      `Your pro-rata share of ${formatCurrency(allocation.excused_amount, currency)} is not called from you` +
+      (allocation.excusal_reason ? ` (reason: ${allocation.excusal_reason}).` : '.');
+  } else {
+    message = `Your call amount includes ${formatCurrency(allocation.reallocated_amount, currency)} reallocated ` +
+      `from excused or excluded investors (${formatReallocationRule(rule)}).`;
+  }
+
+  doc.rect(50, startY, 512, 40)
+     .fill('#FEF3C7');
+
+  doc.fontSize(9)
+     .fillColor(COLORS.text)
+     .font('Helvetica')
+     .text(message, 60, startY + 8, { width: 490 });
+
+  doc.y = startY + 50;
+}
+
+function addLPSectionD(doc, allocation, currency, paymentReference = null) {
   if (doc.y > 550) doc.addPage();
 
   const startY = doc.y + 10;
@@ -640,6 +775,21 @@ function addLPSectionD(doc, allocation, currency) {
     currentY += 18;
   });
 
+  if (paymentReference) {
+    currentY += 6;
+    doc.fontSize(10)
+       .fillColor(COLORS.muted)
+       .font('Helvetica')
+       .text('Payment Reference', 60, currentY);
+
+    doc.fillColor(COLORS.primary)
+       .font('Helvetica-Bold')
+       .text(formatPaymentReference(paymentReference), 200, currentY, { width: 350 })
+       .font('Helvetica');
+
+    currentY += 18;
+  }
+
   doc.y = currentY + 20;
 }
 
@@ -888,7 +1038,7 @@ function addDistributionAllocations(doc, distribution, currency) {
   doc.y = currentY + 10;
 }
 
-function addNoticeFooter(doc, firmName) {
+function addNoticeFooter(doc, firmName, note = 'This notice is compliant with ILPA Capital Call & Distribution Template v2.0 standards.') {
   const pages = doc.bufferedPageRange();
 
   for (let i = 0; i < pages.count; i++) {
@@ -899,14 +1049,10 @@ function addNoticeFooter(doc, firmName) {
        .lineTo(562, 730)
        .stroke(COLORS.border);
 
-    // ILPA compliance note
+    // ILPA compliance note (or the document's own footer note)
     doc.fontSize(8)
        .fillColor(COLORS.muted)
-       .text(
-         'This notice is compliant with ILPA Capital Call & Distribution Template v2.0 standards.',
-         50,
-         740
-       );
+       .text(note, 50, 740);
 
     // Generated by
     doc.text(`Generated by ${firmName}`, 50, 752);
@@ -942,6 +1088,20 @@ function formatCurrency(value, currency = 'USD') {
   }).format(value || 0);
 }
 
+/**
+ * Rows converting an LP's total into their payment currency at the rate snapshotted at notice time
+ */
+function getPaymentCurrencyRows(allocation, currency, totalLabel, convertedAmount) {
+  const paymentCurrency = allocation.payment_currency;
+  if (!paymentCurrency || paymentCurrency === currency || convertedAmount == null) return [];
+
+  const rateDate = allocation.fxRateDate || allocation.fx_rate_date;
+  return [
+    [`FX Rate ${currency}/${paymentCurrency}${rateDate ? ` (${formatDate(rateDate)})` : ''}`, Number(allocation.fx_rate).toFixed(4)],
+    [`${totalLabel} (${paymentCurrency})`, formatCurrency(convertedAmount, paymentCurrency)]
+  ];
+}
+
 function formatDate(dateString) {
   if (!dateString) return 'N/A';
   return new Date(dateString).toLocaleDateString('en-US', {
@@ -951,6 +1111,19 @@ function formatDate(dateString) {
   });
 }
 
+function formatReallocationRule(rule) {
+  switch (rule) {
+    case 'pro_rata_ownership':
+      return 'pro rata to ownership of participating LPs';
+    case 'pro_rata_unfunded':
+      return 'pro rata to unfunded commitment of participating LPs';
+    case 'none':
+      return 'not reallocated (call amount reduced)';
+    default:
+      return String(rule);
+  }
+}
+
 function formatFeeBase(base) {
   switch (base) {
     case 'committed':
@@ -982,7 +1155,7 @@ function formatFeeBase(base) {
  */
 async function generateIndividualDistributionNoticePDF(distribution, allocation, structure, investor, options = {}) {
   const { firmName = 'Investment Manager' } = options;
-  const currency = distribution.currency || structure?.currency || 'USD';
+  const currency = distribution.currency || structure?.baseCurrency || structure?.currency || 'USD';
 
   return new Promise((resolve, reject) => {
     try {
@@ -1060,6 +1233,24 @@ function addDistLPSectionA(doc, distribution, allocation, structure, currency) {
     ['Status', allocation.status || distribution.status || 'Pending'],
   ];
 
+  // Tax withheld from this LP's gross distribution
+  const withholdingAmount = parseFloat(allocation.withholding_amount) || 0;
+  if (withholdingAmount > 0) {
+    summaryData.splice(6, 0,
+      ['Tax Withheld', `-${formatCurrency(withholdingAmount, currency)}`],
+      ['Net Amount Payable', formatCurrency(allocation.net_amount, currency)]
+    );
+  }
+
+  // In-kind distributions deliver units, with cash in lieu of the fractional unit
+  if (distribution.settlementType === 'in_kind' && allocation.allocated_units != null) {
+    summaryData.splice(summaryData.findIndex(([label]) => label === 'Source'), 0,
+      ['Units Distributed', `${parseFloat(allocation.allocated_units)} ${distribution.inKindAssetName || ''}`.trim()],
+      ['Value per Unit', formatCurrency(distribution.inKindUnitValue, currency)],
+      ['Cash in Lieu', formatCurrency(allocation.cash_in_lieu_amount, currency)]
+    );
+  }
+
   let currentY = doc.y;
   summaryData.forEach(([label, value]) => {
     doc.fontSize(10)
@@ -1141,6 +1332,7 @@ function addDistLPSectionB(doc, distribution, allocation, currency) {
 
   sourceData.push(['', '']);
   sourceData.push(['YOUR TOTAL DISTRIBUTION', formatCurrency(distributionAmount, currency)]);
+  sourceData.push(...getPaymentCurrencyRows(allocation, currency, 'YOUR TOTAL DISTRIBUTION', allocation.allocated_amount_payment_currency));
 
   let currentY = doc.y;
   sourceData.forEach(([label, value]) => {
@@ -1294,9 +1486,226 @@ function addDistLPSectionD(doc, distribution, allocation, currency) {
   doc.y = currentY + 20;
 }
 
+// ============================================================================
+// WITHHOLDING TAX CERTIFICATE GENERATOR (PER-LP, ANNUAL)
+// ============================================================================
+
+const INCOME_TYPE_LABELS = {
+  dividend: 'Dividends / Other Income',
+  interest: 'Interest',
+  capital_gain: 'Capital Gains',
+  return_of_capital: 'Return of Capital',
+};
+
+/**
+ * Generate an investor's annual Withholding Tax Certificate PDF
+ * Gross distributions, tax withheld and net amounts paid in a calendar year, by income type
+ * and by distribution.
+ *
+ * @param {Object} summary - Withholding summary (see utils/withholding summarizeWithholding)
+ * @param {Object} structure - Fund/structure data
+ * @param {Object} investor - Investor profile data
+ * @param {Object} options - Generation options
+ * @returns {Promise<Buffer>} PDF buffer
+ */
+async function generateWithholdingCertificatePDF(summary, structure, investor, options = {}) {
+  const { firmName = 'Investment Manager' } = options;
+  const currency = structure?.baseCurrency || structure?.currency || 'USD';
+
+  return new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({
+        size: 'LETTER',
+        margins: { top: 50, bottom: 50, left: 50, right: 50 },
+        bufferPages: true,
+        autoFirstPage: true
+      });
+
+      const chunks = [];
+      doc.on('data', (chunk) => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      addNoticeHeader(doc, {
+        firmName,
+        title: `WITHHOLDING TAX CERTIFICATE ${summary.year}`,
+        fundName: structure?.name || 'N/A',
+        date: new Date().toISOString(),
+        recipientName: getInvestorName(investor)
+      });
+
+      addCertificateSectionA(doc, summary, structure, investor);
+      addCertificateSectionB(doc, summary, currency);
+      addCertificateSectionC(doc, summary, currency);
+
+      addNoticeFooter(
+        doc,
+        firmName,
+        `Tax withheld from distributions paid by ${structure?.name || 'the fund'} in ${summary.year}.`
+      );
+
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+function addCertificateSectionHeader(doc, title) {
+  const startY = doc.y + 10;
+
+  doc.rect(50, startY, 512, 25)
+     .fill(COLORS.accent);
+
+  doc.fontSize(12)
+     .fillColor(COLORS.primary)
+     .font('Helvetica-Bold')
+     .text(title, 60, startY + 7);
+
+  doc.y = startY + 35;
+  doc.font('Helvetica');
+}
+
+function addCertificateSectionA(doc, summary, structure, investor) {
+  addCertificateSectionHeader(doc, 'SECTION A: PAYEE AND PAYER');
+
+  const taxId = investor?.taxId ? `***${String(investor.taxId).slice(-4)}` : 'N/A';
+  const payeeData = [
+    ['Payee', getInvestorName(investor) || 'N/A'],
+    ['Tax ID', taxId],
+    ['Tax Classification', investor?.taxClassification || investor?.entityType || 'N/A'],
+    ['Country', investor?.country || 'N/A'],
+    ['Payer (Fund)', structure?.name || 'N/A'],
+    ['Tax Year', String(summary.year)],
+  ];
+
+  let currentY = doc.y;
+  payeeData.forEach(([label, value]) => {
+    doc.fontSize(10)
+       .fillColor(COLORS.muted)
+       .text(label, 60, currentY);
+
+    doc.fillColor(COLORS.text)
+       .text(String(value), 250, currentY, { width: 300 });
+
+    currentY += 18;
+  });
+
+  doc.y = currentY + 10;
+}
+
+function addCertificateSectionB(doc, summary, currency) {
+  addCertificateSectionHeader(doc, 'SECTION B: TAX WITHHELD BY INCOME TYPE');
+
+  const rows = summary.byIncomeType.map(line => [
+    INCOME_TYPE_LABELS[line.incomeType] || line.incomeType,
+    formatCurrency(line.grossAmount, currency),
+    formatCurrency(line.withheldAmount, currency),
+  ]);
+  rows.push(['TOTAL', formatCurrency(summary.totals.gross, currency), formatCurrency(summary.totals.withheld, currency)]);
+
+  const colX = [60, 300, 430];
+  doc.fontSize(9)
+     .font('Helvetica-Bold')
+     .fillColor(COLORS.primary);
+  ['Income Type', 'Gross Amount', 'Tax Withheld'].forEach((header, i) => {
+    doc.text(header, colX[i], doc.y, { width: 120, lineBreak: false });
+  });
+
+  let currentY = doc.y + 18;
+  rows.forEach(([label, gross, withheld]) => {
+    const isTotal = label === 'TOTAL';
+    if (isTotal) {
+      doc.moveTo(60, currentY - 4)
+         .lineTo(550, currentY - 4)
+         .stroke(COLORS.border);
+    }
+
+    doc.fontSize(10)
+       .font(isTotal ? 'Helvetica-Bold' : 'Helvetica')
+       .fillColor(isTotal ? COLORS.primary : COLORS.text);
+    doc.text(label, colX[0], currentY, { width: 230 });
+    doc.text(gross, colX[1], currentY, { width: 120 });
+    doc.text(withheld, colX[2], currentY, { width: 120 });
+
+    currentY += 18;
+  });
+
+  doc.font('Helvetica');
+  doc.y = currentY + 10;
+}
+
+function addCertificateSectionC(doc, summary, currency) {
+  if (doc.y > 550) doc.addPage();
+
+  addCertificateSectionHeader(doc, 'SECTION C: DISTRIBUTIONS');
+
+  const headers = ['Distribution', 'Date', 'Gross Amount', 'Tax Withheld', 'Net Paid'];
+  const colWidths = [90, 120, 100, 100, 100];
+
+  doc.fontSize(9)
+     .font('Helvetica-Bold')
+     .fillColor(COLORS.primary);
+
+  let colX = 60;
+  const headerY = doc.y;
+  headers.forEach((header, i) => {
+    doc.text(header, colX, headerY, { width: colWidths[i] });
+    colX += colWidths[i];
+  });
+
+  let currentY = headerY + 18;
+  doc.font('Helvetica')
+     .fillColor(COLORS.text);
+
+  if (summary.distributions.length === 0) {
+    doc.fontSize(10)
+       .fillColor(COLORS.muted)
+       .text(`No distributions were paid in ${summary.year}.`, 60, currentY);
+    currentY += 18;
+  }
+
+  summary.distributions.forEach((d) => {
+    if (currentY > 700) {
+      doc.addPage();
+      currentY = 50;
+    }
+
+    const rowData = [
+      `#${d.distributionNumber}`,
+      formatDate(d.distributionDate),
+      formatCurrency(d.grossAmount, currency),
+      formatCurrency(d.withholdingAmount, currency),
+      formatCurrency(d.netAmount, currency),
+    ];
+
+    colX = 60;
+    doc.fontSize(9);
+    rowData.forEach((value, i) => {
+      doc.text(value, colX, currentY, { width: colWidths[i] });
+      colX += colWidths[i];
+    });
+
+    currentY += 16;
+  });
+
+  doc.y = currentY + 10;
+}
+
+function getInvestorName(investor) {
+  if (!investor) return null;
+  return investor.name ||
+    investor.fullName ||
+    `${investor.firstName || ''} ${investor.lastName || ''}`.trim() ||
+    investor.institutionName ||
+    investor.email ||
+    null;
+}
+
 module.exports = {
   generateCapitalCallNoticePDF,
   generateIndividualLPNoticePDF,
   generateDistributionNoticePDF,
-  generateIndividualDistributionNoticePDF
+  generateIndividualDistributionNoticePDF,
+  generateWithholdingCertificatePDF
 };
@@ -0,0 +1,393 @@
+/**
+ * Equalization Service
+ *
+ * Subsequent-close equalization for LPs admitted after capital calls have gone out.
+ * Each prior call is re-spread over the enlarged commitment base: the new LP contributes
+ * its pro-rata share of the call (plus the fees it would have paid since the first close)
+ * and pays equalization interest on that catch-up from the date the call was funded.
+ * The catch-up principal and the interest are refunded to the existing LPs pro rata to
+ * what they contributed to each call, so every LP ends up funded at the same percentage
+ * of commitment, and ownership is rebased on the enlarged commitment base. Once the new LP
+ * has paid, the refunds are recorded as capital call credits (refunds) for the existing LPs.
+ */
+
+const { getSupabase } = require('../config/database');
+const CapitalCall = require('../models/supabase/capitalCall');
+const CapitalCallCredit = require('../models/supabase/capitalCallCredit');
+const Equalization = require('../models/supabase/equalization');
+const StructureInvestor = require('../models/supabase/structureInvestor');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+function roundCents(value) {
+  return Math.round((value || 0) * 100) / 100;
+}
+
+function daysBetween(fromDate, toDate) {
+  const from = new Date(`${String(fromDate).split('T')[0]}T00:00:00Z`);
+  const to = new Date(`${String(toDate).split('T')[0]}T00:00:00Z`);
+  return Math.round((to - from) / MS_PER_DAY);
+}
+
+/**
+ * Push rounding differences onto the largest entry so the parts add up to the total
+ */
+function allocateRemainder(entries, key, total) {
+  if (entries.length === 0) return;
+  const sum = entries.reduce((s, e) => s + e[key], 0);
+  const diff = roundCents(total - sum);
+  if (diff !== 0) {
+    const largest = entries.reduce((max, e) => (e[key] > max[key] ? e : max), entries[0]);
+    largest[key] = roundCents(largest[key] + diff);
+  }
+}
+
+/**
+ * Calculate the equalization for a late-admitted LP
+ * @param {Object} params
+ * @param {Array} params.priorCalls - [{ id, callNumber, callDate, deadlineDate, allocations: [{ userId, principalAmount, managementFeeNet, vatAmount }] }]
+ * @param {Array} params.existingInvestors - [{ userId, commitment }] excluding the new LP
+ * @param {Object} params.newInvestor - { userId, commitment }
+ * @param {string} params.equalizationDate - Date the catch-up is due to be funded (YYYY-MM-DD)
+ * @param {number} params.interestRate - Annual simple equalization interest rate in percent
+ * @returns {Object} Catch-up breakdown, refunds to existing LPs and rebased ownership
+ */
+function calculateEqualization({ priorCalls, existingInvestors, newInvestor, equalizationDate, interestRate = 0 }) {
+  const newCommitment = parseFloat(newInvestor.commitment) || 0;
+  const existingCommitment = existingInvestors.reduce((sum, inv) => sum + (parseFloat(inv.commitment) || 0), 0);
+  const totalCommitment = existingCommitment + newCommitment;
+
+  const refundMap = new Map();
+  existingInvestors.forEach(inv => {
+    refundMap.set(inv.userId, {
+      userId: inv.userId,
+      commitment: parseFloat(inv.commitment) || 0,
+      contributedPrincipal: 0,
+      principalRefund: 0,
+      interestShare: 0,
+      totalRefund: 0
+    });
+  });
+
+  const callBreakdown = [];
+
+  if (existingCommitment > 0) {
+    for (const call of priorCalls) {
+      const allocations = (call.allocations || []).filter(a => a.userId !== newInvestor.userId);
+      const callPrincipal = allocations.reduce((sum, a) => sum + (parseFloat(a.principalAmount) || 0), 0);
+      const callFees = allocations.reduce((sum, a) => sum + (parseFloat(a.managementFeeNet) || 0), 0);
+      const callVat = allocations.reduce((sum, a) => sum + (parseFloat(a.vatAmount) || 0), 0);
+
+      if (callPrincipal <= 0 && callFees <= 0) continue;
+
+      // Percentage of commitment the call represents once re-spread over all LPs
+      const calledPercent = callPrincipal / totalCommitment;
+      const principal = roundCents(newCommitment * calledPercent);
+      // Fees are owed as if the LP had been admitted at the first close (not refunded)
+      const managementFee = roundCents(newCommitment * (callFees / existingCommitment));
+      const vat = roundCents(newCommitment * (callVat / existingCommitment));
+
+      // Interest runs from when existing LPs funded the call
+      const fundedDate = call.deadlineDate || call.callDate;
+      const interestDays = Math.max(0, daysBetween(fundedDate, equalizationDate));
+      const interest = roundCents(principal * (interestRate / 100) * (interestDays / 365));
+
+      // Refund principal and interest to the LPs who funded this call, pro rata to what they funded
+      if (callPrincipal > 0) {
+        allocations.forEach(a => {
+          const share = (parseFloat(a.principalAmount) || 0) / callPrincipal;
+          if (!refundMap.has(a.userId)) {
+            refundMap.set(a.userId, { userId: a.userId, commitment: 0, contributedPrincipal: 0, principalRefund: 0, interestShare: 0, totalRefund: 0 });
+          }
+          const refund = refundMap.get(a.userId);
+          refund.contributedPrincipal += parseFloat(a.principalAmount) || 0;
+          refund.principalRefund += principal * share;
+          refund.interestShare += interest * share;
+        });
+      }
+
+      callBreakdown.push({
+        capitalCallId: call.id,
+        callNumber: call.callNumber,
+        callDate: call.callDate,
+        fundedDate,
+        calledPercent: Math.round(calledPercent * 1000000) / 10000,
+        principal,
+        managementFee,
+        vat,
+        interestDays,
+        interest
+      });
+    }
+  }
+
+  const catchUpPrincipal = roundCents(callBreakdown.reduce((sum, c) => sum + c.principal, 0));
+  const catchUpFees = roundCents(callBreakdown.reduce((sum, c) => sum + c.managementFee, 0));
+  const catchUpVat = roundCents(callBreakdown.reduce((sum, c) => sum + c.vat, 0));
+  const equalizationInterest = roundCents(callBreakdown.reduce((sum, c) => sum + c.interest, 0));
+
+  const refunds = Array.from(refundMap.values())
+    .filter(r => r.contributedPrincipal > 0)
+    .map(r => ({
+      ...r,
+      contributedPrincipal: roundCents(r.contributedPrincipal),
+      principalRefund: roundCents(r.principalRefund),
+      interestShare: roundCents(r.interestShare)
+    }));
+
+  allocateRemainder(refunds, 'principalRefund', catchUpPrincipal);
+  allocateRemainder(refunds, 'interestShare', equalizationInterest);
+  refunds.forEach(r => {
+    r.totalRefund = roundCents(r.principalRefund + r.interestShare);
+  });
+
+  // Rebased ownership on the enlarged commitment base
+  const ownership = [
+    ...existingInvestors.map(inv => ({ userId: inv.userId, commitment: parseFloat(inv.commitment) || 0 })),
+    { userId: newInvestor.userId, commitment: newCommitment }
+  ].map(inv => ({
+    ...inv,
+    ownershipPercent: totalCommitment > 0 ? (inv.commitment / totalCommitment) * 100 : 0
+  }));
+
+  return {
+    userId: newInvestor.userId,
+    commitment: newCommitment,
+    equalizationDate,
+    interestRate,
+    priorCalls: callBreakdown,
+    catchUpPrincipal,
+    catchUpFees,
+    catchUpVat,
+    equalizationInterest,
+    totalDue: roundCents(catchUpPrincipal + catchUpFees + catchUpVat + equalizationInterest),
+    refunds,
+    ownership
+  };
+}
+
+/**
+ * Load prior calls and commitments for a structure and calculate the equalization
+ * @param {Object} structure - Structure model
+ * @param {Object} options - { userId, commitment, equalizationDate, interestRate }
+ * @returns {Object} Equalization calculation (see calculateEqualization)
+ */
+async function buildEqualization(structure, options) {
+  const supabase = getSupabase();
+  const { userId } = options;
+  const equalizationDate = options.equalizationDate || new Date().toISOString().split('T')[0];
+
+  const { data: investors, error: invError } = await supabase
+    .from('structure_investors')
+    .select('user_id, commitment')
+    .eq('structure_id', structure.id);
+
+  if (invError) {
+    throw new Error(`Error fetching structure investors: ${invError.message}`);
+  }
+
+  const newInvestorRecord = (investors || []).find(inv => inv.user_id === userId);
+  const commitment = options.commitment !== undefined && options.commitment !== null
+    ? parseFloat(options.commitment)
+    : parseFloat(newInvestorRecord?.commitment) || 0;
+
+  const existingInvestors = (investors || [])
+    .filter(inv => inv.user_id !== userId)
+    .map(inv => ({ userId: inv.user_id, commitment: parseFloat(inv.commitment) || 0 }));
+
+  const { data: calls, error: callsError } = await supabase
+    .from('capital_calls')
+    .select(`
+      id,
+      call_number,
+      call_date,
+      deadline_date,
+      status,
+      call_type,
+      capital_call_allocations (
+        user_id,
+        principal_amount,
+        management_fee_net,
+        vat_amount
+      )
+    `)
+    .eq('structure_id', structure.id)
+    .neq('status', 'Draft')
+    .order('call_date', { ascending: true });
+
+  if (callsError) {
+    throw new Error(`Error fetching capital calls: ${callsError.message}`);
+  }
+
+  // Only regular calls issued before the LP was admitted (the LP has no allocation in them)
+  const priorCalls = (calls || [])
+    .filter(c => (c.call_type || 'standard') !== 'equalization')
+    .filter(c => !(c.capital_call_allocations || []).some(a => a.user_id === userId))
+    .filter(c => !c.call_date || String(c.call_date).split('T')[0] <= equalizationDate)
+    .map(c => ({
+      id: c.id,
+      callNumber: c.call_number,
+      callDate: c.call_date,
+      deadlineDate: c.deadline_date,
+      allocations: (c.capital_call_allocations || []).map(a => ({
+        userId: a.user_id,
+        principalAmount: a.principal_amount,
+        managementFeeNet: a.management_fee_net,
+        vatAmount: a.vat_amount
+      }))
+    }));
+
+  const interestRate = options.interestRate !== undefined && options.interestRate !== null
+    ? parseFloat(options.interestRate) || 0
+    : parseFloat(structure.equalizationInterestRate) || 0;
+
+  return {
+    ...calculateEqualization({
+      priorCalls,
+      existingInvestors,
+      newInvestor: { userId, commitment },
+      equalizationDate,
+      interestRate
+    }),
+    isAdmitted: !!newInvestorRecord
+  };
+}
+
+/**
+ * Persist an equalization: equalization capital call + allocation for the new LP,
+ * the equalization record with refunds, and rebased ownership for the structure.
+ * The LP is only admitted once its call exists; if any step fails the call is deleted
+ * again, so a retry starts from scratch.
+ * @param {Object} structure - Structure model
+ * @param {Object} equalization - Result of buildEqualization
+ * @param {Object} options - { callNumber, deadlineDate, createdBy }
+ * @returns {Object} { equalization, capitalCall, allocation }
+ */
+async function createEqualization(structure, equalization, options = {}) {
+  const { createdBy } = options;
+
+  const callNumber = options.callNumber || await CapitalCall.getNextCallNumber(structure.id);
+  const deadlineDate = options.deadlineDate || new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString();
+
+  const capitalCall = await CapitalCall.create({
+    structureId: structure.id,
+    callNumber,
+    callDate: equalization.equalizationDate,
+    dueDate: deadlineDate,
+    deadlineDate,
+    totalCallAmount: equalization.totalDue,
+    totalPaidAmount: 0,
+    totalUnpaidAmount: equalization.totalDue,
+    status: 'Draft',
+    approvalStatus: 'draft',
+    callType: 'equalization',
+    purpose: 'Subsequent close equalization',
+    notes: `Catch-up for ${equalization.priorCalls.length} prior capital call(s) at ${equalization.interestRate}% equalization interest`,
+    createdBy
+  });
+
+  const totalDrawdown = roundCents(equalization.catchUpPrincipal + equalization.catchUpFees + equalization.catchUpVat);
+
+  let allocation;
+  let record = null;
+  try {
+    allocation = await CapitalCall.createAllocation({
+      capital_call_id: capitalCall.id,
+      user_id: equalization.userId,
+      allocated_amount: equalization.totalDue,
+      paid_amount: 0,
+      remaining_amount: equalization.totalDue,
+      status: 'Pending',
+      due_date: deadlineDate,
+      principal_amount: equalization.catchUpPrincipal,
+      management_fee_gross: equalization.catchUpFees,
+      management_fee_discount: 0,
+      management_fee_net: equalization.catchUpFees,
+      vat_amount: equalization.catchUpVat,
+      equalization_interest: equalization.equalizationInterest,
+      total_due: equalization.totalDue,
+      capital_paid: 0,
+      fees_paid: 0,
+      vat_paid: 0,
+      investments_amount: equalization.catchUpPrincipal,
+      fund_expenses_amount: 0,
+      reserves_amount: 0,
+      // Equalization interest compensates existing LPs and does not count toward commitment
+      total_drawdown: totalDrawdown
+    });
+
+    record = await Equalization.create({
+      structureId: structure.id,
+      userId: equalization.userId,
+      capitalCallId: capitalCall.id,
+      equalizationDate: equalization.equalizationDate,
+      commitment: equalization.commitment,
+      interestRate: equalization.interestRate,
+      catchUpPrincipal: equalization.catchUpPrincipal,
+      catchUpFees: equalization.catchUpFees,
+      catchUpVat: equalization.catchUpVat,
+      equalizationInterest: equalization.equalizationInterest,
+      totalDue: equalization.totalDue,
+      priorCalls: equalization.priorCalls,
+      refunds: equalization.refunds,
+      status: 'pending',
+      createdBy
+    });
+
+    // Admit the LP if they are not in the structure yet
+    if (!equalization.isAdmitted) {
+      await StructureInvestor.upsert({
+        userId: equalization.userId,
+        structureId: structure.id,
+        commitment: equalization.commitment
+      });
+    }
+  } catch (error) {
+    if (record) await Equalization.findByIdAndDelete(record.id);
+    // Deleting the call removes its allocation
+    await CapitalCall.findByIdAndDelete(capitalCall.id);
+    throw error;
+  }
+
+  await StructureInvestor.recalculateOwnership(structure.id);
+
+  return { equalization: record, capitalCall, allocation };
+}
+
+/**
+ * Record the refunds of an equalization as capital call credits owed to the existing LPs
+ * (credit type refund, pending until paid out), sourced from the equalization call.
+ * LPs whose refund is already recorded are skipped, so a retried settlement does not
+ * refund twice.
+ * @param {Object} equalization - Equalization model
+ * @param {Object} options - { createdBy }
+ * @returns {Array} Refund credits of the equalization
+ */
+async function recordRefunds(equalization, options = {}) {
+  const existing = (await CapitalCallCredit.findBySourceCapitalCallId(equalization.capitalCallId))
+    .filter(credit => credit.creditType === 'refund');
+  const refunded = new Set(existing.map(credit => credit.userId));
+
+  const created = await CapitalCallCredit.createMany(equalization.refunds
+    .filter(refund => refund.totalRefund > 0 && !refunded.has(refund.userId))
+    .map(refund => ({
+      structureId: equalization.structureId,
+      userId: refund.userId,
+      sourceCapitalCallId: equalization.capitalCallId,
+      creditType: 'refund',
+      amount: refund.totalRefund,
+      capitalAmount: refund.principalRefund,
+      status: 'pending_refund',
+      notes: `Equalization refund: ${refund.principalRefund} catch-up principal and ${refund.interestShare} equalization interest`,
+      createdBy: options.createdBy || null
+    })));
+
+  return [...existing, ...created];
+}
+
+module.exports = {
+  calculateEqualization,
+  buildEqualization,
+  createEqualization,
+  recordRefunds
+};
@@ -126,7 +126,9 @@ async function generateFeeReportExcel(structure, feeData, period, options = {})
 
     if (feeData.isDualRate) {
       detailColumns.splice(2, 0,
+        { header: 'NIC Base', key: 'nicBase', width: 18 },
         { header: 'NIC Fee', key: 'nicFee', width: 15 },
+        { header: 'Unfunded Base', key: 'unfundedBase', width: 18 },
         { header: 'Unfunded Fee', key: 'unfundedFee', width: 15 }
       );
     }
@@ -152,7 +154,9 @@ async function generateFeeReportExcel(structure, feeData, period, options = {})
         total: inv.total,
       };
       if (feeData.isDualRate) {
+        row.nicBase = inv.nicBase || 0;
         row.nicFee = inv.nicFeeAmount || 0;
+        row.unfundedBase = inv.unfundedBase || 0;
         row.unfundedFee = inv.unfundedFeeAmount || 0;
       }
       detailSheet.addRow(row);
@@ -346,8 +350,8 @@ function addDualRateDetails(doc, investors, currency) {
   doc.y = startY + 40;
   doc.font('Helvetica');
 
-  const headers = ['Investor', 'NIC Fee', 'Unfunded Fee', 'GP Offset', 'Gross Fee', 'Net Fee'];
-  const colWidths = [130, 80, 80, 80, 75, 75];
+  const headers = ['Investor', 'NIC Base', 'NIC Fee', 'Unfunded Base', 'Unfunded Fee', 'GP Offset', 'Gross Fee', 'Net Fee'];
+  const colWidths = [90, 62, 56, 66, 56, 56, 62, 64];
   let colX = 50;
 
   doc.fontSize(7)
@@ -375,8 +379,10 @@ function addDualRateDetails(doc, investors, currency) {
 
     colX = 50;
     const rowData = [
-      (inv.investorName || 'Unknown').substring(0, 22),
+      (inv.investorName || 'Unknown').substring(0, 17),
+      formatCurrency(inv.nicBase || 0, currency),
       formatCurrency(inv.nicFeeAmount || 0, currency),
+      formatCurrency(inv.unfundedBase || 0, currency),
       formatCurrency(inv.unfundedFeeAmount || 0, currency),
       formatCurrency(inv.feeOffsetAmount || 0, currency),
       formatCurrency(inv.grossFee, currency),
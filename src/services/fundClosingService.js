@@ -0,0 +1,215 @@
+/**
+ * Fund Closing Service
+ *
+ * First, subsequent and final closes of a structure. A close admits investors (or increases
+ * the commitment of existing LPs) at a date; completing it writes the commitments to
+ * structure_investors and recomputes every LP's ownership on the enlarged commitment base.
+ * Each close is validated against the structure's minimum and maximum ticket (on the LP's total
+ * commitment after the close) and its maximum number of investors. The final close locks the
+ * commitment base: no further closes, admissions or commitment changes.
+ * Subsequent-close equalization of earlier capital calls stays with the capital call
+ * equalization flow.
+ */
+
+const FundClosing = require('../models/supabase/fundClosing');
+const Structure = require('../models/supabase/structure');
+const StructureInvestor = require('../models/supabase/structureInvestor');
+const { toDateString } = require('../utils/businessDays');
+
+function roundCents(value) {
+  return Math.round((value || 0) * 100) / 100;
+}
+
+function roundPercent(value) {
+  return Math.round((value || 0) * 1000000) / 1000000;
+}
+
+function positiveOrNull(value) {
+  const number = parseFloat(value);
+  return !isNaN(number) && number > 0 ? number : null;
+}
+
+/**
+ * Commitments and ownership after a close
+ * @param {Object} params
+ * @param {Array} params.currentInvestors - [{ userId, commitment }] LPs in the structure before the close
+ * @param {Array} params.admissions - [{ userId, commitment }] commitment each investor adds at the close
+ * @returns {Object} { investors, ownership, previousTotalCommitment, newCommitment, totalCommitment, investorCount }
+ */
+function calculateClosing({ currentInvestors = [], admissions = [] }) {
+  const before = new Map(currentInvestors.map(inv => [inv.userId, parseFloat(inv.commitment) || 0]));
+  const previousTotalCommitment = [...before.values()].reduce((sum, c) => sum + c, 0);
+
+  const investors = admissions.map(admission => {
+    const previousCommitment = before.get(admission.userId) || 0;
+    const commitment = parseFloat(admission.commitment) || 0;
+    return {
+      userId: admission.userId,
+      previousCommitment: roundCents(previousCommitment),
+      commitment: roundCents(commitment),
+      totalCommitment: roundCents(previousCommitment + commitment),
+      isNewInvestor: !before.has(admission.userId)
+    };
+  });
+
+  const after = new Map(before);
+  investors.forEach(inv => after.set(inv.userId, inv.totalCommitment));
+  const totalCommitment = [...after.values()].reduce((sum, c) => sum + c, 0);
+
+  const ownership = [...after.entries()].map(([userId, commitment]) => ({
+    userId,
+    commitment: roundCents(commitment),
+    ownershipPercentBefore: previousTotalCommitment > 0 ? roundPercent(((before.get(userId) || 0) / previousTotalCommitment) * 100) : 0,
+    ownershipPercent: totalCommitment > 0 ? roundPercent((commitment / totalCommitment) * 100) : 0,
+    admittedAtClose: investors.some(inv => inv.userId === userId)
+  }));
+
+  return {
+    investors,
+    ownership,
+    previousTotalCommitment: roundCents(previousTotalCommitment),
+    newCommitment: roundCents(investors.reduce((sum, inv) => sum + inv.commitment, 0)),
+    totalCommitment: roundCents(totalCommitment),
+    investorCount: ownership.filter(o => o.commitment > 0).length
+  };
+}
+
+/**
+ * Validate a close against the structure's closing history and investor restrictions
+ * @param {Object} params
+ * @param {Object} params.structure - Structure model (minimumTicket, maximumTicket, maxInvestorRestriction, commitmentsLocked)
+ * @param {Object} params.closing - Closing being validated ({ id, closingType, closingDate, investors })
+ * @param {Array} params.closings - The structure's closings
+ * @param {Object} params.calculation - Result of calculateClosing
+ * @returns {Object} { isValid, errors }
+ */
+function validateClosing({ structure, closing, closings = [], calculation }) {
+  const errors = [];
+  const completed = closings.filter(c => c.status === 'completed' && c.id !== closing.id);
+
+  if (structure.commitmentsLocked) {
+    errors.push('The commitment base is locked by the final close');
+  }
+
+  if (closing.closingType === 'first' && completed.length > 0) {
+    errors.push('The first close has already been completed');
+  }
+  if (closing.closingType === 'subsequent' && !completed.some(c => c.closingType === 'first')) {
+    errors.push('A subsequent close requires a completed first close');
+  }
+
+  const lastDate = completed.map(c => toDateString(c.closingDate)).sort().pop();
+  if (lastDate && toDateString(closing.closingDate) < lastDate) {
+    errors.push(`Closing date cannot be before the previous close on ${lastDate}`);
+  }
+
+  if (calculation.investors.length === 0 && closing.closingType !== 'final') {
+    errors.push('At least one investor must be admitted');
+  }
+
+  const seen = new Set();
+  calculation.investors.forEach(inv => {
+    if (seen.has(inv.userId)) {
+      errors.push(`Investor ${inv.userId} is listed more than once`);
+    }
+    seen.add(inv.userId);
+
+    if (!(inv.commitment > 0)) {
+      errors.push(`Investor ${inv.userId}: commitment must be positive`);
+      return;
+    }
+
+    const minimumTicket = positiveOrNull(structure.minimumTicket);
+    const maximumTicket = positiveOrNull(structure.maximumTicket);
+    if (minimumTicket !== null && inv.totalCommitment < minimumTicket) {
+      errors.push(`Investor ${inv.userId}: commitment of ${inv.totalCommitment} is below the minimum ticket of ${minimumTicket}`);
+    }
+    if (maximumTicket !== null && inv.totalCommitment > maximumTicket) {
+      errors.push(`Investor ${inv.userId}: commitment of ${inv.totalCommitment} is above the maximum ticket of ${maximumTicket}`);
+    }
+  });
+
+  const maxInvestors = parseInt(structure.maxInvestorRestriction, 10);
+  if (maxInvestors > 0 && calculation.investorCount > maxInvestors) {
+    errors.push(`The close would bring the structure to ${calculation.investorCount} investors; at most ${maxInvestors} are allowed`);
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Calculate and validate a close against the structure's current investors and closings
+ * @param {Object} closing - FundClosing model (investors hold the admissions)
+ * @param {Object} structure - Structure model
+ * @returns {Object} { calculation, validation }
+ */
+async function previewClosing(closing, structure) {
+  const [structureInvestors, closings] = await Promise.all([
+    StructureInvestor.findByStructureId(structure.id),
+    FundClosing.findByStructureId(structure.id)
+  ]);
+
+  const calculation = calculateClosing({
+    currentInvestors: structureInvestors.map(inv => ({ userId: inv.userId, commitment: inv.commitment })),
+    admissions: closing.investors
+  });
+
+  return {
+    calculation,
+    validation: validateClosing({ structure, closing, closings, calculation })
+  };
+}
+
+/**
+ * Complete a close: write the admitted commitments, recompute ownership for all LPs, update
+ * the structure's total commitment and, at the final close, lock the commitment base
+ * @param {Object} closing - FundClosing model (draft)
+ * @param {Object} structure - Structure model
+ * @param {Object} options - { completedBy }
+ * @returns {Object} Completed FundClosing
+ */
+async function completeClosing(closing, structure, options = {}) {
+  const { calculation, validation } = await previewClosing(closing, structure);
+  if (!validation.isValid) {
+    throw new Error(`Closing cannot be completed: ${validation.errors.join('; ')}`);
+  }
+
+  for (const investor of calculation.investors) {
+    await StructureInvestor.upsert({
+      userId: investor.userId,
+      structureId: structure.id,
+      commitment: investor.totalCommitment,
+      status: 'active'
+    });
+  }
+  await StructureInvestor.recalculateOwnership(structure.id);
+
+  await Structure.findByIdAndUpdate(structure.id, {
+    totalCommitment: calculation.totalCommitment,
+    ...(closing.closingType === 'final' && {
+      commitmentsLocked: true,
+      finalCloseDate: toDateString(closing.closingDate)
+    })
+  });
+
+  return FundClosing.findByIdAndUpdate(closing.id, {
+    status: 'completed',
+    investors: calculation.investors,
+    ownership: calculation.ownership,
+    newCommitment: calculation.newCommitment,
+    totalCommitment: calculation.totalCommitment,
+    investorCount: calculation.investorCount,
+    completedBy: options.completedBy,
+    completedAt: new Date().toISOString()
+  });
+}
+
+module.exports = {
+  calculateClosing,
+  validateClosing,
+  previewClosing,
+  completeClosing
+};
@@ -0,0 +1,158 @@
+/**
+ * FX Service
+ *
+ * Capital calls and distributions are denominated in the structure's base currency.
+ * LPs with a payment currency (structure_investors.payment_currency) are asked to pay, or
+ * are paid, the converted amount at the rate snapshotted onto their allocation when the
+ * notice goes out. When a payment-currency payment arrives it settles the allocation at the
+ * snapshot rate; the difference to the rate on the payment date is the realized FX gain/loss.
+ */
+
+const CapitalCall = require('../models/supabase/capitalCall');
+const Distribution = require('../models/supabase/distribution');
+const FxRate = require('../models/supabase/fxRate');
+const StructureInvestor = require('../models/supabase/structureInvestor');
+const { toDateString } = require('../utils/businessDays');
+
+function roundCents(value) {
+  return Math.round((value || 0) * 100) / 100;
+}
+
+function getBaseCurrency(structure) {
+  return structure?.baseCurrency || structure?.currency || 'USD';
+}
+
+/**
+ * Convert a base-currency amount into the payment currency
+ */
+function convertAmount(amount, fxRate) {
+  return roundCents((parseFloat(amount) || 0) * fxRate);
+}
+
+/**
+ * Payment currency per investor of a structure
+ * @returns {Map<string, string>} userId -> ISO currency code
+ */
+async function getPaymentCurrencies(structureId) {
+  const structureInvestors = await StructureInvestor.findByStructureId(structureId);
+  const currencies = new Map();
+  structureInvestors.forEach(si => {
+    if (si.paymentCurrency) currencies.set(si.userId, si.paymentCurrency.toUpperCase());
+  });
+  return currencies;
+}
+
+/**
+ * Resolve the FX snapshot for each allocation that settles in a foreign currency
+ * Allocations that already carry a snapshot keep it, so re-sending a notice never re-rates it
+ * @param {Array} allocations - [{ id, userId, amount, fxRate }]
+ * @returns {Object} { baseCurrency, snapshots, missingRates }
+ */
+async function resolveSnapshots(allocations, structure, asOfDate) {
+  const baseCurrency = getBaseCurrency(structure);
+  const paymentCurrencies = await getPaymentCurrencies(structure.id);
+  const rates = new Map();
+  const missingRates = new Set();
+  const snapshots = [];
+
+  for (const allocation of allocations) {
+    if (allocation.fxRate != null) continue;
+
+    const paymentCurrency = paymentCurrencies.get(allocation.userId);
+    if (!paymentCurrency || paymentCurrency === baseCurrency) continue;
+
+    if (!rates.has(paymentCurrency)) {
+      rates.set(paymentCurrency, await FxRate.getRate(baseCurrency, paymentCurrency, asOfDate));
+    }
+    const fx = rates.get(paymentCurrency);
+    if (!fx) {
+      missingRates.add(`${baseCurrency}/${paymentCurrency}`);
+      continue;
+    }
+
+    snapshots.push({
+      allocationId: allocation.id,
+      userId: allocation.userId,
+      paymentCurrency,
+      fxRate: fx.rate,
+      fxRateDate: fx.rateDate,
+      convertedAmount: convertAmount(allocation.amount, fx.rate)
+    });
+  }
+
+  return { baseCurrency, snapshots, missingRates: [...missingRates] };
+}
+
+/**
+ * Snapshot payment-currency amounts onto a capital call's allocations at notice time
+ * Nothing is written when a rate is missing: the notice must not go out unconverted
+ * @param {Object} capitalCall - Capital call model
+ * @param {Object} structure - Structure model
+ * @param {string} asOfDate - Rate date (YYYY-MM-DD), defaults to today
+ * @returns {Object} { baseCurrency, snapshots, missingRates }
+ */
+async function snapshotCapitalCallFx(capitalCall, structure, asOfDate = toDateString(new Date())) {
+  const allocations = (await CapitalCall.getAllocationsWithUsers(capitalCall.id))
+    .filter(a => a.status !== 'Voided')
+    .map(a => ({
+      id: a.id,
+      userId: a.userId,
+      amount: a.totalDue != null ? a.totalDue : a.allocatedAmount,
+      fxRate: a.fxRate
+    }));
+
+  const result = await resolveSnapshots(allocations, structure, asOfDate);
+  if (result.missingRates.length > 0) return result;
+
+  for (const snapshot of result.snapshots) {
+    await CapitalCall.updateAllocationFxSnapshot(snapshot.allocationId, snapshot);
+  }
+
+  return result;
+}
+
+/**
+ * Snapshot payment-currency amounts onto a distribution's allocations at notice time
+ * @returns {Object} { baseCurrency, snapshots, missingRates }
+ */
+async function snapshotDistributionFx(distribution, structure, asOfDate = toDateString(new Date())) {
+  const distributionWithAllocations = await Distribution.findWithAllocations(distribution.id);
+  const allocations = (distributionWithAllocations?.distribution_allocations || []).map(a => ({
+    id: a.id,
+    userId: a.user_id,
+    amount: a.allocated_amount,
+    fxRate: a.fx_rate
+  }));
+
+  const result = await resolveSnapshots(allocations, structure, asOfDate);
+  if (result.missingRates.length > 0) return result;
+
+  for (const snapshot of result.snapshots) {
+    await Distribution.updateAllocationFxSnapshot(snapshot.allocationId, snapshot);
+  }
+
+  return result;
+}
+
+/**
+ * Settle a payment received in the LP's payment currency
+ * The payment is credited at the snapshot rate; valuing it at the payment-date rate instead
+ * gives the realized FX gain (+) or loss (-) in base currency
+ * @param {number} paymentCurrencyAmount - Amount received in the payment currency
+ * @param {number} snapshotRate - Base -> payment currency rate captured at notice time
+ * @param {number} paymentFxRate - Base -> payment currency rate on the payment date
+ * @returns {Object} { baseAmount, fxGainLoss }
+ */
+function settlePaymentCurrencyAmount(paymentCurrencyAmount, snapshotRate, paymentFxRate) {
+  const baseAmount = roundCents(paymentCurrencyAmount / snapshotRate);
+  const fxGainLoss = roundCents(paymentCurrencyAmount / paymentFxRate - baseAmount);
+  return { baseAmount, fxGainLoss };
+}
+
+module.exports = {
+  getBaseCurrency,
+  convertAmount,
+  snapshotCapitalCallFx,
+  snapshotDistributionFx,
+  settlePaymentCurrencyAmount
+};
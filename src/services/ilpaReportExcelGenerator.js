@@ -68,6 +68,22 @@ async function generatePerformanceReportExcel(reportData, structure, options = {
     capSheet.addRow({ metric: 'Total Value', amount: cs.totalValue });
     capSheet.addRow({ metric: 'Paid-In Ratio', amount: `${cs.paidInRatio}%` });
 
+    // Payment Currencies Sheet (LPs paying/receiving in a currency other than the base)
+    if (reportData.paymentCurrencies?.length > 0) {
+      const fxSheet = workbook.addWorksheet('Payment Currencies');
+      fxSheet.columns = [
+        { header: 'Currency', key: 'currency', width: 12 },
+        { header: 'Investors', key: 'investorCount', width: 12 },
+        { header: `Called (${fi.currency})`, key: 'calledBase', width: 20 },
+        { header: 'Called (Converted)', key: 'calledConverted', width: 20 },
+        { header: `Distributed (${fi.currency})`, key: 'distributedBase', width: 20 },
+        { header: 'Distributed (Converted)', key: 'distributedConverted', width: 22 },
+        { header: `Realized FX Gain/Loss (${fi.currency})`, key: 'realizedFxGainLoss', width: 28 },
+      ];
+      fxSheet.getRow(1).font = { bold: true };
+      reportData.paymentCurrencies.forEach(entry => fxSheet.addRow(entry));
+    }
+
     const buffer = await workbook.xlsx.writeBuffer();
     return Buffer.from(buffer);
   } catch (error) {
@@ -188,6 +204,8 @@ async function generateCCDReportExcel(reportData, structure, options = {}) {
       { header: 'Date', key: 'distDate', width: 15 },
       { header: 'Amount', key: 'amount', width: 18 },
       { header: 'Source', key: 'source', width: 25 },
+      { header: 'Recallable', key: 'recallable', width: 18 },
+      { header: 'Recallable Until', key: 'recallableUntil', width: 16 },
       { header: 'Cumulative', key: 'cumulative', width: 18 },
     ];
     distSheet.getRow(1).font = { bold: true };
@@ -199,6 +217,8 @@ async function generateCCDReportExcel(reportData, structure, options = {}) {
         distDate: d.distributionDate,
         amount: d.amount,
         source: d.source,
+        recallable: d.recallableAmount || 0,
+        recallableUntil: d.recallableUntil || '',
         cumulative: d.cumulativeDistributed,
       });
     });
@@ -215,6 +235,12 @@ async function generateCCDReportExcel(reportData, structure, options = {}) {
     summarySheet.addRow({ metric: 'Total Called Amount', value: reportData.capitalCalls.totalAmount });
     summarySheet.addRow({ metric: 'Total Distributions', value: reportData.distributions.count });
     summarySheet.addRow({ metric: 'Total Distributed Amount', value: reportData.distributions.totalAmount });
+    if (reportData.recallable) {
+      summarySheet.addRow({ metric: 'Recallable Distributions', value: reportData.recallable.distributed });
+      summarySheet.addRow({ metric: 'Recalled by Capital Calls', value: reportData.recallable.recalled });
+      summarySheet.addRow({ metric: 'Recallable Expired', value: reportData.recallable.expired });
+      summarySheet.addRow({ metric: 'Recallable Available', value: reportData.recallable.available });
+    }
     summarySheet.addRow({ metric: 'Net Position', value: reportData.netPosition });
 
     const buffer = await workbook.xlsx.writeBuffer();
@@ -266,9 +292,9 @@ function generateCCDCSV(reportData) {
   });
   rows.push('');
   rows.push('Distributions');
-  rows.push('Dist #,Date,Amount,Source,Cumulative');
+  rows.push('Dist #,Date,Amount,Source,Recallable,Recallable Until,Cumulative');
   (reportData.distributions.items || []).forEach(d => {
-    rows.push(`#${d.distributionNumber},${d.distributionDate},${d.amount},"${d.source}",${d.cumulativeDistributed}`);
+    rows.push(`#${d.distributionNumber},${d.distributionDate},${d.amount},"${d.source}",${d.recallableAmount || 0},${d.recallableUntil || ''},${d.cumulativeDistributed}`);
   });
   return Buffer.from(rows.join('\n'), 'utf-8');
 }
@@ -22,7 +22,7 @@ const COLORS = {
  */
 async function generatePerformanceReportPDF(reportData, structure, options = {}) {
   const { firmName = 'Investment Manager' } = options;
-  const currency = structure?.currency || 'USD';
+  const currency = structure?.baseCurrency || structure?.currency || 'USD';
 
   return new Promise((resolve, reject) => {
     try {
@@ -55,6 +55,11 @@ async function generatePerformanceReportPDF(reportData, structure, options = {})
       // Capital Summary
       addCapitalSummary(doc, reportData.capitalSummary, currency);
 
+      // Payment currencies (LPs paying/receiving in a currency other than the base)
+      if (reportData.paymentCurrencies?.length > 0) {
+        addPaymentCurrencySummary(doc, reportData.paymentCurrencies, currency);
+      }
+
       // Cash Flow Summary
       addCashFlowSummary(doc, reportData.cashFlowSummary, currency);
 
@@ -73,7 +78,7 @@ async function generatePerformanceReportPDF(reportData, structure, options = {})
  */
 async function generateQuarterlyReportPDF(reportData, structure, options = {}) {
   const { firmName = 'Investment Manager' } = options;
-  const currency = structure?.currency || 'USD';
+  const currency = structure?.baseCurrency || structure?.currency || 'USD';
 
   return new Promise((resolve, reject) => {
     try {
@@ -101,6 +106,9 @@ async function generateQuarterlyReportPDF(reportData, structure, options = {}) {
       if (reportData.performance) {
         addPerformanceMetrics(doc, reportData.performance.performance);
         addCapitalSummary(doc, reportData.performance.capitalSummary, currency);
+        if (reportData.performance.paymentCurrencies?.length > 0) {
+          addPaymentCurrencySummary(doc, reportData.performance.paymentCurrencies, currency);
+        }
       }
 
       // Quarterly Activity
@@ -123,7 +131,7 @@ async function generateQuarterlyReportPDF(reportData, structure, options = {}) {
  */
 async function generateCCDReportPDF(reportData, structure, options = {}) {
   const { firmName = 'Investment Manager' } = options;
-  const currency = structure?.currency || 'USD';
+  const currency = structure?.baseCurrency || structure?.currency || 'USD';
 
   return new Promise((resolve, reject) => {
     try {
@@ -336,6 +344,60 @@ function addCapitalSummary(doc, capitalSummary, currency) {
   doc.y = currentY + 10;
 }
 
+function addPaymentCurrencySummary(doc, paymentCurrencies, currency) {
+  if (doc.y > 550) doc.addPage();
+
+  const startY = doc.y + 10;
+
+  doc.rect(50, startY, 512, 25)
+     .fill(COLORS.accent);
+
+  doc.fontSize(12)
+     .fillColor(COLORS.primary)
+     .font('Helvetica-Bold')
+     .text('PAYMENT CURRENCIES', 60, startY + 7);
+
+  doc.y = startY + 40;
+
+  const headers = ['Currency', 'LPs', `Called (${currency})`, 'Called (Converted)', `Distributed (${currency})`, 'Realized FX'];
+  const colWidths = [60, 40, 95, 110, 110, 90];
+  let colX = 55;
+
+  doc.fontSize(8)
+     .font('Helvetica-Bold')
+     .fillColor(COLORS.primary);
+
+  headers.forEach((header, i) => {
+    doc.text(header, colX, doc.y, { width: colWidths[i] });
+    colX += colWidths[i];
+  });
+
+  let currentY = doc.y + 8;
+  doc.font('Helvetica')
+     .fillColor(COLORS.text);
+
+  paymentCurrencies.forEach((entry) => {
+    colX = 55;
+    const rowData = [
+      entry.currency,
+      String(entry.investorCount),
+      formatCurrency(entry.calledBase, currency),
+      formatCurrency(entry.calledConverted, entry.currency),
+      formatCurrency(entry.distributedBase, currency),
+      formatCurrency(entry.realizedFxGainLoss, currency)
+    ];
+
+    rowData.forEach((value, i) => {
+      doc.text(value, colX, currentY, { width: colWidths[i] });
+      colX += colWidths[i];
+    });
+
+    currentY += 14;
+  });
+
+  doc.y = currentY + 10;
+}
+
 function addCashFlowSummary(doc, cashFlowSummary, currency) {
   if (doc.y > 600) doc.addPage();
 
@@ -547,8 +609,8 @@ function addCCDDistributionsTable(doc, distributions, currency) {
     return;
   }
 
-  const headers = ['Dist #', 'Date', 'Amount', 'Source', 'Cumulative'];
-  const colWidths = [60, 90, 100, 150, 100];
+  const headers = ['Dist #', 'Date', 'Amount', 'Source', 'Recallable', 'Cumulative'];
+  const colWidths = [50, 75, 90, 120, 80, 90];
   let colX = 55;
 
   doc.fontSize(8)
@@ -578,7 +640,8 @@ function addCCDDistributionsTable(doc, distributions, currency) {
       `#${d.distributionNumber}`,
       formatDateShort(d.distributionDate),
       formatCurrency(d.amount, currency),
-      (d.source || '').substring(0, 25),
+      (d.source || '').substring(0, 20),
+      d.recallableAmount > 0 ? formatCurrency(d.recallableAmount, currency) : '-',
       formatCurrency(d.cumulativeDistributed, currency)
     ];
 
@@ -599,7 +662,7 @@ function addCCDDistributionsTable(doc, distributions, currency) {
 
   doc.fontSize(8).font('Helvetica-Bold').fillColor(COLORS.primary);
   doc.text(`Total: ${distributions.count} distributions`, 55, currentY);
-  doc.text(formatCurrency(distributions.totalAmount, currency), 205, currentY, { width: 100 });
+  doc.text(formatCurrency(distributions.totalAmount, currency), 180, currentY, { width: 90 });
   doc.font('Helvetica');
 
   doc.y = currentY + 20;
@@ -621,9 +684,16 @@ function addNetPosition(doc, reportData, currency) {
   doc.y = startY + 35;
   doc.font('Helvetica');
 
+  const recallable = reportData.recallable || {};
   const netData = [
     ['Total Capital Called', formatCurrency(reportData.capitalCalls.totalAmount, currency)],
     ['Total Distributed', formatCurrency(reportData.distributions.totalAmount, currency)],
+    ...(recallable.distributed > 0 ? [
+      ['Recallable Distributions', formatCurrency(recallable.distributed, currency)],
+      ['Recalled by Capital Calls', formatCurrency(recallable.recalled, currency)],
+      ['Recallable Expired', formatCurrency(recallable.expired, currency)],
+      ['Recallable Available', formatCurrency(recallable.available, currency)],
+    ] : []),
     ['', ''],
     ['Net Position', formatCurrency(reportData.netPosition, currency)],
   ];
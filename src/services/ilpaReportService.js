@@ -7,6 +7,7 @@
  */
 
 const { getSupabase } = require('../config/database');
+const CapitalCall = require('../models/supabase/capitalCall');
 
 /**
  * Calculate IRR using Newton-Raphson method
@@ -163,7 +164,7 @@ async function calculatePerformanceMetrics(structureId, asOfDate) {
     fundInfo: {
       id: structureId,
       name: structure?.name || 'Fund',
-      currency: structure?.currency || 'USD',
+      currency: structure?.base_currency || structure?.currency || 'USD',
       vintage: structure?.created_at ? new Date(structure.created_at).getFullYear() : null,
       totalCommitment,
       investorCount: allInvestors.length,
@@ -193,10 +194,72 @@ async function calculatePerformanceMetrics(structureId, asOfDate) {
       unrealizedGain: Math.max(0, currentNAV - (totalCapitalCalled - totalDistributed)),
       realizedGain: Math.max(0, totalDistributed - totalCapitalCalled * dpi),
     },
+    paymentCurrencies: summarizePaymentCurrencies(
+      allCalls.flatMap(cc => cc.capital_call_allocations || []),
+      allDists.flatMap(d => d.distribution_allocations || [])
+    ),
     asOfDate: dateFilter,
   };
 }
 
+/**
+ * Summarize amounts called from / distributed to LPs in their payment currencies
+ * Converted amounts use the FX rate snapshotted on each allocation at notice time
+ * @param {Array} callAllocations - capital_call_allocations rows
+ * @param {Array} distAllocations - distribution_allocations rows
+ * @returns {Array} One entry per payment currency
+ */
+function summarizePaymentCurrencies(callAllocations, distAllocations) {
+  const byCurrency = new Map();
+  const getEntry = (currency) => {
+    if (!byCurrency.has(currency)) {
+      byCurrency.set(currency, {
+        currency,
+        investorIds: new Set(),
+        calledBase: 0,
+        calledConverted: 0,
+        distributedBase: 0,
+        distributedConverted: 0,
+        realizedFxGainLoss: 0
+      });
+    }
+    return byCurrency.get(currency);
+  };
+
+  callAllocations
+    .filter(a => a.payment_currency && a.fx_rate != null && a.status !== 'Voided')
+    .forEach(a => {
+      const entry = getEntry(a.payment_currency);
+      entry.investorIds.add(a.user_id);
+      entry.calledBase += parseFloat(a.total_due) || 0;
+      entry.calledConverted += parseFloat(a.total_due_payment_currency) || 0;
+      entry.realizedFxGainLoss += parseFloat(a.fx_gain_loss) || 0;
+    });
+
+  distAllocations
+    .filter(a => a.payment_currency && a.fx_rate != null)
+    .forEach(a => {
+      const entry = getEntry(a.payment_currency);
+      entry.investorIds.add(a.user_id);
+      entry.distributedBase += parseFloat(a.allocated_amount) || 0;
+      entry.distributedConverted += parseFloat(a.allocated_amount_payment_currency) || 0;
+    });
+
+  const round = (value) => Math.round(value * 100) / 100;
+
+  return [...byCurrency.values()]
+    .sort((a, b) => a.currency.localeCompare(b.currency))
+    .map(({ investorIds, ...entry }) => ({
+      currency: entry.currency,
+      investorCount: investorIds.size,
+      calledBase: round(entry.calledBase),
+      calledConverted: round(entry.calledConverted),
+      distributedBase: round(entry.distributedBase),
+      distributedConverted: round(entry.distributedConverted),
+      realizedFxGainLoss: round(entry.realizedFxGainLoss)
+    }));
+}
+
 /**
  * Calculate quarterly activity
  * @param {string} structureId
@@ -274,6 +337,10 @@ async function calculateCCDSummary(structureId) {
   const calls = allCalls || [];
   const dists = allDists || [];
 
+  // Recallable distributions: amounts the GP may recall, added back to LPs' unfunded commitment
+  const recallableBalances = Object.values(await CapitalCall.getRecallableBalancesByStructure(structureId));
+  const sumRecallable = (key) => Math.round(recallableBalances.reduce((sum, b) => sum + b[key], 0) * 100) / 100;
+
   // Running balance
   let runningCalled = 0;
   let runningDistributed = 0;
@@ -296,6 +363,8 @@ async function calculateCCDSummary(structureId) {
       distributionDate: d.distributionDate,
       amount: d.totalAmount || 0,
       source: d.source || 'Operating Income',
+      recallableAmount: parseFloat(d.recallable_amount) || 0,
+      recallableUntil: d.recallable_until || null,
       cumulativeDistributed: runningDistributed,
     };
   });
@@ -311,6 +380,12 @@ async function calculateCCDSummary(structureId) {
       totalAmount: runningDistributed,
       items: distSummary,
     },
+    recallable: {
+      distributed: sumRecallable('recallable'),
+      recalled: sumRecallable('recalled'),
+      expired: sumRecallable('expired'),
+      available: sumRecallable('available'),
+    },
     netPosition: runningCalled - runningDistributed,
   };
 }
@@ -319,5 +394,6 @@ module.exports = {
   calculatePerformanceMetrics,
   calculateQuarterlyActivity,
   calculateCCDSummary,
-  calculateIRR
+  calculateIRR,
+  summarizePaymentCurrencies
 };
@@ -0,0 +1,187 @@
+/**
+ * In-Kind Distribution Service
+ *
+ * Delivers the tokens of an in-kind token distribution on a tokenized structure. Each LP
+ * allocation's units are transferred from the structure's wallet to the LP's wallet with
+ * web3Service.transferTokens, one transaction at a time so nonces stay in order:
+ * - each allocation is claimed ('sending') before its transfer, so concurrent runs cannot both
+ *   send it
+ * - the signed transaction's hash and nonce are recorded ('submitted') before it is broadcast;
+ *   a later run checks its receipt and only re-sends once it reverted or its nonce was used by
+ *   another transaction
+ * - allocations already transferred are never sent again, so a run can be repeated to retry
+ *   failed transfers and LPs who have since registered a wallet
+ * - LPs without a wallet are skipped
+ * - the error of a failed transfer is recorded on the allocation
+ */
+
+const Distribution = require('../models/supabase/distribution');
+const { createWeb3Service } = require('./web3ServiceFactory');
+const { MAX_UNIT_DECIMALS } = require('../utils/inKind');
+const { toTokenWei } = require('../utils/tokenAmounts');
+
+// Statuses a transfer can be claimed from without checking an earlier transaction
+// ('skipped' LPs are sent their units once they have registered a wallet)
+const CLAIMABLE_STATUSES = ['pending', 'failed', 'skipped'];
+// Minutes after which a 'sending' claim with no recorded transaction is taken to be abandoned
+const SENDING_TIMEOUT_MINUTES = 15;
+
+/**
+ * Plan the token transfer for each allocation
+ * @param {Array} allocations - distribution_allocations rows joined with `user`
+ * @returns {Array} [{ allocationId, userId, toAddress, units, status, transactionHash, nonce,
+ *   claimedAt, eligible, reason, alreadyTransferred }]
+ */
+function planTokenTransfers(allocations = []) {
+  return allocations
+    .filter(a => (parseFloat(a.allocated_units) || 0) > 0)
+    .map(a => {
+      const toAddress = a.user?.wallet_address || null;
+      return {
+        allocationId: a.id,
+        userId: a.user_id,
+        toAddress,
+        units: parseFloat(a.allocated_units),
+        status: a.token_transfer_status || 'pending',
+        transactionHash: a.token_transaction_hash || null,
+        nonce: a.token_transfer_nonce ?? null,
+        claimedAt: a.token_transfer_claimed_at || null,
+        eligible: !!toAddress,
+        reason: toAddress ? null : 'Investor has no wallet address',
+        alreadyTransferred: a.token_transfer_status === 'transferred'
+      };
+    });
+}
+
+/**
+ * Outcome of a recorded transfer transaction
+ * @returns {string} 'transferred', 'reverted', 'pending' (may still be mined) or 'dropped'
+ *   (its nonce was used by another transaction)
+ */
+async function checkSubmittedTransfer(web3Service, signerAddress, plan) {
+  const receipt = await web3Service.getTransactionReceipt(plan.transactionHash);
+  if (receipt) {
+    return BigInt(receipt.status) === 1n ? 'transferred' : 'reverted';
+  }
+  if (plan.nonce === null) return 'pending';
+
+  const minedCount = Number(await web3Service.getTransactionCount(signerAddress));
+  return minedCount > plan.nonce ? 'dropped' : 'pending';
+}
+
+/**
+ * Claim an allocation's transfer for this run
+ * @returns {boolean} Whether the transfer is this run's to send
+ */
+async function claimTokenTransfer(plan, fromStatuses) {
+  if (plan.status === 'sending') {
+    // A claim that never recorded a transaction sent nothing; take it over once abandoned
+    const claimedBefore = new Date(Date.now() - SENDING_TIMEOUT_MINUTES * 60 * 1000).toISOString();
+    return !!(await Distribution.claimAllocationTokenTransfer(plan.allocationId, ['sending'], { claimedBefore }));
+  }
+  return !!(await Distribution.claimAllocationTokenTransfer(plan.allocationId, fromStatuses));
+}
+
+/**
+ * Transfer an in-kind token distribution's units to the LPs
+ * @param {Object} distribution - Distribution model (in-kind, token asset)
+ * @param {Object} params - { contractAddress, fromAddress, rpcUrl, privateKey }
+ * @returns {Object} Run summary with each transfer's outcome
+ */
+async function transferInKindTokens(distribution, { contractAddress, fromAddress, rpcUrl, privateKey }) {
+  const withAllocations = await Distribution.findWithAllocations(distribution.id);
+  const plans = planTokenTransfers(withAllocations?.distribution_allocations || []);
+  const web3Service = createWeb3Service(rpcUrl);
+  const signingKey = privateKey.startsWith('0x') ? privateKey : `0x${privateKey}`;
+  let signerAddress = null;
+
+  const results = [];
+  for (const plan of plans) {
+    if (plan.alreadyTransferred) {
+      results.push({ ...plan, outcome: 'unchanged' });
+      continue;
+    }
+
+    if (!plan.eligible) {
+      await Distribution.updateAllocationTokenTransfer(plan.allocationId, { status: 'skipped', error: plan.reason });
+      results.push({ ...plan, outcome: 'skipped' });
+      continue;
+    }
+
+    // A transaction recorded by an earlier run is checked before anything is sent again
+    let fromStatuses = CLAIMABLE_STATUSES;
+    if (plan.status === 'submitted' && plan.transactionHash) {
+      signerAddress = signerAddress || web3Service.createAccountFromPrivateKey(signingKey).address;
+      const submitted = await checkSubmittedTransfer(web3Service, signerAddress, plan);
+      if (submitted === 'transferred') {
+        await Distribution.updateAllocationTokenTransfer(plan.allocationId, { status: 'transferred', transactionHash: plan.transactionHash });
+        results.push({ ...plan, outcome: 'transferred' });
+        continue;
+      }
+      if (submitted === 'pending') {
+        results.push({ ...plan, outcome: 'unconfirmed' });
+        continue;
+      }
+      fromStatuses = ['submitted'];
+    }
+
+    if (!(await claimTokenTransfer(plan, fromStatuses))) {
+      results.push({ ...plan, outcome: 'in_progress' });
+      continue;
+    }
+
+    let sent = null;
+    try {
+      const receipt = await web3Service.transferTokens({
+        contractAddress,
+        fromAddress,
+        toAddress: plan.toAddress,
+        amountWei: toTokenWei(plan.units.toFixed(MAX_UNIT_DECIMALS)),
+        privateKey: signingKey,
+        onSigned: async ({ transactionHash, nonce }) => {
+          sent = { transactionHash, nonce };
+          await Distribution.updateAllocationTokenTransfer(plan.allocationId, { status: 'submitted', transactionHash, nonce });
+        }
+      });
+      const transactionHash = receipt.transactionHash?.toString() || sent?.transactionHash;
+      await Distribution.updateAllocationTokenTransfer(plan.allocationId, { status: 'transferred', transactionHash });
+      results.push({ ...plan, outcome: 'transferred', transactionHash });
+    } catch (error) {
+      // A broadcast transaction may still be mined: leave it submitted for the next run to check
+      if (sent) {
+        const receipt = await web3Service.getTransactionReceipt(sent.transactionHash).catch(() => null);
+        if (receipt && BigInt(receipt.status) === 1n) {
+          await Distribution.updateAllocationTokenTransfer(plan.allocationId, { status: 'transferred', transactionHash: sent.transactionHash });
+          results.push({ ...plan, outcome: 'transferred', transactionHash: sent.transactionHash });
+          continue;
+        }
+        if (!receipt) {
+          await Distribution.updateAllocationTokenTransfer(plan.allocationId, { status: 'submitted', error: error.message });
+          results.push({ ...plan, outcome: 'unconfirmed', transactionHash: sent.transactionHash, error: error.message });
+          continue;
+        }
+      }
+      await Distribution.updateAllocationTokenTransfer(plan.allocationId, { status: 'failed', error: error.message });
+      results.push({ ...plan, outcome: 'failed', error: error.message });
+    }
+  }
+
+  const count = (outcome) => results.filter(r => r.outcome === outcome).length;
+  return {
+    distributionId: distribution.id,
+    contractAddress,
+    transferred: count('transferred'),
+    failed: count('failed'),
+    skipped: count('skipped'),
+    unconfirmed: count('unconfirmed'),
+    inProgress: count('in_progress'),
+    unchanged: count('unchanged'),
+    unitsTransferred: results.filter(r => r.outcome === 'transferred').reduce((sum, r) => sum + r.units, 0),
+    transfers: results
+  };
+}
+
+module.exports = {
+  planTokenTransfers,
+  transferInKindTokens
+};
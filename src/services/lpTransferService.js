@@ -0,0 +1,472 @@
+/**
+ * LP Transfer Service
+ *
+ * Secondary transfers of an LP's interest: request -> GP consent -> transferee KYC check ->
+ * completion on or after the effective date. A request is checked against the transferor's
+ * commitment and standing, the structure's lock-up period (when its text states a duration) and
+ * any other open transfer of the same LP. Completing a transfer moves the transferred share of
+ * the commitment to the transferee's structure_investors row, with the same share of the
+ * transferor's capital account as at the effective date (called, invested, paid-in and returned
+ * capital, write-downs and distributions); unfunded commitment follows from the two. Every LP's
+ * ownership is then rebased on commitment. On tokenized structures the transferor's tokens are
+ * force-transferred to the transferee's wallet before any record is moved; the transaction is
+ * recorded before it is broadcast so a retried completion does not send a second transfer.
+ * Each step is recorded in ApprovalHistory under the 'lp_transfer' entity.
+ */
+
+const ApprovalHistory = require('../models/supabase/approvalHistory');
+const CapitalCall = require('../models/supabase/capitalCall');
+const Distribution = require('../models/supabase/distribution');
+const LpTransfer = require('../models/supabase/lpTransfer');
+const StructureInvestor = require('../models/supabase/structureInvestor');
+const { createWeb3Service } = require('./web3ServiceFactory');
+const { addYears } = require('./structureLifecycleService');
+const { toDateString } = require('../utils/businessDays');
+const { toTokenWei, fromTokenWei, shareOfWei } = require('../utils/tokenAmounts');
+
+// Statuses from which a transfer can still be rejected or cancelled
+const OPEN_STATUSES = LpTransfer.OPEN_STATUSES;
+
+function roundCents(value) {
+  return Math.round((value || 0) * 100) / 100;
+}
+
+function toCents(value) {
+  return BigInt(Math.round((parseFloat(value) || 0) * 100));
+}
+
+/**
+ * Lock-up duration stated in the structure's lockUpPeriod text ("12 months", "3 years")
+ * @returns {number|null} Months, or null when the text states no duration
+ */
+function parseLockUpMonths(lockUpPeriod) {
+  const match = String(lockUpPeriod || '').match(/(\d+(?:\.\d+)?)\s*(years?|yrs?|months?|mos?)\b/i);
+  if (!match) return null;
+
+  const value = parseFloat(match[1]);
+  return /^y/i.test(match[2]) ? Math.round(value * 12) : Math.round(value);
+}
+
+/**
+ * End of the transferor's lock-up: the stated period from its admission to the structure
+ * (falling back to the structure's inception date)
+ * @returns {string|null} YYYY-MM-DD, or null when no lock-up applies
+ */
+function getLockUpEndDate(structure, transferorInvestor) {
+  const months = parseLockUpMonths(structure.lockUpPeriod);
+  const start = transferorInvestor?.createdAt || structure.inceptionDate;
+  if (!months || !start) return null;
+  return addYears(start, months / 12);
+}
+
+/**
+ * Check a transfer request
+ * @param {Object} params
+ * @param {Object} params.structure - Structure model
+ * @param {Object} params.transfer - { transferorId, transfereeId, commitmentTransferred, effectiveDate }
+ * @param {Object} params.transferorInvestor - Transferor's structure_investors row
+ * @param {Array} params.transfers - The structure's other transfers
+ * @returns {Array} Error messages (empty when the request is valid)
+ */
+function validateTransferRequest({ structure, transfer, transferorInvestor, transfers = [] }) {
+  const errors = [];
+  const commitment = parseFloat(transferorInvestor?.commitment) || 0;
+  const amount = parseFloat(transfer.commitmentTransferred);
+
+  if (structure.lifecycleStage === 'liquidation') {
+    errors.push('Interests in a structure in liquidation cannot be transferred');
+  }
+
+  if (!transferorInvestor || commitment <= 0) {
+    errors.push('Transferor holds no commitment in this structure');
+  } else if (isNaN(amount) || amount <= 0) {
+    errors.push('Commitment transferred must be a positive number');
+  } else if (amount > commitment) {
+    errors.push(`Commitment transferred of ${amount} exceeds the transferor's commitment of ${commitment}`);
+  }
+
+  if (transferorInvestor?.defaultStatus === 'in_default') {
+    errors.push('Transferor is in default and cannot transfer its interest');
+  }
+
+  if (transfer.transferorId === transfer.transfereeId) {
+    errors.push('Transferor and transferee must be different investors');
+  }
+
+  const lockUpEndDate = getLockUpEndDate(structure, transferorInvestor);
+  if (lockUpEndDate && transfer.effectiveDate && toDateString(transfer.effectiveDate) < lockUpEndDate) {
+    errors.push(`Transferor's interest is locked up until ${lockUpEndDate}`);
+  }
+
+  const openTransfer = transfers.find(t =>
+    t.id !== transfer.id &&
+    t.transferorId === transfer.transferorId &&
+    (OPEN_STATUSES.includes(t.status) || LpTransfer.COMPLETING_STATUSES.includes(t.status))
+  );
+  if (openTransfer) {
+    errors.push('Transferor already has a transfer in progress');
+  }
+
+  return errors;
+}
+
+/**
+ * Whether the transferee has cleared KYC: its latest KYC session completed, or its KYC status
+ * was approved directly
+ */
+function isKycCleared(user, latestSession) {
+  if (latestSession?.status === 'completed') return true;
+  return ['approved', 'verified', 'completed'].includes(String(user?.kycStatus || '').toLowerCase());
+}
+
+/**
+ * Share of the transferor's balances that moves to the transferee
+ * @param {Object} balances - Transferor's { commitment, calledCapital, investedCapital, paidIn,
+ *   returnedCapital, writeDowns, distributions } at the effective date
+ * @param {number} commitmentTransferred - Commitment transferred
+ * @returns {Object} Moved balances with the transfer fraction and unfunded commitment
+ */
+function calculateTransferBalances(balances, commitmentTransferred) {
+  const commitment = parseFloat(balances.commitment) || 0;
+  const amount = parseFloat(commitmentTransferred) || 0;
+  const fraction = commitment > 0 ? Math.min(amount / commitment, 1) : 0;
+
+  const moved = {
+    transferFraction: Math.round(fraction * 100000000) / 100000000,
+    commitment: roundCents(amount)
+  };
+  LpTransfer.BALANCE_FIELDS.forEach(field => {
+    moved[field] = roundCents((parseFloat(balances[field]) || 0) * fraction);
+  });
+  moved.unfunded = roundCents(moved.commitment - moved.calledCapital);
+
+  return moved;
+}
+
+/**
+ * Transferor's balances as at the effective date, including balances it acquired through
+ * earlier transfers
+ */
+async function getTransferorBalances(transfer, transferorInvestor) {
+  const asOfDate = toDateString(transfer.effectiveDate);
+
+  const capitalBalances = await CapitalCall.getCapitalBalancesByStructure(transfer.structureId, { asOfDate });
+  const capital = capitalBalances[transfer.transferorId] || {};
+
+  const bases = await Distribution.getAllocationBases(transfer.structureId, { distributionDate: asOfDate }, ['paid_in']);
+  const paidIn = (bases.paid_in || []).find(b => b.userId === transfer.transferorId)?.weight || 0;
+
+  const distributionTotal = await Distribution.getInvestorDistributionTotal(transfer.transferorId, transfer.structureId);
+
+  return {
+    commitment: parseFloat(transferorInvestor.commitment) || 0,
+    calledCapital: capital.calledCapital || 0,
+    investedCapital: capital.investedCapital || 0,
+    paidIn,
+    returnedCapital: capital.returnedCapital || 0,
+    writeDowns: capital.writeDowns || 0,
+    distributions: (parseFloat(distributionTotal) || 0) + (transferorInvestor.transferredDistributions || 0)
+  };
+}
+
+/**
+ * Preview the balances a transfer would move
+ * Once completion has saved its balance move, that snapshot is returned instead, as the
+ * transferor's rows may already reflect part of it
+ * @returns {Object} { balances, moved }
+ */
+async function previewTransfer(transfer) {
+  if (transfer.balanceMove) {
+    return { balances: transfer.balanceMove.balances, moved: transfer.balanceMove.moved };
+  }
+
+  const transferorInvestor = await StructureInvestor.findByUserAndStructure(transfer.transferorId, transfer.structureId);
+  if (!transferorInvestor) {
+    throw new Error('Transferor holds no commitment in this structure');
+  }
+
+  const balances = await getTransferorBalances(transfer, transferorInvestor);
+  return {
+    balances,
+    moved: calculateTransferBalances(balances, transfer.commitmentTransferred)
+  };
+}
+
+/**
+ * Receipt of a token transfer sent by an earlier completion attempt
+ * @param {Object} web3Service - Web3Service instance
+ * @param {Object} sent - Recorded token transfer { transactionHash, replacedHashes }
+ * @returns {Object|null} { transactionHash, succeeded }, or null while none of its
+ *   transactions is mined
+ */
+async function findSentTransferOutcome(web3Service, sent) {
+  const hashes = [sent.transactionHash, ...(sent.replacedHashes || [])].filter(Boolean);
+  for (const transactionHash of hashes) {
+    const receipt = await web3Service.getTransactionReceipt(transactionHash);
+    if (receipt) {
+      return { transactionHash, succeeded: BigInt(receipt.status) === 1n };
+    }
+  }
+  return null;
+}
+
+/**
+ * Force-transfer the transferred share of the transferor's tokens to the transferee
+ * The share is worked out in wei: balance * commitmentTransferred / commitment, both in cents.
+ * The signed transaction is handed to onSubmitted before it is broadcast. When previous holds a
+ * transaction that is not mined yet, the same amount is re-sent under the same nonce, so at
+ * most one of them can be mined; one that already succeeded is returned without sending again.
+ * @param {Object} params - { contractAddress, fromAddress, toAddress, commitmentTransferred,
+ *   commitment, amount, rpcUrl, privateKey, previous, onSubmitted }; amount (in whole tokens)
+ *   overrides the share of the transferor's balance
+ * @returns {Object} Token transfer record
+ * @throws {Error} With error.tokenTransfer set when a sent transaction may still be mined
+ */
+async function forceTransferTokens({
+  contractAddress,
+  fromAddress,
+  toAddress,
+  commitmentTransferred,
+  commitment,
+  amount,
+  rpcUrl,
+  privateKey,
+  previous = null,
+  onSubmitted
+}) {
+  const web3Service = createWeb3Service(rpcUrl);
+  const signingKey = privateKey.startsWith('0x') ? privateKey : `0x${privateKey}`;
+  const record = { contractAddress, fromAddress, toAddress };
+
+  let amountWei = null;
+  let nonce = null;
+  let unsettled = null;
+  let replacedHashes = [];
+
+  if (previous?.transactionHash) {
+    const outcome = await findSentTransferOutcome(web3Service, previous);
+    if (outcome?.succeeded) {
+      return { ...previous, status: 'transferred', transactionHash: outcome.transactionHash };
+    }
+
+    // Not mined: while its nonce is unused it can still be, so it is replaced rather than
+    // followed by a second transfer
+    if (!outcome) {
+      const signer = web3Service.createAccountFromPrivateKey(signingKey);
+      const minedCount = Number(await web3Service.getTransactionCount(signer.address));
+      if (minedCount <= previous.nonce) {
+        amountWei = BigInt(previous.amountWei);
+        nonce = previous.nonce;
+        unsettled = previous;
+      }
+    }
+    replacedHashes = [...(previous.replacedHashes || []), previous.transactionHash];
+  }
+
+  if (amountWei === null) {
+    if (amount !== undefined && amount !== null) {
+      amountWei = toTokenWei(amount);
+    } else {
+      const balanceWei = await web3Service.getTokenBalance({ contractAddress, ownerAddress: fromAddress });
+      const denominator = toCents(commitment);
+      const numerator = toCents(commitmentTransferred);
+      amountWei = shareOfWei(balanceWei, numerator < denominator ? numerator : denominator, denominator);
+    }
+  }
+
+  if (amountWei <= 0n) {
+    return { ...record, amount: '0', amountWei: '0', status: 'skipped', error: 'Transferor holds no tokens' };
+  }
+
+  const transfer = {
+    ...record,
+    amount: fromTokenWei(amountWei),
+    amountWei: amountWei.toString(),
+    ...(replacedHashes.length > 0 ? { replacedHashes } : {})
+  };
+  let sent = null;
+
+  try {
+    const receipt = await web3Service.forcedTransfer({
+      contractAddress,
+      fromAddress,
+      toAddress,
+      amountWei,
+      privateKey: signingKey,
+      nonce,
+      onSigned: async ({ transactionHash, nonce: signedNonce }) => {
+        sent = { ...transfer, status: 'submitted', transactionHash, nonce: signedNonce };
+        if (onSubmitted) await onSubmitted(sent);
+      }
+    });
+
+    return {
+      ...(sent || transfer),
+      status: 'transferred',
+      transactionHash: receipt.transactionHash?.toString() || sent?.transactionHash
+    };
+  } catch (error) {
+    // A signed transaction may have been broadcast: its receipt decides the outcome
+    const pending = sent || unsettled;
+    if (pending) {
+      const outcome = await findSentTransferOutcome(web3Service, { ...pending, replacedHashes }).catch(() => null);
+      if (outcome?.succeeded) {
+        return { ...pending, status: 'transferred', transactionHash: outcome.transactionHash };
+      }
+      if (!outcome) error.tokenTransfer = pending;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Record a transfer step in ApprovalHistory
+ */
+async function logTransferAction(transfer, action, fromStatus, toStatus, options = {}) {
+  return ApprovalHistory.logAction({
+    entityType: 'lp_transfer',
+    entityId: transfer.id,
+    action,
+    fromStatus,
+    toStatus,
+    userId: options.userId || null,
+    userName: options.userName || 'System',
+    notes: options.notes,
+    metadata: {
+      structureId: transfer.structureId,
+      transferorId: transfer.transferorId,
+      transfereeId: transfer.transfereeId,
+      commitmentTransferred: transfer.commitmentTransferred,
+      ...options.metadata
+    }
+  });
+}
+
+/**
+ * Move a transfer to its next status and record the step
+ * @param {Object} transfer - LpTransfer model
+ * @param {string} action - ApprovalHistory action
+ * @param {Object} updates - Transfer fields to save, including the new status
+ * @param {Object} options - { userId, userName, notes, metadata }
+ * @returns {Object} Updated transfer
+ */
+async function updateTransferStatus(transfer, action, updates, options = {}) {
+  const updated = await LpTransfer.findByIdAndUpdate(transfer.id, updates);
+  await logTransferAction(transfer, action, transfer.status, updates.status, options);
+  return updated;
+}
+
+/**
+ * Work out the balance move of a transfer: the amounts moved and the transferor and transferee
+ * structure_investors rows that result
+ * @param {Object} transfer - LpTransfer model
+ * @returns {Object} { balances, moved, transferor, transferee, transferorApplied, transfereeApplied }
+ */
+async function planBalanceMove(transfer) {
+  const transferorInvestor = await StructureInvestor.findByUserAndStructure(transfer.transferorId, transfer.structureId);
+  if (!transferorInvestor) {
+    throw new Error('Transferor holds no commitment in this structure');
+  }
+
+  const balances = await getTransferorBalances(transfer, transferorInvestor);
+  const moved = calculateTransferBalances(balances, transfer.commitmentTransferred);
+  const transfereeInvestor = await StructureInvestor.findByUserAndStructure(transfer.transfereeId, transfer.structureId);
+
+  const remainingCommitment = roundCents(transferorInvestor.commitment - moved.commitment);
+
+  // A new LP joins on the structure's standard terms; fee discounts and other side terms
+  // stay with the transferor
+  const current = transfereeInvestor || {
+    commitment: 0,
+    transferredCalledCapital: 0,
+    transferredPaidIn: 0,
+    transferredReturnedCapital: 0,
+    transferredDistributions: 0
+  };
+
+  return {
+    balances,
+    moved,
+    transferor: {
+      id: transferorInvestor.id,
+      commitment: remainingCommitment,
+      transferredCalledCapital: roundCents(transferorInvestor.transferredCalledCapital - moved.calledCapital),
+      transferredPaidIn: roundCents(transferorInvestor.transferredPaidIn - moved.paidIn),
+      transferredReturnedCapital: roundCents(transferorInvestor.transferredReturnedCapital - moved.returnedCapital),
+      transferredDistributions: roundCents(transferorInvestor.transferredDistributions - moved.distributions),
+      ...(remainingCommitment === 0 ? { status: 'transferred' } : {})
+    },
+    transferee: {
+      userId: transfer.transfereeId,
+      structureId: transfer.structureId,
+      commitment: roundCents((parseFloat(current.commitment) || 0) + moved.commitment),
+      transferredCalledCapital: roundCents(current.transferredCalledCapital + moved.calledCapital),
+      transferredPaidIn: roundCents(current.transferredPaidIn + moved.paidIn),
+      transferredReturnedCapital: roundCents(current.transferredReturnedCapital + moved.returnedCapital),
+      transferredDistributions: roundCents(current.transferredDistributions + moved.distributions),
+      status: 'active'
+    },
+    transferorApplied: false,
+    transfereeApplied: false
+  };
+}
+
+/**
+ * Complete a transfer: move the commitment and balances between the two LPs and rebase
+ * ownership. Any token transfer must already have succeeded.
+ * The move is planned and saved on the transfer before any balance is written, and each LP's
+ * row is marked once written, so a retry after a failure part-way through writes the rows
+ * still missing from the saved plan instead of moving the balances again.
+ * @param {Object} transfer - LpTransfer model (claimed for completion)
+ * @param {Object} options - { userId, userName, notes, tokenTransfer }
+ * @returns {Object} Completed transfer
+ */
+async function completeTransfer(transfer, options = {}) {
+  let balanceMove = transfer.balanceMove;
+  if (!balanceMove) {
+    balanceMove = await planBalanceMove(transfer);
+    await LpTransfer.findByIdAndUpdate(transfer.id, { balanceMove });
+  }
+  const { moved } = balanceMove;
+
+  if (!balanceMove.transferorApplied) {
+    const { id, ...transferorUpdates } = balanceMove.transferor;
+    await StructureInvestor.findByIdAndUpdate(id, transferorUpdates);
+    balanceMove = { ...balanceMove, transferorApplied: true };
+    await LpTransfer.findByIdAndUpdate(transfer.id, { balanceMove });
+  }
+
+  if (!balanceMove.transfereeApplied) {
+    await StructureInvestor.upsert(balanceMove.transferee);
+    balanceMove = { ...balanceMove, transfereeApplied: true };
+    await LpTransfer.findByIdAndUpdate(transfer.id, { balanceMove });
+  }
+
+  await StructureInvestor.recalculateOwnership(transfer.structureId);
+
+  return updateTransferStatus(transfer, 'transfer_completed', {
+    status: 'completed',
+    transferFraction: moved.transferFraction,
+    balances: moved,
+    tokenTransfer: options.tokenTransfer || null,
+    completedBy: options.userId || null,
+    completedAt: new Date().toISOString()
+  }, {
+    ...options,
+    metadata: { balances: moved, tokenTransfer: options.tokenTransfer || null }
+  });
+}
+
+module.exports = {
+  parseLockUpMonths,
+  getLockUpEndDate,
+  validateTransferRequest,
+  isKycCleared,
+  calculateTransferBalances,
+  previewTransfer,
+  findSentTransferOutcome,
+  forceTransferTokens,
+  logTransferAction,
+  updateTransferStatus,
+  completeTransfer
+};
@@ -0,0 +1,497 @@
+/**
+ * Side Letter Service
+ *
+ * Structured side letter provisions and the MFN (most-favoured-nation) election engine.
+ * A provision granted to one LP may be elected by another LP when its applicability rule allows:
+ * - commitment_tier (default): the LP's commitment is at least the grantee's commitment, or the
+ *   rule's minCommitment when one is set
+ * - all_investors: every LP of the structure may elect it
+ * - excluded: personal to the grantee, never offered
+ * A rule may also restrict a provision to some investorTypes. Fee discounts are only offered
+ * when better than the discount the LP already holds.
+ * The GP runs an election window per structure: opening it offers each LP the provisions it is
+ * entitled to and has not been offered before; LPs elect or decline until the window closes, and
+ * offers still undecided at closing lapse. Elected fee discounts feed the management fee on
+ * capital call allocations (see SideLetter.getFeeDiscountsByStructure).
+ */
+
+const SideLetter = require('../models/supabase/sideLetter');
+const MfnElection = require('../models/supabase/mfnElection');
+const Structure = require('../models/supabase/structure');
+const StructureInvestor = require('../models/supabase/structureInvestor');
+const Notification = require('../models/supabase/notification');
+const ApprovalHistory = require('../models/supabase/approvalHistory');
+const { toDateString } = require('../utils/businessDays');
+
+const PROVISION_LABELS = {
+  fee_discount: 'Fee discount',
+  reporting_rights: 'Reporting rights',
+  excusal_rights: 'Excusal rights',
+  co_invest_rights: 'Co-investment rights',
+  transfer_rights: 'Transfer rights'
+};
+
+const REPORTING_FREQUENCIES = ['monthly', 'quarterly', 'semi_annual', 'annual'];
+
+function isPlainObject(value) {
+  return value != null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Validate a provision's type, terms and applicability rule
+ * @param {Object} provision - { provisionType, description, terms, applicability }
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+function validateProvision(provision) {
+  const errors = [];
+  const { provisionType, description, terms = {}, applicability = {} } = provision || {};
+
+  if (!SideLetter.PROVISION_TYPES.includes(provisionType)) {
+    errors.push(`Provision type must be one of: ${SideLetter.PROVISION_TYPES.join(', ')}`);
+  }
+  if (!description || !String(description).trim()) {
+    errors.push('Provision description is required');
+  }
+  if (!isPlainObject(terms)) {
+    errors.push('Provision terms must be an object');
+  }
+  if (!isPlainObject(applicability)) {
+    errors.push('Provision applicability must be an object');
+    return errors;
+  }
+
+  if (provisionType === 'fee_discount') {
+    const discountPercent = parseFloat(terms?.discountPercent);
+    if (isNaN(discountPercent) || discountPercent <= 0 || discountPercent > 100) {
+      errors.push('Fee discount provisions need a discountPercent between 0 and 100');
+    }
+  }
+  if (provisionType === 'reporting_rights' && terms?.frequency && !REPORTING_FREQUENCIES.includes(terms.frequency)) {
+    errors.push(`Reporting frequency must be one of: ${REPORTING_FREQUENCIES.join(', ')}`);
+  }
+  if (['excusal_rights', 'transfer_rights'].includes(provisionType)) {
+    const listField = provisionType === 'excusal_rights' ? 'categories' : 'permittedTransferees';
+    if (terms?.[listField] !== undefined && !Array.isArray(terms[listField])) {
+      errors.push(`${PROVISION_LABELS[provisionType]} ${listField} must be a list`);
+    }
+  }
+
+  if (applicability.mfn !== undefined && !SideLetter.MFN_RULES.includes(applicability.mfn)) {
+    errors.push(`Applicability mfn rule must be one of: ${SideLetter.MFN_RULES.join(', ')}`);
+  }
+  if (applicability.minCommitment != null) {
+    const minCommitment = parseFloat(applicability.minCommitment);
+    if (isNaN(minCommitment) || minCommitment < 0) {
+      errors.push('Applicability minCommitment must be a non-negative amount');
+    }
+  }
+  if (applicability.investorTypes !== undefined && !Array.isArray(applicability.investorTypes)) {
+    errors.push('Applicability investorTypes must be a list');
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a side letter and its provisions
+ * @param {Object} sideLetter - { userId, status, effectiveDate, provisions }
+ * @param {Object} options - { investor } the grantee's structure_investors row
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+function validateSideLetter(sideLetter, options = {}) {
+  const errors = [];
+
+  if (!sideLetter.userId) {
+    errors.push('Investor (userId) is required');
+  } else if (options.investor === null) {
+    errors.push('Investor is not part of this structure');
+  }
+  if (sideLetter.status !== undefined && !SideLetter.STATUSES.includes(sideLetter.status)) {
+    errors.push(`Status must be one of: ${SideLetter.STATUSES.join(', ')}`);
+  }
+  if (sideLetter.status === 'executed' && !sideLetter.effectiveDate) {
+    errors.push('An executed side letter needs an effective date');
+  }
+
+  (sideLetter.provisions || []).forEach((provision, index) => {
+    validateProvision(provision).forEach(error => errors.push(`Provision ${index + 1}: ${error}`));
+  });
+
+  return errors;
+}
+
+/**
+ * Normalize a provision's applicability rule, defaulting to the commitment tier rule
+ */
+function normalizeApplicability(applicability = {}) {
+  return {
+    mfn: applicability.mfn || 'commitment_tier',
+    minCommitment: applicability.minCommitment != null ? parseFloat(applicability.minCommitment) : null,
+    investorTypes: Array.isArray(applicability.investorTypes) && applicability.investorTypes.length > 0
+      ? applicability.investorTypes
+      : null
+  };
+}
+
+/**
+ * Whether an LP may elect a provision granted to another LP
+ * @param {Object} provision - SideLetter provision
+ * @param {Object} params
+ * @param {Object} params.grantee - { userId, commitment } LP the provision was granted to
+ * @param {Object} params.investor - { userId, commitment, investorType } LP considering the election
+ * @param {number} params.currentDiscount - Best fee discount the LP already holds
+ * @returns {string|null} Why the LP is not entitled, or null when it is
+ */
+function checkMfnEligibility(provision, { grantee, investor, currentDiscount = 0 }) {
+  const rule = normalizeApplicability(provision.applicability);
+
+  if (provision.userId === investor.userId) {
+    return 'Granted to this investor';
+  }
+  if (rule.mfn === 'excluded') {
+    return 'Excluded from MFN elections';
+  }
+
+  const threshold = rule.mfn === 'all_investors'
+    ? 0
+    : (rule.minCommitment != null ? rule.minCommitment : (parseFloat(grantee?.commitment) || 0));
+  const commitment = parseFloat(investor.commitment) || 0;
+  if (commitment < threshold) {
+    return `Commitment of ${commitment} is below the ${threshold} required`;
+  }
+
+  if (rule.investorTypes && !rule.investorTypes.includes(investor.investorType)) {
+    return `Limited to ${rule.investorTypes.join(', ')} investors`;
+  }
+
+  if (provision.provisionType === 'fee_discount') {
+    const discountPercent = parseFloat(provision.terms?.discountPercent) || 0;
+    if (discountPercent <= currentDiscount) {
+      return `Investor already holds a fee discount of ${currentDiscount}%`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * MFN entitlements of every LP of a structure
+ * @param {Object} params
+ * @param {Array} params.sideLetters - SideLetter models with provisions; only executed letters count
+ * @param {Array} params.investors - [{ userId, commitment, investorType, feeDiscount }]
+ * @param {Array} params.elections - Existing MfnElection models of the structure
+ * @param {Object} params.feeDiscounts - userId -> { discountPercent } held through side letters
+ * @returns {Array} [{ userId, commitment, currentDiscount, entitlements, ineligible }]
+ */
+function calculateEntitlements({ sideLetters = [], investors = [], elections = [], feeDiscounts = {} }) {
+  const commitments = new Map(investors.map(inv => [inv.userId, parseFloat(inv.commitment) || 0]));
+  const provisions = sideLetters
+    .filter(letter => letter.status === 'executed')
+    .flatMap(letter => letter.provisions || []);
+  const electionFor = new Map(elections.map(e => [`${e.userId}:${e.provisionId}`, e]));
+
+  return investors.map(investor => {
+    const currentDiscount = Math.max(
+      parseFloat(investor.feeDiscount) || 0,
+      feeDiscounts[investor.userId]?.discountPercent || 0
+    );
+    const entitlements = [];
+    const ineligible = [];
+
+    provisions.forEach(provision => {
+      if (provision.userId === investor.userId) return;
+
+      const election = electionFor.get(`${investor.userId}:${provision.id}`) || null;
+      const reason = election?.status === 'elected'
+        ? null
+        : checkMfnEligibility(provision, {
+          grantee: { userId: provision.userId, commitment: commitments.get(provision.userId) || 0 },
+          investor,
+          currentDiscount
+        });
+
+      if (reason) {
+        ineligible.push({ provisionId: provision.id, provisionType: provision.provisionType, reason });
+        return;
+      }
+
+      entitlements.push({
+        provisionId: provision.id,
+        provisionType: provision.provisionType,
+        description: provision.description,
+        terms: provision.terms,
+        grantedTo: provision.userId,
+        electionId: election?.id || null,
+        electionStatus: election?.status || null
+      });
+    });
+
+    return {
+      userId: investor.userId,
+      commitment: parseFloat(investor.commitment) || 0,
+      currentDiscount,
+      entitlements,
+      ineligible
+    };
+  });
+}
+
+/**
+ * Provisions that apply to an LP: those of its own executed side letters and those it elected
+ * @param {Object} params
+ * @param {Array} params.sideLetters - SideLetter models with provisions
+ * @param {Array} params.elections - MfnElection models of the structure
+ * @param {string} params.userId - The LP
+ * @returns {Object} { provisions, byType } - provisions tagged with their source
+ */
+function getEffectiveProvisions({ sideLetters = [], elections = [], userId }) {
+  const executed = sideLetters.filter(letter => letter.status === 'executed');
+  const byId = new Map(executed.flatMap(letter => letter.provisions || []).map(p => [p.id, p]));
+
+  const provisions = [
+    ...executed
+      .filter(letter => letter.userId === userId)
+      .flatMap(letter => (letter.provisions || []).map(p => ({ ...p, source: 'side_letter', sideLetterId: letter.id }))),
+    ...elections
+      .filter(e => e.userId === userId && e.status === 'elected' && byId.has(e.provisionId))
+      .map(e => ({ ...byId.get(e.provisionId), source: 'mfn_election', electionId: e.id, effectiveDate: e.effectiveDate }))
+  ];
+
+  const byType = Object.fromEntries(SideLetter.PROVISION_TYPES.map(type => [type, []]));
+  provisions.forEach(p => byType[p.provisionType]?.push(p));
+
+  return { provisions, byType };
+}
+
+/**
+ * Whether an election can still be decided
+ * @param {Object} election - MfnElection model
+ * @param {Object} structure - Structure model with its mfnElectionWindow
+ * @param {string} today - YYYY-MM-DD
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+function validateElectionDecision(election, structure, today = toDateString(new Date())) {
+  const errors = [];
+  const window = structure.mfnElectionWindow;
+
+  if (election.status !== 'offered') {
+    errors.push(`Election is already ${election.status}`);
+  }
+  if (!window || window.status !== 'open') {
+    errors.push('The MFN election window is not open');
+  } else if (today > (election.windowClosesOn || window.closesOn)) {
+    errors.push(`The MFN election window closed on ${election.windowClosesOn || window.closesOn}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Load a structure's side letters, LPs, elections and fee discounts and work out entitlements
+ * @returns {Object} { sideLetters, elections, entitlements }
+ */
+async function getStructureEntitlements(structureId) {
+  const [sideLetters, structureInvestors, elections, feeDiscounts] = await Promise.all([
+    SideLetter.findByStructureId(structureId),
+    StructureInvestor.findByStructureId(structureId),
+    MfnElection.findByStructureId(structureId),
+    SideLetter.getFeeDiscountsByStructure(structureId)
+  ]);
+
+  const investors = structureInvestors.map(si => ({
+    userId: si.userId,
+    commitment: si.commitment,
+    investorType: si.user?.investor_type || null,
+    feeDiscount: si.feeDiscount
+  }));
+
+  return {
+    sideLetters,
+    elections,
+    entitlements: calculateEntitlements({ sideLetters, investors, elections, feeDiscounts })
+  };
+}
+
+/**
+ * Open the structure's MFN election window
+ * Offers each LP the provisions it is entitled to that it has not been offered before and
+ * notifies the LPs with new offers
+ * @param {Object} structure - Structure model
+ * @param {Object} options - { closesOn, userId, userName }
+ * @returns {Object} { window, offers }
+ */
+async function openElectionWindow(structure, options = {}) {
+  const { closesOn, userId = null, userName = 'System' } = options;
+  const opensOn = toDateString(new Date());
+
+  const errors = [];
+  if (structure.mfnElectionWindow?.status === 'open') {
+    errors.push('An MFN election window is already open');
+  }
+  if (!closesOn || closesOn <= opensOn) {
+    errors.push('The election window must close after today');
+  }
+  if (errors.length > 0) {
+    throw new Error(`MFN election window cannot be opened: ${errors.join('; ')}`);
+  }
+
+  const { entitlements } = await getStructureEntitlements(structure.id);
+  const offeredAt = new Date().toISOString();
+  const offers = await MfnElection.createMany(entitlements.flatMap(inv => inv.entitlements
+    .filter(e => !e.electionId)
+    .map(e => ({
+      structureId: structure.id,
+      userId: inv.userId,
+      provisionId: e.provisionId,
+      status: 'offered',
+      offeredAt,
+      windowClosesOn: closesOn
+    }))));
+
+  const window = {
+    status: 'open',
+    opensOn,
+    closesOn,
+    offerCount: offers.length,
+    openedBy: userId,
+    openedAt: offeredAt
+  };
+  await Structure.findByIdAndUpdate(structure.id, { mfnElectionWindow: window });
+
+  const offersByInvestor = offers.reduce((counts, offer) => {
+    counts[offer.userId] = (counts[offer.userId] || 0) + 1;
+    return counts;
+  }, {});
+  const notifications = Object.entries(offersByInvestor).map(([investorId, count]) => ({
+    userId: investorId,
+    notificationType: 'general_announcement',
+    channel: 'portal',
+    title: `MFN Election - ${structure.name}`,
+    message: `You may elect ${count} side letter provision${count === 1 ? '' : 's'} granted to other investors in ${structure.name} under your MFN rights. The election window closes on ${closesOn}.`,
+    priority: 'high',
+    relatedEntityType: 'Structure',
+    relatedEntityId: structure.id,
+    senderId: userId,
+    status: 'pending',
+    metadata: { structureId: structure.id, offerCount: count, closesOn }
+  }));
+
+  if (notifications.length > 0) {
+    try {
+      await Notification.createMany(notifications);
+    } catch (error) {
+      console.error('[SideLetter] Error creating MFN election notifications:', error.message);
+    }
+  }
+
+  await ApprovalHistory.logAction({
+    entityType: 'structure',
+    entityId: structure.id,
+    action: 'mfn_window_opened',
+    fromStatus: structure.mfnElectionWindow?.status || null,
+    toStatus: 'open',
+    userId,
+    userName,
+    metadata: { closesOn, offerCount: offers.length }
+  });
+
+  return { window, offers };
+}
+
+/**
+ * Close the structure's MFN election window, lapsing undecided offers
+ * @param {Object} structure - Structure model
+ * @param {Object} options - { userId, userName }
+ * @returns {Object} { window, lapsed }
+ */
+async function closeElectionWindow(structure, options = {}) {
+  const { userId = null, userName = 'System' } = options;
+
+  if (structure.mfnElectionWindow?.status !== 'open') {
+    throw new Error('MFN election window cannot be closed: no election window is open');
+  }
+
+  const lapsed = await MfnElection.lapseOpenOffers(structure.id);
+  const window = {
+    ...structure.mfnElectionWindow,
+    status: 'closed',
+    lapsedCount: lapsed.length,
+    closedBy: userId,
+    closedAt: new Date().toISOString()
+  };
+  await Structure.findByIdAndUpdate(structure.id, { mfnElectionWindow: window });
+
+  await ApprovalHistory.logAction({
+    entityType: 'structure',
+    entityId: structure.id,
+    action: 'mfn_window_closed',
+    fromStatus: 'open',
+    toStatus: 'closed',
+    userId,
+    userName,
+    metadata: { lapsedCount: lapsed.length }
+  });
+
+  return { window, lapsed };
+}
+
+/**
+ * Record an LP's decision on an offered provision
+ * @param {Object} election - MfnElection model
+ * @param {Object} structure - Structure model
+ * @param {Object} options - { decision: 'elected' | 'declined', effectiveDate, notes, userId, userName }
+ * @returns {Object} Updated election
+ */
+async function decideElection(election, structure, options = {}) {
+  const { decision, effectiveDate, notes, userId = null, userName = 'System' } = options;
+  const today = toDateString(new Date());
+
+  const errors = validateElectionDecision(election, structure, today);
+  if (!['elected', 'declined'].includes(decision)) {
+    errors.push('Decision must be elected or declined');
+  }
+  if (errors.length > 0) {
+    throw new Error(`MFN election cannot be recorded: ${errors.join('; ')}`);
+  }
+
+  const updated = await MfnElection.findByIdAndUpdate(election.id, {
+    status: decision,
+    decidedAt: new Date().toISOString(),
+    decidedBy: userId,
+    effectiveDate: decision === 'elected' ? (effectiveDate || today) : null,
+    notes
+  });
+
+  await ApprovalHistory.logAction({
+    entityType: 'mfn_election',
+    entityId: election.id,
+    action: decision === 'elected' ? 'mfn_provision_elected' : 'mfn_provision_declined',
+    fromStatus: election.status,
+    toStatus: decision,
+    userId,
+    userName,
+    notes,
+    metadata: {
+      structureId: election.structureId,
+      investorId: election.userId,
+      provisionId: election.provisionId
+    }
+  });
+
+  return updated;
+}
+
+module.exports = {
+  PROVISION_LABELS,
+  validateProvision,
+  validateSideLetter,
+  normalizeApplicability,
+  checkMfnEligibility,
+  calculateEntitlements,
+  getEffectiveProvisions,
+  validateElectionDecision,
+  getStructureEntitlements,
+  openElectionWindow,
+  closeElectionWindow,
+  decideElection
+};
@@ -707,9 +707,10 @@ class StripeService {
    * @param {string} currency - Currency code (default: mxn)
    * @param {string} description - Transfer description
    * @param {Object} metadata - Additional metadata
+   * @param {Object} options - Request options ({ idempotencyKey } makes retries safe)
    * @returns {Promise<Object>} Transfer object
    */
-  async createTransferToConnectAccount(accountId, amount, currency = 'mxn', description = '', metadata = {}) {
+  async createTransferToConnectAccount(accountId, amount, currency = 'mxn', description = '', metadata = {}, options = {}) {
     try {
       const transfer = await stripeConnect.transfers.create({
         amount: amount,
@@ -717,7 +718,7 @@ class StripeService {
         destination: accountId,
         description: description,
         metadata: metadata
-      });
+      }, options.idempotencyKey ? { idempotencyKey: options.idempotencyKey } : undefined);
 
       console.log(`[Stripe Connect] Created transfer ${transfer.id} to account ${accountId} for ${amount} ${currency}`);
       return transfer;
@@ -727,6 +728,31 @@ class StripeService {
     }
   }
 
+  /**
+   * Find a transfer to a Connect account by a metadata value
+   * Used to recover a transfer whose creation response was lost
+   * @param {string} accountId - Destination Stripe Connect account ID
+   * @param {string} key - Metadata key
+   * @param {string} value - Metadata value
+   * @param {string|Date} createdAfter - Only look at transfers created from this time
+   * @returns {Promise<Object|null>} Transfer object, or null when none matches
+   */
+  async findTransferByMetadata(accountId, key, value, createdAfter = null) {
+    const params = { destination: accountId, limit: 100 };
+    if (createdAfter) {
+      // A minute of margin for clock skew between this server and Stripe
+      params.created = { gte: Math.floor(new Date(createdAfter).getTime() / 1000) - 60 };
+    }
+
+    for await (const transfer of stripeConnect.transfers.list(params)) {
+      if (transfer.metadata?.[key] === value) {
+        return transfer;
+      }
+    }
+
+    return null;
+  }
+
   /**
    * Delete/deauthorize a Connect account
    * @param {string} accountId - Stripe Connect account ID
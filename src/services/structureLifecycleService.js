@@ -0,0 +1,377 @@
+/**
+ * Structure Lifecycle Service
+ *
+ * Lifecycle of a structure: fundraising -> investment period -> harvesting -> extension ->
+ * liquidation. Stage changes are guarded (the investment period starts once the first close
+ * is completed; stages only move forward) and recorded in ApprovalHistory under the
+ * 'structure' entity. The term runs from the inception date for termYears; term extensions,
+ * up to the structure's extensionYears, must be requested and then approved by Root, and move
+ * the structure into the extension stage. Once the investment period has ended, capital calls
+ * may only fund follow-ons in investments made during the investment period, or fees and
+ * expenses.
+ */
+
+const ApprovalHistory = require('../models/supabase/approvalHistory');
+const FundClosing = require('../models/supabase/fundClosing');
+const Structure = require('../models/supabase/structure');
+const { toDateString } = require('../utils/businessDays');
+
+const LIFECYCLE_TRANSITIONS = {
+  fundraising: ['investment_period'],
+  investment_period: ['harvesting'],
+  harvesting: ['extension', 'liquidation'],
+  extension: ['extension', 'liquidation'],
+  liquidation: []
+};
+
+// Capital call types that may be called without an investment after the investment period
+const FEE_EXPENSE_CALL_TYPES = ['fees', 'expenses'];
+
+// Stages after the investment period
+const POST_INVESTMENT_STAGES = ['harvesting', 'extension', 'liquidation'];
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Add (possibly fractional) years to a date, in whole months
+ * @returns {string|null} YYYY-MM-DD
+ */
+function addYears(date, years) {
+  const months = Math.round((parseFloat(years) || 0) * 12);
+  if (!date) return null;
+
+  const result = new Date(`${toDateString(date)}T00:00:00Z`);
+  const day = result.getUTCDate();
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  // Clamp to the end of shorter months (Jan 31 + 1 month = Feb 28/29)
+  const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+  result.setUTCDate(Math.min(day, lastDay));
+  return toDateString(result);
+}
+
+function daysBetween(fromDate, toDate) {
+  return Math.round((new Date(`${toDateString(toDate)}T00:00:00Z`) - new Date(`${toDateString(fromDate)}T00:00:00Z`)) / MS_PER_DAY);
+}
+
+/**
+ * Key dates of a structure's term
+ * @param {Object} structure - Structure model
+ * @returns {Object} { inceptionDate, investmentPeriodEndDate, originalTermEndDate, termEndDate,
+ *   extensionYearsUsed, extensionYearsAvailable }
+ */
+function getLifecycleDates(structure) {
+  const inceptionDate = structure.inceptionDate ? toDateString(structure.inceptionDate) : null;
+  const extensionYearsUsed = parseFloat(structure.extensionYearsUsed) || 0;
+  const termYears = parseFloat(structure.termYears) || 0;
+
+  const investmentPeriodEndDate = structure.investmentPeriodEndDate
+    ? toDateString(structure.investmentPeriodEndDate)
+    : (structure.investmentPeriodYears ? addYears(inceptionDate, structure.investmentPeriodYears) : null);
+  const originalTermEndDate = termYears > 0 ? addYears(inceptionDate, termYears) : null;
+  const termEndDate = structure.finalDate
+    ? toDateString(structure.finalDate)
+    : (termYears > 0 ? addYears(inceptionDate, termYears + extensionYearsUsed) : null);
+
+  return {
+    inceptionDate,
+    investmentPeriodEndDate,
+    originalTermEndDate,
+    termEndDate,
+    extensionYearsUsed,
+    extensionYearsAvailable: Math.max(0, (parseFloat(structure.extensionYears) || 0) - extensionYearsUsed)
+  };
+}
+
+/**
+ * Whether the investment period is over at a date (stage moved on, or its end date passed)
+ */
+function isInvestmentPeriodOver(structure, asOfDate = new Date()) {
+  if (POST_INVESTMENT_STAGES.includes(structure.lifecycleStage)) return true;
+
+  const { investmentPeriodEndDate } = getLifecycleDates(structure);
+  return Boolean(investmentPeriodEndDate) && toDateString(asOfDate) > investmentPeriodEndDate;
+}
+
+/**
+ * Validate a manual stage change
+ * @param {Object} structure - Structure model
+ * @param {string} toStage - Target stage
+ * @param {Object} context - { hasFirstClose }
+ * @returns {Array} Error messages
+ */
+function validateTransition(structure, toStage, { hasFirstClose = false } = {}) {
+  const fromStage = structure.lifecycleStage || 'fundraising';
+
+  if (!Structure.LIFECYCLE_STAGES.includes(toStage)) {
+    return [`Lifecycle stage must be one of: ${Structure.LIFECYCLE_STAGES.join(', ')}`];
+  }
+  if (toStage === 'extension') {
+    return ['Term extensions must be requested and approved'];
+  }
+  if (!LIFECYCLE_TRANSITIONS[fromStage].includes(toStage)) {
+    return [`Cannot move a structure from ${fromStage} to ${toStage}`];
+  }
+
+  const errors = [];
+  if (toStage === 'investment_period' && !hasFirstClose) {
+    errors.push('The first close must be completed before the investment period starts');
+  }
+  if (toStage === 'liquidation' && structure.extensionRequest) {
+    errors.push('Resolve the pending extension request before liquidation');
+  }
+  return errors;
+}
+
+/**
+ * Validate a capital call against the structure's lifecycle: after the investment period, a call
+ * must either be marked as fees or expenses or be a follow-on in an investment made during the
+ * investment period
+ * @param {Object} structure - Structure model
+ * @param {Object} params - { investment, callType, asOfDate }
+ * @returns {string|null} Error message
+ */
+function validateCapitalCallForLifecycle(structure, { investment = null, callType = 'standard', asOfDate = new Date() } = {}) {
+  if (!isInvestmentPeriodOver(structure, asOfDate) || FEE_EXPENSE_CALL_TYPES.includes(callType)) return null;
+
+  if (structure.lifecycleStage === 'liquidation') {
+    return 'The structure is in liquidation: capital calls for investments are not allowed';
+  }
+
+  const { investmentPeriodEndDate } = getLifecycleDates(structure);
+  if (!investment) {
+    return `The investment period ended${investmentPeriodEndDate ? ` on ${investmentPeriodEndDate}` : ''}: capital calls must be follow-ons in an existing investment or be marked as fees or expenses`;
+  }
+
+  const investmentDate = investment.investmentDate ? toDateString(investment.investmentDate) : null;
+  if (!investmentDate || !investmentPeriodEndDate || investmentDate > investmentPeriodEndDate) {
+    return `The investment period ended${investmentPeriodEndDate ? ` on ${investmentPeriodEndDate}` : ''}: capital calls for new investments are not allowed`;
+  }
+
+  return null;
+}
+
+/**
+ * Validate a term extension request
+ * @returns {Array} Error messages
+ */
+function validateExtensionRequest(structure, years) {
+  const errors = [];
+  const { extensionYearsAvailable } = getLifecycleDates(structure);
+
+  if (!['harvesting', 'extension'].includes(structure.lifecycleStage)) {
+    errors.push('The term can only be extended once the structure is harvesting');
+  }
+  if (structure.extensionRequest) {
+    errors.push('An extension request is already pending');
+  }
+  if (!(years > 0)) {
+    errors.push('Extension years must be positive');
+  } else if (years > extensionYearsAvailable) {
+    errors.push(`Only ${extensionYearsAvailable} extension years remain under the structure's terms`);
+  }
+  return errors;
+}
+
+/**
+ * Upcoming term milestones for the current stage
+ * @param {Object} structure - Structure model
+ * @param {string} asOfDate - YYYY-MM-DD
+ * @returns {Array} [{ milestone: 'investment_period_end' | 'term_end', date, daysUntil }]
+ */
+function getUpcomingMilestones(structure, asOfDate) {
+  const stage = structure.lifecycleStage || 'fundraising';
+  const { investmentPeriodEndDate, termEndDate } = getLifecycleDates(structure);
+  const milestones = [];
+
+  if (['fundraising', 'investment_period'].includes(stage) && investmentPeriodEndDate) {
+    milestones.push({ milestone: 'investment_period_end', date: investmentPeriodEndDate });
+  }
+  if (stage !== 'liquidation' && termEndDate) {
+    milestones.push({ milestone: 'term_end', date: termEndDate });
+  }
+
+  return milestones.map(m => ({ ...m, daysUntil: daysBetween(asOfDate, m.date) }));
+}
+
+/**
+ * Lifecycle overview of a structure
+ */
+function getLifecycle(structure, asOfDate = toDateString(new Date())) {
+  const stage = structure.lifecycleStage || 'fundraising';
+
+  return {
+    stage,
+    stageChangedAt: structure.lifecycleStageChangedAt,
+    allowedTransitions: LIFECYCLE_TRANSITIONS[stage].filter(s => s !== 'extension'),
+    ...getLifecycleDates(structure),
+    investmentPeriodOver: isInvestmentPeriodOver(structure, asOfDate),
+    extensionRequest: structure.extensionRequest,
+    milestones: getUpcomingMilestones(structure, asOfDate)
+  };
+}
+
+/**
+ * Whether the structure's first close has been completed
+ */
+async function hasCompletedFirstClose(structureId) {
+  const closings = await FundClosing.findByStructureId(structureId);
+  return closings.some(c => c.closingType === 'first' && c.status === 'completed');
+}
+
+async function logLifecycleAction(structure, action, fromStatus, toStatus, options) {
+  return ApprovalHistory.logAction({
+    entityType: 'structure',
+    entityId: structure.id,
+    action,
+    fromStatus,
+    toStatus,
+    userId: options.userId || null,
+    userName: options.userName || 'System',
+    notes: options.notes,
+    metadata: options.metadata
+  });
+}
+
+/**
+ * Move a structure to another stage
+ * @param {Object} structure - Structure model
+ * @param {string} toStage - Target stage
+ * @param {Object} options - { userId, userName, notes }
+ * @returns {Object} Updated structure
+ */
+async function transitionStage(structure, toStage, options = {}) {
+  const hasFirstClose = await hasCompletedFirstClose(structure.id);
+
+  const errors = validateTransition(structure, toStage, { hasFirstClose });
+  if (errors.length > 0) {
+    throw new Error(`Lifecycle transition not allowed: ${errors.join('; ')}`);
+  }
+
+  const today = toDateString(new Date());
+  const fromStage = structure.lifecycleStage || 'fundraising';
+  const updates = {
+    lifecycleStage: toStage,
+    lifecycleStageChangedAt: new Date().toISOString()
+  };
+
+  // Ending the investment period early moves its end date forward
+  const { investmentPeriodEndDate } = getLifecycleDates(structure);
+  if (toStage === 'harvesting' && (!investmentPeriodEndDate || investmentPeriodEndDate > today)) {
+    updates.investmentPeriodEndDate = today;
+  }
+
+  const updated = await Structure.findByIdAndUpdate(structure.id, updates);
+
+  await logLifecycleAction(structure, 'lifecycle_transition', fromStage, toStage, {
+    ...options,
+    metadata: { investmentPeriodEndDate: updates.investmentPeriodEndDate || investmentPeriodEndDate }
+  });
+
+  return updated;
+}
+
+/**
+ * Request a term extension (pending Root approval)
+ * @param {Object} structure - Structure model
+ * @param {Object} params - { years, reason, userId, userName }
+ * @returns {Object} Updated structure
+ */
+async function requestExtension(structure, { years, reason, userId, userName }) {
+  const errors = validateExtensionRequest(structure, years);
+  if (errors.length > 0) {
+    throw new Error(`Extension cannot be requested: ${errors.join('; ')}`);
+  }
+
+  const { termEndDate } = getLifecycleDates(structure);
+  const extensionRequest = {
+    years,
+    reason: reason || null,
+    currentTermEndDate: termEndDate,
+    proposedTermEndDate: addYears(termEndDate, years),
+    requestedBy: userId,
+    requestedAt: new Date().toISOString()
+  };
+
+  const updated = await Structure.findByIdAndUpdate(structure.id, { extensionRequest });
+
+  await logLifecycleAction(structure, 'extension_requested', structure.lifecycleStage, 'pending_approval', {
+    userId,
+    userName,
+    notes: reason,
+    metadata: extensionRequest
+  });
+
+  return updated;
+}
+
+/**
+ * Approve the pending term extension: extend the term and enter the extension stage
+ * @param {Object} structure - Structure model
+ * @param {Object} options - { userId, userName, notes }
+ * @returns {Object} Updated structure
+ */
+async function approveExtension(structure, options = {}) {
+  const request = structure.extensionRequest;
+  if (!request) {
+    throw new Error('No extension request is pending');
+  }
+
+  const { termEndDate, extensionYearsUsed } = getLifecycleDates(structure);
+  const finalDate = addYears(termEndDate, request.years);
+
+  const updated = await Structure.findByIdAndUpdate(structure.id, {
+    lifecycleStage: 'extension',
+    lifecycleStageChangedAt: new Date().toISOString(),
+    extensionYearsUsed: extensionYearsUsed + request.years,
+    finalDate,
+    extensionRequest: null
+  });
+
+  await logLifecycleAction(structure, 'extension_approved', structure.lifecycleStage, 'extension', {
+    ...options,
+    metadata: { ...request, previousTermEndDate: termEndDate, termEndDate: finalDate }
+  });
+
+  return updated;
+}
+
+/**
+ * Reject the pending term extension
+ * @param {Object} structure - Structure model
+ * @param {Object} options - { userId, userName, notes }
+ * @returns {Object} Updated structure
+ */
+async function rejectExtension(structure, options = {}) {
+  const request = structure.extensionRequest;
+  if (!request) {
+    throw new Error('No extension request is pending');
+  }
+
+  const updated = await Structure.findByIdAndUpdate(structure.id, { extensionRequest: null });
+
+  await logLifecycleAction(structure, 'extension_rejected', 'pending_approval', structure.lifecycleStage, {
+    ...options,
+    metadata: request
+  });
+
+  return updated;
+}
+
+module.exports = {
+  LIFECYCLE_TRANSITIONS,
+  FEE_EXPENSE_CALL_TYPES,
+  addYears,
+  getLifecycleDates,
+  isInvestmentPeriodOver,
+  validateTransition,
+  validateCapitalCallForLifecycle,
+  validateExtensionRequest,
+  getUpcomingMilestones,
+  getLifecycle,
+  hasCompletedFirstClose,
+  transitionStage,
+  requestExtension,
+  approveExtension,
+  rejectExtension
+};
@@ -0,0 +1,392 @@
+/**
+ * Transfer Document Generator
+ *
+ * Generates LP interest transfer PDFs: the instrument of transfer between the transferor and
+ * the transferee (with the GP's consent and signature blocks) and the transfer confirmation
+ * sent to each party once the transfer is completed.
+ */
+
+const PDFDocument = require('pdfkit');
+
+const COLORS = {
+  primary: '#2D1B69',
+  secondary: '#6B21A8',
+  accent: '#EDE9FE',
+  text: '#1F2937',
+  muted: '#6B7280',
+  border: '#E5E7EB',
+  success: '#059669',
+  warning: '#D97706',
+};
+
+const STATUS_LABELS = {
+  pending_consent: 'Awaiting GP consent',
+  consented: 'GP consent given - transferee KYC pending',
+  kyc_cleared: 'Ready to complete on the effective date',
+  completing: 'Completion in progress',
+  completion_pending: 'Token transfer sent - completion pending',
+  completed: 'Completed',
+  rejected: 'Rejected',
+  cancelled: 'Cancelled',
+};
+
+/**
+ * Generate the Instrument of Transfer PDF
+ * @param {Object} transfer - LpTransfer model
+ * @param {Object} structure - Fund/structure data
+ * @param {Object} parties - { transferor, transferee } investor profiles
+ * @param {Object} options - { firmName, balances } balances moved (from the completed transfer,
+ *   or from previewTransfer before completion)
+ * @returns {Promise<Buffer>} PDF buffer
+ */
+async function generateTransferInstrumentPDF(transfer, structure, parties, options = {}) {
+  const { firmName = 'Investment Manager', balances = transfer.balances } = options;
+  const currency = structure?.baseCurrency || structure?.currency || 'USD';
+  const fundName = structure?.name || 'the fund';
+  const transferorName = getInvestorName(parties.transferor) || transfer.transferorId;
+  const transfereeName = getInvestorName(parties.transferee) || transfer.transfereeId;
+  const isCompleted = transfer.status === 'completed';
+
+  return new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({
+        size: 'LETTER',
+        margins: { top: 50, bottom: 50, left: 50, right: 50 },
+        bufferPages: true,
+        autoFirstPage: true
+      });
+
+      const chunks = [];
+      doc.on('data', (chunk) => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      addTransferHeader(doc, {
+        firmName,
+        title: `INSTRUMENT OF TRANSFER${isCompleted ? '' : ' (DRAFT)'}`,
+        fundName: structure?.name || 'Fund',
+        date: transfer.effectiveDate
+      });
+
+      doc.fontSize(10)
+         .fillColor(COLORS.text)
+         .text(
+           `${transferorName} (the "Transferor") transfers to ${transfereeName} (the "Transferee") the limited partnership interest in ${fundName} described below, with effect from ${formatDate(transfer.effectiveDate)}. The Transferee accepts the interest and agrees to be bound by the partnership agreement of ${fundName} as a limited partner in respect of it.`,
+           50, doc.y + 10, { width: 512 }
+         );
+      doc.moveDown(1);
+
+      addSectionHeader(doc, 'SECTION A: INTEREST TRANSFERRED');
+      addKeyValueRows(doc, [
+        ['Transferor', transferorName],
+        ['Transferee', transfereeName],
+        ['Effective Date', formatDate(transfer.effectiveDate)],
+        ['Commitment Transferred', formatCurrency(transfer.commitmentTransferred, currency)],
+        ['Share of Transferor Interest', balances ? formatPercent(balances.transferFraction * 100) : 'Fixed at completion'],
+        ['Consideration', transfer.price != null ? formatCurrency(transfer.price, currency) : 'As agreed between the parties'],
+        ['Status', STATUS_LABELS[transfer.status] || transfer.status],
+      ]);
+
+      addSectionHeader(doc, `SECTION B: CAPITAL ACCOUNT ${isCompleted ? 'TRANSFERRED' : 'TO BE TRANSFERRED'}`);
+      if (balances) {
+        addKeyValueRows(doc, getBalanceRows(balances, currency));
+      } else {
+        doc.fontSize(10)
+           .fillColor(COLORS.muted)
+           .text('Balances are fixed at the effective date.', 60, doc.y);
+        doc.moveDown(1);
+      }
+
+      if (transfer.tokenTransfer) {
+        addSectionHeader(doc, 'SECTION C: TOKEN TRANSFER');
+        addKeyValueRows(doc, [
+          ['Token Contract', transfer.tokenTransfer.contractAddress || 'N/A'],
+          ['Tokens Transferred', String(transfer.tokenTransfer.amount ?? 0)],
+          ['Transaction', transfer.tokenTransfer.transactionHash || transfer.tokenTransfer.status || 'N/A'],
+        ]);
+      }
+
+      if (structure?.permittedTransfers || structure?.transferRequirements) {
+        if (doc.y > 550) doc.addPage();
+        addSectionHeader(doc, 'TRANSFER PROVISIONS');
+        doc.fontSize(9)
+           .fillColor(COLORS.text)
+           .text(
+             [structure.permittedTransfers, structure.transferRequirements].filter(Boolean).join('\n\n'),
+             60, doc.y, { width: 492 }
+           );
+        doc.moveDown(1);
+      }
+
+      if (doc.y > 560) doc.addPage();
+      addSectionHeader(doc, 'CONSENT AND SIGNATURES');
+      doc.fontSize(9)
+         .fillColor(COLORS.muted)
+         .text(
+           transfer.consentedAt
+             ? `The General Partner consented to this transfer on ${formatDate(transfer.consentedAt)}.`
+             : 'This transfer requires the consent of the General Partner.',
+           60, doc.y, { width: 492 }
+         );
+      doc.moveDown(1);
+      addSignatureBlocks(doc, [
+        ['Transferor', transferorName],
+        ['Transferee', transfereeName],
+        ['General Partner', firmName],
+      ]);
+
+      addTransferFooter(doc, firmName, `Instrument of transfer for ${structure?.name || 'the fund'}.`);
+
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+/**
+ * Generate a party's Transfer Confirmation PDF
+ * Confirms to the transferor or the transferee the completed transfer, the commitment and
+ * capital account balances moved, and its commitment afterwards.
+ * @param {Object} transfer - Completed LpTransfer model
+ * @param {Object} structure - Fund/structure data
+ * @param {Object} investor - The party's investor profile
+ * @param {Object} options - { firmName, role: 'transferor' | 'transferee', counterparty, commitment }
+ * @returns {Promise<Buffer>} PDF buffer
+ */
+async function generateTransferConfirmationPDF(transfer, structure, investor, options = {}) {
+  const { firmName = 'Investment Manager', role, counterparty, commitment } = options;
+  const currency = structure?.baseCurrency || structure?.currency || 'USD';
+  const fundName = structure?.name || 'the fund';
+  const investorName = getInvestorName(investor) || investor?.id;
+  const counterpartyName = getInvestorName(counterparty) || 'the counterparty';
+  const isTransferor = role === 'transferor';
+
+  return new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({
+        size: 'LETTER',
+        margins: { top: 50, bottom: 50, left: 50, right: 50 },
+        bufferPages: true,
+        autoFirstPage: true
+      });
+
+      const chunks = [];
+      doc.on('data', (chunk) => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      addTransferHeader(doc, {
+        firmName,
+        title: 'TRANSFER CONFIRMATION',
+        fundName: structure?.name || 'Fund',
+        date: transfer.effectiveDate,
+        recipientName: investorName
+      });
+
+      doc.fontSize(10)
+         .fillColor(COLORS.text)
+         .text(
+           isTransferor
+             ? `We confirm the transfer of ${formatCurrency(transfer.commitmentTransferred, currency)} of your commitment to ${fundName} to ${counterpartyName}, effective ${formatDate(transfer.effectiveDate)}.`
+             : `We confirm your admission to ${fundName} in respect of ${formatCurrency(transfer.commitmentTransferred, currency)} of commitment acquired from ${counterpartyName}, effective ${formatDate(transfer.effectiveDate)}.`,
+           50, doc.y + 10, { width: 512 }
+         );
+      doc.moveDown(1);
+
+      addSectionHeader(doc, `SECTION A: CAPITAL ACCOUNT ${isTransferor ? 'TRANSFERRED OUT' : 'TRANSFERRED IN'}`);
+      addKeyValueRows(doc, getBalanceRows(transfer.balances || {}, currency));
+
+      addSectionHeader(doc, 'SECTION B: YOUR COMMITMENT AFTER THE TRANSFER');
+      addKeyValueRows(doc, [
+        ['Commitment', formatCurrency(commitment, currency)],
+        ['Completed On', formatDate(transfer.completedAt)],
+      ]);
+
+      if (transfer.tokenTransfer?.status === 'transferred') {
+        doc.fontSize(9)
+           .fillColor(COLORS.muted)
+           .text(
+             `${transfer.tokenTransfer.amount} tokens were transferred on-chain (transaction ${transfer.tokenTransfer.transactionHash}).`,
+             50, doc.y + 10, { width: 512 }
+           );
+      }
+
+      doc.fontSize(9)
+         .fillColor(COLORS.muted)
+         .text(
+           'Capital account balances are transferred pro rata to the commitment transferred, as at the effective date. Ownership percentages are recomputed on total fund commitments.',
+           50, doc.y + 10, { width: 512 }
+         );
+
+      addTransferFooter(doc, firmName, `Transfer confirmation for ${investorName}.`);
+
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+function getBalanceRows(balances, currency) {
+  return [
+    ['Commitment', formatCurrency(balances.commitment, currency)],
+    ['Called Capital', formatCurrency(balances.calledCapital, currency)],
+    ['Paid-In Capital', formatCurrency(balances.paidIn, currency)],
+    ['Unfunded Commitment', formatCurrency(balances.unfunded, currency)],
+    ['Returned Capital', formatCurrency(balances.returnedCapital, currency)],
+    ['Distributions', formatCurrency(balances.distributions, currency)],
+  ];
+}
+
+function addTransferHeader(doc, options) {
+  const { firmName, title, fundName, date, recipientName } = options;
+
+  doc.fontSize(20)
+     .fillColor(COLORS.primary)
+     .text(firmName, 50, 50);
+
+  doc.fontSize(16)
+     .fillColor(COLORS.text)
+     .text(title, 50, 85);
+
+  doc.fontSize(12)
+     .fillColor(COLORS.muted)
+     .text(fundName, 50, 110);
+
+  if (recipientName) {
+    doc.moveDown(0.5);
+    doc.fontSize(11)
+       .fillColor(COLORS.text)
+       .text(`Attention: ${recipientName}`);
+  }
+
+  doc.fontSize(10)
+     .fillColor(COLORS.muted)
+     .text(`Effective Date: ${formatDate(date)}`, 400, 50, { align: 'right' });
+
+  const dividerY = recipientName ? 155 : 140;
+  doc.moveTo(50, dividerY)
+     .lineTo(562, dividerY)
+     .stroke(COLORS.border);
+
+  doc.y = dividerY + 10;
+}
+
+function addSectionHeader(doc, title) {
+  const startY = doc.y + 10;
+
+  doc.rect(50, startY, 512, 25)
+     .fill(COLORS.accent);
+
+  doc.fontSize(12)
+     .fillColor(COLORS.primary)
+     .font('Helvetica-Bold')
+     .text(title, 60, startY + 7);
+
+  doc.y = startY + 35;
+  doc.font('Helvetica');
+}
+
+function addKeyValueRows(doc, rows) {
+  let currentY = doc.y;
+  rows.forEach(([label, value]) => {
+    doc.fontSize(10)
+       .fillColor(COLORS.muted)
+       .text(label, 60, currentY);
+
+    doc.fillColor(COLORS.text)
+       .text(String(value), 250, currentY, { width: 300 });
+
+    currentY += 18;
+  });
+
+  doc.y = currentY + 10;
+}
+
+function addSignatureBlocks(doc, signatories) {
+  let currentY = doc.y + 10;
+  signatories.forEach(([capacity, name]) => {
+    doc.moveTo(60, currentY + 25)
+       .lineTo(300, currentY + 25)
+       .stroke(COLORS.border);
+
+    doc.fontSize(9)
+       .fillColor(COLORS.text)
+       .text(name, 60, currentY + 30);
+
+    doc.fillColor(COLORS.muted)
+       .text(capacity, 60, currentY + 42);
+
+    doc.text('Date: ____________________', 340, currentY + 30);
+
+    currentY += 65;
+  });
+
+  doc.y = currentY;
+}
+
+function addTransferFooter(doc, firmName, note) {
+  const pages = doc.bufferedPageRange();
+
+  for (let i = 0; i < pages.count; i++) {
+    doc.switchToPage(i);
+
+    doc.moveTo(50, 730)
+       .lineTo(562, 730)
+       .stroke(COLORS.border);
+
+    doc.fontSize(8)
+       .fillColor(COLORS.muted)
+       .text(note, 50, 740);
+
+    doc.text(`Generated by ${firmName}`, 50, 752);
+
+    doc.text(
+      `Page ${i + 1} of ${pages.count}`,
+      0, 752, { align: 'center', width: 612 }
+    );
+
+    doc.text(
+      new Date().toLocaleDateString('en-US'),
+      0, 752, { align: 'right', width: 562 }
+    );
+  }
+}
+
+// Utility functions
+function getInvestorName(investor) {
+  if (!investor) return null;
+  return investor.name ||
+    `${investor.firstName || ''} ${investor.lastName || ''}`.trim() ||
+    investor.institutionName ||
+    investor.email ||
+    null;
+}
+
+function formatCurrency(value, currency = 'USD') {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: currency,
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0,
+  }).format(value || 0);
+}
+
+function formatPercent(value) {
+  return `${(parseFloat(value) || 0).toFixed(4)}%`;
+}
+
+function formatDate(dateString) {
+  if (!dateString) return 'N/A';
+  return new Date(dateString).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+  });
+}
+
+module.exports = {
+  generateTransferInstrumentPDF,
+  generateTransferConfirmationPDF
+};
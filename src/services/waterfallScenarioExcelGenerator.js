@@ -0,0 +1,139 @@
+/**
+ * Waterfall Scenario Excel Generator
+ *
+ * Exports modeled waterfall scenarios (see waterfallScenarioService): a comparison sheet and
+ * one sheet per scenario with its distributions and per-investor results.
+ * Falls back to CSV if ExcelJS is not available.
+ */
+
+const HEADER_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFEDE9FE' } };
+
+/**
+ * Excel sheet names: at most 31 characters, no []:*?/\ and unique in the workbook
+ */
+function sheetName(name, index, used) {
+  let base = String(name || `Scenario ${index + 1}`).replace(/[[\]:*?/\\]/g, ' ').trim().slice(0, 31) || `Scenario ${index + 1}`;
+  if (used.has(base.toLowerCase())) {
+    base = `${base.slice(0, 26)} (${index + 1})`;
+  }
+  used.add(base.toLowerCase());
+  return base;
+}
+
+/**
+ * Generate the waterfall scenario comparison Excel
+ */
+async function generateWaterfallScenarioExcel(model, structure, options = {}) {
+  const { firmName = 'Investment Manager' } = options;
+
+  try {
+    const ExcelJS = require('exceljs');
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = firmName;
+    workbook.created = new Date();
+
+    // Comparison Sheet
+    const compareSheet = workbook.addWorksheet('Comparison');
+    compareSheet.columns = [
+      { header: 'Scenario', key: 'name', width: 28 },
+      { header: 'Mode', key: 'mode', width: 12 },
+      { header: 'Proceeds', key: 'amount', width: 18 },
+      { header: 'LP Total', key: 'lpTotal', width: 18 },
+      { header: 'GP Carry', key: 'gpTotal', width: 18 },
+      { header: 'LP Multiple', key: 'lpMultiple', width: 14 },
+      { header: 'LP IRR (%)', key: 'lpIrr', width: 12 },
+      { header: 'LP vs First', key: 'lpTotalDifference', width: 16 },
+      { header: 'GP Carry vs First', key: 'gpTotalDifference', width: 18 },
+    ];
+    compareSheet.getRow(1).font = { bold: true };
+    compareSheet.getRow(1).fill = HEADER_FILL;
+    model.comparison.forEach(row => compareSheet.addRow(row));
+    compareSheet.addRow({});
+    compareSheet.addRow({ name: `Fund: ${structure?.name || 'N/A'}` });
+    compareSheet.addRow({ name: `Modeled: ${model.modeledAt}` });
+
+    // One sheet per scenario
+    const used = new Set(['comparison']);
+    model.scenarios.forEach((scenario, index) => {
+      const sheet = workbook.addWorksheet(sheetName(scenario.name, index, used));
+      sheet.columns = [
+        { key: 'a', width: 28 },
+        { key: 'b', width: 16 },
+        { key: 'c', width: 18 },
+        { key: 'd', width: 18 },
+        { key: 'e', width: 18 },
+        { key: 'f', width: 14 },
+        { key: 'g', width: 12 },
+      ];
+
+      const title = sheet.addRow({ a: scenario.name });
+      title.font = { bold: true, size: 13 };
+      sheet.addRow({ a: 'Mode', b: scenario.mode });
+      sheet.addRow({ a: 'GP Carry (prior distributions)', b: scenario.totals.priorGpTotal });
+      (scenario.warnings || []).forEach(warning => sheet.addRow({ a: `Note: ${warning}` }));
+      sheet.addRow({});
+
+      const distHeader = sheet.addRow({ a: 'Date', b: 'Investment', c: 'Proceeds', d: 'LP Amount', e: 'GP Carry' });
+      distHeader.font = { bold: true };
+      distHeader.fill = HEADER_FILL;
+      scenario.distributions.forEach(d => sheet.addRow({
+        a: d.exit ? `${d.date} (exit)` : d.date,
+        b: d.investmentId || 'Fund',
+        c: d.amount,
+        d: d.lpTotal,
+        e: d.gpTotal
+      }));
+      const distTotal = sheet.addRow({ a: 'TOTAL', c: scenario.totals.amount, d: scenario.totals.lpTotal, e: scenario.totals.gpTotal });
+      distTotal.font = { bold: true };
+      sheet.addRow({});
+
+      const invHeader = sheet.addRow({
+        a: 'Investor', b: 'Ownership %', c: 'Contributed', d: 'Scenario LP Amount', e: 'Total Distributed', f: 'Multiple', g: 'IRR (%)'
+      });
+      invHeader.font = { bold: true };
+      invHeader.fill = HEADER_FILL;
+      scenario.investors.forEach(inv => sheet.addRow({
+        a: inv.investorName || inv.userId,
+        b: parseFloat(inv.ownershipPercent.toFixed(4)),
+        c: inv.contributed,
+        d: inv.lpAmount,
+        e: inv.distributed,
+        f: inv.multiple,
+        g: inv.irr
+      }));
+      const lpTotal = sheet.addRow({
+        a: 'ALL LPs', c: scenario.lp.contributed, d: scenario.totals.lpTotal, e: scenario.lp.distributed, f: scenario.lp.multiple, g: scenario.lp.irr
+      });
+      lpTotal.font = { bold: true };
+    });
+
+    const buffer = await workbook.xlsx.writeBuffer();
+    return Buffer.from(buffer);
+  } catch (error) {
+    console.warn('ExcelJS not available, falling back to CSV:', error.message);
+    return generateWaterfallScenarioCSV(model);
+  }
+}
+
+// CSV fallback
+function generateWaterfallScenarioCSV(model) {
+  const rows = ['Waterfall Scenarios'];
+  rows.push('');
+  rows.push('Scenario,Mode,Proceeds,LP Total,GP Carry,LP Multiple,LP IRR (%)');
+  model.comparison.forEach(c => {
+    rows.push(`"${c.name}",${c.mode},${c.amount},${c.lpTotal},${c.gpTotal},${c.lpMultiple ?? ''},${c.lpIrr ?? ''}`);
+  });
+  model.scenarios.forEach(s => {
+    rows.push('');
+    rows.push(`"${s.name}"`);
+    rows.push('Investor,Ownership %,Contributed,Scenario LP Amount,Total Distributed,Multiple,IRR (%)');
+    s.investors.forEach(inv => {
+      rows.push(`"${inv.investorName || inv.userId}",${inv.ownershipPercent.toFixed(4)},${inv.contributed},${inv.lpAmount},${inv.distributed},${inv.multiple ?? ''},${inv.irr ?? ''}`);
+    });
+  });
+  return Buffer.from(rows.join('\n'), 'utf-8');
+}
+
+module.exports = {
+  generateWaterfallScenarioExcel
+};
@@ -0,0 +1,292 @@
+/**
+ * Waterfall Scenario Service
+ *
+ * Stateless "what if" modeling on a structure's waterfall, for the IR team before a
+ * distribution is approved. A scenario is a set of hypothetical distributions (amount, date,
+ * optional investment) or an exit at a multiple of paid-in capital, optionally with tier
+ * overrides, the waterfall mode or the GP catch-up rate changed. Each scenario runs the
+ * hypothetical distributions in date order through waterfallService.calculateWaterfall on top of
+ * the structure's actual contributions and waterfall distributions, and reports:
+ * - the LP/GP split per distribution and in total (the GP total is the carry the scenario earns)
+ * - each LP's allocations, and the multiple and IRR the LP would reach, counting actual
+ *   contributions and distributions with the scenario's proceeds
+ * Nothing is saved; several scenarios are compared side by side.
+ */
+
+const { getSupabase } = require('../config/database');
+const { loadTierSet, loadWaterfallInputs, calculateWaterfall } = require('./waterfallService');
+const { calculateIRR } = require('./ilpaReportService');
+const { toDateString } = require('../utils/businessDays');
+
+const MAX_SCENARIOS = 10;
+const TIER_OVERRIDE_FIELDS = ['tierName', 'lpSharePercent', 'gpSharePercent', 'thresholdIrr', 'thresholdAmount', 'isActive'];
+
+function roundCents(value) {
+  return Math.round((value || 0) * 100) / 100;
+}
+
+function roundRatio(value) {
+  return Math.round((value || 0) * 10000) / 10000;
+}
+
+/**
+ * Apply tier overrides by tier number; an override for a tier number that does not exist adds
+ * that tier
+ * @param {Array} tiers - WaterfallTier models
+ * @param {Array} overrides - [{ tierNumber, tierName, lpSharePercent, gpSharePercent, thresholdIrr, thresholdAmount, isActive }]
+ * @returns {Array} Tiers to model with (the structure's tiers are not changed)
+ */
+function applyTierOverrides(tiers = [], overrides = []) {
+  const modeled = tiers.map(tier => ({ ...tier }));
+
+  overrides.forEach(override => {
+    const tierNumber = parseInt(override.tierNumber, 10);
+    const changes = {};
+    TIER_OVERRIDE_FIELDS.forEach(field => {
+      if (override[field] !== undefined) changes[field] = override[field];
+    });
+
+    const existing = modeled.find(tier => tier.tierNumber === tierNumber);
+    if (existing) {
+      Object.assign(existing, changes);
+    } else {
+      modeled.push({ id: null, tierNumber, isActive: true, ...changes });
+    }
+  });
+
+  return modeled;
+}
+
+/**
+ * Hypothetical distributions of a scenario, in date order
+ * An exit at a multiple of paid-in capital distributes what brings total distributions to
+ * multiple x paid-in at the exit date
+ */
+function resolveScenarioDistributions(scenario, inputs) {
+  const distributions = (scenario.distributions || []).map(d => ({
+    date: toDateString(d.date),
+    amount: parseFloat(d.amount) || 0,
+    investmentId: d.investmentId || null
+  }));
+
+  if (scenario.exit) {
+    const exitDate = toDateString(scenario.exit.date);
+    const paidIn = inputs.contributions
+      .filter(c => toDateString(c.date) <= exitDate)
+      .reduce((sum, c) => sum + c.amount, 0);
+    const distributed = inputs.distributions
+      .filter(d => d.distributionType !== 'clawback' && toDateString(d.date) <= exitDate)
+      .reduce((sum, d) => sum + d.amount, 0)
+      + distributions.filter(d => d.date <= exitDate).reduce((sum, d) => sum + d.amount, 0);
+
+    distributions.push({
+      date: exitDate,
+      amount: roundCents(Math.max(paidIn * (parseFloat(scenario.exit.multiple) || 0) - distributed, 0)),
+      investmentId: scenario.exit.investmentId || null,
+      exit: true
+    });
+  }
+
+  return distributions.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+}
+
+/**
+ * LP share of an actual waterfall distribution: from its audit, otherwise pro rata to ownership
+ */
+function priorLpAmount(distribution, userId, weight) {
+  const audited = distribution.audit?.investors?.filter(r => r.userId === userId);
+  if (audited && audited.length > 0) {
+    return audited.reduce((sum, r) => sum + (parseFloat(r.lpAmount) || 0), 0);
+  }
+  return (distribution.amount - distribution.gpAmount) * weight;
+}
+
+/**
+ * Multiple and IRR from an LP's cash flows (contributions negative)
+ */
+function performance(flows) {
+  const contributed = -flows.filter(f => f.amount < 0).reduce((sum, f) => sum + f.amount, 0);
+  const distributed = flows.filter(f => f.amount > 0).reduce((sum, f) => sum + f.amount, 0);
+
+  if (contributed <= 0) {
+    return { contributed: 0, distributed: roundCents(distributed), multiple: null, irr: null };
+  }
+
+  return {
+    contributed: roundCents(contributed),
+    distributed: roundCents(distributed),
+    multiple: roundRatio(distributed / contributed),
+    irr: distributed > 0 ? parseFloat(calculateIRR(flows).toFixed(2)) : null
+  };
+}
+
+/**
+ * Run one scenario on loaded waterfall inputs
+ * @param {Object} scenario - { name, mode, gpCatchUpRate, tierOverrides, distributions, exit }
+ * @param {Object} inputs - See waterfallService.loadWaterfallInputs
+ * @param {Object} structure - Structure model (waterfallType, gpCatchUpRate)
+ * @returns {Object} { name, mode, totals, distributions, investors, lp, warnings }
+ */
+function runScenario(scenario, inputs, structure = {}) {
+  const tiers = applyTierOverrides(inputs.tiers, scenario.tierOverrides);
+  const mode = scenario.mode || structure.waterfallType || 'American';
+  const gpCatchUpRate = scenario.gpCatchUpRate !== undefined ? scenario.gpCatchUpRate : structure.gpCatchUpRate;
+  const actual = inputs.distributions.filter(d => d.distributionType !== 'clawback');
+  const hypothetical = resolveScenarioDistributions(scenario, inputs);
+
+  const modeled = [];
+  const results = hypothetical.map((d, index) => {
+    const waterfall = calculateWaterfall({
+      tiers,
+      mode,
+      gpCatchUpRate,
+      investors: inputs.investors,
+      contributions: inputs.contributions,
+      priorDistributions: [...actual, ...modeled],
+      distribution: { id: `scenario-${index + 1}`, investmentId: d.investmentId, date: d.date, amount: d.amount }
+    });
+    modeled.push({ id: `scenario-${index + 1}`, investmentId: d.investmentId, date: d.date, amount: d.amount });
+    return { ...d, waterfall };
+  });
+
+  const lastDate = hypothetical.length > 0 ? hypothetical[hypothetical.length - 1].date : toDateString(new Date());
+  const totalOwnership = inputs.investors.reduce((sum, inv) => sum + inv.ownershipPercent, 0);
+  const fundFlows = [];
+
+  const investors = inputs.investors
+    .filter(inv => totalOwnership > 0 && inv.ownershipPercent > 0)
+    .map(inv => {
+      const weight = inv.ownershipPercent / totalOwnership;
+      const scenarioResults = results.flatMap(r => r.waterfall.investors.filter(i => i.userId === inv.userId));
+      const flows = [
+        ...inputs.contributions
+          .filter(c => c.userId === inv.userId && toDateString(c.date) <= lastDate && c.amount > 0)
+          .map(c => ({ date: toDateString(c.date), amount: -c.amount })),
+        ...actual
+          .filter(d => toDateString(d.date) <= lastDate)
+          .map(d => ({ date: toDateString(d.date), amount: priorLpAmount(d, inv.userId, weight) })),
+        ...results.map(r => ({
+          date: r.date,
+          amount: r.waterfall.investors.filter(i => i.userId === inv.userId).reduce((sum, i) => sum + i.lpAmount, 0)
+        }))
+      ].filter(f => f.amount !== 0);
+      fundFlows.push(...flows);
+
+      return {
+        userId: inv.userId,
+        ownershipPercent: weight * 100,
+        grossAmount: roundCents(scenarioResults.reduce((sum, i) => sum + i.grossAmount, 0)),
+        lpAmount: roundCents(scenarioResults.reduce((sum, i) => sum + i.lpAmount, 0)),
+        gpAmount: roundCents(scenarioResults.reduce((sum, i) => sum + i.gpAmount, 0)),
+        ...performance(flows)
+      };
+    });
+
+  const lpTotal = roundCents(results.reduce((sum, r) => sum + r.waterfall.lpTotal, 0));
+  const gpTotal = roundCents(results.reduce((sum, r) => sum + r.waterfall.gpTotal, 0));
+
+  return {
+    name: scenario.name,
+    mode: results[0]?.waterfall.mode || mode,
+    tierOverrides: scenario.tierOverrides || [],
+    totals: {
+      amount: roundCents(hypothetical.reduce((sum, d) => sum + d.amount, 0)),
+      lpTotal,
+      gpTotal,
+      priorGpTotal: roundCents(actual.reduce((sum, d) => sum + d.gpAmount, 0))
+    },
+    distributions: results.map(r => ({
+      date: r.date,
+      amount: r.amount,
+      investmentId: r.investmentId,
+      exit: r.exit || false,
+      lpTotal: r.waterfall.lpTotal,
+      gpTotal: r.waterfall.gpTotal,
+      tiers: r.waterfall.tiers
+    })),
+    investors,
+    lp: performance(fundFlows),
+    warnings: [...new Set(results.flatMap(r => r.waterfall.warnings))]
+  };
+}
+
+/**
+ * Side-by-side comparison of scenario results, with differences from the first scenario
+ * @param {Array} results - runScenario results
+ * @returns {Array} [{ name, amount, lpTotal, gpTotal, lpMultiple, lpIrr, gpTotalDifference, lpTotalDifference }]
+ */
+function compareScenarios(results = []) {
+  const baseline = results[0];
+  return results.map(r => ({
+    name: r.name,
+    mode: r.mode,
+    amount: r.totals.amount,
+    lpTotal: r.totals.lpTotal,
+    gpTotal: r.totals.gpTotal,
+    lpMultiple: r.lp.multiple,
+    lpIrr: r.lp.irr,
+    lpTotalDifference: roundCents(r.totals.lpTotal - baseline.totals.lpTotal),
+    gpTotalDifference: roundCents(r.totals.gpTotal - baseline.totals.gpTotal)
+  }));
+}
+
+/**
+ * Load investor names for the scenario reports
+ */
+async function loadInvestorNames(userIds) {
+  if (userIds.length === 0) return new Map();
+  const supabase = getSupabase();
+
+  const { data, error } = await supabase
+    .from('users')
+    .select('id, first_name, last_name, institution_name, email')
+    .in('id', userIds);
+
+  if (error) {
+    throw new Error(`Error fetching investor names: ${error.message}`);
+  }
+
+  return new Map((data || []).map(u => [
+    u.id,
+    `${u.first_name || ''} ${u.last_name || ''}`.trim() || u.institution_name || u.email || u.id
+  ]));
+}
+
+/**
+ * Model scenarios on a structure's waterfall
+ * @param {Object} structure - Structure model
+ * @param {Array} scenarios - Scenario definitions (see runScenario)
+ * @returns {Object} { structureId, modeledAt, tierSet, scenarios, comparison }
+ */
+async function modelScenarios(structure, scenarios) {
+  // Scenarios start from the tier set version in effect today
+  const { tiers, tierSet } = await loadTierSet(structure);
+  const inputs = await loadWaterfallInputs(structure, { tiers });
+  const results = scenarios.map((scenario, index) => runScenario(
+    { ...scenario, name: scenario.name || `Scenario ${index + 1}` },
+    inputs,
+    structure
+  ));
+
+  const names = await loadInvestorNames(inputs.investors.map(inv => inv.userId));
+  results.forEach(r => r.investors.forEach(inv => {
+    inv.investorName = names.get(inv.userId) || inv.userId;
+  }));
+
+  return {
+    structureId: structure.id,
+    modeledAt: new Date().toISOString(),
+    tierSet: tierSet ? { id: tierSet.id, versionNumber: tierSet.versionNumber, effectiveDate: tierSet.effectiveDate } : null,
+    scenarios: results,
+    comparison: compareScenarios(results)
+  };
+}
+
+module.exports = {
+  MAX_SCENARIOS,
+  applyTierOverrides,
+  resolveScenarioDistributions,
+  runScenario,
+  compareScenarios,
+  modelScenarios
+};
@@ -0,0 +1,786 @@
+/**
+ * Waterfall Service
+ *
+ * Distribution waterfall driven by the structure's WaterfallTier records (replaces the
+ * apply_waterfall_distribution / calculate_waterfall_allocations RPCs). Each tier is one of:
+ * - return of capital: LPs receive their unreturned contributions
+ * - preferred return: LPs receive the hurdle (thresholdIrr) accrued on unreturned capital
+ *   under the tier's accrual convention (simple, or compounded annually or quarterly, on an
+ *   ACT/365 or 30/360 day count; compounded annually on ACT/365 by default)
+ * - GP catch-up: the GP receives gpCatchUpRate% of the tier until it holds its carry share
+ *   of all profits paid so far
+ * - carried interest: LP/GP split at the tier's percentages (capped at thresholdAmount if set)
+ *
+ * Every LP runs through the tiers on its own contributions and its ownership share of each
+ * distribution. European (whole-fund) mode keeps one ledger per LP; American (deal-by-deal)
+ * mode keeps one ledger per LP and investment, attributing capital calls and distributions by
+ * investment_id and spreading unattributed flows (fees, expenses) over the LP's investments
+ * pro rata to the capital attributed to each. Earlier distributions with the waterfall applied
+ * are replayed in date order, so only the current distribution is reported, with a
+ * step-by-step audit of every tier for every LP.
+ *
+ * Tiers come from the structure's versioned tier set in effect on the distribution date (or
+ * the version a distribution is pinned to); structures without versions use their live tiers.
+ */
+
+const { getSupabase } = require('../config/database');
+const WaterfallTier = require('../models/supabase/waterfallTier');
+const WaterfallTierSet = require('../models/supabase/waterfallTierSet');
+const { toDateString } = require('../utils/businessDays');
+const { yearFraction, accruePref, prefConvention } = require('../utils/prefAccrual');
+
+const WATERFALL_MODES = ['European', 'American'];
+const TIER_TYPES = ['return_of_capital', 'preferred_return', 'catch_up', 'carried_interest'];
+const DEFAULT_TIER_LAYOUT = ['return_of_capital', 'preferred_return', 'catch_up', 'carried_interest'];
+const CLOSED_CALL_STATUSES = ['Draft', 'Cancelled'];
+const EPSILON = 0.000001;
+
+function roundCents(value) {
+  return Math.round((value || 0) * 100) / 100;
+}
+
+/**
+ * Work out what a tier does from its record
+ * A thresholdIrr marks a preferred return; otherwise the tier name decides, falling back to
+ * the default layout (1 capital, 2 preferred return, 3 catch-up, 4 carried interest)
+ */
+function classifyTier(tier) {
+  if (parseFloat(tier.thresholdIrr) > 0) return 'preferred_return';
+
+  const name = (tier.tierName || '').toLowerCase();
+  if (name.includes('catch')) return 'catch_up';
+  if (name.includes('carr') || name.includes('split') || name.includes('promote')) return 'carried_interest';
+  if (name.includes('capital')) return 'return_of_capital';
+  if (name.includes('pref') || name.includes('hurdle')) return 'preferred_return';
+
+  return DEFAULT_TIER_LAYOUT[tier.tierNumber - 1] || 'carried_interest';
+}
+
+/**
+ * Order active tiers and derive the rates the engine needs
+ * @param {Array} tiers - WaterfallTier models
+ * @param {number|null} gpCatchUpRate - Structure's GP share of the catch-up tier in percent
+ * @returns {Object} { tiers, prefRate, prefConvention, carryRate, catchUpGpShare }
+ */
+function prepareTiers(tiers, gpCatchUpRate = null) {
+  const prepared = (tiers || [])
+    .filter(tier => tier.isActive !== false)
+    .sort((a, b) => a.tierNumber - b.tierNumber)
+    .map(tier => ({
+      id: tier.id,
+      tierNumber: tier.tierNumber,
+      tierName: tier.tierName,
+      tierType: classifyTier(tier),
+      lpShare: (parseFloat(tier.lpSharePercent) || 0) / 100,
+      gpShare: (parseFloat(tier.gpSharePercent) || 0) / 100,
+      thresholdAmount: tier.thresholdAmount != null ? parseFloat(tier.thresholdAmount) : null,
+      thresholdIrr: tier.thresholdIrr != null ? parseFloat(tier.thresholdIrr) : null,
+      prefCompounding: tier.prefCompounding || null,
+      prefDayCount: tier.prefDayCount || null
+    }));
+
+  const prefTier = prepared.find(tier => tier.tierType === 'preferred_return');
+  const carryTier = prepared.find(tier => tier.tierType === 'carried_interest');
+  const catchUpTier = prepared.find(tier => tier.tierType === 'catch_up');
+  const catchUpRate = gpCatchUpRate != null && !isNaN(parseFloat(gpCatchUpRate))
+    ? parseFloat(gpCatchUpRate) / 100
+    : catchUpTier?.gpShare;
+
+  return {
+    tiers: prepared,
+    prefRate: (prefTier?.thresholdIrr || 0) / 100,
+    prefConvention: prefConvention(prefTier),
+    carryRate: carryTier?.gpShare || 0,
+    catchUpGpShare: catchUpRate || 0
+  };
+}
+
+function createLedger(userId, investmentId, weight) {
+  return {
+    userId,
+    investmentId,
+    weight,
+    lastDate: null,
+    contributed: 0,
+    capital: 0,
+    pref: 0,
+    prefAccrued: 0,
+    capitalReturned: 0,
+    prefPaid: 0,
+    catchUpPaid: 0,
+    lpDistributed: 0,
+    gpDistributed: 0,
+    tierTotals: {}
+  };
+}
+
+/**
+ * Accrue the preferred return up to a date on unreturned capital (plus unpaid pref when it
+ * compounds) under the pref tier's accrual convention
+ * @returns {number} Pref accrued since the ledger's last date
+ */
+function accrue(ledger, date, config) {
+  let accrued = 0;
+  if (ledger.lastDate && config.prefRate > 0 && date > ledger.lastDate) {
+    const { compounding, dayCount } = config.prefConvention;
+    accrued = accruePref(ledger.capital, ledger.pref, config.prefRate, yearFraction(ledger.lastDate, date, dayCount), compounding);
+    ledger.pref += accrued;
+    ledger.prefAccrued += accrued;
+  }
+  if (!ledger.lastDate || date > ledger.lastDate) {
+    ledger.lastDate = date;
+  }
+  return accrued;
+}
+
+/**
+ * Amount a tier must take so the LP's share covers what the LP is owed
+ */
+function grossUp(owed, lpShare) {
+  return lpShare > 0 ? owed / lpShare : 0;
+}
+
+/**
+ * Run one distribution through the tiers of a ledger
+ * @returns {Array} Audit steps, one per tier (plus a residual step if no tier took the rest)
+ */
+function runTiers(ledger, amount, config) {
+  const steps = [];
+  let remaining = amount;
+
+  for (const tier of config.tiers) {
+    let tierAmount = 0;
+    let lpShare = tier.lpShare;
+    let gpShare = tier.gpShare;
+    const basis = {};
+
+    if (remaining > EPSILON) {
+      switch (tier.tierType) {
+        case 'return_of_capital': {
+          basis.unreturnedCapitalBefore = roundCents(ledger.capital);
+          tierAmount = Math.min(remaining, grossUp(ledger.capital, lpShare));
+          ledger.capital = Math.max(0, ledger.capital - tierAmount * lpShare);
+          ledger.capitalReturned += tierAmount * lpShare;
+          basis.unreturnedCapitalAfter = roundCents(ledger.capital);
+          break;
+        }
+        case 'preferred_return': {
+          basis.prefRatePercent = config.prefRate * 100;
+          basis.prefCompounding = config.prefConvention.compounding;
+          basis.prefDayCount = config.prefConvention.dayCount;
+          basis.accruedBefore = roundCents(ledger.pref);
+          tierAmount = Math.min(remaining, grossUp(ledger.pref, lpShare));
+          ledger.pref = Math.max(0, ledger.pref - tierAmount * lpShare);
+          ledger.prefPaid += tierAmount * lpShare;
+          basis.accruedAfter = roundCents(ledger.pref);
+          break;
+        }
+        case 'catch_up': {
+          // GP takes g of the tier until it holds c of pref + catch-up: X = c * pref / (g - c)
+          gpShare = config.catchUpGpShare;
+          lpShare = 1 - gpShare;
+          const carry = config.carryRate;
+          const target = gpShare > carry && carry > 0 ? (carry * ledger.prefPaid) / (gpShare - carry) : 0;
+          basis.gpCatchUpRatePercent = gpShare * 100;
+          basis.carryPercent = carry * 100;
+          basis.targetTotal = roundCents(target);
+          basis.paidBefore = roundCents(ledger.catchUpPaid);
+          tierAmount = Math.min(remaining, Math.max(0, target - ledger.catchUpPaid));
+          ledger.catchUpPaid += tierAmount;
+          break;
+        }
+        default: {
+          const cap = tier.thresholdAmount != null ? tier.thresholdAmount * ledger.weight : Infinity;
+          const usedBefore = ledger.tierTotals[tier.tierNumber] || 0;
+          if (cap !== Infinity) {
+            basis.cap = roundCents(cap);
+            basis.usedBefore = roundCents(usedBefore);
+          }
+          tierAmount = Math.min(remaining, Math.max(0, cap - usedBefore));
+        }
+      }
+    }
+
+    ledger.tierTotals[tier.tierNumber] = (ledger.tierTotals[tier.tierNumber] || 0) + tierAmount;
+    remaining -= tierAmount;
+
+    steps.push({
+      tierNumber: tier.tierNumber,
+      tierName: tier.tierName,
+      tierType: tier.tierType,
+      available: remaining + tierAmount,
+      amount: tierAmount,
+      lpAmount: tierAmount * lpShare,
+      gpAmount: tierAmount * gpShare,
+      lpSharePercent: lpShare * 100,
+      gpSharePercent: gpShare * 100,
+      basis
+    });
+  }
+
+  // Nothing left in the tier set to absorb the rest (e.g. capped final tier): it stays with the LP
+  if (remaining > EPSILON) {
+    steps.push({
+      tierNumber: null,
+      tierName: 'Residual',
+      tierType: 'residual',
+      available: remaining,
+      amount: remaining,
+      lpAmount: remaining,
+      gpAmount: 0,
+      lpSharePercent: 100,
+      gpSharePercent: 0,
+      basis: {}
+    });
+  }
+
+  steps.forEach(step => {
+    ledger.lpDistributed += step.lpAmount;
+    ledger.gpDistributed += step.gpAmount;
+  });
+
+  return steps;
+}
+
+/**
+ * Replay contributions and distributions on a ledger in date order
+ * Contributions on the same day as a distribution are funded first
+ * @param {Function} onEvent - Optional, called after each event with (event, accrued, before)
+ *   where before holds the ledger's capitalReturned and prefPaid ahead of the event
+ */
+function replay(ledger, events, config, onEvent = null) {
+  const sorted = [...events].sort((a, b) => {
+    if (a.date !== b.date) return a.date < b.date ? -1 : 1;
+    return a.type === b.type ? 0 : (a.type === 'contribution' ? -1 : 1);
+  });
+
+  for (const event of sorted) {
+    const accrued = accrue(ledger, event.date, config);
+    const before = { capitalReturned: ledger.capitalReturned, prefPaid: ledger.prefPaid };
+    if (event.type === 'contribution') {
+      ledger.capital += event.amount;
+      ledger.contributed += event.amount;
+    } else {
+      runTiers(ledger, event.amount, config);
+    }
+    if (onEvent) onEvent(event, accrued, before);
+  }
+}
+
+/**
+ * Split an LP's unattributed flow over its investments pro rata to attributed capital
+ */
+function spreadOverInvestments(amount, attributed, investmentId) {
+  const total = Object.values(attributed).reduce((sum, value) => sum + value, 0);
+  if (total <= 0) return 0;
+  return amount * ((attributed[investmentId] || 0) / total);
+}
+
+function roundStep(step) {
+  return {
+    ...step,
+    available: roundCents(step.available),
+    amount: roundCents(step.amount),
+    lpAmount: roundCents(step.lpAmount),
+    gpAmount: roundCents(step.gpAmount)
+  };
+}
+
+/**
+ * Calculate the waterfall for one distribution
+ * @param {Object} params
+ * @param {Array} params.tiers - WaterfallTier models
+ * @param {string} params.mode - 'European' (whole fund) or 'American' (deal by deal)
+ * @param {number} params.gpCatchUpRate - GP share of the catch-up tier in percent (structure setting)
+ * @param {Array} params.investors - [{ userId, ownershipPercent }]
+ * @param {Array} params.contributions - [{ userId, investmentId, date, amount }] capital funded by each LP
+ * @param {Array} params.priorDistributions - [{ id, investmentId, date, amount }] gross amounts already distributed
+ * @param {Object} params.distribution - { id, investmentId, date, amount } distribution to calculate
+ * @returns {Object} Tier totals, LP/GP split, per-LP audit and per-investment attribution
+ */
+function calculateWaterfall({
+  tiers,
+  mode = 'European',
+  gpCatchUpRate = null,
+  investors = [],
+  contributions = [],
+  priorDistributions = [],
+  distribution
+}) {
+  const config = prepareTiers(tiers, gpCatchUpRate);
+  const distributionDate = toDateString(distribution.date);
+  const amount = parseFloat(distribution.amount) || 0;
+  const warnings = [];
+
+  let dealByDeal = mode === 'American';
+  if (dealByDeal && !distribution.investmentId) {
+    warnings.push('Distribution is not linked to an investment; calculated on the whole fund');
+    dealByDeal = false;
+  }
+  const investmentId = distribution.investmentId || null;
+
+  const totalOwnership = investors.reduce((sum, inv) => sum + (parseFloat(inv.ownershipPercent) || 0), 0);
+  if (totalOwnership <= 0) {
+    warnings.push('No investor ownership found; nothing allocated to LPs');
+  }
+
+  const flows = contributions
+    .filter(c => toDateString(c.date) <= distributionDate && (parseFloat(c.amount) || 0) > 0)
+    .map(c => ({ ...c, date: toDateString(c.date), amount: parseFloat(c.amount) || 0 }));
+  const priors = priorDistributions
+    .filter(d => d.id !== distribution.id && toDateString(d.date) <= distributionDate)
+    .map(d => ({ ...d, date: toDateString(d.date), amount: parseFloat(d.amount) || 0 }));
+
+  const results = investors
+    .filter(inv => totalOwnership > 0 && (parseFloat(inv.ownershipPercent) || 0) > 0)
+    .map(inv => {
+      const weight = (parseFloat(inv.ownershipPercent) || 0) / totalOwnership;
+      const ownFlows = flows.filter(c => c.userId === inv.userId);
+      const ledger = createLedger(inv.userId, dealByDeal ? investmentId : null, weight);
+      const events = [];
+
+      if (dealByDeal) {
+        // Capital attributed to each investment decides how unattributed flows are shared
+        const attributed = {};
+        ownFlows.filter(c => c.investmentId).forEach(c => {
+          attributed[c.investmentId] = (attributed[c.investmentId] || 0) + c.amount;
+        });
+
+        ownFlows.forEach(c => {
+          const share = c.investmentId
+            ? (c.investmentId === investmentId ? c.amount : 0)
+            : spreadOverInvestments(c.amount, attributed, investmentId);
+          if (share > 0) events.push({ type: 'contribution', date: c.date, amount: share });
+        });
+        priors.forEach(d => {
+          const gross = d.amount * weight;
+          const share = d.investmentId
+            ? (d.investmentId === investmentId ? gross : 0)
+            : spreadOverInvestments(gross, attributed, investmentId);
+          if (share > 0) events.push({ type: 'distribution', date: d.date, amount: share });
+        });
+      } else {
+        ownFlows.forEach(c => events.push({ type: 'contribution', date: c.date, amount: c.amount }));
+        priors.forEach(d => events.push({ type: 'distribution', date: d.date, amount: d.amount * weight }));
+      }
+
+      replay(ledger, events, config);
+
+      // The distribution being calculated
+      accrue(ledger, distributionDate, config);
+      const before = { lp: ledger.lpDistributed, gp: ledger.gpDistributed };
+      const share = amount * weight;
+      const steps = runTiers(ledger, share, config).map(roundStep);
+
+      return {
+        userId: inv.userId,
+        investmentId: ledger.investmentId,
+        ownershipPercent: weight * 100,
+        grossAmount: roundCents(share),
+        lpAmount: roundCents(ledger.lpDistributed - before.lp),
+        gpAmount: roundCents(ledger.gpDistributed - before.gp),
+        ledger: {
+          contributed: roundCents(ledger.contributed),
+          capitalReturned: roundCents(ledger.capitalReturned),
+          unreturnedCapital: roundCents(ledger.capital),
+          prefPaid: roundCents(ledger.prefPaid),
+          prefAccruedUnpaid: roundCents(ledger.pref),
+          catchUpPaid: roundCents(ledger.catchUpPaid)
+        },
+        steps
+      };
+    });
+
+  const tierTotals = config.tiers.map(tier => {
+    const tierSteps = results.flatMap(r => r.steps.filter(s => s.tierNumber === tier.tierNumber));
+    return {
+      tierNumber: tier.tierNumber,
+      tierName: tier.tierName,
+      tierType: tier.tierType,
+      amount: roundCents(tierSteps.reduce((sum, s) => sum + s.amount, 0)),
+      lpAmount: roundCents(tierSteps.reduce((sum, s) => sum + s.lpAmount, 0)),
+      gpAmount: roundCents(tierSteps.reduce((sum, s) => sum + s.gpAmount, 0))
+    };
+  });
+
+  const lpTotal = roundCents(results.reduce((sum, r) => sum + r.lpAmount, 0));
+  const allocated = roundCents(results.reduce((sum, r) => sum + r.grossAmount, 0));
+  const gpTotal = roundCents(allocated - lpTotal);
+
+  return {
+    distributionId: distribution.id || null,
+    mode: dealByDeal ? 'American' : 'European',
+    investmentId,
+    distributionDate,
+    totalAmount: roundCents(amount),
+    lpTotal,
+    gpTotal,
+    prefRatePercent: config.prefRate * 100,
+    prefCompounding: config.prefConvention.compounding,
+    prefDayCount: config.prefConvention.dayCount,
+    carryPercent: config.carryRate * 100,
+    gpCatchUpRatePercent: config.catchUpGpShare * 100,
+    tiers: tierTotals,
+    investors: results,
+    investments: [{
+      investmentId,
+      amount: roundCents(amount),
+      lpAmount: lpTotal,
+      gpAmount: gpTotal,
+      contributed: roundCents(results.reduce((sum, r) => sum + r.ledger.contributed, 0))
+    }],
+    warnings
+  };
+}
+
+/**
+ * Whole-fund (European) carry on every distribution up to a date
+ * Replays all contributions and distributions on one ledger per LP, so the result is the carry
+ * the GP would have earned had the fund never paid carry deal by deal
+ * @param {Object} params
+ * @param {Array} params.tiers - WaterfallTier models
+ * @param {number} params.gpCatchUpRate - GP share of the catch-up tier in percent
+ * @param {Array} params.investors - [{ userId, ownershipPercent }]
+ * @param {Array} params.contributions - [{ userId, investmentId, date, amount }]
+ * @param {Array} params.distributions - [{ id, date, amount }] gross amounts distributed
+ * @param {string|Date} params.asOfDate - Last date included (defaults to today)
+ * @returns {Object} { asOfDate, totalDistributed, lpTotal, gpCarry, investors[] }
+ */
+function calculateWholeFundCarry({
+  tiers,
+  gpCatchUpRate = null,
+  investors = [],
+  contributions = [],
+  distributions = [],
+  asOfDate = new Date()
+}) {
+  const config = prepareTiers(tiers, gpCatchUpRate);
+  const date = toDateString(asOfDate);
+  const totalOwnership = investors.reduce((sum, inv) => sum + (parseFloat(inv.ownershipPercent) || 0), 0);
+
+  const flows = contributions
+    .filter(c => toDateString(c.date) <= date && (parseFloat(c.amount) || 0) > 0)
+    .map(c => ({ userId: c.userId, date: toDateString(c.date), amount: parseFloat(c.amount) || 0 }));
+  const paid = distributions
+    .filter(d => toDateString(d.date) <= date)
+    .map(d => ({ date: toDateString(d.date), amount: parseFloat(d.amount) || 0 }));
+
+  const results = investors
+    .filter(inv => totalOwnership > 0 && (parseFloat(inv.ownershipPercent) || 0) > 0)
+    .map(inv => {
+      const weight = (parseFloat(inv.ownershipPercent) || 0) / totalOwnership;
+      const ledger = createLedger(inv.userId, null, weight);
+      const events = [
+        ...flows.filter(c => c.userId === inv.userId).map(c => ({ type: 'contribution', date: c.date, amount: c.amount })),
+        ...paid.map(d => ({ type: 'distribution', date: d.date, amount: d.amount * weight }))
+      ];
+
+      replay(ledger, events, config);
+
+      return {
+        userId: inv.userId,
+        ownershipPercent: weight * 100,
+        contributed: roundCents(ledger.contributed),
+        lpAmount: roundCents(ledger.lpDistributed),
+        gpAmount: roundCents(ledger.gpDistributed)
+      };
+    });
+
+  return {
+    asOfDate: date,
+    totalDistributed: roundCents(paid.reduce((sum, d) => sum + d.amount, 0)),
+    lpTotal: roundCents(results.reduce((sum, r) => sum + r.lpAmount, 0)),
+    gpCarry: roundCents(results.reduce((sum, r) => sum + r.gpAmount, 0)),
+    investors: results
+  };
+}
+
+/**
+ * Preferred return balance statement per LP at a date
+ * Replays each LP's contributions and its share of every distribution on a whole-fund ledger,
+ * accruing the pref between consecutive dates under the pref tier's accrual convention, and
+ * lists the pref accrued and paid at each event with the running balances
+ * @param {Object} params
+ * @param {Array} params.tiers - WaterfallTier models
+ * @param {number} params.gpCatchUpRate - GP share of the catch-up tier in percent
+ * @param {Array} params.investors - [{ userId, ownershipPercent }]
+ * @param {Array} params.contributions - [{ userId, investmentId, date, amount }]
+ * @param {Array} params.distributions - [{ id, date, amount }] gross amounts distributed
+ * @param {string|Date} params.asOfDate - Statement date (defaults to today)
+ * @returns {Object} { asOfDate, prefRatePercent, prefCompounding, prefDayCount, totals, investors[{ ..., lines[] }] }
+ */
+function calculatePrefStatement({
+  tiers,
+  gpCatchUpRate = null,
+  investors = [],
+  contributions = [],
+  distributions = [],
+  asOfDate = new Date()
+}) {
+  const config = prepareTiers(tiers, gpCatchUpRate);
+  const date = toDateString(asOfDate);
+  const totalOwnership = investors.reduce((sum, inv) => sum + (parseFloat(inv.ownershipPercent) || 0), 0);
+
+  const flows = contributions
+    .filter(c => toDateString(c.date) <= date && (parseFloat(c.amount) || 0) > 0)
+    .map(c => ({ userId: c.userId, date: toDateString(c.date), amount: parseFloat(c.amount) || 0 }));
+  const paid = distributions
+    .filter(d => toDateString(d.date) <= date)
+    .map(d => ({ id: d.id, date: toDateString(d.date), amount: parseFloat(d.amount) || 0 }));
+
+  const results = investors
+    .filter(inv => totalOwnership > 0 && (parseFloat(inv.ownershipPercent) || 0) > 0)
+    .map(inv => {
+      const weight = (parseFloat(inv.ownershipPercent) || 0) / totalOwnership;
+      const ledger = createLedger(inv.userId, null, weight);
+      const events = [
+        ...flows.filter(c => c.userId === inv.userId).map(c => ({ type: 'contribution', date: c.date, amount: c.amount })),
+        ...paid.map(d => ({ type: 'distribution', distributionId: d.id, date: d.date, amount: d.amount * weight }))
+      ];
+      const lines = [];
+      const addLine = (line, accrued, before) => lines.push({
+        ...line,
+        amount: roundCents(line.amount),
+        prefAccrued: roundCents(accrued),
+        prefPaid: roundCents(ledger.prefPaid - before.prefPaid),
+        capitalReturned: roundCents(ledger.capitalReturned - before.capitalReturned),
+        unreturnedCapital: roundCents(ledger.capital),
+        prefBalance: roundCents(ledger.pref)
+      });
+
+      replay(ledger, events, config, (event, accrued, before) => addLine(
+        { date: event.date, type: event.type, distributionId: event.distributionId || null, amount: event.amount },
+        accrued,
+        before
+      ));
+
+      // Accrue from the last event to the statement date
+      const accrued = accrue(ledger, date, config);
+      if (accrued > 0) {
+        addLine(
+          { date, type: 'accrual', distributionId: null, amount: 0 },
+          accrued,
+          { capitalReturned: ledger.capitalReturned, prefPaid: ledger.prefPaid }
+        );
+      }
+
+      return {
+        userId: inv.userId,
+        ownershipPercent: weight * 100,
+        contributed: roundCents(ledger.contributed),
+        capitalReturned: roundCents(ledger.capitalReturned),
+        unreturnedCapital: roundCents(ledger.capital),
+        prefAccrued: roundCents(ledger.prefAccrued),
+        prefPaid: roundCents(ledger.prefPaid),
+        prefBalance: roundCents(ledger.pref),
+        lines
+      };
+    });
+
+  return {
+    asOfDate: date,
+    prefRatePercent: config.prefRate * 100,
+    prefCompounding: config.prefConvention.compounding,
+    prefDayCount: config.prefConvention.dayCount,
+    totals: prefStatementTotals(results),
+    investors: results
+  };
+}
+
+function prefStatementTotals(investors) {
+  const total = field => roundCents(investors.reduce((sum, inv) => sum + inv[field], 0));
+  return {
+    contributed: total('contributed'),
+    unreturnedCapital: total('unreturnedCapital'),
+    prefAccrued: total('prefAccrued'),
+    prefPaid: total('prefPaid'),
+    prefBalance: total('prefBalance')
+  };
+}
+
+/**
+ * Load the tiers the waterfall runs on: the pinned tier set when given, otherwise the version
+ * in effect on the date, falling back to the structure's live active tiers when it has none
+ * @param {Object} structure - Structure model
+ * @param {Object} options - { date, tierSetId }
+ * @returns {Object} { tiers, tierSet } (tierSet is null for live tiers)
+ */
+async function loadTierSet(structure, options = {}) {
+  const tierSet = options.tierSetId
+    ? await WaterfallTierSet.findById(options.tierSetId)
+    : await WaterfallTierSet.findEffective(structure.id, options.date || new Date());
+
+  if (tierSet) {
+    return { tiers: tierSet.tiers, tierSet };
+  }
+
+  return { tiers: await WaterfallTier.findActiveByStructureId(structure.id), tierSet: null };
+}
+
+/**
+ * Load what the waterfall runs on for a structure: active tiers, ownership, funded
+ * contributions and the distributions the waterfall has been applied to
+ * @param {Object} structure - Structure model
+ * @param {Object} options - { tiers } to override the structure's active tiers
+ * @returns {Object} { tiers, investors, contributions, distributions }
+ */
+async function loadWaterfallInputs(structure, options = {}) {
+  const supabase = getSupabase();
+  const tiers = options.tiers || await WaterfallTier.findActiveByStructureId(structure.id);
+
+  const { data: investors, error: invError } = await supabase
+    .from('structure_investors')
+    .select('user_id, ownership_percent')
+    .eq('structure_id', structure.id);
+
+  if (invError) {
+    throw new Error(`Error fetching structure investors: ${invError.message}`);
+  }
+
+  const { data: calls, error: callsError } = await supabase
+    .from('capital_calls')
+    .select(`
+      id,
+      call_date,
+      due_date,
+      deadline_date,
+      status,
+      investment_id,
+      capital_call_allocations (
+        user_id,
+        capital_paid,
+        fees_paid,
+        status
+      )
+    `)
+    .eq('structure_id', structure.id)
+    .neq('status', 'Draft');
+
+  if (callsError) {
+    throw new Error(`Error fetching capital calls: ${callsError.message}`);
+  }
+
+  const { data: distributions, error: distError } = await supabase
+    .from('distributions')
+    .select('id, distribution_date, total_amount, gp_total_amount, investment_id, distribution_type, waterfall_audit')
+    .eq('structure_id', structure.id)
+    .eq('waterfall_applied', true);
+
+  if (distError) {
+    throw new Error(`Error fetching prior distributions: ${distError.message}`);
+  }
+
+  // Funded capital and fees count as contributions from the call's deadline
+  const contributions = (calls || [])
+    .filter(call => !CLOSED_CALL_STATUSES.includes(call.status))
+    .flatMap(call => (call.capital_call_allocations || [])
+      .filter(a => a.status !== 'Voided')
+      .map(a => ({
+        userId: a.user_id,
+        investmentId: call.investment_id || null,
+        date: call.deadline_date || call.due_date || call.call_date,
+        amount: (parseFloat(a.capital_paid) || 0) + (parseFloat(a.fees_paid) || 0)
+      })));
+
+  return {
+    tiers,
+    investors: (investors || []).map(inv => ({
+      userId: inv.user_id,
+      ownershipPercent: parseFloat(inv.ownership_percent) || 0
+    })),
+    contributions,
+    distributions: (distributions || []).map(d => ({
+      id: d.id,
+      investmentId: d.investment_id || null,
+      date: d.distribution_date,
+      amount: parseFloat(d.total_amount) || 0,
+      gpAmount: parseFloat(d.gp_total_amount) || 0,
+      distributionType: d.distribution_type || 'standard',
+      audit: d.waterfall_audit || null
+    }))
+  };
+}
+
+/**
+ * Load tiers, commitments, funded contributions and prior distributions, then calculate the
+ * waterfall for a distribution
+ * @param {Object} distribution - Distribution model
+ * @param {Object} structure - Structure model
+ * @param {Object} options - { tiers, tierSet, mode } to override the structure's configuration
+ *   (without tiers, the distribution's pinned tier set or the version in effect on its date)
+ * @returns {Object} Waterfall result (see calculateWaterfall) with the tier set it used
+ */
+async function buildWaterfall(distribution, structure, options = {}) {
+  const { tiers, tierSet } = options.tiers
+    ? { tiers: options.tiers, tierSet: options.tierSet || null }
+    : await loadTierSet(structure, { date: distribution.distributionDate, tierSetId: distribution.waterfallTierSetId });
+  const inputs = await loadWaterfallInputs(structure, { ...options, tiers });
+  const mode = options.mode || structure.waterfallType || 'American';
+
+  const waterfall = calculateWaterfall({
+    tiers: inputs.tiers,
+    mode,
+    gpCatchUpRate: structure.gpCatchUpRate,
+    investors: inputs.investors,
+    contributions: inputs.contributions,
+    // Clawback distributions return carry to LPs; they are not waterfall proceeds
+    priorDistributions: inputs.distributions.filter(d => d.distributionType !== 'clawback'),
+    distribution: {
+      id: distribution.id,
+      investmentId: distribution.investmentId || null,
+      date: distribution.distributionDate || new Date().toISOString(),
+      amount: distribution.totalAmount
+    }
+  });
+
+  waterfall.tierSet = tierSet
+    ? { id: tierSet.id, versionNumber: tierSet.versionNumber, effectiveDate: tierSet.effectiveDate }
+    : null;
+  return waterfall;
+}
+
+/**
+ * Load the structure's tier set in effect at a date and its waterfall inputs, then build the
+ * preferred return statement (see calculatePrefStatement)
+ * @param {Object} structure - Structure model
+ * @param {Object} options - { asOfDate, investorId } (investorId limits the statement to one LP)
+ * @returns {Object} Pref statement with the tier set it used
+ */
+async function buildPrefStatement(structure, options = {}) {
+  const asOfDate = toDateString(options.asOfDate || new Date());
+  const { tiers, tierSet } = await loadTierSet(structure, { date: asOfDate });
+  const inputs = await loadWaterfallInputs(structure, { tiers });
+
+  const statement = calculatePrefStatement({
+    tiers: inputs.tiers,
+    gpCatchUpRate: structure.gpCatchUpRate,
+    investors: inputs.investors,
+    contributions: inputs.contributions,
+    // Clawback distributions return carry to LPs; they do not pay down the pref
+    distributions: inputs.distributions.filter(d => d.distributionType !== 'clawback'),
+    asOfDate
+  });
+
+  if (options.investorId) {
+    statement.investors = statement.investors.filter(inv => inv.userId === options.investorId);
+    statement.totals = prefStatementTotals(statement.investors);
+  }
+  statement.structureId = structure.id;
+  statement.tierSet = tierSet
+    ? { id: tierSet.id, versionNumber: tierSet.versionNumber, effectiveDate: tierSet.effectiveDate }
+    : null;
+  return statement;
+}
+
+module.exports = {
+  WATERFALL_MODES,
+  TIER_TYPES,
+  classifyTier,
+  calculateWaterfall,
+  calculateWholeFundCarry,
+  calculatePrefStatement,
+  loadTierSet,
+  loadWaterfallInputs,
+  buildWaterfall,
+  buildPrefStatement
+};
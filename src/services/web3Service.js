@@ -4,6 +4,7 @@
  */
 
 const { Web3 } = require('web3');
+const { toTokenWei } = require('../utils/tokenAmounts');
 
 class Web3Service {
   constructor(rpcUrl = process.env.RPC_URL, web3Instance = null) {
@@ -187,9 +188,11 @@ class Web3Service {
    * @param {string} params.methodName - Method name to call
    * @param {Array} params.methodParams - Parameters for the method
    * @param {string} params.privateKey - Private key to sign transaction
-   * @param {Object} params.txOptions - Optional transaction options (gas, gasPrice, etc.)
+   * @param {Object} params.txOptions - Optional transaction options (gas, gasPrice, nonce, etc.)
+   * @param {Function} params.onSigned - Optional; called with { transactionHash, nonce } once signed,
+   *   before the transaction is broadcast
    */
-  async sendContractTransaction({ contractAddress, abi, methodName, methodParams = [], privateKey, txOptions = {} }) {
+  async sendContractTransaction({ contractAddress, abi, methodName, methodParams = [], privateKey, txOptions = {}, onSigned }) {
     // Create contract instance
     const contract = new this.web3.eth.Contract(abi, contractAddress);
 
@@ -230,6 +233,11 @@ class Web3Service {
     // Sign the transaction
     const signedTx = await this.web3.eth.accounts.signTransaction(tx, privateKey);
 
+    // Let the caller record the hash and nonce before broadcasting, so a lost receipt can be traced
+    if (onSigned) {
+      await onSigned({ transactionHash: signedTx.transactionHash, nonce: Number(tx.nonce) });
+    }
+
     // Send the signed transaction
     const receipt = await this.web3.eth.sendSignedTransaction(signedTx.rawTransaction);
 
@@ -266,8 +274,10 @@ class Web3Service {
 
   /**
    * Transfer tokens from one address to another
+   * amountWei (the exact amount in wei) takes precedence over amount (in whole tokens); nonce
+   * re-sends a transaction under the nonce of an earlier, unconfirmed one
    */
-  async transferTokens({ contractAddress, fromAddress, toAddress, amount, privateKey }) {
+  async transferTokens({ contractAddress, fromAddress, toAddress, amount, amountWei, privateKey, nonce, onSigned }) {
     const abi = [
       {
         'inputs': [
@@ -282,17 +292,81 @@ class Web3Service {
       }
     ];
 
-    const amountInWei = this.web3.utils.toWei(amount.toString(), 'ether');
+    // Converted without exponent notation: toWei rejects "1e-7"
+    const amountInWei = (amountWei !== undefined && amountWei !== null ? BigInt(amountWei) : toTokenWei(amount)).toString();
 
     return await this.sendContractTransaction({
       contractAddress,
       abi,
       methodName: 'transferFrom',
       methodParams: [fromAddress, toAddress, amountInWei],
-      privateKey
+      privateKey,
+      txOptions: nonce !== undefined && nonce !== null ? { nonce } : {},
+      onSigned
+    });
+  }
+
+  /**
+   * Force a transfer between two holders of an ERC-3643 token (agent only)
+   * amountWei (the exact amount in wei) takes precedence over amount (in whole tokens); nonce
+   * re-sends a transaction under the nonce of an earlier, unconfirmed one so only one is mined
+   */
+  async forcedTransfer({ contractAddress, fromAddress, toAddress, amount, amountWei, privateKey, nonce, onSigned }) {
+    const abi = [
+      {
+        'inputs': [
+          { 'internalType': 'address', 'name': 'from', 'type': 'address' },
+          { 'internalType': 'address', 'name': 'to', 'type': 'address' },
+          { 'internalType': 'uint256', 'name': 'amount', 'type': 'uint256' }
+        ],
+        'name': 'forcedTransfer',
+        'outputs': [{ 'internalType': 'bool', 'name': '', 'type': 'bool' }],
+        'stateMutability': 'nonpayable',
+        'type': 'function'
+      }
+    ];
+
+    const amountInWei = (amountWei !== undefined && amountWei !== null ? BigInt(amountWei) : toTokenWei(amount)).toString();
+
+    return await this.sendContractTransaction({
+      contractAddress,
+      abi,
+      methodName: 'forcedTransfer',
+      methodParams: [fromAddress, toAddress, amountInWei],
+      privateKey,
+      txOptions: nonce !== undefined && nonce !== null ? { nonce } : {},
+      onSigned
     });
   }
 
+  /**
+   * Get the token balance of a holder, in wei (the token's smallest unit)
+   * @returns {bigint} Raw balance
+   */
+  async getTokenBalance({ contractAddress, ownerAddress }) {
+    const abi = [
+      {
+        'inputs': [{ 'internalType': 'address', 'name': 'account', 'type': 'address' }],
+        'name': 'balanceOf',
+        'outputs': [{ 'internalType': 'uint256', 'name': '', 'type': 'uint256' }],
+        'stateMutability': 'view',
+        'type': 'function'
+      }
+    ];
+
+    const contract = new this.web3.eth.Contract(abi, contractAddress);
+    const balance = await contract.methods.balanceOf(ownerAddress).call();
+    return BigInt(balance);
+  }
+
+  /**
+   * Get a transaction's receipt, or null while it is not mined
+   */
+  async getTransactionReceipt(transactionHash) {
+    const receipt = await this.web3.eth.getTransactionReceipt(transactionHash);
+    return receipt || null;
+  }
+
   /**
    * Set allowance for a spender
    */
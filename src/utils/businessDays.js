@@ -0,0 +1,123 @@
+/**
+ * Business Day Utilities
+ * Date arithmetic on YYYY-MM-DD strings (UTC) that skips weekends and fund holidays
+ */
+
+/**
+ * Normalize a date or date string to YYYY-MM-DD
+ * @param {Date|string} date - Date value
+ * @returns {string} Date string
+ */
+function toDateString(date) {
+  if (date instanceof Date) {
+    return date.toISOString().split('T')[0];
+  }
+  return String(date).split('T')[0];
+}
+
+/**
+ * Add calendar days to a date string
+ * @param {string} dateStr - YYYY-MM-DD
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} YYYY-MM-DD
+ */
+function addCalendarDays(dateStr, days) {
+  const date = new Date(`${toDateString(dateStr)}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return toDateString(date);
+}
+
+/**
+ * Check whether a date is a business day (Monday-Friday and not a holiday)
+ * @param {string} dateStr - YYYY-MM-DD
+ * @param {Array<string>} holidays - Holiday dates (YYYY-MM-DD)
+ * @returns {boolean}
+ */
+function isBusinessDay(dateStr, holidays = []) {
+  const normalized = toDateString(dateStr);
+  const day = new Date(`${normalized}T00:00:00Z`).getUTCDay();
+  return day !== 0 && day !== 6 && !holidays.includes(normalized);
+}
+
+/**
+ * Move a date to the nearest business day in the given direction (no-op if already one)
+ * @param {string} dateStr - YYYY-MM-DD
+ * @param {number} direction - 1 (forward) or -1 (backward)
+ * @param {Array<string>} holidays - Holiday dates
+ * @returns {string} YYYY-MM-DD
+ */
+function rollToBusinessDay(dateStr, direction = 1, holidays = []) {
+  let current = toDateString(dateStr);
+  while (!isBusinessDay(current, holidays)) {
+    current = addCalendarDays(current, direction);
+  }
+  return current;
+}
+
+/**
+ * Add business days to a date. A non-business start date is first rolled
+ * in the direction of travel, so offset 0 on a Saturday with direction -1 is the Friday
+ * @param {string} dateStr - YYYY-MM-DD
+ * @param {number} days - Business days to add (may be negative)
+ * @param {Array<string>} holidays - Holiday dates
+ * @returns {string} YYYY-MM-DD
+ */
+function addBusinessDays(dateStr, days, holidays = []) {
+  const direction = days > 0 ? 1 : -1;
+  let current = rollToBusinessDay(dateStr, direction, holidays);
+  let remaining = Math.abs(days);
+
+  while (remaining > 0) {
+    current = addCalendarDays(current, direction);
+    if (isBusinessDay(current, holidays)) {
+      remaining--;
+    }
+  }
+
+  return current;
+}
+
+/**
+ * Get the business day before a date
+ * @param {string} dateStr - YYYY-MM-DD
+ * @param {Array<string>} holidays - Holiday dates
+ * @returns {string} YYYY-MM-DD
+ */
+function previousBusinessDay(dateStr, holidays = []) {
+  return rollToBusinessDay(addCalendarDays(dateStr, -1), -1, holidays);
+}
+
+/**
+ * Count business days after fromDate up to and including toDate (negative if toDate is earlier)
+ * @param {string} fromDate - YYYY-MM-DD
+ * @param {string} toDate - YYYY-MM-DD
+ * @param {Array<string>} holidays - Holiday dates
+ * @returns {number} Business days
+ */
+function countBusinessDays(fromDate, toDate, holidays = []) {
+  const from = toDateString(fromDate);
+  const to = toDateString(toDate);
+  if (from === to) return 0;
+
+  const [start, end, sign] = from < to ? [from, to, 1] : [to, from, -1];
+  let count = 0;
+  let current = start;
+  while (current < end) {
+    current = addCalendarDays(current, 1);
+    if (isBusinessDay(current, holidays)) {
+      count++;
+    }
+  }
+
+  return count * sign;
+}
+
+module.exports = {
+  toDateString,
+  addCalendarDays,
+  isBusinessDay,
+  rollToBusinessDay,
+  addBusinessDays,
+  previousBusinessDay,
+  countBusinessDays
+};
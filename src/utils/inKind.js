@@ -0,0 +1,113 @@
+/**
+ * In-Kind Distribution Utilities
+ * An in-kind distribution hands out units of an asset (shares of a portfolio company or tokens)
+ * instead of cash. Each LP's allocation is still worked out in value (waterfall or pro rata);
+ * the value is then converted to units at the distribution's valuation per unit. Units are only
+ * delivered in multiples of the asset's unit increment (1 for whole shares), and the value of
+ * the fraction left over is paid as cash in lieu.
+ */
+
+const { toDecimalString } = require('./tokenAmounts');
+
+const IN_KIND_ASSET_TYPES = ['security', 'token'];
+// Allocated units are stored with 8 decimals, so no finer increment can be delivered
+const MAX_UNIT_DECIMALS = 8;
+
+function roundCents(value) {
+  return Math.round((value || 0) * 100) / 100;
+}
+
+/**
+ * Number of decimal places in a unit increment (0.001 -> 3, 1e-7 -> 7)
+ */
+function incrementDecimals(increment) {
+  const [, decimals = ''] = toDecimalString(Number(increment)).split('.');
+  return decimals.length;
+}
+
+/**
+ * Split an allocated value into deliverable units and cash in lieu of the fractional unit
+ * @param {number} amount - Value allocated to the LP
+ * @param {number} unitValue - Valuation per unit
+ * @param {number} unitIncrement - Smallest deliverable unit (defaults to 1)
+ * @returns {Object} { units, unitsValue, cashInLieu }
+ */
+function splitUnits(amount, unitValue, unitIncrement = 1) {
+  const value = parseFloat(amount) || 0;
+  const price = parseFloat(unitValue) || 0;
+  const increment = parseFloat(unitIncrement) > 0 ? parseFloat(unitIncrement) : 1;
+
+  if (value <= 0 || price <= 0) {
+    return { units: 0, unitsValue: 0, cashInLieu: roundCents(Math.max(value, 0)) };
+  }
+
+  // Tolerance keeps exact multiples (e.g. 300 / 3) from flooring one increment short
+  const increments = Math.floor(value / price / increment + 1e-9);
+  const units = parseFloat((increments * increment).toFixed(incrementDecimals(increment)));
+  const unitsValue = roundCents(units * price);
+
+  return { units, unitsValue, cashInLieu: roundCents(Math.max(value - unitsValue, 0)) };
+}
+
+/**
+ * Set each allocation's units and cash in lieu from its allocated value
+ * @param {Array} allocations - distribution_allocations rows to insert
+ * @param {Object} distribution - Distribution model (in-kind)
+ * @returns {Array} Allocations with allocated_units and cash_in_lieu_amount set
+ */
+function allocateInKindUnits(allocations = [], distribution) {
+  return allocations.map(a => {
+    const { units, cashInLieu } = splitUnits(a.allocated_amount, distribution.inKindUnitValue, distribution.inKindUnitIncrement);
+    return {
+      ...a,
+      allocated_units: units,
+      cash_in_lieu_amount: cashInLieu,
+      ...(distribution.inKindAssetType === 'token' ? { token_transfer_status: 'pending' } : {})
+    };
+  });
+}
+
+/**
+ * Summarize an in-kind distribution's units across its allocations
+ * @param {Object} distribution - Distribution model (in-kind)
+ * @param {Array} allocations - distribution_allocations rows
+ * @returns {Object} { asset, quantity, unitValue, unitsAllocated, unitsRetained, cashInLieu, investors }
+ */
+function summarizeInKind(distribution, allocations = []) {
+  const decimals = incrementDecimals(distribution.inKindUnitIncrement || 1);
+  const quantity = parseFloat(distribution.inKindQuantity) || 0;
+  const investors = allocations.map(a => ({
+    allocationId: a.id,
+    userId: a.user_id,
+    allocatedAmount: parseFloat(a.allocated_amount) || 0,
+    units: parseFloat(a.allocated_units) || 0,
+    cashInLieu: parseFloat(a.cash_in_lieu_amount) || 0,
+    tokenTransferStatus: a.token_transfer_status || null,
+    tokenTransactionHash: a.token_transaction_hash || null
+  }));
+  const unitsAllocated = parseFloat(investors.reduce((sum, i) => sum + i.units, 0).toFixed(decimals));
+
+  return {
+    asset: {
+      type: distribution.inKindAssetType,
+      name: distribution.inKindAssetName,
+      identifier: distribution.inKindAssetIdentifier
+    },
+    quantity,
+    unitValue: parseFloat(distribution.inKindUnitValue) || 0,
+    unitsAllocated,
+    // Fractional units not delivered to LPs; sold to fund the cash in lieu
+    unitsRetained: parseFloat(Math.max(quantity - unitsAllocated, 0).toFixed(decimals)),
+    cashInLieu: roundCents(investors.reduce((sum, i) => sum + i.cashInLieu, 0)),
+    investors
+  };
+}
+
+module.exports = {
+  IN_KIND_ASSET_TYPES,
+  MAX_UNIT_DECIMALS,
+  incrementDecimals,
+  splitUnits,
+  allocateInKindUnits,
+  summarizeInKind
+};
@@ -0,0 +1,112 @@
+/**
+ * Payment Reference Utilities
+ * ISO 11649 (RF) creditor references used to identify capital call payments
+ */
+
+const crypto = require('crypto');
+
+const PREFIX = 'RF';
+const BODY_LENGTH = 12;
+// Crockford base32 alphabet: no I, L, O or U so references survive being read aloud or retyped
+const BODY_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+/**
+ * Compute mod 97 of an alphanumeric string with letters expanded (A=10 ... Z=35)
+ * @param {string} value - Uppercase alphanumeric string
+ * @returns {number} Remainder
+ */
+function mod97(value) {
+  let remainder = 0;
+  for (const char of value) {
+    const digits = /[A-Z]/.test(char) ? String(char.charCodeAt(0) - 55) : char;
+    for (const digit of digits) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+  }
+  return remainder;
+}
+
+/**
+ * Compute the two RF check digits for a reference body
+ * @param {string} body - Uppercase alphanumeric body
+ * @returns {string} Two-digit check
+ */
+function computeCheckDigits(body) {
+  const check = 98 - mod97(`${body}${PREFIX}00`);
+  return String(check).padStart(2, '0');
+}
+
+/**
+ * Strip spaces and lowercase from a reference as typed by a payer
+ * @param {string} reference - Raw reference
+ * @returns {string} Normalized reference
+ */
+function normalizePaymentReference(reference) {
+  return String(reference || '').replace(/\s+/g, '').toUpperCase();
+}
+
+/**
+ * Generate a new random payment reference, e.g. RF18 4K7Q 2M9X 0ABC
+ * @returns {string} Reference without spaces
+ */
+function generatePaymentReference() {
+  const bytes = crypto.randomBytes(BODY_LENGTH);
+  let body = '';
+  for (const byte of bytes) {
+    body += BODY_ALPHABET[byte % BODY_ALPHABET.length];
+  }
+  return `${PREFIX}${computeCheckDigits(body)}${body}`;
+}
+
+/**
+ * Validate the format and check digits of a payment reference
+ * @param {string} reference - Reference (spaces allowed)
+ * @returns {boolean} True when the check digits are correct
+ */
+function isValidPaymentReference(reference) {
+  const normalized = normalizePaymentReference(reference);
+  if (!/^RF\d{2}[0-9A-Z]{1,21}$/.test(normalized)) return false;
+
+  const rearranged = `${normalized.slice(4)}${normalized.slice(0, 4)}`;
+  return mod97(rearranged) === 1;
+}
+
+/**
+ * Format a reference in groups of four for printing
+ * @param {string} reference - Reference
+ * @returns {string} Grouped reference
+ */
+function formatPaymentReference(reference) {
+  const normalized = normalizePaymentReference(reference);
+  return normalized.replace(/(.{4})(?=.)/g, '$1 ');
+}
+
+/**
+ * Find valid payment references inside free text such as a bank remittance line
+ * @param {string} text - Free text
+ * @returns {string[]} Normalized references with correct check digits
+ */
+function findPaymentReferences(text) {
+  if (!text) return [];
+
+  const matches = String(text).toUpperCase().match(/RF\d{2}(?:\s?[0-9A-Z]){1,21}/g) || [];
+  const found = new Set();
+
+  for (const match of matches) {
+    const normalized = normalizePaymentReference(match);
+    // Greedy matching may swallow trailing text, so try the generated length first
+    const candidates = [normalized.slice(0, 4 + BODY_LENGTH), normalized];
+    const valid = candidates.find(candidate => isValidPaymentReference(candidate));
+    if (valid) found.add(valid);
+  }
+
+  return [...found];
+}
+
+module.exports = {
+  generatePaymentReference,
+  isValidPaymentReference,
+  normalizePaymentReference,
+  formatPaymentReference,
+  findPaymentReferences
+};
@@ -0,0 +1,94 @@
+/**
+ * Preferred Return Accrual Utilities
+ * How an LPA accrues the hurdle on an LP's unreturned capital:
+ * - compounding: simple interest (no pref on unpaid pref), or compounded annually or quarterly
+ *   (the hurdle is the annual rate; quarterly compounds at a quarter of it four times a year)
+ * - day count: ACT/365 (actual days over 365) or 30/360 (30-day months over a 360-day year)
+ * The waterfall accrues between consecutive contribution and distribution dates, so the
+ * pref runs from each contribution date to each distribution date.
+ */
+
+const PREF_COMPOUNDING = ['simple', 'annual', 'quarterly'];
+const PREF_DAY_COUNTS = ['ACT/365', '30/360'];
+const DEFAULT_PREF_CONVENTION = { compounding: 'annual', dayCount: 'ACT/365' };
+const PERIODS_PER_YEAR = { annual: 1, quarterly: 4 };
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Days between two YYYY-MM-DD dates under 30/360 (US): day 31 counts as day 30, and an end
+ * on the 31st counts as the 30th when the start is on the 30th or 31st
+ */
+function days360(fromDate, toDate) {
+  const [y1, m1, rawD1] = fromDate.split('-').map(Number);
+  const [y2, m2, rawD2] = toDate.split('-').map(Number);
+  const d1 = Math.min(rawD1, 30);
+  const d2 = d1 === 30 ? Math.min(rawD2, 30) : rawD2;
+  return 360 * (y2 - y1) + 30 * (m2 - m1) + (d2 - d1);
+}
+
+/**
+ * Year fraction between two YYYY-MM-DD dates under a day-count convention
+ */
+function yearFraction(fromDate, toDate, dayCount = DEFAULT_PREF_CONVENTION.dayCount) {
+  if (dayCount === '30/360') {
+    return days360(fromDate, toDate) / 360;
+  }
+  const days = Math.round((new Date(`${toDate}T00:00:00Z`) - new Date(`${fromDate}T00:00:00Z`)) / MS_PER_DAY);
+  return days / 365;
+}
+
+/**
+ * Pref accrued over a period
+ * @param {number} capital - Unreturned capital during the period
+ * @param {number} unpaidPref - Pref accrued and unpaid at the start of the period
+ * @param {number} rate - Annual hurdle as a decimal (0.08)
+ * @param {number} years - Year fraction of the period
+ * @param {string} compounding - simple, annual or quarterly
+ * @returns {number} Pref accrued in the period
+ */
+function accruePref(capital, unpaidPref, rate, years, compounding = DEFAULT_PREF_CONVENTION.compounding) {
+  if (rate <= 0 || years <= 0) return 0;
+
+  if (compounding === 'simple') {
+    return capital * rate * years;
+  }
+
+  const periods = PERIODS_PER_YEAR[compounding] || 1;
+  return (capital + unpaidPref) * (Math.pow(1 + rate / periods, periods * years) - 1);
+}
+
+/**
+ * Accrual convention of a preferred return tier, with the defaults for missing values
+ */
+function prefConvention(tier = {}) {
+  return {
+    compounding: PREF_COMPOUNDING.includes(tier?.prefCompounding) ? tier.prefCompounding : DEFAULT_PREF_CONVENTION.compounding,
+    dayCount: PREF_DAY_COUNTS.includes(tier?.prefDayCount) ? tier.prefDayCount : DEFAULT_PREF_CONVENTION.dayCount
+  };
+}
+
+/**
+ * Validate accrual convention values (either may be omitted)
+ * @returns {Array} Error messages
+ */
+function validatePrefConvention({ prefCompounding, prefDayCount } = {}) {
+  const errors = [];
+  if (prefCompounding != null && !PREF_COMPOUNDING.includes(prefCompounding)) {
+    errors.push(`Pref compounding must be one of: ${PREF_COMPOUNDING.join(', ')}`);
+  }
+  if (prefDayCount != null && !PREF_DAY_COUNTS.includes(prefDayCount)) {
+    errors.push(`Pref day count must be one of: ${PREF_DAY_COUNTS.join(', ')}`);
+  }
+  return errors;
+}
+
+module.exports = {
+  PREF_COMPOUNDING,
+  PREF_DAY_COUNTS,
+  DEFAULT_PREF_CONVENTION,
+  days360,
+  yearFraction,
+  accruePref,
+  prefConvention,
+  validatePrefConvention
+};
@@ -0,0 +1,90 @@
+/**
+ * Pro-Rata Allocation Utilities
+ * Splits an amount over LPs by weight so the parts add up to the amount exactly. Amounts are
+ * worked in cents with the largest-remainder method: every LP gets the floor of its exact share
+ * and the leftover cents go one each to the largest fractional remainders, ties broken by
+ * userId, so the same inputs always give the same split.
+ */
+
+/**
+ * Split an amount pro rata to weights, exact to the cent
+ * @param {number} amount - Amount to allocate
+ * @param {Array} weights - [{ userId, weight }] (non-positive weights get nothing)
+ * @returns {Array} [{ userId, weight, share, amount }] in input order; share is a fraction of 1
+ */
+function allocateProRata(amount, weights = []) {
+  const totalCents = Math.round((parseFloat(amount) || 0) * 100);
+  const entries = weights.map(w => ({ userId: w.userId, weight: Math.max(parseFloat(w.weight) || 0, 0) }));
+  const totalWeight = entries.reduce((sum, e) => sum + e.weight, 0);
+
+  if (totalWeight <= 0) {
+    return entries.map(e => ({ ...e, share: 0, amount: 0 }));
+  }
+
+  const parts = entries.map((e, index) => {
+    const exact = totalCents * (e.weight / totalWeight);
+    const cents = Math.floor(exact);
+    return { ...e, index, share: e.weight / totalWeight, cents, remainder: exact - cents };
+  });
+
+  let leftover = totalCents - parts.reduce((sum, p) => sum + p.cents, 0);
+  const byRemainder = parts
+    .filter(p => p.weight > 0)
+    .sort((a, b) => (b.remainder - a.remainder) || (String(a.userId) < String(b.userId) ? -1 : 1));
+  for (let i = 0; leftover > 0 && byRemainder.length > 0; i = (i + 1) % byRemainder.length) {
+    byRemainder[i].cents += 1;
+    leftover -= 1;
+  }
+
+  return parts.map(p => ({
+    userId: p.userId,
+    weight: p.weight,
+    share: p.share,
+    amount: p.cents / 100
+  }));
+}
+
+/**
+ * Compare the split of an amount under several bases against a chosen basis
+ * @param {number} amount - Amount to allocate
+ * @param {Object} bases - { [basis]: [{ userId, weight }] }
+ * @param {string} chosenBasis - Basis the allocations are posted on
+ * @returns {Object} { basis, amount, investors[{ userId, amounts{basis: amount}, differences{basis: amount} }], maxDifference }
+ */
+function compareBases(amount, bases = {}, chosenBasis) {
+  const splits = {};
+  const userIds = [];
+  for (const [basis, weights] of Object.entries(bases)) {
+    splits[basis] = new Map(allocateProRata(amount, weights).map(p => [p.userId, p.amount]));
+    weights.forEach(w => {
+      if (!userIds.includes(w.userId)) userIds.push(w.userId);
+    });
+  }
+
+  let maxDifference = 0;
+  const investors = userIds.map(userId => {
+    const amounts = {};
+    const differences = {};
+    const chosen = splits[chosenBasis]?.get(userId) || 0;
+    Object.keys(splits).forEach(basis => {
+      amounts[basis] = splits[basis].get(userId) || 0;
+      if (basis !== chosenBasis) {
+        differences[basis] = Math.round((amounts[basis] - chosen) * 100) / 100;
+        maxDifference = Math.max(maxDifference, Math.abs(differences[basis]));
+      }
+    });
+    return { userId, amounts, differences };
+  });
+
+  return {
+    basis: chosenBasis,
+    amount: Math.round((parseFloat(amount) || 0) * 100) / 100,
+    investors,
+    maxDifference
+  };
+}
+
+module.exports = {
+  allocateProRata,
+  compareBases
+};
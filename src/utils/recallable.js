@@ -0,0 +1,131 @@
+/**
+ * Recallable Distribution Utilities
+ * Per-LP balances of distributions the GP may recall (e.g. returns of capital within the LPA's
+ * recall window). A recallable amount adds back to the LP's unfunded commitment until it is
+ * drawn again by a capital call or its recall window expires. Recalls consume the grants that
+ * expire first, so balances that are about to lapse are used before later ones.
+ */
+
+const { toDateString } = require('./businessDays');
+
+function roundCents(value) {
+  return Math.round((value || 0) * 100) / 100;
+}
+
+/**
+ * Calculate each LP's recallable balance at a date
+ * @param {Array} grants - [{ userId, distributionId, date, expiresOn, amount }] recallable amounts distributed
+ * @param {Array} recalls - [{ userId, capitalCallId, date, amount }] amounts drawn against recallable balances
+ * @param {string|Date} asOfDate - Balance date (defaults to today)
+ * @returns {Object} Map of userId -> { recallable, recalled, expired, available, grants[] }
+ */
+function calculateRecallableBalances(grants = [], recalls = [], asOfDate = new Date()) {
+  const date = toDateString(asOfDate);
+  const balances = {};
+  const getBalance = (userId) => {
+    if (!balances[userId]) {
+      balances[userId] = { recallable: 0, recalled: 0, expired: 0, available: 0, grants: [] };
+    }
+    return balances[userId];
+  };
+
+  grants
+    .filter(g => (parseFloat(g.amount) || 0) > 0 && toDateString(g.date) <= date)
+    .forEach(g => {
+      getBalance(g.userId).grants.push({
+        distributionId: g.distributionId || null,
+        date: toDateString(g.date),
+        expiresOn: g.expiresOn ? toDateString(g.expiresOn) : null,
+        amount: parseFloat(g.amount) || 0,
+        recalled: 0
+      });
+    });
+
+  const sortedRecalls = recalls
+    .filter(r => (parseFloat(r.amount) || 0) > 0 && toDateString(r.date) <= date)
+    .sort((a, b) => (toDateString(a.date) < toDateString(b.date) ? -1 : 1));
+
+  sortedRecalls.forEach(r => {
+    const recallDate = toDateString(r.date);
+    let remaining = parseFloat(r.amount) || 0;
+
+    // Grants open at the recall date, earliest expiry first (no expiry last)
+    const open = getBalance(r.userId).grants
+      .filter(g => g.date <= recallDate && (!g.expiresOn || g.expiresOn >= recallDate))
+      .sort((a, b) => {
+        if (a.expiresOn === b.expiresOn) return a.date < b.date ? -1 : 1;
+        if (!a.expiresOn) return 1;
+        if (!b.expiresOn) return -1;
+        return a.expiresOn < b.expiresOn ? -1 : 1;
+      });
+
+    for (const grant of open) {
+      if (remaining <= 0) break;
+      const take = Math.min(grant.amount - grant.recalled, remaining);
+      grant.recalled += take;
+      remaining -= take;
+    }
+  });
+
+  Object.values(balances).forEach(balance => {
+    balance.grants = balance.grants.map(g => {
+      const unused = g.amount - g.recalled;
+      const lapsed = g.expiresOn && g.expiresOn < date;
+      return {
+        ...g,
+        amount: roundCents(g.amount),
+        recalled: roundCents(g.recalled),
+        expired: roundCents(lapsed ? unused : 0),
+        available: roundCents(lapsed ? 0 : unused)
+      };
+    });
+    balance.recallable = roundCents(balance.grants.reduce((sum, g) => sum + g.amount, 0));
+    balance.recalled = roundCents(balance.grants.reduce((sum, g) => sum + g.recalled, 0));
+    balance.expired = roundCents(balance.grants.reduce((sum, g) => sum + g.expired, 0));
+    balance.available = roundCents(balance.grants.reduce((sum, g) => sum + g.available, 0));
+  });
+
+  return balances;
+}
+
+/**
+ * Recallable grants from distribution allocation rows joined with their distribution
+ * @param {Array} distAllocations - distribution_allocations rows with `distribution`
+ * @returns {Array} Grants for calculateRecallableBalances
+ */
+function grantsFromAllocations(distAllocations = []) {
+  return distAllocations
+    .filter(a => (parseFloat(a.recallable_amount) || 0) > 0 && a.distribution?.status !== 'Draft')
+    .map(a => ({
+      userId: a.user_id,
+      distributionId: a.distribution_id || a.distribution?.id || null,
+      date: a.distribution?.distribution_date || a.distribution?.distributionDate,
+      expiresOn: a.distribution?.recallable_until || null,
+      amount: parseFloat(a.recallable_amount) || 0
+    }))
+    .filter(g => g.date);
+}
+
+/**
+ * Recalls from capital call allocation rows joined with their capital call
+ * @param {Array} callAllocations - capital_call_allocations rows with `capital_call`
+ * @returns {Array} Recalls for calculateRecallableBalances
+ */
+function recallsFromAllocations(callAllocations = []) {
+  return callAllocations
+    .filter(a => (parseFloat(a.recalled_amount) || 0) > 0 && a.status !== 'Voided' &&
+      !['Draft', 'Cancelled'].includes(a.capital_call?.status))
+    .map(a => ({
+      userId: a.user_id,
+      capitalCallId: a.capital_call_id || a.capital_call?.id || null,
+      date: a.capital_call?.call_date || a.capital_call?.callDate,
+      amount: parseFloat(a.recalled_amount) || 0
+    }))
+    .filter(r => r.date);
+}
+
+module.exports = {
+  calculateRecallableBalances,
+  grantsFromAllocations,
+  recallsFromAllocations
+};
@@ -0,0 +1,90 @@
+/**
+ * Token Amount Utilities
+ * Token amounts on-chain are integers in the token's smallest unit (wei, 18 decimals). They are
+ * handled here as BigInt so shares of a balance are exact and never exceed it, and so amounts
+ * are never written in exponent notation (String(0.0000001) is "1e-7", which toWei rejects).
+ */
+
+const TOKEN_DECIMALS = 18;
+const WEI_PER_TOKEN = 10n ** BigInt(TOKEN_DECIMALS);
+
+/**
+ * Write a number as a plain decimal string, expanding exponent notation
+ * Uses the number's shortest representation, so 0.3 stays "0.3"
+ * @param {number|string} value - e.g. 1e-7 or 1.5e21
+ * @returns {string} e.g. "0.0000001" or "1500000000000000000000"
+ */
+function toDecimalString(value) {
+  if (typeof value === 'string') {
+    const text = value.trim();
+    return /e/i.test(text) ? toDecimalString(Number(text)) : text;
+  }
+  if (!Number.isFinite(value)) {
+    throw new Error(`Invalid token amount: ${value}`);
+  }
+
+  const [mantissa, exponent] = String(value).split('e');
+  if (!exponent) return mantissa;
+
+  const sign = mantissa.startsWith('-') ? '-' : '';
+  const [whole, fraction = ''] = mantissa.replace('-', '').split('.');
+  const digits = whole + fraction;
+  const point = whole.length + Number(exponent);
+
+  if (point <= 0) return `${sign}0.${'0'.repeat(-point)}${digits}`;
+  if (point >= digits.length) return `${sign}${digits}${'0'.repeat(point - digits.length)}`;
+  return `${sign}${digits.slice(0, point)}.${digits.slice(point)}`;
+}
+
+/**
+ * Convert an amount in whole tokens to wei
+ * @param {number|string} value - Amount in whole tokens, e.g. 12.5 or "0.0000001"
+ * @returns {bigint} Amount in wei
+ */
+function toTokenWei(value) {
+  const decimal = toDecimalString(value);
+  const match = /^(\d*)(?:\.(\d*))?$/.exec(decimal);
+  if (!match || decimal === '' || decimal === '.') {
+    throw new Error(`Invalid token amount: ${value}`);
+  }
+
+  const [, whole = '', fraction = ''] = match;
+  if (fraction.length > TOKEN_DECIMALS) {
+    throw new Error(`Token amount ${decimal} has more than ${TOKEN_DECIMALS} decimals`);
+  }
+
+  return BigInt(whole || '0') * WEI_PER_TOKEN + BigInt(fraction.padEnd(TOKEN_DECIMALS, '0') || '0');
+}
+
+/**
+ * Convert wei to a decimal string in whole tokens
+ * @param {bigint|string} wei - Amount in wei
+ * @returns {string} e.g. 1500000000000000000n -> "1.5"
+ */
+function fromTokenWei(wei) {
+  const value = BigInt(wei);
+  const whole = value / WEI_PER_TOKEN;
+  const fraction = (value % WEI_PER_TOKEN).toString().padStart(TOKEN_DECIMALS, '0').replace(/0+$/, '');
+  return fraction ? `${whole}.${fraction}` : whole.toString();
+}
+
+/**
+ * Exact share of a wei amount, rounded down so it never exceeds the amount
+ * @param {bigint|string} wei - Amount in wei
+ * @param {bigint|number} numerator - Share numerator (e.g. commitment transferred, in cents)
+ * @param {bigint|number} denominator - Share denominator (e.g. total commitment, in cents)
+ * @returns {bigint} Share in wei
+ */
+function shareOfWei(wei, numerator, denominator) {
+  const den = BigInt(denominator);
+  if (den <= 0n) return 0n;
+  return BigInt(wei) * BigInt(numerator) / den;
+}
+
+module.exports = {
+  TOKEN_DECIMALS,
+  toDecimalString,
+  toTokenWei,
+  fromTokenWei,
+  shareOfWei
+};
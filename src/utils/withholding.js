@@ -0,0 +1,209 @@
+/**
+ * Withholding Tax Utilities
+ * Per-LP withholding on distributions. Each LP allocation is split by income type (pro rata to
+ * the distribution's source breakdown) and each part withheld at the structure's rate for the
+ * LP's tax person type (natural person or legal entity), unless a treaty rate overrides it for
+ * that LP. Return of capital is never withheld; tax-exempt LPs are not withheld at all.
+ */
+
+const INCOME_TYPES = ['dividend', 'interest', 'capital_gain', 'return_of_capital'];
+
+// Distribution source breakdown fields by income type
+const SOURCE_FIELDS = {
+  capital_gain: 'sourceEquityGain',
+  interest: 'sourceDebtInterest',
+  return_of_capital: 'sourceDebtPrincipal',
+  dividend: 'sourceOther'
+};
+
+// Structure rate fields by income type and tax person type
+const STRUCTURE_RATE_FIELDS = {
+  dividend: {
+    natural: 'witholdingDividendTaxRateNaturalPersons',
+    legal: 'witholdingDividendTaxRateLegalEntities'
+  },
+  interest: {
+    natural: 'incomeDebtTaxRateNaturalPersons',
+    legal: 'incomeDebtTaxRateLegalEntities'
+  },
+  capital_gain: {
+    natural: 'incomeEquityTaxRateNaturalPersons',
+    legal: 'incomeEquityTaxRateLegalEntities'
+  }
+};
+
+function roundCents(value) {
+  return Math.round((value || 0) * 100) / 100;
+}
+
+/**
+ * Tax person type from the LP's W-9 tax classification, falling back to the entity type
+ * @param {Object} user - { taxClassification, entityType, investorType }
+ * @returns {string} 'natural' | 'legal' | 'exempt'
+ */
+function classifyTaxPerson(user = {}) {
+  const classification = String(user.taxClassification || user.tax_classification || '').toLowerCase();
+  if (classification) {
+    if (classification.includes('exempt')) return 'exempt';
+    if (classification.includes('individual') || classification.includes('sole proprietor')) return 'natural';
+    return 'legal';
+  }
+
+  const entityType = String(user.entityType || user.entity_type || user.investorType || user.investor_type || 'individual').toLowerCase();
+  return entityType === 'individual' ? 'natural' : 'legal';
+}
+
+/**
+ * Split an amount over income types pro rata to the distribution's source breakdown
+ * @param {Object} distribution - Distribution model (source breakdown and incomeType)
+ * @param {number} amount - Amount to split
+ * @returns {Array} [{ incomeType, amount }] adding up to the amount
+ */
+function splitByIncomeType(distribution, amount) {
+  const sources = INCOME_TYPES
+    .map(incomeType => ({ incomeType, source: parseFloat(distribution[SOURCE_FIELDS[incomeType]]) || 0 }))
+    .filter(s => s.source > 0);
+  const sourceTotal = sources.reduce((sum, s) => sum + s.source, 0);
+
+  // No source breakdown: the whole amount is of the distribution's income type
+  if (sourceTotal <= 0) {
+    return [{ incomeType: distribution.incomeType || 'dividend', amount: roundCents(amount) }];
+  }
+
+  const parts = sources.map(s => ({ incomeType: s.incomeType, amount: roundCents(amount * (s.source / sourceTotal)) }));
+  const diff = roundCents(amount - parts.reduce((sum, p) => sum + p.amount, 0));
+  if (diff !== 0) {
+    const largest = parts.reduce((max, p) => (p.amount > max.amount ? p : max), parts[0]);
+    largest.amount = roundCents(largest.amount + diff);
+  }
+  return parts;
+}
+
+/**
+ * Calculate the withholding on one LP's gross distribution
+ * @param {Object} params
+ * @param {number} params.grossAmount - LP gross allocation
+ * @param {Object} params.distribution - Distribution model
+ * @param {Object} params.structure - Structure model (withholding and income tax rates)
+ * @param {string} params.personType - classifyTaxPerson result
+ * @param {Object} params.treatyRates - { [incomeType]: ratePercent } overrides for this LP
+ * @returns {Object} { grossAmount, withholdingAmount, netAmount, personType, lines[] }
+ */
+function calculateWithholding({ grossAmount, distribution, structure = {}, personType = 'natural', treatyRates = {} }) {
+  const gross = roundCents(parseFloat(grossAmount) || 0);
+
+  const lines = splitByIncomeType(distribution, gross).map(part => {
+    let rate = 0;
+    let rateSource = 'none';
+    if (personType === 'exempt') {
+      rateSource = 'exempt';
+    } else if (part.incomeType !== 'return_of_capital') {
+      const treatyRate = treatyRates?.[part.incomeType];
+      if (treatyRate !== undefined && treatyRate !== null && treatyRate !== '') {
+        rate = parseFloat(treatyRate) || 0;
+        rateSource = 'treaty';
+      } else {
+        rate = parseFloat(structure[STRUCTURE_RATE_FIELDS[part.incomeType][personType]]) || 0;
+        rateSource = 'structure';
+      }
+    }
+
+    return {
+      incomeType: part.incomeType,
+      grossAmount: part.amount,
+      rate,
+      rateSource,
+      withheldAmount: roundCents(part.amount * rate / 100)
+    };
+  });
+
+  const withholdingAmount = roundCents(lines.reduce((sum, l) => sum + l.withheldAmount, 0));
+
+  return {
+    grossAmount: gross,
+    withholdingAmount,
+    netAmount: roundCents(gross - withholdingAmount),
+    personType,
+    lines
+  };
+}
+
+/**
+ * Validate per-LP treaty rate overrides
+ * @param {Object} treatyRates - { [incomeType]: ratePercent }
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateTreatyRates(treatyRates) {
+  if (treatyRates === null || treatyRates === undefined) return null;
+  if (typeof treatyRates !== 'object' || Array.isArray(treatyRates)) {
+    return 'Withholding treaty rates must be an object of income type to rate';
+  }
+  for (const [incomeType, rate] of Object.entries(treatyRates)) {
+    if (!INCOME_TYPES.includes(incomeType) || incomeType === 'return_of_capital') {
+      return `Invalid withholding income type: ${incomeType}`;
+    }
+    const value = parseFloat(rate);
+    if (isNaN(value) || value < 0 || value > 100) {
+      return `Withholding treaty rate for ${incomeType} must be between 0 and 100`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Summarize an LP's withheld distributions for a calendar year (annual certificate)
+ * @param {Array} allocations - distribution_allocations rows joined with `distribution`
+ * @param {number} year - Calendar year
+ * @returns {Object} { year, totals{gross,withheld,net}, byIncomeType[], distributions[] }
+ */
+function summarizeWithholding(allocations = [], year) {
+  const inYear = allocations
+    .filter(a => a.distribution && a.distribution.status !== 'Draft')
+    .filter(a => String(a.distribution.distribution_date || a.distribution.distributionDate || '').slice(0, 4) === String(year))
+    .sort((a, b) => (String(a.distribution.distribution_date) < String(b.distribution.distribution_date) ? -1 : 1));
+
+  const byType = {};
+  const distributions = inYear.map(a => {
+    const gross = parseFloat(a.gross_amount ?? a.allocated_amount) || 0;
+    const withheld = parseFloat(a.withholding_amount) || 0;
+    (a.withholding_details?.lines || []).forEach(line => {
+      const entry = byType[line.incomeType] || (byType[line.incomeType] = { incomeType: line.incomeType, grossAmount: 0, withheldAmount: 0 });
+      entry.grossAmount += line.grossAmount || 0;
+      entry.withheldAmount += line.withheldAmount || 0;
+    });
+    return {
+      distributionId: a.distribution_id,
+      distributionNumber: a.distribution.distribution_number,
+      distributionDate: a.distribution.distribution_date,
+      grossAmount: roundCents(gross),
+      withholdingAmount: roundCents(withheld),
+      netAmount: roundCents(parseFloat(a.net_amount ?? (gross - withheld)) || 0)
+    };
+  });
+
+  return {
+    year: parseInt(year, 10),
+    totals: {
+      gross: roundCents(distributions.reduce((sum, d) => sum + d.grossAmount, 0)),
+      withheld: roundCents(distributions.reduce((sum, d) => sum + d.withholdingAmount, 0)),
+      net: roundCents(distributions.reduce((sum, d) => sum + d.netAmount, 0))
+    },
+    byIncomeType: INCOME_TYPES
+      .filter(type => byType[type])
+      .map(type => ({
+        incomeType: type,
+        grossAmount: roundCents(byType[type].grossAmount),
+        withheldAmount: roundCents(byType[type].withheldAmount)
+      })),
+    distributions
+  };
+}
+
+module.exports = {
+  INCOME_TYPES,
+  classifyTaxPerson,
+  splitByIncomeType,
+  calculateWithholding,
+  validateTreatyRates,
+  summarizeWithholding
+};
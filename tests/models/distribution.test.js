@@ -689,35 +689,59 @@ describe('Distribution Model', () => {
   });
 
   describe('applyWaterfall', () => {
-    test('should apply waterfall calculation', async () => {
-      mockSupabase.setMockRpcResponse('apply_waterfall_distribution', {
+    const waterfall = {
+      mode: 'European',
+      lpTotal: 900000,
+      gpTotal: 100000,
+      tiers: [
+        { tierNumber: 1, amount: 500000 },
+        { tierNumber: 2, amount: 300000 },
+        { tierNumber: 3, amount: 150000 },
+        { tierNumber: 4, amount: 50000 },
+      ],
+      investors: [],
+    };
+
+    test('should store the waterfall result on the distribution', async () => {
+      const fromSpy = jest.spyOn(mockSupabase, 'from');
+      mockSupabase.setMockResponse('distributions', {
         data: {
+          id: 'distribution-123',
+          waterfall_applied: true,
+          waterfall_mode: 'European',
           tier1_amount: 500000,
-          tier2_amount: 300000,
-          tier3_amount: 150000,
-          tier4_amount: 50000,
+          lp_total_amount: 900000,
         },
         error: null,
       });
 
-      const result = await Distribution.applyWaterfall('distribution-123');
+      const result = await Distribution.applyWaterfall('distribution-123', waterfall);
 
-      expect(result).toBeDefined();
-      expect(result.tier1_amount).toBe(500000);
+      expect(result.waterfallApplied).toBe(true);
+      expect(result.waterfallMode).toBe('European');
+      expect(fromSpy.mock.results[0].value.updateData).toEqual(expect.objectContaining({
+        waterfall_applied: true,
+        waterfall_audit: waterfall,
+        tier1_amount: 500000,
+        tier4_amount: 50000,
+        lp_total_amount: 900000,
+        gp_total_amount: 100000,
+      }));
     });
 
-    test('should throw error if RPC fails', async () => {
-      mockSupabase.setMockRpcResponse('apply_waterfall_distribution', {
+    test('should throw error if update fails', async () => {
+      mockSupabase.setMockResponse('distributions', {
         data: null,
-        error: { message: 'RPC error' },
+        error: { message: 'Update failed' },
       });
 
-      await expect(Distribution.applyWaterfall('distribution-123')).rejects.toThrow(
-        'Error applying waterfall: RPC error'
+      await expect(Distribution.applyWaterfall('distribution-123', waterfall)).rejects.toThrow(
+        'Error applying waterfall: Update failed'
       );
     });
   });
 
+
   describe('markAsPaid', () => {
     test('should mark distribution as paid', async () => {
       mockSupabase.setMockResponse('distributions', {
@@ -873,6 +897,169 @@ describe('Distribution Model', () => {
       expect(allocations[1].allocated_amount).toBe(480000);
     });
 
+    test('should allocate LP amounts from the stored waterfall audit', async () => {
+      const fromSpy = jest.spyOn(mockSupabase, 'from');
+      mockSupabase.setMockResponse('investments', { data: [], error: null });
+      mockSupabase.setMockResponse('distributions', {
+        data: {
+          id: 'distribution-123',
+          structure_id: 'structure-123',
+          distribution_date: '2024-03-15',
+          total_amount: 1000000,
+          waterfall_applied: true,
+          waterfall_audit: {
+            investors: [
+              { userId: 'investor-1', lpAmount: 360000 },
+              { userId: 'investor-2', lpAmount: 540000 },
+              { userId: 'investor-3', lpAmount: 0 },
+            ],
+          },
+        },
+        error: null,
+      });
+      mockSupabase.setMockResponse('distribution_allocations', { data: [{ id: 'allocation-1' }, { id: 'allocation-2' }], error: null });
+
+      await Distribution.createAllocationsForStructure('distribution-123', 'structure-123');
+
+      const insertQuery = fromSpy.mock.results.find(result => result.value.insertData).value;
+      expect(insertQuery.insertData).toEqual([
+        expect.objectContaining({ user_id: 'investor-1', allocated_amount: 360000 }),
+        expect.objectContaining({ user_id: 'investor-2', allocated_amount: 540000 }),
+      ]);
+    });
+
+    test('should allocate on the chosen basis and sum exactly to the distributable amount', async () => {
+      const fromSpy = jest.spyOn(mockSupabase, 'from');
+      mockSupabase.setMockResponse('investments', { data: [], error: null });
+      mockSupabase.setMockResponse('distributions', {
+        data: {
+          id: 'distribution-123',
+          structure_id: 'structure-123',
+          distribution_date: '2024-03-15',
+          total_amount: 100,
+          lp_total_amount: 0,
+          waterfall_applied: false,
+          allocation_basis: 'commitment',
+        },
+        error: null,
+      });
+      mockSupabase.setMockResponse('structure_investors', {
+        data: [
+          { user_id: 'investor-c', ownership_percent: 10, commitment: 500000 },
+          { user_id: 'investor-a', ownership_percent: 60, commitment: 500000 },
+          { user_id: 'investor-b', ownership_percent: 30, commitment: 500000 },
+        ],
+        error: null,
+      });
+      mockSupabase.setMockResponse('distribution_allocations', { data: [], error: null });
+
+      await Distribution.createAllocationsForStructure('distribution-123', 'structure-123');
+
+      const insertQuery = fromSpy.mock.results.find(result => result.value.insertData).value;
+      const amounts = insertQuery.insertData.map(a => [a.user_id, a.allocated_amount]);
+      // Equal commitments: the leftover cent goes to the lowest user ID
+      expect(amounts).toEqual([['investor-c', 33.33], ['investor-a', 33.34], ['investor-b', 33.33]]);
+    });
+
+    test('should withhold tax by LP tax classification, income type and treaty rates', async () => {
+      const fromSpy = jest.spyOn(mockSupabase, 'from');
+      mockSupabase.setMockResponse('investments', { data: [], error: null });
+      mockSupabase.setMockResponse('distributions', {
+        data: {
+          id: 'distribution-123',
+          structure_id: 'structure-123',
+          distribution_date: '2024-03-15',
+          total_amount: 1000000,
+          source_equity_gain: 600000,
+          source_debt_interest: 200000,
+          source_debt_principal: 200000,
+          source_other: 0,
+          waterfall_applied: true,
+          waterfall_audit: {
+            investors: [
+              { userId: 'investor-1', lpAmount: 100000 },
+              { userId: 'investor-2', lpAmount: 100000 },
+            ],
+          },
+        },
+        error: null,
+      });
+      mockSupabase.setMockResponse('structures', {
+        data: {
+          income_equity_tax_rate_natural_persons: 10,
+          income_equity_tax_rate_legal_entities: 20,
+          income_debt_tax_rate_natural_persons: 30,
+          income_debt_tax_rate_legal_entities: 25,
+        },
+        error: null,
+      });
+      mockSupabase.setMockResponse('users', {
+        data: [
+          { id: 'investor-1', tax_classification: 'Individual/sole proprietor' },
+          { id: 'investor-2', tax_classification: 'C Corporation' },
+        ],
+        error: null,
+      });
+      mockSupabase.setMockResponse('structure_investors', {
+        data: [{ user_id: 'investor-2', withholding_treaty_rates: { interest: 5 } }],
+        error: null,
+      });
+      mockSupabase.setMockResponse('distribution_allocations', { data: [], error: null });
+
+      await Distribution.createAllocationsForStructure('distribution-123', 'structure-123');
+
+      const insertQuery = fromSpy.mock.results.find(result => result.value.insertData).value;
+      // investor-1: 60,000 gain at 10% + 20,000 interest at 30%; return of capital is not withheld
+      // investor-2: 60,000 gain at 20% + 20,000 interest at the 5% treaty rate
+      expect(insertQuery.insertData).toEqual([
+        expect.objectContaining({ user_id: 'investor-1', gross_amount: 100000, withholding_amount: 12000, net_amount: 88000 }),
+        expect.objectContaining({ user_id: 'investor-2', gross_amount: 100000, withholding_amount: 13000, net_amount: 87000 }),
+      ]);
+      expect(insertQuery.insertData[1].withholding_details.lines).toContainEqual(
+        expect.objectContaining({ incomeType: 'interest', rate: 5, rateSource: 'treaty', withheldAmount: 1000 })
+      );
+    });
+
+    test('should allocate in-kind units with cash in lieu of fractional units', async () => {
+      const fromSpy = jest.spyOn(mockSupabase, 'from');
+      mockSupabase.setMockResponse('investments', {
+        data: [
+          { user_id: 'investor-1', ownership_percentage: 60 },
+          { user_id: 'investor-2', ownership_percentage: 40 },
+        ],
+        error: null,
+      });
+      mockSupabase.setMockResponse('distributions', {
+        data: {
+          id: 'distribution-123',
+          structure_id: 'structure-123',
+          distribution_date: '2024-03-15',
+          total_amount: 990,
+          waterfall_applied: false,
+          settlement_type: 'in_kind',
+          in_kind_asset_type: 'security',
+          in_kind_asset_name: 'Acme Corp common stock',
+          in_kind_quantity: 33,
+          in_kind_unit_value: 30,
+          in_kind_unit_increment: 1,
+        },
+        error: null,
+      });
+      mockSupabase.setMockResponse('structures', { data: {}, error: null });
+      mockSupabase.setMockResponse('users', { data: [], error: null });
+      mockSupabase.setMockResponse('structure_investors', { data: [], error: null });
+      mockSupabase.setMockResponse('distribution_allocations', { data: [], error: null });
+
+      await Distribution.createAllocationsForStructure('distribution-123', 'structure-123');
+
+      const insertQuery = fromSpy.mock.results.find(result => result.value.insertData).value;
+      // 594 / 30 = 19.8 -> 19 shares + 24 cash; 396 / 30 = 13.2 -> 13 shares + 6 cash
+      expect(insertQuery.insertData).toEqual([
+        expect.objectContaining({ user_id: 'investor-1', allocated_amount: 594, allocated_units: 19, cash_in_lieu_amount: 24 }),
+        expect.objectContaining({ user_id: 'investor-2', allocated_amount: 396, allocated_units: 13, cash_in_lieu_amount: 6 }),
+      ]);
+    });
+
     test('should throw error if distribution not found', async () => {
       // Mock investments query
       mockSupabase.setMockResponse('investments', {
@@ -936,6 +1123,27 @@ describe('Distribution Model', () => {
     });
   });
 
+  describe('updateAllocationPaymentStatus', () => {
+    test('should add a settled payment to what the allocation already had paid', async () => {
+      const fromSpy = jest.spyOn(mockSupabase, 'from');
+      mockSupabase.setMockResponse('distribution_allocations', { data: { id: 'alloc-1', paid_amount: 400 }, error: null });
+
+      await Distribution.updateAllocationPaymentStatus('alloc-1', 'Paid', 600);
+
+      expect(fromSpy.mock.results[1].value.updateData).toEqual(expect.objectContaining({ status: 'Paid', paid_amount: 1000 }));
+    });
+
+    test('should leave the paid amount alone when only the status changes', async () => {
+      const fromSpy = jest.spyOn(mockSupabase, 'from');
+      mockSupabase.setMockResponse('distribution_allocations', { data: { id: 'alloc-1' }, error: null });
+
+      await Distribution.updateAllocationPaymentStatus('alloc-1', 'Failed');
+
+      expect(fromSpy).toHaveBeenCalledTimes(1);
+      expect(fromSpy.mock.results[0].value.updateData).toEqual({ status: 'Failed' });
+    });
+  });
+
   describe('Field transformation', () => {
     test('should correctly transform camelCase to snake_case', () => {
       const modelData = {
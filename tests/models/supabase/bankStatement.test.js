@@ -0,0 +1,116 @@
+/**
+ * Tests for BankStatement Supabase Model
+ */
+
+const { createMockSupabaseClient } = require('../../helpers/mockSupabase');
+
+// Mock database
+jest.mock('../../../src/config/database', () => ({
+  getSupabase: jest.fn(),
+}));
+
+const { getSupabase } = require('../../../src/config/database');
+const BankStatement = require('../../../src/models/supabase/bankStatement');
+
+describe('BankStatement Model', () => {
+  let mockSupabase;
+
+  beforeEach(() => {
+    mockSupabase = createMockSupabaseClient();
+    getSupabase.mockReturnValue(mockSupabase);
+    jest.clearAllMocks();
+  });
+
+  describe('create', () => {
+    test('should create a statement and map balances', async () => {
+      mockSupabase.setMockResponse('bank_statements', {
+        data: {
+          id: 'stmt-1',
+          format: 'mt940',
+          content_hash: 'abc',
+          opening_balance: '1000.00',
+          closing_balance: null,
+          line_count: 2
+        },
+        error: null
+      });
+
+      const result = await BankStatement.create({ format: 'mt940', contentHash: 'abc' });
+
+      expect(result.openingBalance).toBe(1000);
+      expect(result.closingBalance).toBeNull();
+      expect(result.matchedCount).toBe(0);
+    });
+
+    test('should throw error on database failure', async () => {
+      mockSupabase.setMockResponse('bank_statements', {
+        data: null,
+        error: { message: 'duplicate key' }
+      });
+
+      await expect(BankStatement.create({ format: 'csv' }))
+        .rejects.toThrow('Error creating bank statement: duplicate key');
+    });
+  });
+
+  describe('findByContentHash', () => {
+    test('should return null when the statement was never uploaded', async () => {
+      mockSupabase.setMockResponse('bank_statements', {
+        data: null,
+        error: { code: 'PGRST116', message: 'Not found' }
+      });
+
+      const result = await BankStatement.findByContentHash('abc');
+
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('createLines', () => {
+    test('should not query when there are no lines', async () => {
+      const fromSpy = jest.spyOn(mockSupabase, 'from');
+
+      const result = await BankStatement.createLines('stmt-1', []);
+
+      expect(result).toEqual([]);
+      expect(fromSpy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('findLineById', () => {
+    test('should include the statement structure and uploader', async () => {
+      mockSupabase.setMockResponse('bank_statement_lines', {
+        data: {
+          id: 'line-1',
+          statement_id: 'stmt-1',
+          direction: 'credit',
+          amount: '50000.00',
+          status: 'suggested',
+          bank_statements: { structure_id: 'struct-1', uploaded_by: 'user-1' }
+        },
+        error: null
+      });
+
+      const result = await BankStatement.findLineById('line-1');
+
+      expect(result.amount).toBe(50000);
+      expect(result.structureId).toBe('struct-1');
+      expect(result.uploadedBy).toBe('user-1');
+    });
+  });
+
+  describe('refreshCounts', () => {
+    test('should count credits and matched lines', async () => {
+      jest.spyOn(BankStatement, 'getLines').mockResolvedValue([
+        { direction: 'credit', status: 'matched' },
+        { direction: 'credit', status: 'suggested' },
+        { direction: 'debit', status: 'ignored' }
+      ]);
+      const updateSpy = jest.spyOn(BankStatement, 'findByIdAndUpdate').mockResolvedValue({});
+
+      await BankStatement.refreshCounts('stmt-1');
+
+      expect(updateSpy).toHaveBeenCalledWith('stmt-1', { lineCount: 3, creditCount: 2, matchedCount: 1 });
+    });
+  });
+});
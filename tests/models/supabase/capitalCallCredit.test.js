@@ -0,0 +1,113 @@
+/**
+ * Tests for CapitalCallCredit Supabase Model
+ */
+
+const { createMockSupabaseClient } = require('../../helpers/mockSupabase');
+
+// Mock database
+jest.mock('../../../src/config/database', () => ({
+  getSupabase: jest.fn(),
+}));
+
+const { getSupabase } = require('../../../src/config/database');
+const CapitalCallCredit = require('../../../src/models/supabase/capitalCallCredit');
+
+describe('CapitalCallCredit Model', () => {
+  let mockSupabase;
+
+  beforeEach(() => {
+    mockSupabase = createMockSupabaseClient();
+    getSupabase.mockReturnValue(mockSupabase);
+    jest.clearAllMocks();
+  });
+
+  describe('createMany', () => {
+    test('should return empty array without querying when there are no credits', async () => {
+      const fromSpy = jest.spyOn(mockSupabase, 'from');
+
+      const result = await CapitalCallCredit.createMany([]);
+
+      expect(result).toEqual([]);
+      expect(fromSpy).not.toHaveBeenCalled();
+    });
+
+    test('should create credits and parse amounts', async () => {
+      mockSupabase.setMockResponse('capital_call_credits', {
+        data: [{
+          id: 'credit-1',
+          structure_id: 'struct-1',
+          user_id: 'lp-1',
+          source_capital_call_id: 'call-1',
+          source_allocation_id: 'alloc-1',
+          credit_type: 'credit',
+          amount: '25000.00',
+          capital_amount: '20000.00',
+          fees_amount: '4310.34',
+          vat_amount: '689.66',
+          status: 'available'
+        }],
+        error: null
+      });
+
+      const result = await CapitalCallCredit.createMany([{
+        structureId: 'struct-1',
+        userId: 'lp-1',
+        sourceCapitalCallId: 'call-1',
+        creditType: 'credit',
+        amount: 25000,
+        status: 'available'
+      }]);
+
+      expect(result).toHaveLength(1);
+      expect(result[0].amount).toBe(25000);
+      expect(result[0].vatAmount).toBe(689.66);
+      expect(result[0].status).toBe('available');
+    });
+
+    test('should throw error on create failure', async () => {
+      mockSupabase.setMockResponse('capital_call_credits', {
+        data: null,
+        error: { message: 'Insert failed' }
+      });
+
+      await expect(CapitalCallCredit.createMany([{ structureId: 'struct-1' }]))
+        .rejects.toThrow('Error creating capital call credits: Insert failed');
+    });
+  });
+
+  describe('findById', () => {
+    test('should return null when not found', async () => {
+      mockSupabase.setMockResponse('capital_call_credits', {
+        data: null,
+        error: { code: 'PGRST116', message: 'Not found' }
+      });
+
+      const result = await CapitalCallCredit.findById('missing');
+
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('findByStructureId', () => {
+    test('should map joined investor details', async () => {
+      mockSupabase.setMockResponse('capital_call_credits', {
+        data: [{
+          id: 'credit-1',
+          structure_id: 'struct-1',
+          user_id: 'lp-1',
+          credit_type: 'refund',
+          amount: '1000',
+          status: 'pending_refund',
+          users: { id: 'lp-1', email: 'lp@test.com', first_name: 'Ana', last_name: 'Lopez' }
+        }],
+        error: null
+      });
+
+      const result = await CapitalCallCredit.findByStructureId('struct-1', { status: 'pending_refund' });
+
+      expect(result).toHaveLength(1);
+      expect(result[0].user.email).toBe('lp@test.com');
+      expect(result[0].creditType).toBe('refund');
+    });
+  });
+});
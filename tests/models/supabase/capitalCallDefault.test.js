@@ -0,0 +1,172 @@
+/**
+ * Tests for CapitalCallDefault Supabase Model
+ */
+
+const { createMockSupabaseClient } = require('../../helpers/mockSupabase');
+
+// Mock database
+jest.mock('../../../src/config/database', () => ({
+  getSupabase: jest.fn(),
+}));
+
+const { getSupabase } = require('../../../src/config/database');
+const CapitalCallDefault = require('../../../src/models/supabase/capitalCallDefault');
+
+describe('CapitalCallDefault Model', () => {
+  let mockSupabase;
+
+  beforeEach(() => {
+    mockSupabase = createMockSupabaseClient();
+    getSupabase.mockReturnValue(mockSupabase);
+    jest.clearAllMocks();
+  });
+
+  describe('create', () => {
+    test('should create default record successfully', async () => {
+      mockSupabase.setMockResponse('capital_call_defaults', {
+        data: {
+          id: 'default-1',
+          capital_call_id: 'call-1',
+          allocation_id: 'alloc-1',
+          structure_id: 'struct-1',
+          user_id: 'investor-1',
+          status: 'late',
+          deadline_date: '2024-03-01',
+          outstanding_amount: '50000.00',
+          late_interest_rate: '8.0000',
+          accrued_interest: '0.00',
+          interest_accrued_through: '2024-03-01'
+        },
+        error: null
+      });
+
+      const result = await CapitalCallDefault.create({
+        capitalCallId: 'call-1',
+        allocationId: 'alloc-1',
+        structureId: 'struct-1',
+        userId: 'investor-1',
+        status: 'late',
+        deadlineDate: '2024-03-01',
+        outstandingAmount: 50000
+      });
+
+      expect(result.id).toBe('default-1');
+      expect(result.status).toBe('late');
+      expect(result.outstandingAmount).toBe(50000);
+      expect(result.lateInterestRate).toBe(8);
+      expect(result.accruedInterest).toBe(0);
+    });
+
+    test('should throw error on create failure', async () => {
+      mockSupabase.setMockResponse('capital_call_defaults', {
+        data: null,
+        error: { message: 'Duplicate allocation' }
+      });
+
+      await expect(CapitalCallDefault.create({ allocationId: 'alloc-1' }))
+        .rejects.toThrow('Error creating capital call default: Duplicate allocation');
+    });
+  });
+
+  describe('findByAllocationId', () => {
+    test('should return null when no default exists', async () => {
+      mockSupabase.setMockResponse('capital_call_defaults', {
+        data: null,
+        error: { code: 'PGRST116', message: 'Not found' }
+      });
+
+      const result = await CapitalCallDefault.findByAllocationId('alloc-1');
+
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('findByStructureId', () => {
+    test('should map joined capital call and user data', async () => {
+      mockSupabase.setMockResponse('capital_call_defaults', {
+        data: [{
+          id: 'default-1',
+          structure_id: 'struct-1',
+          user_id: 'investor-1',
+          status: 'in_default',
+          penalty_amount: '2500.00',
+          capital_calls: { id: 'call-1', call_number: 3, call_date: '2024-02-01', deadline_date: '2024-03-01' },
+          users: { id: 'investor-1', email: 'lp@example.com', first_name: 'Jane', last_name: 'Doe' }
+        }],
+        error: null
+      });
+
+      const result = await CapitalCallDefault.findByStructureId('struct-1', { status: 'in_default' });
+
+      expect(result).toHaveLength(1);
+      expect(result[0].penaltyAmount).toBe(2500);
+      expect(result[0].capitalCall.callNumber).toBe(3);
+      expect(result[0].user.email).toBe('lp@example.com');
+    });
+  });
+
+  describe('refreshInvestorStatus', () => {
+    test('should mark investor in default when a defaulting record exists', async () => {
+      mockSupabase.setMockResponse('capital_call_defaults', { data: [{ id: 'default-1' }], error: null });
+      mockSupabase.setMockResponse('structure_investors', { data: null, error: null });
+
+      const status = await CapitalCallDefault.refreshInvestorStatus('investor-1', 'struct-1');
+
+      expect(status).toBe('in_default');
+    });
+
+    test('should return good standing when no defaulting records exist', async () => {
+      mockSupabase.setMockResponse('capital_call_defaults', { data: [], error: null });
+      mockSupabase.setMockResponse('structure_investors', { data: null, error: null });
+
+      const status = await CapitalCallDefault.refreshInvestorStatus('investor-1', 'struct-1');
+
+      expect(status).toBe('good_standing');
+    });
+  });
+
+  describe('calculateLateInterest', () => {
+    test('should accrue simple interest on an actual/365 basis', () => {
+      expect(CapitalCallDefault.calculateLateInterest(100000, 10, 73)).toBe(2000);
+    });
+
+    test('should return 0 without a rate or elapsed days', () => {
+      expect(CapitalCallDefault.calculateLateInterest(100000, 0, 30)).toBe(0);
+      expect(CapitalCallDefault.calculateLateInterest(100000, 10, 0)).toBe(0);
+    });
+  });
+
+  describe('determineEscalation', () => {
+    const policy = { gracePeriodDays: 5, curePeriodDays: 10 };
+
+    test('should stay late within the grace period', () => {
+      const result = CapitalCallDefault.determineEscalation('2024-03-01', '2024-03-06', policy);
+
+      expect(result.status).toBe('late');
+      expect(result.daysPastDue).toBe(5);
+      expect(result.defaultDate).toBe('2024-03-06');
+      expect(result.cureDeadline).toBe('2024-03-16');
+    });
+
+    test('should be in default after the grace period', () => {
+      const result = CapitalCallDefault.determineEscalation('2024-03-01', '2024-03-07', policy);
+
+      expect(result.status).toBe('in_default');
+    });
+
+    test('should be remedy eligible after the cure period', () => {
+      const result = CapitalCallDefault.determineEscalation('2024-03-01', '2024-03-17', policy);
+
+      expect(result.status).toBe('remedy_eligible');
+      expect(result.daysPastDue).toBe(16);
+    });
+  });
+
+  describe('isEscalation', () => {
+    test('should only allow moving forward', () => {
+      expect(CapitalCallDefault.isEscalation('late', 'in_default')).toBe(true);
+      expect(CapitalCallDefault.isEscalation('remedy_eligible', 'in_default')).toBe(false);
+      expect(CapitalCallDefault.isEscalation('in_default', 'in_default')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Tests for CapitalCallExcusal Supabase Model
+ */
+
+const { createMockSupabaseClient } = require('../../helpers/mockSupabase');
+
+// Mock database
+jest.mock('../../../src/config/database', () => ({
+  getSupabase: jest.fn(),
+}));
+
+const { getSupabase } = require('../../../src/config/database');
+const CapitalCallExcusal = require('../../../src/models/supabase/capitalCallExcusal');
+
+describe('CapitalCallExcusal Model', () => {
+  let mockSupabase;
+
+  beforeEach(() => {
+    mockSupabase = createMockSupabaseClient();
+    getSupabase.mockReturnValue(mockSupabase);
+    jest.clearAllMocks();
+  });
+
+  describe('create', () => {
+    test('should create excusal successfully', async () => {
+      mockSupabase.setMockResponse('capital_call_excusals', {
+        data: {
+          id: 'excusal-1',
+          structure_id: 'struct-1',
+          user_id: 'investor-1',
+          capital_call_id: 'call-1',
+          investment_id: null,
+          excusal_type: 'excused',
+          reason: 'ESG policy'
+        },
+        error: null
+      });
+
+      const result = await CapitalCallExcusal.create({
+        structureId: 'struct-1',
+        userId: 'investor-1',
+        capitalCallId: 'call-1',
+        excusalType: 'excused',
+        reason: 'ESG policy'
+      });
+
+      expect(result.id).toBe('excusal-1');
+      expect(result.capitalCallId).toBe('call-1');
+      expect(result.excusalType).toBe('excused');
+    });
+
+    test('should throw error on create failure', async () => {
+      mockSupabase.setMockResponse('capital_call_excusals', {
+        data: null,
+        error: { message: 'Duplicate excusal' }
+      });
+
+      await expect(CapitalCallExcusal.create({ userId: 'investor-1' }))
+        .rejects.toThrow('Error creating excusal: Duplicate excusal');
+    });
+  });
+
+  describe('findById', () => {
+    test('should return null when not found', async () => {
+      mockSupabase.setMockResponse('capital_call_excusals', {
+        data: null,
+        error: { code: 'PGRST116', message: 'Not found' }
+      });
+
+      const result = await CapitalCallExcusal.findById('missing');
+
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('findByStructureId', () => {
+    test('should map joined investor data', async () => {
+      mockSupabase.setMockResponse('capital_call_excusals', {
+        data: [{
+          id: 'excusal-2',
+          structure_id: 'struct-1',
+          user_id: 'investor-2',
+          capital_call_id: null,
+          investment_id: 'inv-1',
+          excusal_type: 'excluded',
+          users: { id: 'investor-2', email: 'lp@example.com', first_name: 'Jane', last_name: 'Doe' }
+        }],
+        error: null
+      });
+
+      const result = await CapitalCallExcusal.findByStructureId('struct-1');
+
+      expect(result).toHaveLength(1);
+      expect(result[0].investmentId).toBe('inv-1');
+      expect(result[0].user.email).toBe('lp@example.com');
+    });
+  });
+});
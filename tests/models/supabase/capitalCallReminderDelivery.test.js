@@ -0,0 +1,106 @@
+/**
+ * Tests for CapitalCallReminderDelivery Supabase Model
+ */
+
+const { createMockSupabaseClient } = require('../../helpers/mockSupabase');
+
+// Mock database
+jest.mock('../../../src/config/database', () => ({
+  getSupabase: jest.fn(),
+}));
+
+const { getSupabase } = require('../../../src/config/database');
+const CapitalCallReminderDelivery = require('../../../src/models/supabase/capitalCallReminderDelivery');
+
+describe('CapitalCallReminderDelivery Model', () => {
+  let mockSupabase;
+
+  const delivery = {
+    capitalCallId: 'call-1',
+    allocationId: 'alloc-1',
+    structureId: 'struct-1',
+    reminderType: 'deadline-3',
+    scheduledDate: '2026-10-29',
+    recipients: ['lp@test.com']
+  };
+
+  beforeEach(() => {
+    mockSupabase = createMockSupabaseClient();
+    getSupabase.mockReturnValue(mockSupabase);
+    jest.clearAllMocks();
+  });
+
+  /**
+   * First query (insert) gets the duplicate-key error, the retry query gets retryResponse
+   */
+  const mockDuplicateThen = (retryResponse) => {
+    mockSupabase.setMockResponse('capital_call_reminder_deliveries', {
+      data: null,
+      error: { code: '23505', message: 'duplicate key value violates unique constraint' }
+    });
+    const originalFrom = mockSupabase.from.bind(mockSupabase);
+    jest.spyOn(mockSupabase, 'from')
+      .mockImplementationOnce(originalFrom)
+      .mockImplementationOnce((table) => {
+        mockSupabase.setMockResponse(table, retryResponse);
+        return originalFrom(table);
+      });
+  };
+
+  describe('claim', () => {
+    test('should claim a new delivery', async () => {
+      mockSupabase.setMockResponse('capital_call_reminder_deliveries', {
+        data: { id: 'delivery-1', capital_call_id: 'call-1', allocation_id: 'alloc-1', reminder_type: 'deadline-3', scheduled_date: '2026-10-29', status: 'sending' },
+        error: null
+      });
+
+      const result = await CapitalCallReminderDelivery.claim(delivery);
+
+      expect(result.id).toBe('delivery-1');
+      expect(result.status).toBe('sending');
+    });
+
+    test('should return null when the delivery was already sent', async () => {
+      mockDuplicateThen({ data: [], error: null });
+
+      const result = await CapitalCallReminderDelivery.claim(delivery);
+
+      expect(result).toBeNull();
+    });
+
+    test('should reclaim a previously failed delivery', async () => {
+      mockDuplicateThen({
+        data: [{ id: 'delivery-1', capital_call_id: 'call-1', reminder_type: 'deadline-3', status: 'sending' }],
+        error: null
+      });
+
+      const result = await CapitalCallReminderDelivery.claim(delivery);
+
+      expect(result.id).toBe('delivery-1');
+    });
+
+    test('should throw on other insert errors', async () => {
+      mockSupabase.setMockResponse('capital_call_reminder_deliveries', {
+        data: null,
+        error: { code: '42P01', message: 'relation does not exist' }
+      });
+
+      await expect(CapitalCallReminderDelivery.claim(delivery))
+        .rejects.toThrow('Error claiming reminder delivery: relation does not exist');
+    });
+  });
+
+  describe('markSent', () => {
+    test('should mark the delivery as sent', async () => {
+      mockSupabase.setMockResponse('capital_call_reminder_deliveries', {
+        data: { id: 'delivery-1', status: 'sent', sent_at: '2026-10-29T08:00:00Z' },
+        error: null
+      });
+
+      const result = await CapitalCallReminderDelivery.markSent('delivery-1');
+
+      expect(result.status).toBe('sent');
+      expect(result.sentAt).toBe('2026-10-29T08:00:00Z');
+    });
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Tests for CapitalCallReminderSchedule Supabase Model
+ */
+
+const { createMockSupabaseClient } = require('../../helpers/mockSupabase');
+
+// Mock database
+jest.mock('../../../src/config/database', () => ({
+  getSupabase: jest.fn(),
+}));
+
+const { getSupabase } = require('../../../src/config/database');
+const CapitalCallReminderSchedule = require('../../../src/models/supabase/capitalCallReminderSchedule');
+
+describe('CapitalCallReminderSchedule Model', () => {
+  let mockSupabase;
+
+  beforeEach(() => {
+    mockSupabase = createMockSupabaseClient();
+    getSupabase.mockReturnValue(mockSupabase);
+    jest.clearAllMocks();
+  });
+
+  describe('getDefaultSchedule', () => {
+    test('should reproduce the 3-day / 1-day / deadline-day cadence', () => {
+      const schedule = CapitalCallReminderSchedule.getDefaultSchedule('struct-1');
+
+      expect(schedule.isDefault).toBe(true);
+      expect(schedule.businessDaysOnly).toBe(true);
+      expect(schedule.steps.map(step => step.offsetDays)).toEqual([-3, -1, 0]);
+    });
+
+    test('should not share step objects between calls', () => {
+      const schedule = CapitalCallReminderSchedule.getDefaultSchedule('struct-1');
+      schedule.steps[0].enabled = false;
+
+      expect(CapitalCallReminderSchedule.DEFAULT_STEPS[0].enabled).toBe(true);
+    });
+  });
+
+  describe('findByStructureId', () => {
+    test('should return null when the structure has no schedule', async () => {
+      mockSupabase.setMockResponse('capital_call_reminder_schedules', {
+        data: null,
+        error: { code: 'PGRST116', message: 'Not found' }
+      });
+
+      const result = await CapitalCallReminderSchedule.findByStructureId('struct-1');
+
+      expect(result).toBeNull();
+    });
+
+    test('should map the stored schedule', async () => {
+      mockSupabase.setMockResponse('capital_call_reminder_schedules', {
+        data: {
+          id: 'sched-1',
+          structure_id: 'struct-1',
+          enabled: true,
+          steps: [{ key: 'deadline+5', offsetDays: 5, recipients: ['lp', 'gp_ops'], escalation: true }],
+          notice_recipients: ['lp', 'advisors'],
+          business_days_only: false,
+          holidays: ['2026-12-25'],
+          advisor_emails: ['counsel@test.com'],
+          gp_ops_emails: null
+        },
+        error: null
+      });
+
+      const result = await CapitalCallReminderSchedule.findByStructureId('struct-1');
+
+      expect(result.isDefault).toBe(false);
+      expect(result.businessDaysOnly).toBe(false);
+      expect(result.steps[0].escalation).toBe(true);
+      expect(result.noticeRecipients).toEqual(['lp', 'advisors']);
+      expect(result.gpOpsEmails).toEqual([]);
+    });
+  });
+
+  describe('findForStructures', () => {
+    test('should fall back to the default schedule for unconfigured structures', async () => {
+      mockSupabase.setMockResponse('capital_call_reminder_schedules', {
+        data: [{ id: 'sched-1', structure_id: 'struct-1', steps: [], business_days_only: true }],
+        error: null
+      });
+
+      const result = await CapitalCallReminderSchedule.findForStructures(['struct-1', 'struct-2', 'struct-1']);
+
+      expect(result.size).toBe(2);
+      expect(result.get('struct-1').isDefault).toBe(false);
+      expect(result.get('struct-2').isDefault).toBe(true);
+    });
+
+    test('should throw error on query failure', async () => {
+      mockSupabase.setMockResponse('capital_call_reminder_schedules', {
+        data: null,
+        error: { message: 'Query failed' }
+      });
+
+      await expect(CapitalCallReminderSchedule.findForStructures(['struct-1']))
+        .rejects.toThrow('Error finding reminder schedules: Query failed');
+    });
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * Tests for Equalization Supabase Model
+ */
+
+const { createMockSupabaseClient } = require('../../helpers/mockSupabase');
+
+// Mock database
+jest.mock('../../../src/config/database', () => ({
+  getSupabase: jest.fn(),
+}));
+
+const { getSupabase } = require('../../../src/config/database');
+const Equalization = require('../../../src/models/supabase/equalization');
+
+describe('Equalization Model', () => {
+  let mockSupabase;
+
+  beforeEach(() => {
+    mockSupabase = createMockSupabaseClient();
+    getSupabase.mockReturnValue(mockSupabase);
+    jest.clearAllMocks();
+  });
+
+  describe('create', () => {
+    test('should create equalization successfully', async () => {
+      mockSupabase.setMockResponse('capital_call_equalizations', {
+        data: {
+          id: 'eq-1',
+          structure_id: 'struct-1',
+          user_id: 'lp-new',
+          capital_call_id: 'call-eq',
+          equalization_date: '2024-07-31',
+          commitment: '500000.00',
+          interest_rate: '8.0000',
+          catch_up_principal: '33333.33',
+          catch_up_fees: '2500.00',
+          catch_up_vat: '0.00',
+          equalization_interest: '1329.68',
+          total_due: '37163.01',
+          prior_calls: [{ capitalCallId: 'call-1', principal: 33333.33 }],
+          refunds: [{ userId: 'lp-a', totalRefund: 20797.81 }],
+          status: 'pending'
+        },
+        error: null
+      });
+
+      const result = await Equalization.create({
+        structureId: 'struct-1',
+        userId: 'lp-new',
+        capitalCallId: 'call-eq',
+        equalizationDate: '2024-07-31',
+        commitment: 500000,
+        status: 'pending'
+      });
+
+      expect(result.id).toBe('eq-1');
+      expect(result.commitment).toBe(500000);
+      expect(result.catchUpPrincipal).toBe(33333.33);
+      expect(result.totalDue).toBe(37163.01);
+      expect(result.refunds).toHaveLength(1);
+      expect(result.status).toBe('pending');
+    });
+
+    test('should throw error on create failure', async () => {
+      mockSupabase.setMockResponse('capital_call_equalizations', {
+        data: null,
+        error: { message: 'Insert failed' }
+      });
+
+      await expect(Equalization.create({ structureId: 'struct-1' }))
+        .rejects.toThrow('Error creating equalization: Insert failed');
+    });
+  });
+
+  describe('findById', () => {
+    test('should return null when not found', async () => {
+      mockSupabase.setMockResponse('capital_call_equalizations', {
+        data: null,
+        error: { code: 'PGRST116', message: 'Not found' }
+      });
+
+      const result = await Equalization.findById('missing');
+
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('findByStructureId', () => {
+    test('should default empty breakdowns', async () => {
+      mockSupabase.setMockResponse('capital_call_equalizations', {
+        data: [{ id: 'eq-1', structure_id: 'struct-1', status: 'settled', prior_calls: null, refunds: null }],
+        error: null
+      });
+
+      const result = await Equalization.findByStructureId('struct-1');
+
+      expect(result).toHaveLength(1);
+      expect(result[0].priorCalls).toEqual([]);
+      expect(result[0].refunds).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * Tests for FxRate Supabase Model
+ */
+
+const { createMockSupabaseClient } = require('../../helpers/mockSupabase');
+
+// Mock database
+jest.mock('../../../src/config/database', () => ({
+  getSupabase: jest.fn(),
+}));
+
+const { getSupabase } = require('../../../src/config/database');
+const FxRate = require('../../../src/models/supabase/fxRate');
+
+describe('FxRate Model', () => {
+  let mockSupabase;
+
+  beforeEach(() => {
+    mockSupabase = createMockSupabaseClient();
+    getSupabase.mockReturnValue(mockSupabase);
+    jest.clearAllMocks();
+  });
+
+  describe('upsert', () => {
+    test('should save a rate and parse the numeric value', async () => {
+      mockSupabase.setMockResponse('fx_rates', {
+        data: {
+          id: 'fx-1',
+          base_currency: 'USD',
+          quote_currency: 'MXN',
+          rate: '17.25000000',
+          rate_date: '2026-03-31',
+          source: 'Banxico'
+        },
+        error: null
+      });
+
+      const result = await FxRate.upsert({
+        baseCurrency: 'USD',
+        quoteCurrency: 'MXN',
+        rate: 17.25,
+        rateDate: '2026-03-31',
+        source: 'Banxico'
+      });
+
+      expect(result.rate).toBe(17.25);
+      expect(result.baseCurrency).toBe('USD');
+      expect(result.quoteCurrency).toBe('MXN');
+    });
+
+    test('should throw error on database failure', async () => {
+      mockSupabase.setMockResponse('fx_rates', {
+        data: null,
+        error: { message: 'Database error' }
+      });
+
+      await expect(FxRate.upsert({ baseCurrency: 'USD' }))
+        .rejects.toThrow('Error saving FX rate: Database error');
+    });
+  });
+
+  describe('findById', () => {
+    test('should return null when not found', async () => {
+      mockSupabase.setMockResponse('fx_rates', {
+        data: null,
+        error: { code: 'PGRST116', message: 'Not found' }
+      });
+
+      const result = await FxRate.findById('missing');
+
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('find', () => {
+    test('should return mapped rates', async () => {
+      mockSupabase.setMockResponse('fx_rates', {
+        data: [
+          { id: 'fx-2', base_currency: 'USD', quote_currency: 'MXN', rate: '17.30', rate_date: '2026-04-01' },
+          { id: 'fx-1', base_currency: 'USD', quote_currency: 'MXN', rate: '17.25', rate_date: '2026-03-31' }
+        ],
+        error: null
+      });
+
+      const result = await FxRate.find({ baseCurrency: 'USD', quoteCurrency: 'MXN', toDate: '2026-04-30' });
+
+      expect(result).toHaveLength(2);
+      expect(result[0].rate).toBe(17.3);
+    });
+  });
+
+  describe('findLatest', () => {
+    test('should return the first row', async () => {
+      mockSupabase.setMockResponse('fx_rates', {
+        data: [{ id: 'fx-2', base_currency: 'USD', quote_currency: 'MXN', rate: '17.30', rate_date: '2026-04-01' }],
+        error: null
+      });
+
+      const result = await FxRate.findLatest('USD', 'MXN', '2026-04-15');
+
+      expect(result.id).toBe('fx-2');
+    });
+
+    test('should return null when no rate is maintained', async () => {
+      mockSupabase.setMockResponse('fx_rates', { data: [], error: null });
+
+      const result = await FxRate.findLatest('USD', 'MXN', '2026-04-15');
+
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('getRate', () => {
+    test('should return 1 for the same currency without querying', async () => {
+      const fromSpy = jest.spyOn(mockSupabase, 'from');
+
+      const result = await FxRate.getRate('USD', 'USD', '2026-04-15');
+
+      expect(result.rate).toBe(1);
+      expect(fromSpy).not.toHaveBeenCalled();
+    });
+
+    test('should use the direct pair when maintained', async () => {
+      jest.spyOn(FxRate, 'findLatest')
+        .mockResolvedValueOnce({ rate: 17.3, rateDate: '2026-04-01', source: 'Banxico' })
+        .mockResolvedValueOnce(null);
+
+      const result = await FxRate.getRate('USD', 'MXN', '2026-04-15');
+
+      expect(result.rate).toBe(17.3);
+      expect(result.inverted).toBe(false);
+    });
+
+    test('should invert the reverse pair when it is more recent', async () => {
+      jest.spyOn(FxRate, 'findLatest')
+        .mockResolvedValueOnce({ rate: 0.9, rateDate: '2026-03-01', source: 'ECB' })
+        .mockResolvedValueOnce({ rate: 1.25, rateDate: '2026-04-10', source: 'ECB' });
+
+      const result = await FxRate.getRate('USD', 'EUR', '2026-04-15');
+
+      expect(result.rate).toBe(0.8);
+      expect(result.rateDate).toBe('2026-04-10');
+      expect(result.inverted).toBe(true);
+    });
+
+    test('should return null when neither pair is maintained', async () => {
+      jest.spyOn(FxRate, 'findLatest').mockResolvedValue(null);
+
+      const result = await FxRate.getRate('USD', 'BRL', '2026-04-15');
+
+      expect(result).toBeNull();
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+  });
+
+  describe('findByIdAndDelete', () => {
+    test('should throw error on database failure', async () => {
+      mockSupabase.setMockResponse('fx_rates', {
+        data: null,
+        error: { message: 'Delete failed' }
+      });
+
+      await expect(FxRate.findByIdAndDelete('fx-1'))
+        .rejects.toThrow('Error deleting FX rate: Delete failed');
+    });
+  });
+});
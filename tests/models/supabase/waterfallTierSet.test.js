@@ -0,0 +1,103 @@
+/**
+ * Tests for WaterfallTierSet Supabase Model
+ */
+
+const { createMockSupabaseClient } = require('../../helpers/mockSupabase');
+
+// Mock database
+jest.mock('../../../src/config/database', () => ({
+  getSupabase: jest.fn(),
+}));
+
+const { getSupabase } = require('../../../src/config/database');
+const WaterfallTierSet = require('../../../src/models/supabase/waterfallTierSet');
+
+describe('WaterfallTierSet Model', () => {
+  let mockSupabase;
+
+  beforeEach(() => {
+    mockSupabase = createMockSupabaseClient();
+    getSupabase.mockReturnValue(mockSupabase);
+    jest.clearAllMocks();
+  });
+
+  describe('snapshotTiers', () => {
+    test('should keep active tiers in tier order without row identity', () => {
+      const snapshot = WaterfallTierSet.snapshotTiers([
+        { id: 'tier-2', tierNumber: 2, tierName: 'Carry', lpSharePercent: '80', gpSharePercent: '20', isActive: true },
+        { id: 'tier-3', tierNumber: 3, tierName: 'Old', lpSharePercent: 50, gpSharePercent: 50, isActive: false },
+        { id: 'tier-1', tierNumber: 1, tierName: 'Return of Capital', lpSharePercent: 100, gpSharePercent: 0, isActive: true },
+      ]);
+
+      expect(snapshot.map(tier => tier.tierNumber)).toEqual([1, 2]);
+      expect(snapshot[1]).toEqual(expect.objectContaining({ lpSharePercent: 80, gpSharePercent: 20, thresholdIrr: null }));
+      expect(snapshot[0].id).toBeUndefined();
+    });
+  });
+
+  describe('validateTierSequence', () => {
+    test('should accept tiers numbered 1..n whose shares sum to 100%', () => {
+      const result = WaterfallTierSet.validateTierSequence([
+        { tierNumber: 1, lpSharePercent: 100, gpSharePercent: 0 },
+        { tierNumber: 2, lpSharePercent: 80, gpSharePercent: 20, thresholdIrr: 8 },
+      ]);
+
+      expect(result).toEqual({ isValid: true, errors: [] });
+    });
+
+    test('should report duplicates and gaps', () => {
+      const result = WaterfallTierSet.validateTierSequence([
+        { tierNumber: 1, lpSharePercent: 100, gpSharePercent: 0 },
+        { tierNumber: 1, lpSharePercent: 100, gpSharePercent: 0 },
+        { tierNumber: 4, lpSharePercent: 80, gpSharePercent: 20 },
+      ]);
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toEqual(['Duplicate tier numbers: 1', 'Tier sequence has gaps: missing tier 2, 3']);
+    });
+  });
+
+  describe('publish', () => {
+    test('should publish the next version number', async () => {
+      mockSupabase.setMockResponse('waterfall_tier_sets', {
+        data: [{ id: 'set-1', structure_id: 'struct-456', version_number: 1, effective_date: '2023-01-01', tiers: [] }],
+        error: null,
+      });
+      const createSpy = jest.spyOn(WaterfallTierSet, 'create').mockImplementation(async data => data);
+
+      const result = await WaterfallTierSet.publish('struct-456', [
+        { tierNumber: 1, lpSharePercent: 100, gpSharePercent: 0 },
+      ], { effectiveDate: '2025-01-01', createdBy: 'user-123' });
+
+      expect(createSpy).toHaveBeenCalled();
+      expect(result).toEqual(expect.objectContaining({ structureId: 'struct-456', versionNumber: 2, effectiveDate: '2025-01-01' }));
+    });
+
+    test('should throw on an invalid tier sequence', async () => {
+      await expect(WaterfallTierSet.publish('struct-456', [
+        { tierNumber: 2, lpSharePercent: 100, gpSharePercent: 0 },
+      ], { effectiveDate: '2025-01-01' })).rejects.toThrow('Invalid waterfall tier set: Tier sequence has gaps: missing tier 1');
+    });
+  });
+
+  describe('findEffective', () => {
+    test('should return the latest version effective on or before the date', async () => {
+      mockSupabase.setMockResponse('waterfall_tier_sets', {
+        data: [{ id: 'set-2', structure_id: 'struct-456', version_number: 2, effective_date: '2024-07-01', tiers: [] }],
+        error: null,
+      });
+
+      const result = await WaterfallTierSet.findEffective('struct-456', new Date('2024-09-30T12:00:00Z'));
+
+      expect(result).toEqual(expect.objectContaining({ id: 'set-2', versionNumber: 2 }));
+    });
+
+    test('should return null when no version is in effect', async () => {
+      mockSupabase.setMockResponse('waterfall_tier_sets', { data: [], error: null });
+
+      const result = await WaterfallTierSet.findEffective('struct-456', '2020-01-01');
+
+      expect(result).toBeNull();
+    });
+  });
+});
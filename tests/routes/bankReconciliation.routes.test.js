@@ -0,0 +1,457 @@
+/**
+ * Bank Reconciliation Routes Tests
+ * Tests for src/routes/bankReconciliation.routes.js
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { createMockSupabaseClient } = require('../helpers/mockSupabase');
+
+// Mock dependencies
+jest.mock('../../src/config/database', () => ({
+  getSupabase: jest.fn(),
+}));
+
+jest.mock('../../src/middleware/auth', () => ({
+  authenticate: (req, res, next) => {
+    req.auth = { userId: 'user-123', userRole: 0 };
+    req.user = { id: 'user-123' };
+    next();
+  },
+}));
+
+jest.mock('../../src/middleware/rbac', () => ({
+  requireInvestmentManagerAccess: (req, res, next) => next(),
+  getUserContext: (req) => ({
+    userId: req.auth?.userId || 'user-123',
+    userRole: req.headers['x-test-role'] !== undefined ? Number(req.headers['x-test-role']) : 0,
+  }),
+  ROLES: {
+    ROOT: 0,
+    ADMIN: 1,
+    STAFF: 2,
+    SUPPORT: 2,
+    INVESTOR: 3,
+    GUEST: 4,
+  },
+}));
+
+const { getSupabase } = require('../../src/config/database');
+const BankStatement = require('../../src/models/supabase/bankStatement');
+const BankStatementMatch = require('../../src/models/supabase/bankStatementMatch');
+const CapitalCall = require('../../src/models/supabase/capitalCall');
+const FxRate = require('../../src/models/supabase/fxRate');
+const Payment = require('../../src/models/supabase/payment');
+const Structure = require('../../src/models/supabase/structure');
+
+const CSV_STATEMENT = [
+  'Date,Description,Payer,Amount,Currency,Transaction ID',
+  '15/04/2026,Subscription pay-8f2c91d4,Jane Doe,50000.00,USD,TX1',
+  '16/04/2026,Bank charges,,-12.50,USD,TX2'
+].join('\n');
+
+const pendingPayment = {
+  id: 'pay-8f2c91d4',
+  structureId: 'struct-1',
+  userId: 'investor-1',
+  investorName: 'Jane Doe',
+  amount: 50000,
+  status: 'pending'
+};
+
+function mockImport() {
+  jest.spyOn(BankStatement, 'findByContentHash').mockResolvedValue(null);
+  jest.spyOn(BankStatement, 'create').mockImplementation(async data => ({ id: 'stmt-1', ...data }));
+  jest.spyOn(BankStatement, 'createLines').mockImplementation(async (statementId, lines) =>
+    lines.map(line => ({ id: `line-${line.lineIndex}`, statementId, ...line })));
+  jest.spyOn(BankStatement, 'updateLine').mockImplementation(async (id, data) => ({ id, ...data }));
+  jest.spyOn(BankStatement, 'findByIdAndUpdate').mockImplementation(async (id, data) => ({ id, ...data }));
+  jest.spyOn(BankStatementMatch, 'createMany').mockImplementation(async matches =>
+    matches.map((match, index) => ({ id: `match-${index}`, ...match })));
+  jest.spyOn(BankStatementMatch, 'rejectSuggestionsForLine').mockResolvedValue(true);
+}
+
+describe('Bank Reconciliation Routes', () => {
+  let app;
+  let mockSupabase;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/bank-reconciliation', require('../../src/routes/bankReconciliation.routes'));
+  });
+
+  beforeEach(() => {
+    mockSupabase = createMockSupabaseClient();
+    getSupabase.mockReturnValue(mockSupabase);
+    mockSupabase.setMockResponse('capital_call_allocations', { data: [], error: null });
+    jest.clearAllMocks();
+    jest.spyOn(BankStatementMatch, 'findByLineId').mockResolvedValue([]);
+    jest.spyOn(BankStatementMatch, 'findByIdAndUpdate').mockImplementation(async (id, data) => ({ id, ...data }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('GET /api/bank-reconciliation/health', () => {
+    test('should return health status', async () => {
+      const response = await request(app)
+        .get('/api/bank-reconciliation/health');
+
+      expect(response.status).toBe(200);
+      expect(response.body.service).toBe('Bank Reconciliation API');
+    });
+  });
+
+  describe('POST /api/bank-reconciliation/statements', () => {
+    test('should import a CSV statement and auto-match a clear winner', async () => {
+      mockImport();
+      jest.spyOn(Structure, 'findById').mockResolvedValue({ id: 'struct-1', createdBy: 'user-123' });
+      jest.spyOn(Payment, 'findByStatus').mockResolvedValue([pendingPayment]);
+      const approveSpy = jest.spyOn(Payment, 'approve').mockResolvedValue({ ...pendingPayment, status: 'approved' });
+
+      const response = await request(app)
+        .post('/api/bank-reconciliation/statements')
+        .send({ content: CSV_STATEMENT, fileName: 'april.csv', structureId: 'struct-1' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.summary).toEqual({ credits: 1, autoMatched: 1, suggested: 0, unmatched: 0 });
+      expect(approveSpy).toHaveBeenCalledWith('pay-8f2c91d4', 'user-123', expect.stringContaining('TX1'));
+      expect(BankStatementMatch.createMany).toHaveBeenCalledWith([
+        expect.objectContaining({ targetId: 'pay-8f2c91d4', status: 'confirmed', method: 'auto', confidence: 100 })
+      ]);
+    });
+
+    test('should queue a weak match as a suggestion', async () => {
+      mockImport();
+      jest.spyOn(Structure, 'findById').mockResolvedValue({ id: 'struct-1', createdBy: 'user-123' });
+      jest.spyOn(Payment, 'findByStatus').mockResolvedValue([{ ...pendingPayment, id: 'pay-other' }]);
+      const approveSpy = jest.spyOn(Payment, 'approve');
+
+      const response = await request(app)
+        .post('/api/bank-reconciliation/statements')
+        .send({ content: CSV_STATEMENT, fileName: 'april.csv', structureId: 'struct-1' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.summary.suggested).toBe(1);
+      expect(approveSpy).not.toHaveBeenCalled();
+      expect(BankStatement.updateLine).toHaveBeenCalledWith('line-0', { status: 'suggested', matchConfidence: 65 });
+    });
+
+    test('should store debits as ignored lines', async () => {
+      mockImport();
+      jest.spyOn(Payment, 'findByStatus').mockResolvedValue([]);
+
+      await request(app)
+        .post('/api/bank-reconciliation/statements')
+        .send({ content: CSV_STATEMENT, fileName: 'april.csv' });
+
+      const storedLines = BankStatement.createLines.mock.calls[0][1];
+      expect(storedLines.map(line => line.status)).toEqual(['unmatched', 'ignored']);
+    });
+
+    test('should refuse a statement that was already uploaded', async () => {
+      jest.spyOn(BankStatement, 'findByContentHash').mockResolvedValue({ id: 'stmt-old' });
+
+      const response = await request(app)
+        .post('/api/bank-reconciliation/statements')
+        .send({ content: CSV_STATEMENT, fileName: 'april.csv' });
+
+      expect(response.status).toBe(409);
+      expect(response.body.data.statementId).toBe('stmt-old');
+    });
+
+    test('should return 400 for an unreadable statement', async () => {
+      jest.spyOn(BankStatement, 'findByContentHash').mockResolvedValue(null);
+
+      const response = await request(app)
+        .post('/api/bank-reconciliation/statements')
+        .send({ content: 'not a statement', fileName: 'april.csv' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.success).toBe(false);
+    });
+
+    test('should require a structure for admins', async () => {
+      const response = await request(app)
+        .post('/api/bank-reconciliation/statements')
+        .set('x-test-role', '1')
+        .send({ content: CSV_STATEMENT, fileName: 'april.csv' });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should reject support users', async () => {
+      const response = await request(app)
+        .post('/api/bank-reconciliation/statements')
+        .set('x-test-role', '2')
+        .send({ content: CSV_STATEMENT, fileName: 'april.csv' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/bank-reconciliation/queue', () => {
+    test('should return queued lines with their open suggestions', async () => {
+      jest.spyOn(BankStatement, 'findQueue').mockResolvedValue([{ id: 'line-0', status: 'suggested' }]);
+      jest.spyOn(BankStatementMatch, 'findByLineIds').mockResolvedValue([
+        { id: 'match-1', lineId: 'line-0', status: 'suggested' },
+        { id: 'match-2', lineId: 'line-0', status: 'rejected' }
+      ]);
+
+      const response = await request(app)
+        .get('/api/bank-reconciliation/queue');
+
+      expect(response.status).toBe(200);
+      expect(response.body.count).toBe(1);
+      expect(response.body.data[0].matches).toHaveLength(1);
+    });
+
+    test('should scope admins to their own statements', async () => {
+      const queueSpy = jest.spyOn(BankStatement, 'findQueue').mockResolvedValue([]);
+      jest.spyOn(BankStatementMatch, 'findByLineIds').mockResolvedValue([]);
+
+      await request(app)
+        .get('/api/bank-reconciliation/queue')
+        .set('x-test-role', '1');
+
+      expect(queueSpy).toHaveBeenCalledWith(expect.objectContaining({ uploadedBy: 'user-123' }));
+    });
+  });
+
+  describe('POST /api/bank-reconciliation/lines/:lineId/confirm', () => {
+    const queuedLine = {
+      id: 'line-0',
+      statementId: 'stmt-1',
+      direction: 'credit',
+      amount: 50000,
+      currency: 'USD',
+      status: 'suggested',
+      structureId: 'struct-1',
+      uploadedBy: 'user-123',
+      bankReference: 'TX1'
+    };
+
+    test('should confirm a suggestion', async () => {
+      jest.spyOn(BankStatement, 'findLineById').mockResolvedValue(queuedLine);
+      jest.spyOn(BankStatementMatch, 'findById').mockResolvedValue({
+        id: 'match-1', lineId: 'line-0', status: 'suggested', targetType: 'payment', targetId: 'pay-8f2c91d4', confidence: 65
+      });
+      jest.spyOn(Payment, 'findById').mockResolvedValue(pendingPayment);
+      const approveSpy = jest.spyOn(Payment, 'approve').mockResolvedValue({});
+      const updateMatchSpy = jest.spyOn(BankStatementMatch, 'findByIdAndUpdate').mockResolvedValue({ id: 'match-1', confidence: 65 });
+      jest.spyOn(BankStatementMatch, 'rejectSuggestionsForLine').mockResolvedValue(true);
+      jest.spyOn(BankStatement, 'updateLine').mockImplementation(async (id, data) => ({ id, ...data }));
+      jest.spyOn(BankStatement, 'refreshCounts').mockResolvedValue({});
+
+      const response = await request(app)
+        .post('/api/bank-reconciliation/lines/line-0/confirm')
+        .send({ matchId: 'match-1' });
+
+      expect(response.status).toBe(200);
+      expect(approveSpy).toHaveBeenCalled();
+      expect(updateMatchSpy).toHaveBeenCalledWith('match-1', expect.objectContaining({ status: 'confirmed', method: 'manual' }));
+      expect(response.body.data.line.status).toBe('matched');
+    });
+
+    test('should not match a target that is already settled', async () => {
+      jest.spyOn(BankStatement, 'findLineById').mockResolvedValue(queuedLine);
+      jest.spyOn(Payment, 'findById').mockResolvedValue({ ...pendingPayment, status: 'approved' });
+      const approveSpy = jest.spyOn(Payment, 'approve');
+
+      const response = await request(app)
+        .post('/api/bank-reconciliation/lines/line-0/confirm')
+        .send({ targetType: 'payment', targetId: 'pay-8f2c91d4' });
+
+      expect(response.status).toBe(400);
+      expect(approveSpy).not.toHaveBeenCalled();
+    });
+
+    test('should not approve a reported payment the bank credit does not agree with', async () => {
+      jest.spyOn(BankStatement, 'findLineById').mockResolvedValue({ ...queuedLine, amount: 40000 });
+      mockSupabase.setMockResponse('capital_call_allocations', {
+        data: {
+          id: 'alloc-1',
+          capital_call_id: 'call-1',
+          capital_calls: { id: 'call-1', structure_id: 'struct-1', status: 'Sent' },
+          user_id: 'investor-1',
+          status: 'Pending',
+          total_due: 100000,
+          paid_amount: 50000,
+          payment_approval_status: 'pending'
+        },
+        error: null
+      });
+      const refreshSpy = jest.spyOn(CapitalCall, 'refreshPaymentTotals');
+      const createMatchSpy = jest.spyOn(BankStatementMatch, 'createMany');
+
+      const response = await request(app)
+        .post('/api/bank-reconciliation/lines/line-0/confirm')
+        .send({ targetType: 'capital_call_allocation', targetId: 'alloc-1' });
+
+      expect(response.status).toBe(400);
+      expect(refreshSpy).not.toHaveBeenCalled();
+      expect(createMatchSpy).not.toHaveBeenCalled();
+    });
+
+    test('should leave a payment-currency credit in the queue while no FX rate is maintained', async () => {
+      jest.spyOn(BankStatement, 'findLineById').mockResolvedValue({ ...queuedLine, currency: 'EUR', amount: 45000, bookingDate: '2026-04-15' });
+      mockSupabase.setMockResponse('capital_call_allocations', {
+        data: {
+          id: 'alloc-1',
+          capital_call_id: 'call-1',
+          capital_calls: { id: 'call-1', structure_id: 'struct-1', status: 'Sent' },
+          user_id: 'investor-1',
+          status: 'Pending',
+          total_due: 100000,
+          paid_amount: 0,
+          payment_currency: 'EUR',
+          fx_rate: 0.9,
+          total_due_payment_currency: 90000
+        },
+        error: null
+      });
+      jest.spyOn(Structure, 'findById').mockResolvedValue({ id: 'struct-1', baseCurrency: 'USD' });
+      jest.spyOn(FxRate, 'getRate').mockResolvedValue(null);
+      const refreshSpy = jest.spyOn(CapitalCall, 'refreshPaymentTotals');
+      const createMatchSpy = jest.spyOn(BankStatementMatch, 'createMany');
+
+      const response = await request(app)
+        .post('/api/bank-reconciliation/lines/line-0/confirm')
+        .send({ targetType: 'capital_call_allocation', targetId: 'alloc-1' });
+
+      expect(response.status).toBe(400);
+      expect(FxRate.getRate).toHaveBeenCalledWith('USD', 'EUR', '2026-04-15');
+      expect(refreshSpy).not.toHaveBeenCalled();
+      expect(createMatchSpy).not.toHaveBeenCalled();
+    });
+
+    test('should not work a line that is already matched', async () => {
+      jest.spyOn(BankStatement, 'findLineById').mockResolvedValue({ ...queuedLine, status: 'matched' });
+
+      const response = await request(app)
+        .post('/api/bank-reconciliation/lines/line-0/confirm')
+        .send({ targetType: 'payment', targetId: 'pay-8f2c91d4' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('POST /api/bank-reconciliation/lines/:lineId/split', () => {
+    test('should reject splits that do not add up to the credit', async () => {
+      jest.spyOn(BankStatement, 'findLineById').mockResolvedValue({
+        id: 'line-0', direction: 'credit', amount: 50000, status: 'unmatched', uploadedBy: 'user-123'
+      });
+      jest.spyOn(Payment, 'findById').mockImplementation(async id => ({ ...pendingPayment, id }));
+      const approveSpy = jest.spyOn(Payment, 'approve');
+
+      const response = await request(app)
+        .post('/api/bank-reconciliation/lines/line-0/split')
+        .send({
+          splits: [
+            { targetType: 'payment', targetId: 'pay-1', amount: 20000 },
+            { targetType: 'payment', targetId: 'pay-2', amount: 20000 }
+          ]
+        });
+
+      expect(response.status).toBe(400);
+      expect(approveSpy).not.toHaveBeenCalled();
+    });
+
+    test('should apply each split', async () => {
+      jest.spyOn(BankStatement, 'findLineById').mockResolvedValue({
+        id: 'line-0', statementId: 'stmt-1', direction: 'credit', amount: 50000, status: 'unmatched', uploadedBy: 'user-123'
+      });
+      jest.spyOn(Payment, 'findById').mockImplementation(async id => ({ ...pendingPayment, id }));
+      const approveSpy = jest.spyOn(Payment, 'approve').mockResolvedValue({});
+      jest.spyOn(BankStatementMatch, 'createMany').mockImplementation(async matches => matches);
+      jest.spyOn(BankStatementMatch, 'rejectSuggestionsForLine').mockResolvedValue(true);
+      jest.spyOn(BankStatement, 'updateLine').mockImplementation(async (id, data) => ({ id, ...data }));
+      jest.spyOn(BankStatement, 'refreshCounts').mockResolvedValue({});
+
+      const response = await request(app)
+        .post('/api/bank-reconciliation/lines/line-0/split')
+        .send({
+          splits: [
+            { targetType: 'payment', targetId: 'pay-1', amount: 30000 },
+            { targetType: 'payment', targetId: 'pay-2', amount: 20000 }
+          ]
+        });
+
+      expect(response.status).toBe(200);
+      expect(approveSpy).toHaveBeenCalledTimes(2);
+      expect(BankStatementMatch.createMany).toHaveBeenCalledWith([
+        expect.objectContaining({ targetId: 'pay-1', amount: 30000, method: 'split' }),
+        expect.objectContaining({ targetId: 'pay-2', amount: 20000, method: 'split' })
+      ]);
+    });
+    test('should only book the splits a failed attempt did not reach when retried', async () => {
+      jest.spyOn(BankStatement, 'findLineById').mockResolvedValue({
+        id: 'line-0', statementId: 'stmt-1', direction: 'credit', amount: 50000, status: 'unmatched', uploadedBy: 'user-123'
+      });
+      jest.spyOn(BankStatementMatch, 'findByLineId').mockResolvedValue([
+        { id: 'match-1', lineId: 'line-0', status: 'confirmed', targetType: 'payment', targetId: 'pay-1', confidence: 60, appliedAt: '2026-04-15T10:00:00Z' },
+        { id: 'match-2', lineId: 'line-0', status: 'confirmed', targetType: 'payment', targetId: 'pay-2', confidence: 60, appliedAt: null }
+      ]);
+      jest.spyOn(Payment, 'findById').mockImplementation(async id => ({ ...pendingPayment, id, status: id === 'pay-1' ? 'approved' : 'pending' }));
+      const approveSpy = jest.spyOn(Payment, 'approve').mockResolvedValue({});
+      const createMatchSpy = jest.spyOn(BankStatementMatch, 'createMany');
+      jest.spyOn(BankStatementMatch, 'rejectSuggestionsForLine').mockResolvedValue(true);
+      jest.spyOn(BankStatement, 'updateLine').mockImplementation(async (id, data) => ({ id, ...data }));
+      jest.spyOn(BankStatement, 'refreshCounts').mockResolvedValue({});
+
+      const response = await request(app)
+        .post('/api/bank-reconciliation/lines/line-0/split')
+        .send({
+          splits: [
+            { targetType: 'payment', targetId: 'pay-1', amount: 30000 },
+            { targetType: 'payment', targetId: 'pay-2', amount: 20000 }
+          ]
+        });
+
+      expect(response.status).toBe(200);
+      expect(approveSpy).toHaveBeenCalledTimes(1);
+      expect(approveSpy).toHaveBeenCalledWith('pay-2', 'user-123', expect.any(String));
+      expect(createMatchSpy).toHaveBeenCalledWith([]);
+      expect(BankStatementMatch.findByIdAndUpdate).toHaveBeenCalledWith('match-2', expect.objectContaining({ appliedAt: expect.any(String) }));
+      expect(BankStatementMatch.findByIdAndUpdate).not.toHaveBeenCalledWith('match-1', expect.anything());
+    });
+  });
+
+  describe('POST /api/bank-reconciliation/lines/:lineId/reject', () => {
+    test('should drop the line back to unmatched when its last suggestion is rejected', async () => {
+      jest.spyOn(BankStatement, 'findLineById').mockResolvedValue({
+        id: 'line-0', direction: 'credit', amount: 50000, status: 'suggested', uploadedBy: 'user-123'
+      });
+      jest.spyOn(BankStatementMatch, 'findById').mockResolvedValue({ id: 'match-1', lineId: 'line-0', status: 'suggested' });
+      jest.spyOn(BankStatementMatch, 'findByIdAndUpdate').mockResolvedValue({});
+      jest.spyOn(BankStatementMatch, 'findByLineId').mockResolvedValue([{ id: 'match-1', status: 'rejected' }]);
+      const updateLineSpy = jest.spyOn(BankStatement, 'updateLine').mockImplementation(async (id, data) => ({ id, ...data }));
+
+      const response = await request(app)
+        .post('/api/bank-reconciliation/lines/line-0/reject')
+        .send({ matchId: 'match-1' });
+
+      expect(response.status).toBe(200);
+      expect(updateLineSpy).toHaveBeenCalledWith('line-0', { status: 'unmatched', matchConfidence: null });
+    });
+
+    test('should ignore the whole line without a matchId', async () => {
+      jest.spyOn(BankStatement, 'findLineById').mockResolvedValue({
+        id: 'line-0', direction: 'credit', amount: 50000, status: 'suggested', uploadedBy: 'user-123'
+      });
+      const rejectSpy = jest.spyOn(BankStatementMatch, 'rejectSuggestionsForLine').mockResolvedValue(true);
+      jest.spyOn(BankStatement, 'updateLine').mockImplementation(async (id, data) => ({ id, ...data }));
+
+      const response = await request(app)
+        .post('/api/bank-reconciliation/lines/line-0/reject')
+        .send({ notes: 'Interest payment' });
+
+      expect(response.status).toBe(200);
+      expect(rejectSpy).toHaveBeenCalledWith('line-0');
+      expect(response.body.data.status).toBe('ignored');
+      expect(response.body.data.notes).toBe('Interest payment');
+    });
+  });
+});
@@ -39,6 +39,17 @@ jest.mock('../../src/middleware/rbac', () => ({
 const { getSupabase } = require('../../src/config/database');
 const CapitalCall = require('../../src/models/supabase/capitalCall');
 const Structure = require('../../src/models/supabase/structure');
+const CapitalCallDefault = require('../../src/models/supabase/capitalCallDefault');
+const ApprovalHistory = require('../../src/models/supabase/approvalHistory');
+const User = require('../../src/models/supabase/user');
+const Equalization = require('../../src/models/supabase/equalization');
+const CapitalCallExcusal = require('../../src/models/supabase/capitalCallExcusal');
+const StructureInvestor = require('../../src/models/supabase/structureInvestor');
+const FirmSettings = require('../../src/models/supabase/firmSettings');
+const CapitalCallCredit = require('../../src/models/supabase/capitalCallCredit');
+const CapitalCallReminderSchedule = require('../../src/models/supabase/capitalCallReminderSchedule');
+const CapitalCallReminderDelivery = require('../../src/models/supabase/capitalCallReminderDelivery');
+const Notification = require('../../src/models/supabase/notification');
 
 describe('Capital Call Routes', () => {
   let app;
@@ -113,6 +124,31 @@ describe('Capital Call Routes', () => {
       expect(response.body.data.capitalCall.callNumber).toBe('CC-001');
     });
 
+    test('should only create fee or expense calls without an investment after the investment period', async () => {
+      jest.spyOn(Structure, 'findById').mockResolvedValue({
+        id: 'struct-456',
+        createdBy: 'user-123',
+        inceptionDate: '2018-01-31',
+        investmentPeriodYears: 5,
+        lifecycleStage: 'harvesting'
+      });
+      const createSpy = jest.spyOn(CapitalCall, 'create').mockImplementation(async data => ({ id: 'call-790', ...data }));
+
+      const rejected = await request(app)
+        .post('/api/capital-calls')
+        .send({ structureId: 'struct-456', callNumber: 'CC-010', totalCallAmount: 50000, callDate: '2024-03-01' });
+
+      expect(rejected.status).toBe(400);
+      expect(createSpy).not.toHaveBeenCalled();
+
+      const response = await request(app)
+        .post('/api/capital-calls')
+        .send({ structureId: 'struct-456', callNumber: 'CC-010', totalCallAmount: 50000, callDate: '2024-03-01', callType: 'expenses' });
+
+      expect(response.status).toBe(201);
+      expect(createSpy).toHaveBeenCalledWith(expect.objectContaining({ callType: 'expenses', investmentId: null }));
+    });
+
     test('should return 400 if required fields are missing', async () => {
       const response = await request(app)
         .post('/api/capital-calls')
@@ -549,6 +585,55 @@ describe('Capital Call Routes', () => {
     });
   });
 
+  describe('Allocation preview (dry run)', () => {
+    const capitalCallData = { id: 'call-789', structureId: 'struct-456', callNumber: 4, createdBy: 'user-123' };
+    const structureData = { id: 'struct-456', name: 'Test Structure' };
+    const preview = {
+      capitalCall: { id: 'call-789', callNumber: 4, totalCallAmount: 100000 },
+      investors: [
+        { userId: 'investor-1', investorName: 'Ann Lee', commitment: 50000, principalAmount: 60000, totalDue: 60000, totalDrawdown: 60000, remainingUnfunded: -10000, overCalled: true }
+      ],
+      totals: { investorCount: 1, principalAmount: 60000, totalDue: 60000, remainingUnfunded: -10000 },
+      warnings: [{ code: 'over_commitment', userId: 'investor-1', message: 'Ann Lee would be called 10000 beyond their commitment' }]
+    };
+
+    beforeEach(() => {
+      jest.spyOn(CapitalCall, 'findById').mockResolvedValue(capitalCallData);
+      jest.spyOn(Structure, 'findById').mockResolvedValue(structureData);
+      jest.spyOn(CapitalCall, 'previewAllocationsForStructure').mockResolvedValue(preview);
+      jest.spyOn(CapitalCall, 'createAllocationsForStructure').mockResolvedValue([]);
+    });
+
+    test('should return the preview without creating allocations', async () => {
+      const response = await request(app)
+        .get('/api/capital-calls/call-789/allocation-preview');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.warnings[0].code).toBe('over_commitment');
+      expect(CapitalCall.previewAllocationsForStructure).toHaveBeenCalledWith('call-789', 'struct-456');
+      expect(CapitalCall.createAllocationsForStructure).not.toHaveBeenCalled();
+    });
+
+    test('should support dryRun on create-allocations', async () => {
+      const response = await request(app)
+        .post('/api/capital-calls/call-789/create-allocations')
+        .send({ dryRun: true });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.totals.totalDue).toBe(60000);
+      expect(CapitalCall.createAllocationsForStructure).not.toHaveBeenCalled();
+    });
+
+    test('should download the preview as Excel', async () => {
+      const response = await request(app)
+        .get('/api/capital-calls/call-789/allocation-preview?format=excel');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toContain('spreadsheetml');
+      expect(response.headers['content-disposition']).toContain('Capital_Call_4_Allocation_Preview.xlsx');
+    });
+  });
+
   describe('DELETE /api/capital-calls/:id', () => {
     test('should delete capital call successfully', async () => {
       const capitalCallData = {
@@ -559,6 +644,7 @@ describe('Capital Call Routes', () => {
 
       jest.spyOn(CapitalCall, 'findById').mockResolvedValue(capitalCallData);
       jest.spyOn(CapitalCall, 'findByIdAndDelete').mockResolvedValue(capitalCallData);
+      const releaseSpy = jest.spyOn(CapitalCallCredit, 'releaseForCapitalCall').mockResolvedValue([]);
 
       const response = await request(app)
         .delete('/api/capital-calls/call-789');
@@ -566,6 +652,8 @@ describe('Capital Call Routes', () => {
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
       expect(response.body.message).toBe('Capital call deleted successfully');
+      // Credits applied to the draft call become available again
+      expect(releaseSpy).toHaveBeenCalledWith('call-789');
     });
 
     test('should return 400 if capital call not found', async () => {
@@ -576,6 +664,772 @@ describe('Capital Call Routes', () => {
 
       expect(response.status).toBe(400);
     });
+
+    test('should refuse to delete a call that has been sent to investors', async () => {
+      jest.spyOn(CapitalCall, 'findById').mockResolvedValue({
+        id: 'call-789',
+        structureId: 'struct-456',
+        status: 'Sent',
+        createdBy: 'user-123'
+      });
+      const deleteSpy = jest.spyOn(CapitalCall, 'findByIdAndDelete');
+
+      const response = await request(app)
+        .delete('/api/capital-calls/call-789');
+
+      expect(response.status).toBe(400);
+      expect(deleteSpy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Capital call cancellation', () => {
+    const structureData = { id: 'struct-456', name: 'Test Structure', currency: 'USD', totalCalled: 1500000, createdBy: 'user-123' };
+    const sentCall = {
+      id: 'call-789',
+      structureId: 'struct-456',
+      callNumber: 3,
+      status: 'Partially Paid',
+      totalCallAmount: 500000,
+      createdBy: 'user-123'
+    };
+
+    beforeEach(() => {
+      jest.spyOn(Structure, 'findById').mockResolvedValue(structureData);
+      jest.spyOn(Structure, 'updateFinancials').mockResolvedValue({});
+      jest.spyOn(User, 'findById').mockResolvedValue({ id: 'user-123', name: 'GP User' });
+      jest.spyOn(ApprovalHistory, 'logAction').mockResolvedValue({});
+      jest.spyOn(Notification, 'createMany').mockResolvedValue([]);
+      jest.spyOn(CapitalCallDefault, 'findByStructureId').mockResolvedValue([]);
+      jest.spyOn(CapitalCall, 'getAllocationsWithUsers').mockResolvedValue([
+        { id: 'alloc-1', userId: 'lp-1', paidAmount: '200000', capitalPaid: '180000', feesPaid: '17241.38', vatPaid: '2758.62', user: {} },
+        { id: 'alloc-2', userId: 'lp-2', paidAmount: '0', user: {} }
+      ]);
+      jest.spyOn(CapitalCallCredit, 'findBySourceCapitalCallId').mockResolvedValue([]);
+      jest.spyOn(CapitalCall, 'voidAllocations').mockResolvedValue([
+        { id: 'alloc-1', user_id: 'lp-1' },
+        { id: 'alloc-2', user_id: 'lp-2' }
+      ]);
+      jest.spyOn(CapitalCallCredit, 'createMany').mockImplementation(async (credits) =>
+        credits.map((credit, i) => ({ id: `credit-${i + 1}`, ...credit }))
+      );
+      jest.spyOn(CapitalCall, 'findByIdAndUpdate').mockImplementation(async (id, data) => ({ ...sentCall, ...data }));
+    });
+
+    test('should void allocations, credit payments and reverse called capital', async () => {
+      jest.spyOn(CapitalCall, 'findById').mockResolvedValue(sentCall);
+
+      const response = await request(app)
+        .post('/api/capital-calls/call-789/cancel')
+        .send({ reason: ' Deal fell through ' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.voidedAllocations).toBe(2);
+      expect(response.body.data.reversedCalledAmount).toBe(500000);
+      expect(CapitalCallCredit.createMany).toHaveBeenCalledWith([
+        expect.objectContaining({ userId: 'lp-1', creditType: 'credit', amount: 200000, status: 'available' })
+      ]);
+      expect(Structure.updateFinancials).toHaveBeenCalledWith('struct-456', { totalCalled: 1000000 });
+      expect(CapitalCall.findByIdAndUpdate).toHaveBeenCalledWith('call-789', expect.objectContaining({
+        status: 'Cancelled',
+        cancellationReason: 'Deal fell through',
+        reversedCalledAmount: 500000
+      }));
+      expect(ApprovalHistory.logAction).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'cancelled',
+        fromStatus: 'Partially Paid',
+        toStatus: 'Cancelled'
+      }));
+      expect(ApprovalHistory.logAction).toHaveBeenCalledWith(expect.objectContaining({ action: 'payment_credited' }));
+      expect(Notification.createMany).toHaveBeenCalledWith(expect.arrayContaining([
+        expect.objectContaining({ userId: 'lp-1', relatedEntityId: 'call-789' })
+      ]));
+    });
+
+    test('should keep the credits of an earlier attempt and credit only the rest on retry', async () => {
+      jest.spyOn(CapitalCall, 'findById').mockResolvedValue(sentCall);
+      jest.spyOn(CapitalCall, 'getAllocationsWithUsers').mockResolvedValue([
+        { id: 'alloc-1', userId: 'lp-1', paidAmount: '200000', status: 'Voided', user: {} },
+        { id: 'alloc-2', userId: 'lp-2', paidAmount: '50000', status: 'Voided', user: {} }
+      ]);
+      jest.spyOn(CapitalCallCredit, 'findBySourceCapitalCallId').mockResolvedValue([
+        { id: 'credit-1', userId: 'lp-1', sourceAllocationId: 'alloc-1', creditType: 'credit', amount: 200000, status: 'available' }
+      ]);
+      jest.spyOn(CapitalCall, 'voidAllocations').mockResolvedValue([]);
+
+      const response = await request(app)
+        .post('/api/capital-calls/call-789/cancel')
+        .send({});
+
+      expect(response.status).toBe(200);
+      expect(CapitalCallCredit.createMany).toHaveBeenCalledWith([
+        expect.objectContaining({ userId: 'lp-2', sourceAllocationId: 'alloc-2', amount: 50000 })
+      ]);
+      expect(response.body.data.credits).toHaveLength(2);
+    });
+
+    test('should queue refunds and skip notices for draft calls', async () => {
+      jest.spyOn(CapitalCall, 'findById').mockResolvedValue({ ...sentCall, status: 'Draft' });
+
+      const response = await request(app)
+        .post('/api/capital-calls/call-789/cancel')
+        .send({ paymentDisposition: 'refund' });
+
+      expect(response.status).toBe(200);
+      expect(CapitalCallCredit.createMany).toHaveBeenCalledWith([
+        expect.objectContaining({ creditType: 'refund', status: 'pending_refund' })
+      ]);
+      expect(Structure.updateFinancials).not.toHaveBeenCalled();
+      expect(Notification.createMany).not.toHaveBeenCalled();
+    });
+
+    test('should reject an invalid payment disposition', async () => {
+      const response = await request(app)
+        .post('/api/capital-calls/call-789/cancel')
+        .send({ paymentDisposition: 'forfeit' });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should reject cancelling an already cancelled call', async () => {
+      jest.spyOn(CapitalCall, 'findById').mockResolvedValue({ ...sentCall, status: 'Cancelled' });
+
+      const response = await request(app)
+        .post('/api/capital-calls/call-789/cancel')
+        .send({});
+
+      expect(response.status).toBe(400);
+      expect(CapitalCall.voidAllocations).not.toHaveBeenCalled();
+    });
+
+    test('should reject payments on a cancelled call', async () => {
+      jest.spyOn(CapitalCall, 'findById').mockResolvedValue({ ...sentCall, status: 'Cancelled' });
+      const updateSpy = jest.spyOn(CapitalCall, 'updatePaymentAmounts');
+
+      const response = await request(app)
+        .patch('/api/capital-calls/call-789/update-payment')
+        .send({ paidAmount: 1000 });
+
+      expect(response.status).toBe(400);
+      expect(updateSpy).not.toHaveBeenCalled();
+    });
+
+    test('should mark a pending refund as refunded', async () => {
+      jest.spyOn(CapitalCallCredit, 'findById').mockResolvedValue({
+        id: 'credit-1',
+        structureId: 'struct-456',
+        userId: 'lp-1',
+        sourceCapitalCallId: 'call-789',
+        creditType: 'refund',
+        amount: 200000,
+        status: 'pending_refund'
+      });
+      jest.spyOn(CapitalCallCredit, 'findByIdAndUpdate').mockImplementation(async (id, data) => ({ id, ...data }));
+
+      const response = await request(app)
+        .patch('/api/capital-calls/credits/credit-1/refunded')
+        .send({ refundReference: 'WIRE-001' });
+
+      expect(response.status).toBe(200);
+      expect(CapitalCallCredit.findByIdAndUpdate).toHaveBeenCalledWith('credit-1', expect.objectContaining({
+        status: 'refunded',
+        refundReference: 'WIRE-001'
+      }));
+      expect(ApprovalHistory.logAction).toHaveBeenCalledWith(expect.objectContaining({
+        entityId: 'call-789',
+        action: 'payment_refunded'
+      }));
+    });
+
+    test('should not mark an available credit as refunded', async () => {
+      jest.spyOn(CapitalCallCredit, 'findById').mockResolvedValue({
+        id: 'credit-1',
+        structureId: 'struct-456',
+        creditType: 'credit',
+        status: 'available'
+      });
+
+      const response = await request(app)
+        .patch('/api/capital-calls/credits/credit-1/refunded')
+        .send({});
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('Capital call defaults', () => {
+    const structureData = {
+      id: 'struct-456',
+      name: 'Test Structure',
+      createdBy: 'user-123',
+      defaultRemedies: ['forfeiture', 'distribution_offset']
+    };
+
+    const defaultRecord = {
+      id: 'default-1',
+      capitalCallId: 'call-789',
+      allocationId: 'alloc-1',
+      structureId: 'struct-456',
+      userId: 'investor-1',
+      status: 'remedy_eligible',
+      outstandingAmount: 50000,
+      accruedInterest: 450,
+      penaltyAmount: 2500
+    };
+
+    beforeEach(() => {
+      jest.spyOn(Structure, 'findById').mockResolvedValue(structureData);
+      jest.spyOn(User, 'findById').mockResolvedValue({ id: 'user-123', name: 'GP User' });
+      jest.spyOn(ApprovalHistory, 'logAction').mockResolvedValue({});
+      jest.spyOn(CapitalCallDefault, 'refreshInvestorStatus').mockResolvedValue('in_default');
+    });
+
+    test('should list defaults for a structure with summary', async () => {
+      jest.spyOn(CapitalCallDefault, 'findByStructureId').mockResolvedValue([
+        defaultRecord,
+        { ...defaultRecord, id: 'default-2', userId: 'investor-2', status: 'cured', outstandingAmount: 0, accruedInterest: 100, penaltyAmount: 0 }
+      ]);
+
+      const response = await request(app)
+        .get('/api/capital-calls/structure/struct-456/defaults');
+
+      expect(response.status).toBe(200);
+      expect(response.body.count).toBe(2);
+      expect(response.body.data.summary.openDefaults).toBe(1);
+      expect(response.body.data.summary.investorsInDefault).toBe(1);
+      expect(response.body.data.summary.totalAccruedInterest).toBe(550);
+    });
+
+    test('should apply a permitted remedy and log it', async () => {
+      jest.spyOn(CapitalCallDefault, 'findById').mockResolvedValue(defaultRecord);
+      jest.spyOn(CapitalCallDefault, 'findByIdAndUpdate').mockResolvedValue({ ...defaultRecord, status: 'remedy_applied', remedy: 'forfeiture' });
+
+      const response = await request(app)
+        .post('/api/capital-calls/defaults/default-1/remedy')
+        .send({ remedy: 'forfeiture', amount: 25000, notes: 'Per LPA section 4.3' });
+
+      expect(response.status).toBe(200);
+      expect(CapitalCallDefault.findByIdAndUpdate).toHaveBeenCalledWith('default-1', expect.objectContaining({
+        status: 'remedy_applied',
+        remedy: 'forfeiture',
+        remedyAmount: 25000
+      }));
+      expect(ApprovalHistory.logAction).toHaveBeenCalledWith(expect.objectContaining({
+        entityType: 'capital_call_default',
+        entityId: 'default-1',
+        action: 'remedy_applied'
+      }));
+      expect(CapitalCallDefault.refreshInvestorStatus).toHaveBeenCalledWith('investor-1', 'struct-456');
+    });
+
+    test('should reject a remedy not allowed by the structure policy', async () => {
+      jest.spyOn(CapitalCallDefault, 'findById').mockResolvedValue(defaultRecord);
+
+      const response = await request(app)
+        .post('/api/capital-calls/defaults/default-1/remedy')
+        .send({ remedy: 'forced_sale' });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should reject a remedy before the cure period expires', async () => {
+      jest.spyOn(CapitalCallDefault, 'findById').mockResolvedValue({ ...defaultRecord, status: 'in_default' });
+
+      const response = await request(app)
+        .post('/api/capital-calls/defaults/default-1/remedy')
+        .send({ remedy: 'forfeiture' });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should waive late interest', async () => {
+      jest.spyOn(CapitalCallDefault, 'findById').mockResolvedValue(defaultRecord);
+      jest.spyOn(CapitalCallDefault, 'findByIdAndUpdate').mockResolvedValue({ ...defaultRecord, accruedInterest: 0, interestWaived: true });
+
+      const response = await request(app)
+        .post('/api/capital-calls/defaults/default-1/waive')
+        .send({ waiveInterest: true });
+
+      expect(response.status).toBe(200);
+      expect(CapitalCallDefault.findByIdAndUpdate).toHaveBeenCalledWith('default-1', {
+        interestWaived: true,
+        accruedInterest: 0
+      });
+      expect(ApprovalHistory.logAction).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'charges_waived',
+        metadata: expect.objectContaining({ waivedInterest: 450, waivedPenalty: 0 })
+      }));
+    });
+
+    test('should mark an open default as cured', async () => {
+      jest.spyOn(CapitalCallDefault, 'findById').mockResolvedValue(defaultRecord);
+      jest.spyOn(CapitalCallDefault, 'findByIdAndUpdate').mockResolvedValue({ ...defaultRecord, status: 'cured' });
+
+      const response = await request(app)
+        .post('/api/capital-calls/defaults/default-1/cure')
+        .send({ notes: 'Paid by wire outside the platform' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.status).toBe('cured');
+      expect(CapitalCallDefault.refreshInvestorStatus).toHaveBeenCalledWith('investor-1', 'struct-456');
+    });
+
+    test('should return 400 if default not found', async () => {
+      jest.spyOn(CapitalCallDefault, 'findById').mockResolvedValue(null);
+
+      const response = await request(app)
+        .post('/api/capital-calls/defaults/nonexistent/cure');
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('Investor excusals', () => {
+    const structureData = { id: 'struct-456', name: 'Test Structure', createdBy: 'user-123' };
+
+    beforeEach(() => {
+      jest.spyOn(Structure, 'findById').mockResolvedValue(structureData);
+      jest.spyOn(StructureInvestor, 'findByUserAndStructure').mockResolvedValue({ id: 'si-1' });
+      jest.spyOn(User, 'findById').mockResolvedValue({ id: 'user-123', name: 'GP User' });
+      jest.spyOn(ApprovalHistory, 'logAction').mockResolvedValue({});
+      jest.spyOn(CapitalCallExcusal, 'create').mockImplementation(async (data) => ({ id: 'excusal-1', ...data }));
+    });
+
+    test('should excuse an investor from a draft call and log it in the call history', async () => {
+      jest.spyOn(CapitalCall, 'findById').mockResolvedValue({ id: 'call-789', structureId: 'struct-456', status: 'Draft' });
+      jest.spyOn(CapitalCall, 'findWithAllocations').mockResolvedValue({ capital_call_allocations: [] });
+
+      const response = await request(app)
+        .post('/api/capital-calls/structure/struct-456/excusals')
+        .send({ investorId: 'investor-1', capitalCallId: 'call-789', reason: ' ESG policy ' });
+
+      expect(response.status).toBe(201);
+      expect(CapitalCallExcusal.create).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 'investor-1',
+        capitalCallId: 'call-789',
+        excusalType: 'excused',
+        reason: 'ESG policy'
+      }));
+      expect(ApprovalHistory.logAction).toHaveBeenCalledWith(expect.objectContaining({
+        entityType: 'capital_call',
+        entityId: 'call-789',
+        action: 'investor_excused'
+      }));
+    });
+
+    test('should log an investment-scoped exclusion on its pending calls', async () => {
+      jest.spyOn(CapitalCall, 'find').mockResolvedValue([
+        { id: 'call-1', status: 'Draft', investorAllocations: [] },
+        { id: 'call-2', status: 'Sent', investorAllocations: [{ id: 'a1' }] }
+      ]);
+
+      const response = await request(app)
+        .post('/api/capital-calls/structure/struct-456/excusals')
+        .send({ investorId: 'investor-1', investmentId: 'inv-1', excusalType: 'excluded' });
+
+      expect(response.status).toBe(201);
+      expect(CapitalCall.find).toHaveBeenCalledWith({ structureId: 'struct-456', investmentId: 'inv-1' });
+      expect(ApprovalHistory.logAction).toHaveBeenCalledTimes(1);
+      expect(ApprovalHistory.logAction).toHaveBeenCalledWith(expect.objectContaining({
+        entityId: 'call-1',
+        action: 'investor_excluded'
+      }));
+    });
+
+    test('should reject excusals once allocations exist', async () => {
+      jest.spyOn(CapitalCall, 'findById').mockResolvedValue({ id: 'call-789', structureId: 'struct-456', status: 'Draft' });
+      jest.spyOn(CapitalCall, 'findWithAllocations').mockResolvedValue({ capital_call_allocations: [{ id: 'a1' }] });
+
+      const response = await request(app)
+        .post('/api/capital-calls/structure/struct-456/excusals')
+        .send({ investorId: 'investor-1', capitalCallId: 'call-789' });
+
+      expect(response.status).toBe(400);
+      expect(CapitalCallExcusal.create).not.toHaveBeenCalled();
+    });
+
+    test('should require exactly one scope', async () => {
+      const response = await request(app)
+        .post('/api/capital-calls/structure/struct-456/excusals')
+        .send({ investorId: 'investor-1', capitalCallId: 'call-789', investmentId: 'inv-1' });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should record applied excusals when allocations are created', async () => {
+      jest.spyOn(CapitalCall, 'findById').mockResolvedValue({ id: 'call-789', structureId: 'struct-456', createdBy: 'user-123' });
+      jest.spyOn(CapitalCall, 'createAllocationsForStructure').mockResolvedValue([
+        { user_id: 'investor-1', excusal_type: 'excused', excusal_reason: 'ESG policy', excused_amount: 50000, reallocated_amount: 0 },
+        { user_id: 'investor-2', excusal_type: null, excused_amount: 0, reallocated_amount: 50000 }
+      ]);
+
+      const response = await request(app)
+        .post('/api/capital-calls/call-789/create-allocations');
+
+      expect(response.status).toBe(201);
+      expect(ApprovalHistory.logAction).toHaveBeenCalledWith(expect.objectContaining({
+        entityId: 'call-789',
+        action: 'excusal_applied',
+        metadata: expect.objectContaining({ investorId: 'investor-1', excusedAmount: 50000, reallocatedTotal: 50000 })
+      }));
+    });
+
+    test('should generate an LP notice for an excused investor', async () => {
+      jest.spyOn(CapitalCall, 'findById').mockResolvedValue({ id: 'call-789', structureId: 'struct-456', callNumber: 4, createdBy: 'user-123' });
+      jest.spyOn(CapitalCall, 'findWithAllocations').mockResolvedValue({
+        capital_call_allocations: [
+          { user_id: 'investor-1', investorName: 'Ann Lee', total_due: 0, excusal_type: 'excused', excusal_reason: 'ESG policy', excused_amount: 50000, reallocated_amount: 0 }
+        ]
+      });
+      jest.spyOn(FirmSettings, 'findByUserId').mockResolvedValue(null);
+
+      const response = await request(app)
+        .get('/api/capital-calls/call-789/generate-lp-notice/investor-1');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('application/pdf');
+    });
+  });
+
+  describe('Subsequent-close equalization', () => {
+    const structureData = {
+      id: 'struct-456',
+      name: 'Test Structure',
+      createdBy: 'user-123',
+      equalizationInterestRate: 8
+    };
+
+    beforeEach(() => {
+      jest.spyOn(Structure, 'findById').mockResolvedValue(structureData);
+
+      mockSupabase.setMockResponse('structure_investors', {
+        data: [
+          { user_id: 'lp-a', commitment: 600000 },
+          { user_id: 'lp-b', commitment: 400000 },
+          { user_id: 'lp-new', commitment: 500000 }
+        ],
+        error: null
+      });
+      mockSupabase.setMockResponse('capital_calls', {
+        data: [{
+          id: 'call-1',
+          call_number: 1,
+          call_date: '2024-01-01',
+          deadline_date: '2024-01-31',
+          status: 'Paid',
+          call_type: 'standard',
+          capital_call_allocations: [
+            { user_id: 'lp-a', principal_amount: 60000, management_fee_net: 3000, vat_amount: 0 },
+            { user_id: 'lp-b', principal_amount: 40000, management_fee_net: 2000, vat_amount: 0 }
+          ]
+        }],
+        error: null
+      });
+    });
+
+    test('should preview catch-up, interest and refunds re-spread over all LPs', async () => {
+      const response = await request(app)
+        .post('/api/capital-calls/structure/struct-456/equalization/preview')
+        .send({ investorId: 'lp-new', equalizationDate: '2024-07-31' });
+
+      expect(response.status).toBe(200);
+      const data = response.body.data;
+      expect(data.commitment).toBe(500000);
+      expect(data.interestRate).toBe(8);
+      expect(data.catchUpPrincipal).toBe(33333.33);
+      expect(data.catchUpFees).toBe(2500);
+      expect(data.equalizationInterest).toBe(1329.68);
+      expect(data.totalDue).toBe(37163.01);
+      expect(data.refunds).toEqual([
+        expect.objectContaining({ userId: 'lp-a', principalRefund: 20000, interestShare: 797.81 }),
+        expect.objectContaining({ userId: 'lp-b', principalRefund: 13333.33, interestShare: 531.87 })
+      ]);
+      expect(data.ownership.find(o => o.userId === 'lp-a').ownershipPercent).toBeCloseTo(40);
+    });
+
+    test('should skip prior calls the investor already participated in', async () => {
+      mockSupabase.setMockResponse('capital_calls', {
+        data: [{
+          id: 'call-1',
+          call_number: 1,
+          call_date: '2024-01-01',
+          status: 'Paid',
+          capital_call_allocations: [
+            { user_id: 'lp-a', principal_amount: 60000 },
+            { user_id: 'lp-new', principal_amount: 50000 }
+          ]
+        }],
+        error: null
+      });
+
+      const response = await request(app)
+        .post('/api/capital-calls/structure/struct-456/equalization')
+        .send({ investorId: 'lp-new', equalizationDate: '2024-07-31' });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should create the equalization call and rebase ownership', async () => {
+      jest.spyOn(CapitalCall, 'getNextCallNumber').mockResolvedValue(2);
+      jest.spyOn(CapitalCall, 'create').mockResolvedValue({ id: 'eq-call-1', callNumber: 2 });
+      jest.spyOn(CapitalCall, 'createAllocation').mockResolvedValue({ id: 'alloc-eq-1' });
+      jest.spyOn(Equalization, 'create').mockResolvedValue({ id: 'eq-1', status: 'pending' });
+      jest.spyOn(StructureInvestor, 'recalculateOwnership').mockResolvedValue();
+      jest.spyOn(User, 'findById').mockResolvedValue({ id: 'user-123', name: 'GP User' });
+      jest.spyOn(ApprovalHistory, 'logAction').mockResolvedValue({});
+
+      const response = await request(app)
+        .post('/api/capital-calls/structure/struct-456/equalization')
+        .send({ investorId: 'lp-new', equalizationDate: '2024-07-31' });
+
+      expect(response.status).toBe(201);
+      expect(CapitalCall.create).toHaveBeenCalledWith(expect.objectContaining({
+        callNumber: 2,
+        callType: 'equalization',
+        totalCallAmount: 37163.01
+      }));
+      expect(CapitalCall.createAllocation).toHaveBeenCalledWith(expect.objectContaining({
+        capital_call_id: 'eq-call-1',
+        user_id: 'lp-new',
+        principal_amount: 33333.33,
+        equalization_interest: 1329.68,
+        total_drawdown: 35833.33
+      }));
+      expect(StructureInvestor.recalculateOwnership).toHaveBeenCalledWith('struct-456');
+      expect(ApprovalHistory.logAction).toHaveBeenCalledWith(expect.objectContaining({
+        entityId: 'eq-call-1',
+        action: 'equalization_created'
+      }));
+    });
+
+    test('should delete the equalization call and not admit the LP when a later step fails', async () => {
+      mockSupabase.setMockResponse('structure_investors', {
+        data: [
+          { user_id: 'lp-a', commitment: 600000 },
+          { user_id: 'lp-b', commitment: 400000 }
+        ],
+        error: null
+      });
+      jest.spyOn(CapitalCall, 'getNextCallNumber').mockResolvedValue(2);
+      jest.spyOn(CapitalCall, 'create').mockResolvedValue({ id: 'eq-call-1', callNumber: 2 });
+      jest.spyOn(CapitalCall, 'createAllocation').mockResolvedValue({ id: 'alloc-eq-1' });
+      jest.spyOn(Equalization, 'create').mockRejectedValue(new Error('Error creating equalization: timeout'));
+      const deleteSpy = jest.spyOn(CapitalCall, 'findByIdAndDelete').mockResolvedValue({ id: 'eq-call-1' });
+      const upsertSpy = jest.spyOn(StructureInvestor, 'upsert');
+      const ownershipSpy = jest.spyOn(StructureInvestor, 'recalculateOwnership');
+
+      const response = await request(app)
+        .post('/api/capital-calls/structure/struct-456/equalization')
+        .send({ investorId: 'lp-new', commitment: 500000, equalizationDate: '2024-07-31' });
+
+      expect(response.status).toBe(500);
+      expect(deleteSpy).toHaveBeenCalledWith('eq-call-1');
+      expect(upsertSpy).not.toHaveBeenCalled();
+      expect(ownershipSpy).not.toHaveBeenCalled();
+    });
+
+    test('should record the refunds as credits for the existing LPs on settlement', async () => {
+      jest.spyOn(Equalization, 'findById').mockResolvedValue({
+        id: 'eq-1',
+        structureId: 'struct-456',
+        capitalCallId: 'eq-call-1',
+        status: 'pending',
+        refunds: [
+          { userId: 'lp-a', principalRefund: 20000, interestShare: 797.81, totalRefund: 20797.81 },
+          { userId: 'lp-b', principalRefund: 13333.33, interestShare: 531.87, totalRefund: 13865.2 }
+        ]
+      });
+      jest.spyOn(CapitalCall, 'findById').mockResolvedValue({ id: 'eq-call-1', status: 'Paid' });
+      // lp-a's refund was recorded by an earlier attempt
+      jest.spyOn(CapitalCallCredit, 'findBySourceCapitalCallId').mockResolvedValue([
+        { id: 'credit-a', userId: 'lp-a', creditType: 'refund', amount: 20797.81 }
+      ]);
+      const createSpy = jest.spyOn(CapitalCallCredit, 'createMany').mockImplementation(async credits =>
+        credits.map((credit, index) => ({ id: `credit-new-${index}`, ...credit })));
+      jest.spyOn(Equalization, 'findByIdAndUpdate').mockImplementation(async (id, data) => ({ id, ...data }));
+      jest.spyOn(User, 'findById').mockResolvedValue({ id: 'user-123', name: 'GP User' });
+      jest.spyOn(ApprovalHistory, 'logAction').mockResolvedValue({});
+
+      const response = await request(app)
+        .patch('/api/capital-calls/equalizations/eq-1/settle');
+
+      expect(response.status).toBe(200);
+      expect(createSpy).toHaveBeenCalledWith([expect.objectContaining({
+        userId: 'lp-b',
+        structureId: 'struct-456',
+        sourceCapitalCallId: 'eq-call-1',
+        creditType: 'refund',
+        status: 'pending_refund',
+        amount: 13865.2,
+        capitalAmount: 13333.33
+      })]);
+      expect(response.body.data.status).toBe('settled');
+      expect(response.body.data.refundCredits.map(credit => credit.id)).toEqual(['credit-a', 'credit-new-0']);
+    });
+
+    test('should not settle before the equalization call is paid', async () => {
+      jest.spyOn(Equalization, 'findById').mockResolvedValue({ id: 'eq-1', structureId: 'struct-456', capitalCallId: 'eq-call-1', status: 'pending' });
+      jest.spyOn(CapitalCall, 'findById').mockResolvedValue({ id: 'eq-call-1', status: 'Sent' });
+
+      const response = await request(app)
+        .patch('/api/capital-calls/equalizations/eq-1/settle');
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('Reminder schedules', () => {
+    const structureData = { id: 'struct-456', name: 'Test Structure', createdBy: 'user-123' };
+
+    beforeEach(() => {
+      jest.spyOn(Structure, 'findById').mockResolvedValue(structureData);
+      jest.spyOn(CapitalCallReminderSchedule, 'upsert').mockImplementation(async (data) => ({ id: 'sched-1', ...data }));
+    });
+
+    test('should return the default schedule with send dates for a deadline', async () => {
+      jest.spyOn(CapitalCallReminderSchedule, 'findByStructureId').mockResolvedValue(null);
+
+      // Monday deadline: reminders fall on the previous Wednesday and Friday
+      const response = await request(app)
+        .get('/api/capital-calls/structure/struct-456/reminder-schedule?deadlineDate=2026-11-02');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.isDefault).toBe(true);
+      expect(response.body.data.steps.map(step => step.sendDate)).toEqual(['2026-10-28', '2026-10-30', '2026-11-02']);
+    });
+
+    test('should save a schedule with escalation and normalized step keys', async () => {
+      const response = await request(app)
+        .put('/api/capital-calls/structure/struct-456/reminder-schedule')
+        .send({
+          steps: [
+            { offsetDays: 5, recipients: ['lp', 'gp_ops'], escalation: true },
+            { offsetDays: -7, recipients: ['lp', 'advisors'], subject: 'Call #{{callNumber}} due soon' }
+          ],
+          holidays: ['2026-12-25'],
+          advisorEmails: ['Counsel@Test.com']
+        });
+
+      expect(response.status).toBe(200);
+      expect(CapitalCallReminderSchedule.upsert).toHaveBeenCalledWith(expect.objectContaining({
+        structureId: 'struct-456',
+        businessDaysOnly: true,
+        advisorEmails: ['counsel@test.com'],
+        steps: [
+          expect.objectContaining({ key: 'deadline-7', offsetDays: -7, subject: 'Call #{{callNumber}} due soon' }),
+          expect.objectContaining({ key: 'deadline+5', escalation: true, recipients: ['lp', 'gp_ops'] })
+        ]
+      }));
+    });
+
+    test('should reject an escalation step before the deadline', async () => {
+      const response = await request(app)
+        .put('/api/capital-calls/structure/struct-456/reminder-schedule')
+        .send({ steps: [{ offsetDays: -2, recipients: ['gp_ops'], escalation: true }] });
+
+      expect(response.status).toBe(400);
+      expect(CapitalCallReminderSchedule.upsert).not.toHaveBeenCalled();
+    });
+
+    test('should reject unknown recipients and duplicate offsets', async () => {
+      const badRecipient = await request(app)
+        .put('/api/capital-calls/structure/struct-456/reminder-schedule')
+        .send({ steps: [{ offsetDays: -2, recipients: ['auditor'] }] });
+      const duplicate = await request(app)
+        .put('/api/capital-calls/structure/struct-456/reminder-schedule')
+        .send({ steps: [{ offsetDays: -2, recipients: ['lp'] }, { offsetDays: -2, recipients: ['gp_ops'] }] });
+
+      expect(badRecipient.status).toBe(400);
+      expect(duplicate.status).toBe(400);
+    });
+
+    test('should reset a structure to the default schedule', async () => {
+      jest.spyOn(CapitalCallReminderSchedule, 'deleteByStructureId').mockResolvedValue(true);
+
+      const response = await request(app)
+        .delete('/api/capital-calls/structure/struct-456/reminder-schedule');
+
+      expect(response.status).toBe(200);
+      expect(CapitalCallReminderSchedule.deleteByStructureId).toHaveBeenCalledWith('struct-456');
+      expect(response.body.data.isDefault).toBe(true);
+    });
+
+    test('should list the reminder delivery ledger for a call', async () => {
+      jest.spyOn(CapitalCall, 'findById').mockResolvedValue({ id: 'call-789', structureId: 'struct-456', createdBy: 'user-123' });
+      jest.spyOn(CapitalCallReminderDelivery, 'findByCapitalCallId').mockResolvedValue([
+        { id: 'delivery-1', reminderType: 'deadline-3', status: 'sent' }
+      ]);
+
+      const response = await request(app)
+        .get('/api/capital-calls/call-789/reminder-deliveries');
+
+      expect(response.status).toBe(200);
+      expect(response.body.count).toBe(1);
+      expect(CapitalCallReminderDelivery.findByCapitalCallId).toHaveBeenCalledWith('call-789');
+    });
+
+    test('should reject an out-of-range catch-up window', async () => {
+      const response = await request(app)
+        .post('/api/capital-calls/trigger-reminders')
+        .send({ catchUpDays: 90 });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should reject an invalid asOfDate when triggering defaults', async () => {
+      const response = await request(app)
+        .post('/api/capital-calls/trigger-defaults')
+        .send({ asOfDate: 'not-a-date' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('Payment reference lookup', () => {
+    test('should return the allocation a payment reference belongs to', async () => {
+      jest.spyOn(CapitalCall, 'findAllocationByPaymentReference').mockResolvedValue({
+        id: 'alloc-1',
+        capital_call_id: 'call-789',
+        user_id: 'investor-1',
+        status: 'Pending',
+        total_due: '10000',
+        paid_amount: '2500',
+        payment_reference_code: 'RF18539007547034',
+        capital_calls: { id: 'call-789', call_number: 3, structure_id: 'struct-456', status: 'Sent', created_by: 'user-123' },
+        users: { id: 'investor-1', email: 'lp@test.com', first_name: 'Ana', last_name: 'Lopez' }
+      });
+
+      const response = await request(app)
+        .get('/api/capital-calls/payments/by-reference/rf18%205390%200754%207034');
+
+      expect(response.status).toBe(200);
+      expect(CapitalCall.findAllocationByPaymentReference).toHaveBeenCalledWith('RF18539007547034');
+      expect(response.body.data).toEqual(expect.objectContaining({
+        allocationId: 'alloc-1',
+        paymentReferenceFormatted: 'RF18 5390 0754 7034',
+        callNumber: 3,
+        investorName: 'Ana Lopez',
+        outstanding: 7500
+      }));
+    });
+
+    test('should reject a reference with wrong check digits', async () => {
+      const lookup = jest.spyOn(CapitalCall, 'findAllocationByPaymentReference');
+
+      const response = await request(app)
+        .get('/api/capital-calls/payments/by-reference/RF18539007547035');
+
+      expect(response.status).toBe(400);
+      expect(lookup).not.toHaveBeenCalled();
+    });
+
+    test('should return 404 when no allocation has the reference', async () => {
+      jest.spyOn(CapitalCall, 'findAllocationByPaymentReference').mockResolvedValue(null);
+
+      const response = await request(app)
+        .get('/api/capital-calls/payments/by-reference/RF18539007547034');
+
+      expect(response.status).toBe(404);
+    });
   });
 
   describe('Role-Based Access Control', () => {
@@ -32,7 +32,7 @@ jest.mock('../../src/middleware/rbac', () => ({
 }));
 
 const { getSupabase } = require('../../src/config/database');
-const { Distribution, Structure } = require('../../src/models/supabase');
+const { Distribution, Structure, User, WaterfallTier, GpClawback, SmartContract, CapitalCall } = require('../../src/models/supabase');
 
 describe('Distribution Routes', () => {
   let app;
@@ -65,6 +65,51 @@ describe('Distribution Routes', () => {
   });
 
   describe('POST /api/distributions', () => {
+    test('should return 400 if the recallable amount exceeds the distribution', async () => {
+      const response = await request(app)
+        .post('/api/distributions')
+        .send({
+          structureId: 'struct-123',
+          distributionNumber: 'D-001',
+          totalAmount: 10000,
+          recallableAmount: 15000
+        });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should return 400 if the recall expiry is before the distribution date', async () => {
+      const response = await request(app)
+        .post('/api/distributions')
+        .send({
+          structureId: 'struct-123',
+          distributionNumber: 'D-001',
+          distributionDate: '2024-06-30',
+          totalAmount: 10000,
+          recallableAmount: 5000,
+          recallableUntil: '2024-01-01'
+        });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should return 400 if an in-kind total does not match the quantity at the value per unit', async () => {
+      const response = await request(app)
+        .post('/api/distributions')
+        .send({
+          structureId: 'struct-123',
+          distributionNumber: 'D-001',
+          totalAmount: 10000,
+          settlementType: 'in_kind',
+          inKindAssetType: 'security',
+          inKindAssetName: 'Acme Corp common stock',
+          inKindQuantity: 100,
+          inKindUnitValue: 50
+        });
+
+      expect(response.status).toBe(400);
+    });
+
     test('should return 400 if structureId is missing', async () => {
       const response = await request(app)
         .post('/api/distributions')
@@ -359,6 +404,340 @@ describe('Distribution Routes', () => {
     });
   });
 
+  describe('GET /api/distributions/structure/:structureId/pref-statement', () => {
+    test('should report each LP\'s pref balance at the statement date', async () => {
+      jest.spyOn(Structure, 'findById').mockResolvedValue({ id: 'struct-123', createdBy: 'user-123' });
+      jest.spyOn(WaterfallTier, 'findActiveByStructureId').mockResolvedValue([
+        { tierNumber: 1, tierName: 'Return of Capital', lpSharePercent: 100, gpSharePercent: 0 },
+        { tierNumber: 2, tierName: 'Preferred Return', lpSharePercent: 100, gpSharePercent: 0, thresholdIrr: 8, prefCompounding: 'simple', prefDayCount: '30/360' }
+      ]);
+      mockSupabase.setMockResponse('structure_investors', {
+        data: [{ user_id: 'lp-1', ownership_percent: 100 }],
+        error: null
+      });
+      mockSupabase.setMockResponse('capital_calls', {
+        data: [{
+          id: 'call-1',
+          due_date: '2023-01-01',
+          status: 'Sent',
+          capital_call_allocations: [{ user_id: 'lp-1', capital_paid: 1000, fees_paid: 0, status: 'Paid' }]
+        }],
+        error: null
+      });
+      mockSupabase.setMockResponse('distributions', { data: [], error: null });
+
+      const response = await request(app)
+        .get('/api/distributions/structure/struct-123/pref-statement')
+        .query({ asOfDate: '2024-07-01' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual(expect.objectContaining({ prefCompounding: 'simple', prefDayCount: '30/360' }));
+      expect(response.body.data.investors[0]).toEqual(expect.objectContaining({ userId: 'lp-1', prefAccrued: 120, prefBalance: 120 }));
+    });
+  });
+
+  describe('GP clawback', () => {
+    const TIERS = [
+      { tierNumber: 1, tierName: 'Return of Capital', lpSharePercent: 100, gpSharePercent: 0 },
+      { tierNumber: 2, tierName: 'Carried Interest', lpSharePercent: 80, gpSharePercent: 20 }
+    ];
+
+    beforeEach(() => {
+      jest.spyOn(Structure, 'findById').mockResolvedValue({
+        id: 'struct-123',
+        createdBy: 'user-123',
+        clawbackTaxRate: 0
+      });
+      jest.spyOn(WaterfallTier, 'findActiveByStructureId').mockResolvedValue(TIERS);
+
+      mockSupabase.setMockResponse('structure_investors', {
+        data: [{ user_id: 'lp-1', ownership_percent: 100 }],
+        error: null
+      });
+      mockSupabase.setMockResponse('capital_calls', {
+        data: [
+          {
+            id: 'call-1',
+            due_date: '2023-01-01',
+            status: 'Sent',
+            investment_id: 'inv-a',
+            capital_call_allocations: [{ user_id: 'lp-1', capital_paid: 1000, fees_paid: 0, status: 'Paid' }]
+          },
+          {
+            id: 'call-2',
+            due_date: '2023-01-01',
+            status: 'Sent',
+            investment_id: 'inv-b',
+            capital_call_allocations: [{ user_id: 'lp-1', capital_paid: 1000, fees_paid: 0, status: 'Paid' }]
+          }
+        ],
+        error: null
+      });
+      mockSupabase.setMockResponse('distributions', {
+        data: [
+          {
+            id: 'dist-a',
+            distribution_date: '2024-01-01',
+            total_amount: 2000,
+            gp_total_amount: 200,
+            investment_id: 'inv-a',
+            distribution_type: 'standard',
+            waterfall_audit: { investors: [{ userId: 'lp-1', gpAmount: 200 }] }
+          },
+          {
+            id: 'dist-b',
+            distribution_date: '2024-06-01',
+            total_amount: 500,
+            gp_total_amount: 0,
+            investment_id: 'inv-b',
+            distribution_type: 'standard'
+          }
+        ],
+        error: null
+      });
+    });
+
+    test('should calculate the clawback liability with a tax offset', async () => {
+      const response = await request(app)
+        .get('/api/distributions/structure/struct-123/clawback')
+        .query({ asOfDate: '2024-12-31', taxRate: 60 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual(expect.objectContaining({
+        carryPaid: 200,
+        hypotheticalCarry: 100,
+        grossLiability: 100,
+        taxOffset: 120,
+        netLiability: 80
+      }));
+    });
+
+    test('should reject an invalid tax rate', async () => {
+      const response = await request(app)
+        .get('/api/distributions/structure/struct-123/clawback')
+        .query({ taxRate: 120 });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should deny Admin access to another manager\'s structure', async () => {
+      mockGetUserContext.mockReturnValue({ userId: 'other-user', userRole: 1 });
+
+      const response = await request(app).get('/api/distributions/structure/struct-123/clawback/assessments');
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should record a clawback assessment', async () => {
+      const create = jest.spyOn(GpClawback, 'create').mockImplementation(async data => ({ id: 'claw-1', ...data }));
+
+      const response = await request(app)
+        .post('/api/distributions/structure/struct-123/clawback/assessments')
+        .send({ asOfDate: '2024-12-31', notes: 'Year-end review' });
+
+      expect(response.status).toBe(201);
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({
+        structureId: 'struct-123',
+        asOfDate: '2024-12-31',
+        netLiability: 100,
+        status: 'estimate',
+        isTrueUp: false,
+        createdBy: 'user-123'
+      }));
+    });
+
+    test('should require a distribution number for the true-up', async () => {
+      const response = await request(app)
+        .post('/api/distributions/structure/struct-123/clawback/true-up')
+        .send({ asOfDate: '2024-12-31' });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should create a clawback distribution and final assessment on true-up', async () => {
+      const createDistribution = jest.spyOn(Distribution, 'create').mockImplementation(async data => ({ id: 'dist-claw', ...data }));
+      const createAssessment = jest.spyOn(GpClawback, 'create').mockImplementation(async data => ({ id: 'claw-1', ...data }));
+
+      const response = await request(app)
+        .post('/api/distributions/structure/struct-123/clawback/true-up')
+        .send({ asOfDate: '2024-12-31', distributionNumber: 3 });
+
+      expect(response.status).toBe(201);
+      expect(createDistribution).toHaveBeenCalledWith(expect.objectContaining({
+        distributionType: 'clawback',
+        totalAmount: 100,
+        lpTotalAmount: 100,
+        gpTotalAmount: 0,
+        status: 'Draft',
+        waterfallAudit: expect.objectContaining({
+          investors: [{ userId: 'lp-1', lpAmount: 100, gpAmount: 0 }]
+        })
+      }));
+      expect(createAssessment).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'final',
+        isTrueUp: true,
+        distributionId: 'dist-claw'
+      }));
+    });
+  });
+
+  describe('GET /api/distributions/structure/:structureId/withholding/:investorId', () => {
+    beforeEach(() => {
+      jest.spyOn(Structure, 'findById').mockResolvedValue({ id: 'struct-123', name: 'Fund I', createdBy: 'user-123' });
+      jest.spyOn(User, 'findById').mockResolvedValue({ id: 'lp-1', firstName: 'Ana', lastName: 'Lopez' });
+      mockSupabase.setMockResponse('distribution_allocations', {
+        data: [
+          {
+            distribution_id: 'dist-1',
+            allocated_amount: 10000,
+            gross_amount: 10000,
+            withholding_amount: 1500,
+            net_amount: 8500,
+            withholding_details: {
+              personType: 'natural',
+              lines: [{ incomeType: 'dividend', grossAmount: 10000, rate: 15, rateSource: 'structure', withheldAmount: 1500 }]
+            },
+            distribution: { id: 'dist-1', distribution_number: 'D-001', distribution_date: '2024-03-31', status: 'Paid' }
+          },
+          {
+            distribution_id: 'dist-2',
+            allocated_amount: 5000,
+            gross_amount: 5000,
+            withholding_amount: 500,
+            net_amount: 4500,
+            withholding_details: {
+              personType: 'natural',
+              lines: [{ incomeType: 'dividend', grossAmount: 5000, rate: 10, rateSource: 'treaty', withheldAmount: 500 }]
+            },
+            distribution: { id: 'dist-2', distribution_number: 'D-002', distribution_date: '2025-01-15', status: 'Paid' }
+          }
+        ],
+        error: null
+      });
+    });
+
+    test('should summarize tax withheld in the requested year', async () => {
+      const response = await request(app)
+        .get('/api/distributions/structure/struct-123/withholding/lp-1?year=2024');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.totals).toEqual({ gross: 10000, withheld: 1500, net: 8500 });
+      expect(response.body.data.byIncomeType).toEqual([
+        { incomeType: 'dividend', grossAmount: 10000, withheldAmount: 1500 }
+      ]);
+      expect(response.body.data.distributions).toHaveLength(1);
+    });
+
+    test('should return the annual withholding certificate as a PDF', async () => {
+      const response = await request(app)
+        .get('/api/distributions/structure/struct-123/withholding/lp-1/certificate?year=2024');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('application/pdf');
+      expect(response.headers['content-disposition']).toContain('Withholding_Certificate_2024_Ana_Lopez.pdf');
+    });
+
+    test('should return 400 for an invalid year', async () => {
+      const response = await request(app)
+        .get('/api/distributions/structure/struct-123/withholding/lp-1?year=abc');
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('POST /api/distributions/:id/payouts', () => {
+    test('should return 400 if the distribution is not approved', async () => {
+      jest.spyOn(Distribution, 'findById').mockResolvedValue({
+        id: 'dist-123',
+        structureId: 'struct-123',
+        approvalStatus: 'pending_cfo',
+        status: 'Draft',
+        createdBy: 'user-123'
+      });
+
+      const response = await request(app).post('/api/distributions/dist-123/payouts');
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('POST /api/distributions/:id/in-kind/token-transfers', () => {
+    test('should return 400 if the structure is not tokenized', async () => {
+      jest.spyOn(Distribution, 'findById').mockResolvedValue({
+        id: 'dist-123',
+        structureId: 'struct-123',
+        settlementType: 'in_kind',
+        inKindAssetType: 'token',
+        approvalStatus: 'approved',
+        createdBy: 'user-123'
+      });
+      jest.spyOn(Structure, 'findById').mockResolvedValue({ id: 'struct-123', walletAddress: '0xfund' });
+      jest.spyOn(SmartContract, 'find').mockResolvedValue([{ deploymentStatus: 'failed', contractAddress: null }]);
+
+      const response = await request(app).post('/api/distributions/dist-123/in-kind/token-transfers');
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/distributions/:id/allocation-bases', () => {
+    test('should report how each basis differs from the chosen basis', async () => {
+      jest.spyOn(Distribution, 'findById').mockResolvedValue({
+        id: 'dist-123',
+        structureId: 'struct-123',
+        totalAmount: 1000,
+        lpTotalAmount: 1000,
+        allocationBasis: 'ownership',
+        customAllocationShares: null,
+        createdBy: 'user-123'
+      });
+      mockSupabase.setMockResponse('investments', {
+        data: [{ user_id: 'lp-1', ownership_percentage: 50 }, { user_id: 'lp-2', ownership_percentage: 50 }],
+        error: null
+      });
+      mockSupabase.setMockResponse('structure_investors', {
+        data: [
+          { user_id: 'lp-1', ownership_percent: 60, commitment: 600 },
+          { user_id: 'lp-2', ownership_percent: 40, commitment: 400 }
+        ],
+        error: null
+      });
+      mockSupabase.setMockResponse('capital_calls', {
+        data: [{ id: 'call-1', status: 'Sent', capital_call_allocations: [
+          { user_id: 'lp-1', capital_paid: 300, status: 'Paid' },
+          { user_id: 'lp-2', capital_paid: 100, status: 'Paid' }
+        ] }],
+        error: null
+      });
+
+      const response = await request(app).get('/api/distributions/dist-123/allocation-bases');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.basis).toBe('ownership');
+      expect(response.body.data.basesAgree).toBe(false);
+      expect(response.body.data.investors[0]).toEqual({
+        userId: 'lp-1',
+        amounts: { investment_ownership: 500, ownership: 600, commitment: 600, paid_in: 750 },
+        differences: { investment_ownership: -100, commitment: 0, paid_in: 150 }
+      });
+      expect(response.body.data.maxDifference).toBe(150);
+    });
+
+    test('should return 400 for the custom basis without custom shares', async () => {
+      jest.spyOn(Distribution, 'findById').mockResolvedValue({
+        id: 'dist-123',
+        structureId: 'struct-123',
+        allocationBasis: 'ownership',
+        customAllocationShares: null,
+        createdBy: 'user-123'
+      });
+
+      const response = await request(app).get('/api/distributions/dist-123/allocation-bases?basis=custom');
+
+      expect(response.status).toBe(400);
+    });
+  });
+
   describe('PUT /api/distributions/:id', () => {
     test('should return 400 if distribution not found', async () => {
       jest.spyOn(Distribution, 'findById').mockResolvedValue(null);
@@ -406,6 +785,56 @@ describe('Distribution Routes', () => {
       expect(response.body.success).toBe(true);
       expect(response.body.data.totalAmount).toBe(15000);
     });
+
+    test('should re-split a changed recallable amount over the existing allocations', async () => {
+      jest.spyOn(Distribution, 'findById').mockResolvedValue({ id: 'dist-123', structureId: 'struct-1', totalAmount: 100000, createdBy: 'user-123' });
+      jest.spyOn(Distribution, 'findWithAllocations').mockResolvedValue({
+        id: 'dist-123',
+        distribution_allocations: [
+          { id: 'alloc-1', user_id: 'lp-1', allocated_amount: 60000, recallable_amount: 6000 },
+          { id: 'alloc-2', user_id: 'lp-2', allocated_amount: 40000, recallable_amount: 4000 }
+        ]
+      });
+      jest.spyOn(CapitalCall, 'getRecallableBalancesByStructure').mockResolvedValue({
+        'lp-1': { grants: [{ distributionId: 'dist-123', recalled: 3000 }] }
+      });
+      jest.spyOn(Distribution, 'findByIdAndUpdate').mockResolvedValue({ id: 'dist-123', recallableAmount: 20000 });
+      const sharesSpy = jest.spyOn(Distribution, 'updateAllocationRecallableShares').mockResolvedValue([]);
+
+      const response = await request(app)
+        .put('/api/distributions/dist-123')
+        .send({ recallableAmount: 20000 });
+
+      expect(response.status).toBe(200);
+      expect(sharesSpy).toHaveBeenCalledWith([
+        expect.objectContaining({ id: 'alloc-1', recallable_amount: 12000 }),
+        expect.objectContaining({ id: 'alloc-2', recallable_amount: 8000 })
+      ]);
+    });
+
+    test('should not reduce an LP\'s recallable share below what has already been recalled', async () => {
+      jest.spyOn(Distribution, 'findById').mockResolvedValue({ id: 'dist-123', structureId: 'struct-1', totalAmount: 100000, createdBy: 'user-123' });
+      jest.spyOn(Distribution, 'findWithAllocations').mockResolvedValue({
+        id: 'dist-123',
+        distribution_allocations: [
+          { id: 'alloc-1', user_id: 'lp-1', allocated_amount: 60000, recallable_amount: 6000, user: { name: 'Jane Doe' } },
+          { id: 'alloc-2', user_id: 'lp-2', allocated_amount: 40000, recallable_amount: 4000 }
+        ]
+      });
+      jest.spyOn(CapitalCall, 'getRecallableBalancesByStructure').mockResolvedValue({
+        'lp-1': { grants: [{ distributionId: 'dist-123', recalled: 5000 }] }
+      });
+      const updateSpy = jest.spyOn(Distribution, 'findByIdAndUpdate');
+      const sharesSpy = jest.spyOn(Distribution, 'updateAllocationRecallableShares');
+
+      const response = await request(app)
+        .put('/api/distributions/dist-123')
+        .send({ recallableAmount: 5000 });
+
+      expect(response.status).toBe(400);
+      expect(updateSpy).not.toHaveBeenCalled();
+      expect(sharesSpy).not.toHaveBeenCalled();
+    });
   });
 
   describe('POST /api/distributions/:id/apply-waterfall', () => {
@@ -453,9 +882,15 @@ describe('Distribution Routes', () => {
       });
 
       jest.spyOn(Structure, 'findById').mockResolvedValue({
-        id: 'struct-123'
+        id: 'struct-123',
+        waterfallType: 'European'
       });
 
+      jest.spyOn(WaterfallTier, 'findActiveByStructureId').mockResolvedValue([
+        { tierNumber: 1, tierName: 'Return of Capital', lpSharePercent: 100, gpSharePercent: 0 },
+        { tierNumber: 4, tierName: 'Carried Interest', lpSharePercent: 80, gpSharePercent: 20 }
+      ]);
+
       jest.spyOn(Distribution, 'applyWaterfall').mockResolvedValue({
         id: 'dist-123',
         waterfallApplied: true,
@@ -469,6 +904,28 @@ describe('Distribution Routes', () => {
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
       expect(response.body.data.waterfallApplied).toBe(true);
+      expect(Distribution.applyWaterfall).toHaveBeenCalledWith('dist-123', expect.objectContaining({
+        mode: 'European',
+        tiers: expect.any(Array),
+        investors: expect.any(Array)
+      }));
+    });
+
+    test('should return 400 if the structure has no active waterfall tiers', async () => {
+      jest.spyOn(Distribution, 'findById').mockResolvedValue({
+        id: 'dist-123',
+        createdBy: 'user-123',
+        waterfallApplied: false,
+        structureId: 'struct-123'
+      });
+      jest.spyOn(Structure, 'findById').mockResolvedValue({ id: 'struct-123' });
+      jest.spyOn(WaterfallTier, 'findActiveByStructureId').mockResolvedValue([]);
+      const apply = jest.spyOn(Distribution, 'applyWaterfall');
+
+      const response = await request(app).post('/api/distributions/dist-123/apply-waterfall');
+
+      expect(response.status).toBe(400);
+      expect(apply).not.toHaveBeenCalled();
     });
   });
 
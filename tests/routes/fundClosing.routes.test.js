@@ -0,0 +1,206 @@
+/**
+ * Fund Closing Routes Tests
+ * Tests for src/routes/fundClosing.routes.js
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { createMockSupabaseClient } = require('../helpers/mockSupabase');
+
+// Mock dependencies
+jest.mock('../../src/config/database', () => ({
+  getSupabase: jest.fn(),
+}));
+
+jest.mock('../../src/middleware/auth', () => ({
+  authenticate: (req, res, next) => {
+    req.auth = { userId: 'user-123', userRole: 0 };
+    req.user = { id: 'user-123' };
+    next();
+  },
+}));
+
+jest.mock('../../src/middleware/rbac', () => ({
+  requireInvestmentManagerAccess: (req, res, next) => next(),
+  getUserContext: (req) => ({
+    userId: req.auth?.userId || 'user-123',
+    userRole: req.headers['x-test-role'] !== undefined ? Number(req.headers['x-test-role']) : 0,
+  }),
+  ROLES: {
+    ROOT: 0,
+    ADMIN: 1,
+    STAFF: 2,
+    SUPPORT: 2,
+    INVESTOR: 3,
+    GUEST: 4,
+  },
+}));
+
+const { getSupabase } = require('../../src/config/database');
+const { errorHandler } = require('../../src/middleware/errorHandler');
+const FundClosing = require('../../src/models/supabase/fundClosing');
+const Structure = require('../../src/models/supabase/structure');
+const StructureInvestor = require('../../src/models/supabase/structureInvestor');
+
+const structure = {
+  id: 'struct-1',
+  name: 'Fund I',
+  createdBy: 'user-123',
+  minimumTicket: 100000,
+  maximumTicket: 5000000,
+  maxInvestorRestriction: 10,
+  commitmentsLocked: false
+};
+
+const firstClose = {
+  id: 'close-1',
+  structureId: 'struct-1',
+  closingNumber: 1,
+  closingType: 'first',
+  closingDate: '2025-01-15',
+  status: 'completed',
+  investors: [{ userId: 'lp-1', commitment: 1000000 }]
+};
+
+describe('Fund Closing Routes', () => {
+  let app;
+  let mockSupabase;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/fund-closings', require('../../src/routes/fundClosing.routes'));
+    app.use(errorHandler);
+  });
+
+  beforeEach(() => {
+    mockSupabase = createMockSupabaseClient();
+    getSupabase.mockReturnValue(mockSupabase);
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('POST /api/fund-closings/structure/:structureId', () => {
+    test('should create a draft closing with its validation', async () => {
+      jest.spyOn(Structure, 'findById').mockResolvedValue(structure);
+      jest.spyOn(FundClosing, 'findByStructureId').mockResolvedValue([firstClose]);
+      jest.spyOn(StructureInvestor, 'findByStructureId').mockResolvedValue([{ userId: 'lp-1', commitment: 1000000 }]);
+      const createSpy = jest.spyOn(FundClosing, 'create').mockImplementation(async data => ({ id: 'close-2', ...data }));
+
+      const response = await request(app)
+        .post('/api/fund-closings/structure/struct-1')
+        .send({
+          closingType: 'subsequent',
+          closingDate: '2025-06-30',
+          investors: [{ userId: 'lp-2', commitment: 50000 }]
+        });
+
+      expect(response.status).toBe(201);
+      expect(createSpy).toHaveBeenCalledWith(expect.objectContaining({ closingNumber: 2, status: 'draft', createdBy: 'user-123' }));
+      expect(response.body.data.preview.totalCommitment).toBe(1050000);
+      expect(response.body.data.validation.isValid).toBe(false);
+      expect(response.body.data.validation.errors).toEqual([
+        'Investor lp-2: commitment of 50000 is below the minimum ticket of 100000'
+      ]);
+    });
+
+    test('should reject a closing once the commitment base is locked', async () => {
+      jest.spyOn(Structure, 'findById').mockResolvedValue({ ...structure, commitmentsLocked: true });
+
+      const response = await request(app)
+        .post('/api/fund-closings/structure/struct-1')
+        .send({ closingType: 'subsequent', closingDate: '2026-01-15', investors: [{ userId: 'lp-2', commitment: 500000 }] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('The commitment base is locked by the final close');
+    });
+
+    test('should not let an Admin manage closings of another structure', async () => {
+      jest.spyOn(Structure, 'findById').mockResolvedValue({ ...structure, createdBy: 'other-user' });
+
+      const response = await request(app)
+        .post('/api/fund-closings/structure/struct-1')
+        .set('x-test-role', '1')
+        .send({ closingType: 'first', closingDate: '2025-01-15', investors: [{ userId: 'lp-1', commitment: 500000 }] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Unauthorized access to structure');
+    });
+  });
+
+  describe('POST /api/fund-closings/:id/complete', () => {
+    test('should complete the final close, rebase ownership and lock the commitment base', async () => {
+      const finalClose = {
+        id: 'close-2',
+        structureId: 'struct-1',
+        closingNumber: 2,
+        closingType: 'final',
+        closingDate: '2025-12-31',
+        status: 'draft',
+        investors: [{ userId: 'lp-2', commitment: 1000000 }]
+      };
+      jest.spyOn(FundClosing, 'findById').mockResolvedValue(finalClose);
+      jest.spyOn(Structure, 'findById').mockResolvedValue(structure);
+      jest.spyOn(FundClosing, 'findByStructureId').mockResolvedValue([firstClose, finalClose]);
+      jest.spyOn(StructureInvestor, 'findByStructureId').mockResolvedValue([{ userId: 'lp-1', commitment: 1000000 }]);
+      const upsertSpy = jest.spyOn(StructureInvestor, 'upsert').mockResolvedValue({});
+      const ownershipSpy = jest.spyOn(StructureInvestor, 'recalculateOwnership').mockResolvedValue([]);
+      const structureSpy = jest.spyOn(Structure, 'findByIdAndUpdate').mockResolvedValue({});
+      jest.spyOn(FundClosing, 'findByIdAndUpdate').mockImplementation(async (id, data) => ({ ...finalClose, ...data }));
+
+      const response = await request(app)
+        .post('/api/fund-closings/close-2/complete');
+
+      expect(response.status).toBe(200);
+      expect(upsertSpy).toHaveBeenCalledWith(expect.objectContaining({ userId: 'lp-2', commitment: 1000000, status: 'active' }));
+      expect(ownershipSpy).toHaveBeenCalledWith('struct-1');
+      expect(structureSpy).toHaveBeenCalledWith('struct-1', {
+        totalCommitment: 2000000,
+        commitmentsLocked: true,
+        finalCloseDate: '2025-12-31'
+      });
+      expect(response.body.data.status).toBe('completed');
+      expect(response.body.data.ownership.map(o => o.ownershipPercent)).toEqual([50, 50]);
+    });
+
+    test('should refuse to complete an invalid closing', async () => {
+      const draft = {
+        id: 'close-2',
+        structureId: 'struct-1',
+        closingNumber: 2,
+        closingType: 'subsequent',
+        closingDate: '2024-12-31',
+        status: 'draft',
+        investors: [{ userId: 'lp-2', commitment: 500000 }]
+      };
+      jest.spyOn(FundClosing, 'findById').mockResolvedValue(draft);
+      jest.spyOn(Structure, 'findById').mockResolvedValue(structure);
+      jest.spyOn(FundClosing, 'findByStructureId').mockResolvedValue([firstClose, draft]);
+      jest.spyOn(StructureInvestor, 'findByStructureId').mockResolvedValue([{ userId: 'lp-1', commitment: 1000000 }]);
+      const upsertSpy = jest.spyOn(StructureInvestor, 'upsert').mockResolvedValue({});
+
+      const response = await request(app)
+        .post('/api/fund-closings/close-2/complete');
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Closing cannot be completed: Closing date cannot be before the previous close on 2025-01-15');
+      expect(upsertSpy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/fund-closings/:id/documents/:investorId', () => {
+    test('should only generate documents for completed closings', async () => {
+      jest.spyOn(FundClosing, 'findById').mockResolvedValue({ ...firstClose, status: 'draft' });
+      jest.spyOn(Structure, 'findById').mockResolvedValue(structure);
+
+      const response = await request(app)
+        .get('/api/fund-closings/close-1/documents/lp-1');
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Closing documents are available once the closing is completed');
+    });
+  });
+});
@@ -0,0 +1,209 @@
+/**
+ * FX Rate Routes Tests
+ * Tests for src/routes/fxRate.routes.js
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { createMockSupabaseClient } = require('../helpers/mockSupabase');
+
+// Mock dependencies
+jest.mock('../../src/config/database', () => ({
+  getSupabase: jest.fn(),
+}));
+
+jest.mock('../../src/middleware/auth', () => ({
+  authenticate: (req, res, next) => {
+    req.auth = { userId: 'user-123', userRole: 0 };
+    req.user = { id: 'user-123' };
+    next();
+  },
+}));
+
+jest.mock('../../src/middleware/rbac', () => ({
+  requireInvestmentManagerAccess: (req, res, next) => next(),
+  getUserContext: (req) => ({
+    userId: req.auth?.userId || 'user-123',
+    userRole: req.headers['x-test-role'] !== undefined ? Number(req.headers['x-test-role']) : 0,
+  }),
+  ROLES: {
+    ROOT: 0,
+    ADMIN: 1,
+    STAFF: 2,
+    SUPPORT: 2,
+    INVESTOR: 3,
+    GUEST: 4,
+  },
+}));
+
+const { getSupabase } = require('../../src/config/database');
+const FxRate = require('../../src/models/supabase/fxRate');
+
+describe('FX Rate Routes', () => {
+  let app;
+  let mockSupabase;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/fx-rates', require('../../src/routes/fxRate.routes'));
+  });
+
+  beforeEach(() => {
+    mockSupabase = createMockSupabaseClient();
+    getSupabase.mockReturnValue(mockSupabase);
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('GET /api/fx-rates/health', () => {
+    test('should return health status', async () => {
+      const response = await request(app)
+        .get('/api/fx-rates/health');
+
+      expect(response.status).toBe(200);
+      expect(response.body.service).toBe('FX Rate API');
+      expect(response.body.status).toBe('operational');
+    });
+  });
+
+  describe('GET /api/fx-rates', () => {
+    test('should list rates with upper-cased filters', async () => {
+      const findSpy = jest.spyOn(FxRate, 'find').mockResolvedValue([
+        { id: 'fx-1', baseCurrency: 'USD', quoteCurrency: 'MXN', rate: 17.25, rateDate: '2026-03-31' }
+      ]);
+
+      const response = await request(app)
+        .get('/api/fx-rates?baseCurrency=usd&quoteCurrency=mxn');
+
+      expect(response.status).toBe(200);
+      expect(response.body.count).toBe(1);
+      expect(findSpy).toHaveBeenCalledWith(expect.objectContaining({ baseCurrency: 'USD', quoteCurrency: 'MXN' }));
+    });
+
+    test('should reject an invalid date filter', async () => {
+      const response = await request(app)
+        .get('/api/fx-rates?fromDate=31-03-2026');
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/fx-rates/lookup', () => {
+    test('should return the resolved rate', async () => {
+      jest.spyOn(FxRate, 'getRate').mockResolvedValue({
+        baseCurrency: 'USD', quoteCurrency: 'EUR', rate: 0.8, rateDate: '2026-04-10', inverted: true
+      });
+
+      const response = await request(app)
+        .get('/api/fx-rates/lookup?baseCurrency=USD&quoteCurrency=EUR&date=2026-04-15');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.rate).toBe(0.8);
+      expect(response.body.data.inverted).toBe(true);
+    });
+
+    test('should return 404 when no rate is maintained', async () => {
+      jest.spyOn(FxRate, 'getRate').mockResolvedValue(null);
+
+      const response = await request(app)
+        .get('/api/fx-rates/lookup?baseCurrency=USD&quoteCurrency=BRL&date=2026-04-15');
+
+      expect(response.status).toBe(404);
+      expect(response.body.success).toBe(false);
+    });
+
+    test('should reject an invalid currency code', async () => {
+      const response = await request(app)
+        .get('/api/fx-rates/lookup?baseCurrency=US&quoteCurrency=EUR');
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('POST /api/fx-rates', () => {
+    test('should save a single rate', async () => {
+      const upsertSpy = jest.spyOn(FxRate, 'upsert').mockImplementation(async rate => ({ id: 'fx-1', ...rate }));
+
+      const response = await request(app)
+        .post('/api/fx-rates')
+        .send({ baseCurrency: 'usd', quoteCurrency: 'mxn', rate: 17.25, rateDate: '2026-03-31' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.baseCurrency).toBe('USD');
+      expect(upsertSpy).toHaveBeenCalledWith(expect.objectContaining({ rate: 17.25, createdBy: 'user-123' }));
+    });
+
+    test('should save rates in bulk', async () => {
+      jest.spyOn(FxRate, 'upsert').mockImplementation(async rate => rate);
+
+      const response = await request(app)
+        .post('/api/fx-rates')
+        .send({
+          rates: [
+            { baseCurrency: 'USD', quoteCurrency: 'MXN', rate: 17.25, rateDate: '2026-03-31' },
+            { baseCurrency: 'USD', quoteCurrency: 'EUR', rate: 0.92, rateDate: '2026-03-31' }
+          ]
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data).toHaveLength(2);
+    });
+
+    test('should reject a non-positive rate', async () => {
+      const upsertSpy = jest.spyOn(FxRate, 'upsert');
+
+      const response = await request(app)
+        .post('/api/fx-rates')
+        .send({ baseCurrency: 'USD', quoteCurrency: 'MXN', rate: 0, rateDate: '2026-03-31' });
+
+      expect(response.status).toBe(400);
+      expect(upsertSpy).not.toHaveBeenCalled();
+    });
+
+    test('should reject identical currencies', async () => {
+      const response = await request(app)
+        .post('/api/fx-rates')
+        .send({ baseCurrency: 'USD', quoteCurrency: 'USD', rate: 1, rateDate: '2026-03-31' });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should reject support users', async () => {
+      const upsertSpy = jest.spyOn(FxRate, 'upsert');
+
+      const response = await request(app)
+        .post('/api/fx-rates')
+        .set('x-test-role', '2')
+        .send({ baseCurrency: 'USD', quoteCurrency: 'MXN', rate: 17.25, rateDate: '2026-03-31' });
+
+      expect(response.status).toBe(400);
+      expect(upsertSpy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE /api/fx-rates/:id', () => {
+    test('should delete an existing rate', async () => {
+      jest.spyOn(FxRate, 'findById').mockResolvedValue({ id: 'fx-1' });
+      const deleteSpy = jest.spyOn(FxRate, 'findByIdAndDelete').mockResolvedValue({ id: 'fx-1' });
+
+      const response = await request(app)
+        .delete('/api/fx-rates/fx-1');
+
+      expect(response.status).toBe(200);
+      expect(deleteSpy).toHaveBeenCalledWith('fx-1');
+    });
+
+    test('should return 400 when the rate does not exist', async () => {
+      jest.spyOn(FxRate, 'findById').mockResolvedValue(null);
+
+      const response = await request(app)
+        .delete('/api/fx-rates/missing');
+
+      expect(response.status).toBe(400);
+    });
+  });
+});
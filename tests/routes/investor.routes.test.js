@@ -24,7 +24,9 @@ jest.mock('../../src/middleware/rbac', () => ({
   requireInvestmentManagerAccess: (req, res, next) => next(),
   getUserContext: (req) => ({
     userId: req.auth?.userId || req.user?.id,
-    userRole: req.auth?.userRole || req.user?.role,
+    userRole: req.headers['x-test-role'] !== undefined
+      ? Number(req.headers['x-test-role'])
+      : req.auth?.userRole || req.user?.role,
   }),
   ROLES: {
     ROOT: 0,
@@ -42,6 +44,7 @@ const Investor = require('../../src/models/supabase/investor');
 const Structure = require('../../src/models/supabase/structure');
 const DocusealSubmission = require('../../src/models/supabase/docusealSubmission');
 const Payment = require('../../src/models/supabase/payment');
+const FxRate = require('../../src/models/supabase/fxRate');
 
 describe('Investor Routes', () => {
   let app;
@@ -2079,4 +2082,60 @@ describe('Investor Routes', () => {
       expect(mockEqFn).toHaveBeenCalledWith('status', 'pending');
     });
   });
+
+  describe('POST /api/investors/me/capital-calls/:capitalCallId/pay', () => {
+    const capitalCallId = '11111111-2222-3333-4444-555555555555';
+    const allocation = {
+      id: 'alloc-1',
+      capital_call_id: capitalCallId,
+      user_id: 'user-123',
+      structure_id: 'struct-1',
+      principal_amount: 100000,
+      management_fee_net: 0,
+      vat_amount: 0,
+      total_due: 100000,
+      paid_amount: 0,
+      capital_paid: 0,
+      fees_paid: 0,
+      vat_paid: 0,
+      payment_currency: 'EUR',
+      fx_rate: 0.9
+    };
+
+    beforeEach(() => {
+      jest.spyOn(User, 'findById').mockResolvedValue({ id: 'user-123', role: 3 });
+      jest.spyOn(Structure, 'findById').mockResolvedValue({ id: 'struct-1', baseCurrency: 'USD' });
+      mockSupabase.setMockResponse('capital_calls', { data: { id: capitalCallId, structure_id: 'struct-1' }, error: null });
+      mockSupabase.setMockResponse('capital_call_allocations', { data: allocation, error: null });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should value a payment-currency payment at the maintained rate for the payment date', async () => {
+      const getRateSpy = jest.spyOn(FxRate, 'getRate').mockResolvedValue({ rate: 0.8 });
+
+      const response = await request(app)
+        .post(`/api/investors/me/capital-calls/${capitalCallId}/pay`)
+        .set('x-test-role', '3')
+        .send({ paymentCurrencyAmount: 90000, fxRate: 0.95, paymentMethod: 'wire', paymentDate: '2024-03-01' });
+
+      expect(response.status).toBe(200);
+      expect(getRateSpy).toHaveBeenCalledWith('USD', 'EUR', '2024-03-01');
+      expect(response.body.data.fx).toMatchObject({ snapshotRate: 0.9, paymentFxRate: 0.8, creditedAmount: 100000, fxGainLoss: 12500 });
+    });
+
+    test('should reject a payment-currency payment when no rate is maintained', async () => {
+      jest.spyOn(FxRate, 'getRate').mockResolvedValue(null);
+
+      const response = await request(app)
+        .post(`/api/investors/me/capital-calls/${capitalCallId}/pay`)
+        .set('x-test-role', '3')
+        .send({ paymentCurrencyAmount: 90000, fxRate: 0.95, paymentMethod: 'wire', paymentDate: '2024-03-01' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('No USD/EUR FX rate is maintained as of 2024-03-01; the payment cannot be recorded until one is');
+    });
+  });
 });
@@ -0,0 +1,333 @@
+/**
+ * LP Transfer Routes Tests
+ * Tests for src/routes/lpTransfer.routes.js
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { createMockSupabaseClient } = require('../helpers/mockSupabase');
+
+// Mock dependencies
+jest.mock('../../src/config/database', () => ({
+  getSupabase: jest.fn(),
+}));
+
+jest.mock('../../src/middleware/auth', () => ({
+  authenticate: (req, res, next) => {
+    req.auth = { userId: 'user-123', userRole: 0 };
+    req.user = { id: 'user-123' };
+    next();
+  },
+}));
+
+jest.mock('../../src/middleware/rbac', () => ({
+  requireInvestmentManagerAccess: (req, res, next) => next(),
+  getUserContext: (req) => ({
+    userId: req.auth?.userId || 'user-123',
+    userRole: req.headers['x-test-role'] !== undefined ? Number(req.headers['x-test-role']) : 0,
+  }),
+  ROLES: {
+    ROOT: 0,
+    ADMIN: 1,
+    STAFF: 2,
+    SUPPORT: 2,
+    INVESTOR: 3,
+    GUEST: 4,
+  },
+}));
+
+jest.mock('../../src/services/web3ServiceFactory', () => ({
+  createWeb3Service: jest.fn(),
+}));
+
+const { getSupabase } = require('../../src/config/database');
+const { errorHandler } = require('../../src/middleware/errorHandler');
+const { createWeb3Service } = require('../../src/services/web3ServiceFactory');
+const ApprovalHistory = require('../../src/models/supabase/approvalHistory');
+const CapitalCall = require('../../src/models/supabase/capitalCall');
+const Distribution = require('../../src/models/supabase/distribution');
+const KycSession = require('../../src/models/supabase/kycSession');
+const LpTransfer = require('../../src/models/supabase/lpTransfer');
+const SmartContract = require('../../src/models/supabase/smartContract');
+const Structure = require('../../src/models/supabase/structure');
+const StructureInvestor = require('../../src/models/supabase/structureInvestor');
+const User = require('../../src/models/supabase/user');
+
+const structure = {
+  id: 'struct-1',
+  name: 'Fund I',
+  createdBy: 'user-123',
+  lockUpPeriod: '1 year',
+  lifecycleStage: 'investment_period'
+};
+
+const transferor = {
+  id: 'si-1',
+  userId: 'lp-1',
+  structureId: 'struct-1',
+  commitment: 1000000,
+  createdAt: '2022-01-10T00:00:00Z',
+  transferredCalledCapital: 0,
+  transferredPaidIn: 0,
+  transferredReturnedCapital: 0,
+  transferredDistributions: 0
+};
+
+const transfer = {
+  id: 'transfer-1',
+  structureId: 'struct-1',
+  transferorId: 'lp-1',
+  transfereeId: 'lp-2',
+  commitmentTransferred: 1000000,
+  effectiveDate: '2024-06-30',
+  status: 'kyc_cleared'
+};
+
+function mockBalances() {
+  jest.spyOn(CapitalCall, 'getCapitalBalancesByStructure').mockResolvedValue({
+    'lp-1': { calledCapital: 500000, investedCapital: 450000, returnedCapital: 0, writeDowns: 0 }
+  });
+  jest.spyOn(Distribution, 'getAllocationBases').mockResolvedValue({ paid_in: [{ userId: 'lp-1', weight: 500000 }] });
+  jest.spyOn(Distribution, 'getInvestorDistributionTotal').mockResolvedValue(80000);
+}
+
+describe('LP Transfer Routes', () => {
+  let app;
+  let mockSupabase;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/lp-transfers', require('../../src/routes/lpTransfer.routes'));
+    app.use(errorHandler);
+  });
+
+  beforeEach(() => {
+    mockSupabase = createMockSupabaseClient();
+    getSupabase.mockReturnValue(mockSupabase);
+    jest.clearAllMocks();
+    jest.spyOn(User, 'findById').mockImplementation(async id => ({ id, name: `User ${id}`, kycStatus: 'Pending' }));
+    jest.spyOn(ApprovalHistory, 'logAction').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('POST /api/lp-transfers/structure/:structureId', () => {
+    test('should record a transfer request awaiting GP consent', async () => {
+      jest.spyOn(Structure, 'findById').mockResolvedValue(structure);
+      jest.spyOn(StructureInvestor, 'findByUserAndStructure').mockResolvedValue(transferor);
+      jest.spyOn(LpTransfer, 'findByStructureId').mockResolvedValue([]);
+      const createSpy = jest.spyOn(LpTransfer, 'create').mockImplementation(async data => ({ id: 'transfer-1', ...data }));
+      mockBalances();
+
+      const response = await request(app)
+        .post('/api/lp-transfers/structure/struct-1')
+        .send({ transferorId: 'lp-1', transfereeId: 'lp-2', commitmentTransferred: 250000, effectiveDate: '2024-06-30', price: 180000 });
+
+      expect(response.status).toBe(201);
+      expect(createSpy).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'pending_consent',
+        commitmentTransferred: 250000,
+        price: 180000,
+        requestedBy: 'user-123'
+      }));
+      expect(response.body.data.preview).toMatchObject({ transferFraction: 0.25, calledCapital: 125000, unfunded: 125000, distributions: 20000 });
+      expect(response.body.data.lockUpEndDate).toBe('2023-01-10');
+    });
+
+    test('should reject a transfer during the lock-up', async () => {
+      jest.spyOn(Structure, 'findById').mockResolvedValue(structure);
+      jest.spyOn(StructureInvestor, 'findByUserAndStructure').mockResolvedValue(transferor);
+      jest.spyOn(LpTransfer, 'findByStructureId').mockResolvedValue([]);
+      const createSpy = jest.spyOn(LpTransfer, 'create');
+
+      const response = await request(app)
+        .post('/api/lp-transfers/structure/struct-1')
+        .send({ transferorId: 'lp-1', transfereeId: 'lp-2', commitmentTransferred: 250000, effectiveDate: '2022-10-01' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe("Transfer cannot be requested: Transferor's interest is locked up until 2023-01-10");
+      expect(createSpy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/lp-transfers/:id/kyc-check', () => {
+    test('should leave the transfer consented until the transferee clears KYC', async () => {
+      jest.spyOn(LpTransfer, 'findById').mockResolvedValue({ ...transfer, status: 'consented' });
+      jest.spyOn(Structure, 'findById').mockResolvedValue(structure);
+      jest.spyOn(KycSession, 'getLatestForUser').mockResolvedValue({ id: 'kyc-1', status: 'pending' });
+      const updateSpy = jest.spyOn(LpTransfer, 'findByIdAndUpdate');
+
+      const response = await request(app).post('/api/lp-transfers/transfer-1/kyc-check');
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('Transferee has not cleared KYC');
+      expect(response.body.data.kycStatus).toBe('pending');
+      expect(updateSpy).not.toHaveBeenCalled();
+    });
+
+    test('should clear the transfer once the transferee KYC session is completed', async () => {
+      jest.spyOn(LpTransfer, 'findById').mockResolvedValue({ ...transfer, status: 'consented' });
+      jest.spyOn(Structure, 'findById').mockResolvedValue(structure);
+      jest.spyOn(KycSession, 'getLatestForUser').mockResolvedValue({ id: 'kyc-1', status: 'completed' });
+      const updateSpy = jest.spyOn(LpTransfer, 'findByIdAndUpdate').mockImplementation(async (id, data) => ({ ...transfer, ...data }));
+
+      const response = await request(app).post('/api/lp-transfers/transfer-1/kyc-check');
+
+      expect(response.status).toBe(200);
+      expect(updateSpy).toHaveBeenCalledWith('transfer-1', expect.objectContaining({ status: 'kyc_cleared', kycSessionId: 'kyc-1' }));
+    });
+  });
+
+  describe('POST /api/lp-transfers/:id/complete', () => {
+    const originalEnv = process.env;
+
+    beforeEach(() => {
+      process.env = { ...originalEnv, RPC_URL: 'https://rpc.example', PORTAL_HQ_PRIVATE_KEY: 'abc123' };
+    });
+
+    afterEach(() => {
+      process.env = originalEnv;
+    });
+
+    test('should not complete a transfer before GP consent and KYC', async () => {
+      jest.spyOn(LpTransfer, 'findById').mockResolvedValue({ ...transfer, status: 'pending_consent' });
+      jest.spyOn(Structure, 'findById').mockResolvedValue(structure);
+
+      const response = await request(app).post('/api/lp-transfers/transfer-1/complete');
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Transfer needs GP consent and a cleared transferee KYC before completion');
+    });
+
+    test('should force-transfer tokens and move the whole interest on a tokenized structure', async () => {
+      jest.spyOn(LpTransfer, 'findById').mockResolvedValue(transfer);
+      jest.spyOn(LpTransfer, 'findByStructureId').mockResolvedValue([transfer]);
+      jest.spyOn(Structure, 'findById').mockResolvedValue(structure);
+      jest.spyOn(StructureInvestor, 'findByUserAndStructure').mockImplementation(async userId => (userId === 'lp-1' ? transferor : null));
+      jest.spyOn(SmartContract, 'find').mockResolvedValue([{ deploymentStatus: 'deployed', contractAddress: '0xtoken' }]);
+      jest.spyOn(User, 'findById').mockImplementation(async id => ({ id, name: `User ${id}`, walletAddress: id === 'lp-1' ? '0xaaa' : '0xbbb' }));
+      mockBalances();
+      const claimSpy = jest.spyOn(LpTransfer, 'claimForCompletion').mockResolvedValue({ ...transfer, status: 'completing' });
+      const web3Service = {
+        getTokenBalance: jest.fn().mockResolvedValue(5000n * 10n ** 18n),
+        forcedTransfer: jest.fn().mockImplementation(async ({ onSigned }) => {
+          await onSigned({ transactionHash: '0xhash', nonce: 7 });
+          return { transactionHash: '0xhash' };
+        })
+      };
+      createWeb3Service.mockReturnValue(web3Service);
+      const updateSpy = jest.spyOn(StructureInvestor, 'findByIdAndUpdate').mockResolvedValue({});
+      const upsertSpy = jest.spyOn(StructureInvestor, 'upsert').mockResolvedValue({});
+      jest.spyOn(StructureInvestor, 'recalculateOwnership').mockResolvedValue();
+      const transferUpdateSpy = jest.spyOn(LpTransfer, 'findByIdAndUpdate').mockImplementation(async (id, data) => ({ ...transfer, ...data }));
+
+      const response = await request(app).post('/api/lp-transfers/transfer-1/complete');
+
+      expect(response.status).toBe(200);
+      expect(claimSpy).toHaveBeenCalledWith('transfer-1', ['kyc_cleared', 'completion_pending']);
+      expect(web3Service.forcedTransfer).toHaveBeenCalledWith(expect.objectContaining({
+        contractAddress: '0xtoken',
+        fromAddress: '0xaaa',
+        toAddress: '0xbbb',
+        amountWei: 5000n * 10n ** 18n
+      }));
+      // The transaction hash is recorded before it is sent, and before any balance moves
+      expect(transferUpdateSpy).toHaveBeenNthCalledWith(1, 'transfer-1', {
+        tokenTransfer: expect.objectContaining({ status: 'submitted', transactionHash: '0xhash', nonce: 7, amountWei: '5000000000000000000000' })
+      });
+      expect(transferUpdateSpy.mock.invocationCallOrder[0]).toBeLessThan(updateSpy.mock.invocationCallOrder[0]);
+      expect(updateSpy).toHaveBeenCalledWith('si-1', expect.objectContaining({ commitment: 0, status: 'transferred' }));
+      expect(upsertSpy).toHaveBeenCalledWith(expect.objectContaining({ userId: 'lp-2', commitment: 1000000, transferredPaidIn: 500000 }));
+      expect(response.body.data.status).toBe('completed');
+      expect(response.body.data.tokenTransfer).toMatchObject({ status: 'transferred', amount: '5000', transactionHash: '0xhash' });
+    });
+
+    test('should not complete a transfer another request has already claimed', async () => {
+      jest.spyOn(LpTransfer, 'findById').mockResolvedValue(transfer);
+      jest.spyOn(LpTransfer, 'findByStructureId').mockResolvedValue([transfer]);
+      jest.spyOn(Structure, 'findById').mockResolvedValue(structure);
+      jest.spyOn(StructureInvestor, 'findByUserAndStructure').mockResolvedValue(transferor);
+      jest.spyOn(SmartContract, 'find').mockResolvedValue([{ deploymentStatus: 'deployed', contractAddress: '0xtoken' }]);
+      jest.spyOn(User, 'findById').mockImplementation(async id => ({ id, walletAddress: `0x${id}` }));
+      jest.spyOn(LpTransfer, 'claimForCompletion').mockResolvedValue(null);
+      const web3Service = { getTokenBalance: jest.fn(), forcedTransfer: jest.fn() };
+      createWeb3Service.mockReturnValue(web3Service);
+      const upsertSpy = jest.spyOn(StructureInvestor, 'upsert');
+
+      const response = await request(app).post('/api/lp-transfers/transfer-1/complete');
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Transfer is already being completed');
+      expect(web3Service.forcedTransfer).not.toHaveBeenCalled();
+      expect(upsertSpy).not.toHaveBeenCalled();
+    });
+
+    test('should finish a pending completion without sending the tokens again', async () => {
+      const tokenTransfer = { contractAddress: '0xtoken', fromAddress: '0xaaa', toAddress: '0xbbb', amount: '5000', status: 'transferred', transactionHash: '0xhash' };
+      const pending = { ...transfer, status: 'completion_pending', tokenTransfer };
+      jest.spyOn(LpTransfer, 'findById').mockResolvedValue(pending);
+      jest.spyOn(LpTransfer, 'findByStructureId').mockResolvedValue([pending]);
+      jest.spyOn(Structure, 'findById').mockResolvedValue(structure);
+      jest.spyOn(StructureInvestor, 'findByUserAndStructure').mockImplementation(async userId => (userId === 'lp-1' ? transferor : null));
+      jest.spyOn(SmartContract, 'find').mockResolvedValue([{ deploymentStatus: 'deployed', contractAddress: '0xtoken' }]);
+      jest.spyOn(User, 'findById').mockImplementation(async id => ({ id, name: `User ${id}`, walletAddress: id === 'lp-1' ? '0xaaa' : '0xbbb' }));
+      mockBalances();
+      jest.spyOn(LpTransfer, 'claimForCompletion').mockResolvedValue({ ...pending, status: 'completing' });
+      const web3Service = { getTokenBalance: jest.fn(), forcedTransfer: jest.fn() };
+      createWeb3Service.mockReturnValue(web3Service);
+      jest.spyOn(StructureInvestor, 'findByIdAndUpdate').mockResolvedValue({});
+      const upsertSpy = jest.spyOn(StructureInvestor, 'upsert').mockResolvedValue({});
+      jest.spyOn(StructureInvestor, 'recalculateOwnership').mockResolvedValue();
+      jest.spyOn(LpTransfer, 'findByIdAndUpdate').mockImplementation(async (id, data) => ({ ...pending, ...data }));
+
+      const response = await request(app).post('/api/lp-transfers/transfer-1/complete');
+
+      expect(response.status).toBe(200);
+      expect(web3Service.forcedTransfer).not.toHaveBeenCalled();
+      expect(upsertSpy).toHaveBeenCalledWith(expect.objectContaining({ userId: 'lp-2', commitment: 1000000 }));
+      expect(response.body.data).toMatchObject({ status: 'completed', tokenTransfer });
+    });
+
+    test('should leave the records untouched when the forced token transfer fails', async () => {
+      jest.spyOn(LpTransfer, 'findById').mockResolvedValue(transfer);
+      jest.spyOn(LpTransfer, 'findByStructureId').mockResolvedValue([transfer]);
+      jest.spyOn(Structure, 'findById').mockResolvedValue(structure);
+      jest.spyOn(StructureInvestor, 'findByUserAndStructure').mockResolvedValue(transferor);
+      jest.spyOn(SmartContract, 'find').mockResolvedValue([{ deploymentStatus: 'deployed', contractAddress: '0xtoken' }]);
+      jest.spyOn(User, 'findById').mockImplementation(async id => ({ id, walletAddress: `0x${id}` }));
+      mockBalances();
+      jest.spyOn(LpTransfer, 'claimForCompletion').mockResolvedValue({ ...transfer, status: 'completing' });
+      createWeb3Service.mockReturnValue({
+        getTokenBalance: jest.fn().mockResolvedValue(5000n * 10n ** 18n),
+        forcedTransfer: jest.fn().mockRejectedValue(new Error('execution reverted: identity not verified'))
+      });
+      const transferUpdateSpy = jest.spyOn(LpTransfer, 'findByIdAndUpdate').mockResolvedValue({});
+      const upsertSpy = jest.spyOn(StructureInvestor, 'upsert');
+
+      const response = await request(app).post('/api/lp-transfers/transfer-1/complete');
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Token transfer failed: execution reverted: identity not verified');
+      expect(transferUpdateSpy).toHaveBeenCalledWith('transfer-1', {
+        status: 'kyc_cleared',
+        tokenTransfer: expect.objectContaining({ status: 'failed' })
+      });
+      expect(upsertSpy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/lp-transfers/:id/documents/:investorId', () => {
+    test('should only generate confirmations for the parties of a completed transfer', async () => {
+      jest.spyOn(LpTransfer, 'findById').mockResolvedValue({ ...transfer, status: 'completed' });
+      jest.spyOn(Structure, 'findById').mockResolvedValue(structure);
+
+      const response = await request(app).get('/api/lp-transfers/transfer-1/documents/lp-9');
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Investor is not a party to this transfer');
+    });
+  });
+});
@@ -0,0 +1,213 @@
+/**
+ * Side Letter Routes Tests
+ * Tests for src/routes/sideLetter.routes.js
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { createMockSupabaseClient } = require('../helpers/mockSupabase');
+
+// Mock dependencies
+jest.mock('../../src/config/database', () => ({
+  getSupabase: jest.fn(),
+}));
+
+jest.mock('../../src/middleware/auth', () => ({
+  authenticate: (req, res, next) => {
+    req.auth = { userId: req.headers['x-test-user'] || 'user-123', userRole: 0 };
+    req.user = { id: req.headers['x-test-user'] || 'user-123' };
+    next();
+  },
+}));
+
+jest.mock('../../src/middleware/rbac', () => ({
+  requireInvestmentManagerAccess: (req, res, next) => next(),
+  getUserContext: (req) => ({
+    userId: req.auth?.userId || 'user-123',
+    userRole: req.headers['x-test-role'] !== undefined ? Number(req.headers['x-test-role']) : 0,
+  }),
+  ROLES: {
+    ROOT: 0,
+    ADMIN: 1,
+    STAFF: 2,
+    SUPPORT: 2,
+    INVESTOR: 3,
+    GUEST: 4,
+  },
+}));
+
+const { getSupabase } = require('../../src/config/database');
+const { errorHandler } = require('../../src/middleware/errorHandler');
+const ApprovalHistory = require('../../src/models/supabase/approvalHistory');
+const MfnElection = require('../../src/models/supabase/mfnElection');
+const Notification = require('../../src/models/supabase/notification');
+const SideLetter = require('../../src/models/supabase/sideLetter');
+const Structure = require('../../src/models/supabase/structure');
+const StructureInvestor = require('../../src/models/supabase/structureInvestor');
+const User = require('../../src/models/supabase/user');
+
+const structure = {
+  id: 'struct-1',
+  name: 'Fund I',
+  createdBy: 'user-123',
+  mfnElectionWindow: null
+};
+
+const feeDiscount = {
+  provisionType: 'fee_discount',
+  description: '25% management fee discount',
+  terms: { discountPercent: 25 },
+  applicability: { mfn: 'commitment_tier' }
+};
+
+const election = {
+  id: 'election-1',
+  structureId: 'struct-1',
+  userId: 'lp-2',
+  provisionId: 'provision-1',
+  status: 'offered',
+  windowClosesOn: '2099-01-31'
+};
+
+describe('Side Letter Routes', () => {
+  let app;
+  let mockSupabase;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/side-letters', require('../../src/routes/sideLetter.routes'));
+    app.use(errorHandler);
+  });
+
+  beforeEach(() => {
+    mockSupabase = createMockSupabaseClient();
+    getSupabase.mockReturnValue(mockSupabase);
+    jest.clearAllMocks();
+    jest.spyOn(User, 'findById').mockImplementation(async id => ({ id, name: `User ${id}` }));
+    jest.spyOn(ApprovalHistory, 'logAction').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('POST /api/side-letters/structure/:structureId', () => {
+    test('should record an executed side letter with its provisions', async () => {
+      jest.spyOn(Structure, 'findById').mockResolvedValue(structure);
+      jest.spyOn(StructureInvestor, 'findByUserAndStructure').mockResolvedValue({ id: 'si-1', userId: 'lp-1', commitment: 5000000 });
+      const createSpy = jest.spyOn(SideLetter, 'create').mockImplementation(async data => ({ id: 'side-letter-1', ...data }));
+
+      const response = await request(app)
+        .post('/api/side-letters/structure/struct-1')
+        .send({ userId: 'lp-1', status: 'executed', effectiveDate: '2024-01-15', provisions: [feeDiscount] });
+
+      expect(response.status).toBe(201);
+      expect(createSpy).toHaveBeenCalledWith(expect.objectContaining({
+        structureId: 'struct-1',
+        userId: 'lp-1',
+        status: 'executed',
+        effectiveDate: '2024-01-15',
+        provisions: [feeDiscount],
+        createdBy: 'user-123'
+      }));
+      expect(response.body.data.executedAt).toBeTruthy();
+    });
+
+    test('should reject invalid provisions and investors outside the structure', async () => {
+      jest.spyOn(Structure, 'findById').mockResolvedValue(structure);
+      jest.spyOn(StructureInvestor, 'findByUserAndStructure').mockResolvedValue(null);
+      const createSpy = jest.spyOn(SideLetter, 'create');
+
+      const response = await request(app)
+        .post('/api/side-letters/structure/struct-1')
+        .send({ userId: 'lp-9', provisions: [{ ...feeDiscount, terms: {} }] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe(
+        'Side letter cannot be recorded: Investor is not part of this structure; Provision 1: Fee discount provisions need a discountPercent between 0 and 100'
+      );
+      expect(createSpy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PUT /api/side-letters/:id', () => {
+    test('should not reopen a terminated side letter', async () => {
+      jest.spyOn(SideLetter, 'findById').mockResolvedValue({ id: 'side-letter-1', structureId: 'struct-1', userId: 'lp-1', status: 'terminated', provisions: [] });
+      jest.spyOn(Structure, 'findById').mockResolvedValue(structure);
+      const updateSpy = jest.spyOn(SideLetter, 'findByIdAndUpdate');
+
+      const response = await request(app)
+        .put('/api/side-letters/side-letter-1')
+        .send({ status: 'executed' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Side letter cannot move from terminated to executed');
+      expect(updateSpy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/side-letters/structure/:structureId/mfn/window/open', () => {
+    test('should open the window and offer the LPs their entitlements', async () => {
+      jest.spyOn(Structure, 'findById').mockResolvedValue(structure);
+      jest.spyOn(SideLetter, 'findByStructureId').mockResolvedValue([
+        { id: 'side-letter-1', userId: 'lp-1', status: 'executed', provisions: [{ id: 'provision-1', userId: 'lp-1', ...feeDiscount }] }
+      ]);
+      jest.spyOn(SideLetter, 'getFeeDiscountsByStructure').mockResolvedValue({});
+      jest.spyOn(StructureInvestor, 'findByStructureId').mockResolvedValue([
+        { userId: 'lp-1', commitment: 5000000, feeDiscount: 0, user: { investor_type: 'Institution' } },
+        { userId: 'lp-2', commitment: 7500000, feeDiscount: 0, user: { investor_type: 'Institution' } }
+      ]);
+      jest.spyOn(MfnElection, 'findByStructureId').mockResolvedValue([]);
+      jest.spyOn(MfnElection, 'createMany').mockImplementation(async rows => rows.map(row => ({ id: 'election-1', ...row })));
+      const updateSpy = jest.spyOn(Structure, 'findByIdAndUpdate').mockResolvedValue({});
+      jest.spyOn(Notification, 'createMany').mockResolvedValue([]);
+
+      const response = await request(app)
+        .post('/api/side-letters/structure/struct-1/mfn/window/open')
+        .send({ closesOn: '2099-01-31' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('MFN election window opened with 1 offer(s)');
+      expect(response.body.data.offers).toEqual([
+        expect.objectContaining({ userId: 'lp-2', provisionId: 'provision-1', status: 'offered' })
+      ]);
+      expect(updateSpy).toHaveBeenCalledWith('struct-1', {
+        mfnElectionWindow: expect.objectContaining({ status: 'open', closesOn: '2099-01-31' })
+      });
+    });
+  });
+
+  describe('POST /api/side-letters/mfn-elections/:electionId/decision', () => {
+    test('should let the LP elect its own offer', async () => {
+      jest.spyOn(MfnElection, 'findById').mockResolvedValue(election);
+      jest.spyOn(Structure, 'findById').mockResolvedValue({ ...structure, mfnElectionWindow: { status: 'open', closesOn: '2099-01-31' } });
+      const updateSpy = jest.spyOn(MfnElection, 'findByIdAndUpdate').mockImplementation(async (id, data) => ({ ...election, ...data }));
+
+      const response = await request(app)
+        .post('/api/side-letters/mfn-elections/election-1/decision')
+        .set('x-test-role', '3')
+        .set('x-test-user', 'lp-2')
+        .send({ decision: 'elected' });
+
+      expect(response.status).toBe(200);
+      expect(updateSpy).toHaveBeenCalledWith('election-1', expect.objectContaining({ status: 'elected', decidedBy: 'lp-2' }));
+      expect(response.body.data.status).toBe('elected');
+    });
+
+    test('should not let an LP decide another LP\'s offer', async () => {
+      jest.spyOn(MfnElection, 'findById').mockResolvedValue(election);
+      const updateSpy = jest.spyOn(MfnElection, 'findByIdAndUpdate');
+
+      const response = await request(app)
+        .post('/api/side-letters/mfn-elections/election-1/decision')
+        .set('x-test-role', '3')
+        .set('x-test-user', 'lp-3')
+        .send({ decision: 'elected' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Unauthorized access to MFN election');
+      expect(updateSpy).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -22,7 +22,7 @@ jest.mock('../../src/middleware/auth', () => ({
 
 const { getSupabase } = require('../../src/config/database');
 const { errorHandler } = require('../../src/middleware/errorHandler');
-const { WaterfallTier, Structure } = require('../../src/models/supabase');
+const { WaterfallTier, WaterfallTierSet, Structure, Distribution } = require('../../src/models/supabase');
 
 describe('Waterfall Tier Routes', () => {
   let app;
@@ -58,6 +58,13 @@ describe('Waterfall Tier Routes', () => {
       isValid: true,
       errors: []
     });
+
+    // Tier changes publish a tier set version
+    jest.spyOn(WaterfallTier, 'findByStructureId').mockResolvedValue([]);
+    jest.spyOn(WaterfallTier, 'findActiveByStructureId').mockResolvedValue([]);
+    jest.spyOn(Distribution, 'findByStructureId').mockResolvedValue([]);
+    jest.spyOn(WaterfallTierSet, 'findByStructureId').mockResolvedValue([]);
+    jest.spyOn(WaterfallTierSet, 'publish').mockImplementation(async (structureId, tiers, options) => ({ id: 'set-1', versionNumber: 1, ...options }));
   });
 
   describe('POST /api/waterfall-tiers', () => {
@@ -183,6 +190,9 @@ describe('Waterfall Tier Routes', () => {
         id: 'structure-123',
         userId: 'user-123'
       });
+      jest.spyOn(WaterfallTier, 'findByStructureId').mockResolvedValue([
+        { id: 'tier-1', tierNumber: 1, lpSharePercent: 100, gpSharePercent: 0, isActive: true }
+      ]);
 
       jest.spyOn(WaterfallTier, 'create').mockResolvedValue({
         id: 'tier-new',
@@ -207,6 +217,37 @@ describe('Waterfall Tier Routes', () => {
         tierName: 'Tier 2'
       }));
     });
+
+    test('should publish a tier set version with the new tier', async () => {
+      jest.spyOn(Structure, 'findById').mockResolvedValue({ id: 'structure-123', userId: 'user-123' });
+      jest.spyOn(WaterfallTier, 'create').mockResolvedValue({ id: 'tier-new', tierNumber: 1 });
+
+      const response = await request(app)
+        .post('/api/waterfall-tiers')
+        .send({ structureId: 'structure-123', tierNumber: 1, lpSharePercent: 100, gpSharePercent: 0, effectiveDate: '2026-01-01' });
+
+      expect(response.status).toBe(201);
+      expect(WaterfallTierSet.publish).toHaveBeenCalledWith('structure-123', expect.any(Array), expect.objectContaining({
+        effectiveDate: '2026-01-01',
+        description: 'Tier 1 created',
+        createdBy: 'user-123'
+      }));
+      expect(response.body.tierSet.versionNumber).toBe(1);
+    });
+
+    test('should reject a tier that leaves a gap in the sequence', async () => {
+      jest.spyOn(Structure, 'findById').mockResolvedValue({ id: 'structure-123', userId: 'user-123' });
+      const createSpy = jest.spyOn(WaterfallTier, 'create');
+
+      const response = await request(app)
+        .post('/api/waterfall-tiers')
+        .send({ structureId: 'structure-123', tierNumber: 3, lpSharePercent: 80, gpSharePercent: 20 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toContain('missing tier 1, 2');
+      expect(createSpy).not.toHaveBeenCalled();
+      expect(WaterfallTierSet.publish).not.toHaveBeenCalled();
+    });
   });
 
   describe('POST /api/waterfall-tiers/bulk-create', () => {
@@ -325,6 +366,25 @@ describe('Waterfall Tier Routes', () => {
       expect(response.status).toBe(201);
       expect(response.body.message).toContain('replaced');
       expect(WaterfallTier.findByIdAndDelete).toHaveBeenCalledTimes(2);
+      expect(WaterfallTierSet.publish).toHaveBeenCalledWith('structure-123', expect.any(Array), expect.objectContaining({
+        description: 'Default tiers replaced the existing tiers'
+      }));
+    });
+
+    test('should not replace tiers with a version dated before a distribution applied without a pinned version', async () => {
+      jest.spyOn(Structure, 'findById').mockResolvedValue({ id: 'structure-123', userId: 'user-123' });
+      jest.spyOn(Distribution, 'findByStructureId').mockResolvedValue([
+        { id: 'dist-1', waterfallApplied: true, waterfallTierSetId: null, distributionDate: '2026-03-31' }
+      ]);
+      const deleteSpy = jest.spyOn(WaterfallTier, 'findByIdAndDelete');
+
+      const response = await request(app)
+        .post('/api/waterfall-tiers/structure/structure-123/create-default')
+        .send({ replace: true, effectiveDate: '2026-03-01' });
+
+      expect(response.status).toBe(400);
+      expect(deleteSpy).not.toHaveBeenCalled();
+      expect(WaterfallTierSet.publish).not.toHaveBeenCalled();
     });
   });
 
@@ -453,6 +513,164 @@ describe('Waterfall Tier Routes', () => {
     });
   });
 
+  describe('POST /api/waterfall-tiers/structure/:structureId/scenarios', () => {
+    const TIERS = [
+      { tierNumber: 1, tierName: 'Return of Capital', lpSharePercent: 100, gpSharePercent: 0, isActive: true },
+      { tierNumber: 2, tierName: 'Preferred Return', lpSharePercent: 100, gpSharePercent: 0, thresholdIrr: 8, isActive: true },
+      { tierNumber: 3, tierName: 'GP Catch-up', lpSharePercent: 0, gpSharePercent: 100, isActive: true },
+      { tierNumber: 4, tierName: 'Carried Interest', lpSharePercent: 80, gpSharePercent: 20, isActive: true },
+    ];
+
+    beforeEach(() => {
+      jest.spyOn(Structure, 'findById').mockResolvedValue({
+        id: 'structure-123',
+        userId: 'user-123',
+        name: 'Test Fund',
+        waterfallType: 'European',
+        gpCatchUpRate: 100
+      });
+      jest.spyOn(WaterfallTier, 'findActiveByStructureId').mockResolvedValue(TIERS);
+      mockSupabase.setMockResponse('structure_investors', { data: [{ user_id: 'lp-1', ownership_percent: 100 }], error: null });
+      mockSupabase.setMockResponse('capital_calls', {
+        data: [{
+          id: 'call-1',
+          call_date: '2023-01-01',
+          status: 'Sent',
+          capital_call_allocations: [{ user_id: 'lp-1', capital_paid: 1000, fees_paid: 0, status: 'Paid' }]
+        }],
+        error: null
+      });
+      mockSupabase.setMockResponse('distributions', { data: [], error: null });
+      mockSupabase.setMockResponse('users', { data: [{ id: 'lp-1', first_name: 'Ana', last_name: 'Lopez' }], error: null });
+    });
+
+    test('should compare a distribution with an exit at a multiple and a higher carry', async () => {
+      const response = await request(app)
+        .post('/api/waterfall-tiers/structure/structure-123/scenarios')
+        .send({
+          scenarios: [
+            { name: 'Distribute 2,000', distributions: [{ date: '2024-01-01', amount: 2000 }] },
+            { name: 'Exit at 2x, 30% carry', exit: { multiple: 2, date: '2024-01-01' }, tierOverrides: [{ tierNumber: 4, lpSharePercent: 70, gpSharePercent: 30 }] }
+          ]
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.count).toBe(2);
+      const [first, second] = response.body.data.comparison;
+      expect(first).toEqual(expect.objectContaining({ amount: 2000, lpTotal: 1800, gpTotal: 200, lpMultiple: 1.8 }));
+      expect(second).toEqual(expect.objectContaining({ amount: 2000, lpTotal: 1700, gpTotal: 300, gpTotalDifference: 100 }));
+      expect(response.body.data.scenarios[0].investors[0]).toEqual(expect.objectContaining({
+        userId: 'lp-1',
+        investorName: 'Ana Lopez',
+        lpAmount: 1800,
+        contributed: 1000,
+        multiple: 1.8
+      }));
+    });
+
+    test('should export the scenarios to Excel', async () => {
+      const response = await request(app)
+        .post('/api/waterfall-tiers/structure/structure-123/scenarios?format=excel')
+        .send({ scenarios: [{ distributions: [{ date: '2024-01-01', amount: 2000 }] }] });
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toContain('spreadsheetml');
+    });
+
+    test('should return 400 if a scenario has no distributions or exit', async () => {
+      const response = await request(app)
+        .post('/api/waterfall-tiers/structure/structure-123/scenarios')
+        .send({ scenarios: [{ name: 'Empty' }] });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('Waterfall tier set versions', () => {
+    beforeEach(() => {
+      jest.spyOn(Structure, 'findById').mockResolvedValue({ id: 'structure-123', userId: 'user-123' });
+      jest.spyOn(Distribution, 'findByStructureId').mockResolvedValue([]);
+      jest.spyOn(WaterfallTierSet, 'findByStructureId').mockResolvedValue([{ id: 'set-1', versionNumber: 1 }]);
+    });
+
+    test('should reject publishing a tier set with a gap in the sequence', async () => {
+      jest.spyOn(WaterfallTierSet, 'publish');
+
+      const response = await request(app)
+        .post('/api/waterfall-tiers/structure/structure-123/versions')
+        .send({
+          effectiveDate: '2025-01-01',
+          tiers: [
+            { tierNumber: 1, lpSharePercent: 100, gpSharePercent: 0 },
+            { tierNumber: 3, lpSharePercent: 80, gpSharePercent: 30 }
+          ]
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Tier sequence has gaps: missing tier 2; Tier 3: LP share and GP share must sum to 100%');
+      expect(WaterfallTierSet.publish).not.toHaveBeenCalled();
+    });
+
+    test('should diff two versions tier by tier', async () => {
+      jest.spyOn(WaterfallTierSet, 'findByVersion').mockImplementation(async (_structureId, versionNumber) => ({
+        id: `set-${versionNumber}`,
+        versionNumber,
+        effectiveDate: versionNumber === 1 ? '2023-01-01' : '2025-01-01',
+        tiers: versionNumber === 1
+          ? [
+            { tierNumber: 1, tierName: 'Return of Capital', lpSharePercent: 100, gpSharePercent: 0 },
+            { tierNumber: 2, tierName: 'Carried Interest', lpSharePercent: 80, gpSharePercent: 20 }
+          ]
+          : [
+            { tierNumber: 1, tierName: 'Return of Capital', lpSharePercent: 100, gpSharePercent: 0 },
+            { tierNumber: 2, tierName: 'Carried Interest', lpSharePercent: 85, gpSharePercent: 15 },
+            { tierNumber: 3, tierName: 'Super Carry', lpSharePercent: 70, gpSharePercent: 30 }
+          ]
+      }));
+
+      const response = await request(app)
+        .get('/api/waterfall-tiers/structure/structure-123/versions/diff?from=1&to=2');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.unchanged).toEqual([1]);
+      expect(response.body.data.changes).toEqual([
+        {
+          tierNumber: 2,
+          change: 'changed',
+          tierName: 'Carried Interest',
+          fields: [
+            { field: 'lpSharePercent', from: 80, to: 85 },
+            { field: 'gpSharePercent', from: 20, to: 15 }
+          ]
+        },
+        { tierNumber: 3, change: 'added', tierName: 'Super Carry', fields: [] }
+      ]);
+    });
+
+    test('should publish a version of the updated tiers when bulk updating with an effective date', async () => {
+      const current = [
+        { id: 'tier-1', tierNumber: 1, lpSharePercent: 100, gpSharePercent: 0, isActive: true },
+        { id: 'tier-2', tierNumber: 2, lpSharePercent: 80, gpSharePercent: 20, isActive: true }
+      ];
+      jest.spyOn(WaterfallTier, 'findByStructureId').mockResolvedValue(current);
+      jest.spyOn(WaterfallTier, 'bulkUpdateTiers').mockResolvedValue([{ ...current[1], lpSharePercent: 85, gpSharePercent: 15 }]);
+      jest.spyOn(WaterfallTier, 'findActiveByStructureId').mockResolvedValue([current[0], { ...current[1], lpSharePercent: 85, gpSharePercent: 15 }]);
+      jest.spyOn(WaterfallTierSet, 'publish').mockResolvedValue({ id: 'set-2', versionNumber: 2, effectiveDate: '2025-01-01' });
+
+      const response = await request(app)
+        .put('/api/waterfall-tiers/structure/structure-123/bulk-update')
+        .send({ effectiveDate: '2025-01-01', tiers: [{ id: 'tier-2', lpSharePercent: 85, gpSharePercent: 15 }] });
+
+      expect(response.status).toBe(200);
+      expect(WaterfallTierSet.publish).toHaveBeenCalledWith(
+        'structure-123',
+        expect.arrayContaining([expect.objectContaining({ tierNumber: 2, lpSharePercent: 85 })]),
+        expect.objectContaining({ effectiveDate: '2025-01-01', createdBy: 'user-123' })
+      );
+      expect(response.body.tierSet.versionNumber).toBe(2);
+    });
+  });
+
   describe('GET /api/waterfall-tiers/:id', () => {
     test('should get tier by ID successfully', async () => {
       jest.spyOn(WaterfallTier, 'findById').mockResolvedValue({
@@ -506,6 +724,10 @@ describe('Waterfall Tier Routes', () => {
         lpSharePercent: 80,
         gpSharePercent: 20
       });
+      jest.spyOn(Structure, 'findById').mockResolvedValue({ id: 'structure-123', userId: 'user-123' });
+      jest.spyOn(WaterfallTier, 'findByStructureId').mockResolvedValue([
+        { id: 'tier-123', tierNumber: 1, lpSharePercent: 100, gpSharePercent: 0, isActive: true }
+      ]);
 
       const response = await request(app)
         .put('/api/waterfall-tiers/tier-123')
@@ -518,6 +740,28 @@ describe('Waterfall Tier Routes', () => {
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
       expect(response.body.message).toBe('Waterfall tier updated successfully');
+      expect(WaterfallTierSet.publish).toHaveBeenCalledWith('structure-123', expect.any(Array), expect.objectContaining({ createdBy: 'user-123' }));
+    });
+
+    test('should not deactivate a tier that leaves a gap in the sequence', async () => {
+      jest.spyOn(WaterfallTier, 'findById').mockResolvedValue({
+        id: 'tier-2', structureId: 'structure-123', userId: 'user-123', tierNumber: 2, lpSharePercent: 100, gpSharePercent: 0
+      });
+      jest.spyOn(Structure, 'findById').mockResolvedValue({ id: 'structure-123', userId: 'user-123' });
+      jest.spyOn(WaterfallTier, 'findByStructureId').mockResolvedValue([
+        { id: 'tier-1', tierNumber: 1, lpSharePercent: 100, gpSharePercent: 0, isActive: true },
+        { id: 'tier-2', tierNumber: 2, lpSharePercent: 100, gpSharePercent: 0, isActive: true },
+        { id: 'tier-3', tierNumber: 3, lpSharePercent: 80, gpSharePercent: 20, isActive: true }
+      ]);
+      const updateSpy = jest.spyOn(WaterfallTier, 'findByIdAndUpdate');
+
+      const response = await request(app)
+        .put('/api/waterfall-tiers/tier-2')
+        .send({ isActive: false });
+
+      expect(response.status).toBe(400);
+      expect(updateSpy).not.toHaveBeenCalled();
+      expect(WaterfallTierSet.publish).not.toHaveBeenCalled();
     });
 
     test('should return 400 if no valid fields provided', async () => {
@@ -555,11 +799,28 @@ describe('Waterfall Tier Routes', () => {
   });
 
   describe('PUT /api/waterfall-tiers/structure/:structureId/bulk-update', () => {
+    const current = [
+      { id: 'tier-1', tierNumber: 1, lpSharePercent: 100, gpSharePercent: 0, isActive: true },
+      { id: 'tier-2', tierNumber: 2, lpSharePercent: 80, gpSharePercent: 20, isActive: true }
+    ];
+
+    beforeEach(() => {
+      jest.spyOn(WaterfallTier, 'findByStructureId').mockResolvedValue(current);
+      jest.spyOn(WaterfallTier, 'findActiveByStructureId').mockResolvedValue(current);
+      jest.spyOn(WaterfallTierSet, 'publish').mockImplementation(async (structureId, tiers, options) => ({ id: 'set-1', versionNumber: 1, ...options }));
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
     test('should bulk update tiers successfully', async () => {
       jest.spyOn(Structure, 'findById').mockResolvedValue({
         id: 'structure-123',
         userId: 'user-123'
       });
+      jest.spyOn(Distribution, 'findByStructureId').mockResolvedValue([]);
+      jest.spyOn(WaterfallTierSet, 'findByStructureId').mockResolvedValue([{ id: 'set-1', versionNumber: 1 }]);
 
       jest.spyOn(WaterfallTier, 'bulkUpdateTiers').mockResolvedValue([
         { id: 'tier-1', tierNumber: 1, lpSharePercent: 100 },
@@ -578,6 +839,45 @@ describe('Waterfall Tier Routes', () => {
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
       expect(response.body.data).toHaveLength(2);
+      // Without an effective date the version takes effect today
+      expect(WaterfallTierSet.publish).toHaveBeenCalledWith('structure-123', current, expect.objectContaining({
+        effectiveDate: new Date().toISOString().split('T')[0]
+      }));
+    });
+
+    test('should date the first version at inception', async () => {
+      jest.spyOn(Structure, 'findById').mockResolvedValue({ id: 'structure-123', userId: 'user-123', inceptionDate: '2020-01-01' });
+      jest.spyOn(Distribution, 'findByStructureId').mockResolvedValue([]);
+      jest.spyOn(WaterfallTierSet, 'findByStructureId').mockResolvedValue([]);
+      jest.spyOn(WaterfallTier, 'bulkUpdateTiers').mockResolvedValue(current);
+
+      const response = await request(app)
+        .put('/api/waterfall-tiers/structure/structure-123/bulk-update')
+        .send({ tiers: [{ id: 'tier-2', lpSharePercent: 80, gpSharePercent: 20 }] });
+
+      expect(response.status).toBe(200);
+      expect(response.body.tierSet.effectiveDate).toBe('2020-01-01');
+    });
+
+    test('should reject a version dated before a distribution applied without a pinned version', async () => {
+      jest.spyOn(Structure, 'findById').mockResolvedValue({ id: 'structure-123', userId: 'user-123', inceptionDate: '2020-01-01' });
+      jest.spyOn(Distribution, 'findByStructureId').mockResolvedValue([
+        { id: 'dist-1', distributionDate: '2024-06-30', waterfallApplied: true, waterfallTierSetId: null },
+        { id: 'dist-2', distributionDate: '2025-03-31', waterfallApplied: true, waterfallTierSetId: 'set-1' }
+      ]);
+      jest.spyOn(WaterfallTierSet, 'findByStructureId').mockResolvedValue([]);
+      const bulkSpy = jest.spyOn(WaterfallTier, 'bulkUpdateTiers');
+
+      const response = await request(app)
+        .put('/api/waterfall-tiers/structure/structure-123/bulk-update')
+        .send({ effectiveDate: '2024-01-01', tiers: [{ id: 'tier-2', lpSharePercent: 80, gpSharePercent: 20 }] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe(
+        'Effective date must be after 2024-06-30, the date of the latest distribution whose waterfall was applied without a tier set version'
+      );
+      expect(bulkSpy).not.toHaveBeenCalled();
+      expect(WaterfallTierSet.publish).not.toHaveBeenCalled();
     });
 
     test('should return 400 if tiers is not an array', async () => {
@@ -597,6 +897,10 @@ describe('Waterfall Tier Routes', () => {
         userId: 'user-123'
       });
 
+      jest.spyOn(Distribution, 'findByStructureId').mockResolvedValue([]);
+      jest.spyOn(WaterfallTierSet, 'findByStructureId').mockResolvedValue([{ id: 'set-1', versionNumber: 1 }]);
+      const publishSpy = jest.spyOn(WaterfallTierSet, 'publish').mockResolvedValue({ id: 'set-2', versionNumber: 2 });
+
       jest.spyOn(WaterfallTier, 'deactivateAllTiers').mockResolvedValue([
         { id: 'tier-1', isActive: false },
         { id: 'tier-2', isActive: false }
@@ -608,6 +912,10 @@ describe('Waterfall Tier Routes', () => {
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
       expect(response.body.message).toBe('All waterfall tiers deactivated successfully');
+      expect(publishSpy).toHaveBeenCalledWith('structure-123', [], expect.objectContaining({
+        effectiveDate: new Date().toISOString().split('T')[0],
+        allowEmpty: true
+      }));
     });
   });
 
@@ -619,12 +927,14 @@ describe('Waterfall Tier Routes', () => {
       });
 
       jest.spyOn(WaterfallTier, 'findByIdAndDelete').mockResolvedValue(true);
+      jest.spyOn(Structure, 'findById').mockResolvedValue({ id: 'structure-123', userId: 'user-123' });
 
       const response = await request(app).delete('/api/waterfall-tiers/tier-123');
 
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
       expect(response.body.message).toBe('Waterfall tier deleted successfully');
+      expect(WaterfallTierSet.publish).toHaveBeenCalledWith('structure-123', expect.any(Array), expect.objectContaining({ allowEmpty: true }));
     });
 
     test('should return 400 if tier not found', async () => {
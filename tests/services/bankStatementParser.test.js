@@ -0,0 +1,189 @@
+/**
+ * Bank Statement Parser Tests
+ * Tests for src/services/bankStatementParser.js
+ */
+
+const { parseBankStatement, detectFormat, parseAmount } = require('../../src/services/bankStatementParser');
+
+const CSV = [
+  'Booking Date;Value Date;Amount;Currency;Description;Counterparty;IBAN',
+  '15.03.2024;15.03.2024;"25,000";USD;CC-ABC123 Fund I call 2;Jane Doe;DE89370400440532013000',
+  '16.03.2024;16.03.2024;-1.250,50;USD;Bank fees;;',
+].join('\n');
+
+const MT940 = [
+  ':20:STMT-2024-03',
+  ':25:DE89370400440532013000',
+  ':28C:00042/001',
+  ':60F:C240314USD10000,00',
+  ':61:2403150315C25000,00NTRFCC-ABC123//BNK-1',
+  ':86:/NAME/JANE DOE/REMI/FUND I CALL 2/IBAN/GB33BUKB20201555555555',
+  ':61:240316D1250,5NMSCNONREF',
+  ':86:Bank fees',
+  ':62F:C240316USD33749,50',
+  '-',
+].join('\n');
+
+const CAMT053 = `<?xml version="1.0" encoding="UTF-8"?>
+<Document xmlns="urn:iso:std:iso:20022:tech:xsd:camt.053.001.02">
+  <BkToCstmrStmt>
+    <Stmt>
+      <Id>STMT-2024-03</Id>
+      <CreDtTm>2024-03-16T18:00:00</CreDtTm>
+      <Acct><Id><IBAN>DE89370400440532013000</IBAN></Id><Ccy>USD</Ccy></Acct>
+      <Bal>
+        <Tp><CdOrPrtry><Cd>OPBD</Cd></CdOrPrtry></Tp>
+        <Amt Ccy="USD">10000.00</Amt>
+        <CdtDbtInd>CRDT</CdtDbtInd>
+        <Dt><Dt>2024-03-14</Dt></Dt>
+      </Bal>
+      <Bal>
+        <Tp><CdOrPrtry><Cd>CLBD</Cd></CdOrPrtry></Tp>
+        <Amt Ccy="USD">33749.50</Amt>
+        <CdtDbtInd>CRDT</CdtDbtInd>
+        <Dt><Dt>2024-03-16</Dt></Dt>
+      </Bal>
+      <Ntry>
+        <Amt Ccy="USD">25000.00</Amt>
+        <CdtDbtInd>CRDT</CdtDbtInd>
+        <BookgDt><Dt>2024-03-15</Dt></BookgDt>
+        <ValDt><Dt>2024-03-15</Dt></ValDt>
+        <AcctSvcrRef>BNK-1</AcctSvcrRef>
+        <NtryDtls><TxDtls>
+          <Refs><EndToEndId>NOTPROVIDED</EndToEndId></Refs>
+          <RltdPties>
+            <Dbtr><Nm>Jane Doe &amp; Co</Nm></Dbtr>
+            <DbtrAcct><Id><IBAN>GB33BUKB20201555555555</IBAN></Id></DbtrAcct>
+          </RltdPties>
+          <RmtInf><Ustrd>CC-ABC123 Fund I call 2</Ustrd></RmtInf>
+        </TxDtls></NtryDtls>
+      </Ntry>
+      <Ntry>
+        <Amt Ccy="USD">1250.50</Amt>
+        <CdtDbtInd>DBIT</CdtDbtInd>
+        <BookgDt><Dt>2024-03-16</Dt></BookgDt>
+      </Ntry>
+    </Stmt>
+  </BkToCstmrStmt>
+</Document>`;
+
+describe('Bank Statement Parser', () => {
+  describe('parseAmount', () => {
+    test('should remove every thousands separator', () => {
+      expect(parseAmount('25,000')).toBe(25000);
+      expect(parseAmount('1,000,000')).toBe(1000000);
+      expect(parseAmount('1.000.000')).toBe(1000000);
+      expect(parseAmount('1,234,567.89')).toBe(1234567.89);
+      expect(parseAmount('1.234.567,89')).toBe(1234567.89);
+    });
+
+    test('should read a lone comma without three digits after it as the decimal separator', () => {
+      expect(parseAmount('1234,56')).toBe(1234.56);
+      expect(parseAmount('12,5')).toBe(12.5);
+      expect(parseAmount('25000,')).toBe(25000);
+      expect(parseAmount('1234.56')).toBe(1234.56);
+    });
+
+    test('should read signs, parentheses and trailing minus', () => {
+      expect(parseAmount('-25,000')).toBe(-25000);
+      expect(parseAmount('(1,500.00)')).toBe(-1500);
+      expect(parseAmount('250.00-')).toBe(-250);
+      expect(parseAmount('USD 1,000')).toBe(1000);
+      expect(parseAmount('')).toBeNaN();
+    });
+  });
+
+  describe('detectFormat', () => {
+    test('should detect each format from its content', () => {
+      expect(detectFormat(CSV)).toBe('csv');
+      expect(detectFormat(MT940)).toBe('mt940');
+      expect(detectFormat(CAMT053)).toBe('camt053');
+    });
+  });
+
+  describe('CSV', () => {
+    test('should parse lines with grouped and decimal-comma amounts', () => {
+      const statement = parseBankStatement(`\uFEFF${CSV}`, { fileName: 'statement.csv' });
+
+      expect(statement).toMatchObject({ format: 'csv', statementDate: '2024-03-16', currency: 'USD' });
+      expect(statement.lines).toEqual([
+        expect.objectContaining({
+          bookingDate: '2024-03-15',
+          direction: 'credit',
+          amount: 25000,
+          reference: 'CC-ABC123 Fund I call 2',
+          payerName: 'Jane Doe',
+          payerAccount: 'DE89370400440532013000'
+        }),
+        expect.objectContaining({ bookingDate: '2024-03-16', direction: 'debit', amount: 1250.5 })
+      ]);
+    });
+
+    test('should reject rows without an amount', () => {
+      expect(() => parseBankStatement('Date,Amount\n2024-03-15,abc', { format: 'csv' }))
+        .toThrow('CSV row 2: amount is missing or not a number');
+    });
+  });
+
+  describe('MT940', () => {
+    test('should parse balances, lines and field 86 details', () => {
+      const statement = parseBankStatement(MT940);
+
+      expect(statement).toMatchObject({
+        format: 'mt940',
+        statementReference: 'STMT-2024-03',
+        accountIdentifier: 'DE89370400440532013000',
+        statementDate: '2024-03-16',
+        currency: 'USD',
+        openingBalance: 10000,
+        closingBalance: 33749.5
+      });
+      expect(statement.lines).toEqual([
+        expect.objectContaining({
+          bookingDate: '2024-03-15',
+          direction: 'credit',
+          amount: 25000,
+          currency: 'USD',
+          reference: 'CC-ABC123 FUND I CALL 2',
+          payerName: 'JANE DOE',
+          payerAccount: 'GB33BUKB20201555555555',
+          bankReference: 'BNK-1'
+        }),
+        expect.objectContaining({ direction: 'debit', amount: 1250.5, reference: 'Bank fees' })
+      ]);
+    });
+  });
+
+  describe('camt.053', () => {
+    test('should parse balances, entries and related parties', () => {
+      const statement = parseBankStatement(CAMT053);
+
+      expect(statement).toMatchObject({
+        format: 'camt053',
+        statementReference: 'STMT-2024-03',
+        accountIdentifier: 'DE89370400440532013000',
+        statementDate: '2024-03-16',
+        currency: 'USD',
+        openingBalance: 10000,
+        closingBalance: 33749.5
+      });
+      expect(statement.lines).toEqual([
+        expect.objectContaining({
+          bookingDate: '2024-03-15',
+          direction: 'credit',
+          amount: 25000,
+          reference: 'CC-ABC123 Fund I call 2',
+          payerName: 'Jane Doe & Co',
+          payerAccount: 'GB33BUKB20201555555555',
+          bankReference: 'BNK-1'
+        }),
+        expect.objectContaining({ bookingDate: '2024-03-16', valueDate: '2024-03-16', direction: 'debit', amount: 1250.5 })
+      ]);
+    });
+  });
+
+  test('should reject unsupported formats', () => {
+    expect(() => parseBankStatement('just some text', { format: 'pdf' }))
+      .toThrow('Unsupported bank statement format: pdf. Supported formats: csv, mt940, camt053');
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Clawback Service Tests
+ * Tests for src/services/clawbackService.js
+ */
+
+const { calculateClawback } = require('../../src/services/clawbackService');
+const { calculateWholeFundCarry } = require('../../src/services/waterfallService');
+
+const TIERS = [
+  { tierNumber: 1, tierName: 'Return of Capital', lpSharePercent: 100, gpSharePercent: 0, thresholdIrr: null },
+  { tierNumber: 2, tierName: 'Carried Interest', lpSharePercent: 80, gpSharePercent: 20, thresholdIrr: null },
+];
+
+const INVESTORS = [
+  { userId: 'lp-1', ownershipPercent: 60 },
+  { userId: 'lp-2', ownershipPercent: 40 },
+];
+
+const CONTRIBUTIONS = [
+  { userId: 'lp-1', investmentId: 'inv-a', date: '2023-01-01', amount: 600 },
+  { userId: 'lp-1', investmentId: 'inv-b', date: '2023-01-01', amount: 600 },
+  { userId: 'lp-2', investmentId: 'inv-a', date: '2023-01-01', amount: 400 },
+  { userId: 'lp-2', investmentId: 'inv-b', date: '2023-01-01', amount: 400 },
+];
+
+// inv-a paid 200 of carry deal by deal; inv-b was sold at a loss
+const DISTRIBUTIONS = [
+  {
+    id: 'dist-a',
+    date: '2024-01-01',
+    amount: 2000,
+    gpAmount: 200,
+    distributionType: 'standard',
+    audit: { investors: [{ userId: 'lp-1', gpAmount: 150 }, { userId: 'lp-2', gpAmount: 50 }] },
+  },
+  { id: 'dist-b', date: '2024-06-01', amount: 500, gpAmount: 0, distributionType: 'standard', audit: null },
+];
+
+const wholeFundAt = (asOfDate) => calculateWholeFundCarry({
+  tiers: TIERS,
+  investors: INVESTORS,
+  contributions: CONTRIBUTIONS,
+  distributions: DISTRIBUTIONS,
+  asOfDate,
+});
+
+describe('Clawback Service', () => {
+  describe('calculateWholeFundCarry', () => {
+    test('should replay every distribution on one whole-fund ledger per LP', () => {
+      const wholeFund = wholeFundAt('2024-12-31');
+
+      expect(wholeFund.totalDistributed).toBe(2500);
+      expect(wholeFund.gpCarry).toBe(100);
+      expect(wholeFund.investors.map(inv => [inv.userId, inv.gpAmount])).toEqual([['lp-1', 60], ['lp-2', 40]]);
+    });
+
+    test('should only include distributions up to the as-of date', () => {
+      expect(wholeFundAt('2024-03-01').gpCarry).toBe(0);
+    });
+  });
+
+  describe('calculateClawback', () => {
+    test('should report excess carry and split it by the excess taken from each LP', () => {
+      const result = calculateClawback({
+        wholeFund: wholeFundAt('2024-12-31'),
+        distributions: DISTRIBUTIONS,
+        asOfDate: '2024-12-31',
+      });
+
+      expect(result).toEqual(expect.objectContaining({
+        carryPaid: 200,
+        hypotheticalCarry: 100,
+        grossLiability: 100,
+        netLiability: 100,
+        allocationBasis: 'excess_carry',
+      }));
+      expect(result.investors.map(inv => [inv.userId, inv.excessCarry, inv.clawbackAmount])).toEqual([
+        ['lp-1', 90, 90],
+        ['lp-2', 10, 10],
+      ]);
+    });
+
+    test('should cap the liability at the after-tax carry the GP kept', () => {
+      const result = calculateClawback({
+        wholeFund: wholeFundAt('2024-12-31'),
+        distributions: DISTRIBUTIONS,
+        asOfDate: '2024-12-31',
+        taxRate: 60,
+      });
+
+      expect(result.taxOffset).toBe(120);
+      expect(result.grossLiability).toBe(100);
+      expect(result.netLiability).toBe(80);
+      expect(result.investors.reduce((sum, inv) => sum + inv.clawbackAmount, 0)).toBe(80);
+    });
+
+    test('should net clawback already returned to LPs', () => {
+      const result = calculateClawback({
+        wholeFund: wholeFundAt('2024-12-31'),
+        distributions: [
+          ...DISTRIBUTIONS,
+          { id: 'dist-c', date: '2024-09-01', amount: 30, gpAmount: 0, distributionType: 'clawback' },
+        ],
+        asOfDate: '2024-12-31',
+      });
+
+      expect(result.clawbackReturned).toBe(30);
+      expect(result.grossLiability).toBe(70);
+      expect(result.netLiability).toBe(70);
+      expect(result.distributionCount).toBe(2);
+    });
+
+    test('should measure the interim liability at an earlier date', () => {
+      const result = calculateClawback({
+        wholeFund: wholeFundAt('2024-03-01'),
+        distributions: DISTRIBUTIONS,
+        asOfDate: '2024-03-01',
+      });
+
+      // Until inv-b is realized the whole fund has only returned capital
+      expect(result.hypotheticalCarry).toBe(0);
+      expect(result.carryPaid).toBe(200);
+      expect(result.netLiability).toBe(200);
+    });
+
+    test('should owe nothing when no carry has been paid', () => {
+      const result = calculateClawback({
+        wholeFund: wholeFundAt('2024-12-31'),
+        distributions: [],
+        asOfDate: '2024-12-31',
+      });
+
+      expect(result.netLiability).toBe(0);
+      expect(result.allocationBasis).toBe('ownership');
+      expect(result.investors.every(inv => inv.clawbackAmount === 0)).toBe(true);
+    });
+  });
+});
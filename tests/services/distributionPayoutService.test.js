@@ -0,0 +1,287 @@
+/**
+ * Distribution Payout Service Tests
+ * Tests for src/services/distributionPayoutService.js
+ */
+
+jest.mock('../../src/services/stripe.service', () => ({
+  createTransferToConnectAccount: jest.fn(),
+  findTransferByMetadata: jest.fn(),
+}));
+
+const stripeService = require('../../src/services/stripe.service');
+const Distribution = require('../../src/models/supabase/distribution');
+const DistributionPayout = require('../../src/models/supabase/distributionPayout');
+const {
+  planPayouts,
+  runPayouts,
+  handlePayoutEvent,
+} = require('../../src/services/distributionPayoutService');
+
+const ONBOARDED = { stripe_account_id: 'acct_1', stripe_onboarding_complete: true };
+
+function stripeError(type, message) {
+  const error = new Error(message);
+  error.type = type;
+  return error;
+}
+
+describe('Distribution Payout Service', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    stripeService.createTransferToConnectAccount.mockReset();
+    stripeService.findTransferByMetadata.mockReset();
+  });
+
+  describe('planPayouts', () => {
+    test('should pay the net amount left after withholding and prior payments', () => {
+      const [plan] = planPayouts([
+        { id: 'alloc-1', user_id: 'lp-1', allocated_amount: 1000, net_amount: 850, paid_amount: 50, status: 'Pending', user: ONBOARDED },
+      ], 'usd');
+
+      expect(plan).toEqual(expect.objectContaining({ baseAmount: 800, amount: 800, currency: 'USD', eligible: true }));
+    });
+
+    test('should convert to the payment currency at the snapshotted rate', () => {
+      const [plan] = planPayouts([
+        {
+          id: 'alloc-1',
+          user_id: 'lp-1',
+          allocated_amount: 1000,
+          net_amount: 900,
+          payment_currency: 'EUR',
+          allocated_amount_payment_currency: 920,
+          status: 'Pending',
+          user: ONBOARDED,
+        },
+      ], 'USD');
+
+      expect(plan).toEqual(expect.objectContaining({ baseAmount: 900, amount: 828, currency: 'EUR' }));
+    });
+
+    test('should pay in-kind allocations only their cash in lieu less the tax withheld', () => {
+      const [plan] = planPayouts([
+        {
+          id: 'alloc-1',
+          user_id: 'lp-1',
+          allocated_amount: 594,
+          allocated_units: 19,
+          cash_in_lieu_amount: 24,
+          withholding_amount: 4,
+          net_amount: 590,
+          status: 'Pending',
+          user: ONBOARDED,
+        },
+      ], 'USD');
+
+      expect(plan).toEqual(expect.objectContaining({ baseAmount: 20, amount: 20 }));
+    });
+
+    test('should skip paid allocations and report LPs who have not onboarded', () => {
+      const plans = planPayouts([
+        { id: 'alloc-1', user_id: 'lp-1', allocated_amount: 1000, status: 'Paid', user: ONBOARDED },
+        { id: 'alloc-2', user_id: 'lp-2', allocated_amount: 1000, status: 'Pending', user: { stripe_account_id: 'acct_2' } },
+      ]);
+
+      expect(plans).toHaveLength(1);
+      expect(plans[0]).toEqual(expect.objectContaining({
+        allocationId: 'alloc-2',
+        eligible: false,
+        reason: 'Investor has not completed Stripe Connect onboarding',
+      }));
+    });
+  });
+
+  describe('runPayouts', () => {
+    const distribution = { id: 'dist-1', distributionNumber: 'D-001' };
+
+    beforeEach(() => {
+      jest.spyOn(Distribution, 'findWithAllocations').mockResolvedValue({
+        id: 'dist-1',
+        distribution_allocations: [
+          { id: 'alloc-1', user_id: 'lp-1', allocated_amount: 600, status: 'Pending', user: ONBOARDED },
+          { id: 'alloc-2', user_id: 'lp-2', allocated_amount: 400, status: 'Failed', user: { stripe_account_id: 'acct_2', stripe_onboarding_complete: true } },
+          { id: 'alloc-3', user_id: 'lp-3', allocated_amount: 100, status: 'Pending', user: null },
+        ],
+      });
+      jest.spyOn(Distribution, 'updateAllocationPaymentStatus').mockResolvedValue({});
+      jest.spyOn(DistributionPayout, 'createIfNoneActive').mockImplementation(async data => ({ id: `payout-${data.allocationId}`, ...data }));
+      jest.spyOn(DistributionPayout, 'claim').mockImplementation(async id => ({ id, status: 'sending', attempts: 1, createdAt: '2024-01-01T00:00:00Z' }));
+      jest.spyOn(DistributionPayout, 'findByIdAndUpdate').mockImplementation(async (id, data) => ({ id, ...data }));
+    });
+
+    test('should transfer new allocations, retry rejected ones on a new payout and skip LPs without Connect', async () => {
+      jest.spyOn(DistributionPayout, 'findByDistributionId').mockResolvedValue([
+        { id: 'payout-old', allocationId: 'alloc-2', status: 'failed', attempts: 1, baseAmount: 400 },
+      ]);
+      stripeService.createTransferToConnectAccount
+        .mockResolvedValueOnce({ id: 'tr_1' })
+        .mockRejectedValueOnce(stripeError('StripeInvalidRequestError', 'Insufficient platform balance'));
+
+      const run = await runPayouts(distribution, { baseCurrency: 'USD' }, { createdBy: 'user-123' });
+
+      expect(run).toEqual(expect.objectContaining({ transferred: 1, failed: 1, skipped: 1, transferredAmount: 600 }));
+      expect(stripeService.createTransferToConnectAccount).toHaveBeenCalledWith(
+        'acct_1', 60000, 'usd', 'Distribution #D-001', expect.any(Object),
+        { idempotencyKey: 'distribution-payout-payout-alloc-1' }
+      );
+      // The rejected payout is retried on a new payout (and key), as the second attempt
+      expect(DistributionPayout.createIfNoneActive).toHaveBeenCalledWith(expect.objectContaining({
+        allocationId: 'alloc-2',
+        status: 'sending',
+        attempts: 1,
+      }));
+      expect(stripeService.createTransferToConnectAccount.mock.calls[1][5]).toEqual({
+        idempotencyKey: 'distribution-payout-payout-alloc-2',
+      });
+      expect(DistributionPayout.findByIdAndUpdate).toHaveBeenCalledWith('payout-alloc-2', expect.objectContaining({
+        status: 'failed',
+        attempts: 2,
+        lastError: 'Insufficient platform balance',
+      }));
+      expect(Distribution.updateAllocationPaymentStatus).toHaveBeenCalledWith('alloc-1', 'Processing');
+    });
+
+    test('should never transfer again once funds reached the LP and stop retrying after the last attempt', async () => {
+      jest.spyOn(DistributionPayout, 'findByDistributionId').mockResolvedValue([
+        { id: 'payout-1', allocationId: 'alloc-1', status: 'transferred', attempts: 1, baseAmount: 600 },
+        { id: 'payout-2', allocationId: 'alloc-2', status: 'failed', attempts: DistributionPayout.MAX_ATTEMPTS, baseAmount: 400 },
+      ]);
+
+      const run = await runPayouts(distribution, { baseCurrency: 'USD' });
+
+      expect(stripeService.createTransferToConnectAccount).not.toHaveBeenCalled();
+      expect(run).toEqual(expect.objectContaining({ unchanged: 1, exhausted: 1, skipped: 1 }));
+    });
+
+    test('should keep the payout and its key when the transfer outcome is unknown, and recover it on the next run', async () => {
+      jest.spyOn(DistributionPayout, 'findByDistributionId').mockResolvedValue([
+        { id: 'payout-2', allocationId: 'alloc-2', status: 'transferred', attempts: 1, baseAmount: 400 },
+      ]);
+      stripeService.createTransferToConnectAccount.mockRejectedValueOnce(stripeError('StripeConnectionError', 'Request timed out'));
+
+      const first = await runPayouts(distribution, { baseCurrency: 'USD' });
+
+      expect(first.unconfirmed).toBe(1);
+      expect(DistributionPayout.findByIdAndUpdate).toHaveBeenCalledWith('payout-alloc-1', expect.objectContaining({
+        status: 'unconfirmed',
+        attempts: 1,
+      }));
+      expect(Distribution.updateAllocationPaymentStatus).not.toHaveBeenCalledWith('alloc-1', 'Failed');
+
+      // Stripe did create the transfer: the next run finds it instead of sending another one
+      DistributionPayout.findByDistributionId.mockResolvedValue([
+        { id: 'payout-alloc-1', allocationId: 'alloc-1', status: 'unconfirmed', attempts: 1, baseAmount: 600 },
+        { id: 'payout-2', allocationId: 'alloc-2', status: 'transferred', attempts: 1, baseAmount: 400 },
+      ]);
+      stripeService.findTransferByMetadata.mockResolvedValueOnce({ id: 'tr_lost' });
+
+      const second = await runPayouts(distribution, { baseCurrency: 'USD' });
+
+      expect(DistributionPayout.claim).toHaveBeenCalledWith('payout-alloc-1', ['unconfirmed']);
+      expect(stripeService.findTransferByMetadata).toHaveBeenCalledWith('acct_1', 'payoutId', 'payout-alloc-1', '2024-01-01T00:00:00Z');
+      expect(stripeService.createTransferToConnectAccount).toHaveBeenCalledTimes(1);
+      expect(second.transferred).toBe(1);
+      expect(DistributionPayout.findByIdAndUpdate).toHaveBeenCalledWith('payout-alloc-1', expect.objectContaining({
+        status: 'transferred',
+        stripeTransferId: 'tr_lost',
+      }));
+    });
+
+    test('should transfer each allocation once when two runs start together', async () => {
+      // Emulate the unique index on active payouts per allocation and the conditional claim
+      const rows = new Map();
+      DistributionPayout.createIfNoneActive.mockImplementation(async data => {
+        if ([...rows.values()].some(r => r.allocationId === data.allocationId && DistributionPayout.ACTIVE_STATUSES.includes(r.status))) {
+          return null;
+        }
+        const row = { id: `payout-${rows.size + 1}`, ...data };
+        rows.set(row.id, row);
+        return row;
+      });
+      DistributionPayout.findByIdAndUpdate.mockImplementation(async (id, data) => Object.assign(rows.get(id), data));
+      jest.spyOn(DistributionPayout, 'findByDistributionId').mockResolvedValue([]);
+      stripeService.createTransferToConnectAccount.mockImplementation(async (accountId, amount, currency, description, metadata) => {
+        await new Promise(resolve => setImmediate(resolve));
+        return { id: `tr_${metadata.payoutId}` };
+      });
+
+      const [first, second] = await Promise.all([
+        runPayouts(distribution, { baseCurrency: 'USD' }),
+        runPayouts(distribution, { baseCurrency: 'USD' }),
+      ]);
+
+      expect(stripeService.createTransferToConnectAccount).toHaveBeenCalledTimes(2);
+      expect(stripeService.createTransferToConnectAccount.mock.calls.map(call => call[4].allocationId).sort()).toEqual(['alloc-1', 'alloc-2']);
+      expect(first.transferred + second.transferred).toBe(2);
+      expect(first.inProgress + second.inProgress).toBe(2);
+    });
+  });
+
+  describe('handlePayoutEvent', () => {
+    test('should settle transfers made before the payout and mark the distribution paid', async () => {
+      jest.spyOn(DistributionPayout, 'findByAccountAndStatus').mockResolvedValue([
+        { id: 'payout-1', distributionId: 'dist-1', allocationId: 'alloc-1', baseAmount: 600, transferredAt: '2024-01-01T00:00:00Z' },
+        { id: 'payout-2', distributionId: 'dist-2', allocationId: 'alloc-9', baseAmount: 50, transferredAt: '2024-02-01T00:00:00Z' },
+      ]);
+      jest.spyOn(DistributionPayout, 'settle').mockImplementation(async (id, data) => ({ id, ...data, status: 'paid' }));
+      jest.spyOn(Distribution, 'updateAllocationPaymentStatus').mockResolvedValue({});
+      jest.spyOn(Distribution, 'findWithAllocations').mockResolvedValue({
+        id: 'dist-1',
+        status: 'Pending',
+        distribution_allocations: [{ id: 'alloc-1', status: 'Paid' }],
+      });
+      jest.spyOn(Distribution, 'markAsPaid').mockResolvedValue({});
+
+      const settled = await handlePayoutEvent({
+        type: 'payout.paid',
+        account: 'acct_1',
+        data: { object: { id: 'po_1', created: Date.parse('2024-01-15T00:00:00Z') / 1000 } },
+      });
+
+      expect(settled).toEqual([expect.objectContaining({ id: 'payout-1', status: 'paid', stripePayoutId: 'po_1' })]);
+      expect(Distribution.updateAllocationPaymentStatus).toHaveBeenCalledWith('alloc-1', 'Paid', 600);
+      expect(Distribution.markAsPaid).toHaveBeenCalledWith('dist-1');
+    });
+
+    test('should leave transfers settleable when the payout fails', async () => {
+      jest.spyOn(DistributionPayout, 'findByAccountAndStatus').mockResolvedValue([
+        { id: 'payout-1', distributionId: 'dist-1', allocationId: 'alloc-1', baseAmount: 600, transferredAt: '2024-01-01T00:00:00Z' },
+      ]);
+      const updateSpy = jest.spyOn(DistributionPayout, 'findByIdAndUpdate').mockImplementation(async (id, data) => ({ id, status: 'transferred', ...data }));
+      jest.spyOn(Distribution, 'updateAllocationPaymentStatus').mockResolvedValue({});
+
+      const updated = await handlePayoutEvent({
+        type: 'payout.failed',
+        account: 'acct_1',
+        data: { object: { id: 'po_1', created: Date.parse('2024-01-15T00:00:00Z') / 1000, failure_message: 'Account closed' } },
+      });
+
+      expect(updateSpy).toHaveBeenCalledWith('payout-1', { stripePayoutId: 'po_1', lastError: 'Account closed' });
+      expect(updated).toEqual([expect.objectContaining({ status: 'transferred', lastError: 'Account closed' })]);
+      expect(Distribution.updateAllocationPaymentStatus).toHaveBeenCalledWith('alloc-1', 'Failed');
+    });
+
+    test('should not pay an allocation again when the payout was already settled', async () => {
+      jest.spyOn(DistributionPayout, 'findByAccountAndStatus').mockResolvedValue([
+        { id: 'payout-1', distributionId: 'dist-1', allocationId: 'alloc-1', baseAmount: 600, transferredAt: '2024-01-01T00:00:00Z' },
+      ]);
+      jest.spyOn(DistributionPayout, 'settle').mockResolvedValue(null);
+      jest.spyOn(Distribution, 'updateAllocationPaymentStatus').mockResolvedValue({});
+      jest.spyOn(Distribution, 'findWithAllocations').mockResolvedValue({
+        id: 'dist-1',
+        status: 'Paid',
+        distribution_allocations: [{ id: 'alloc-1', status: 'Paid' }],
+      });
+      jest.spyOn(Distribution, 'markAsPaid').mockResolvedValue({});
+
+      const settled = await handlePayoutEvent({
+        type: 'payout.paid',
+        account: 'acct_1',
+        data: { object: { id: 'po_2', created: Date.parse('2024-01-15T00:00:00Z') / 1000 } },
+      });
+
+      expect(settled).toEqual([]);
+      expect(Distribution.updateAllocationPaymentStatus).not.toHaveBeenCalled();
+    });
+  });
+});
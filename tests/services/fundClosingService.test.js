@@ -0,0 +1,133 @@
+/**
+ * Fund Closing Service Tests
+ * Tests for src/services/fundClosingService.js
+ */
+
+const { calculateClosing, validateClosing } = require('../../src/services/fundClosingService');
+
+const STRUCTURE = {
+  id: 'struct-1',
+  minimumTicket: 100000,
+  maximumTicket: 5000000,
+  maxInvestorRestriction: 3,
+  commitmentsLocked: false
+};
+
+const FIRST_CLOSE = { id: 'close-1', closingType: 'first', closingDate: '2025-01-15', status: 'completed' };
+
+describe('Fund Closing Service', () => {
+  describe('calculateClosing', () => {
+    test('should rebase every LP on the enlarged commitment base', () => {
+      const calculation = calculateClosing({
+        currentInvestors: [
+          { userId: 'lp-1', commitment: 600000 },
+          { userId: 'lp-2', commitment: 400000 }
+        ],
+        admissions: [
+          { userId: 'lp-3', commitment: 1000000 },
+          { userId: 'lp-2', commitment: 100000 }
+        ]
+      });
+
+      expect(calculation.previousTotalCommitment).toBe(1000000);
+      expect(calculation.newCommitment).toBe(1100000);
+      expect(calculation.totalCommitment).toBe(2100000);
+      expect(calculation.investorCount).toBe(3);
+
+      const lp2 = calculation.investors.find(inv => inv.userId === 'lp-2');
+      expect(lp2).toMatchObject({ previousCommitment: 400000, totalCommitment: 500000, isNewInvestor: false });
+      expect(calculation.investors.find(inv => inv.userId === 'lp-3').isNewInvestor).toBe(true);
+
+      const lp1 = calculation.ownership.find(o => o.userId === 'lp-1');
+      expect(lp1.ownershipPercentBefore).toBe(60);
+      expect(lp1.ownershipPercent).toBeCloseTo(28.571429, 6);
+      expect(lp1.admittedAtClose).toBe(false);
+
+      const totalOwnership = calculation.ownership.reduce((sum, o) => sum + o.ownershipPercent, 0);
+      expect(totalOwnership).toBeCloseTo(100, 4);
+    });
+  });
+
+  describe('validateClosing', () => {
+    function validateAdmissions({ closing, closings = [], currentInvestors = [], admissions, structure = STRUCTURE }) {
+      const calculation = calculateClosing({ currentInvestors, admissions });
+      return validateClosing({ structure, closing: { ...closing, investors: admissions }, closings, calculation });
+    }
+
+    test('should accept a first close within the ticket limits', () => {
+      const result = validateAdmissions({
+        closing: { id: 'close-1', closingType: 'first', closingDate: '2025-01-15' },
+        admissions: [{ userId: 'lp-1', commitment: 250000 }]
+      });
+
+      expect(result.isValid).toBe(true);
+      expect(result.errors).toEqual([]);
+    });
+
+    test('should check tickets on the total commitment after the close', () => {
+      const result = validateAdmissions({
+        closing: { id: 'close-2', closingType: 'subsequent', closingDate: '2025-06-30' },
+        closings: [FIRST_CLOSE],
+        currentInvestors: [{ userId: 'lp-1', commitment: 4900000 }],
+        admissions: [
+          { userId: 'lp-1', commitment: 200000 },
+          { userId: 'lp-2', commitment: 50000 }
+        ]
+      });
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toEqual([
+        'Investor lp-1: commitment of 5100000 is above the maximum ticket of 5000000',
+        'Investor lp-2: commitment of 50000 is below the minimum ticket of 100000'
+      ]);
+    });
+
+    test('should reject a close exceeding the maximum number of investors', () => {
+      const result = validateAdmissions({
+        closing: { id: 'close-2', closingType: 'subsequent', closingDate: '2025-06-30' },
+        closings: [FIRST_CLOSE],
+        currentInvestors: [
+          { userId: 'lp-1', commitment: 500000 },
+          { userId: 'lp-2', commitment: 500000 },
+          { userId: 'lp-3', commitment: 500000 }
+        ],
+        admissions: [{ userId: 'lp-4', commitment: 500000 }]
+      });
+
+      expect(result.errors).toContain('The close would bring the structure to 4 investors; at most 3 are allowed');
+    });
+
+    test('should enforce the order of closes', () => {
+      const subsequentFirst = validateAdmissions({
+        closing: { id: 'close-1', closingType: 'subsequent', closingDate: '2025-01-15' },
+        admissions: [{ userId: 'lp-1', commitment: 500000 }]
+      });
+      expect(subsequentFirst.errors).toContain('A subsequent close requires a completed first close');
+
+      const secondFirst = validateAdmissions({
+        closing: { id: 'close-2', closingType: 'first', closingDate: '2025-06-30' },
+        closings: [FIRST_CLOSE],
+        admissions: [{ userId: 'lp-2', commitment: 500000 }]
+      });
+      expect(secondFirst.errors).toContain('The first close has already been completed');
+
+      const backdated = validateAdmissions({
+        closing: { id: 'close-2', closingType: 'subsequent', closingDate: '2024-12-31' },
+        closings: [FIRST_CLOSE],
+        admissions: [{ userId: 'lp-2', commitment: 500000 }]
+      });
+      expect(backdated.errors).toContain('Closing date cannot be before the previous close on 2025-01-15');
+    });
+
+    test('should reject any close once the commitment base is locked', () => {
+      const result = validateAdmissions({
+        structure: { ...STRUCTURE, commitmentsLocked: true },
+        closing: { id: 'close-3', closingType: 'subsequent', closingDate: '2026-01-15' },
+        closings: [FIRST_CLOSE],
+        admissions: [{ userId: 'lp-2', commitment: 500000 }]
+      });
+
+      expect(result.errors).toContain('The commitment base is locked by the final close');
+    });
+  });
+});
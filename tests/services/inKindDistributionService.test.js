@@ -0,0 +1,198 @@
+/**
+ * In-Kind Distribution Service Tests
+ * Tests for src/services/inKindDistributionService.js
+ */
+
+jest.mock('../../src/services/web3ServiceFactory', () => ({
+  createWeb3Service: jest.fn(),
+}));
+
+const { createWeb3Service } = require('../../src/services/web3ServiceFactory');
+const Distribution = require('../../src/models/supabase/distribution');
+const { planTokenTransfers, transferInKindTokens } = require('../../src/services/inKindDistributionService');
+const { incrementDecimals, splitUnits } = require('../../src/utils/inKind');
+
+const RUN_PARAMS = {
+  contractAddress: '0xtoken',
+  fromAddress: '0xfund',
+  rpcUrl: 'https://rpc.example',
+  privateKey: 'abc123',
+};
+
+describe('In-Kind Distribution Service', () => {
+  const mockWeb3Service = {
+    transferTokens: jest.fn(),
+    getTransactionReceipt: jest.fn(),
+    getTransactionCount: jest.fn(),
+    createAccountFromPrivateKey: jest.fn(),
+  };
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    Object.values(mockWeb3Service).forEach(fn => fn.mockReset());
+    mockWeb3Service.createAccountFromPrivateKey.mockReturnValue({ address: '0xagent' });
+    createWeb3Service.mockReturnValue(mockWeb3Service);
+  });
+
+  describe('splitUnits', () => {
+    test('should round units to increments written in exponent notation', () => {
+      expect(incrementDecimals(1e-7)).toBe(7);
+      expect(incrementDecimals(0.001)).toBe(3);
+      expect(incrementDecimals(1)).toBe(0);
+      expect(splitUnits(1, 3, 1e-7)).toEqual({ units: 0.3333333, unitsValue: 1, cashInLieu: 0 });
+    });
+  });
+
+  describe('planTokenTransfers', () => {
+    test('should skip allocations without units and report LPs without a wallet', () => {
+      const plans = planTokenTransfers([
+        { id: 'alloc-1', user_id: 'lp-1', allocated_units: 0, user: { wallet_address: '0xaaa' } },
+        { id: 'alloc-2', user_id: 'lp-2', allocated_units: 12.5, user: { wallet_address: null } },
+      ]);
+
+      expect(plans).toEqual([
+        expect.objectContaining({ allocationId: 'alloc-2', units: 12.5, eligible: false, reason: 'Investor has no wallet address' }),
+      ]);
+    });
+  });
+
+  describe('transferInKindTokens', () => {
+    test('should transfer units to LP wallets once and record the transaction hash', async () => {
+      jest.spyOn(Distribution, 'findWithAllocations').mockResolvedValue({
+        id: 'dist-1',
+        distribution_allocations: [
+          { id: 'alloc-1', user_id: 'lp-1', allocated_units: 100, token_transfer_status: 'pending', user: { wallet_address: '0xaaa' } },
+          { id: 'alloc-2', user_id: 'lp-2', allocated_units: 50, token_transfer_status: 'transferred', user: { wallet_address: '0xbbb' } },
+          { id: 'alloc-3', user_id: 'lp-3', allocated_units: 25, token_transfer_status: 'failed', user: { wallet_address: '0xccc' } },
+          { id: 'alloc-4', user_id: 'lp-4', allocated_units: 10, token_transfer_status: 'pending', user: {} },
+        ],
+      });
+      jest.spyOn(Distribution, 'updateAllocationTokenTransfer').mockResolvedValue({});
+      const claimSpy = jest.spyOn(Distribution, 'claimAllocationTokenTransfer').mockImplementation(async id => ({ id }));
+      mockWeb3Service.transferTokens
+        .mockImplementationOnce(async ({ onSigned }) => {
+          await onSigned({ transactionHash: '0xhash1', nonce: 4 });
+          return { transactionHash: '0xhash1' };
+        })
+        .mockRejectedValueOnce(new Error('execution reverted: Transfer not possible'));
+
+      const run = await transferInKindTokens({ id: 'dist-1' }, RUN_PARAMS);
+
+      expect(createWeb3Service).toHaveBeenCalledWith('https://rpc.example');
+      expect(claimSpy).toHaveBeenCalledWith('alloc-1', ['pending', 'failed', 'skipped']);
+      expect(mockWeb3Service.transferTokens).toHaveBeenCalledTimes(2);
+      expect(mockWeb3Service.transferTokens).toHaveBeenCalledWith(expect.objectContaining({
+        contractAddress: '0xtoken',
+        fromAddress: '0xfund',
+        toAddress: '0xaaa',
+        amountWei: 100n * 10n ** 18n,
+        privateKey: '0xabc123',
+      }));
+      // The hash is recorded before the transaction is broadcast
+      expect(Distribution.updateAllocationTokenTransfer).toHaveBeenNthCalledWith(1, 'alloc-1', { status: 'submitted', transactionHash: '0xhash1', nonce: 4 });
+      expect(Distribution.updateAllocationTokenTransfer).toHaveBeenCalledWith('alloc-1', { status: 'transferred', transactionHash: '0xhash1' });
+      expect(Distribution.updateAllocationTokenTransfer).toHaveBeenCalledWith('alloc-3', {
+        status: 'failed',
+        error: 'execution reverted: Transfer not possible',
+      });
+      expect(Distribution.updateAllocationTokenTransfer).toHaveBeenCalledWith('alloc-4', {
+        status: 'skipped',
+        error: 'Investor has no wallet address',
+      });
+      expect(run).toEqual(expect.objectContaining({ transferred: 1, failed: 1, skipped: 1, unchanged: 1, unitsTransferred: 100 }));
+    });
+
+    test('should send the units of an LP who has since registered a wallet', async () => {
+      jest.spyOn(Distribution, 'findWithAllocations').mockResolvedValue({
+        id: 'dist-1',
+        distribution_allocations: [
+          { id: 'alloc-4', user_id: 'lp-4', allocated_units: 10, token_transfer_status: 'skipped', token_transfer_error: 'Investor has no wallet address', user: { wallet_address: '0xddd' } },
+        ],
+      });
+      jest.spyOn(Distribution, 'updateAllocationTokenTransfer').mockResolvedValue({});
+      const claimSpy = jest.spyOn(Distribution, 'claimAllocationTokenTransfer').mockImplementation(async id => ({ id }));
+      mockWeb3Service.transferTokens.mockImplementationOnce(async ({ onSigned }) => {
+        await onSigned({ transactionHash: '0xhash4', nonce: 7 });
+        return { transactionHash: '0xhash4' };
+      });
+
+      const run = await transferInKindTokens({ id: 'dist-1' }, RUN_PARAMS);
+
+      expect(claimSpy).toHaveBeenCalledWith('alloc-4', expect.arrayContaining(['skipped']));
+      expect(mockWeb3Service.transferTokens).toHaveBeenCalledWith(expect.objectContaining({ toAddress: '0xddd', amountWei: 10n * 10n ** 18n }));
+      expect(Distribution.updateAllocationTokenTransfer).toHaveBeenCalledWith('alloc-4', { status: 'transferred', transactionHash: '0xhash4' });
+      expect(run).toEqual(expect.objectContaining({ transferred: 1, skipped: 0, unitsTransferred: 10 }));
+    });
+
+    test('should not send an allocation another run has claimed', async () => {
+      jest.spyOn(Distribution, 'findWithAllocations').mockResolvedValue({
+        id: 'dist-1',
+        distribution_allocations: [
+          { id: 'alloc-1', user_id: 'lp-1', allocated_units: 100, token_transfer_status: 'pending', user: { wallet_address: '0xaaa' } },
+        ],
+      });
+      jest.spyOn(Distribution, 'claimAllocationTokenTransfer').mockResolvedValue(null);
+      jest.spyOn(Distribution, 'updateAllocationTokenTransfer').mockResolvedValue({});
+
+      const run = await transferInKindTokens({ id: 'dist-1' }, RUN_PARAMS);
+
+      expect(mockWeb3Service.transferTokens).not.toHaveBeenCalled();
+      expect(Distribution.updateAllocationTokenTransfer).not.toHaveBeenCalled();
+      expect(run).toEqual(expect.objectContaining({ transferred: 0, inProgress: 1 }));
+    });
+
+    test('should check a recorded transaction before sending again', async () => {
+      jest.spyOn(Distribution, 'findWithAllocations').mockResolvedValue({
+        id: 'dist-1',
+        distribution_allocations: [
+          // Mined since the last run
+          { id: 'alloc-1', user_id: 'lp-1', allocated_units: 100, token_transfer_status: 'submitted', token_transaction_hash: '0xmined', token_transfer_nonce: 3, user: { wallet_address: '0xaaa' } },
+          // Not mined yet and its nonce is unused: it may still be mined
+          { id: 'alloc-2', user_id: 'lp-2', allocated_units: 50, token_transfer_status: 'submitted', token_transaction_hash: '0xpending', token_transfer_nonce: 9, user: { wallet_address: '0xbbb' } },
+          // Dropped: its nonce was used by another transaction
+          { id: 'alloc-3', user_id: 'lp-3', allocated_units: 25, token_transfer_status: 'submitted', token_transaction_hash: '0xdropped', token_transfer_nonce: 5, user: { wallet_address: '0xccc' } },
+        ],
+      });
+      jest.spyOn(Distribution, 'updateAllocationTokenTransfer').mockResolvedValue({});
+      const claimSpy = jest.spyOn(Distribution, 'claimAllocationTokenTransfer').mockImplementation(async id => ({ id }));
+      mockWeb3Service.getTransactionReceipt.mockImplementation(async hash => (hash === '0xmined' ? { status: 1n } : null));
+      mockWeb3Service.getTransactionCount.mockResolvedValue(8n);
+      mockWeb3Service.transferTokens.mockResolvedValue({ transactionHash: '0xresent' });
+
+      const run = await transferInKindTokens({ id: 'dist-1' }, RUN_PARAMS);
+
+      expect(mockWeb3Service.transferTokens).toHaveBeenCalledTimes(1);
+      expect(mockWeb3Service.transferTokens).toHaveBeenCalledWith(expect.objectContaining({ toAddress: '0xccc', amountWei: 25n * 10n ** 18n }));
+      expect(claimSpy).toHaveBeenCalledTimes(1);
+      expect(claimSpy).toHaveBeenCalledWith('alloc-3', ['submitted']);
+      expect(Distribution.updateAllocationTokenTransfer).toHaveBeenCalledWith('alloc-1', { status: 'transferred', transactionHash: '0xmined' });
+      expect(Distribution.updateAllocationTokenTransfer).toHaveBeenCalledWith('alloc-3', { status: 'transferred', transactionHash: '0xresent' });
+      expect(run).toEqual(expect.objectContaining({ transferred: 2, unconfirmed: 1, unitsTransferred: 125 }));
+    });
+
+    test('should leave a broadcast transaction without a receipt for the next run', async () => {
+      jest.spyOn(Distribution, 'findWithAllocations').mockResolvedValue({
+        id: 'dist-1',
+        distribution_allocations: [
+          { id: 'alloc-1', user_id: 'lp-1', allocated_units: 0.0000001, token_transfer_status: 'pending', user: { wallet_address: '0xaaa' } },
+        ],
+      });
+      jest.spyOn(Distribution, 'claimAllocationTokenTransfer').mockImplementation(async id => ({ id }));
+      jest.spyOn(Distribution, 'updateAllocationTokenTransfer').mockResolvedValue({});
+      mockWeb3Service.transferTokens.mockImplementation(async ({ onSigned }) => {
+        await onSigned({ transactionHash: '0xhash1', nonce: 4 });
+        throw new Error('Transaction was not mined within 750 seconds');
+      });
+      mockWeb3Service.getTransactionReceipt.mockResolvedValue(null);
+
+      const run = await transferInKindTokens({ id: 'dist-1' }, RUN_PARAMS);
+
+      expect(mockWeb3Service.transferTokens).toHaveBeenCalledWith(expect.objectContaining({ amountWei: 100000000000n }));
+      expect(Distribution.updateAllocationTokenTransfer).toHaveBeenLastCalledWith('alloc-1', {
+        status: 'submitted',
+        error: 'Transaction was not mined within 750 seconds',
+      });
+      expect(run).toEqual(expect.objectContaining({ transferred: 0, failed: 0, unconfirmed: 1 }));
+    });
+  });
+});
@@ -0,0 +1,331 @@
+/**
+ * LP Transfer Service Tests
+ * Tests for src/services/lpTransferService.js
+ */
+
+jest.mock('../../src/config/database', () => ({
+  getSupabase: jest.fn(),
+}));
+
+jest.mock('../../src/services/web3ServiceFactory', () => ({
+  createWeb3Service: jest.fn(),
+}));
+
+const { getSupabase } = require('../../src/config/database');
+const { createMockSupabaseClient } = require('../helpers/mockSupabase');
+const { createWeb3Service } = require('../../src/services/web3ServiceFactory');
+const ApprovalHistory = require('../../src/models/supabase/approvalHistory');
+const CapitalCall = require('../../src/models/supabase/capitalCall');
+const Distribution = require('../../src/models/supabase/distribution');
+const LpTransfer = require('../../src/models/supabase/lpTransfer');
+const StructureInvestor = require('../../src/models/supabase/structureInvestor');
+const {
+  parseLockUpMonths,
+  validateTransferRequest,
+  isKycCleared,
+  calculateTransferBalances,
+  forceTransferTokens,
+  completeTransfer
+} = require('../../src/services/lpTransferService');
+
+const STRUCTURE = { id: 'struct-1', lockUpPeriod: '2 years', inceptionDate: '2020-01-01', lifecycleStage: 'harvesting' };
+const TRANSFEROR = { id: 'si-1', userId: 'lp-1', commitment: 1000000, createdAt: '2021-03-15T10:00:00Z', defaultStatus: 'good_standing' };
+const TRANSFER = {
+  id: 'transfer-1',
+  structureId: 'struct-1',
+  transferorId: 'lp-1',
+  transfereeId: 'lp-2',
+  commitmentTransferred: 400000,
+  effectiveDate: '2024-06-30',
+  status: 'kyc_cleared'
+};
+
+describe('LP Transfer Service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('validateTransferRequest', () => {
+    test('should accept a partial transfer after the lock-up', () => {
+      expect(validateTransferRequest({ structure: STRUCTURE, transfer: TRANSFER, transferorInvestor: TRANSFEROR })).toEqual([]);
+    });
+
+    test('should enforce the lock-up from the transferor\'s admission', () => {
+      expect(parseLockUpMonths('2 years')).toBe(24);
+      expect(parseLockUpMonths('18 months from admission')).toBe(18);
+      expect(parseLockUpMonths('None')).toBeNull();
+
+      expect(validateTransferRequest({
+        structure: STRUCTURE,
+        transfer: { ...TRANSFER, effectiveDate: '2023-03-14' },
+        transferorInvestor: TRANSFEROR
+      })).toEqual(["Transferor's interest is locked up until 2023-03-15"]);
+    });
+
+    test('should reject oversized transfers, defaulting transferors and a second open transfer', () => {
+      const errors = validateTransferRequest({
+        structure: STRUCTURE,
+        transfer: { ...TRANSFER, id: undefined, commitmentTransferred: 1500000 },
+        transferorInvestor: { ...TRANSFEROR, defaultStatus: 'in_default' },
+        transfers: [TRANSFER]
+      });
+
+      expect(errors).toEqual([
+        "Commitment transferred of 1500000 exceeds the transferor's commitment of 1000000",
+        'Transferor is in default and cannot transfer its interest',
+        'Transferor already has a transfer in progress'
+      ]);
+    });
+  });
+
+  describe('isKycCleared', () => {
+    test('should clear a completed KYC session or an approved KYC status', () => {
+      expect(isKycCleared({ kycStatus: 'Not Started' }, { status: 'completed' })).toBe(true);
+      expect(isKycCleared({ kycStatus: 'Approved' }, null)).toBe(true);
+      expect(isKycCleared({ kycStatus: 'Approved' }, { status: 'failed' })).toBe(true);
+      expect(isKycCleared({ kycStatus: 'Pending' }, { status: 'pending' })).toBe(false);
+    });
+  });
+
+  describe('calculateTransferBalances', () => {
+    test('should move the transferred share of every balance', () => {
+      const moved = calculateTransferBalances({
+        commitment: 1000000,
+        calledCapital: 600000,
+        investedCapital: 500000,
+        paidIn: 550000,
+        returnedCapital: 100000,
+        writeDowns: 0,
+        distributions: 150000
+      }, 400000);
+
+      expect(moved).toEqual({
+        transferFraction: 0.4,
+        commitment: 400000,
+        calledCapital: 240000,
+        investedCapital: 200000,
+        paidIn: 220000,
+        returnedCapital: 40000,
+        writeDowns: 0,
+        distributions: 60000,
+        unfunded: 160000
+      });
+    });
+  });
+
+  describe('completeTransfer', () => {
+    test('should move the commitment and balances and rebase ownership', async () => {
+      jest.spyOn(StructureInvestor, 'findByUserAndStructure').mockImplementation(async (userId) => (
+        userId === 'lp-1' ? { ...TRANSFEROR, transferredCalledCapital: 0, transferredPaidIn: 0, transferredReturnedCapital: 0, transferredDistributions: 0 } : null
+      ));
+      jest.spyOn(CapitalCall, 'getCapitalBalancesByStructure').mockResolvedValue({
+        'lp-1': { calledCapital: 600000, investedCapital: 500000, returnedCapital: 100000, writeDowns: 0 }
+      });
+      jest.spyOn(Distribution, 'getAllocationBases').mockResolvedValue({ paid_in: [{ userId: 'lp-1', weight: 550000 }] });
+      jest.spyOn(Distribution, 'getInvestorDistributionTotal').mockResolvedValue(150000);
+      const updateSpy = jest.spyOn(StructureInvestor, 'findByIdAndUpdate').mockResolvedValue({});
+      const upsertSpy = jest.spyOn(StructureInvestor, 'upsert').mockResolvedValue({});
+      const ownershipSpy = jest.spyOn(StructureInvestor, 'recalculateOwnership').mockResolvedValue();
+      jest.spyOn(LpTransfer, 'findByIdAndUpdate').mockImplementation(async (id, data) => ({ ...TRANSFER, ...data }));
+      const historySpy = jest.spyOn(ApprovalHistory, 'logAction').mockResolvedValue({});
+
+      const completed = await completeTransfer(TRANSFER, { userId: 'gp-1', userName: 'GP' });
+
+      expect(CapitalCall.getCapitalBalancesByStructure).toHaveBeenCalledWith('struct-1', { asOfDate: '2024-06-30' });
+      expect(updateSpy).toHaveBeenCalledWith('si-1', {
+        commitment: 600000,
+        transferredCalledCapital: -240000,
+        transferredPaidIn: -220000,
+        transferredReturnedCapital: -40000,
+        transferredDistributions: -60000
+      });
+      expect(upsertSpy).toHaveBeenCalledWith({
+        userId: 'lp-2',
+        structureId: 'struct-1',
+        commitment: 400000,
+        transferredCalledCapital: 240000,
+        transferredPaidIn: 220000,
+        transferredReturnedCapital: 40000,
+        transferredDistributions: 60000,
+        status: 'active'
+      });
+      expect(ownershipSpy).toHaveBeenCalledWith('struct-1');
+      expect(completed.status).toBe('completed');
+      expect(completed.balances.unfunded).toBe(160000);
+      expect(historySpy).toHaveBeenCalledWith(expect.objectContaining({
+        entityType: 'lp_transfer',
+        action: 'transfer_completed',
+        fromStatus: 'kyc_cleared',
+        toStatus: 'completed'
+      }));
+    });
+
+    test('should save the balance move before writing any balance', async () => {
+      jest.spyOn(StructureInvestor, 'findByUserAndStructure').mockImplementation(async (userId) => (
+        userId === 'lp-1' ? { ...TRANSFEROR, transferredCalledCapital: 0, transferredPaidIn: 0, transferredReturnedCapital: 0, transferredDistributions: 0 } : null
+      ));
+      jest.spyOn(CapitalCall, 'getCapitalBalancesByStructure').mockResolvedValue({
+        'lp-1': { calledCapital: 600000, investedCapital: 500000, returnedCapital: 100000, writeDowns: 0 }
+      });
+      jest.spyOn(Distribution, 'getAllocationBases').mockResolvedValue({ paid_in: [{ userId: 'lp-1', weight: 550000 }] });
+      jest.spyOn(Distribution, 'getInvestorDistributionTotal').mockResolvedValue(150000);
+      const updateSpy = jest.spyOn(StructureInvestor, 'findByIdAndUpdate').mockRejectedValue(new Error('connection reset'));
+      const transferUpdateSpy = jest.spyOn(LpTransfer, 'findByIdAndUpdate').mockImplementation(async (id, data) => ({ ...TRANSFER, ...data }));
+
+      await expect(completeTransfer(TRANSFER, { userId: 'gp-1' })).rejects.toThrow('connection reset');
+
+      expect(transferUpdateSpy).toHaveBeenCalledWith('transfer-1', {
+        balanceMove: expect.objectContaining({
+          moved: expect.objectContaining({ commitment: 400000 }),
+          transferor: expect.objectContaining({ id: 'si-1', commitment: 600000 }),
+          transferorApplied: false,
+          transfereeApplied: false
+        })
+      });
+      expect(transferUpdateSpy.mock.invocationCallOrder[0]).toBeLessThan(updateSpy.mock.invocationCallOrder[0]);
+    });
+
+    test('should not move the transferor balances again when a completion is retried', async () => {
+      const balanceMove = {
+        balances: { commitment: 1000000 },
+        moved: { transferFraction: 0.4, commitment: 400000, unfunded: 160000 },
+        transferor: { id: 'si-1', commitment: 600000 },
+        transferee: { userId: 'lp-2', structureId: 'struct-1', commitment: 400000, status: 'active' },
+        transferorApplied: true,
+        transfereeApplied: false
+      };
+      const findSpy = jest.spyOn(StructureInvestor, 'findByUserAndStructure');
+      const updateSpy = jest.spyOn(StructureInvestor, 'findByIdAndUpdate').mockResolvedValue({});
+      const upsertSpy = jest.spyOn(StructureInvestor, 'upsert').mockResolvedValue({});
+      jest.spyOn(StructureInvestor, 'recalculateOwnership').mockResolvedValue();
+      jest.spyOn(LpTransfer, 'findByIdAndUpdate').mockImplementation(async (id, data) => ({ ...TRANSFER, balanceMove, ...data }));
+      jest.spyOn(ApprovalHistory, 'logAction').mockResolvedValue({});
+
+      const completed = await completeTransfer({ ...TRANSFER, balanceMove }, { userId: 'gp-1' });
+
+      expect(findSpy).not.toHaveBeenCalled();
+      expect(updateSpy).not.toHaveBeenCalled();
+      expect(upsertSpy).toHaveBeenCalledWith(balanceMove.transferee);
+      expect(LpTransfer.findByIdAndUpdate).toHaveBeenCalledWith('transfer-1', {
+        balanceMove: expect.objectContaining({ transferorApplied: true, transfereeApplied: true })
+      });
+      expect(completed.status).toBe('completed');
+      expect(completed.balances.unfunded).toBe(160000);
+    });
+  });
+
+  describe('getBalanceAdjustmentsByStructure', () => {
+    test('should net completed transfers out of the transferor and into the transferee', async () => {
+      const mockSupabase = createMockSupabaseClient();
+      mockSupabase.setMockResponse('lp_transfers', {
+        data: [{ transferor_id: 'lp-1', transferee_id: 'lp-2', balances: { calledCapital: 240000, paidIn: 220000 } }],
+        error: null
+      });
+      getSupabase.mockReturnValue(mockSupabase);
+
+      const adjustments = await LpTransfer.getBalanceAdjustmentsByStructure('struct-1', { asOfDate: '2024-12-31' });
+
+      expect(adjustments['lp-1']).toMatchObject({ calledCapital: -240000, paidIn: -220000, distributions: 0 });
+      expect(adjustments['lp-2']).toMatchObject({ calledCapital: 240000, paidIn: 220000 });
+    });
+  });
+
+  describe('forceTransferTokens', () => {
+    const params = {
+      contractAddress: '0xtoken',
+      fromAddress: '0xaaa',
+      toAddress: '0xbbb',
+      commitmentTransferred: 400000,
+      commitment: 1000000,
+      rpcUrl: 'https://rpc.example',
+      privateKey: 'abc123'
+    };
+
+    test('should force-transfer the transferred share of the transferor\'s tokens in wei', async () => {
+      const web3Service = {
+        getTokenBalance: jest.fn().mockResolvedValue(1000n * 10n ** 18n),
+        forcedTransfer: jest.fn().mockResolvedValue({ transactionHash: '0xhash' })
+      };
+      createWeb3Service.mockReturnValue(web3Service);
+
+      const result = await forceTransferTokens(params);
+
+      expect(web3Service.forcedTransfer).toHaveBeenCalledWith(expect.objectContaining({
+        contractAddress: '0xtoken',
+        fromAddress: '0xaaa',
+        toAddress: '0xbbb',
+        amountWei: 400n * 10n ** 18n,
+        privateKey: '0xabc123',
+        nonce: null
+      }));
+      expect(result).toMatchObject({ status: 'transferred', amount: '400', amountWei: '400000000000000000000', transactionHash: '0xhash' });
+    });
+
+    test('should transfer a whole balance and tiny amounts exactly', async () => {
+      const web3Service = {
+        getTokenBalance: jest.fn().mockResolvedValue(1234567891234567891234567n),
+        forcedTransfer: jest.fn().mockResolvedValue({ transactionHash: '0xhash' })
+      };
+      createWeb3Service.mockReturnValue(web3Service);
+
+      const whole = await forceTransferTokens({ ...params, commitmentTransferred: 1000000 });
+      expect(web3Service.forcedTransfer).toHaveBeenLastCalledWith(expect.objectContaining({ amountWei: 1234567891234567891234567n }));
+      expect(whole.amount).toBe('1234567.891234567891234567');
+
+      const tiny = await forceTransferTokens({ ...params, amount: 1e-7 });
+      expect(web3Service.forcedTransfer).toHaveBeenLastCalledWith(expect.objectContaining({ amountWei: 100000000000n }));
+      expect(tiny.amount).toBe('0.0000001');
+    });
+
+    test('should hand over the signed transaction before it is broadcast', async () => {
+      const submitted = [];
+      const web3Service = {
+        getTokenBalance: jest.fn().mockResolvedValue(1000n * 10n ** 18n),
+        forcedTransfer: jest.fn().mockImplementation(async ({ onSigned }) => {
+          await onSigned({ transactionHash: '0xhash', nonce: 7 });
+          throw new Error('socket hang up');
+        }),
+        getTransactionReceipt: jest.fn().mockResolvedValue(null)
+      };
+      createWeb3Service.mockReturnValue(web3Service);
+
+      const error = await forceTransferTokens({ ...params, onSubmitted: async record => submitted.push(record) }).catch(e => e);
+
+      expect(submitted).toEqual([expect.objectContaining({ status: 'submitted', transactionHash: '0xhash', nonce: 7 })]);
+      expect(error.message).toBe('socket hang up');
+      expect(error.tokenTransfer).toMatchObject({ status: 'submitted', transactionHash: '0xhash', amountWei: '400000000000000000000' });
+    });
+
+    test('should not send again once a recorded transaction has succeeded', async () => {
+      const web3Service = {
+        getTransactionReceipt: jest.fn().mockResolvedValue({ status: 1n }),
+        forcedTransfer: jest.fn()
+      };
+      createWeb3Service.mockReturnValue(web3Service);
+      const previous = { ...params, amount: '400', amountWei: '400000000000000000000', status: 'submitted', transactionHash: '0xhash', nonce: 7 };
+
+      const result = await forceTransferTokens({ ...params, previous });
+
+      expect(web3Service.forcedTransfer).not.toHaveBeenCalled();
+      expect(result).toMatchObject({ status: 'transferred', transactionHash: '0xhash' });
+    });
+
+    test('should re-send an unmined transaction under its own nonce', async () => {
+      const web3Service = {
+        getTransactionReceipt: jest.fn().mockResolvedValue(null),
+        createAccountFromPrivateKey: jest.fn().mockReturnValue({ address: '0xagent' }),
+        getTransactionCount: jest.fn().mockResolvedValue(7n),
+        getTokenBalance: jest.fn(),
+        forcedTransfer: jest.fn().mockResolvedValue({ transactionHash: '0xhash2' })
+      };
+      createWeb3Service.mockReturnValue(web3Service);
+      const previous = { ...params, amount: '400', amountWei: '400000000000000000000', status: 'submitted', transactionHash: '0xhash', nonce: 7 };
+
+      const result = await forceTransferTokens({ ...params, previous });
+
+      expect(web3Service.getTokenBalance).not.toHaveBeenCalled();
+      expect(web3Service.forcedTransfer).toHaveBeenCalledWith(expect.objectContaining({ amountWei: 400n * 10n ** 18n, nonce: 7 }));
+      expect(result).toMatchObject({ status: 'transferred', transactionHash: '0xhash2', replacedHashes: ['0xhash'] });
+    });
+  });
+});
@@ -0,0 +1,253 @@
+/**
+ * Side Letter Service Tests
+ * Tests for src/services/sideLetterService.js
+ */
+
+jest.mock('../../src/config/database', () => ({
+  getSupabase: jest.fn(),
+}));
+
+const { getSupabase } = require('../../src/config/database');
+const { createMockSupabaseClient } = require('../helpers/mockSupabase');
+const ApprovalHistory = require('../../src/models/supabase/approvalHistory');
+const MfnElection = require('../../src/models/supabase/mfnElection');
+const Notification = require('../../src/models/supabase/notification');
+const SideLetter = require('../../src/models/supabase/sideLetter');
+const Structure = require('../../src/models/supabase/structure');
+const StructureInvestor = require('../../src/models/supabase/structureInvestor');
+const {
+  validateSideLetter,
+  checkMfnEligibility,
+  calculateEntitlements,
+  getEffectiveProvisions,
+  openElectionWindow,
+  decideElection
+} = require('../../src/services/sideLetterService');
+
+const FEE_DISCOUNT = {
+  id: 'provision-1',
+  sideLetterId: 'side-letter-1',
+  userId: 'lp-1',
+  provisionType: 'fee_discount',
+  description: '25% management fee discount',
+  terms: { discountPercent: 25 },
+  applicability: { mfn: 'commitment_tier' }
+};
+
+const CO_INVEST = {
+  id: 'provision-2',
+  sideLetterId: 'side-letter-1',
+  userId: 'lp-1',
+  provisionType: 'co_invest_rights',
+  description: 'Co-investment on a no-fee basis',
+  terms: { allocationPercent: 10 },
+  applicability: { mfn: 'all_investors', investorTypes: ['Institution'] }
+};
+
+const SIDE_LETTERS = [
+  { id: 'side-letter-1', userId: 'lp-1', status: 'executed', effectiveDate: '2024-01-01', provisions: [FEE_DISCOUNT, CO_INVEST] },
+  {
+    id: 'side-letter-2',
+    userId: 'lp-2',
+    status: 'draft',
+    provisions: [{ ...FEE_DISCOUNT, id: 'provision-3', sideLetterId: 'side-letter-2', userId: 'lp-2', terms: { discountPercent: 60 } }]
+  }
+];
+
+const INVESTORS = [
+  { userId: 'lp-1', commitment: 5000000, investorType: 'Institution', feeDiscount: 0 },
+  { userId: 'lp-2', commitment: 10000000, investorType: 'Institution', feeDiscount: 0 },
+  { userId: 'lp-3', commitment: 2000000, investorType: 'Individual', feeDiscount: 0 }
+];
+
+describe('Side Letter Service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('validateSideLetter', () => {
+    test('should validate provision types, terms and applicability rules', () => {
+      expect(validateSideLetter({ userId: 'lp-1', status: 'draft', provisions: [FEE_DISCOUNT, CO_INVEST] })).toEqual([]);
+
+      expect(validateSideLetter({
+        userId: 'lp-1',
+        status: 'executed',
+        provisions: [
+          { provisionType: 'fee_discount', description: 'Discount', terms: { discountPercent: 120 } },
+          { provisionType: 'board_seat', description: 'Seat', terms: {}, applicability: { mfn: 'sometimes' } }
+        ]
+      })).toEqual([
+        'An executed side letter needs an effective date',
+        'Provision 1: Fee discount provisions need a discountPercent between 0 and 100',
+        'Provision 2: Provision type must be one of: fee_discount, reporting_rights, excusal_rights, co_invest_rights, transfer_rights',
+        'Provision 2: Applicability mfn rule must be one of: commitment_tier, all_investors, excluded'
+      ]);
+    });
+  });
+
+  describe('checkMfnEligibility', () => {
+    const grantee = { userId: 'lp-1', commitment: 5000000 };
+
+    test('should entitle LPs committing at least as much as the grantee', () => {
+      expect(checkMfnEligibility(FEE_DISCOUNT, { grantee, investor: INVESTORS[1] })).toBeNull();
+      expect(checkMfnEligibility(FEE_DISCOUNT, { grantee, investor: INVESTORS[2] }))
+        .toBe('Commitment of 2000000 is below the 5000000 required');
+      expect(checkMfnEligibility(FEE_DISCOUNT, { grantee, investor: INVESTORS[0] })).toBe('Granted to this investor');
+    });
+
+    test('should apply the minimum commitment, investor type and exclusion rules', () => {
+      const lowThreshold = { ...FEE_DISCOUNT, applicability: { mfn: 'commitment_tier', minCommitment: 1000000 } };
+      expect(checkMfnEligibility(lowThreshold, { grantee, investor: INVESTORS[2] })).toBeNull();
+
+      expect(checkMfnEligibility(CO_INVEST, { grantee, investor: INVESTORS[2] })).toBe('Limited to Institution investors');
+      expect(checkMfnEligibility({ ...CO_INVEST, applicability: { mfn: 'excluded' } }, { grantee, investor: INVESTORS[1] }))
+        .toBe('Excluded from MFN elections');
+    });
+
+    test('should only offer fee discounts better than the one already held', () => {
+      expect(checkMfnEligibility(FEE_DISCOUNT, { grantee, investor: INVESTORS[1], currentDiscount: 30 }))
+        .toBe('Investor already holds a fee discount of 30%');
+    });
+  });
+
+  describe('calculateEntitlements', () => {
+    test('should list what each LP may elect from executed side letters', () => {
+      const entitlements = calculateEntitlements({
+        sideLetters: SIDE_LETTERS,
+        investors: INVESTORS,
+        elections: [{ id: 'election-1', userId: 'lp-2', provisionId: 'provision-2', status: 'declined' }]
+      });
+
+      const [lp1, lp2, lp3] = entitlements;
+      expect(lp1.entitlements).toEqual([]);
+      expect(lp2.entitlements.map(e => [e.provisionId, e.electionStatus])).toEqual([
+        ['provision-1', null],
+        ['provision-2', 'declined']
+      ]);
+      expect(lp3.entitlements).toEqual([]);
+      expect(lp3.ineligible.map(e => e.provisionId)).toEqual(['provision-1', 'provision-2']);
+    });
+  });
+
+  describe('getEffectiveProvisions', () => {
+    test('should combine the LP\'s own provisions with the ones it elected', () => {
+      const { provisions, byType } = getEffectiveProvisions({
+        sideLetters: SIDE_LETTERS,
+        elections: [{ id: 'election-1', userId: 'lp-2', provisionId: 'provision-1', status: 'elected', effectiveDate: '2024-07-01' }],
+        userId: 'lp-2'
+      });
+
+      expect(provisions).toEqual([expect.objectContaining({ id: 'provision-1', source: 'mfn_election', effectiveDate: '2024-07-01' })]);
+      expect(byType.fee_discount).toHaveLength(1);
+      expect(byType.co_invest_rights).toEqual([]);
+    });
+  });
+
+  describe('getFeeDiscountsByStructure', () => {
+    test('should take the best discount from own and elected provisions', async () => {
+      const mockSupabase = createMockSupabaseClient();
+      mockSupabase.setMockResponse('side_letters', {
+        data: [{ id: 'side-letter-1', effective_date: '2024-01-01' }],
+        error: null
+      });
+      mockSupabase.setMockResponse('side_letter_provisions', {
+        data: [
+          { id: 'provision-1', side_letter_id: 'side-letter-1', user_id: 'lp-1', provision_type: 'fee_discount', terms: { discountPercent: 25 } },
+          { id: 'provision-3', side_letter_id: 'side-letter-2', user_id: 'lp-2', provision_type: 'fee_discount', terms: { discountPercent: 60 } }
+        ],
+        error: null
+      });
+      mockSupabase.setMockResponse('mfn_elections', {
+        data: [{ user_id: 'lp-3', provision_id: 'provision-1', status: 'elected', effective_date: '2024-07-01' }],
+        error: null
+      });
+      getSupabase.mockReturnValue(mockSupabase);
+
+      const discounts = await SideLetter.getFeeDiscountsByStructure('struct-1', { asOfDate: '2024-09-30' });
+
+      expect(discounts).toEqual({
+        'lp-1': { discountPercent: 25, provisionId: 'provision-1', source: 'side_letter' },
+        'lp-3': { discountPercent: 25, provisionId: 'provision-1', source: 'mfn_election' }
+      });
+
+      const earlier = await SideLetter.getFeeDiscountsByStructure('struct-1', { asOfDate: '2024-06-30' });
+      expect(earlier['lp-3']).toBeUndefined();
+    });
+  });
+
+  describe('openElectionWindow', () => {
+    test('should offer new entitlements, open the window and notify the LPs', async () => {
+      jest.spyOn(SideLetter, 'findByStructureId').mockResolvedValue(SIDE_LETTERS);
+      jest.spyOn(SideLetter, 'getFeeDiscountsByStructure').mockResolvedValue({ 'lp-1': { discountPercent: 25 } });
+      jest.spyOn(StructureInvestor, 'findByStructureId').mockResolvedValue(INVESTORS.map(inv => ({
+        userId: inv.userId,
+        commitment: inv.commitment,
+        feeDiscount: inv.feeDiscount,
+        user: { investor_type: inv.investorType }
+      })));
+      jest.spyOn(MfnElection, 'findByStructureId').mockResolvedValue([
+        { id: 'election-1', userId: 'lp-2', provisionId: 'provision-2', status: 'declined' }
+      ]);
+      const createSpy = jest.spyOn(MfnElection, 'createMany').mockImplementation(async rows => rows.map((row, i) => ({ id: `election-${i + 2}`, ...row })));
+      const updateSpy = jest.spyOn(Structure, 'findByIdAndUpdate').mockResolvedValue({});
+      const notifySpy = jest.spyOn(Notification, 'createMany').mockResolvedValue([]);
+      const historySpy = jest.spyOn(ApprovalHistory, 'logAction').mockResolvedValue({});
+
+      const { window, offers } = await openElectionWindow(
+        { id: 'struct-1', name: 'Fund I', mfnElectionWindow: null },
+        { closesOn: '2099-01-31', userId: 'gp-1', userName: 'GP' }
+      );
+
+      expect(createSpy).toHaveBeenCalledWith([
+        expect.objectContaining({ userId: 'lp-2', provisionId: 'provision-1', status: 'offered', windowClosesOn: '2099-01-31' })
+      ]);
+      expect(offers).toHaveLength(1);
+      expect(window).toMatchObject({ status: 'open', closesOn: '2099-01-31', offerCount: 1, openedBy: 'gp-1' });
+      expect(updateSpy).toHaveBeenCalledWith('struct-1', { mfnElectionWindow: window });
+      expect(notifySpy).toHaveBeenCalledWith([expect.objectContaining({ userId: 'lp-2', notificationType: 'general_announcement' })]);
+      expect(historySpy).toHaveBeenCalledWith(expect.objectContaining({ action: 'mfn_window_opened', toStatus: 'open' }));
+    });
+
+    test('should refuse a second open window', async () => {
+      await expect(openElectionWindow(
+        { id: 'struct-1', mfnElectionWindow: { status: 'open', closesOn: '2099-01-31' } },
+        { closesOn: '2099-02-28' }
+      )).rejects.toThrow('MFN election window cannot be opened: An MFN election window is already open');
+    });
+  });
+
+  describe('decideElection', () => {
+    const election = { id: 'election-2', structureId: 'struct-1', userId: 'lp-2', provisionId: 'provision-1', status: 'offered', windowClosesOn: '2099-01-31' };
+
+    test('should record an election effective from the election date', async () => {
+      const updateSpy = jest.spyOn(MfnElection, 'findByIdAndUpdate').mockImplementation(async (id, data) => ({ ...election, ...data }));
+      const historySpy = jest.spyOn(ApprovalHistory, 'logAction').mockResolvedValue({});
+
+      const updated = await decideElection(election, { id: 'struct-1', mfnElectionWindow: { status: 'open', closesOn: '2099-01-31' } }, {
+        decision: 'elected',
+        userId: 'lp-2',
+        userName: 'LP Two'
+      });
+
+      expect(updateSpy).toHaveBeenCalledWith('election-2', expect.objectContaining({ status: 'elected', decidedBy: 'lp-2' }));
+      expect(updated.effectiveDate).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+      expect(historySpy).toHaveBeenCalledWith(expect.objectContaining({
+        entityType: 'mfn_election',
+        action: 'mfn_provision_elected',
+        fromStatus: 'offered',
+        toStatus: 'elected'
+      }));
+    });
+
+    test('should reject elections after the window closed', async () => {
+      const updateSpy = jest.spyOn(MfnElection, 'findByIdAndUpdate');
+
+      await expect(decideElection(
+        { ...election, windowClosesOn: '2024-01-31' },
+        { id: 'struct-1', mfnElectionWindow: { status: 'open', closesOn: '2024-01-31' } },
+        { decision: 'elected' }
+      )).rejects.toThrow('MFN election cannot be recorded: The MFN election window closed on 2024-01-31');
+      expect(updateSpy).not.toHaveBeenCalled();
+    });
+  });
+});
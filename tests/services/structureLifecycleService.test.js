@@ -0,0 +1,120 @@
+/**
+ * Structure Lifecycle Service Tests
+ * Tests for src/services/structureLifecycleService.js
+ */
+
+const {
+  addYears,
+  getLifecycleDates,
+  validateTransition,
+  validateCapitalCallForLifecycle,
+  getUpcomingMilestones
+} = require('../../src/services/structureLifecycleService');
+const { getDueNoticeDays } = require('../../src/jobs/structureLifecycle');
+
+const FUND = {
+  id: 'struct-1',
+  inceptionDate: '2020-01-31',
+  termYears: 10,
+  extensionYears: 2,
+  extensionYearsUsed: 0,
+  investmentPeriodYears: 5,
+  lifecycleStage: 'investment_period'
+};
+
+describe('Structure Lifecycle Service', () => {
+  describe('getLifecycleDates', () => {
+    test('should derive the investment period and term end from the inception date', () => {
+      expect(getLifecycleDates(FUND)).toMatchObject({
+        investmentPeriodEndDate: '2025-01-31',
+        originalTermEndDate: '2030-01-31',
+        termEndDate: '2030-01-31',
+        extensionYearsAvailable: 2
+      });
+    });
+
+    test('should prefer recorded dates and count approved extensions', () => {
+      const dates = getLifecycleDates({
+        ...FUND,
+        investmentPeriodEndDate: '2023-06-30',
+        extensionYearsUsed: 1.5,
+        finalDate: '2031-07-31'
+      });
+
+      expect(dates.investmentPeriodEndDate).toBe('2023-06-30');
+      expect(dates.termEndDate).toBe('2031-07-31');
+      expect(dates.extensionYearsAvailable).toBe(0.5);
+    });
+
+    test('should clamp to the end of shorter months', () => {
+      expect(addYears('2020-01-31', 0.25)).toBe('2020-04-30');
+      expect(addYears('2020-02-29', 1)).toBe('2021-02-28');
+    });
+  });
+
+  describe('validateTransition', () => {
+    test('should only move forward through the lifecycle', () => {
+      expect(validateTransition({ lifecycleStage: 'harvesting' }, 'investment_period'))
+        .toEqual(['Cannot move a structure from harvesting to investment_period']);
+      expect(validateTransition({ lifecycleStage: 'investment_period' }, 'harvesting')).toEqual([]);
+      expect(validateTransition({ lifecycleStage: 'liquidation' }, 'harvesting'))
+        .toEqual(['Cannot move a structure from liquidation to harvesting']);
+    });
+  });
+
+  describe('validateCapitalCallForLifecycle', () => {
+    test('should allow any call during the investment period', () => {
+      const investment = { id: 'inv-1', investmentDate: '2024-06-01' };
+      expect(validateCapitalCallForLifecycle(FUND, { investment, asOfDate: '2024-12-01' })).toBeNull();
+    });
+
+    test('should block new-investment calls after the investment period ends', () => {
+      const investment = { id: 'inv-2', investmentDate: '2025-03-01' };
+      expect(validateCapitalCallForLifecycle(FUND, { investment, asOfDate: '2025-03-01' }))
+        .toBe('The investment period ended on 2025-01-31: capital calls for new investments are not allowed');
+    });
+
+    test('should allow follow-ons and fee or expense calls after the investment period', () => {
+      const harvesting = { ...FUND, lifecycleStage: 'harvesting' };
+      const investment = { id: 'inv-1', investmentDate: '2022-06-01' };
+
+      expect(validateCapitalCallForLifecycle(harvesting, { investment, asOfDate: '2026-03-01' })).toBeNull();
+      expect(validateCapitalCallForLifecycle(harvesting, { callType: 'fees', asOfDate: '2026-03-01' })).toBeNull();
+      expect(validateCapitalCallForLifecycle(harvesting, { callType: 'expenses', asOfDate: '2026-03-01' })).toBeNull();
+    });
+
+    test('should block calls with neither an investment nor a fee or expense type after the investment period', () => {
+      const harvesting = { ...FUND, lifecycleStage: 'harvesting' };
+
+      expect(validateCapitalCallForLifecycle(harvesting, { asOfDate: '2026-03-01' }))
+        .toBe('The investment period ended on 2025-01-31: capital calls must be follow-ons in an existing investment or be marked as fees or expenses');
+      expect(validateCapitalCallForLifecycle(FUND, { asOfDate: '2024-12-01' })).toBeNull();
+    });
+
+    test('should block investment calls in liquidation', () => {
+      const investment = { id: 'inv-1', investmentDate: '2022-06-01' };
+      expect(validateCapitalCallForLifecycle({ ...FUND, lifecycleStage: 'liquidation' }, { investment, asOfDate: '2030-03-01' }))
+        .toBe('The structure is in liquidation: capital calls for investments are not allowed');
+    });
+  });
+
+  describe('term milestones', () => {
+    test('should list the milestones ahead for the current stage', () => {
+      expect(getUpcomingMilestones(FUND, '2024-12-01')).toEqual([
+        { milestone: 'investment_period_end', date: '2025-01-31', daysUntil: 61 },
+        { milestone: 'term_end', date: '2030-01-31', daysUntil: 1887 }
+      ]);
+      expect(getUpcomingMilestones({ ...FUND, lifecycleStage: 'harvesting' }, '2024-12-01').map(m => m.milestone))
+        .toEqual(['term_end']);
+    });
+
+    test('should pick the latest notice threshold reached', () => {
+      expect(getDueNoticeDays(400)).toBeNull();
+      expect(getDueNoticeDays(180)).toBe(180);
+      expect(getDueNoticeDays(61)).toBe(90);
+      expect(getDueNoticeDays(12)).toBe(30);
+      expect(getDueNoticeDays(0)).toBe(30);
+      expect(getDueNoticeDays(-1)).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,200 @@
+/**
+ * Waterfall Service Tests
+ * Tests for src/services/waterfallService.js
+ */
+
+const { calculateWaterfall, calculatePrefStatement, classifyTier } = require('../../src/services/waterfallService');
+
+const TIERS = [
+  { tierNumber: 1, tierName: 'Return of Capital', lpSharePercent: 100, gpSharePercent: 0, thresholdIrr: null },
+  { tierNumber: 2, tierName: 'Preferred Return', lpSharePercent: 100, gpSharePercent: 0, thresholdIrr: 8 },
+  { tierNumber: 3, tierName: 'GP Catch-up', lpSharePercent: 0, gpSharePercent: 100, thresholdIrr: null },
+  { tierNumber: 4, tierName: 'Carried Interest', lpSharePercent: 80, gpSharePercent: 20, thresholdIrr: null },
+];
+
+const amountsByTier = (result) => result.tiers.map(tier => tier.amount);
+
+describe('Waterfall Service', () => {
+  describe('classifyTier', () => {
+    test('should classify tiers by threshold, name and position', () => {
+      expect(classifyTier({ tierNumber: 1, tierName: 'Tier A', thresholdIrr: 6 })).toBe('preferred_return');
+      expect(classifyTier({ tierNumber: 2, tierName: 'GP Catch-up' })).toBe('catch_up');
+      expect(classifyTier({ tierNumber: 1, tierName: 'Return of Capital' })).toBe('return_of_capital');
+      expect(classifyTier({ tierNumber: 3, tierName: null })).toBe('catch_up');
+      expect(classifyTier({ tierNumber: 4, tierName: 'Tier 4' })).toBe('carried_interest');
+    });
+  });
+
+  describe('European mode', () => {
+    const base = {
+      tiers: TIERS,
+      mode: 'European',
+      gpCatchUpRate: 100,
+      investors: [{ userId: 'lp-1', ownershipPercent: 100 }],
+      contributions: [{ userId: 'lp-1', investmentId: null, date: '2023-01-01', amount: 1000 }],
+    };
+
+    test('should run capital, preferred return, full catch-up and carry', () => {
+      const result = calculateWaterfall({
+        ...base,
+        distribution: { id: 'dist-1', date: '2024-01-01', amount: 2000 },
+      });
+
+      expect(amountsByTier(result)).toEqual([1000, 80, 20, 900]);
+      expect(result.lpTotal).toBe(1800);
+      expect(result.gpTotal).toBe(200);
+
+      const steps = result.investors[0].steps;
+      expect(steps.map(step => step.tierType)).toEqual(['return_of_capital', 'preferred_return', 'catch_up', 'carried_interest']);
+      expect(steps[1].basis).toEqual(expect.objectContaining({ prefRatePercent: 8, accruedBefore: 80, accruedAfter: 0 }));
+      expect(steps[2].basis.targetTotal).toBe(20);
+      expect(steps[3]).toEqual(expect.objectContaining({ lpAmount: 720, gpAmount: 180 }));
+    });
+
+    test('should carry capital and pref already paid by prior distributions forward', () => {
+      const result = calculateWaterfall({
+        ...base,
+        priorDistributions: [{ id: 'dist-0', investmentId: null, date: '2024-01-01', amount: 1050 }],
+        distribution: { id: 'dist-1', date: '2024-01-01', amount: 950 },
+      });
+
+      expect(amountsByTier(result)).toEqual([0, 30, 20, 900]);
+      expect(result.lpTotal).toBe(750);
+      expect(result.gpTotal).toBe(200);
+      expect(result.investors[0].ledger).toEqual(expect.objectContaining({ capitalReturned: 1000, prefPaid: 80 }));
+    });
+
+    test('should use the structure catch-up rate for partial catch-up', () => {
+      const result = calculateWaterfall({
+        ...base,
+        gpCatchUpRate: 50,
+        distribution: { id: 'dist-1', date: '2024-01-01', amount: 2000 },
+      });
+
+      const catchUp = result.tiers[2];
+      expect(catchUp.amount).toBeCloseTo(53.33, 2);
+      expect(catchUp.gpAmount).toBeCloseTo(26.67, 2);
+      expect(result.gpTotal).toBe(200);
+    });
+
+    test('should split each distribution by ownership and audit every LP', () => {
+      const result = calculateWaterfall({
+        ...base,
+        investors: [
+          { userId: 'lp-1', ownershipPercent: 60 },
+          { userId: 'lp-2', ownershipPercent: 40 },
+        ],
+        contributions: [
+          { userId: 'lp-1', investmentId: null, date: '2023-01-01', amount: 600 },
+          { userId: 'lp-2', investmentId: null, date: '2023-01-01', amount: 400 },
+        ],
+        distribution: { id: 'dist-1', date: '2024-01-01', amount: 2000 },
+      });
+
+      expect(result.investors.map(r => [r.userId, r.grossAmount, r.lpAmount, r.gpAmount])).toEqual([
+        ['lp-1', 1200, 1080, 120],
+        ['lp-2', 800, 720, 80],
+      ]);
+    });
+  });
+
+  describe('American mode', () => {
+    const base = {
+      tiers: TIERS,
+      mode: 'American',
+      gpCatchUpRate: 100,
+      investors: [{ userId: 'lp-1', ownershipPercent: 100 }],
+      contributions: [
+        { userId: 'lp-1', investmentId: 'inv-a', date: '2023-01-01', amount: 1000 },
+        { userId: 'lp-1', investmentId: 'inv-b', date: '2023-01-01', amount: 1000 },
+        { userId: 'lp-1', investmentId: null, date: '2023-01-01', amount: 200 },
+      ],
+    };
+
+    test('should run the waterfall on the realized investment only', () => {
+      const result = calculateWaterfall({
+        ...base,
+        distribution: { id: 'dist-1', investmentId: 'inv-a', date: '2024-01-01', amount: 1600 },
+      });
+
+      // inv-a capital plus half of the unattributed fees
+      expect(result.mode).toBe('American');
+      expect(result.investors[0].ledger.contributed).toBe(1100);
+      expect(amountsByTier(result)).toEqual([1100, 88, 22, 390]);
+      expect(result.gpTotal).toBe(100);
+      expect(result.investments).toEqual([expect.objectContaining({ investmentId: 'inv-a', amount: 1600, gpAmount: 100 })]);
+    });
+
+    test('should fall back to the whole fund when the distribution has no investment', () => {
+      const result = calculateWaterfall({
+        ...base,
+        distribution: { id: 'dist-1', investmentId: null, date: '2024-01-01', amount: 1600 },
+      });
+
+      expect(result.mode).toBe('European');
+      expect(result.warnings).toHaveLength(1);
+      expect(result.gpTotal).toBe(0);
+      expect(result.investors[0].ledger.unreturnedCapital).toBe(600);
+    });
+  });
+
+  describe('Preferred return accrual conventions', () => {
+    const withConvention = (prefCompounding, prefDayCount) => TIERS.map(tier => (
+      tier.tierNumber === 2 ? { ...tier, prefCompounding, prefDayCount } : tier
+    ));
+    const base = {
+      mode: 'European',
+      gpCatchUpRate: 100,
+      investors: [{ userId: 'lp-1', ownershipPercent: 100 }],
+    };
+
+    test('should accrue simple interest from each contribution date on 30/360', () => {
+      const result = calculateWaterfall({
+        ...base,
+        tiers: withConvention('simple', '30/360'),
+        contributions: [
+          { userId: 'lp-1', investmentId: null, date: '2023-01-01', amount: 1000 },
+          { userId: 'lp-1', investmentId: null, date: '2023-07-01', amount: 1000 },
+        ],
+        distribution: { id: 'dist-1', date: '2024-01-01', amount: 5000 },
+      });
+
+      // 1,000 x 8% x 1 year + 1,000 x 8% x 6 months
+      expect(result.tiers[1].amount).toBe(120);
+      expect(result.prefCompounding).toBe('simple');
+      expect(result.prefDayCount).toBe('30/360');
+    });
+
+    test('should compound quarterly at a quarter of the hurdle', () => {
+      const result = calculateWaterfall({
+        ...base,
+        tiers: withConvention('quarterly', '30/360'),
+        contributions: [{ userId: 'lp-1', investmentId: null, date: '2023-01-01', amount: 1000 }],
+        distribution: { id: 'dist-1', date: '2025-01-01', amount: 5000 },
+      });
+
+      // 1,000 x (1.02^8 - 1)
+      expect(result.tiers[1].amount).toBe(171.66);
+    });
+  });
+
+  describe('calculatePrefStatement', () => {
+    test('should list pref accrued and paid per event with running balances to the statement date', () => {
+      const statement = calculatePrefStatement({
+        tiers: TIERS.map(tier => (tier.tierNumber === 2 ? { ...tier, prefCompounding: 'simple', prefDayCount: '30/360' } : tier)),
+        investors: [{ userId: 'lp-1', ownershipPercent: 100 }],
+        contributions: [{ userId: 'lp-1', investmentId: null, date: '2023-01-01', amount: 1000 }],
+        distributions: [{ id: 'dist-1', date: '2023-07-01', amount: 500 }],
+        asOfDate: '2024-01-01',
+      });
+
+      const [lp] = statement.investors;
+      expect(lp.lines.map(line => [line.type, line.prefAccrued, line.capitalReturned, line.unreturnedCapital, line.prefBalance])).toEqual([
+        ['contribution', 0, 0, 1000, 0],
+        ['distribution', 40, 500, 500, 40],
+        ['accrual', 20, 0, 500, 60],
+      ]);
+      expect(statement.totals).toEqual({ contributed: 1000, unreturnedCapital: 500, prefAccrued: 60, prefPaid: 0, prefBalance: 60 });
+    });
+  });
+});